@@ -0,0 +1,10 @@
+// jest.config.js - Unit tests under src/__tests__, compiled with Next's SWC setup
+const nextJest = require('next/jest')
+
+const createJestConfig = nextJest({ dir: './' })
+
+module.exports = createJestConfig({
+  testEnvironment: 'node',
+  testMatch: ['<rootDir>/src/__tests__/**/*.test.[jt]s'],
+  setupFiles: ['<rootDir>/jest.setup.js'],
+})
@@ -0,0 +1,7 @@
+// jest.setup.js - Every test file gets its own empty file store (lib/persistent-store) and no Redis
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+delete process.env.REDIS_URL
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'tdw-test-'))
@@ -0,0 +1,54 @@
+import { describe, it, expect } from '@jest/globals';
+import { cartToMetadata, cartFromMetadata, CartMetadataError } from '../../lib/cart-metadata';
+import type { PricedCartItem } from '../../lib/cart-pricing';
+
+const line = (index: number, name = `Travel router with extended battery ${index}`): PricedCartItem => ({
+  product_id: `prod_${index}`,
+  item_id: `item_${index}`,
+  variant_id: null,
+  variant_name: null,
+  product_name: name,
+  product_price: 199.99,
+  quantity: 2,
+  sku: `SKU-${index}`,
+  weight: null,
+  tax_class: 'standard',
+  billing_interval: null,
+  available_stock: null
+});
+
+const cart = (count: number) => Array.from({ length: count }, (_, index) => line(index));
+
+describe('cart metadata', () => {
+  it('splits a cart over several keys of at most 500 characters and reads it back whole', () => {
+    const metadata = cartToMetadata(cart(20));
+
+    expect(Number(metadata.cart_items_parts)).toBeGreaterThan(1);
+    Object.values(metadata).forEach(value => expect(value.length).toBeLessThanOrEqual(500));
+    expect(cartFromMetadata(metadata)).toHaveLength(20);
+    expect(cartFromMetadata(metadata)?.[19]).toEqual({ id: 'item_19', name: 'Travel router with extended battery 19', price: 199.99, qty: 2 });
+  });
+
+  it('keeps non-ASCII names intact across part boundaries', () => {
+    const items = Array.from({ length: 12 }, (_, index) => line(index, `Routeur de voyage 🌍 ${index} — édition été`));
+
+    expect(cartFromMetadata(cartToMetadata(items))?.map(item => item.name)).toEqual(items.map(item => item.product_name));
+  });
+
+  it('refuses a cart that does not fit instead of truncating it', () => {
+    expect(() => cartToMetadata(cart(200))).toThrow(CartMetadataError);
+  });
+
+  it('throws when a part is missing', () => {
+    const metadata = cartToMetadata(cart(20));
+    delete metadata.cart_items_2;
+
+    expect(() => cartFromMetadata(metadata)).toThrow(CartMetadataError);
+  });
+
+  it('reads the single cart_items key of older payments and returns null without a cart', () => {
+    expect(cartFromMetadata({ cart_items: '[{"id":"item_1","name":"Router","price":10.5,"qty":1}]' })).toHaveLength(1);
+    expect(() => cartFromMetadata({ cart_items: '[{"id":"item_1","name":"Rou' })).toThrow(CartMetadataError);
+    expect(cartFromMetadata({ customer_email: 'a@example.com' })).toBeNull();
+  });
+});
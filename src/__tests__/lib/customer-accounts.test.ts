@@ -0,0 +1,73 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import { customerAccounts } from '../../lib/customer-accounts';
+import { emailService } from '../../lib/email';
+import { zoho } from '../../lib/zoho-sdk';
+
+let linkUrls: Record<string, string[]>;
+
+// Token from the newest account email of the given template sent to `email`
+function lastLink(template: string, email: string): string {
+  const urls = linkUrls[`${template}:${email}`] || [];
+  return new URL(urls[urls.length - 1]).searchParams.get('token')!;
+}
+
+beforeEach(() => {
+  linkUrls = {};
+  jest.restoreAllMocks();
+  jest.spyOn(emailService, 'send').mockImplementation(async (template, data, options) => {
+    const key = `${template}:${options.to}`;
+    linkUrls[key] = [...(linkUrls[key] || []), (data as { url: string }).url];
+    return [];
+  });
+  jest.spyOn(zoho.inventory, 'listContactsByEmail').mockResolvedValue([]);
+});
+
+const registration = (email: string, password: string) => ({ email, password, firstName: 'Ada', lastName: 'Lovelace' });
+
+describe('account verification', () => {
+  it('keeps the password when the registrant confirms it with the link', async () => {
+    await customerAccounts.register(registration('owner@example.com', 'owner-password'));
+    const token = lastLink('account-verification', 'owner@example.com');
+
+    await expect(customerAccounts.consumeLink(token)).rejects.toMatchObject({ code: 'PASSWORD_REQUIRED' });
+    await expect(customerAccounts.consumeLink(token, 'wrong-password')).rejects.toMatchObject({ code: 'INVALID_CREDENTIALS' });
+
+    const account = await customerAccounts.consumeLink(token, 'owner-password');
+    expect(account.emailVerified).toBe(true);
+    expect(account.hasPassword).toBe(true);
+    await expect(customerAccounts.authenticate('owner@example.com', 'owner-password')).resolves.toMatchObject({ email: 'owner@example.com' });
+  });
+
+  it("doesn't verify the inbox owner into an account with someone else's password", async () => {
+    // Someone registers the victim's email with a password of their own
+    await customerAccounts.register(registration('victim@example.com', 'attacker-password'));
+    const verifyToken = lastLink('account-verification', 'victim@example.com');
+
+    // The victim opens the verification email but doesn't know that password
+    await expect(customerAccounts.consumeLink(verifyToken)).rejects.toMatchObject({ code: 'PASSWORD_REQUIRED' });
+
+    // ...and signs in with an email link instead
+    await customerAccounts.requestSignInLink('victim@example.com');
+    const account = await customerAccounts.consumeLink(lastLink('account-sign-in', 'victim@example.com'));
+
+    expect(account.emailVerified).toBe(true);
+    expect(account.hasPassword).toBe(false);
+    await expect(customerAccounts.authenticate('victim@example.com', 'attacker-password')).rejects.toMatchObject({ code: 'INVALID_CREDENTIALS' });
+    // Verifying changed the security stamp, so the registrant's verification link is dead too
+    await expect(customerAccounts.consumeLink(verifyToken, 'attacker-password')).rejects.toMatchObject({ code: 'INVALID_LINK' });
+  });
+
+  it('uses each link once', async () => {
+    await customerAccounts.register(registration('once@example.com', 'once-password'));
+    const token = lastLink('account-verification', 'once@example.com');
+
+    await customerAccounts.consumeLink(token, 'once-password');
+    await expect(customerAccounts.consumeLink(token, 'once-password')).rejects.toMatchObject({ code: 'INVALID_LINK' });
+  });
+
+  it("can't sign in with a password before the email is confirmed", async () => {
+    await customerAccounts.register(registration('pending@example.com', 'pending-password'));
+
+    await expect(customerAccounts.authenticate('pending@example.com', 'pending-password')).rejects.toMatchObject({ code: 'EMAIL_NOT_VERIFIED' });
+  });
+});
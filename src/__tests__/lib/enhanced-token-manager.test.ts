@@ -0,0 +1,57 @@
+import { describe, it, expect, beforeAll, afterEach, jest } from '@jest/globals';
+
+const store = new Map<string, string>();
+const redis = {
+  get: jest.fn(async (key: string) => store.get(key) ?? null),
+  set: jest.fn(async (key: string, value: string, options?: { NX?: boolean }) => {
+    if (options?.NX && store.has(key)) return null;
+    store.set(key, value);
+    return 'OK';
+  }),
+  eval: jest.fn(async (script: string, options: { keys: string[]; arguments: string[] }) => {
+    const [key] = options.keys;
+    if (store.get(key) !== options.arguments[0]) return 0;
+    if (script.includes("'del'")) store.delete(key);
+    return 1;
+  })
+};
+
+jest.mock('../../lib/redis-client', () => ({ getRedisClient: async () => redis }));
+
+let tokenManager: typeof import('../../lib/enhanced-token-manager').tokenManager;
+
+beforeAll(async () => {
+  ({ tokenManager } = await import('../../lib/enhanced-token-manager'));
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('token refresh lock', () => {
+  it('is renewed for as long as a slow refresh holds it', async () => {
+    jest.useFakeTimers();
+    let finishRefresh: (token: string) => void = () => {};
+    jest.spyOn(tokenManager as any, 'refreshLocally').mockImplementation(() => new Promise(resolve => { finishRefresh = resolve; }));
+
+    const credentials = { set: 'ZOHO', clientId: 'id', clientSecret: 'secret', refreshToken: 'refresh' };
+    const pending = (tokenManager as any).obtainToken('test-key', 'inventory', credentials);
+
+    // Longer than the lock's own TTL, as when waiting out a rate-limit backoff
+    await jest.advanceTimersByTimeAsync(90000);
+
+    const renewals = redis.eval.mock.calls.filter(([script]) => script.includes('pexpire'));
+    expect(renewals.length).toBeGreaterThanOrEqual(7);
+    expect(renewals.every(([, options]) => options.keys[0] === 'zoho-tokens:test-key:lock')).toBe(true);
+    expect(store.has('zoho-tokens:test-key:lock')).toBe(true);
+
+    finishRefresh('new-token');
+    await expect(pending).resolves.toBe('new-token');
+    expect(store.has('zoho-tokens:test-key:lock')).toBe(false);
+
+    // No more renewals once it is released
+    const count = redis.eval.mock.calls.length;
+    await jest.advanceTimersByTimeAsync(60000);
+    expect(redis.eval.mock.calls.length).toBe(count);
+  });
+});
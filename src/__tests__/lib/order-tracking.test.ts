@@ -0,0 +1,25 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import { orderTracking } from '../../lib/order-tracking';
+import { zoho } from '../../lib/zoho-sdk';
+
+process.env.ORDER_LINK_SECRET = 'test-order-secret';
+
+beforeEach(() => {
+  jest.spyOn(zoho.inventory, 'findSalesOrderByNumber').mockResolvedValue({
+    salesorder_id: '900001',
+    salesorder_number: 'SO-00042',
+    email: 'customer@example.com',
+    customer_id: null
+  } as never);
+});
+
+describe('order lookup throttle', () => {
+  it("doesn't let wrong guesses from one client lock out the customer", async () => {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      await expect(orderTracking.lookup('SO-00042', `guess${attempt}@example.com`, 'attacker')).rejects.toMatchObject({ code: 'NOT_FOUND' });
+    }
+    await expect(orderTracking.lookup('SO-00042', 'guess@example.com', 'attacker')).rejects.toMatchObject({ code: 'RATE_LIMITED', status: 429 });
+
+    await expect(orderTracking.lookup('so-00042', 'Customer@Example.com', 'customer')).resolves.toMatchObject({ orderId: '900001' });
+  });
+});
@@ -0,0 +1,46 @@
+import { describe, it, expect, beforeAll } from '@jest/globals';
+import { paymentLinks, PaymentLinkError } from '../../lib/payment-links';
+
+beforeAll(() => {
+  process.env.PAYMENT_LINK_SECRET = 'test-payment-link-secret';
+});
+
+describe('paymentLinks.claim', () => {
+  it('lets retries through the endpoint that started the payment', async () => {
+    const { link } = paymentLinks.createToken('inv_1', 'a@example.com');
+
+    await paymentLinks.claim(link, 'payment_intent');
+    await expect(paymentLinks.claim(link, 'payment_intent')).resolves.toBeUndefined();
+  });
+
+  it('refuses the other endpoint once a payment has started', async () => {
+    const { link } = paymentLinks.createToken('inv_2', 'a@example.com');
+
+    await paymentLinks.claim(link, 'checkout_session');
+    const refused = await paymentLinks.claim(link, 'payment_intent').catch(error => error);
+
+    expect(refused).toBeInstanceOf(PaymentLinkError);
+    expect(refused).toMatchObject({ code: 'ALREADY_STARTED', status: 409 });
+  });
+
+  it('keeps concurrent claims from both winning', async () => {
+    const { link } = paymentLinks.createToken('inv_3', 'a@example.com');
+
+    const results = await Promise.allSettled([
+      paymentLinks.claim(link, 'payment_intent'),
+      paymentLinks.claim(link, 'checkout_session')
+    ]);
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+  });
+});
+
+describe('paymentLinks.idempotencyKey', () => {
+  it('is stable for one balance and changes when a stale payment is replaced', () => {
+    const { link } = paymentLinks.createToken('inv_4', 'a@example.com');
+
+    expect(paymentLinks.idempotencyKey(link, 1050)).toBe(paymentLinks.idempotencyKey(link, 1050));
+    expect(paymentLinks.idempotencyKey(link, 1050)).not.toBe(paymentLinks.idempotencyKey(link, 900));
+    expect(paymentLinks.idempotencyKey(link, 1050, 'pi_old')).not.toBe(paymentLinks.idempotencyKey(link, 1050));
+  });
+});
@@ -0,0 +1,123 @@
+import { describe, it, expect, beforeAll, jest } from '@jest/globals';
+import crypto from 'crypto';
+import type { SavedCartItem } from '../../lib/saved-carts';
+
+process.env.CART_LINK_SECRET = 'test-cart-secret';
+process.env.CART_RECOVERY_HOURS = '0';
+process.env.NEXT_PUBLIC_BASE_URL = 'https://shop.test';
+
+let savedCarts: typeof import('../../lib/saved-carts').savedCarts;
+let emailService: typeof import('../../lib/email').emailService;
+
+const item = (productId: string, quantity: number): SavedCartItem => ({
+  product_id: productId,
+  variant_id: null,
+  variant_name: null,
+  product_name: `Product ${productId}`,
+  product_price: 10,
+  quantity,
+  product_images: [],
+  weight: null,
+  billing_interval: null
+});
+
+// Sends the recovery email for the account's cart and returns the signed link from it
+async function recoveryLink(email: string, items: SavedCartItem[]): Promise<string> {
+  const send = jest.spyOn(emailService, 'send').mockResolvedValue([]);
+  await savedCarts.sync(null, items, { owner: { email, accountId: `acc_${email}` } });
+  await savedCarts.sendRecoveryEmails();
+
+  const call = send.mock.calls.find(([, , options]) => options?.to === email);
+  send.mockRestore();
+  const restoreUrl = (call![1] as { restoreUrl: string }).restoreUrl;
+  return new URL(restoreUrl).searchParams.get('link')!;
+}
+
+beforeAll(async () => {
+  ({ savedCarts } = await import('../../lib/saved-carts'));
+  ({ emailService } = await import('../../lib/email'));
+});
+
+describe('cart recovery links', () => {
+  it('restores exactly the items the email showed', async () => {
+    const link = await recoveryLink('restore@example.com', [item('a', 2), item('b', 1)]);
+
+    const restored = await savedCarts.restore(link);
+
+    expect(restored.token).toEqual(expect.any(String));
+    expect(restored.items.map(line => [line.product_id, line.quantity])).toEqual([['a', 2], ['b', 1]]);
+  });
+
+  it('rejects a link whose payload was changed', async () => {
+    const link = await recoveryLink('tampered@example.com', [item('a', 1)]);
+    const [payload, signature] = link.split('.');
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    const forged = Buffer.from(JSON.stringify({ ...claims, exp: claims.exp + 1000 })).toString('base64url');
+
+    await expect(savedCarts.restore(`${forged}.${signature}`)).rejects.toMatchObject({ code: 'INVALID_LINK', status: 400 });
+  });
+
+  it('rejects a link signed with another secret', async () => {
+    const link = await recoveryLink('other-secret@example.com', [item('a', 1)]);
+    const [payload] = link.split('.');
+    const signature = crypto.createHmac('sha256', 'not-the-secret').update(payload).digest('base64url');
+
+    await expect(savedCarts.restore(`${payload}.${signature}`)).rejects.toMatchObject({ code: 'INVALID_LINK' });
+  });
+
+  it('rejects an expired link even with a valid signature', async () => {
+    const payload = Buffer.from(JSON.stringify({ rid: 'expired', exp: Date.now() - 1000 })).toString('base64url');
+    const signature = crypto.createHmac('sha256', 'test-cart-secret').update(payload).digest('base64url');
+
+    await expect(savedCarts.restore(`${payload}.${signature}`)).rejects.toMatchObject({ code: 'EXPIRED', status: 410 });
+  });
+
+  it('sends nothing without CART_LINK_SECRET', async () => {
+    const secret = process.env.CART_LINK_SECRET;
+    delete process.env.CART_LINK_SECRET;
+    try {
+      await expect(savedCarts.sendRecoveryEmails()).rejects.toMatchObject({ code: 'NOT_CONFIGURED', status: 503 });
+    } finally {
+      process.env.CART_LINK_SECRET = secret;
+    }
+  });
+});
+
+describe('cart merging', () => {
+  const owner = { accountId: 'acc_merge', email: 'merge@example.com', customerName: 'Ada' };
+
+  it("merges a signed-in customer's carts from their devices", async () => {
+    const laptop = await savedCarts.sync(null, [item('a', 1)], { merge: true, owner });
+    const phone = await savedCarts.sync(null, [item('b', 2)], { merge: true, owner });
+
+    expect(phone.changed).toBe(true);
+    expect(phone.items.map(line => line.product_id).sort()).toEqual(['a', 'b']);
+
+    // The laptop's token now leads to the merged cart
+    const again = await savedCarts.sync(laptop.token, [item('a', 1)], { merge: true });
+    expect(again.items.map(line => line.product_id).sort()).toEqual(['a', 'b']);
+  });
+
+  it("doesn't merge by an email typed in at checkout", async () => {
+    const victim = await savedCarts.sync(null, [item('victim-item', 3)], { merge: true, owner: { accountId: 'acc_victim', email: 'victim@example.com' } });
+    const stranger = await savedCarts.sync(null, [item('own-item', 1)], { merge: true });
+
+    await savedCarts.attachCheckout(stranger.token, { email: 'victim@example.com', customerName: 'Mallory' });
+
+    const strangerCart = await savedCarts.sync(stranger.token, [item('own-item', 1)], { merge: true });
+    expect(strangerCart.items.map(line => line.product_id)).toEqual(['own-item']);
+
+    const victimCart = await savedCarts.sync(victim.token, [], { merge: true });
+    expect(victimCart.items.map(line => [line.product_id, line.quantity])).toEqual([['victim-item', 3]]);
+  });
+
+  it("doesn't bring ordered items back from another device's old copy", async () => {
+    const cart = await savedCarts.sync(null, [item('a', 1)], { merge: true });
+    const cartId = await savedCarts.attachCheckout(cart.token, { email: 'ordered@example.com' });
+
+    expect(await savedCarts.markOrdered({ cartId })).toBe(true);
+
+    const stale = await savedCarts.sync(cart.token, [item('a', 1)], { merge: true });
+    expect(stale.items).toEqual([]);
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import { subscriptions } from '../../lib/subscriptions';
+import type { PricedCartItem } from '../../lib/cart-pricing';
+import type { OrderTotals } from '../../lib/order-totals';
+
+const line = (itemId: string, price: number, quantity: number, billingInterval: 'month' | null): PricedCartItem => ({
+  product_id: itemId,
+  item_id: itemId,
+  variant_id: null,
+  variant_name: null,
+  product_name: `Item ${itemId}`,
+  product_price: price,
+  quantity,
+  sku: itemId,
+  weight: null,
+  tax_class: 'standard',
+  billing_interval: billingInterval,
+  available_stock: null
+});
+
+const totals: OrderTotals = {
+  subtotal: 229,
+  taxableSubtotal: 229,
+  tax: 10,
+  taxRate: 0.05,
+  taxCalculated: true,
+  shipping: 5,
+  shippingMethod: 'ground',
+  weight: 1,
+  total: 244,
+  amountCents: 24400
+};
+
+let stripe: Record<string, Record<string, jest.Mock<(...args: any[]) => any>>>;
+
+beforeEach(() => {
+  stripe = {
+    customers: { list: jest.fn(async () => ({ data: [{ id: 'cus_shared' }] })) },
+    products: {
+      retrieve: jest.fn(async (id: string) => ({ id, name: id === 'tdw_item_router' ? 'Item router' : id === 'tdw_shipping' ? 'Shipping' : 'Sales tax', active: true }))
+    },
+    subscriptions: {
+      create: jest.fn(async () => ({
+        id: 'sub_1',
+        latest_invoice: { id: 'in_1', amount_due: 24400, payment_intent: { id: 'pi_1', client_secret: 'pi_1_secret' } }
+      })),
+      cancel: jest.fn()
+    },
+    paymentIntents: { update: jest.fn(async () => ({})) },
+    invoiceItems: { list: jest.fn(), create: jest.fn(), del: jest.fn() }
+  };
+  (subscriptions as any).client = stripe;
+  jest.spyOn(subscriptions as any, 'getPlan').mockResolvedValue({
+    itemId: 'plan',
+    name: 'Monthly data',
+    sku: 'plan',
+    interval: 'month',
+    price: 29,
+    taxClass: 'standard',
+    stripeProductId: 'tdw_plan_plan',
+    stripePriceId: 'price_plan',
+    syncedAt: new Date().toISOString()
+  });
+});
+
+describe('createCheckoutSubscription', () => {
+  it("puts the one-time charges on the subscription's own first invoice", async () => {
+    await subscriptions.createCheckoutSubscription({
+      customer: { email: 'shared@example.com', name: 'Ada Lovelace' },
+      items: [line('plan', 29, 1, 'month'), line('router', 100, 2, null)],
+      orderTotals: totals,
+      address: { state: 'CA' },
+      metadata: {},
+      requestId: 'req_1'
+    });
+
+    const params = stripe.subscriptions.create.mock.calls[0][0];
+    expect(params.add_invoice_items).toEqual([
+      { price_data: { currency: 'usd', product: 'tdw_item_router', unit_amount: 10000 }, quantity: 2 },
+      { price_data: { currency: 'usd', product: 'tdw_shipping', unit_amount: 500 }, quantity: 1 },
+      { price_data: { currency: 'usd', product: 'tdw_sales_tax', unit_amount: 1000 }, quantity: 1 }
+    ]);
+
+    // Pending items on the (shared) customer belong to nobody in particular and are left alone
+    expect(stripe.invoiceItems.list).not.toHaveBeenCalled();
+    expect(stripe.invoiceItems.create).not.toHaveBeenCalled();
+    expect(stripe.invoiceItems.del).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, it, expect, afterEach } from '@jest/globals';
+import type { IncomingMessage } from 'http';
+import { withRateLimit } from '../../middleware/rate-limit';
+import { getClientIp } from '../../lib/request-utils';
+
+const request = (headers: Record<string, string>, remoteAddress = '10.0.0.1') =>
+  ({ method: 'POST', url: '/api/account/login', headers, socket: { remoteAddress } }) as unknown as IncomingMessage;
+
+function response() {
+  const res = {
+    statusCode: 200,
+    headers: {} as Record<string, string>,
+    setHeader(name: string, value: string) { res.headers[name] = value; },
+    status(code: number) { res.statusCode = code; return res; },
+    json() { return res; }
+  };
+  return res;
+}
+
+afterEach(() => {
+  delete process.env.CLIENT_IP_HEADER;
+});
+
+describe('getClientIp', () => {
+  it('ignores forwarding headers the platform does not set', () => {
+    const req = request({ 'x-real-ip': '203.0.113.7', 'cf-connecting-ip': '1.1.1.1', 'x-forwarded-for': '2.2.2.2' });
+    expect(getClientIp(req)).toBe('203.0.113.7');
+  });
+
+  it('uses the connection address without the trusted header', () => {
+    expect(getClientIp(request({ 'x-forwarded-for': '2.2.2.2' }, '198.51.100.4'))).toBe('198.51.100.4');
+  });
+
+  it('takes the rightmost x-forwarded-for entry when that header is trusted', () => {
+    process.env.CLIENT_IP_HEADER = 'x-forwarded-for';
+    expect(getClientIp(request({ 'x-forwarded-for': '6.6.6.6, 203.0.113.9' }))).toBe('203.0.113.9');
+  });
+});
+
+describe('withRateLimit', () => {
+  it("can't be skipped by sending a new forwarding header per request", async () => {
+    const handler = withRateLimit(async (_req: unknown, res: ReturnType<typeof response>) => res.status(200).json(), 'account');
+    const statuses: number[] = [];
+
+    for (let attempt = 0; attempt < 25; attempt++) {
+      const res = response();
+      await handler(request({ 'x-forwarded-for': `192.0.2.${attempt}`, 'cf-connecting-ip': `198.18.0.${attempt}` }), res);
+      statuses.push(res.statusCode);
+    }
+
+    expect(statuses.filter(status => status === 200)).toHaveLength(20);
+    expect(statuses.slice(20)).toEqual([429, 429, 429, 429, 429]);
+  });
+});
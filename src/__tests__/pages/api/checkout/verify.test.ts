@@ -0,0 +1,92 @@
+import { describe, it, expect, beforeAll, beforeEach, afterEach, jest } from '@jest/globals';
+
+const paymentIntent = {
+  id: 'pi_paid',
+  client_secret: 'pi_paid_secret_abc',
+  status: 'succeeded',
+  amount: 10000,
+  currency: 'usd',
+  created: 1760000000,
+  metadata: {
+    zoho_order_id: 'so_1',
+    zoho_order_number: 'SO-00001',
+    customer_email: 'ada@example.com',
+    total: '100'
+  }
+};
+
+const stripe = {
+  paymentIntents: {
+    retrieve: jest.fn<(id: string, params?: unknown) => Promise<unknown>>()
+  }
+};
+
+jest.mock('stripe', () => () => stripe);
+
+let handler: (req: unknown, res: unknown) => Promise<unknown>;
+let orderTracking: typeof import('../../../../lib/order-tracking').orderTracking;
+let zoho: typeof import('../../../../lib/zoho-sdk').zoho;
+
+function response() {
+  const res = {
+    statusCode: 200,
+    body: null as any,
+    setHeader() {},
+    status(code: number) { res.statusCode = code; return res; },
+    json(body: unknown) { res.body = body; return res; }
+  };
+  return res;
+}
+
+async function verify(body: Record<string, string>) {
+  const res = response();
+  await handler({ method: 'POST', url: '/api/checkout/verify', headers: {}, socket: { remoteAddress: '10.0.0.1' }, body }, res);
+  return res;
+}
+
+beforeAll(async () => {
+  process.env.ORDER_LINK_SECRET = 'order-link-secret';
+  ({ default: handler } = await import('../../../../pages/api/checkout/verify'));
+  ({ orderTracking } = await import('../../../../lib/order-tracking'));
+  ({ zoho } = await import('../../../../lib/zoho-sdk'));
+});
+
+beforeEach(() => {
+  stripe.paymentIntents.retrieve.mockClear().mockResolvedValue(paymentIntent);
+  jest.spyOn(zoho.inventory, 'getSalesOrder').mockResolvedValue({
+    salesorder_id: 'so_1',
+    salesorder_number: 'SO-00001',
+    status: 'confirmed',
+    total: 100,
+    line_items: []
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('checkout verification', () => {
+  it('requires the client secret with a PaymentIntent id', async () => {
+    const res = await verify({ payment_intent: 'pi_paid' });
+
+    expect(res.statusCode).toBe(400);
+    expect(stripe.paymentIntents.retrieve).not.toHaveBeenCalled();
+  });
+
+  it('issues no order token for a wrong client secret', async () => {
+    const createToken = jest.spyOn(orderTracking, 'createToken');
+    const res = await verify({ payment_intent: 'pi_paid', payment_intent_client_secret: 'pi_paid_secret_xyz' });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.order_token).toBeUndefined();
+    expect(createToken).not.toHaveBeenCalled();
+  });
+
+  it('issues the order token to the browser that paid', async () => {
+    const res = await verify({ payment_intent: 'pi_paid', payment_intent_client_secret: 'pi_paid_secret_abc' });
+
+    expect(res.statusCode).toBe(200);
+    expect(typeof res.body.order_token).toBe('string');
+  });
+});
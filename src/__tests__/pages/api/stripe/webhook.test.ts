@@ -0,0 +1,65 @@
+import { describe, it, expect, beforeAll, beforeEach, afterEach, jest } from '@jest/globals';
+
+const stripe = {
+  paymentIntents: {
+    retrieve: jest.fn<(id: string) => Promise<unknown>>(),
+    update: jest.fn<(id: string, params: unknown) => Promise<unknown>>()
+  }
+};
+
+jest.mock('stripe', () => () => stripe);
+
+let processStripeEvent: (event: unknown) => Promise<any>;
+let zoho: typeof import('../../../../lib/zoho-sdk').zoho;
+let emailService: typeof import('../../../../lib/email').emailService;
+
+const paymentIntent = {
+  id: 'pi_retry',
+  metadata: {
+    customer_name: 'Ada Lovelace',
+    customer_email: 'ada@example.com',
+    cart_items: JSON.stringify([{ id: 'item_1', name: 'Router', price: 100, qty: 1 }]),
+    subtotal: '100',
+    total: '100'
+  }
+};
+
+beforeAll(async () => {
+  ({ processStripeEvent } = await import('../../../../pages/api/stripe/webhook'));
+  ({ zoho } = await import('../../../../lib/zoho-sdk'));
+  ({ emailService } = await import('../../../../lib/email'));
+});
+
+beforeEach(() => {
+  // The earlier attempt created the order but never got its id into the metadata
+  stripe.paymentIntents.retrieve.mockResolvedValue(paymentIntent);
+  stripe.paymentIntents.update.mockResolvedValue(paymentIntent);
+  jest.spyOn(emailService, 'send').mockResolvedValue([]);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Stripe payment_intent.succeeded retries', () => {
+  it('reuses the Zoho order whose reference number is the PaymentIntent', async () => {
+    const find = jest.spyOn(zoho.inventory, 'findSalesOrderByReference').mockResolvedValue({
+      salesorder_id: 'so_1',
+      salesorder_number: 'SO-00001',
+      customer_id: 'contact_1',
+      reference_number: 'pi_retry'
+    });
+    const createSalesOrder = jest.spyOn(zoho.inventory, 'createSalesOrder');
+    const createContact = jest.spyOn(zoho.inventory, 'createContact');
+
+    const result = await processStripeEvent({ type: 'payment_intent.succeeded', data: { object: paymentIntent } });
+
+    expect(find).toHaveBeenCalledWith('pi_retry');
+    expect(createContact).not.toHaveBeenCalled();
+    expect(createSalesOrder).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ status: 'order_created', order_id: 'so_1', order_number: 'SO-00001' });
+    expect(stripe.paymentIntents.update).toHaveBeenCalledWith('pi_retry', {
+      metadata: expect.objectContaining({ zoho_order_id: 'so_1' })
+    });
+  });
+});
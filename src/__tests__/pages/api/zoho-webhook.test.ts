@@ -0,0 +1,67 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import handler from '../../../pages/api/zoho-webhook';
+import { webhookLedger } from '../../../lib/webhook-ledger';
+
+// As Zoho sends it: `10.50` and the spacing don't survive JSON.parse then JSON.stringify
+const body = '{ "event_type": "order.updated", "event_id": "evt_1", "data": { "order": { "order_id": "SO-1", "total": 10.50 } } }';
+const sign = (payload: string, secret: string) => crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+function response() {
+  const res = {
+    statusCode: 200,
+    status(code: number) { res.statusCode = code; return res; },
+    json() { return res; }
+  };
+  return res;
+}
+
+async function deliver(headers: Record<string, string>, raw = body) {
+  const req = Object.assign(Readable.from([Buffer.from(raw)]), { method: 'POST', headers });
+  const res = response();
+  await handler(req as never, res as never);
+  return res.statusCode;
+}
+
+let receive: ReturnType<typeof jest.spyOn>;
+
+beforeEach(() => {
+  process.env.ZOHO_WEBHOOK_SECRET = 'zoho-secret';
+  receive = jest.spyOn(webhookLedger, 'receive').mockResolvedValue({
+    outcome: 'processed',
+    record: { attempts: 1, processedAt: new Date().toISOString(), lastError: null }
+  } as never);
+});
+
+afterEach(() => {
+  delete process.env.ZOHO_WEBHOOK_SECRET;
+  jest.restoreAllMocks();
+});
+
+describe('Zoho webhook signatures', () => {
+  it('rejects an unsigned event when a secret is configured', async () => {
+    expect(await deliver({})).toBe(401);
+    expect(receive).not.toHaveBeenCalled();
+  });
+
+  it('rejects a wrong signature', async () => {
+    expect(await deliver({ 'x-zoho-signature': sign(body, 'another-secret') })).toBe(401);
+    expect(receive).not.toHaveBeenCalled();
+  });
+
+  it('accepts a correctly signed event', async () => {
+    expect(await deliver({ 'x-zoho-signature': sign(body, 'zoho-secret') })).toBe(200);
+    expect(receive).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects a signature over the re-serialized payload', async () => {
+    expect(await deliver({ 'x-zoho-signature': sign(JSON.stringify(JSON.parse(body)), 'zoho-secret') })).toBe(401);
+    expect(receive).not.toHaveBeenCalled();
+  });
+
+  it('rejects a signed body that is not JSON', async () => {
+    expect(await deliver({ 'x-zoho-signature': sign('not json', 'zoho-secret') }, 'not json')).toBe(400);
+    expect(receive).not.toHaveBeenCalled();
+  });
+});
@@ -1,7 +1,8 @@
 // ===== src/components/Cart.tsx (FIXED) =====
 import React, { useState } from 'react';
 import { useRouter } from 'next/router'; // ✅ Added router import
-import { useCartStore } from '../store/cart';
+import { useCartStore, cartLineKey } from '../store/cart';
+import { calculateOrderTotals } from '../lib/order-totals';
 import { 
   ShoppingCart, 
   Minus, 
@@ -21,10 +22,12 @@ const Cart: React.FC = () => {
     closeCart, 
     removeItem, 
     updateQuantity, 
-    getTotalPrice, 
     getTotalItems 
   } = useCartStore();
 
+  // Ground shipping estimate; tax needs the shipping address
+  const { subtotal, shipping } = calculateOrderTotals(items);
+
   const handleCheckout = () => {
   if (items.length === 0) {
     toast.error('Your cart is empty');
@@ -85,7 +88,7 @@ const Cart: React.FC = () => {
             ) : (
               <div className="space-y-4">
                 {items.map((item) => (
-                  <div key={item.product_id} className="border rounded-lg p-3">
+                  <div key={cartLineKey(item)} className="border rounded-lg p-3">
                     <div className="flex items-center space-x-3">
                       <img
                         src={item.product_images?.[0] || '/placeholder-product.png'}
@@ -96,8 +99,14 @@ const Cart: React.FC = () => {
                         <h4 className="font-medium text-gray-900 text-sm line-clamp-2">
                           {item.product_name}
                         </h4>
+                        {item.variant_name && (
+                          <p className="text-xs text-gray-500">{item.variant_name}</p>
+                        )}
                         <div className="text-travel-blue font-semibold mt-1">
                           ${item.product_price}
+                          {item.billing_interval && (
+                            <span className="text-xs font-normal text-gray-500">/{item.billing_interval === 'year' ? 'yr' : 'mo'}</span>
+                          )}
                         </div>
                       </div>
                     </div>
@@ -106,7 +115,7 @@ const Cart: React.FC = () => {
                       {/* Quantity Controls */}
                       <div className="flex items-center space-x-2">
                         <button
-                          onClick={() => updateQuantity(item.product_id, Math.max(0, item.quantity - 1))}
+                          onClick={() => updateQuantity(cartLineKey(item), Math.max(0, item.quantity - 1))}
                           className="w-8 h-8 rounded-full border border-gray-300 flex items-center justify-center hover:bg-gray-50"
                         >
                           <Minus className="h-3 w-3" />
@@ -115,7 +124,7 @@ const Cart: React.FC = () => {
                           {item.quantity}
                         </span>
                         <button
-                          onClick={() => updateQuantity(item.product_id, item.quantity + 1)}
+                          onClick={() => updateQuantity(cartLineKey(item), item.quantity + 1)}
                           className="w-8 h-8 rounded-full border border-gray-300 flex items-center justify-center hover:bg-gray-50"
                         >
                           <Plus className="h-3 w-3" />
@@ -124,7 +133,7 @@ const Cart: React.FC = () => {
                       
                       {/* Remove Button */}
                       <button
-                        onClick={() => removeItem(item.product_id)}
+                        onClick={() => removeItem(cartLineKey(item))}
                         className="text-red-500 hover:text-red-700 p-1"
                       >
                         <Trash2 className="h-4 w-4" />
@@ -139,9 +148,16 @@ const Cart: React.FC = () => {
           {/* Footer */}
           {items.length > 0 && (
             <div className="border-t p-4 space-y-4">
+              <div className="space-y-1 text-sm text-gray-600">
+                <div className="flex justify-between">
+                  <span>Ground shipping:</span>
+                  <span>{shipping === 0 ? 'FREE' : `$${shipping.toFixed(2)}`}</span>
+                </div>
+                <p className="text-xs">Tax and faster shipping options are calculated at checkout</p>
+              </div>
               <div className="flex justify-between text-lg font-semibold">
-                <span>Total:</span>
-                <span className="text-travel-blue">${getTotalPrice().toFixed(2)}</span>
+                <span>Subtotal:</span>
+                <span className="text-travel-blue">${subtotal.toFixed(2)}</span>
               </div>
               
               <div className="space-y-2">
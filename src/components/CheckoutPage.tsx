@@ -2,6 +2,7 @@
 import React, { useState, useEffect } from 'react';
 import { useRouter } from 'next/router'; // ✅ Added router import
 import { useCartStore } from '../store/cart';
+import { calculateOrderTotals } from '../lib/order-totals';
 import { 
   CreditCard, 
   Lock, 
@@ -21,7 +22,7 @@ import toast from 'react-hot-toast';
 
 const CheckoutPage: React.FC = () => {
   const router = useRouter(); // ✅ Added router hook
-  const { items, getTotalPrice, clearCart } = useCartStore();
+  const { items, clearCart } = useCartStore();
   
   // Form state
   const [customerInfo, setCustomerInfo] = useState({
@@ -109,10 +110,7 @@ const CheckoutPage: React.FC = () => {
   }
   
   // Calculate totals
-  const subtotal = getTotalPrice();
-  const shipping = subtotal >= 100 ? 0 : 9.99;
-  const tax = Math.round(subtotal * 0.0875 * 100) / 100;
-  const total = subtotal + shipping + tax;
+  const { subtotal, shipping, tax, total } = calculateOrderTotals(items, { address: shippingAddress });
 
   // Rest of component implementation...
   return (
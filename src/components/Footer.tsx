@@ -33,6 +33,7 @@ const Footer: React.FC = () => {
     { name: 'RV Internet Blog', href: '/blog' },
     { name: 'Customer Reviews', href: '/reviews' },
     { name: 'Coverage Map', href: '/coverage' },
+    { name: 'Track Your Order', href: '/order' },
   ];
 
   const legalLinks = [
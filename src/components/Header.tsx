@@ -1,7 +1,7 @@
 // src/components/Header.tsx
 import React, { useState, useEffect } from 'react';
 import Link from 'next/link';
-import { ShoppingCart, Menu, X, HelpCircle } from 'lucide-react';
+import { ShoppingCart, Menu, X, HelpCircle, User } from 'lucide-react';
 import { useCartStore } from '../store/cart';
 import Cart from './Cart';
 
@@ -16,6 +16,7 @@ const Header: React.FC = () => {
     { name: 'Solutions', href: '/solutions', description: 'Find your perfect setup' },
     { name: 'Coverage', href: '/coverage', description: 'Check network availability' },
     { name: 'Support Center', href: '/support', description: 'Get help and guides', icon: HelpCircle },
+    { name: 'Account', href: '/account', description: 'Your orders and saved addresses', icon: User },
   ];
 
   // Handle scroll effect for header transparency
@@ -194,7 +195,7 @@ const Header: React.FC = () => {
                   >
                     {item.icon && <item.icon className="h-4 w-4" />}
                     <span>{item.name}</span>
-                    {item.name !== 'Support Center' && (
+                    {!item.icon && (
                       <span className="absolute -bottom-1 left-0 w-0 h-0.5 bg-logo-teal transition-all duration-200 group-hover:w-full"></span>
                     )}
                   </Link>
@@ -0,0 +1,95 @@
+// src/components/OrderLookupForm.tsx - Order number + email form for the order tracking pages
+import React, { useState } from 'react';
+import { useRouter } from 'next/router';
+import { Search, Loader2, AlertCircle } from 'lucide-react';
+
+interface OrderLookupFormProps {
+  initialOrderNumber?: string;
+}
+
+const OrderLookupForm: React.FC<OrderLookupFormProps> = ({ initialOrderNumber = '' }) => {
+  const router = useRouter();
+  const [orderNumber, setOrderNumber] = useState(initialOrderNumber);
+  const [email, setEmail] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      const response = await fetch('/api/orders/lookup', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ order_number: orderNumber, email })
+      });
+      const result = await response.json();
+
+      if (!response.ok) {
+        setError(result.error || 'We couldn\'t find that order');
+        return;
+      }
+
+      router.push(`/order/${encodeURIComponent(result.order_id)}?token=${encodeURIComponent(result.token)}`);
+    } catch (lookupError) {
+      console.error('Order lookup failed:', lookupError);
+      setError('Unable to look up your order right now. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4 text-left">
+      <div>
+        <label htmlFor="order-number" className="block text-sm font-medium text-gray-700 mb-1">
+          Order number
+        </label>
+        <input
+          id="order-number"
+          type="text"
+          required
+          value={orderNumber}
+          onChange={e => setOrderNumber(e.target.value)}
+          placeholder="SO-00001"
+          className="w-full border border-gray-300 rounded-lg px-4 py-3 focus:ring-2 focus:ring-travel-blue focus:border-transparent"
+        />
+      </div>
+
+      <div>
+        <label htmlFor="order-email" className="block text-sm font-medium text-gray-700 mb-1">
+          Email used for the order
+        </label>
+        <input
+          id="order-email"
+          type="email"
+          required
+          value={email}
+          onChange={e => setEmail(e.target.value)}
+          placeholder="you@example.com"
+          className="w-full border border-gray-300 rounded-lg px-4 py-3 focus:ring-2 focus:ring-travel-blue focus:border-transparent"
+        />
+      </div>
+
+      {error && (
+        <div className="flex items-start space-x-2 text-sm text-red-600">
+          <AlertCircle className="h-4 w-4 mt-0.5 flex-shrink-0" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      <button
+        type="submit"
+        disabled={submitting}
+        className="w-full flex items-center justify-center space-x-2 bg-travel-blue text-white py-3 px-4 rounded-lg font-medium hover:bg-blue-700 transition-colors disabled:opacity-60"
+      >
+        {submitting ? <Loader2 className="h-4 w-4 animate-spin" /> : <Search className="h-4 w-4" />}
+        <span>{submitting ? 'Looking up order...' : 'Find my order'}</span>
+      </button>
+    </form>
+  );
+};
+
+export default OrderLookupForm;
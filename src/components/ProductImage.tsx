@@ -1,6 +1,7 @@
 // ===== src/components/ProductImage.tsx ===== (Enhanced version)
 import React, { useState, useEffect } from 'react';
 import { Package, ImageIcon, AlertCircle, Zap } from 'lucide-react';
+import { productImageSrc, productImageSrcSet, type ImageVariant } from '../utils/product-images';
 
 interface EnhancedImageData {
   url: string;
@@ -30,6 +31,14 @@ interface ProductImageProps {
   onImageLoad?: (success: boolean, source?: string) => void;
 }
 
+// Rendered width of each size class, for the srcset
+const SIZE_PIXELS = {
+  small: '64px',
+  medium: '192px',
+  large: '256px',
+  xlarge: '384px'
+};
+
 const ProductImage: React.FC<ProductImageProps> = ({ 
   product, 
   className = '', 
@@ -53,6 +62,14 @@ const ProductImage: React.FC<ProductImageProps> = ({
     xlarge: 'w-96 h-96'
   };
 
+  // Proxy variant for each display size; the next one up is offered for high-density screens
+  const imageVariants: Record<NonNullable<ProductImageProps['size']>, ImageVariant[]> = {
+    small: ['thumbnail', 'card'],
+    medium: ['card', 'gallery'],
+    large: ['card', 'gallery'],
+    xlarge: ['gallery', 'zoom']
+  };
+
   const iconSizes = {
     small: 'h-4 w-4',
     medium: 'h-8 w-8',
@@ -61,8 +78,8 @@ const ProductImage: React.FC<ProductImageProps> = ({
   };
 
   // Get the best available images in priority order
-  const getAvailableImages = (): { url: string; source?: string }[] => {
-    const images: { url: string; source?: string }[] = [];
+  const getAvailableImages = (): { url: string; srcSet?: string; source?: string }[] => {
+    const images: { url: string; srcSet?: string; source?: string }[] = [];
     
     // Method 1: Use enhanced images (preferred)
     if (product.enhanced_images && product.enhanced_images.length > 0) {
@@ -87,9 +104,14 @@ const ProductImage: React.FC<ProductImageProps> = ({
       })));
     }
     
-    // Method 2: Fall back to legacy product_images array
+    // Method 2: Catalog product_images, resized and cached by /api/images
     if (images.length === 0 && product.product_images && product.product_images.length > 0) {
-      images.push(...product.product_images.map(url => ({ url, source: 'legacy' })));
+      const variants = imageVariants[size];
+      images.push(...product.product_images.map((_, index) => ({
+        url: productImageSrc(product.product_id, index, variants[0]),
+        srcSet: productImageSrcSet(product.product_id, index, variants),
+        source: 'catalog'
+      })));
     }
     
     return images;
@@ -188,6 +210,8 @@ const ProductImage: React.FC<ProductImageProps> = ({
       {/* Main Image */}
       <img
         src={currentImage?.url || createPlaceholder()}
+        srcSet={currentImage?.srcSet}
+        sizes={currentImage?.srcSet ? SIZE_PIXELS[size] : undefined}
         alt={productName}
         className={`w-full h-full object-cover rounded transition-opacity duration-300 ${
           isLoading ? 'opacity-0' : 'opacity-100'
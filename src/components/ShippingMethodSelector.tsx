@@ -0,0 +1,51 @@
+// ===== src/components/ShippingMethodSelector.tsx =====
+import React from 'react';
+import { Truck } from 'lucide-react';
+import { getShippingOptions, type ShippingMethod, type TotalsItem } from '../lib/order-totals';
+
+interface ShippingMethodSelectorProps {
+  items: TotalsItem[];
+  value: ShippingMethod;
+  onChange: (method: ShippingMethod) => void;
+}
+
+const formatDays = ([min, max]: [number, number]) =>
+  min === max ? `${min} business day${min === 1 ? '' : 's'}` : `${min}-${max} business days`;
+
+const ShippingMethodSelector: React.FC<ShippingMethodSelectorProps> = ({ items, value, onChange }) => {
+  const options = getShippingOptions(items);
+
+  return (
+    <div className="space-y-3">
+      {options.map(option => (
+        <label
+          key={option.id}
+          className={`flex items-center justify-between p-3 border rounded-md cursor-pointer ${
+            value === option.id ? 'border-blue-500 bg-blue-50' : 'border-gray-300'
+          }`}
+        >
+          <div className="flex items-center">
+            <input
+              type="radio"
+              name="shippingMethod"
+              value={option.id}
+              checked={value === option.id}
+              onChange={() => onChange(option.id)}
+              className="mr-3 h-4 w-4 text-blue-600 focus:ring-blue-500"
+            />
+            <Truck className="h-4 w-4 mr-2 text-gray-500" />
+            <div>
+              <div className="text-sm font-medium text-gray-900">{option.label}</div>
+              <div className="text-xs text-gray-600">{formatDays(option.businessDays)}</div>
+            </div>
+          </div>
+          <span className="text-sm font-medium text-gray-900">
+            {option.cost === 0 ? 'FREE' : `$${option.cost.toFixed(2)}`}
+          </span>
+        </label>
+      ))}
+    </div>
+  );
+};
+
+export default ShippingMethodSelector;
@@ -22,7 +22,7 @@ const ArticleList = ({
   isSearchResults = false,
   searchQuery = ""
 }) => {
-  const [sortBy, setSortBy] = useState('modifiedTime'); // modifiedTime, viewCount, helpfulCount, title
+  const [sortBy, setSortBy] = useState(isSearchResults ? 'score' : 'modifiedTime'); // score, modifiedTime, viewCount, helpfulCount, title
   const [sortOrder, setSortOrder] = useState('desc'); // asc, desc
   const [showFilters, setShowFilters] = useState(false);
 
@@ -142,7 +142,7 @@ const ArticleList = ({
                 Search Results 
                 {searchQuery && (
                   <span className="text-gray-500 font-normal">
-                    for "{searchQuery}"
+                    for &quot;{searchQuery}&quot;
                   </span>
                 )}
               </>
@@ -176,6 +176,7 @@ const ArticleList = ({
             <span className="text-sm font-medium text-gray-700 mr-2">Sort by:</span>
             
             {[
+              ...(isSearchResults ? [{ key: 'score', label: 'Relevance' }] : []),
               { key: 'modifiedTime', label: 'Last Updated' },
               { key: 'viewCount', label: 'Most Viewed' },
               { key: 'helpfulCount', label: 'Most Helpful' },
@@ -226,17 +227,30 @@ const ArticleList = ({
             >
               {/* Article header */}
               <div className="flex items-start justify-between mb-3">
-                <h3 className="text-lg font-semibold text-gray-900 group-hover:text-blue-600 transition-colors pr-4 leading-tight">
-                  {isSearchResults ? 
-                    highlightSearchTerms(article.title, searchQuery) : 
-                    article.title
-                  }
-                </h3>
+                {isSearchResults && article.highlights?.title ? (
+                  // Server highlights are escaped and also cover typo-corrected matches
+                  <h3
+                    className="text-lg font-semibold text-gray-900 group-hover:text-blue-600 transition-colors pr-4 leading-tight [&_mark]:bg-yellow-200 [&_mark]:px-1 [&_mark]:rounded"
+                    dangerouslySetInnerHTML={{ __html: article.highlights.title }}
+                  />
+                ) : (
+                  <h3 className="text-lg font-semibold text-gray-900 group-hover:text-blue-600 transition-colors pr-4 leading-tight">
+                    {isSearchResults ? 
+                      highlightSearchTerms(article.title, searchQuery) : 
+                      article.title
+                    }
+                  </h3>
+                )}
                 <ChevronRight className="h-5 w-5 text-gray-400 group-hover:text-blue-600 transition-colors flex-shrink-0" />
               </div>
 
-              {/* Article summary */}
-              {article.summary && (
+              {/* Article summary (search results show the matching passage instead) */}
+              {isSearchResults && article.highlights?.snippet ? (
+                <p
+                  className="text-gray-600 mb-4 leading-relaxed [&_mark]:bg-yellow-200 [&_mark]:px-1 [&_mark]:rounded"
+                  dangerouslySetInnerHTML={{ __html: article.highlights.snippet }}
+                />
+              ) : article.summary && (
                 <p className="text-gray-600 mb-4 leading-relaxed">
                   {isSearchResults ? 
                     highlightSearchTerms(truncateText(article.summary), searchQuery) :
@@ -52,10 +52,11 @@ const ArticleView = ({ article, onBack, onRelatedArticleSelect }) => {
   const handleFeedback = async (type) => {
     setFeedback(type);
     
+    // Record the vote right away so it counts even if the comment form is skipped
+    await submitFeedback(type);
+
     if (type === 'unhelpful') {
       setShowFeedbackForm(true);
-    } else {
-      await submitFeedback(type);
     }
   };
 
@@ -29,6 +29,8 @@ const ContactForm = ({ onSuccess }) => {
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [submitStatus, setSubmitStatus] = useState(null); // 'success', 'error'
   const [errors, setErrors] = useState({});
+  const [ticket, setTicket] = useState(null);
+  const [submitError, setSubmitError] = useState(null);
 
   const categories = [
     { value: 'general', label: 'General Inquiry' },
@@ -129,6 +131,7 @@ const ContactForm = ({ onSuccess }) => {
 
     setIsSubmitting(true);
     setSubmitStatus(null);
+    setSubmitError(null);
 
     try {
       // Create FormData for file uploads
@@ -147,8 +150,9 @@ const ContactForm = ({ onSuccess }) => {
       });
 
       // Submit to API
-      await knowledgeBaseAPI.submitContactForm(submitData);
+      const response = await knowledgeBaseAPI.submitContactForm(submitData);
       
+      setTicket(response.data);
       setSubmitStatus('success');
       
       // Reset form after success
@@ -163,11 +167,17 @@ const ContactForm = ({ onSuccess }) => {
           attachments: []
         });
         setSubmitStatus(null);
-        onSuccess?.();
+        onSuccess?.(response.data);
       }, 3000);
 
     } catch (error) {
       console.error('Failed to submit contact form:', error);
+      const data = error.response?.data;
+      // Show server-side validation errors next to their fields
+      if (data?.fields) {
+        setErrors(data.fields);
+      }
+      setSubmitError(data?.message || null);
       setSubmitStatus('error');
     } finally {
       setIsSubmitting(false);
@@ -193,8 +203,18 @@ const ContactForm = ({ onSuccess }) => {
             <div>
               <h3 className="text-sm font-medium text-green-800">Message Sent Successfully!</h3>
               <p className="text-sm text-green-700 mt-1">
-                We've received your message and will get back to you within 24 hours.
+                We&apos;ve received your message and will get back to you within 24 hours.
               </p>
+              {ticket?.ticketNumber && (
+                <p className="text-sm text-green-700 mt-1">
+                  Your ticket number is <span className="font-semibold">#{ticket.ticketNumber}</span>. Please include it if you contact us again.
+                </p>
+              )}
+              {ticket?.attachmentErrors?.length > 0 && (
+                <p className="text-sm text-yellow-700 mt-1">
+                  These attachments could not be uploaded: {ticket.attachmentErrors.join(', ')}
+                </p>
+              )}
             </div>
           </div>
         </div>
@@ -208,7 +228,7 @@ const ContactForm = ({ onSuccess }) => {
             <div>
               <h3 className="text-sm font-medium text-red-800">Failed to Send Message</h3>
               <p className="text-sm text-red-700 mt-1">
-                Please try again or contact us directly using the information below.
+                {submitError || 'Please try again or contact us directly using the information below.'}
               </p>
             </div>
           </div>
@@ -20,8 +20,10 @@ export const supportRoutes = {
     articles: '/api/knowledge-base/articles',
     search: '/api/knowledge-base/search',
     categories: '/api/knowledge-base/categories',
+    stats: '/api/knowledge-base/stats',
     contact: '/api/support/contact',
     feedback: '/api/knowledge-base/feedback',
+    feedbackReport: '/api/knowledge-base/feedback/report',
     sync: '/api/knowledge-base/sync',
     health: '/api/knowledge-base/health'
   }
@@ -0,0 +1,62 @@
+// src/hooks/useCartSync.ts
+// Mirrors the cart to the server (/api/cart) so it follows the customer to other devices.
+// The first sync after a page load merges the browser's cart with the server's copy; after that every
+// change is sent (debounced) and replaces it. Used once, in _app.
+
+import { useEffect } from 'react';
+import { useCartStore } from '../store/cart';
+
+const SYNC_DELAY_MS = 1000;
+
+export function useCartSync(): void {
+  const isHydrated = useCartStore(state => state.isHydrated);
+
+  useEffect(() => {
+    if (!isHydrated) return;
+
+    let timer: ReturnType<typeof setTimeout> | undefined;
+    let applyingServerItems = false;
+
+    const push = async (merge: boolean) => {
+      const { items, cartToken } = useCartStore.getState();
+
+      try {
+        const response = await fetch('/api/cart', {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ token: cartToken, items, merge })
+        });
+        if (!response.ok) return;
+
+        const result = await response.json();
+        const current = useCartStore.getState();
+
+        // Take the server's items only if the cart didn't change while the request was out
+        if (result.changed && current.items === items) {
+          applyingServerItems = true;
+          current.replaceItems(result.items, result.token);
+          applyingServerItems = false;
+        } else if (result.token !== current.cartToken) {
+          current.replaceItems(current.items, result.token);
+        }
+      } catch (error) {
+        // The local cart still works; the next change tries again
+        console.warn('Cart sync failed:', error);
+      }
+    };
+
+    push(true);
+
+    const unsubscribe = useCartStore.subscribe((state, previous) => {
+      if (state.items === previous.items || applyingServerItems) return;
+
+      clearTimeout(timer);
+      timer = setTimeout(() => push(false), SYNC_DELAY_MS);
+    });
+
+    return () => {
+      unsubscribe();
+      clearTimeout(timer);
+    };
+  }, [isHydrated]);
+}
@@ -0,0 +1,103 @@
+// src/lib/cart-metadata.ts - The priced cart in Stripe PaymentIntent metadata, for the webhook to create the Zoho order from
+// Stripe allows 50 keys of up to 500 characters, so the cart JSON is split over cart_items_1..n and
+// cart_items_parts says how many there are. A cart that doesn't fit is refused at checkout, never truncated.
+
+import type { PricedCartItem } from './cart-pricing';
+
+// One order line as the webhook reads it back
+interface CartMetadataLine {
+  // The Zoho item the sales order line sells: the chosen variant, or the product itself
+  id: string;
+  name: string;
+  price: number;
+  qty: number;
+}
+
+type CartMetadataErrorCode = 'CART_TOO_LARGE' | 'CART_METADATA_INVALID';
+
+const PART_LENGTH = 500;
+
+// The rest of the checkout metadata and the order ids the webhook adds need the other keys
+const MAX_PARTS = 15;
+
+/**
+ * A cart too big for the metadata at checkout, or metadata that no longer holds the whole cart
+ */
+class CartMetadataError extends Error {
+  code: CartMetadataErrorCode;
+  status: number;
+
+  constructor(message: string, code: CartMetadataErrorCode, status: number) {
+    super(message);
+    this.name = 'CartMetadataError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * Metadata keys holding the cart. Non-ASCII characters are escaped so every part is exactly
+ * the characters Stripe counts.
+ */
+function cartToMetadata(items: PricedCartItem[]): Record<string, string> {
+  const json = JSON.stringify(items.map(item => ({
+    id: item.item_id,
+    name: item.product_name.substring(0, 50),
+    price: item.product_price,
+    qty: item.quantity
+  }))).replace(/[\u007f-\uffff]/g, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+
+  const parts = Math.ceil(json.length / PART_LENGTH);
+  if (parts > MAX_PARTS) {
+    throw new CartMetadataError(
+      'This cart has too many items to check out as one order. Please split it into smaller orders.',
+      'CART_TOO_LARGE',
+      400
+    );
+  }
+
+  const metadata: Record<string, string> = { cart_items_parts: String(parts) };
+  for (let part = 0; part < parts; part++) {
+    metadata[`cart_items_${part + 1}`] = json.slice(part * PART_LENGTH, (part + 1) * PART_LENGTH);
+  }
+  return metadata;
+}
+
+function hasCartMetadata(metadata: Record<string, string> | null | undefined): boolean {
+  return !!(metadata?.cart_items_parts || metadata?.cart_items);
+}
+
+/**
+ * The cart written by cartToMetadata (or the single cart_items key older PaymentIntents have).
+ * Null when the metadata holds no cart; throws when a part is missing or it doesn't parse.
+ */
+function cartFromMetadata(metadata: Record<string, string> | null | undefined): CartMetadataLine[] | null {
+  if (!metadata || !hasCartMetadata(metadata)) return null;
+
+  let json = metadata.cart_items || '';
+  if (metadata.cart_items_parts) {
+    const parts = parseInt(metadata.cart_items_parts, 10);
+    const values = Array.from({ length: parts }, (_, part) => metadata[`cart_items_${part + 1}`]);
+
+    if (!(parts > 0) || values.some(value => typeof value !== 'string')) {
+      throw new CartMetadataError('Cart metadata is missing parts', 'CART_METADATA_INVALID', 422);
+    }
+    json = values.join('');
+  }
+
+  let lines: unknown;
+  try {
+    lines = JSON.parse(json);
+  } catch {
+    throw new CartMetadataError('Cart metadata is not valid JSON', 'CART_METADATA_INVALID', 422);
+  }
+
+  if (!Array.isArray(lines) || lines.length === 0) {
+    throw new CartMetadataError('Cart metadata holds no items', 'CART_METADATA_INVALID', 422);
+  }
+  return lines as CartMetadataLine[];
+}
+
+export { CartMetadataError, cartToMetadata, cartFromMetadata, hasCartMetadata };
+
+export type { CartMetadataLine, CartMetadataErrorCode };
@@ -0,0 +1,369 @@
+// src/lib/cart-pricing.ts - Re-price carts from the catalog before any order or charge is created
+// The browser cart (zustand, localStorage) only tells us which products and how many. Prices,
+// weights, tax classes and stock come from Zoho Inventory, or the cached products feed if Zoho is down.
+// Units other checkouts have reserved (lib/inventory-reservations) don't count as in stock.
+// A line with a variant_id sells that item of the product's item group; other lines sell product_id.
+
+import { zoho, parseStock, type ZohoInventoryItem } from './zoho-sdk';
+import { catalogSync } from './catalog-sync';
+import { inventoryReservations } from './inventory-reservations';
+import { normalizeTaxClass, normalizeBillingInterval, type TaxClass, type BillingInterval } from './order-totals';
+
+type CartChangeType = 'price_changed' | 'quantity_reduced' | 'out_of_stock' | 'unavailable';
+
+interface CartChange {
+  type: CartChangeType;
+  productId: string;
+  variantId?: string;
+  productName: string;
+  message: string;
+  previousPrice?: number;
+  currentPrice?: number;
+  requestedQuantity?: number;
+  availableQuantity?: number;
+}
+
+// Cart lines as the different checkout pages send them
+interface CartLineInput {
+  product_id?: string;
+  item_id?: string;
+  productId?: string;
+  variant_id?: string | null;
+  product_name?: string;
+  productName?: string;
+  name?: string;
+  product_price?: number | string;
+  price?: number | string;
+  quantity?: number | string;
+}
+
+interface PricedCartItem {
+  product_id: string;
+  // The Zoho item sold: the variant, or the product itself
+  item_id: string;
+  variant_id: string | null;
+  variant_name: string | null;
+  product_name: string;
+  product_price: number;
+  quantity: number;
+  sku: string;
+  weight: number | null;
+  tax_class: TaxClass;
+  // Set on data plans, which checkout sells as a subscription
+  billing_interval: BillingInterval | null;
+  // Zoho stock before reservations; null when the item isn't stock-tracked, so nothing is reserved
+  available_stock: number | null;
+}
+
+interface CatalogEntry {
+  name: string;
+  variantName: string | null;
+  // Item group the item belongs to, if any
+  groupId: string | null;
+  price: number;
+  sku: string;
+  weight: number | null;
+  taxClass: TaxClass;
+  billingInterval: BillingInterval | null;
+  active: boolean;
+  // null when the item is not stock-tracked or stock can't be checked right now
+  stock: number | null;
+}
+
+interface CartPricingResult {
+  items: PricedCartItem[];
+  changes: CartChange[];
+  changed: boolean;
+}
+
+/**
+ * Thrown when neither Zoho Inventory nor the cached feed can price a line, so nothing may be charged
+ */
+class CatalogUnavailableError extends Error {
+  status = 503;
+
+  constructor(productId: string) {
+    super(`Could not verify the price of product ${productId}; the catalog is unavailable`);
+    this.name = 'CatalogUnavailableError';
+  }
+}
+
+class CartPricing {
+  /**
+   * Re-price every line and check stock. Lines that can't be sold are dropped and quantities are
+   * capped at available stock; every difference from what the browser sent is listed in `changes`.
+   */
+  async priceCart(cartItems: CartLineInput[]): Promise<CartPricingResult> {
+    const lines = mergeLines(cartItems);
+    let feed: Promise<Map<string, any> | null> | null = null;
+    const loadFeed = () => (feed = feed || this.loadFeed());
+
+    const entries = await Promise.all(lines.map(line => this.lookup(line.itemId, loadFeed)));
+    const held = await inventoryReservations.getHeld(
+      lines.filter((line, index) => entries[index]?.stock != null).map(line => line.itemId)
+    );
+
+    const items: PricedCartItem[] = [];
+    const changes: CartChange[] = [];
+
+    lines.forEach((line, index) => {
+      // A variant must still belong to the product it was chosen on
+      const entry = entries[index] && (!line.variantId || line.variantId === line.productId || entries[index]?.groupId === line.productId)
+        ? entries[index]
+        : null;
+      const productName = entry?.name || line.productName || line.productId;
+      const lineIds = { productId: line.productId, ...(line.variantId && { variantId: line.variantId }) };
+
+      if (!entry || !entry.active) {
+        changes.push({
+          type: 'unavailable',
+          ...lineIds,
+          productName,
+          message: `${productName} is no longer available and was removed from your cart`
+        });
+        return;
+      }
+
+      let quantity = line.quantity;
+      const sellable = entry.stock !== null ? entry.stock - (held[line.itemId] || 0) : null;
+
+      if (sellable !== null && sellable < quantity) {
+        const available = Math.max(0, Math.floor(sellable));
+
+        if (available <= 0) {
+          changes.push({
+            type: 'out_of_stock',
+            ...lineIds,
+            productName,
+            message: `${productName} is out of stock and was removed from your cart`,
+            requestedQuantity: quantity,
+            availableQuantity: 0
+          });
+          return;
+        }
+
+        changes.push({
+          type: 'quantity_reduced',
+          ...lineIds,
+          productName,
+          message: `Only ${available} of ${productName} in stock; quantity changed from ${quantity} to ${available}`,
+          requestedQuantity: quantity,
+          availableQuantity: available
+        });
+        quantity = available;
+      }
+
+      // A line sent without a price simply takes the catalog price
+      if (line.priceCents !== null && line.priceCents !== Math.round(entry.price * 100)) {
+        changes.push({
+          type: 'price_changed',
+          ...lineIds,
+          productName,
+          message: `The price of ${productName} changed from $${(line.priceCents / 100).toFixed(2)} to $${entry.price.toFixed(2)}`,
+          previousPrice: line.priceCents / 100,
+          currentPrice: entry.price
+        });
+      }
+
+      items.push({
+        product_id: line.productId,
+        item_id: line.itemId,
+        variant_id: line.variantId,
+        variant_name: entry.variantName,
+        product_name: entry.name,
+        product_price: entry.price,
+        quantity,
+        sku: entry.sku,
+        weight: entry.weight,
+        tax_class: entry.taxClass,
+        billing_interval: entry.billingInterval,
+        available_stock: entry.stock
+      });
+    });
+
+    if (changes.length > 0) {
+      console.log(`🛒 Cart re-pricing found ${changes.length} change(s):`, changes.map(change => `${change.type}:${change.productId}`));
+    }
+
+    return { items, changes, changed: changes.length > 0 };
+  }
+
+  /**
+   * Live Inventory item, falling back to the cached products feed when Zoho can't be reached
+   */
+  private async lookup(itemId: string, loadFeed: () => Promise<Map<string, any> | null>): Promise<CatalogEntry | null> {
+    try {
+      const item = await zoho.inventory.getItem(itemId);
+      return item ? fromInventoryItem(item) : null;
+    } catch (error) {
+      console.warn(`⚠️ Live price lookup failed for ${itemId}, using cached products feed:`, error instanceof Error ? error.message : error);
+    }
+
+    const feed = await loadFeed();
+    if (!feed) throw new CatalogUnavailableError(itemId);
+
+    const product = feed.get(itemId);
+    return product ? fromFeedProduct(product) : null;
+  }
+
+  private async loadFeed(): Promise<Map<string, any> | null> {
+    try {
+      const feed = await catalogSync.getFeed();
+      if (!feed) return null;
+
+      // Variants are sold by their own item id, so they are looked up like products
+      return new Map(feed.products.flatMap(product => [
+        [String(product.product_id), product] as [string, any],
+        ...(product.variants || []).map(variant => [String(variant.variant_id), {
+          ...variant,
+          product_name: `${product.product_name} - ${variant.variant_name}`,
+          group_id: product.product_id
+        }] as [string, any])
+      ]));
+    } catch (error) {
+      console.error('Products feed read error:', error);
+      return null;
+    }
+  }
+}
+
+/**
+ * Shipping weight in pounds, or null when the item has none set in Inventory
+ */
+function catalogWeightLbs(item: Pick<ZohoInventoryItem, 'weight' | 'weight_unit' | 'package_details'>): number | null {
+  const weight = parseFloat(String(item.package_details?.weight ?? item.weight));
+  if (isNaN(weight) || weight <= 0) return null;
+
+  const unit = String(item.package_details?.weight_unit || item.weight_unit || 'lb').toLowerCase();
+  const perPound: Record<string, number> = { lb: 1, lbs: 1, oz: 1 / 16, kg: 2.20462, g: 0.00220462 };
+  return Math.round(weight * (perPound[unit] || 1) * 100) / 100;
+}
+
+/**
+ * Tax class from the cf_tax_class custom field; non-taxable Inventory items are exempt
+ */
+function catalogTaxClass(item: Pick<ZohoInventoryItem, 'cf_tax_class' | 'cf_tax_class_unformatted' | 'is_taxable'>): TaxClass {
+  const taxClass = item.cf_tax_class_unformatted || item.cf_tax_class;
+  if (taxClass) return normalizeTaxClass(String(taxClass).toLowerCase());
+  return item.is_taxable === false ? 'exempt' : 'standard';
+}
+
+/**
+ * Billing interval from the cf_billing_interval custom field; null for one-time products
+ */
+function catalogBillingInterval(item: Pick<ZohoInventoryItem, 'cf_billing_interval' | 'cf_billing_interval_unformatted'>): BillingInterval | null {
+  return normalizeBillingInterval(item.cf_billing_interval_unformatted || item.cf_billing_interval);
+}
+
+/**
+ * Units Zoho can still sell, before checkout reservations; null for items that aren't stock-tracked
+ */
+function catalogSellableStock(
+  item: Pick<ZohoInventoryItem, 'item_type' | 'product_type' | 'available_for_sale_stock' | 'available_stock' | 'stock_on_hand'>
+): number | null {
+  const tracked = item.item_type === 'inventory' && item.product_type !== 'service';
+  return tracked ? parseStock(item.available_for_sale_stock ?? item.available_stock ?? item.stock_on_hand) : null;
+}
+
+function fromInventoryItem(item: ZohoInventoryItem): CatalogEntry {
+  const billingInterval = catalogBillingInterval(item);
+
+  const options = [item.attribute_option_name1, item.attribute_option_name2, item.attribute_option_name3].filter(Boolean);
+
+  return {
+    name: item.name,
+    variantName: options.length > 0 ? options.join(' / ') : null,
+    groupId: item.group_id || null,
+    price: parseFloat(String(item.rate)) || 0,
+    sku: item.sku || item.item_id,
+    weight: billingInterval ? 0 : catalogWeightLbs(item),
+    taxClass: catalogTaxClass(item),
+    billingInterval,
+    active: item.status === 'active',
+    stock: catalogSellableStock(item)
+  };
+}
+
+function fromFeedProduct(product: any): CatalogEntry {
+  return {
+    name: product.product_name,
+    variantName: product.variant_name || null,
+    groupId: product.group_id || null,
+    price: parseFloat(product.product_price) || 0,
+    sku: product.sku || product.product_id,
+    weight: product.weight ?? null,
+    taxClass: normalizeTaxClass(product.tax_class),
+    billingInterval: normalizeBillingInterval(product.billing_interval),
+    active: !product.status || String(product.status).toLowerCase() === 'active',
+    // The feed lags stock changes until the next sync, too stale to turn customers away on
+    stock: null
+  };
+}
+
+/**
+ * One line per item sold (product or variant), summing quantities; lines without an id or quantity are dropped
+ */
+function mergeLines(cartItems: CartLineInput[]) {
+  const lines: Array<{
+    productId: string;
+    variantId: string | null;
+    itemId: string;
+    productName: string | null;
+    priceCents: number | null;
+    quantity: number;
+  }> = [];
+
+  cartItems.forEach(item => {
+    const productId = String(item.product_id || item.item_id || item.productId || '').trim();
+    const variantId = String(item.variant_id || '').trim() || null;
+    const quantity = parseInt(String(item.quantity ?? 1), 10);
+    if (!productId || !(quantity > 0)) return;
+
+    const price = parseFloat(String(item.product_price ?? item.price));
+    const itemId = variantId || productId;
+    const existing = lines.find(line => line.itemId === itemId);
+
+    if (existing) {
+      existing.quantity += quantity;
+      return;
+    }
+
+    lines.push({
+      productId,
+      variantId,
+      itemId,
+      productName: item.product_name || item.productName || item.name || null,
+      priceCents: isNaN(price) ? null : Math.round(price * 100),
+      quantity
+    });
+  });
+
+  return lines;
+}
+
+/**
+ * Body of the 409 response checkout routes return when the cart no longer matches the catalog
+ */
+function cartChangedResponse(result: CartPricingResult, requestId?: string) {
+  return {
+    error: 'Cart changed',
+    code: 'CART_CHANGED',
+    message: 'Some items in your cart have changed. Please review your cart before paying.',
+    changes: result.changes,
+    cart: result.items,
+    ...(requestId && { requestId })
+  };
+}
+
+export const cartPricing = new CartPricing();
+
+export {
+  CatalogUnavailableError,
+  cartChangedResponse,
+  catalogWeightLbs,
+  catalogTaxClass,
+  catalogBillingInterval,
+  catalogSellableStock
+};
+
+export type { CartChange, CartChangeType, CartLineInput, PricedCartItem, CartPricingResult };
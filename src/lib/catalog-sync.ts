@@ -0,0 +1,669 @@
+// src/lib/catalog-sync.ts - Products feed kept up to date by a sync job instead of built per request
+// Each displayable Inventory item is stored under its own key (product:<itemId>) with the catalog
+// version that wrote it, and the index that /api/products serves is rebuilt from those entries.
+// sync() refreshes the items changed since the last run (by last_modified_time) and is POSTed by a
+// scheduler every few minutes; a full sync once a day also drops items deleted in Zoho. Zoho item and
+// stock webhooks call invalidate(), which refreshes just those items right away.
+// Items of one Zoho item group become a single feed product with a variant per item, and composite
+// items are sold as bundles at their own price, with the items they contain listed.
+
+import crypto from 'crypto';
+import { zoho, parseStock, type ZohoInventoryItem, type ZohoCompositeItem } from './zoho-sdk';
+import { createPersistentStore } from './persistent-store';
+import { catalogWeightLbs, catalogTaxClass, catalogBillingInterval, catalogSellableStock } from './cart-pricing';
+import type { TaxClass, BillingInterval } from './order-totals';
+
+// An item group attribute and this item's option, e.g. Cable length: 10 ft
+interface CatalogAttribute {
+  name: string;
+  option: string;
+}
+
+// One item of an item group, with its own SKU, price and stock
+interface CatalogVariant {
+  variant_id: string;
+  variant_name: string;
+  sku: string | undefined;
+  attributes: CatalogAttribute[];
+  product_price: string | number;
+  product_images: string[];
+  status: string;
+  weight: number | null;
+  tax_class: TaxClass;
+  billing_interval: BillingInterval | null;
+  sellable_stock: number | null;
+}
+
+// An item a bundle (composite item) is made of
+interface CatalogBundleComponent {
+  item_id: string;
+  name: string;
+  sku: string | undefined;
+  quantity: number;
+  // Price when bought on its own, if Zoho returns it
+  rate: number | null;
+}
+
+// One product in the /api/products feed
+interface CatalogProduct {
+  product_id: string;
+  product_name: string;
+  product_price: string | number;
+  product_description: string;
+  product_images: string[];
+  inventory_count: number;
+  product_category: string;
+  category_id: string | null;
+  status: string;
+  seo_url: string;
+  cf_display_in_app: string | boolean | undefined;
+  sku: string | undefined;
+  item_type: string | undefined;
+  product_type: string | undefined;
+  rate: string | number;
+  // Shipping weight (lbs), tax class and plan billing interval for lib/order-totals
+  weight: number | null;
+  tax_class: TaxClass;
+  billing_interval: BillingInterval | null;
+  stock_on_hand: string | number | undefined;
+  available_stock: string | number | undefined;
+  // What checkout checks against, before reservations; null when not stock-tracked
+  sellable_stock: number | null;
+  group_id: string | null;
+  group_name: string | null;
+  // This item's options within its group; empty on the group product itself
+  attributes: CatalogAttribute[];
+  // Set on item group products; the cart takes a variant_id from these
+  variants: CatalogVariant[];
+  variant_options: Array<{ name: string; options: string[] }>;
+  // Set on bundles
+  bundle_components: CatalogBundleComponent[] | null;
+  created_time: string | undefined;
+  last_modified_time: string | undefined;
+  has_commerce_images: boolean;
+  has_commerce_match: boolean;
+  commerce_product_id: string | null;
+  commerce_match_type: 'sku_match' | 'name_match' | 'no_match';
+  image_source: string;
+}
+
+interface StoredProduct {
+  product: CatalogProduct;
+  // Catalog version of the sync or invalidation that wrote this entry
+  version: number;
+  lastModifiedTime: string | null;
+  syncedAt: string;
+}
+
+interface CatalogFeed {
+  version: number;
+  builtAt: string;
+  products: CatalogProduct[];
+  meta: Record<string, unknown>;
+}
+
+interface CatalogSyncState {
+  // Newest last_modified_time seen; the next incremental sync starts there
+  cursor: string | null;
+  lastSyncAt: string | null;
+  lastFullSyncAt: string | null;
+  lastResult: CatalogSyncResult | null;
+}
+
+interface CatalogSyncResult {
+  status: 'synced' | 'unchanged' | 'locked';
+  full: boolean;
+  version: number | null;
+  fetched: number;
+  updated: number;
+  removed: number;
+  durationMs: number;
+}
+
+interface InvalidationResult {
+  // queued: another sync holds the lock and the items are refreshed by it or the next run
+  status: 'refreshed' | 'queued';
+  itemIds: string[];
+  version: number | null;
+}
+
+interface CatalogSyncConfig {
+  fullSyncIntervalHours: number;
+  lockTtlSeconds: number;
+  // How long a webhook waits for a running sync before leaving its items to the next one
+  lockWaitMs: number;
+}
+
+const INDEX_KEY = 'index';
+const STATE_KEY = 'state';
+const VERSION_KEY = 'version';
+const LOCK_KEY = 'lock:sync';
+// Zoho returns at most 200 items a page; this bounds a runaway listing
+const MAX_PAGES = 50;
+const STALE_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+class CatalogSync {
+  private store = createPersistentStore('catalog');
+
+  private readonly config: CatalogSyncConfig = {
+    fullSyncIntervalHours: parseInt(process.env.CATALOG_FULL_SYNC_HOURS || '24'),
+    lockTtlSeconds: 600,
+    lockWaitMs: 10000
+  };
+
+  /**
+   * The products feed, or null before the first sync
+   */
+  async getFeed(): Promise<CatalogFeed | null> {
+    return this.store.get<CatalogFeed>(INDEX_KEY);
+  }
+
+  async getState(): Promise<CatalogSyncState> {
+    return (await this.store.get<CatalogSyncState>(STATE_KEY)) || {
+      cursor: null,
+      lastSyncAt: null,
+      lastFullSyncAt: null,
+      lastResult: null
+    };
+  }
+
+  /**
+   * Refresh items changed since the last sync (all items when full, when there is no feed yet
+   * or when the last full sync is older than CATALOG_FULL_SYNC_HOURS) and rebuild the index
+   */
+  async sync(options: { full?: boolean } = {}): Promise<CatalogSyncResult> {
+    const startedAt = Date.now();
+    const lockId = await this.acquireLock(0);
+
+    if (!lockId) {
+      console.log('⏳ Catalog sync already running, skipping');
+      return { status: 'locked', full: Boolean(options.full), version: null, fetched: 0, updated: 0, removed: 0, durationMs: 0 };
+    }
+
+    try {
+      const state = await this.getState();
+      const fullSyncDue = !state.lastFullSyncAt ||
+        Date.now() - Date.parse(state.lastFullSyncAt) > this.config.fullSyncIntervalHours * 60 * 60 * 1000;
+      const full = Boolean(options.full) || fullSyncDue || !(await this.getFeed());
+
+      console.log(`🔄 Catalog ${full ? 'full' : 'incremental'} sync starting${full ? '' : ` from ${state.cursor}`}`);
+
+      const staleIds = await this.takeStaleMarks();
+      let fetched: ZohoInventoryItem[];
+      let applied: { updated: number; removed: number; version: number | null };
+
+      try {
+        fetched = full ? await this.fetchAllItems() : await this.fetchItemsModifiedSince(state.cursor);
+
+        // Skip items already stored at this modification time (the cursor second is fetched again)
+        const changed = full ? fetched : await this.withoutUnchanged(fetched, new Set(staleIds));
+
+        // Invalidated items the listing didn't return, e.g. stock changes that leave last_modified_time alone
+        const listed = new Set(fetched.map(item => item.item_id));
+        const { items: staleItems, missingIds } = await this.fetchItems(staleIds.filter(id => !listed.has(id)));
+
+        applied = await this.apply([...changed, ...staleItems], missingIds, {
+          keepOnly: full ? fetched.map(item => item.item_id) : null,
+          freshImageIds: staleIds
+        });
+      } catch (error) {
+        await this.markStale(staleIds, 'retry');
+        throw error;
+      }
+
+      const result: CatalogSyncResult = {
+        status: applied.version === null ? 'unchanged' : 'synced',
+        full,
+        version: applied.version ?? (await this.getFeed())?.version ?? null,
+        fetched: fetched.length,
+        updated: applied.updated,
+        removed: applied.removed,
+        durationMs: Date.now() - startedAt
+      };
+
+      const newest = fetched.reduce((max, item) => Math.max(max, modifiedAt(item)), state.cursor ? Date.parse(state.cursor) : 0);
+      const now = new Date().toISOString();
+
+      await this.store.set<CatalogSyncState>(STATE_KEY, {
+        cursor: newest > 0 ? new Date(newest).toISOString() : null,
+        lastSyncAt: now,
+        lastFullSyncAt: full ? now : state.lastFullSyncAt,
+        lastResult: result
+      });
+
+      console.log(`✅ Catalog sync ${result.status}: ${result.fetched} fetched, ${result.updated} updated, ${result.removed} removed (v${result.version}) in ${result.durationMs}ms`);
+      return result;
+    } finally {
+      await this.releaseLock(lockId);
+    }
+  }
+
+  /**
+   * Refresh items a Zoho webhook says changed. Throws when Zoho can't be reached; the items stay
+   * marked stale, so the next sync picks them up even if the webhook is never retried.
+   */
+  async invalidate(itemIds: string[], reason: string): Promise<InvalidationResult> {
+    const ids = Array.from(new Set(itemIds.filter(Boolean).map(String)));
+    if (ids.length === 0) return { status: 'refreshed', itemIds: [], version: null };
+
+    await this.markStale(ids, reason);
+
+    const lockId = await this.acquireLock(this.config.lockWaitMs);
+    if (!lockId) {
+      console.log(`⏳ Catalog sync running, ${ids.length} invalidated item(s) queued for the next run`);
+      return { status: 'queued', itemIds: ids, version: null };
+    }
+
+    try {
+      // Also takes items earlier webhooks left queued
+      const staleIds = await this.takeStaleMarks();
+
+      try {
+        const { items, missingIds } = await this.fetchItems(staleIds);
+        const { version } = await this.apply(items, missingIds, { keepOnly: null, freshImageIds: staleIds });
+
+        console.log(`🧹 Catalog refreshed ${staleIds.length} item(s) after ${reason} (v${version})`);
+        return { status: 'refreshed', itemIds: staleIds, version };
+      } catch (error) {
+        await this.markStale(staleIds, reason);
+        throw error;
+      }
+    } finally {
+      await this.releaseLock(lockId);
+    }
+  }
+
+  /**
+   * Write product entries for items, delete entries for removed or hidden ones and rebuild the index.
+   * With keepOnly (a full sync) every entry whose item wasn't listed is deleted as well.
+   */
+  private async apply(
+    items: ZohoInventoryItem[],
+    removedIds: string[],
+    options: { keepOnly: string[] | null; freshImageIds: string[] }
+  ): Promise<{ updated: number; removed: number; version: number | null }> {
+    const displayable = items.filter(isDisplayable);
+    const hiddenIds = [...removedIds, ...items.filter(item => !isDisplayable(item)).map(item => item.item_id)];
+
+    if (options.keepOnly) {
+      const keep = new Set(options.keepOnly);
+      const storedIds = (await this.store.keys('product:')).map(key => key.slice('product:'.length));
+      hiddenIds.push(...storedIds.filter(id => !keep.has(id)));
+    }
+
+    const removals = await Promise.all(Array.from(new Set(hiddenIds)).map(id => this.store.delete(`product:${id}`)));
+    const removed = removals.filter(Boolean).length;
+
+    if (displayable.length === 0 && removed === 0 && !options.keepOnly) {
+      return { updated: 0, removed: 0, version: null };
+    }
+
+    const commerceProducts = displayable.length > 0 ? await this.commerceProductsFor(displayable, options.freshImageIds) : new Map();
+    const bundles = await this.bundleComponentsFor(displayable);
+    const version = await this.store.increment(VERSION_KEY);
+    const syncedAt = new Date().toISOString();
+
+    for (const item of displayable) {
+      const match = commerceProducts.get(item.item_id) || null;
+      await this.store.set<StoredProduct>(`product:${item.item_id}`, {
+        product: toCatalogProduct(item, match, bundles.get(item.item_id) || null),
+        version,
+        lastModifiedTime: item.last_modified_time || null,
+        syncedAt
+      });
+    }
+
+    await this.rebuildIndex(version);
+    return { updated: displayable.length, removed, version };
+  }
+
+  /**
+   * Store products matched to items by SKU, then name, with Storefront images fetched for the matches only
+   */
+  private async commerceProductsFor(items: ZohoInventoryItem[], freshImageIds: string[]): Promise<Map<string, { product: any; matchType: 'sku_match' | 'name_match' }>> {
+    const storeProducts = await zoho.commerce.getStoreProducts();
+    const lookup = new Map<string, any>();
+
+    storeProducts.forEach(product => {
+      if (product.sku) lookup.set(`sku:${String(product.sku).toLowerCase()}`, product);
+      // Store products with variants carry the SKUs of the item group's items there
+      (Array.isArray(product.variants) ? product.variants : []).forEach((variant: any) => {
+        if (variant?.sku) lookup.set(`sku:${String(variant.sku).toLowerCase()}`, product);
+      });
+      const name = product.product_name || product.name;
+      if (name) lookup.set(`name:${String(name).toLowerCase().trim()}`, product);
+    });
+
+    const matches = new Map<string, { product: any; matchType: 'sku_match' | 'name_match' }>();
+    items.forEach(item => {
+      const bySku = item.sku ? lookup.get(`sku:${item.sku.toLowerCase()}`) : null;
+      const byName = !bySku && item.name ? lookup.get(`name:${item.name.toLowerCase().trim()}`) : null;
+      if (bySku) matches.set(item.item_id, { product: bySku, matchType: 'sku_match' });
+      else if (byName) matches.set(item.item_id, { product: byName, matchType: 'name_match' });
+    });
+
+    const matchedProducts = Array.from(new Set(Array.from(matches.values()).map(match => match.product)));
+
+    // An invalidated item may have new images, so don't serve them from the image cache
+    const fresh = new Set(freshImageIds);
+    zoho.commerce.forgetImages(
+      Array.from(matches.entries()).filter(([itemId]) => fresh.has(itemId)).map(([, match]) => match.product.product_id)
+    );
+
+    const withImages = new Map((await zoho.commerce.addImages(matchedProducts)).map(product => [product.product_id, product]));
+    matches.forEach(match => {
+      match.product = withImages.get(match.product.product_id) || match.product;
+    });
+
+    return matches;
+  }
+
+  /**
+   * Components of the composite items among items, by item id. One Zoho call per composite, 5 at a time.
+   */
+  private async bundleComponentsFor(items: ZohoInventoryItem[]): Promise<Map<string, CatalogBundleComponent[]>> {
+    const composites = items.filter(item => item.is_combo_product);
+    const details: Array<ZohoCompositeItem | null> = [];
+    const concurrency = 5;
+
+    for (let i = 0; i < composites.length; i += concurrency) {
+      const batch = composites.slice(i, i + concurrency);
+      details.push(...await Promise.all(batch.map(item => zoho.inventory.getCompositeItem(item.item_id))));
+    }
+
+    return new Map(composites.map((item, index) => [
+      item.item_id,
+      (details[index]?.mapped_items || []).map(component => ({
+        item_id: component.item_id,
+        name: component.name,
+        sku: component.sku,
+        quantity: parseFloat(String(component.quantity)) || 1,
+        rate: component.rate != null && !isNaN(parseFloat(String(component.rate))) ? parseFloat(String(component.rate)) : null
+      }))
+    ]));
+  }
+
+  private async rebuildIndex(version: number): Promise<CatalogFeed> {
+    const entries = await this.store.list<StoredProduct>('product:');
+    const products = groupVariants(entries.map(entry => entry.value.product))
+      .sort((a, b) => a.product_name.localeCompare(b.product_name));
+
+    const builtAt = new Date().toISOString();
+    const feed: CatalogFeed = {
+      version,
+      builtAt,
+      products,
+      meta: {
+        active_display_products: products.length,
+        catalog_version: version,
+        built_at: builtAt,
+        api_version: '3.0_catalog_sync',
+        ...imageStatistics(products)
+      }
+    };
+
+    await this.store.set<CatalogFeed>(INDEX_KEY, feed);
+    return feed;
+  }
+
+  private async fetchAllItems(): Promise<ZohoInventoryItem[]> {
+    const items: ZohoInventoryItem[] = [];
+
+    for (let page = 1; page <= MAX_PAGES; page++) {
+      const result = await zoho.inventory.listItems({ page, sortColumn: 'name', sortOrder: 'A' });
+      items.push(...result.items);
+      if (!result.hasMore) break;
+    }
+
+    return items;
+  }
+
+  /**
+   * Items modified at or after the cursor, newest first (Zoho timestamps are to the second)
+   */
+  private async fetchItemsModifiedSince(cursor: string | null): Promise<ZohoInventoryItem[]> {
+    const since = cursor ? Date.parse(cursor) : 0;
+    const items: ZohoInventoryItem[] = [];
+
+    for (let page = 1; page <= MAX_PAGES; page++) {
+      const result = await zoho.inventory.listItems({ page, sortColumn: 'last_modified_time', sortOrder: 'D' });
+
+      for (const item of result.items) {
+        if (modifiedAt(item) < since) return items;
+        items.push(item);
+      }
+
+      if (!result.hasMore) break;
+    }
+
+    return items;
+  }
+
+  /**
+   * Items by id; ids Zoho no longer knows are returned as missing
+   */
+  private async fetchItems(itemIds: string[]): Promise<{ items: ZohoInventoryItem[]; missingIds: string[] }> {
+    const found = await Promise.all(itemIds.map(id => zoho.inventory.getItem(id)));
+
+    return {
+      items: found.filter((item): item is ZohoInventoryItem => item !== null),
+      missingIds: itemIds.filter((_, index) => found[index] === null)
+    };
+  }
+
+  private async withoutUnchanged(items: ZohoInventoryItem[], force: Set<string>): Promise<ZohoInventoryItem[]> {
+    const stored = await Promise.all(items.map(item => this.store.get<StoredProduct>(`product:${item.item_id}`)));
+
+    return items.filter((item, index) =>
+      force.has(item.item_id) || !stored[index] || stored[index]?.lastModifiedTime !== (item.last_modified_time || null)
+    );
+  }
+
+  private async markStale(itemIds: string[], reason: string): Promise<void> {
+    await Promise.all(itemIds.map(id => this.store.set(`stale:${id}`, reason, { ttlSeconds: STALE_TTL_SECONDS })));
+  }
+
+  /**
+   * Ids marked stale, unmarked before they are refreshed so a webhook arriving meanwhile marks them again
+   */
+  private async takeStaleMarks(): Promise<string[]> {
+    const keys = await this.store.keys('stale:');
+    await Promise.all(keys.map(key => this.store.delete(key)));
+    return keys.map(key => key.slice('stale:'.length));
+  }
+
+  /**
+   * Lock id when acquired, null when another sync still holds the lock after waitMs
+   */
+  private async acquireLock(waitMs: number): Promise<string | null> {
+    const lockId = crypto.randomUUID();
+    const deadline = Date.now() + waitMs;
+
+    while (true) {
+      if (await this.store.setIfAbsent(LOCK_KEY, lockId, { ttlSeconds: this.config.lockTtlSeconds })) {
+        return lockId;
+      }
+      if (Date.now() >= deadline) return null;
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+  }
+
+  private async releaseLock(lockId: string): Promise<void> {
+    if ((await this.store.get<string>(LOCK_KEY)) === lockId) {
+      await this.store.delete(LOCK_KEY);
+    }
+  }
+}
+
+/**
+ * Active items with cf_display_in_app set
+ */
+function isDisplayable(item: ZohoInventoryItem): boolean {
+  const displayInApp = item.cf_display_in_app_unformatted === true ||
+    ['true', '1'].includes(String(item.cf_display_in_app ?? '').toLowerCase());
+  const active = !item.status || item.status.toLowerCase() === 'active';
+  return displayInApp && active;
+}
+
+function modifiedAt(item: ZohoInventoryItem): number {
+  return Date.parse(item.last_modified_time || '') || 0;
+}
+
+function toCatalogProduct(
+  item: ZohoInventoryItem,
+  match: { product: any; matchType: 'sku_match' | 'name_match' } | null,
+  bundleComponents: CatalogBundleComponent[] | null
+): CatalogProduct {
+  const images: string[] = Array.isArray(match?.product.product_images)
+    ? match!.product.product_images.filter((image: unknown) => typeof image === 'string' && image.trim() !== '')
+    : [];
+  const billingInterval = catalogBillingInterval(item);
+  const raw = item as ZohoInventoryItem & Record<string, any>;
+
+  return {
+    product_id: item.item_id,
+    product_name: item.name,
+    product_price: item.rate || 0,
+    product_description: item.description || '',
+    product_images: images,
+    inventory_count: parseStock(item.stock_on_hand ?? item.available_stock),
+    product_category: raw.category_name || raw.group_name || '',
+    category_id: raw.category_id || raw.group_id || null,
+    status: item.status,
+    seo_url: item.sku || item.item_id,
+    cf_display_in_app: item.cf_display_in_app_unformatted ?? item.cf_display_in_app,
+    sku: item.sku,
+    item_type: item.item_type,
+    product_type: item.product_type,
+    rate: item.rate,
+    weight: billingInterval ? 0 : catalogWeightLbs(item),
+    tax_class: catalogTaxClass(item),
+    billing_interval: billingInterval,
+    stock_on_hand: item.stock_on_hand,
+    available_stock: item.available_stock,
+    sellable_stock: catalogSellableStock(item),
+    group_id: item.group_id || null,
+    group_name: item.group_name || null,
+    attributes: itemAttributes(item),
+    variants: [],
+    variant_options: [],
+    bundle_components: bundleComponents,
+    created_time: item.created_time,
+    last_modified_time: item.last_modified_time,
+    has_commerce_images: images.length > 0,
+    has_commerce_match: Boolean(match),
+    commerce_product_id: match?.product.product_id || null,
+    commerce_match_type: match?.matchType || 'no_match',
+    image_source: match?.product.image_source || 'no_source'
+  };
+}
+
+/**
+ * Attribute options of an item in an item group, in Zoho's attribute order
+ */
+function itemAttributes(item: ZohoInventoryItem): CatalogAttribute[] {
+  return ([1, 2, 3] as const)
+    .map(n => ({ name: item[`attribute_name${n}`], option: item[`attribute_option_name${n}`] }))
+    .filter((attribute): attribute is CatalogAttribute => Boolean(attribute.name && attribute.option));
+}
+
+/**
+ * One product per item group, with the group's items as its variants; other products are unchanged
+ */
+function groupVariants(products: CatalogProduct[]): CatalogProduct[] {
+  const groups = new Map<string, CatalogProduct[]>();
+  const standalone: CatalogProduct[] = [];
+
+  products.forEach(product => {
+    if (!product.group_id) {
+      standalone.push(product);
+      return;
+    }
+    groups.set(product.group_id, [...(groups.get(product.group_id) || []), product]);
+  });
+
+  return [
+    ...standalone,
+    ...Array.from(groups.entries()).map(([groupId, members]) => toGroupProduct(groupId, members))
+  ];
+}
+
+/**
+ * The group's product fields come from its first variant with images; price is the lowest variant price
+ */
+function toGroupProduct(groupId: string, members: CatalogProduct[]): CatalogProduct {
+  const sorted = [...members].sort((a, b) => a.product_name.localeCompare(b.product_name));
+  const base = sorted.find(member => member.product_images.length > 0) || sorted[0];
+  const lowestPrice = Math.min(...sorted.map(member => parseFloat(String(member.product_price)) || 0));
+  const untracked = sorted.some(member => member.sellable_stock === null);
+
+  const variantOptions: Array<{ name: string; options: string[] }> = [];
+  sorted.forEach(member => member.attributes.forEach(attribute => {
+    const existing = variantOptions.find(option => option.name === attribute.name);
+    if (!existing) variantOptions.push({ name: attribute.name, options: [attribute.option] });
+    else if (!existing.options.includes(attribute.option)) existing.options.push(attribute.option);
+  }));
+
+  return {
+    ...base,
+    product_id: groupId,
+    product_name: base.group_name || base.product_name,
+    product_price: lowestPrice,
+    rate: lowestPrice,
+    seo_url: groupId,
+    sku: undefined,
+    inventory_count: sorted.reduce((sum, member) => sum + member.inventory_count, 0),
+    stock_on_hand: undefined,
+    available_stock: undefined,
+    sellable_stock: untracked ? null : sorted.reduce((sum, member) => sum + (member.sellable_stock || 0), 0),
+    attributes: [],
+    variants: sorted.map(member => ({
+      variant_id: member.product_id,
+      variant_name: member.attributes.map(attribute => attribute.option).join(' / ') || member.product_name,
+      sku: member.sku,
+      attributes: member.attributes,
+      product_price: member.product_price,
+      product_images: member.product_images,
+      status: member.status,
+      weight: member.weight,
+      tax_class: member.tax_class,
+      billing_interval: member.billing_interval,
+      sellable_stock: member.sellable_stock
+    })),
+    variant_options: variantOptions,
+    bundle_components: null,
+    last_modified_time: sorted.map(member => member.last_modified_time || '').sort().pop() || undefined
+  };
+}
+
+function imageStatistics(products: CatalogProduct[]): Record<string, unknown> {
+  const withImages = products.filter(product => product.product_images.length > 0).length;
+  const totalImages = products.reduce((sum, product) => sum + product.product_images.length, 0);
+  const skuMatches = products.filter(product => product.commerce_match_type === 'sku_match').length;
+  const nameMatches = products.filter(product => product.commerce_match_type === 'name_match').length;
+
+  return {
+    products_with_images: withImages,
+    products_without_images: products.length - withImages,
+    total_images_found: totalImages,
+    image_success_rate: products.length > 0 ? `${((withImages / products.length) * 100).toFixed(1)}%` : '0%',
+    match_type_breakdown: {
+      sku_matches: skuMatches,
+      name_matches: nameMatches,
+      no_matches: products.length - skuMatches - nameMatches
+    }
+  };
+}
+
+export const catalogSync = new CatalogSync();
+
+export type {
+  CatalogProduct,
+  CatalogVariant,
+  CatalogAttribute,
+  CatalogBundleComponent,
+  CatalogFeed,
+  CatalogSyncState,
+  CatalogSyncResult,
+  InvalidationResult
+};
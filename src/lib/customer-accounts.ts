@@ -0,0 +1,554 @@
+// src/lib/customer-accounts.ts - Customer accounts with password or email-link sign-in
+// Accounts live in the persistent store, keyed by id with an index by email. Passwords are hashed with
+// scrypt. Sessions and email links are random tokens stored only as SHA-256 hashes, so a leaked store
+// can't be used to sign in. Each account carries a security stamp that changes with its password;
+// sessions and links from before the change stop working.
+// Orders come from Zoho: every Inventory contact with the account's email is linked once the email is
+// verified, which includes the contacts checkout creates for guest orders.
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { zoho } from './zoho-sdk';
+import { emailService } from './email';
+import { createPersistentStore } from './persistent-store';
+import { orderTracking, toOrderSummary, type OrderSummary } from './order-tracking';
+
+const scrypt = promisify(crypto.scrypt) as (password: string, salt: Buffer, keylen: number) => Promise<Buffer>;
+
+interface SavedAddress {
+  addressId: string;
+  label: string;
+  address1: string;
+  address2: string;
+  city: string;
+  state: string;
+  zipCode: string;
+  country: string;
+  isDefault: boolean;
+}
+
+type AddressInput = Partial<Omit<SavedAddress, 'addressId'>>;
+
+interface AccountRecord {
+  accountId: string;
+  email: string;
+  firstName: string;
+  lastName: string;
+  phone: string;
+  passwordHash: string | null;
+  emailVerifiedAt: string | null;
+  securityStamp: string;
+  zohoContactIds: string[];
+  addresses: SavedAddress[];
+  createdAt: string;
+  updatedAt: string;
+  lastLoginAt: string | null;
+}
+
+// What the customer sees about their own account
+interface CustomerAccount {
+  accountId: string;
+  email: string;
+  firstName: string;
+  lastName: string;
+  phone: string;
+  emailVerified: boolean;
+  hasPassword: boolean;
+  addresses: SavedAddress[];
+  createdAt: string;
+}
+
+interface RegistrationInput {
+  email: string;
+  password: string;
+  firstName: string;
+  lastName: string;
+  phone?: string;
+}
+
+interface AccountSession {
+  token: string;
+  expiresAt: string;
+}
+
+interface AccountOrder extends OrderSummary {
+  // Signed token for /order/[orderId], when order links are configured
+  token: string | null;
+}
+
+type LinkPurpose = 'verify' | 'sign-in';
+
+interface StoredLink {
+  accountId: string;
+  purpose: LinkPurpose;
+  stamp: string;
+}
+
+interface StoredSession {
+  accountId: string;
+  stamp: string;
+  createdAt: string;
+}
+
+type AccountErrorCode =
+  | 'INVALID_INPUT'
+  | 'EMAIL_TAKEN'
+  | 'INVALID_CREDENTIALS'
+  | 'EMAIL_NOT_VERIFIED'
+  | 'INVALID_LINK'
+  | 'PASSWORD_REQUIRED'
+  | 'NOT_FOUND';
+
+interface CustomerAccountsConfig {
+  sessionDays: number;
+  linkTtlMinutes: number;
+  minPasswordLength: number;
+  maxAddresses: number;
+}
+
+/**
+ * Why an account action was refused; status is the HTTP status to respond with
+ */
+class AccountError extends Error {
+  code: AccountErrorCode;
+  status: number;
+
+  constructor(message: string, code: AccountErrorCode, status: number) {
+    super(message);
+    this.name = 'AccountError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+class CustomerAccounts {
+  private store = createPersistentStore('accounts');
+
+  private readonly config: CustomerAccountsConfig = {
+    sessionDays: parseInt(process.env.ACCOUNT_SESSION_DAYS || '30'),
+    linkTtlMinutes: 30,
+    minPasswordLength: 8,
+    maxAddresses: 10
+  };
+
+  sessionMaxAgeSeconds(): number {
+    return this.config.sessionDays * 24 * 60 * 60;
+  }
+
+  /**
+   * Create an account and email a link to verify the address. Registering again before the email is
+   * verified replaces the pending details, so a mistyped password can be fixed by signing up again.
+   */
+  async register(input: RegistrationInput): Promise<CustomerAccount> {
+    const email = normalizeEmail(input.email);
+    const firstName = String(input.firstName || '').trim();
+    const lastName = String(input.lastName || '').trim();
+
+    if (!isValidEmail(email)) throw new AccountError('A valid email address is required', 'INVALID_INPUT', 400);
+    if (!firstName || !lastName) throw new AccountError('First and last name are required', 'INVALID_INPUT', 400);
+    this.checkPassword(input.password);
+
+    const now = new Date().toISOString();
+    const accountId = `acc_${crypto.randomBytes(12).toString('hex')}`;
+    const claimed = await this.store.setIfAbsent(`email:${email}`, accountId);
+    const existing = claimed ? null : await this.findByEmail(email);
+
+    if (existing?.emailVerifiedAt) {
+      throw new AccountError('An account with this email already exists. Sign in instead.', 'EMAIL_TAKEN', 409);
+    }
+
+    const account: AccountRecord = {
+      accountId: existing?.accountId || accountId,
+      email,
+      firstName,
+      lastName,
+      phone: String(input.phone || '').trim(),
+      passwordHash: await hashPassword(input.password),
+      emailVerifiedAt: null,
+      securityStamp: newStamp(),
+      zohoContactIds: [],
+      addresses: [],
+      createdAt: existing?.createdAt || now,
+      updatedAt: now,
+      lastLoginAt: null
+    };
+
+    // The index entry can outlive a deleted account record; point it at the one being saved
+    if (!claimed && !existing) await this.store.set(`email:${email}`, account.accountId);
+    await this.save(account);
+    await this.sendLink(account, 'verify');
+
+    console.log(`👤 Account ${account.accountId} registered, verification email sent`);
+    return toCustomerAccount(account);
+  }
+
+  /**
+   * Check an email and password. Only verified accounts can sign in with a password.
+   */
+  async authenticate(emailInput: string, password: string): Promise<CustomerAccount> {
+    const account = await this.findByEmail(normalizeEmail(emailInput));
+
+    if (!account?.passwordHash) {
+      // Same work as a real check, so response times don't reveal which emails have accounts
+      await hashPassword(String(password || ''));
+      throw new AccountError('Incorrect email or password', 'INVALID_CREDENTIALS', 401);
+    }
+
+    if (!(await verifyPassword(String(password || ''), account.passwordHash))) {
+      throw new AccountError('Incorrect email or password', 'INVALID_CREDENTIALS', 401);
+    }
+
+    if (!account.emailVerifiedAt) {
+      await this.sendLink(account, 'verify');
+      throw new AccountError('Please confirm your email address first. We sent you a new link.', 'EMAIL_NOT_VERIFIED', 403);
+    }
+
+    return toCustomerAccount(account);
+  }
+
+  /**
+   * Email a sign-in link if there is an account for this address; callers answer the same either way
+   */
+  async requestSignInLink(emailInput: string): Promise<void> {
+    const account = await this.findByEmail(normalizeEmail(emailInput));
+    if (!account) return;
+
+    await this.sendLink(account, 'sign-in');
+  }
+
+  /**
+   * Use a verification or sign-in link (once). Either kind proves the customer reads this inbox, so both
+   * verify the email and link its guest orders.
+   *
+   * Anyone can register someone else's email, so opening the inbox alone doesn't confirm the registrant's
+   * password: a verification link needs that password too, and any other first verification drops it.
+   * The link stays usable after a missing or wrong password.
+   */
+  async consumeLink(token: unknown, password: unknown = null): Promise<CustomerAccount> {
+    const invalid = new AccountError('This link has expired or was already used. Request a new one.', 'INVALID_LINK', 400);
+    if (typeof token !== 'string' || !token) throw invalid;
+
+    const key = `link:${hashToken(token)}`;
+    const link = await this.store.get<StoredLink>(key);
+    if (!link) throw invalid;
+
+    const account = await this.store.get<AccountRecord>(`account:${link.accountId}`);
+    if (!account || account.securityStamp !== link.stamp) throw invalid;
+
+    const confirmsPassword = !account.emailVerifiedAt && link.purpose === 'verify' && !!account.passwordHash;
+    if (confirmsPassword) {
+      if (typeof password !== 'string' || !password) {
+        throw new AccountError('Enter the password you chose when you signed up to confirm your email', 'PASSWORD_REQUIRED', 401);
+      }
+      if (!(await verifyPassword(password, account.passwordHash!))) {
+        throw new AccountError('Incorrect password', 'INVALID_CREDENTIALS', 401);
+      }
+    }
+
+    // Deleting before any change makes the link single use even when it is opened twice at once
+    if (!(await this.store.delete(key))) throw invalid;
+
+    if (!account.emailVerifiedAt) {
+      // Whoever registered may not own this inbox; unless they just proved the password is theirs, it goes.
+      // The customer can set their own from the account page. The new stamp voids every older link.
+      if (!confirmsPassword) account.passwordHash = null;
+      account.securityStamp = newStamp();
+      account.emailVerifiedAt = new Date().toISOString();
+      await this.save(account);
+      console.log(`✅ Account ${account.accountId} verified its email`);
+    }
+
+    await this.linkGuestOrders(account);
+    return toCustomerAccount(account);
+  }
+
+  /**
+   * Start a session for a signed-in customer
+   */
+  async createSession(accountId: string): Promise<AccountSession> {
+    const account = await this.getRecord(accountId);
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    await this.store.set<StoredSession>(`session:${hashToken(token)}`, {
+      accountId,
+      stamp: account.securityStamp,
+      createdAt: new Date().toISOString()
+    }, { ttlSeconds: this.sessionMaxAgeSeconds() });
+
+    account.lastLoginAt = new Date().toISOString();
+    await this.save(account);
+
+    return { token, expiresAt: new Date(Date.now() + this.sessionMaxAgeSeconds() * 1000).toISOString() };
+  }
+
+  /**
+   * Account for a session token, or null if the session is unknown, expired or from before a password change
+   */
+  async getSession(token: unknown): Promise<CustomerAccount | null> {
+    if (typeof token !== 'string' || !token) return null;
+
+    const session = await this.store.get<StoredSession>(`session:${hashToken(token)}`);
+    if (!session) return null;
+
+    const account = await this.store.get<AccountRecord>(`account:${session.accountId}`);
+    return account && account.securityStamp === session.stamp ? toCustomerAccount(account) : null;
+  }
+
+  async endSession(token: unknown): Promise<void> {
+    if (typeof token !== 'string' || !token) return;
+    await this.store.delete(`session:${hashToken(token)}`);
+  }
+
+  async getAccount(accountId: string): Promise<CustomerAccount> {
+    return toCustomerAccount(await this.getRecord(accountId));
+  }
+
+  async updateProfile(accountId: string, input: { firstName?: string; lastName?: string; phone?: string }): Promise<CustomerAccount> {
+    const account = await this.getRecord(accountId);
+    const firstName = input.firstName === undefined ? account.firstName : String(input.firstName).trim();
+    const lastName = input.lastName === undefined ? account.lastName : String(input.lastName).trim();
+
+    if (!firstName || !lastName) throw new AccountError('First and last name are required', 'INVALID_INPUT', 400);
+
+    account.firstName = firstName;
+    account.lastName = lastName;
+    if (input.phone !== undefined) account.phone = String(input.phone).trim();
+
+    await this.save(account);
+    return toCustomerAccount(account);
+  }
+
+  /**
+   * Set a new password; the current one is required when there is one. Signs out every other session,
+   * so callers should start a new one for the customer making the change.
+   */
+  async changePassword(accountId: string, currentPassword: string | null, newPassword: string): Promise<CustomerAccount> {
+    const account = await this.getRecord(accountId);
+    this.checkPassword(newPassword);
+
+    if (account.passwordHash && !(await verifyPassword(String(currentPassword || ''), account.passwordHash))) {
+      throw new AccountError('Your current password is incorrect', 'INVALID_CREDENTIALS', 401);
+    }
+
+    account.passwordHash = await hashPassword(newPassword);
+    account.securityStamp = newStamp();
+    await this.save(account);
+
+    console.log(`🔑 Account ${accountId} changed its password`);
+    return toCustomerAccount(account);
+  }
+
+  /**
+   * Add an address, or replace the one with `addressId`. The first address saved becomes the default.
+   */
+  async saveAddress(accountId: string, input: AddressInput, addressId: string | null = null): Promise<CustomerAccount> {
+    const account = await this.getRecord(accountId);
+    const existing = addressId ? account.addresses.find(address => address.addressId === addressId) : null;
+
+    if (addressId && !existing) throw new AccountError('Address not found', 'NOT_FOUND', 404);
+    if (!existing && account.addresses.length >= this.config.maxAddresses) {
+      throw new AccountError(`You can save up to ${this.config.maxAddresses} addresses`, 'INVALID_INPUT', 400);
+    }
+
+    const address: SavedAddress = {
+      addressId: existing?.addressId || `adr_${crypto.randomBytes(6).toString('hex')}`,
+      label: String(input.label ?? existing?.label ?? '').trim().substring(0, 50),
+      address1: String(input.address1 ?? existing?.address1 ?? '').trim(),
+      address2: String(input.address2 ?? existing?.address2 ?? '').trim(),
+      city: String(input.city ?? existing?.city ?? '').trim(),
+      state: String(input.state ?? existing?.state ?? '').trim(),
+      zipCode: String(input.zipCode ?? existing?.zipCode ?? '').trim(),
+      country: String(input.country ?? existing?.country ?? 'US').trim(),
+      isDefault: Boolean(input.isDefault ?? existing?.isDefault) || account.addresses.length === 0
+    };
+
+    if (!address.address1 || !address.city || !address.state || !address.zipCode) {
+      throw new AccountError('Street address, city, state and ZIP code are required', 'INVALID_INPUT', 400);
+    }
+
+    account.addresses = existing
+      ? account.addresses.map(saved => saved.addressId === address.addressId ? address : saved)
+      : [...account.addresses, address];
+
+    if (address.isDefault) {
+      account.addresses.forEach(saved => { saved.isDefault = saved.addressId === address.addressId; });
+    }
+
+    await this.save(account);
+    return toCustomerAccount(account);
+  }
+
+  async deleteAddress(accountId: string, addressId: string): Promise<CustomerAccount> {
+    const account = await this.getRecord(accountId);
+    const removed = account.addresses.find(address => address.addressId === addressId);
+    if (!removed) throw new AccountError('Address not found', 'NOT_FOUND', 404);
+
+    account.addresses = account.addresses.filter(address => address.addressId !== addressId);
+    if (removed.isDefault && account.addresses.length > 0) account.addresses[0].isDefault = true;
+
+    await this.save(account);
+    return toCustomerAccount(account);
+  }
+
+  /**
+   * Sales orders of every Zoho contact linked to the account, newest first
+   */
+  async listOrders(accountId: string): Promise<AccountOrder[]> {
+    const account = await this.getRecord(accountId);
+    if (!account.emailVerifiedAt) {
+      throw new AccountError('Confirm your email address to see your orders', 'EMAIL_NOT_VERIFIED', 403);
+    }
+
+    // Picks up guest orders placed since the last look
+    await this.linkGuestOrders(account);
+
+    const lists = await Promise.all(account.zohoContactIds.map(contactId => zoho.inventory.listSalesOrdersByCustomer(contactId)));
+    const orders = new Map<string, OrderSummary>();
+    lists.flat().forEach(salesOrder => {
+      const summary = toOrderSummary(salesOrder);
+      orders.set(summary.orderId, summary);
+    });
+
+    const canLink = orderTracking.isConfigured();
+    return Array.from(orders.values())
+      .sort((a, b) => String(b.placedAt).localeCompare(String(a.placedAt)))
+      .map(summary => ({ ...summary, token: canLink ? orderTracking.createToken(summary.orderId) : null }));
+  }
+
+  /**
+   * Attach a Zoho contact to an account after checkout: to `accountId` when the customer was signed in,
+   * otherwise to the verified account with this email, if any.
+   */
+  async linkContact(contactId: string, options: { accountId?: string | null; email?: string | null }): Promise<boolean> {
+    const account = options.accountId
+      ? await this.store.get<AccountRecord>(`account:${options.accountId}`)
+      : options.email ? await this.findByEmail(normalizeEmail(options.email)) : null;
+
+    // Sessions only exist for verified accounts, so this also covers the signed-in case
+    if (!account?.emailVerifiedAt || account.zohoContactIds.includes(String(contactId))) return false;
+
+    account.zohoContactIds.push(String(contactId));
+    await this.save(account);
+    return true;
+  }
+
+  /**
+   * Link every Zoho contact with the account's verified email. Zoho being unreachable only means the
+   * order list may miss the newest guest orders, so failures are logged and skipped.
+   */
+  private async linkGuestOrders(account: AccountRecord): Promise<void> {
+    if (!account.emailVerifiedAt) return;
+
+    try {
+      const contacts = await zoho.inventory.listContactsByEmail(account.email);
+      const found = contacts
+        .filter(contact => normalizeEmail(contact.email) === account.email)
+        .map(contact => String(contact.contact_id))
+        .filter(contactId => !account.zohoContactIds.includes(contactId));
+
+      if (found.length === 0) return;
+
+      account.zohoContactIds.push(...found);
+      await this.save(account);
+      console.log(`🔗 Linked ${found.length} Zoho contact(s) to account ${account.accountId}`);
+    } catch (error) {
+      console.warn(`⚠️ Could not link guest orders to account ${account.accountId}:`, error instanceof Error ? error.message : error);
+    }
+  }
+
+  private async sendLink(account: AccountRecord, purpose: LinkPurpose): Promise<void> {
+    const token = crypto.randomBytes(32).toString('base64url');
+    await this.store.set<StoredLink>(`link:${hashToken(token)}`, {
+      accountId: account.accountId,
+      purpose,
+      stamp: account.securityStamp
+    }, { ttlSeconds: this.config.linkTtlMinutes * 60 });
+
+    const baseUrl = process.env.NEXT_PUBLIC_BASE_URL || 'http://localhost:3000';
+    const data = {
+      customerName: account.firstName,
+      url: `${baseUrl}/account/login?${new URLSearchParams({ token }).toString()}`,
+      expiresInMinutes: this.config.linkTtlMinutes
+    };
+
+    await emailService.send(purpose === 'verify' ? 'account-verification' : 'account-sign-in', data, {
+      to: account.email,
+      reference: `account ${account.accountId}`
+    });
+  }
+
+  private checkPassword(password: unknown): void {
+    if (typeof password !== 'string' || password.length < this.config.minPasswordLength) {
+      throw new AccountError(`Password must be at least ${this.config.minPasswordLength} characters`, 'INVALID_INPUT', 400);
+    }
+  }
+
+  private async findByEmail(email: string): Promise<AccountRecord | null> {
+    if (!email) return null;
+
+    const accountId = await this.store.get<string>(`email:${email}`);
+    return accountId ? this.store.get<AccountRecord>(`account:${accountId}`) : null;
+  }
+
+  private async getRecord(accountId: string): Promise<AccountRecord> {
+    const account = await this.store.get<AccountRecord>(`account:${accountId}`);
+    if (!account) throw new AccountError('Account not found', 'NOT_FOUND', 404);
+    return account;
+  }
+
+  private async save(account: AccountRecord): Promise<void> {
+    account.updatedAt = new Date().toISOString();
+    await this.store.set(`account:${account.accountId}`, account);
+  }
+}
+
+function toCustomerAccount(account: AccountRecord): CustomerAccount {
+  return {
+    accountId: account.accountId,
+    email: account.email,
+    firstName: account.firstName,
+    lastName: account.lastName,
+    phone: account.phone,
+    emailVerified: !!account.emailVerifiedAt,
+    hasPassword: !!account.passwordHash,
+    addresses: account.addresses,
+    createdAt: account.createdAt
+  };
+}
+
+async function hashPassword(password: string): Promise<string> {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString('base64url')}$${hash.toString('base64url')}`;
+}
+
+async function verifyPassword(password: string, stored: string): Promise<boolean> {
+  const [scheme, salt, hash] = stored.split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'base64url');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64url'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function hashToken(token: string): string {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function newStamp(): string {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+function normalizeEmail(email: unknown): string {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+function isValidEmail(email: string): boolean {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+export const customerAccounts = new CustomerAccounts();
+
+export { AccountError };
+
+export type { CustomerAccount, SavedAddress, AddressInput, RegistrationInput, AccountSession, AccountOrder, AccountErrorCode };
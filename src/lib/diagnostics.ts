@@ -0,0 +1,508 @@
+// src/lib/diagnostics.ts - Registry of integration health checks for the staff diagnostics console
+// Each check probes one thing the store depends on (Zoho tokens and org, each Zoho product API, Stripe
+// keys and webhook) with the same calls the app makes, under a timeout, and reports pass/warn/fail with
+// a hint on how to fix it. Checks only read; nothing here creates or changes records.
+
+import Stripe from 'stripe';
+import {
+  zoho,
+  extractStorefrontImages,
+  ZohoAuthError,
+  ZohoConfigError,
+  ZohoNotFoundError,
+  ZohoRateLimitError,
+  ZohoTimeoutError
+} from './zoho-sdk';
+import { tokenManager, type ZohoService } from './enhanced-token-manager';
+
+type CheckStatus = 'pass' | 'warn' | 'fail' | 'skip';
+type CheckGroup = 'zoho' | 'stripe';
+
+interface CheckOutcome {
+  status: CheckStatus;
+  message: string;
+  remediation?: string;
+  details?: Record<string, unknown>;
+}
+
+interface DiagnosticCheck {
+  id: string;
+  label: string;
+  group: CheckGroup;
+  timeoutMs?: number;
+  run: () => Promise<CheckOutcome>;
+}
+
+interface CheckResult extends CheckOutcome {
+  id: string;
+  label: string;
+  group: CheckGroup;
+  durationMs: number;
+}
+
+interface DiagnosticsReport {
+  // The worst status among the checks run (skipped checks don't count)
+  status: Exclude<CheckStatus, 'skip'>;
+  summary: Record<CheckStatus, number>;
+  checks: CheckResult[];
+  startedAt: string;
+  durationMs: number;
+}
+
+const DEFAULT_TIMEOUT_MS = 15000;
+
+// Events /api/stripe/webhook handles; the endpoint in Stripe must send all of them
+const STRIPE_WEBHOOK_EVENTS = [
+  'payment_intent.succeeded',
+  'payment_intent.payment_failed',
+  'payment_intent.canceled',
+  'charge.refunded',
+  'charge.dispute.created',
+  'charge.dispute.closed',
+  'invoice.paid',
+  'invoice.payment_failed',
+  'customer.subscription.deleted'
+];
+
+const ZOHO_TOKEN_SERVICES: ZohoService[] = ['inventory', 'commerce', 'crm', 'desk'];
+
+/**
+ * A check did not finish within its time limit
+ */
+class DiagnosticTimeoutError extends Error {
+  constructor(timeoutMs: number) {
+    super(`No answer within ${timeoutMs / 1000}s`);
+    this.name = 'DiagnosticTimeoutError';
+  }
+}
+
+class Diagnostics {
+  private checks = new Map<string, DiagnosticCheck>();
+
+  constructor() {
+    DEFAULT_CHECKS.forEach(check => this.register(check));
+  }
+
+  /**
+   * Add a check, replacing any registered under the same id
+   */
+  register(check: DiagnosticCheck): void {
+    this.checks.set(check.id, check);
+  }
+
+  list(): Array<Pick<DiagnosticCheck, 'id' | 'label' | 'group'>> {
+    return Array.from(this.checks.values()).map(({ id, label, group }) => ({ id, label, group }));
+  }
+
+  /**
+   * Run the given checks (all when none are named) side by side; unknown ids are reported as failures
+   */
+  async run(ids?: string[]): Promise<DiagnosticsReport> {
+    const startedAt = Date.now();
+    const selected = ids && ids.length > 0 ? ids : Array.from(this.checks.keys());
+
+    const checks = await Promise.all(selected.map(id => {
+      const check = this.checks.get(id);
+      if (!check) {
+        return Promise.resolve<CheckResult>({
+          id,
+          label: id,
+          group: 'zoho',
+          status: 'fail',
+          message: `Unknown check "${id}"`,
+          durationMs: 0
+        });
+      }
+      return runCheck(check);
+    }));
+
+    const summary: Record<CheckStatus, number> = { pass: 0, warn: 0, fail: 0, skip: 0 };
+    checks.forEach(result => summary[result.status]++);
+
+    const report: DiagnosticsReport = {
+      status: summary.fail > 0 ? 'fail' : summary.warn > 0 ? 'warn' : 'pass',
+      summary,
+      checks,
+      startedAt: new Date(startedAt).toISOString(),
+      durationMs: Date.now() - startedAt
+    };
+
+    console.log(`🩺 Diagnostics: ${summary.pass} passed, ${summary.warn} warning(s), ${summary.fail} failed, ${summary.skip} skipped`);
+    return report;
+  }
+}
+
+async function runCheck(check: DiagnosticCheck): Promise<CheckResult> {
+  const started = Date.now();
+  const timeoutMs = check.timeoutMs || DEFAULT_TIMEOUT_MS;
+  let timer: NodeJS.Timeout | undefined;
+
+  let outcome: CheckOutcome;
+  try {
+    outcome = await Promise.race([
+      check.run(),
+      new Promise<never>((_, reject) => {
+        timer = setTimeout(() => reject(new DiagnosticTimeoutError(timeoutMs)), timeoutMs);
+      })
+    ]);
+  } catch (error) {
+    outcome = failure(error);
+  } finally {
+    clearTimeout(timer);
+  }
+
+  return { id: check.id, label: check.label, group: check.group, ...outcome, durationMs: Date.now() - started };
+}
+
+/**
+ * Failed outcome for an error, with a hint for the common Zoho failures; `remediation` covers the rest
+ */
+function failure(error: unknown, remediation?: string): CheckOutcome {
+  const message = error instanceof Error ? error.message : String(error);
+
+  if (error instanceof ZohoAuthError) {
+    return {
+      status: 'fail',
+      message,
+      remediation: `Zoho rejected our credentials for ${error.service}. Check the client id and secret, and generate a new refresh token with the scopes this API needs.`
+    };
+  }
+  if (error instanceof ZohoRateLimitError) {
+    return { status: 'fail', message, remediation: 'Zoho is rate limiting this account. Wait a few minutes before running the check again.' };
+  }
+  if (error instanceof ZohoTimeoutError || error instanceof DiagnosticTimeoutError) {
+    return { status: 'fail', message, remediation: 'The service did not answer in time. Check its status page, then run the check again.' };
+  }
+  if (error instanceof ZohoConfigError) {
+    return { status: 'fail', message, remediation: 'Set the missing environment variable and redeploy.' };
+  }
+  if (error instanceof Stripe.errors.StripeAuthenticationError) {
+    return { status: 'fail', message, remediation: 'Stripe rejected STRIPE_SECRET_KEY. Copy a current secret key from the Stripe dashboard (Developers > API keys).' };
+  }
+
+  return { status: 'fail', message, ...(remediation && { remediation }) };
+}
+
+function notConfigured(service: 'inventory' | 'commerce' | 'storefront' | 'crm' | 'desk', remediation: string): CheckOutcome | null {
+  return zoho.isConfigured(service) ? null : { status: 'fail', message: `Zoho ${service} is not configured`, remediation };
+}
+
+const DEFAULT_CHECKS: DiagnosticCheck[] = [
+  {
+    id: 'zoho-token',
+    label: 'Zoho token refresh',
+    group: 'zoho',
+    run: async () => {
+      const configured = ZOHO_TOKEN_SERVICES.filter(service => tokenManager.hasCredentials(service));
+      if (!configured.includes('inventory')) {
+        return {
+          status: 'fail',
+          message: 'No Zoho OAuth credentials are set',
+          remediation: 'Set ZOHO_CLIENT_ID, ZOHO_CLIENT_SECRET and ZOHO_REFRESH_TOKEN (and ZOHO_CRM_* for CRM).'
+        };
+      }
+
+      // A cached token counts: forcing a refresh here would spend Zoho's small refresh quota
+      const results = await Promise.all(configured.map(async service => {
+        try {
+          await tokenManager.getAccessToken(service);
+          return { service, ok: true };
+        } catch (error) {
+          return { service, ok: false, error: error instanceof Error ? error.message : String(error) };
+        }
+      }));
+
+      const failed = results.filter(result => !result.ok);
+      const missing = ZOHO_TOKEN_SERVICES.filter(service => !configured.includes(service));
+      const details = { services: results, notConfigured: missing, cache: tokenManager.getStatus().sharedCache };
+
+      if (failed.length > 0) {
+        return {
+          status: 'fail',
+          message: `Could not get an access token for ${failed.map(result => result.service).join(', ')}`,
+          remediation: 'The refresh token was revoked or lacks scopes. Generate a new one through the Zoho API console and update ZOHO_REFRESH_TOKEN (or ZOHO_CRM_REFRESH_TOKEN / ZOHO_DESK_REFRESH_TOKEN).',
+          details
+        };
+      }
+
+      return { status: 'pass', message: `Access tokens available for ${configured.join(', ')}`, details };
+    }
+  },
+  {
+    id: 'zoho-org',
+    label: 'Zoho Inventory organization',
+    group: 'zoho',
+    run: async () => {
+      const orgId = process.env.ZOHO_INVENTORY_ORGANIZATION_ID;
+      if (!orgId) {
+        return { status: 'fail', message: 'ZOHO_INVENTORY_ORGANIZATION_ID is not set', remediation: 'Set it to the organization id shown in Zoho Inventory under Settings > Profile.' };
+      }
+
+      try {
+        const response = await zoho.inventory.request('/organizations');
+        const organizations: Array<{ organization_id: string; name: string }> = response?.organizations || [];
+        const match = organizations.find(org => String(org.organization_id) === orgId);
+        const available = organizations.map(org => ({ organization_id: org.organization_id, name: org.name }));
+
+        if (!match) {
+          return {
+            status: 'fail',
+            message: `Organization ${orgId} is not one the Zoho token can access`,
+            remediation: 'Set ZOHO_INVENTORY_ORGANIZATION_ID to one of the organizations listed in the details, or authorize the token for the right organization.',
+            details: { organizations: available }
+          };
+        }
+
+        return { status: 'pass', message: `Using organization "${match.name}" (${orgId})`, details: { organizations: available } };
+      } catch (error) {
+        return failure(error, 'Check ZOHO_INVENTORY_ORGANIZATION_ID and that the token has the ZohoInventory scope.');
+      }
+    }
+  },
+  {
+    id: 'inventory-items',
+    label: 'Zoho Inventory items',
+    group: 'zoho',
+    run: async () => {
+      const unconfigured = notConfigured('inventory', 'Set the ZOHO_* OAuth credentials and ZOHO_INVENTORY_ORGANIZATION_ID.');
+      if (unconfigured) return unconfigured;
+
+      try {
+        const { items, hasMore } = await zoho.inventory.listItems({ perPage: 25 });
+        if (items.length === 0) {
+          return { status: 'warn', message: 'Inventory returned no items', remediation: 'Check that items exist and are active in this organization.' };
+        }
+
+        return {
+          status: 'pass',
+          message: `Read ${items.length}${hasMore ? '+' : ''} items`,
+          details: { sample: items.slice(0, 5).map(item => ({ item_id: item.item_id, name: item.name, status: item.status })) }
+        };
+      } catch (error) {
+        return failure(error, 'Check that the token has the ZohoInventory.items.READ scope.');
+      }
+    }
+  },
+  {
+    id: 'commerce-products',
+    label: 'Zoho Commerce products',
+    group: 'zoho',
+    run: async () => {
+      const unconfigured = notConfigured('commerce', 'Set the ZOHO_* OAuth credentials and ZOHO_STORE_ID.');
+      if (unconfigured) return unconfigured;
+      if (!process.env.ZOHO_STORE_ID) {
+        return { status: 'fail', message: 'ZOHO_STORE_ID is not set', remediation: 'Set ZOHO_STORE_ID to the Commerce store (organization) id.' };
+      }
+
+      try {
+        const products = await zoho.commerce.getStoreProducts();
+        if (products.length === 0) {
+          return { status: 'warn', message: 'The store has no products', remediation: 'Check ZOHO_STORE_ID points at the live store.' };
+        }
+        return {
+          status: 'pass',
+          message: `Read ${products.length} store products`,
+          details: { sample: products.slice(0, 5).map(product => ({ product_id: product.product_id, name: product.name })) }
+        };
+      } catch (error) {
+        return failure(error, 'Check ZOHO_STORE_ID and that the token has the ZohoCommerce scopes.');
+      }
+    }
+  },
+  {
+    id: 'storefront-images',
+    label: 'Zoho Storefront images',
+    group: 'zoho',
+    run: async () => {
+      const unconfigured = notConfigured('storefront', 'Set the ZOHO_* OAuth credentials and ZOHO_STORE_DOMAIN.');
+      if (unconfigured) return unconfigured;
+
+      try {
+        const [product] = await zoho.commerce.getStoreProducts();
+        if (!product) {
+          return { status: 'skip', message: 'No store products to check images on' };
+        }
+
+        const storefrontProduct = await zoho.storefront.getProduct(product.product_id);
+        const images = storefrontProduct ? extractStorefrontImages(storefrontProduct) : [];
+        if (images.length === 0) {
+          return {
+            status: 'warn',
+            message: `Storefront returned no images for "${product.name}"`,
+            remediation: 'Check ZOHO_STORE_DOMAIN matches the store domain and that the product has images in Commerce.',
+            details: { product_id: product.product_id }
+          };
+        }
+
+        const response = await fetch(images[0], { method: 'HEAD' });
+        if (!response.ok) {
+          return {
+            status: 'fail',
+            message: `Image URL answered ${response.status}`,
+            remediation: 'Storefront image URLs are built from ZOHO_STORE_DOMAIN; check it is the published store domain.',
+            details: { product_id: product.product_id, url: images[0] }
+          };
+        }
+
+        return {
+          status: 'pass',
+          message: `${images.length} image(s) for "${product.name}", first one loads`,
+          details: { product_id: product.product_id, url: images[0], contentType: response.headers.get('content-type') }
+        };
+      } catch (error) {
+        return failure(error, 'Check ZOHO_STORE_DOMAIN and the Commerce scopes.');
+      }
+    }
+  },
+  {
+    id: 'crm',
+    label: 'Zoho CRM',
+    group: 'zoho',
+    run: async () => {
+      if (!zoho.isConfigured('crm')) {
+        return {
+          status: 'warn',
+          message: 'Zoho CRM is not configured; coverage and checkout leads are not recorded',
+          remediation: 'Set ZOHO_CRM_CLIENT_ID, ZOHO_CRM_CLIENT_SECRET and ZOHO_CRM_REFRESH_TOKEN.'
+        };
+      }
+
+      try {
+        await zoho.crm.searchLeadsByEmail('diagnostics@example.invalid');
+        return { status: 'pass', message: 'Lead search works' };
+      } catch (error) {
+        return failure(error, 'Check that the CRM token has the ZohoCRM.modules.leads.ALL scope and ZOHO_CRM_API_URL matches the data centre.');
+      }
+    }
+  },
+  {
+    id: 'desk',
+    label: 'Zoho Desk',
+    group: 'zoho',
+    run: async () => {
+      if (!zoho.isConfigured('desk')) {
+        // Support tickets then need SUPPORT_TICKET_ADAPTER, which production doesn't default
+        if (process.env.NODE_ENV === 'production' && !process.env.SUPPORT_TICKET_ADAPTER) {
+          return {
+            status: 'fail',
+            message: 'Zoho Desk is not configured, so the contact form can\'t create tickets',
+            remediation: 'Set ZOHO_DESK_ORG_ID and ZOHO_DESK_DEPARTMENT_ID (and ZOHO_DESK_* credentials if Desk uses its own client).'
+          };
+        }
+        return { status: 'skip', message: 'Zoho Desk is not configured; support tickets use the local adapter' };
+      }
+
+      const departmentId = process.env.ZOHO_DESK_DEPARTMENT_ID;
+      if (!departmentId) {
+        return { status: 'fail', message: 'ZOHO_DESK_DEPARTMENT_ID is not set', remediation: 'Set it to the id of the department tickets should go to.' };
+      }
+
+      try {
+        const department = await zoho.desk.request(`/departments/${departmentId}`);
+        return { status: 'pass', message: `Tickets go to department "${department?.name || departmentId}"` };
+      } catch (error) {
+        if (error instanceof ZohoNotFoundError) {
+          return { status: 'fail', message: `Department ${departmentId} does not exist`, remediation: 'Check ZOHO_DESK_DEPARTMENT_ID and ZOHO_DESK_ORG_ID.' };
+        }
+        return failure(error, 'Check ZOHO_DESK_ORG_ID, ZOHO_DESK_API_URL and the Desk token scopes.');
+      }
+    }
+  },
+  {
+    id: 'stripe-keys',
+    label: 'Stripe API keys',
+    group: 'stripe',
+    run: async () => {
+      const secretKey = process.env.STRIPE_SECRET_KEY;
+      const publishableKey = process.env.NEXT_PUBLIC_STRIPE_PUBLISHABLE_KEY;
+
+      if (!secretKey || !publishableKey) {
+        return {
+          status: 'fail',
+          message: `${!secretKey ? 'STRIPE_SECRET_KEY' : 'NEXT_PUBLIC_STRIPE_PUBLISHABLE_KEY'} is not set`,
+          remediation: 'Copy both keys from the Stripe dashboard (Developers > API keys).'
+        };
+      }
+
+      const secretLive = /^(sk|rk)_live_/.test(secretKey);
+      const publishableLive = publishableKey.startsWith('pk_live_');
+      if (secretLive !== publishableLive) {
+        return {
+          status: 'fail',
+          message: `The secret key is ${secretLive ? 'live' : 'test'} mode but the publishable key is ${publishableLive ? 'live' : 'test'} mode`,
+          remediation: 'Use a secret and publishable key from the same mode, or card payments will fail.'
+        };
+      }
+
+      try {
+        const balance = await new Stripe(secretKey).balance.retrieve();
+        const mode = balance.livemode ? 'live' : 'test';
+
+        if (!balance.livemode && process.env.NODE_ENV === 'production') {
+          return { status: 'warn', message: 'Production is using Stripe test mode keys', remediation: 'Switch to live keys before taking real orders.' };
+        }
+        return { status: 'pass', message: `Keys accepted (${mode} mode)` };
+      } catch (error) {
+        return failure(error);
+      }
+    }
+  },
+  {
+    id: 'stripe-webhook',
+    label: 'Stripe webhook',
+    group: 'stripe',
+    run: async () => {
+      const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+      if (!webhookSecret || !webhookSecret.startsWith('whsec_')) {
+        return {
+          status: 'fail',
+          message: webhookSecret ? 'STRIPE_WEBHOOK_SECRET does not look like a signing secret' : 'STRIPE_WEBHOOK_SECRET is not set',
+          remediation: 'Copy the signing secret (whsec_...) of the /api/stripe/webhook endpoint from the Stripe dashboard.'
+        };
+      }
+      if (!process.env.STRIPE_SECRET_KEY) {
+        return { status: 'skip', message: 'STRIPE_SECRET_KEY is not set, so the endpoint can\'t be looked up' };
+      }
+
+      try {
+        const endpoints = await new Stripe(process.env.STRIPE_SECRET_KEY).webhookEndpoints.list({ limit: 100 });
+        const endpoint = endpoints.data.find(candidate => new URL(candidate.url).pathname === '/api/stripe/webhook');
+
+        // The signing secret can't be read back from Stripe, so only the endpoint itself is checked
+        if (!endpoint) {
+          return {
+            status: 'warn',
+            message: 'No Stripe webhook endpoint points at /api/stripe/webhook',
+            remediation: 'Add the endpoint in Stripe (Developers > Webhooks); local development can use `stripe listen` instead.',
+            details: { endpoints: endpoints.data.map(candidate => candidate.url) }
+          };
+        }
+        if (endpoint.status !== 'enabled') {
+          return { status: 'fail', message: `Webhook endpoint ${endpoint.url} is ${endpoint.status}`, remediation: 'Enable the endpoint in the Stripe dashboard.' };
+        }
+
+        const missing = endpoint.enabled_events.includes('*')
+          ? []
+          : STRIPE_WEBHOOK_EVENTS.filter(event => !endpoint.enabled_events.includes(event));
+        if (missing.length > 0) {
+          return {
+            status: 'warn',
+            message: `Webhook endpoint ${endpoint.url} does not send ${missing.length} event type(s) the store handles`,
+            remediation: `Enable ${missing.join(', ')} on the endpoint.`,
+            details: { missing }
+          };
+        }
+
+        return { status: 'pass', message: `Webhook endpoint ${endpoint.url} is enabled with every event the store handles` };
+      } catch (error) {
+        return failure(error);
+      }
+    }
+  }
+];
+
+export const diagnostics = new Diagnostics();
+
+export { STRIPE_WEBHOOK_EVENTS };
+
+export type { CheckStatus, CheckGroup, CheckOutcome, CheckResult, DiagnosticCheck, DiagnosticsReport };
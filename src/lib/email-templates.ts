@@ -0,0 +1,451 @@
+// src/lib/email-templates.ts - Branded transactional email templates
+// Every template returns a subject, an HTML body and a plain-text body built from the same data.
+// Templates only format; sending, adapters and logging live in lib/email.
+
+type EmailTemplateName =
+  | 'order-confirmation'
+  | 'payment-confirmation'
+  | 'shipping-notification'
+  | 'payment-failure'
+  | 'delivery-confirmation'
+  | 'review-request'
+  | 'subscription-payment-failure'
+  | 'account-verification'
+  | 'account-sign-in'
+  | 'cart-recovery'
+  | 'team-notification';
+
+interface RenderedEmail {
+  subject: string;
+  html: string;
+  text: string;
+}
+
+interface EmailLineItem {
+  name: string;
+  quantity: number;
+  price: number;
+}
+
+interface EmailAddress {
+  address1?: string;
+  address2?: string;
+  city?: string;
+  state?: string;
+  zipCode?: string;
+  country?: string;
+}
+
+interface OrderConfirmationData {
+  customerName: string;
+  orderNumber: string;
+  items: EmailLineItem[];
+  subtotal: number;
+  tax: number;
+  shipping: number;
+  total: number;
+  shippingMethod?: string | null;
+  shippingAddress?: EmailAddress | null;
+  // Signed link to the order tracking page
+  orderUrl?: string | null;
+}
+
+interface PaymentConfirmationData {
+  customerName: string;
+  // Order or invoice number the payment was for
+  reference: string;
+  amount: number;
+  paymentId: string;
+  cardLast4?: string | null;
+}
+
+interface ShippingNotificationData {
+  customerName: string;
+  orderNumber: string;
+  carrier?: string | null;
+  trackingNumber?: string | null;
+  trackingUrl?: string | null;
+  orderUrl?: string | null;
+}
+
+interface PaymentFailureData {
+  customerName: string;
+  orderNumber: string;
+  reason?: string | null;
+  retryUrl?: string | null;
+}
+
+interface DeliveryConfirmationData {
+  customerName: string;
+  orderNumber: string;
+}
+
+interface ReviewRequestData {
+  customerName: string;
+  orderNumber: string;
+  reviewUrl: string;
+}
+
+interface SubscriptionPaymentFailureData {
+  customerName: string;
+  planName: string;
+  amount: number;
+  // True once retries are exhausted and the line is switched off
+  suspended: boolean;
+  // Stripe's hosted invoice page, where the customer can pay or change card
+  updateUrl?: string | null;
+}
+
+// Single-use link from lib/customer-accounts
+interface AccountLinkData {
+  customerName: string;
+  url: string;
+  expiresInMinutes: number;
+}
+
+interface CartRecoveryData {
+  customerName?: string | null;
+  items: EmailLineItem[];
+  subtotal: number;
+  // Signed link that puts these items back in the customer's cart
+  restoreUrl: string;
+}
+
+// Internal alert to the team (refunds, disputes, failed payments)
+interface TeamNotificationData {
+  title: string;
+  summary?: string | null;
+  fields: Array<[string, string]>;
+  // Where to act on it, e.g. the order in Zoho or the payment in Stripe
+  actionUrl?: string | null;
+}
+
+interface EmailTemplateData {
+  'order-confirmation': OrderConfirmationData;
+  'payment-confirmation': PaymentConfirmationData;
+  'shipping-notification': ShippingNotificationData;
+  'payment-failure': PaymentFailureData;
+  'delivery-confirmation': DeliveryConfirmationData;
+  'review-request': ReviewRequestData;
+  'subscription-payment-failure': SubscriptionPaymentFailureData;
+  'account-verification': AccountLinkData;
+  'account-sign-in': AccountLinkData;
+  'cart-recovery': CartRecoveryData;
+  'team-notification': TeamNotificationData;
+}
+
+// Logo palette from tailwind.config.js
+const BRAND = {
+  name: 'Travel Data WiFi',
+  primary: '#1e40af',
+  accent: '#0891b2',
+  text: '#111827',
+  muted: '#6b7280',
+  background: '#f9fafb'
+};
+
+const siteUrl = () => process.env.NEXT_PUBLIC_BASE_URL || 'https://traveldatawifi.com';
+const supportEmail = () => process.env.SUPPORT_EMAIL || 'support@traveldatawifi.com';
+
+/**
+ * Render a template by name
+ */
+function renderEmail<T extends EmailTemplateName>(template: T, data: EmailTemplateData[T]): RenderedEmail {
+  const render = TEMPLATES[template] as (data: EmailTemplateData[T]) => RenderedEmail;
+  return render(data);
+}
+
+const TEMPLATES: { [K in EmailTemplateName]: (data: EmailTemplateData[K]) => RenderedEmail } = {
+  'order-confirmation': data => {
+    const rows = data.items.map(item =>
+      `<tr><td style="padding:6px 0">${escape(item.name)} &times; ${item.quantity}</td>` +
+      `<td style="padding:6px 0;text-align:right">${money(item.price * item.quantity)}</td></tr>`
+    ).join('');
+
+    const totals = [
+      ['Subtotal', data.subtotal],
+      [`Shipping${data.shippingMethod ? ` (${data.shippingMethod})` : ''}`, data.shipping],
+      ['Tax', data.tax]
+    ] as Array<[string, number]>;
+
+    return layout(`Order ${data.orderNumber} confirmed`, {
+      heading: 'Thanks for your order!',
+      greeting: data.customerName,
+      html: `
+        <p>We've received your payment and your order <strong>${escape(data.orderNumber)}</strong> is being prepared.</p>
+        <table style="width:100%;border-collapse:collapse;margin:16px 0">
+          ${rows}
+          ${totals.map(([label, amount]) => `<tr><td style="padding:4px 0;color:${BRAND.muted}">${escape(label)}</td><td style="padding:4px 0;text-align:right;color:${BRAND.muted}">${money(amount)}</td></tr>`).join('')}
+          <tr><td style="padding:8px 0;border-top:1px solid #e5e7eb;font-weight:bold">Total</td><td style="padding:8px 0;border-top:1px solid #e5e7eb;text-align:right;font-weight:bold">${money(data.total)}</td></tr>
+        </table>
+        ${data.shippingAddress ? `<p><strong>Shipping to</strong><br>${formatAddress(data.shippingAddress).map(escape).join('<br>')}</p>` : ''}
+        <p>We'll email you again as soon as it ships.</p>
+        ${data.orderUrl ? button('View your order', data.orderUrl) : ''}`,
+      text: [
+        `We've received your payment and your order ${data.orderNumber} is being prepared.`,
+        '',
+        ...data.items.map(item => `${item.name} x ${item.quantity}: ${money(item.price * item.quantity)}`),
+        '',
+        ...totals.map(([label, amount]) => `${label}: ${money(amount)}`),
+        `Total: ${money(data.total)}`,
+        ...(data.shippingAddress ? ['', 'Shipping to:', ...formatAddress(data.shippingAddress)] : []),
+        '',
+        "We'll email you again as soon as it ships.",
+        ...(data.orderUrl ? [`View your order: ${data.orderUrl}`] : [])
+      ]
+    });
+  },
+
+  'payment-confirmation': data => layout(`Payment received for ${data.reference}`, {
+    heading: 'Payment received',
+    greeting: data.customerName,
+    html: `
+      <p>We've received your payment of <strong>${money(data.amount)}</strong> for <strong>${escape(data.reference)}</strong>.</p>
+      <p style="color:${BRAND.muted}">Payment reference: ${escape(data.paymentId)}${data.cardLast4 ? `<br>Card ending in ${escape(data.cardLast4)}` : ''}</p>`,
+    text: [
+      `We've received your payment of ${money(data.amount)} for ${data.reference}.`,
+      '',
+      `Payment reference: ${data.paymentId}`,
+      ...(data.cardLast4 ? [`Card ending in ${data.cardLast4}`] : [])
+    ]
+  }),
+
+  'shipping-notification': data => {
+    const tracking = data.trackingNumber
+      ? `${data.carrier ? `${data.carrier} ` : ''}tracking number ${data.trackingNumber}`
+      : null;
+
+    return layout(`Order ${data.orderNumber} has shipped`, {
+      heading: 'Your order is on its way',
+      greeting: data.customerName,
+      html: `
+        <p>Good news: order <strong>${escape(data.orderNumber)}</strong> has shipped.</p>
+        ${tracking ? `<p>${escape(tracking)}</p>` : ''}
+        ${data.trackingUrl ? button('Track your package', data.trackingUrl) : ''}
+        ${data.orderUrl ? `<p><a href="${escape(data.orderUrl)}" style="color:${BRAND.accent}">View your order</a></p>` : ''}`,
+      text: [
+        `Good news: order ${data.orderNumber} has shipped.`,
+        ...(tracking ? ['', tracking] : []),
+        ...(data.trackingUrl ? [`Track your package: ${data.trackingUrl}`] : []),
+        ...(data.orderUrl ? [`View your order: ${data.orderUrl}`] : [])
+      ]
+    });
+  },
+
+  'payment-failure': data => layout(`Payment problem with order ${data.orderNumber}`, {
+    heading: "We couldn't process your payment",
+    greeting: data.customerName,
+    html: `
+      <p>The payment for order <strong>${escape(data.orderNumber)}</strong> didn't go through${data.reason ? `: ${escape(data.reason)}` : '.'}</p>
+      <p>Your order is on hold until payment is completed.</p>
+      ${data.retryUrl ? button('Try again', data.retryUrl) : ''}`,
+    text: [
+      `The payment for order ${data.orderNumber} didn't go through${data.reason ? `: ${data.reason}` : '.'}`,
+      'Your order is on hold until payment is completed.',
+      ...(data.retryUrl ? ['', `Try again: ${data.retryUrl}`] : [])
+    ]
+  }),
+
+  'delivery-confirmation': data => layout(`Order ${data.orderNumber} was delivered`, {
+    heading: 'Your order has arrived',
+    greeting: data.customerName,
+    html: `
+      <p>Order <strong>${escape(data.orderNumber)}</strong> has been delivered. We hope you enjoy staying connected on the road.</p>
+      <p>Setup guides and troubleshooting are in our knowledge base.</p>
+      ${button('Get started', `${siteUrl()}/support`)}`,
+    text: [
+      `Order ${data.orderNumber} has been delivered. We hope you enjoy staying connected on the road.`,
+      '',
+      `Setup guides and troubleshooting: ${siteUrl()}/support`
+    ]
+  }),
+
+  'review-request': data => layout(`How is your ${BRAND.name} order?`, {
+    heading: 'How are we doing?',
+    greeting: data.customerName,
+    html: `
+      <p>You've had order <strong>${escape(data.orderNumber)}</strong> for a little while now. A quick review helps other travelers choose the right setup.</p>
+      ${button('Write a review', data.reviewUrl)}`,
+    text: [
+      `You've had order ${data.orderNumber} for a little while now. A quick review helps other travelers choose the right setup.`,
+      '',
+      `Write a review: ${data.reviewUrl}`
+    ]
+  }),
+
+  'subscription-payment-failure': data => {
+    const status = data.suspended
+      ? 'Your data service has been suspended until the payment goes through.'
+      : "We'll try the card again over the next few days. Your data service stays on for now.";
+
+    return layout(data.suspended ? `Your ${data.planName} service is suspended` : `We couldn't renew your ${data.planName}`, {
+      heading: data.suspended ? 'Your data service is suspended' : 'Your plan renewal failed',
+      greeting: data.customerName,
+      html: `
+        <p>We couldn't collect the <strong>${money(data.amount)}</strong> renewal for your <strong>${escape(data.planName)}</strong>.</p>
+        <p>${escape(status)}</p>
+        ${data.updateUrl ? button('Pay or update your card', data.updateUrl) : ''}`,
+      text: [
+        `We couldn't collect the ${money(data.amount)} renewal for your ${data.planName}.`,
+        status,
+        ...(data.updateUrl ? ['', `Pay or update your card: ${data.updateUrl}`] : [])
+      ]
+    });
+  },
+
+  'account-verification': data => layout(`Confirm your ${BRAND.name} account`, {
+    heading: 'Confirm your email address',
+    greeting: data.customerName,
+    html: `
+      <p>Confirm this email address to finish setting up your account. You'll be asked for the password you chose. Your account lists your orders and keeps your shipping addresses for faster checkout.</p>
+      ${button('Confirm my email', data.url)}
+      <p style="color:${BRAND.muted};font-size:13px">The link works once and expires in ${data.expiresInMinutes} minutes. If you didn't create an account, you can ignore this email.</p>`,
+    text: [
+      `Confirm this email address to finish setting up your account. You'll be asked for the password you chose. Your account lists your orders and keeps your shipping addresses for faster checkout.`,
+      '',
+      `Confirm my email: ${data.url}`,
+      '',
+      `The link works once and expires in ${data.expiresInMinutes} minutes. If you didn't create an account, you can ignore this email.`
+    ]
+  }),
+
+  'account-sign-in': data => layout(`Your ${BRAND.name} sign-in link`, {
+    heading: 'Sign in to your account',
+    greeting: data.customerName,
+    html: `
+      <p>Use the button below to sign in. No password needed.</p>
+      ${button('Sign in', data.url)}
+      <p style="color:${BRAND.muted};font-size:13px">The link works once and expires in ${data.expiresInMinutes} minutes. If you didn't ask to sign in, you can ignore this email.</p>`,
+    text: [
+      'Use the link below to sign in. No password needed.',
+      '',
+      `Sign in: ${data.url}`,
+      '',
+      `The link works once and expires in ${data.expiresInMinutes} minutes. If you didn't ask to sign in, you can ignore this email.`
+    ]
+  }),
+
+  'cart-recovery': data => layout('You left something in your cart', {
+    heading: 'Still thinking it over?',
+    greeting: data.customerName || '',
+    html: `
+      <p>Your cart is saved. Pick up where you left off:</p>
+      <table style="width:100%;border-collapse:collapse;margin:16px 0">
+        ${data.items.map(item => `<tr><td style="padding:4px 0">${escape(item.name)} &times; ${item.quantity}</td><td style="padding:4px 0;text-align:right">${money(item.price * item.quantity)}</td></tr>`).join('')}
+        <tr><td style="padding:8px 0;border-top:1px solid #e5e7eb"><strong>Subtotal</strong></td><td style="padding:8px 0;border-top:1px solid #e5e7eb;text-align:right"><strong>${money(data.subtotal)}</strong></td></tr>
+      </table>
+      ${button('Return to my cart', data.restoreUrl)}
+      <p style="color:${BRAND.muted};font-size:13px">Prices and stock are checked again at checkout. Questions about the right setup? Reply to this email.</p>`,
+    text: [
+      'Your cart is saved. Pick up where you left off:',
+      '',
+      ...data.items.map(item => `${item.name} x ${item.quantity}: ${money(item.price * item.quantity)}`),
+      `Subtotal: ${money(data.subtotal)}`,
+      '',
+      `Return to my cart: ${data.restoreUrl}`,
+      '',
+      'Prices and stock are checked again at checkout. Questions about the right setup? Reply to this email.'
+    ]
+  }),
+
+  'team-notification': data => layout(`[${BRAND.name}] ${data.title}`, {
+    heading: data.title,
+    greeting: 'team',
+    html: `
+      ${data.summary ? `<p>${escape(data.summary)}</p>` : ''}
+      <table style="width:100%;border-collapse:collapse;margin:16px 0">
+        ${data.fields.map(([label, value]) => `<tr><td style="padding:4px 12px 4px 0;color:${BRAND.muted};white-space:nowrap">${escape(label)}</td><td style="padding:4px 0">${escape(value)}</td></tr>`).join('')}
+      </table>
+      ${data.actionUrl ? button('Open', data.actionUrl) : ''}`,
+    text: [
+      ...(data.summary ? [data.summary, ''] : []),
+      ...data.fields.map(([label, value]) => `${label}: ${value}`),
+      ...(data.actionUrl ? ['', data.actionUrl] : [])
+    ]
+  })
+};
+
+/**
+ * Wrap a message body in the branded header and footer
+ */
+function layout(subject: string, body: { heading: string; greeting: string; html: string; text: string[] }): RenderedEmail {
+  const greeting = body.greeting ? `Hi ${body.greeting},` : 'Hi,';
+
+  const html = `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width"><title>${escape(subject)}</title></head>
+<body style="margin:0;padding:0;background:${BRAND.background};font-family:Arial,Helvetica,sans-serif;color:${BRAND.text}">
+  <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:${BRAND.background};padding:24px 0">
+    <tr><td align="center">
+      <table role="presentation" width="600" cellpadding="0" cellspacing="0" style="max-width:600px;width:100%;background:#ffffff;border-radius:8px;overflow:hidden">
+        <tr><td style="background:${BRAND.primary};padding:20px 24px;color:#ffffff;font-size:20px;font-weight:bold">${BRAND.name}</td></tr>
+        <tr><td style="padding:24px;font-size:15px;line-height:1.5">
+          <h1 style="margin:0 0 16px;font-size:22px;color:${BRAND.primary}">${escape(body.heading)}</h1>
+          <p>${escape(greeting)}</p>
+          ${body.html.trim()}
+        </td></tr>
+        <tr><td style="padding:16px 24px;border-top:1px solid #e5e7eb;font-size:12px;color:${BRAND.muted}">
+          Questions? Reply to this email or contact <a href="mailto:${supportEmail()}" style="color:${BRAND.accent}">${supportEmail()}</a>.<br>
+          ${BRAND.name} &middot; <a href="${siteUrl()}" style="color:${BRAND.accent}">${siteUrl().replace(/^https?:\/\//, '')}</a>
+        </td></tr>
+      </table>
+    </td></tr>
+  </table>
+</body>
+</html>`;
+
+  const text = [
+    greeting,
+    '',
+    ...body.text,
+    '',
+    '--',
+    BRAND.name,
+    `Questions? Reply to this email or contact ${supportEmail()}.`,
+    siteUrl()
+  ].join('\n');
+
+  return { subject, html, text };
+}
+
+function button(label: string, url: string): string {
+  return `<p style="margin:24px 0"><a href="${escape(url)}" style="background:${BRAND.accent};color:#ffffff;padding:12px 20px;border-radius:6px;text-decoration:none;font-weight:bold">${escape(label)}</a></p>`;
+}
+
+function formatAddress(address: EmailAddress): string[] {
+  const cityLine = [address.city, [address.state, address.zipCode].filter(Boolean).join(' ')].filter(Boolean).join(', ');
+  return [address.address1, address.address2, cityLine, address.country && address.country !== 'US' ? address.country : '']
+    .filter((line): line is string => !!line);
+}
+
+function money(amount: number): string {
+  return `$${(Number(amount) || 0).toFixed(2)}`;
+}
+
+function escape(value: string): string {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+export { renderEmail };
+
+export type {
+  EmailTemplateName,
+  EmailTemplateData,
+  RenderedEmail,
+  EmailLineItem,
+  EmailAddress,
+  OrderConfirmationData,
+  PaymentConfirmationData,
+  ShippingNotificationData,
+  PaymentFailureData,
+  DeliveryConfirmationData,
+  ReviewRequestData,
+  SubscriptionPaymentFailureData,
+  AccountLinkData,
+  CartRecoveryData,
+  TeamNotificationData
+};
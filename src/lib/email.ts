@@ -0,0 +1,244 @@
+// src/lib/email.ts - Transactional email delivery for order and payment events
+// Renders a template and hands it to a pluggable adapter: SMTP in production,
+// a local outbox directory for development and tests. Every recipient's send is logged.
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import nodemailer, { type Transporter } from 'nodemailer';
+import { createPersistentStore } from './persistent-store';
+import { renderEmail, type EmailTemplateName, type EmailTemplateData } from './email-templates';
+
+interface EmailMessage {
+  from: string;
+  to: string;
+  replyTo?: string;
+  subject: string;
+  html: string;
+  text: string;
+}
+
+interface EmailAdapterResult {
+  messageId: string;
+}
+
+interface EmailAdapter {
+  readonly name: string;
+  send(message: EmailMessage): Promise<EmailAdapterResult>;
+}
+
+interface SendOptions {
+  to: string | string[];
+  // Sends with the same key are only delivered once per recipient, so webhook retries don't repeat emails
+  idempotencyKey?: string;
+  // Order or invoice the email is about, kept in the send log
+  reference?: string;
+}
+
+type EmailSendStatus = 'sent' | 'skipped' | 'failed';
+
+interface EmailLogEntry {
+  recipient: string;
+  template: EmailTemplateName;
+  subject: string;
+  status: EmailSendStatus;
+  adapter: string;
+  messageId: string | null;
+  reference: string | null;
+  error: string | null;
+  timestamp: string;
+}
+
+interface EmailConfig {
+  from: string;
+  replyTo: string;
+  logRetentionSeconds: number;
+}
+
+/**
+ * Sends through any SMTP server configured with the SMTP_* variables
+ */
+class SmtpEmailAdapter implements EmailAdapter {
+  readonly name = 'smtp';
+  private static transport: Transporter | null = null;
+
+  static isConfigured(): boolean {
+    return !!process.env.SMTP_HOST;
+  }
+
+  async send(message: EmailMessage): Promise<EmailAdapterResult> {
+    const info = await this.getTransport().sendMail(message);
+    return { messageId: info.messageId };
+  }
+
+  // One pooled transport per process
+  private getTransport(): Transporter {
+    if (!SmtpEmailAdapter.transport) {
+      if (!SmtpEmailAdapter.isConfigured()) {
+        throw new Error('SMTP_HOST is not configured');
+      }
+
+      const port = parseInt(process.env.SMTP_PORT || '587');
+      SmtpEmailAdapter.transport = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port,
+        secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+        pool: true,
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined
+      });
+    }
+
+    return SmtpEmailAdapter.transport;
+  }
+}
+
+/**
+ * Writes each message to an outbox directory for local development and tests
+ */
+class LocalOutboxEmailAdapter implements EmailAdapter {
+  readonly name = 'outbox';
+  private readonly directory = path.join(process.env.DATA_DIR || path.join(process.cwd(), '.data'), 'outbox');
+
+  async send(message: EmailMessage): Promise<EmailAdapterResult> {
+    const messageId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const safeRecipient = message.to.replace(/[^a-zA-Z0-9@._-]/g, '_');
+    const baseName = path.join(this.directory, `${messageId}-${safeRecipient}`);
+
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(`${baseName}.json`, JSON.stringify({ messageId, ...message, createdAt: new Date().toISOString() }, null, 2));
+    // Open the .html file in a browser to preview the message
+    await fs.writeFile(`${baseName}.html`, message.html);
+
+    console.log(`📁 Wrote email "${message.subject}" for ${message.to} to ${baseName}.html`);
+    return { messageId };
+  }
+}
+
+class EmailService {
+  private store = createPersistentStore('email-log');
+
+  private readonly config: EmailConfig = {
+    from: process.env.EMAIL_FROM || 'Travel Data WiFi <orders@traveldatawifi.com>',
+    replyTo: process.env.SUPPORT_EMAIL || 'support@traveldatawifi.com',
+    logRetentionSeconds: 90 * 24 * 60 * 60
+  };
+
+  /**
+   * Pick the adapter from EMAIL_ADAPTER, defaulting to SMTP when it is configured
+   */
+  getAdapter(): EmailAdapter {
+    const configured = process.env.EMAIL_ADAPTER;
+
+    if (configured === 'outbox') return new LocalOutboxEmailAdapter();
+    if (configured === 'smtp') return new SmtpEmailAdapter();
+
+    if (SmtpEmailAdapter.isConfigured()) return new SmtpEmailAdapter();
+
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('No email adapter configured. Set the SMTP_* variables or EMAIL_ADAPTER.');
+    }
+
+    return new LocalOutboxEmailAdapter();
+  }
+
+  /**
+   * Render a template and send it to each recipient separately. Failures are logged and
+   * returned rather than thrown, so callers decide whether a missed email should fail the request.
+   */
+  async send<T extends EmailTemplateName>(template: T, data: EmailTemplateData[T], options: SendOptions): Promise<EmailLogEntry[]> {
+    const recipients = (Array.isArray(options.to) ? options.to : [options.to])
+      .map(recipient => recipient?.trim().toLowerCase())
+      .filter((recipient): recipient is string => !!recipient);
+
+    if (recipients.length === 0) {
+      console.warn(`⚠️ No recipient for ${template} email${options.reference ? ` (${options.reference})` : ''}, not sending`);
+      return [];
+    }
+
+    const rendered = renderEmail(template, data);
+    const adapter = this.getAdapter();
+    const results: EmailLogEntry[] = [];
+
+    for (const recipient of recipients) {
+      const sentKey = options.idempotencyKey ? `sent:${options.idempotencyKey}:${recipient}` : null;
+      const entry: EmailLogEntry = {
+        recipient,
+        template,
+        subject: rendered.subject,
+        status: 'sent',
+        adapter: adapter.name,
+        messageId: null,
+        reference: options.reference || null,
+        error: null,
+        timestamp: new Date().toISOString()
+      };
+
+      if (sentKey && await this.store.get(sentKey)) {
+        console.log(`↩️ ${template} email already sent to ${recipient} (${options.idempotencyKey})`);
+        results.push({ ...entry, status: 'skipped' });
+        continue;
+      }
+
+      try {
+        const result = await adapter.send({
+          from: this.config.from,
+          to: recipient,
+          replyTo: this.config.replyTo,
+          ...rendered
+        });
+        entry.messageId = result.messageId;
+
+        if (sentKey) {
+          await this.store.set(sentKey, entry.messageId, { ttlSeconds: this.config.logRetentionSeconds });
+        }
+
+        console.log(`📧 Sent ${template} email to ${recipient} via ${adapter.name}`);
+      } catch (error) {
+        entry.status = 'failed';
+        entry.error = error instanceof Error ? error.message : String(error);
+        console.error(`❌ Failed to send ${template} email to ${recipient} via ${adapter.name}:`, entry.error);
+      }
+
+      await this.log(entry);
+      results.push(entry);
+    }
+
+    return results;
+  }
+
+  /**
+   * Emails sent to a recipient, newest first
+   */
+  async getLog(recipient: string): Promise<EmailLogEntry[]> {
+    const entries = await this.store.list<EmailLogEntry>(`log:${recipient.trim().toLowerCase()}:`);
+
+    return entries
+      .map(entry => entry.value)
+      .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+  }
+
+  private async log(entry: EmailLogEntry): Promise<void> {
+    try {
+      const key = `log:${entry.recipient}:${entry.timestamp}:${Math.random().toString(36).slice(2, 8)}`;
+      await this.store.set(key, entry, { ttlSeconds: this.config.logRetentionSeconds });
+    } catch (error) {
+      console.error('⚠️ Failed to write email log entry:', error);
+    }
+  }
+}
+
+/**
+ * True when every send in the batch was delivered now or earlier
+ */
+function allDelivered(results: EmailLogEntry[]): boolean {
+  return results.every(result => result.status !== 'failed');
+}
+
+// Export singleton instance
+export const emailService = new EmailService();
+
+export { allDelivered };
+
+// Export types for other modules
+export type { EmailAdapter, EmailMessage, EmailLogEntry, EmailSendStatus, SendOptions };
@@ -1,5 +1,10 @@
 // src/lib/enhanced-token-manager.ts - Centralized token management with advanced rate limiting
 // CRITICAL: This replaces all scattered token caching implementations
+// Tokens are shared through Redis (when REDIS_URL is set) so serverless instances don't each refresh;
+// a Redis lock makes sure only one instance refreshes a credential set at a time.
+
+import crypto from 'crypto';
+import { getRedisClient, type RedisClient } from './redis-client';
 
 interface TokenCacheEntry {
   accessToken: string;
@@ -17,15 +22,37 @@ interface RateLimitState {
   backoffUntil: number;
 }
 
+type ZohoService = 'inventory' | 'commerce' | 'crm' | 'desk';
+
+interface ZohoCredentials {
+  // Env prefix the credentials came from; services sharing credentials share one cached token
+  set: string;
+  clientId: string;
+  clientSecret: string;
+  refreshToken: string;
+}
+
 interface TokenManagerConfig {
   maxRefreshesPerHour: number;
   maxFailuresBeforeBackoff: number;
   baseBackoffMs: number;
   maxBackoffMs: number;
   tokenBufferMinutes: number;
+  lockTtlMs: number;
+  lockWaitMs: number;
   enableMetrics: boolean;
 }
 
+type LockResult = 'acquired' | 'busy' | 'unavailable';
+
+const REDIS_PREFIX = 'zoho-tokens';
+
+// Delete the lock only if we still own it, so a slow refresh can't release another instance's lock
+const RELEASE_LOCK_SCRIPT = `if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end`;
+
+// Extend the lock only while we still own it
+const RENEW_LOCK_SCRIPT = `if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('pexpire', KEYS[1], ARGV[2]) else return 0 end`;
+
 class EnhancedTokenManager {
   private static instance: EnhancedTokenManager;
   private tokenCache = new Map<string, TokenCacheEntry>();
@@ -38,6 +65,8 @@ class EnhancedTokenManager {
     baseBackoffMs: 5000, // 5 seconds
     maxBackoffMs: 300000, // 5 minutes
     tokenBufferMinutes: 10, // Refresh 10 minutes before expiry
+    lockTtlMs: 35000, // Renewed every third of this while the holder is still refreshing
+    lockWaitMs: 10000, // How long to wait for another instance's refresh before refreshing ourselves
     enableMetrics: process.env.NODE_ENV === 'development'
   };
 
@@ -46,16 +75,19 @@ class EnhancedTokenManager {
     successfulRefreshes: 0,
     failedRefreshes: 0,
     cacheHits: 0,
+    sharedCacheHits: 0,
+    lockWaits: 0,
     rateLimitHits: 0,
     lastResetTime: Date.now()
   };
 
   private constructor() {
+    // Housekeeping only: unref'd so they never keep a process (a script, a test run) alive
     // Cleanup expired entries every 5 minutes
-    setInterval(() => this.cleanup(), 5 * 60 * 1000);
+    setInterval(() => this.cleanup(), 5 * 60 * 1000).unref();
     
     // Reset metrics daily
-    setInterval(() => this.resetMetrics(), 24 * 60 * 60 * 1000);
+    setInterval(() => this.resetMetrics(), 24 * 60 * 60 * 1000).unref();
   }
 
   public static getInstance(): EnhancedTokenManager {
@@ -68,11 +100,9 @@ class EnhancedTokenManager {
   /**
    * Get access token with comprehensive rate limiting and caching
    */
-  async getAccessToken(service: 'inventory' | 'commerce' = 'inventory'): Promise<string> {
-    const cacheKey = `zoho_${service}`;
-    
-    // Check if we need to wait due to rate limiting
-    await this.enforceRateLimit(cacheKey);
+  async getAccessToken(service: ZohoService = 'inventory'): Promise<string> {
+    const credentials = this.resolveCredentials(service);
+    const cacheKey = `zoho_${credentials.set}`;
     
     // Check cache first
     const cachedToken = this.getCachedToken(cacheKey);
@@ -84,14 +114,14 @@ class EnhancedTokenManager {
       return cachedToken.accessToken;
     }
 
-    // Prevent concurrent refreshes for the same service
+    // Prevent concurrent refreshes for the same credentials
     if (this.refreshPromises.has(cacheKey)) {
       console.log('⏳ Waiting for existing token refresh...');
       return await this.refreshPromises.get(cacheKey)!;
     }
 
-    // Start new refresh
-    const refreshPromise = this.refreshToken(cacheKey, service);
+    // Start new refresh (or pick up one another instance just stored)
+    const refreshPromise = this.obtainToken(cacheKey, service, credentials);
     this.refreshPromises.set(cacheKey, refreshPromise);
 
     try {
@@ -102,6 +132,178 @@ class EnhancedTokenManager {
     }
   }
 
+  /**
+   * Use the token shared in Redis, or refresh it while holding the Redis lock.
+   * Falls back to a process-local refresh when Redis is not configured or not reachable.
+   */
+  private async obtainToken(cacheKey: string, service: ZohoService, credentials: ZohoCredentials): Promise<string> {
+    const redis = await getRedisClient();
+    if (!redis) {
+      return this.refreshLocally(cacheKey, service, credentials);
+    }
+
+    const lockKey = `${REDIS_PREFIX}:${cacheKey}:lock`;
+    const lockId = crypto.randomUUID();
+    const deadline = Date.now() + this.config.lockWaitMs;
+    let waited = false;
+
+    while (true) {
+      const shared = await this.readSharedToken(redis, cacheKey);
+      if (shared) {
+        this.metrics.sharedCacheHits++;
+        return shared.accessToken;
+      }
+
+      const lock = await this.acquireLock(redis, lockKey, lockId);
+
+      if (lock === 'acquired') {
+        // A refresh can wait out a rate-limit backoff for longer than the lock lives; keep it until done
+        const renewal = setInterval(() => this.renewLock(redis, lockKey, lockId), this.config.lockTtlMs / 3);
+        renewal.unref();
+        try {
+          // Another instance may have stored a token between our read and taking the lock
+          const stored = await this.readSharedToken(redis, cacheKey);
+          if (stored) {
+            this.metrics.sharedCacheHits++;
+            return stored.accessToken;
+          }
+
+          const token = await this.refreshLocally(cacheKey, service, credentials);
+          await this.writeSharedToken(redis, cacheKey);
+          return token;
+        } finally {
+          clearInterval(renewal);
+          await this.releaseLock(redis, lockKey, lockId);
+        }
+      }
+
+      if (lock === 'unavailable') break;
+
+      if (Date.now() >= deadline) {
+        console.warn(`⚠️ Timed out waiting for another instance to refresh the ${service} token, refreshing locally`);
+        break;
+      }
+
+      if (!waited) {
+        waited = true;
+        this.metrics.lockWaits++;
+        console.log(`⏳ Another instance is refreshing the ${service} token, waiting...`);
+      }
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+
+    const token = await this.refreshLocally(cacheKey, service, credentials);
+    await this.writeSharedToken(redis, cacheKey);
+    return token;
+  }
+
+  /**
+   * Refresh in this process, counted against the hourly limit (cache hits are free)
+   */
+  private async refreshLocally(cacheKey: string, service: ZohoService, credentials: ZohoCredentials): Promise<string> {
+    await this.enforceRateLimit(cacheKey);
+    return this.refreshToken(cacheKey, service, credentials);
+  }
+
+  /**
+   * Read a still-valid token from Redis and copy it into the in-memory cache
+   */
+  private async readSharedToken(redis: RedisClient, cacheKey: string): Promise<TokenCacheEntry | null> {
+    try {
+      const raw = await redis.get(`${REDIS_PREFIX}:${cacheKey}`);
+      if (!raw) return null;
+
+      const entry: TokenCacheEntry = JSON.parse(raw);
+      if (!this.isFresh(entry)) return null;
+
+      this.tokenCache.set(cacheKey, entry);
+      return entry;
+    } catch (error) {
+      console.error('Redis token read error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Store the in-memory token in Redis until it expires
+   */
+  private async writeSharedToken(redis: RedisClient, cacheKey: string): Promise<void> {
+    const entry = this.tokenCache.get(cacheKey);
+    if (!entry) return;
+
+    const ttlMs = entry.expiryTime - Date.now();
+    if (ttlMs <= 0) return;
+
+    try {
+      await redis.set(`${REDIS_PREFIX}:${cacheKey}`, JSON.stringify(entry), { PX: ttlMs });
+    } catch (error) {
+      console.error('Redis token write error:', error);
+    }
+  }
+
+  private async acquireLock(redis: RedisClient, lockKey: string, lockId: string): Promise<LockResult> {
+    try {
+      const result = await redis.set(lockKey, lockId, { NX: true, PX: this.config.lockTtlMs });
+      return result === 'OK' ? 'acquired' : 'busy';
+    } catch (error) {
+      console.error('Redis token lock error, refreshing without lock:', error);
+      return 'unavailable';
+    }
+  }
+
+  private async renewLock(redis: RedisClient, lockKey: string, lockId: string): Promise<void> {
+    try {
+      await redis.eval(RENEW_LOCK_SCRIPT, { keys: [lockKey], arguments: [lockId, String(this.config.lockTtlMs)] });
+    } catch (error) {
+      // The next renewal tries again; at worst another instance refreshes too
+      console.error('Redis token lock renewal error:', error);
+    }
+  }
+
+  private async releaseLock(redis: RedisClient, lockKey: string, lockId: string): Promise<void> {
+    try {
+      await redis.eval(RELEASE_LOCK_SCRIPT, { keys: [lockKey], arguments: [lockId] });
+    } catch (error) {
+      // The lock expires on its own
+      console.error('Redis token unlock error:', error);
+    }
+  }
+
+  /**
+   * Whether OAuth credentials are configured for a service
+   */
+  hasCredentials(service: ZohoService): boolean {
+    try {
+      this.resolveCredentials(service);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * OAuth credentials per service. CRM requires its own ZOHO_CRM_* client; Desk uses ZOHO_DESK_*
+   * when set and the shared ZOHO_* client otherwise; Inventory and Commerce use ZOHO_*.
+   */
+  private resolveCredentials(service: ZohoService): ZohoCredentials {
+    const prefixes = service === 'crm' ? ['ZOHO_CRM'] : service === 'desk' ? ['ZOHO_DESK', 'ZOHO'] : ['ZOHO'];
+
+    for (const prefix of prefixes) {
+      const clientId = process.env[`${prefix}_CLIENT_ID`];
+      const clientSecret = process.env[`${prefix}_CLIENT_SECRET`];
+      const refreshToken = process.env[`${prefix}_REFRESH_TOKEN`];
+
+      if (clientId && clientSecret && refreshToken) {
+        return { set: prefix.toLowerCase(), clientId, clientSecret, refreshToken };
+      }
+    }
+
+    const prefix = prefixes[0];
+    const requiredVars = [`${prefix}_REFRESH_TOKEN`, `${prefix}_CLIENT_ID`, `${prefix}_CLIENT_SECRET`];
+    const missingVars = requiredVars.filter(varName => !process.env[varName]);
+    throw new Error(`Missing environment variables for Zoho ${service}: ${missingVars.join(', ')}`);
+  }
+
   /**
    * Check cached token validity
    */
@@ -109,16 +311,16 @@ class EnhancedTokenManager {
     const cached = this.tokenCache.get(cacheKey);
     if (!cached) return null;
 
-    const now = Date.now();
-    const bufferTime = this.config.tokenBufferMinutes * 60 * 1000;
-    
-    // Return token if it's still valid with buffer
-    if (now < (cached.expiryTime - bufferTime)) {
-      return cached;
-    }
-
     // Token is expired or close to expiry
-    return null;
+    return this.isFresh(cached) ? cached : null;
+  }
+
+  /**
+   * Whether a token is still valid with the refresh buffer
+   */
+  private isFresh(entry: TokenCacheEntry): boolean {
+    const bufferTime = this.config.tokenBufferMinutes * 60 * 1000;
+    return Date.now() < (entry.expiryTime - bufferTime);
   }
 
   /**
@@ -173,29 +375,22 @@ class EnhancedTokenManager {
   /**
    * Refresh token with comprehensive error handling
    */
-  private async refreshToken(cacheKey: string, service: string): Promise<string> {
+  private async refreshToken(cacheKey: string, service: ZohoService, credentials: ZohoCredentials): Promise<string> {
     const now = Date.now();
     this.metrics.totalRefreshes++;
 
     try {
       console.log(`🔄 Refreshing Zoho access token for ${service}...`);
 
-      const requiredVars = ['ZOHO_REFRESH_TOKEN', 'ZOHO_CLIENT_ID', 'ZOHO_CLIENT_SECRET'];
-      const missingVars = requiredVars.filter(varName => !process.env[varName]);
-      
-      if (missingVars.length > 0) {
-        throw new Error(`Missing environment variables: ${missingVars.join(', ')}`);
-      }
-
       const response = await fetch('https://accounts.zoho.com/oauth/v2/token', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/x-www-form-urlencoded',
         },
         body: new URLSearchParams({
-          refresh_token: process.env.ZOHO_REFRESH_TOKEN!,
-          client_id: process.env.ZOHO_CLIENT_ID!,
-          client_secret: process.env.ZOHO_CLIENT_SECRET!,
+          refresh_token: credentials.refreshToken,
+          client_id: credentials.clientId,
+          client_secret: credentials.clientSecret,
           grant_type: 'refresh_token',
         }),
         // Add timeout to prevent hanging requests
@@ -279,17 +474,42 @@ class EnhancedTokenManager {
   }
 
   /**
-   * Clear cache for a service (useful for testing or forced refresh)
+   * Clear cache for a service (useful for testing or forced refresh).
+   * Pass the token Zoho rejected to drop the shared copy only if no other instance has replaced it yet.
    */
-  clearCache(service?: string): void {
+  async clearCache(service?: ZohoService, rejectedToken?: string): Promise<void> {
+    const redis = await getRedisClient();
+
     if (service) {
-      const cacheKey = `zoho_${service}`;
+      const cacheKey = `zoho_${this.hasCredentials(service) ? this.resolveCredentials(service).set : service}`;
       this.tokenCache.delete(cacheKey);
       this.rateLimitState.delete(cacheKey);
+
+      if (redis) {
+        try {
+          const redisKey = `${REDIS_PREFIX}:${cacheKey}`;
+          const raw = await redis.get(redisKey);
+          if (raw && (!rejectedToken || JSON.parse(raw).accessToken === rejectedToken)) {
+            await redis.del(redisKey);
+          }
+        } catch (error) {
+          console.error('Redis token delete error:', error);
+        }
+      }
       console.log(`🗑️ Cleared cache for ${service}`);
     } else {
       this.tokenCache.clear();
       this.rateLimitState.clear();
+
+      if (redis) {
+        try {
+          for await (const key of redis.scanIterator({ MATCH: `${REDIS_PREFIX}:*`, COUNT: 100 })) {
+            if (!key.endsWith(':lock')) await redis.del(key);
+          }
+        } catch (error) {
+          console.error('Redis token delete error:', error);
+        }
+      }
       console.log('🗑️ Cleared all token cache');
     }
   }
@@ -300,6 +520,7 @@ class EnhancedTokenManager {
   getStatus() {
     return {
       metrics: { ...this.metrics },
+      sharedCache: process.env.REDIS_URL ? 'redis' : 'memory',
       cacheSize: this.tokenCache.size,
       activeRateLimits: Array.from(this.rateLimitState.entries()).map(([key, state]) => ({
         service: key,
@@ -349,6 +570,8 @@ class EnhancedTokenManager {
       successfulRefreshes: 0,
       failedRefreshes: 0,
       cacheHits: 0,
+      sharedCacheHits: 0,
+      lockWaits: 0,
       rateLimitHits: 0,
       lastResetTime: Date.now()
     };
@@ -360,4 +583,4 @@ class EnhancedTokenManager {
 export const tokenManager = EnhancedTokenManager.getInstance();
 
 // Export types for other modules
-export type { TokenManagerConfig, TokenCacheEntry, RateLimitState };
\ No newline at end of file
+export type { ZohoService, TokenManagerConfig, TokenCacheEntry, RateLimitState };
\ No newline at end of file
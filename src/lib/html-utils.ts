@@ -194,4 +194,75 @@ export const getProductPrice = (product: any): number => {
  */
 export const getProductCategory = (product: any): string => {
   return product.product_category || product.category_name || '';
-};
\ No newline at end of file
+};
+const ALLOWED_ARTICLE_TAGS = new Set([
+  'p', 'br', 'hr', 'h2', 'h3', 'h4', 'h5', 'h6', 'strong', 'b', 'em', 'i', 'u', 's', 'sub', 'sup',
+  'ul', 'ol', 'li', 'a', 'img', 'blockquote', 'pre', 'code', 'table', 'thead', 'tbody', 'tr', 'th', 'td',
+  'div', 'span', 'figure', 'figcaption'
+]);
+
+const ALLOWED_ARTICLE_ATTRIBUTES: { [tag: string]: string[] } = {
+  a: ['href', 'title'],
+  img: ['src', 'alt', 'title', 'width', 'height'],
+  th: ['colspan', 'rowspan'],
+  td: ['colspan', 'rowspan']
+};
+
+/**
+ * Cleans help center article HTML for rendering: drops scripts, styles, event handlers and
+ * unknown tags, keeps a small set of formatting tags and safe attributes. H1 becomes H2 since
+ * the article page already renders the title as H1.
+ */
+export const sanitizeArticleHtml = (html: string): string => {
+  if (!html) return '';
+
+  const withoutBlocks = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|iframe|object|embed|noscript|head|form)\b[\s\S]*?<\/\1\s*>/gi, '')
+    .replace(/<(script|style|iframe|object|embed|link|meta|input|button)\b[^>]*\/?>/gi, '');
+
+  const cleaned = withoutBlocks.replace(/<(\/?)([a-z][a-z0-9]*)\b([^>]*)>/gi, (match, closing, rawTag, rawAttributes) => {
+    const tag = rawTag.toLowerCase() === 'h1' ? 'h2' : rawTag.toLowerCase();
+    if (!ALLOWED_ARTICLE_TAGS.has(tag)) return '';
+    if (closing) return `</${tag}>`;
+
+    const allowed = ALLOWED_ARTICLE_ATTRIBUTES[tag] || [];
+    const attributes: string[] = [];
+    let href = '';
+    const attributeRegex = /([a-z][a-z0-9-]*)\s*=\s*("([^"]*)"|'([^']*)'|([^\s>]+))/gi;
+    let attributeMatch;
+
+    while ((attributeMatch = attributeRegex.exec(rawAttributes)) !== null) {
+      const name = attributeMatch[1].toLowerCase();
+      const value = (attributeMatch[3] ?? attributeMatch[4] ?? attributeMatch[5] ?? '').trim();
+
+      if (!allowed.includes(name)) continue;
+      if ((name === 'href' || name === 'src') && !isSafeArticleUrl(value)) continue;
+
+      if (name === 'href') href = value;
+      attributes.push(`${name}="${value.replace(/"/g, '&quot;')}"`);
+    }
+
+    // External links open in a new tab without handing over window.opener
+    if (tag === 'a' && /^https?:\/\//i.test(href)) {
+      attributes.push('target="_blank"', 'rel="noopener noreferrer"');
+    }
+
+    const selfClosing = tag === 'br' || tag === 'hr' || tag === 'img';
+    return `<${tag}${attributes.length ? ' ' + attributes.join(' ') : ''}${selfClosing ? ' /' : ''}>`;
+  });
+
+  return cleaned
+    .replace(/<(p|div|span)>(\s|&nbsp;|<br \/>)*<\/\1>/gi, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+/**
+ * Allows http(s), mailto, tel, relative and anchor URLs
+ */
+const isSafeArticleUrl = (url: string): boolean => {
+  const normalized = url.replace(/[\s\u0000-\u001f]/g, '').toLowerCase();
+  if (/^(https?:|mailto:|tel:)/.test(normalized)) return true;
+  return !/^[a-z][a-z0-9+.-]*:/.test(normalized);
+};
@@ -0,0 +1,268 @@
+// src/lib/image-service.ts - Product images resized and re-encoded for the browser, with a persistent cache
+// An image is a catalog product's or variant's Storefront image (by index into product_images) or, for
+// items without one, the Zoho Inventory item image, fetched through the SDK so tokens come from tokenManager.
+// Originals and resized variants are cached by content hash in Redis, or on disk under DATA_DIR when
+// Redis isn't configured. Which original a product image points to is re-checked every hour.
+
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import { zoho, ZohoNotFoundError } from './zoho-sdk';
+import { getRedisClient } from './redis-client';
+import { createPersistentStore } from './persistent-store';
+import { catalogSync } from './catalog-sync';
+import { IMAGE_VARIANT_WIDTHS, type ImageVariant } from '../utils/product-images';
+
+type ImageFormat = 'avif' | 'webp' | 'jpeg' | 'png';
+
+interface ImageSource {
+  // Storefront URL, or null for the Inventory item image
+  url: string | null;
+  hash: string;
+  contentType: string;
+  hasAlpha: boolean;
+  fetchedAt: string;
+}
+
+interface ImageRequest {
+  index: number;
+  // Omit for the original bytes
+  variant?: ImageVariant;
+  // The request's Accept header, for WebP/AVIF negotiation
+  accept?: string;
+}
+
+interface ResolvedImage {
+  etag: string;
+  contentType: string;
+  load(): Promise<Buffer>;
+}
+
+interface ImageServiceConfig {
+  sourceTtlSeconds: number;
+  // Redis only; the disk cache is content-addressed and kept
+  blobTtlSeconds: number;
+  maxSourceBytes: number;
+  fetchTimeoutMs: number;
+}
+
+const CACHE_DIR = path.join(process.env.DATA_DIR || path.join(process.cwd(), '.data'), 'image-cache');
+
+const ENCODER_OPTIONS: Record<ImageFormat, object> = {
+  // Low effort keeps first-request encodes fast; the result is cached
+  avif: { quality: 50, effort: 2 },
+  webp: { quality: 78 },
+  jpeg: { quality: 82, mozjpeg: true },
+  png: { compressionLevel: 9 }
+};
+
+class ImageNotFoundError extends Error {
+  status = 404;
+
+  constructor(itemId: string, index: number) {
+    super(`No image ${index} for item ${itemId}`);
+    this.name = 'ImageNotFoundError';
+  }
+}
+
+/**
+ * Binary cache: Redis (base64, with a TTL) when configured, files under DATA_DIR otherwise
+ */
+class BlobCache {
+  constructor(private readonly ttlSeconds: number) {}
+
+  async get(key: string): Promise<Buffer | null> {
+    const redis = await getRedisClient();
+    if (redis) {
+      try {
+        const value = await redis.get(`image-cache:${key}`);
+        return value ? Buffer.from(value, 'base64') : null;
+      } catch (error) {
+        console.error('Redis image cache read error:', error);
+      }
+    }
+
+    try {
+      return await fs.readFile(path.join(CACHE_DIR, key));
+    } catch (error: any) {
+      if (error?.code !== 'ENOENT') console.error('Image cache read error:', error);
+      return null;
+    }
+  }
+
+  async set(key: string, data: Buffer): Promise<void> {
+    const redis = await getRedisClient();
+    if (redis) {
+      try {
+        await redis.set(`image-cache:${key}`, data.toString('base64'), { EX: this.ttlSeconds });
+        return;
+      } catch (error) {
+        console.error('Redis image cache write error:', error);
+      }
+    }
+
+    try {
+      await fs.mkdir(CACHE_DIR, { recursive: true });
+      const tempPath = path.join(CACHE_DIR, `${key}.${process.pid}.tmp`);
+      await fs.writeFile(tempPath, data);
+      await fs.rename(tempPath, path.join(CACHE_DIR, key));
+    } catch (error) {
+      // Serving the image matters more than caching it
+      console.error('Image cache write error:', error);
+    }
+  }
+}
+
+class ImageService {
+  private store = createPersistentStore('image-sources');
+
+  private readonly config: ImageServiceConfig = {
+    sourceTtlSeconds: 60 * 60,
+    blobTtlSeconds: 7 * 24 * 60 * 60,
+    maxSourceBytes: 15 * 1024 * 1024,
+    fetchTimeoutMs: 15000
+  };
+
+  private blobs = new BlobCache(this.config.blobTtlSeconds);
+
+  /**
+   * The ETag and type of an image without encoding it, so unchanged images can be answered with a 304
+   */
+  async resolve(itemId: string, request: ImageRequest): Promise<ResolvedImage> {
+    const source = await this.getSource(itemId, request.index);
+
+    if (!request.variant) {
+      return {
+        etag: `"${source.hash}"`,
+        contentType: source.contentType,
+        load: () => this.loadOriginal(itemId, request.index, source)
+      };
+    }
+
+    const variant = request.variant;
+    const format = negotiateFormat(request.accept, source.hasAlpha);
+    const key = `${source.hash}-${variant}.${format}`;
+
+    return {
+      etag: `"${source.hash.slice(0, 32)}-${variant}-${format}"`,
+      contentType: `image/${format}`,
+      load: async () => {
+        const cached = await this.blobs.get(key);
+        if (cached) return cached;
+
+        const original = await this.loadOriginal(itemId, request.index, source);
+        const resized = await sharp(original)
+          .rotate()
+          .resize({ width: IMAGE_VARIANT_WIDTHS[variant], withoutEnlargement: true })
+          .toFormat(format, ENCODER_OPTIONS[format])
+          .toBuffer();
+
+        await this.blobs.set(key, resized);
+        return resized;
+      }
+    };
+  }
+
+  private async getSource(itemId: string, index: number): Promise<ImageSource> {
+    const cached = await this.store.get<ImageSource>(sourceKey(itemId, index));
+    if (cached) return cached;
+
+    return (await this.fetchSource(itemId, index)).source;
+  }
+
+  private async loadOriginal(itemId: string, index: number, source: ImageSource): Promise<Buffer> {
+    const cached = await this.blobs.get(source.hash);
+    if (cached) return cached;
+
+    // Evicted from the cache; the source may have changed meanwhile, which the new hash reflects
+    return (await this.fetchSource(itemId, index)).data;
+  }
+
+  /**
+   * Download an original, cache it by content hash and point the product image at it
+   */
+  private async fetchSource(itemId: string, index: number): Promise<{ source: ImageSource; data: Buffer }> {
+    const feed = await catalogSync.getFeed();
+    const product = feed?.products.find(entry => entry.product_id === itemId);
+    // Variants have their own images; a product with variants falls back to its first variant's item image
+    const variant = product
+      ? null
+      : feed?.products.flatMap(entry => entry.variants || []).find(entry => entry.variant_id === itemId);
+    const images = product?.product_images || variant?.product_images || [];
+    const inventoryItemId = product?.variants?.[0]?.variant_id || itemId;
+
+    let url: string | null = null;
+    let download: { data: Buffer; contentType: string | null };
+
+    if (images.length > 0) {
+      url = images[index] || null;
+      const fetched = url ? await this.fetchUrl(url) : null;
+      if (!fetched) throw new ImageNotFoundError(itemId, index);
+      download = fetched;
+    } else {
+      if (index !== 0) throw new ImageNotFoundError(itemId, index);
+      try {
+        download = await zoho.inventory.getItemImage(inventoryItemId);
+      } catch (error) {
+        if (error instanceof ZohoNotFoundError) throw new ImageNotFoundError(itemId, index);
+        throw error;
+      }
+    }
+
+    const metadata = await sharp(download.data).metadata().catch(() => null);
+    if (!metadata?.format) {
+      throw new Error(`Image ${index} for item ${itemId} is not a readable image`);
+    }
+
+    const source: ImageSource = {
+      url,
+      hash: crypto.createHash('sha256').update(download.data).digest('hex'),
+      contentType: download.contentType?.startsWith('image/') ? download.contentType : `image/${metadata.format}`,
+      hasAlpha: Boolean(metadata.hasAlpha),
+      fetchedAt: new Date().toISOString()
+    };
+
+    await this.blobs.set(source.hash, download.data);
+    await this.store.set(sourceKey(itemId, index), source, { ttlSeconds: this.config.sourceTtlSeconds });
+
+    return { source, data: download.data };
+  }
+
+  /**
+   * Null when the URL no longer exists
+   */
+  private async fetchUrl(url: string): Promise<{ data: Buffer; contentType: string | null } | null> {
+    const response = await fetch(url, { signal: AbortSignal.timeout(this.config.fetchTimeoutMs) });
+
+    if (response.status === 404) return null;
+    if (!response.ok) throw new Error(`Image download failed with HTTP ${response.status}: ${url}`);
+
+    const data = Buffer.from(await response.arrayBuffer());
+    if (data.length > this.config.maxSourceBytes) {
+      throw new Error(`Image is larger than ${this.config.maxSourceBytes} bytes: ${url}`);
+    }
+
+    return { data, contentType: response.headers.get('content-type') };
+  }
+}
+
+/**
+ * Smallest format the browser accepts; JPEG, or PNG to keep transparency, otherwise
+ */
+function negotiateFormat(accept: string | undefined, hasAlpha: boolean): ImageFormat {
+  const accepted = String(accept || '').toLowerCase();
+  if (accepted.includes('image/avif')) return 'avif';
+  if (accepted.includes('image/webp')) return 'webp';
+  return hasAlpha ? 'png' : 'jpeg';
+}
+
+function sourceKey(itemId: string, index: number): string {
+  return `source:${itemId}:${index}`;
+}
+
+export const imageService = new ImageService();
+
+export { ImageNotFoundError, negotiateFormat };
+
+export type { ImageRequest, ResolvedImage, ImageFormat };
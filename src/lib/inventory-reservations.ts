@@ -0,0 +1,315 @@
+// src/lib/inventory-reservations.ts - Hold stock while a customer is on the payment step
+// Checkout reserves the stock-tracked lines before creating the PaymentIntent; the Stripe webhook commits
+// the reservation once the Zoho sales order exists (Zoho's available stock then reflects the sale) and
+// releases it when the PaymentIntent is canceled. Unpaid holds expire after RESERVATION_TTL_MINUTES.
+// Holds live in one Redis hash per item and are checked and taken by a Lua script, so instances can't
+// oversell between them. Without Redis they fall back to the file store, which is only safe in one process.
+
+import crypto from 'crypto';
+import { getRedisClient } from './redis-client';
+import { createPersistentStore } from './persistent-store';
+
+type ReservationStatus = 'held' | 'committed' | 'released';
+
+interface ReservationLine {
+  itemId: string;
+  quantity: number;
+  // Zoho stock available for sale when the line was priced, before anyone's holds
+  stock: number;
+}
+
+interface ReservationRecord {
+  reservationId: string;
+  items: Array<{ itemId: string; quantity: number }>;
+  status: ReservationStatus;
+  paymentIntentId: string | null;
+  expiresAt: string;
+  createdAt: string;
+  updatedAt: string;
+}
+
+interface ReservationsConfig {
+  ttlMinutes: number;
+}
+
+// Hold entries in the fallback store, by reservation id
+type FileHolds = Record<string, { quantity: number; expiresAt: number }>;
+
+const REDIS_PREFIX = 'reservations:item';
+// Records outlive their holds so late webhooks can still find them
+const RECORD_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// Drop expired holds on every item, then take the new hold on all of them or on none.
+// KEYS: one hash per item. ARGV: now, reservation id, expiresAt, then quantity and stock per item.
+// Hash fields are reservation ids with "quantity:expiresAt" values. Returns 0, or the 1-based
+// index of the first item that is short followed by the units still free.
+const RESERVE_SCRIPT = `
+local now = tonumber(ARGV[1])
+for i, key in ipairs(KEYS) do
+  local quantity = tonumber(ARGV[2 + i * 2])
+  local stock = tonumber(ARGV[3 + i * 2])
+  local held = 0
+  local entries = redis.call('HGETALL', key)
+  for j = 1, #entries, 2 do
+    local q, expires = string.match(entries[j + 1], '^(%d+):(%d+)$')
+    if tonumber(expires) <= now then
+      redis.call('HDEL', key, entries[j])
+    elseif entries[j] ~= ARGV[2] then
+      held = held + tonumber(q)
+    end
+  end
+  if held + quantity > stock then
+    return {i, math.max(stock - held, 0)}
+  end
+end
+for i, key in ipairs(KEYS) do
+  redis.call('HSET', key, ARGV[2], ARGV[2 + i * 2] .. ':' .. ARGV[3])
+  redis.call('PEXPIREAT', key, ARGV[3])
+end
+return {0, 0}
+`;
+
+/**
+ * A line can't be reserved because other checkouts hold the remaining units
+ */
+class ReservationError extends Error {
+  code = 'INSUFFICIENT_STOCK';
+  status = 409;
+  productId: string;
+  available: number;
+
+  constructor(productId: string, available: number) {
+    super(`Only ${available} unit(s) of product ${productId} are available right now`);
+    this.name = 'ReservationError';
+    this.productId = productId;
+    this.available = available;
+  }
+}
+
+class InventoryReservations {
+  private store = createPersistentStore('reservations');
+  // Serializes fallback read-modify-writes within this process
+  private fileQueue: Promise<unknown> = Promise.resolve();
+
+  private readonly config: ReservationsConfig = {
+    ttlMinutes: parseInt(process.env.RESERVATION_TTL_MINUTES || '30')
+  };
+
+  /**
+   * Hold every line or none; throws ReservationError for the first line that is short.
+   * Returns null when nothing in the cart is stock-tracked.
+   */
+  async reserve(lines: ReservationLine[]): Promise<ReservationRecord | null> {
+    const merged = mergeLines(lines);
+    if (merged.length === 0) return null;
+
+    const reservationId = `rsv_${crypto.randomUUID()}`;
+    const now = Date.now();
+    const expiresAt = now + this.config.ttlMinutes * 60 * 1000;
+
+    const shortfall = await this.takeHolds(reservationId, merged, now, expiresAt);
+    if (shortfall) {
+      console.log(`🚫 Reservation refused: ${shortfall.itemId} has ${shortfall.available} unit(s) free`);
+      throw new ReservationError(shortfall.itemId, shortfall.available);
+    }
+
+    const record: ReservationRecord = {
+      reservationId,
+      items: merged.map(({ itemId, quantity }) => ({ itemId, quantity })),
+      status: 'held',
+      paymentIntentId: null,
+      expiresAt: new Date(expiresAt).toISOString(),
+      createdAt: new Date(now).toISOString(),
+      updatedAt: new Date(now).toISOString()
+    };
+
+    await this.store.set(recordKey(reservationId), record, { ttlSeconds: RECORD_TTL_SECONDS });
+    console.log(`📌 Reserved ${record.items.map(item => `${item.quantity}x ${item.itemId}`).join(', ')} as ${reservationId}`);
+    return record;
+  }
+
+  /**
+   * Note the PaymentIntent the reservation is waiting on
+   */
+  async attach(reservationId: string, paymentIntentId: string): Promise<void> {
+    const record = await this.get(reservationId);
+    if (!record) return;
+
+    await this.save({ ...record, paymentIntentId });
+  }
+
+  /**
+   * The order exists, so Zoho's stock now counts the units; the holds are no longer needed.
+   * Safe to repeat, and a hold that already expired is committed all the same.
+   */
+  async commit(reservationId: string): Promise<ReservationRecord | null> {
+    return this.finish(reservationId, 'committed');
+  }
+
+  /**
+   * Give the units back (payment canceled or checkout abandoned). Safe to repeat.
+   */
+  async release(reservationId: string): Promise<ReservationRecord | null> {
+    return this.finish(reservationId, 'released');
+  }
+
+  async get(reservationId: string): Promise<ReservationRecord | null> {
+    return this.store.get<ReservationRecord>(recordKey(reservationId));
+  }
+
+  /**
+   * Units currently held by unexpired reservations, per item
+   */
+  async getHeld(itemIds: string[]): Promise<Record<string, number>> {
+    const ids = Array.from(new Set(itemIds));
+    const now = Date.now();
+    const held: Record<string, number> = {};
+
+    const redis = await getRedisClient();
+    if (redis) {
+      try {
+        const hashes = await Promise.all(ids.map(id => redis.hGetAll(`${REDIS_PREFIX}:${id}`)));
+        ids.forEach((id, index) => {
+          held[id] = Object.values(hashes[index]).reduce((sum, value) => {
+            const [quantity, expiresAt] = value.split(':').map(Number);
+            return expiresAt > now ? sum + quantity : sum;
+          }, 0);
+        });
+        return held;
+      } catch (error) {
+        console.error('Redis reservation read error:', error);
+      }
+    }
+
+    await Promise.all(ids.map(async id => {
+      const holds = (await this.store.get<FileHolds>(holdsKey(id))) || {};
+      held[id] = Object.values(holds).reduce((sum, hold) => hold.expiresAt > now ? sum + hold.quantity : sum, 0);
+    }));
+    return held;
+  }
+
+  private async finish(reservationId: string, status: 'committed' | 'released'): Promise<ReservationRecord | null> {
+    const record = await this.get(reservationId);
+    if (!record) {
+      console.warn(`⚠️ Reservation ${reservationId} not found, nothing to ${status === 'committed' ? 'commit' : 'release'}`);
+      return null;
+    }
+
+    if (record.status !== 'held') return record;
+
+    await this.dropHolds(reservationId, record.items.map(item => item.itemId));
+    const updated = await this.save({ ...record, status });
+
+    console.log(`${status === 'committed' ? '✅' : '↩️'} Reservation ${reservationId} ${status}`);
+    return updated;
+  }
+
+  private async save(record: ReservationRecord): Promise<ReservationRecord> {
+    const updated = { ...record, updatedAt: new Date().toISOString() };
+    await this.store.set(recordKey(record.reservationId), updated, { ttlSeconds: RECORD_TTL_SECONDS });
+    return updated;
+  }
+
+  /**
+   * The first short line, or null once every hold is taken
+   */
+  private async takeHolds(
+    reservationId: string,
+    lines: ReservationLine[],
+    now: number,
+    expiresAt: number
+  ): Promise<{ itemId: string; available: number } | null> {
+    const redis = await getRedisClient();
+    if (redis) {
+      try {
+        const [shortIndex, available] = await redis.eval(RESERVE_SCRIPT, {
+          keys: lines.map(line => `${REDIS_PREFIX}:${line.itemId}`),
+          arguments: [
+            String(now),
+            reservationId,
+            String(expiresAt),
+            ...lines.flatMap(line => [String(line.quantity), String(Math.max(0, Math.floor(line.stock)))])
+          ]
+        }) as [number, number];
+
+        return shortIndex > 0 ? { itemId: lines[shortIndex - 1].itemId, available } : null;
+      } catch (error) {
+        console.error('Redis reservation error, using the local store:', error);
+      }
+    }
+
+    return this.withFileQueue(async () => {
+      const holdsByItem = await Promise.all(lines.map(line => this.store.get<FileHolds>(holdsKey(line.itemId))));
+
+      for (let i = 0; i < lines.length; i++) {
+        const held = Object.entries(holdsByItem[i] || {})
+          .filter(([id, hold]) => id !== reservationId && hold.expiresAt > now)
+          .reduce((sum, [, hold]) => sum + hold.quantity, 0);
+        const free = Math.max(0, Math.floor(lines[i].stock) - held);
+
+        if (lines[i].quantity > free) return { itemId: lines[i].itemId, available: free };
+      }
+
+      await Promise.all(lines.map((line, i) => {
+        const live = Object.fromEntries(Object.entries(holdsByItem[i] || {}).filter(([, hold]) => hold.expiresAt > now));
+        return this.store.set<FileHolds>(holdsKey(line.itemId), {
+          ...live,
+          [reservationId]: { quantity: line.quantity, expiresAt }
+        });
+      }));
+      return null;
+    });
+  }
+
+  private async dropHolds(reservationId: string, itemIds: string[]): Promise<void> {
+    const redis = await getRedisClient();
+    if (redis) {
+      try {
+        await Promise.all(itemIds.map(id => redis.hDel(`${REDIS_PREFIX}:${id}`, reservationId)));
+        return;
+      } catch (error) {
+        console.error('Redis reservation release error, using the local store:', error);
+      }
+    }
+
+    await this.withFileQueue(() => Promise.all(itemIds.map(async id => {
+      const holds = (await this.store.get<FileHolds>(holdsKey(id))) || {};
+      delete holds[reservationId];
+      await this.store.set<FileHolds>(holdsKey(id), holds);
+    })));
+  }
+
+  private withFileQueue<T>(run: () => Promise<T>): Promise<T> {
+    const next = this.fileQueue.then(run, run);
+    this.fileQueue = next.catch(() => undefined);
+    return next;
+  }
+}
+
+/**
+ * One line per item (a cart can list an item twice); the stock is the same on each
+ */
+function mergeLines(lines: ReservationLine[]): ReservationLine[] {
+  const byItem = new Map<string, ReservationLine>();
+
+  lines.forEach(line => {
+    const existing = byItem.get(line.itemId);
+    byItem.set(line.itemId, existing ? { ...existing, quantity: existing.quantity + line.quantity } : { ...line });
+  });
+
+  return Array.from(byItem.values()).filter(line => line.quantity > 0);
+}
+
+function recordKey(reservationId: string): string {
+  return `res:${reservationId}`;
+}
+
+function holdsKey(itemId: string): string {
+  return `holds:${itemId}`;
+}
+
+export const inventoryReservations = new InventoryReservations();
+
+export { ReservationError };
+
+export type { ReservationLine, ReservationRecord, ReservationStatus };
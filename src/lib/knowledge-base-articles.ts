@@ -0,0 +1,272 @@
+// src/lib/knowledge-base-articles.ts - Built-in support articles
+// Served by the knowledge base until articles are imported from Zoho Desk
+
+import type { KnowledgeBaseArticle } from './knowledge-base';
+
+export const seedArticles: KnowledgeBaseArticle[] = [
+  {
+    id: 'kb-setup-first-router',
+    slug: 'setting-up-your-5g-router',
+    title: 'Setting up your 5G router for the first time',
+    summary: 'Unbox, insert your SIM, power on and connect your devices to your new cellular router in about ten minutes.',
+    content: `
+<h2>What you need</h2>
+<ul>
+  <li>Your router and power adapter (12V or 110V)</li>
+  <li>An activated data SIM card</li>
+  <li>A phone or laptop to finish setup</li>
+</ul>
+<h2>Steps</h2>
+<ol>
+  <li>Power the router off and insert the SIM into the slot marked <strong>SIM 1</strong>, gold contacts facing down.</li>
+  <li>Attach the included antennas, or connect your rooftop antenna to the <strong>MAIN</strong> and <strong>AUX</strong> ports.</li>
+  <li>Plug in power. The status light turns solid after 1-2 minutes.</li>
+  <li>Join the WiFi network printed on the label on the bottom of the router.</li>
+  <li>Open <code>192.168.8.1</code> in a browser, set an admin password and choose your time zone.</li>
+  <li>Under <strong>Internet &gt; Cellular</strong>, confirm the SIM shows <em>Connected</em>.</li>
+</ol>
+<p>If the SIM shows <em>No Service</em>, see <a href="/support?view=articles&amp;category=connectivity">Connection Issues</a>.</p>
+`,
+    categoryId: 'setup',
+    tags: ['router', 'sim', 'first-time setup', 'hotspot'],
+    status: 'PUBLISHED',
+    createdTime: '2025-01-06T15:00:00.000Z',
+    modifiedTime: '2025-05-12T18:30:00.000Z',
+    viewCount: 0,
+    helpfulCount: 0,
+    unhelpfulCount: 0,
+    attachments: []
+  },
+  {
+    id: 'kb-setup-sim-activation',
+    slug: 'activating-your-data-sim',
+    title: 'Activating your T-Mobile or Verizon data SIM',
+    summary: 'How to activate the data plan SIM that shipped with your order, and what to do if activation is pending.',
+    content: `
+<p>Data SIMs ship inactive and are activated when your plan starts.</p>
+<h2>Activate online</h2>
+<ol>
+  <li>Find the ICCID printed on the SIM card carrier (19-20 digits).</li>
+  <li>Reply to your order confirmation email with the ICCID, or enter it on the activation link in that email.</li>
+  <li>Activation usually completes within 2 hours during business hours.</li>
+</ol>
+<h2>Confirm the SIM is working</h2>
+<p>Restart your router after activation. The router admin page should show the carrier name (T-Mobile or Verizon) and a signal reading.</p>
+<p>If the router still shows <em>SIM not registered</em> after 4 hours, contact support with your ICCID and order number.</p>
+`,
+    categoryId: 'setup',
+    tags: ['sim', 'activation', 't-mobile', 'verizon', 'data plan'],
+    status: 'PUBLISHED',
+    createdTime: '2025-01-08T15:00:00.000Z',
+    modifiedTime: '2025-04-02T16:10:00.000Z',
+    viewCount: 0,
+    helpfulCount: 0,
+    unhelpfulCount: 0,
+    attachments: []
+  },
+  {
+    id: 'kb-setup-rooftop-antenna',
+    slug: 'installing-a-rooftop-mimo-antenna',
+    title: 'Installing a rooftop MIMO antenna on your RV',
+    summary: 'Mount a roof antenna, route the cables through an existing roof penetration and connect it to your router.',
+    content: `
+<h2>Before you start</h2>
+<p>Pick a spot at least 3 feet from air conditioners and solar panels, and away from other antennas.</p>
+<h2>Mounting</h2>
+<ol>
+  <li>Clean the mounting area with isopropyl alcohol.</li>
+  <li>Route the antenna cables through an existing roof penetration (fridge vent or cable entry plate) where possible.</li>
+  <li>Secure the base with the supplied bolts and seal it with self-leveling lap sealant.</li>
+</ol>
+<h2>Connecting</h2>
+<p>Connect the cables labelled <strong>1</strong> and <strong>2</strong> to the router <strong>MAIN</strong> and <strong>AUX</strong> ports. Cables 3 and 4 go to the remaining cellular ports on 4x4 MIMO routers.</p>
+<p>Use the shortest cable runs you can. Every extra 10 feet of thin coax can cost several dB of signal.</p>
+`,
+    categoryId: 'setup',
+    tags: ['antenna', 'mimo', 'installation', 'rv'],
+    status: 'PUBLISHED',
+    createdTime: '2025-01-15T15:00:00.000Z',
+    modifiedTime: '2025-03-20T14:45:00.000Z',
+    viewCount: 0,
+    helpfulCount: 0,
+    unhelpfulCount: 0,
+    attachments: []
+  },
+  {
+    id: 'kb-connectivity-no-signal',
+    slug: 'router-shows-no-service',
+    title: 'My router shows "No Service" or no signal',
+    summary: 'Step-by-step checks for when your router cannot register on the cellular network.',
+    content: `
+<ol>
+  <li>Check the carrier coverage map for your current campsite. Rural areas may only have low-band coverage.</li>
+  <li>Reseat the SIM card with the router powered off.</li>
+  <li>Confirm the antenna cables are tight. Loose SMA connectors are the most common cause of weak signal.</li>
+  <li>In the router admin page, set <strong>Network Mode</strong> to <em>Auto</em> and clear any band locks.</li>
+  <li>Check the APN: T-Mobile uses <code>fast.t-mobile.com</code>, Verizon uses <code>vzwinternet</code>.</li>
+  <li>Restart the router and wait 3 minutes before testing again.</li>
+</ol>
+<p>Still no service? Note your location and the signal readings (RSRP, SINR) and contact support.</p>
+`,
+    categoryId: 'connectivity',
+    tags: ['no service', 'signal', 'apn', 'troubleshooting'],
+    status: 'PUBLISHED',
+    createdTime: '2025-01-20T15:00:00.000Z',
+    modifiedTime: '2025-06-01T17:20:00.000Z',
+    viewCount: 0,
+    helpfulCount: 0,
+    unhelpfulCount: 0,
+    attachments: []
+  },
+  {
+    id: 'kb-connectivity-dropping',
+    slug: 'connection-keeps-dropping',
+    title: 'Connection keeps dropping every few minutes',
+    summary: 'Fix intermittent disconnects caused by tower hopping, overheating or a weak secondary signal.',
+    content: `
+<h2>Common causes</h2>
+<ul>
+  <li><strong>Tower hopping:</strong> the router keeps switching between two towers of similar strength. Lock to the stronger cell or band.</li>
+  <li><strong>Overheating:</strong> routers in closed cabinets can throttle or reboot. Give them airflow.</li>
+  <li><strong>Power:</strong> low 12V voltage during inverter use can brown-out the router.</li>
+</ul>
+<h2>What to try</h2>
+<ol>
+  <li>Disable <em>Auto switch</em> between SIM slots if you only use one SIM.</li>
+  <li>Update the router firmware under <strong>System &gt; Upgrade</strong>.</li>
+  <li>Enable the connection watchdog so the router reconnects automatically after a drop.</li>
+</ol>
+`,
+    categoryId: 'connectivity',
+    tags: ['disconnects', 'dropping', 'tower', 'firmware'],
+    status: 'PUBLISHED',
+    createdTime: '2025-02-03T15:00:00.000Z',
+    modifiedTime: '2025-05-28T13:05:00.000Z',
+    viewCount: 0,
+    helpfulCount: 0,
+    unhelpfulCount: 0,
+    attachments: []
+  },
+  {
+    id: 'kb-connectivity-campground-wifi',
+    slug: 'using-campground-wifi-as-backup',
+    title: 'Using campground WiFi as a backup connection',
+    summary: 'Set up WiFi repeater mode so your router can fall back to campground WiFi when cellular is weak.',
+    content: `
+<ol>
+  <li>In the router admin page open <strong>Internet &gt; Repeater</strong>.</li>
+  <li>Scan and join the campground network. Complete any login page from a connected device.</li>
+  <li>Under <strong>Multi-WAN</strong>, set cellular as primary and repeater as backup.</li>
+</ol>
+<p>Campground networks are shared and unencrypted. Keep your VPN on while using them (see <a href="/support?view=articles&amp;category=security">Network Security</a>).</p>
+`,
+    categoryId: 'connectivity',
+    tags: ['campground wifi', 'repeater', 'multi-wan', 'failover'],
+    status: 'PUBLISHED',
+    createdTime: '2025-02-10T15:00:00.000Z',
+    modifiedTime: '2025-02-10T15:00:00.000Z',
+    viewCount: 0,
+    helpfulCount: 0,
+    unhelpfulCount: 0,
+    attachments: []
+  },
+  {
+    id: 'kb-performance-slow-speeds',
+    slug: 'improving-slow-speeds',
+    title: 'Improving slow speeds on your cellular connection',
+    summary: 'Read your signal numbers, aim your antenna and pick the right band to get the most out of your plan.',
+    content: `
+<h2>Read your signal</h2>
+<table>
+  <tr><td>RSRP</td><td>Better than -100 dBm is good, worse than -110 dBm is weak</td></tr>
+  <tr><td>SINR</td><td>Above 10 dB is good, below 0 dB means heavy interference</td></tr>
+</table>
+<h2>Improve it</h2>
+<ol>
+  <li>Move the router or antenna higher and toward the tower.</li>
+  <li>Run a speed test at different times of day. Evening congestion is common near busy parks.</li>
+  <li>Try locking to a mid-band (n41 on T-Mobile, n77 on Verizon) when SINR is good.</li>
+</ol>
+`,
+    categoryId: 'performance',
+    tags: ['slow', 'speed', 'rsrp', 'sinr', 'band locking'],
+    status: 'PUBLISHED',
+    createdTime: '2025-02-18T15:00:00.000Z',
+    modifiedTime: '2025-06-10T19:40:00.000Z',
+    viewCount: 0,
+    helpfulCount: 0,
+    unhelpfulCount: 0,
+    attachments: []
+  },
+  {
+    id: 'kb-performance-deprioritization',
+    slug: 'understanding-deprioritization',
+    title: 'Understanding network deprioritization',
+    summary: 'Why speeds can drop on busy towers and how priority data plans differ from standard plans.',
+    content: `
+<p>Carriers may slow some plans on congested towers so that higher-priority traffic gets through first. This is called deprioritization.</p>
+<ul>
+  <li>It only happens while a tower is busy. Speeds return to normal when congestion clears.</li>
+  <li>It does not depend on how much data you used this month on our unlimited plans.</li>
+  <li>Priority plans are available if you work online during peak hours.</li>
+</ul>
+`,
+    categoryId: 'performance',
+    tags: ['deprioritization', 'unlimited', 'data plan', 'congestion'],
+    status: 'PUBLISHED',
+    createdTime: '2025-03-02T15:00:00.000Z',
+    modifiedTime: '2025-03-02T15:00:00.000Z',
+    viewCount: 0,
+    helpfulCount: 0,
+    unhelpfulCount: 0,
+    attachments: []
+  },
+  {
+    id: 'kb-security-wifi-password',
+    slug: 'securing-your-wifi-network',
+    title: 'Securing your WiFi network with WPA3',
+    summary: 'Change the default WiFi name and password and turn on WPA3 so campground neighbours cannot join.',
+    content: `
+<ol>
+  <li>Open <code>192.168.8.1</code> and go to <strong>Wireless</strong>.</li>
+  <li>Rename the network. Avoid your name or site number.</li>
+  <li>Set security to <strong>WPA2/WPA3</strong> and choose a passphrase of at least 12 characters.</li>
+  <li>Change the router admin password if you have not already.</li>
+</ol>
+<p>Devices will need to reconnect with the new password.</p>
+`,
+    categoryId: 'security',
+    tags: ['wifi password', 'wpa3', 'admin password', 'security'],
+    status: 'PUBLISHED',
+    createdTime: '2025-03-11T15:00:00.000Z',
+    modifiedTime: '2025-04-22T12:00:00.000Z',
+    viewCount: 0,
+    helpfulCount: 0,
+    unhelpfulCount: 0,
+    attachments: []
+  },
+  {
+    id: 'kb-security-vpn',
+    slug: 'using-a-vpn-on-the-road',
+    title: 'Using a VPN on the road',
+    summary: 'Turn on the router VPN client so every device is protected, including on public campground WiFi.',
+    content: `
+<p>Running the VPN on the router protects every device in your RV without installing apps on each one.</p>
+<ol>
+  <li>Download a WireGuard configuration file from your VPN provider.</li>
+  <li>In the router admin page open <strong>VPN &gt; WireGuard Client</strong> and upload the file.</li>
+  <li>Enable <em>Block non-VPN traffic</em> to avoid leaks if the tunnel drops.</li>
+</ol>
+<p>Some streaming services block VPN addresses. Use VPN policies to exclude those devices if needed.</p>
+`,
+    categoryId: 'security',
+    tags: ['vpn', 'wireguard', 'privacy', 'public wifi'],
+    status: 'PUBLISHED',
+    createdTime: '2025-03-25T15:00:00.000Z',
+    modifiedTime: '2025-05-05T10:15:00.000Z',
+    viewCount: 0,
+    helpfulCount: 0,
+    unhelpfulCount: 0,
+    attachments: []
+  }
+];
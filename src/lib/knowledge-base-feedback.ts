@@ -0,0 +1,313 @@
+// src/lib/knowledge-base-feedback.ts - Article feedback and search analytics
+// Stores helpful/not-helpful votes, comments and search queries so support knows which guides to rewrite
+
+import crypto from 'crypto';
+import { createPersistentStore } from './persistent-store';
+import { knowledgeBaseStore } from './knowledge-base';
+
+type FeedbackType = 'helpful' | 'unhelpful';
+
+interface FeedbackSubmission {
+  articleId: string;
+  type: FeedbackType;
+  comment?: string;
+  visitorId: string;
+}
+
+interface FeedbackComment {
+  id: string;
+  articleId: string;
+  type: FeedbackType;
+  comment: string;
+  createdAt: string;
+}
+
+interface ArticleFeedbackCounts {
+  helpfulCount: number;
+  unhelpfulCount: number;
+}
+
+interface SearchQueryStats {
+  query: string;
+  searches: number;
+  zeroResultSearches: number;
+  lastResultCount: number;
+  lastSearchedAt: string;
+}
+
+interface FeedbackReportOptions {
+  limit?: number;
+  minVotes?: number;
+}
+
+interface FeedbackConfig {
+  maxSubmissionsPerHour: number;
+  maxCommentLength: number;
+  commentRetentionDays: number;
+  maxQueryLength: number;
+}
+
+/**
+ * Thrown when a visitor sends feedback faster than the configured limit
+ */
+class FeedbackRateLimitError extends Error {
+  status = 429;
+  retryAfter: number;
+
+  constructor(retryAfter: number) {
+    super('Too many feedback submissions. Please try again later.');
+    this.name = 'FeedbackRateLimitError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+class KnowledgeBaseFeedback {
+  private store = createPersistentStore('kb-feedback');
+
+  private readonly config: FeedbackConfig = {
+    maxSubmissionsPerHour: 20,
+    maxCommentLength: 2000,
+    commentRetentionDays: 365,
+    maxQueryLength: 100
+  };
+
+  /**
+   * Record a vote (and optional comment). A visitor has one vote per article; voting again
+   * with the other type moves the vote, voting the same type again only adds the comment.
+   */
+  async submit(submission: FeedbackSubmission): Promise<ArticleFeedbackCounts & { voteChanged: boolean }> {
+    const { articleId, type, visitorId } = submission;
+    const comment = (submission.comment || '').trim().substring(0, this.config.maxCommentLength);
+
+    await this.enforceRateLimit(visitorId);
+
+    const voteKey = `vote:${articleId}:${visitorId}`;
+    const previousVote = await this.store.get<FeedbackType>(voteKey);
+    let voteChanged = false;
+
+    if (previousVote !== type) {
+      await this.store.set(voteKey, type);
+      await this.store.increment(`count:${articleId}:${type}`);
+      if (previousVote) {
+        await this.store.increment(`count:${articleId}:${previousVote}`, { by: -1 });
+      }
+      voteChanged = true;
+    }
+
+    if (comment) {
+      const entry: FeedbackComment = {
+        id: crypto.randomUUID(),
+        articleId,
+        type,
+        comment,
+        createdAt: new Date().toISOString()
+      };
+      await this.store.set(`comment:${articleId}:${entry.createdAt}:${entry.id}`, entry, {
+        ttlSeconds: this.config.commentRetentionDays * 24 * 60 * 60
+      });
+    }
+
+    console.log(`📝 Feedback for ${articleId}: ${type}${comment ? ' with comment' : ''}${voteChanged ? '' : ' (vote unchanged)'}`);
+
+    return { ...(await this.getCounts(articleId)), voteChanged };
+  }
+
+  /**
+   * Helpful/not-helpful totals for one article
+   */
+  async getCounts(articleId: string): Promise<ArticleFeedbackCounts> {
+    const [helpful, unhelpful] = await Promise.all([
+      this.store.get<number>(`count:${articleId}:helpful`),
+      this.store.get<number>(`count:${articleId}:unhelpful`)
+    ]);
+
+    return {
+      helpfulCount: Math.max(Number(helpful) || 0, 0),
+      unhelpfulCount: Math.max(Number(unhelpful) || 0, 0)
+    };
+  }
+
+  /**
+   * Totals for every article that has received feedback, keyed by article id
+   */
+  async getAllCounts(): Promise<Map<string, ArticleFeedbackCounts>> {
+    const counts = new Map<string, ArticleFeedbackCounts>();
+    const entries = await this.store.list<number>('count:');
+
+    entries.forEach(({ key, value }) => {
+      const [, articleId, type] = key.split(':');
+      const current = counts.get(articleId) || { helpfulCount: 0, unhelpfulCount: 0 };
+      const total = Math.max(Number(value) || 0, 0);
+      if (type === 'helpful') current.helpfulCount = total;
+      if (type === 'unhelpful') current.unhelpfulCount = total;
+      counts.set(articleId, current);
+    });
+
+    return counts;
+  }
+
+  /**
+   * Overlay persisted vote totals onto articles from the store
+   */
+  async withCounts<T extends { id: string; helpfulCount: number; unhelpfulCount: number }>(articles: T[]): Promise<T[]> {
+    try {
+      const counts = await this.getAllCounts();
+      return articles.map(article => ({ ...article, ...(counts.get(article.id) || {}) }));
+    } catch (error) {
+      console.error('Failed to load feedback counts:', error);
+      return articles;
+    }
+  }
+
+  /**
+   * Count a search and whether it found anything
+   */
+  async recordSearch(query: string, resultCount: number): Promise<void> {
+    const normalized = normalizeQuery(query).substring(0, this.config.maxQueryLength);
+    if (!normalized) return;
+
+    await Promise.all([
+      this.store.increment(`searches:${normalized}`),
+      resultCount === 0 ? this.store.increment(`zero:${normalized}`) : Promise.resolve(0),
+      this.store.set(`last:${normalized}`, {
+        lastResultCount: resultCount,
+        lastSearchedAt: new Date().toISOString()
+      })
+    ]);
+  }
+
+  /**
+   * Per-query search totals assembled from the counters written by recordSearch
+   */
+  private async getSearchStats(): Promise<SearchQueryStats[]> {
+    const [searches, zeroResults, lastSeen] = await Promise.all([
+      this.store.list<number>('searches:'),
+      this.store.list<number>('zero:'),
+      this.store.list<{ lastResultCount: number; lastSearchedAt: string }>('last:')
+    ]);
+
+    const zeroByQuery = new Map(zeroResults.map(({ key, value }) => [key.substring('zero:'.length), Number(value) || 0]));
+    const lastByQuery = new Map(lastSeen.map(({ key, value }) => [key.substring('last:'.length), value]));
+
+    return searches.map(({ key, value }) => {
+      const query = key.substring('searches:'.length);
+      const last = lastByQuery.get(query);
+      return {
+        query,
+        searches: Number(value) || 0,
+        zeroResultSearches: zeroByQuery.get(query) || 0,
+        lastResultCount: last?.lastResultCount ?? 0,
+        lastSearchedAt: last?.lastSearchedAt || ''
+      };
+    });
+  }
+
+  /**
+   * Aggregated report: least-helpful articles and searches that found nothing
+   */
+  async getReport(options: FeedbackReportOptions = {}) {
+    const limit = Math.min(Math.max(options.limit || 20, 1), 100);
+    const minVotes = Math.max(options.minVotes ?? 3, 1);
+
+    const [counts, comments, searchRows] = await Promise.all([
+      this.getAllCounts(),
+      this.store.list<FeedbackComment>('comment:'),
+      this.getSearchStats()
+    ]);
+
+    const commentsByArticle = new Map<string, FeedbackComment[]>();
+    comments.forEach(({ value }) => {
+      const list = commentsByArticle.get(value.articleId) || [];
+      list.push(value);
+      commentsByArticle.set(value.articleId, list);
+    });
+
+    const articleRows = Array.from(counts.entries()).map(([articleId, { helpfulCount, unhelpfulCount }]) => {
+      const article = knowledgeBaseStore.getArticle(articleId);
+      const totalVotes = helpfulCount + unhelpfulCount;
+      const articleComments = (commentsByArticle.get(articleId) || [])
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+      return {
+        articleId,
+        title: article?.title || '(article removed)',
+        categoryId: article?.categoryId || null,
+        helpfulCount,
+        unhelpfulCount,
+        totalVotes,
+        helpfulRate: totalVotes > 0 ? Math.round((helpfulCount / totalVotes) * 1000) / 10 : null,
+        // Lower bound of the helpful rate, so a 0/1 article doesn't outrank a 10/40 one
+        confidenceScore: Math.round(wilsonLowerBound(helpfulCount, totalVotes) * 1000) / 1000,
+        commentCount: articleComments.length,
+        recentComments: articleComments.slice(0, 5).map(({ type, comment, createdAt }) => ({ type, comment, createdAt }))
+      };
+    });
+
+    const leastHelpful = articleRows
+      .filter(row => row.totalVotes >= minVotes)
+      .sort((a, b) => a.confidenceScore - b.confidenceScore || b.unhelpfulCount - a.unhelpfulCount)
+      .slice(0, limit);
+
+    const zeroResultQueries = searchRows
+      .filter(row => row.zeroResultSearches > 0)
+      .sort((a, b) => b.zeroResultSearches - a.zeroResultSearches)
+      .slice(0, limit);
+
+    const topQueries = [...searchRows]
+      .sort((a, b) => b.searches - a.searches)
+      .slice(0, limit);
+
+    return {
+      leastHelpful,
+      zeroResultQueries,
+      topQueries,
+      totals: {
+        articlesWithFeedback: articleRows.length,
+        helpfulVotes: articleRows.reduce((sum, row) => sum + row.helpfulCount, 0),
+        unhelpfulVotes: articleRows.reduce((sum, row) => sum + row.unhelpfulCount, 0),
+        comments: comments.length,
+        distinctQueries: searchRows.length,
+        searches: searchRows.reduce((sum, row) => sum + row.searches, 0),
+        zeroResultSearches: searchRows.reduce((sum, row) => sum + row.zeroResultSearches, 0)
+      },
+      options: { limit, minVotes },
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  private async enforceRateLimit(visitorId: string): Promise<void> {
+    const windowSeconds = 60 * 60;
+    const windowStart = Math.floor(Date.now() / (windowSeconds * 1000));
+    const count = await this.store.increment(`ratelimit:${visitorId}:${windowStart}`, { ttlSeconds: windowSeconds });
+
+    if (count > this.config.maxSubmissionsPerHour) {
+      const retryAfter = Math.ceil(((windowStart + 1) * windowSeconds * 1000 - Date.now()) / 1000);
+      throw new FeedbackRateLimitError(retryAfter);
+    }
+  }
+}
+
+/**
+ * Lowercase, collapse whitespace and drop punctuation so "Hotspot?" and "hotspot" count together
+ */
+function normalizeQuery(query: string): string {
+  return query.toLowerCase().replace(/[^a-z0-9\s-]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Wilson score interval lower bound (95%) for a helpful rate
+ */
+function wilsonLowerBound(positive: number, total: number): number {
+  if (total === 0) return 0;
+  const z = 1.96;
+  const phat = positive / total;
+  return (phat + z * z / (2 * total) - z * Math.sqrt((phat * (1 - phat) + z * z / (4 * total)) / total)) / (1 + z * z / total);
+}
+
+// Export singleton instance
+export const knowledgeBaseFeedback = new KnowledgeBaseFeedback();
+
+export { FeedbackRateLimitError };
+
+// Export types for other modules
+export type { FeedbackType, FeedbackSubmission, FeedbackComment, ArticleFeedbackCounts, SearchQueryStats };
@@ -0,0 +1,494 @@
+// src/lib/knowledge-base-search.ts - Server-side full-text search for support articles
+// BM25F ranking over title, tags, summary and body with typo tolerance and highlighted snippets
+
+import { stripHtml } from './html-utils';
+import { knowledgeBaseStore, paginate } from './knowledge-base';
+import type { KnowledgeBaseArticle, Pagination } from './knowledge-base';
+import { supportCategories } from '../config/routes';
+
+type SearchField = 'title' | 'tags' | 'summary' | 'body';
+
+interface IndexedDocument {
+  article: KnowledgeBaseArticle;
+  bodyText: string;
+  fieldLengths: Record<SearchField, number>;
+  termFrequencies: Map<string, Record<SearchField, number>>;
+}
+
+interface ExpandedTerm {
+  term: string;
+  weight: number;
+  queryTerm: string;
+  kind: 'exact' | 'prefix' | 'fuzzy';
+}
+
+interface SearchOptions {
+  category?: string;
+  page?: number;
+  limit?: number;
+}
+
+interface SearchHit {
+  article: KnowledgeBaseArticle;
+  score: number;
+  matchedTerms: string[];
+  highlights: {
+    title: string;
+    snippet: string;
+  };
+}
+
+interface SearchResult {
+  hits: SearchHit[];
+  pagination: Pagination;
+  facets: {
+    categories: Array<{ id: string; name: string; count: number }>;
+  };
+  query: string;
+  didYouMean: string | null;
+  expandedTerms: Array<{ queryTerm: string; term: string; kind: ExpandedTerm['kind'] }>;
+}
+
+interface SearchConfig {
+  k1: number;
+  b: number;
+  fieldWeights: Record<SearchField, number>;
+  prefixWeight: number;
+  fuzzyWeights: [number, number];
+  minFuzzyLength: number;
+  maxExpansionsPerTerm: number;
+  snippetLength: number;
+}
+
+const FIELDS: SearchField[] = ['title', 'tags', 'summary', 'body'];
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from',
+  'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'not', 'of', 'on', 'or',
+  'so', 'that', 'the', 'their', 'then', 'there', 'this', 'to', 'was', 'what', 'when', 'where',
+  'which', 'why', 'will', 'with', 'you', 'your'
+]);
+
+/**
+ * Split text into lowercase word tokens
+ */
+const tokenize = (text: string): string[] => {
+  return (text.toLowerCase().match(/[a-z0-9]+/g) || []).filter(token => !STOPWORDS.has(token));
+};
+
+/**
+ * Light suffix stripping so "routers", "routing" and "router" meet in the index
+ */
+const stem = (token: string): string => {
+  if (token.length > 4 && token.endsWith('ies')) return token.slice(0, -3) + 'y';
+  if (token.length > 5 && token.endsWith('ing')) return token.slice(0, -3);
+  if (token.length > 4 && token.endsWith('ed')) return token.slice(0, -2);
+  if (token.length > 4 && token.endsWith('es') && /(ch|sh|ss|x)es$/.test(token)) return token.slice(0, -2);
+  if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss')) return token.slice(0, -1);
+  return token;
+};
+
+/**
+ * Damerau-Levenshtein (optimal string alignment) distance with an early exit above maxDistance
+ */
+const editDistance = (a: string, b: string, maxDistance: number): number => {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previousPrevious: number[] = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousPrevious[j - 2] + 1);
+      }
+
+      current[j] = value;
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previousPrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Escape text for safe inclusion in highlighted HTML
+ */
+const escapeHtml = (text: string): string => {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+class KnowledgeBaseSearchIndex {
+  private documents: IndexedDocument[] = [];
+  private documentFrequency = new Map<string, number>();
+  private averageFieldLength: Record<SearchField, number> = { title: 0, tags: 0, summary: 0, body: 0 };
+  private indexedVersion = -1;
+
+  private readonly config: SearchConfig = {
+    k1: 1.2,
+    b: 0.75,
+    fieldWeights: { title: 3, tags: 2.5, summary: 1.5, body: 1 },
+    prefixWeight: 0.7,
+    fuzzyWeights: [0.6, 0.35], // Edit distance 1, 2
+    minFuzzyLength: 4,
+    maxExpansionsPerTerm: 3,
+    snippetLength: 180
+  };
+
+  /**
+   * Search published articles, optionally scoped to a category
+   */
+  search(rawQuery: string, options: SearchOptions = {}): SearchResult {
+    this.ensureIndex();
+
+    const query = rawQuery.trim().slice(0, 200);
+    const queryTerms = Array.from(new Set(tokenize(query).map(stem)));
+    const expanded = this.expandTerms(queryTerms);
+
+    const scored: SearchHit[] = [];
+
+    this.documents.forEach(doc => {
+      const { score, matchedQueryTerms, matchedTerms } = this.scoreDocument(doc, expanded);
+      if (score <= 0) return;
+
+      // Reward documents that cover more of the query
+      const coverage = queryTerms.length > 0 ? matchedQueryTerms.size / queryTerms.length : 0;
+
+      scored.push({
+        article: doc.article,
+        score: score * (0.5 + coverage * 0.5),
+        matchedTerms: Array.from(matchedTerms),
+        highlights: {
+          title: '',
+          snippet: ''
+        }
+      });
+    });
+
+    scored.sort((a, b) => b.score - a.score);
+
+    const facets = this.buildCategoryFacets(scored);
+    const filtered = options.category
+      ? scored.filter(hit => hit.article.categoryId === options.category)
+      : scored;
+
+    const page = paginate(filtered, options.page, options.limit);
+
+    // Only build highlights for the page being returned
+    page.data.forEach(hit => {
+      const doc = this.documents.find(d => d.article.id === hit.article.id)!;
+      const terms = new Set(hit.matchedTerms);
+      hit.highlights = {
+        title: highlight(doc.article.title, terms),
+        snippet: buildSnippet(doc.bodyText || doc.article.summary, terms, this.config.snippetLength)
+      };
+      hit.score = Math.round(hit.score * 1000) / 1000;
+    });
+
+    return {
+      hits: page.data,
+      pagination: page.pagination,
+      facets: { categories: facets },
+      query,
+      didYouMean: this.suggestCorrection(query, expanded),
+      expandedTerms: expanded
+        .filter(term => term.kind !== 'exact')
+        .map(({ queryTerm, term, kind }) => ({ queryTerm, term, kind }))
+    };
+  }
+
+  /**
+   * Force the index to rebuild on the next search
+   */
+  invalidate(): void {
+    this.indexedVersion = -1;
+  }
+
+  getStatus() {
+    this.ensureIndex();
+
+    return {
+      documents: this.documents.length,
+      vocabulary: this.documentFrequency.size,
+      indexedVersion: this.indexedVersion,
+      config: this.config
+    };
+  }
+
+  /**
+   * Rebuild the index when the article store has changed
+   */
+  private ensureIndex(): void {
+    const storeVersion = knowledgeBaseStore.getVersion();
+    if (storeVersion === this.indexedVersion) return;
+
+    const startTime = Date.now();
+    const documents: IndexedDocument[] = [];
+    const documentFrequency = new Map<string, number>();
+    const totals: Record<SearchField, number> = { title: 0, tags: 0, summary: 0, body: 0 };
+
+    knowledgeBaseStore.getAllPublished().forEach(article => {
+      const bodyText = stripHtml(article.content);
+      const fieldTokens: Record<SearchField, string[]> = {
+        title: tokenize(article.title).map(stem),
+        tags: tokenize(article.tags.join(' ')).map(stem),
+        summary: tokenize(article.summary).map(stem),
+        body: tokenize(bodyText).map(stem)
+      };
+
+      const termFrequencies = new Map<string, Record<SearchField, number>>();
+      const fieldLengths = { title: 0, tags: 0, summary: 0, body: 0 };
+
+      FIELDS.forEach(field => {
+        fieldLengths[field] = fieldTokens[field].length;
+        totals[field] += fieldTokens[field].length;
+
+        fieldTokens[field].forEach(term => {
+          const frequencies = termFrequencies.get(term) || { title: 0, tags: 0, summary: 0, body: 0 };
+          frequencies[field]++;
+          termFrequencies.set(term, frequencies);
+        });
+      });
+
+      termFrequencies.forEach((_, term) => {
+        documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+      });
+
+      documents.push({ article, bodyText, fieldLengths, termFrequencies });
+    });
+
+    FIELDS.forEach(field => {
+      this.averageFieldLength[field] = documents.length > 0 ? totals[field] / documents.length : 0;
+    });
+
+    this.documents = documents;
+    this.documentFrequency = documentFrequency;
+    this.indexedVersion = storeVersion;
+
+    console.log(`🔎 Knowledge base search index built: ${documents.length} articles, ${documentFrequency.size} terms in ${Date.now() - startTime}ms`);
+  }
+
+  /**
+   * Expand each query term with prefix and typo-tolerant matches from the index vocabulary
+   */
+  private expandTerms(queryTerms: string[]): ExpandedTerm[] {
+    const expanded: ExpandedTerm[] = [];
+    const vocabulary = Array.from(this.documentFrequency.keys());
+
+    queryTerms.forEach((queryTerm, index) => {
+      const hasExact = this.documentFrequency.has(queryTerm);
+      const isLastTerm = index === queryTerms.length - 1;
+
+      if (hasExact) {
+        expanded.push({ term: queryTerm, weight: 1, queryTerm, kind: 'exact' });
+      }
+
+      // A word that is in the index is not a typo; only the last word may still be half-typed
+      if (hasExact && !isLastTerm) return;
+
+      const candidates: ExpandedTerm[] = [];
+
+      vocabulary.forEach(term => {
+        if (term === queryTerm) return;
+
+        if (queryTerm.length >= 3 && term.startsWith(queryTerm)) {
+          candidates.push({ term, weight: this.config.prefixWeight, queryTerm, kind: 'prefix' });
+          return;
+        }
+
+        if (hasExact || queryTerm.length < this.config.minFuzzyLength) return;
+
+        // Allow a second edit only on longer words, where two typos are still unambiguous
+        const maxDistance = queryTerm.length >= 8 ? 2 : 1;
+        const distance = editDistance(queryTerm, term, maxDistance);
+        if (distance <= maxDistance) {
+          candidates.push({ term, weight: this.config.fuzzyWeights[distance - 1], queryTerm, kind: 'fuzzy' });
+        }
+      });
+
+      candidates
+        .sort((a, b) => b.weight - a.weight || (this.documentFrequency.get(b.term) || 0) - (this.documentFrequency.get(a.term) || 0))
+        .slice(0, this.config.maxExpansionsPerTerm)
+        .forEach(candidate => expanded.push(candidate));
+    });
+
+    return expanded;
+  }
+
+  /**
+   * BM25F score of one document for the expanded query
+   */
+  private scoreDocument(doc: IndexedDocument, expanded: ExpandedTerm[]) {
+    const { k1, b, fieldWeights } = this.config;
+    const totalDocuments = this.documents.length;
+    const matchedQueryTerms = new Set<string>();
+    const matchedTerms = new Set<string>();
+    const bestPerQueryTerm = new Map<string, number>();
+
+    expanded.forEach(({ term, weight, queryTerm }) => {
+      const frequencies = doc.termFrequencies.get(term);
+      if (!frequencies) return;
+
+      let weightedFrequency = 0;
+      FIELDS.forEach(field => {
+        if (!frequencies[field]) return;
+        const averageLength = this.averageFieldLength[field] || 1;
+        const normalization = 1 - b + b * (doc.fieldLengths[field] / averageLength);
+        weightedFrequency += fieldWeights[field] * frequencies[field] / normalization;
+      });
+
+      const df = this.documentFrequency.get(term) || 0;
+      const idf = Math.log(1 + (totalDocuments - df + 0.5) / (df + 0.5));
+      const termScore = weight * idf * (weightedFrequency * (k1 + 1)) / (weightedFrequency + k1);
+
+      // Each query word contributes its best-matching expansion, so typos do not double count
+      bestPerQueryTerm.set(queryTerm, Math.max(bestPerQueryTerm.get(queryTerm) || 0, termScore));
+      matchedQueryTerms.add(queryTerm);
+      matchedTerms.add(term);
+    });
+
+    let score = 0;
+    bestPerQueryTerm.forEach(value => { score += value; });
+
+    return { score, matchedQueryTerms, matchedTerms };
+  }
+
+  /**
+   * Facet counts across every match, before the category filter is applied
+   */
+  private buildCategoryFacets(hits: SearchHit[]) {
+    return supportCategories.map(category => ({
+      id: category.id,
+      name: category.name,
+      count: hits.filter(hit => hit.article.categoryId === category.id).length
+    }));
+  }
+
+  /**
+   * Rebuild the query with fuzzy corrections, e.g. "verizn hotspt" -> "verizon hotspot"
+   */
+  private suggestCorrection(query: string, expanded: ExpandedTerm[]): string | null {
+    const corrections = new Map<string, string>();
+
+    expanded.forEach(term => {
+      if (term.kind !== 'fuzzy' || corrections.has(term.queryTerm)) return;
+      const hasExact = expanded.some(other => other.queryTerm === term.queryTerm && other.kind === 'exact');
+      if (!hasExact) {
+        corrections.set(term.queryTerm, this.surfaceForm(term.term));
+      }
+    });
+
+    if (corrections.size === 0) return null;
+
+    const corrected = query.replace(/[a-z0-9]+/gi, word => {
+      const correction = corrections.get(stem(word.toLowerCase()));
+      return correction || word;
+    });
+
+    return corrected.toLowerCase() === query.toLowerCase() ? null : corrected;
+  }
+
+  /**
+   * Find a readable word for an index stem (stems like "activat" are not shown to users)
+   */
+  private surfaceForm(term: string): string {
+    let fallback: string | null = null;
+
+    for (const doc of this.documents) {
+      const text = `${doc.article.title} ${doc.article.tags.join(' ')} ${doc.bodyText}`;
+      const words: string[] = text.toLowerCase().match(/[a-z0-9]+/g) || [];
+      if (words.includes(term)) return term;
+      fallback = fallback || words.find(word => stem(word) === term) || null;
+    }
+
+    return fallback || term;
+  }
+}
+
+/**
+ * Wrap every word whose stem matched in <mark>, escaping everything else
+ */
+function highlight(text: string, terms: Set<string>): string {
+  let result = '';
+  let lastIndex = 0;
+  const wordRegex = /[a-z0-9]+/gi;
+  let match: RegExpExecArray | null;
+
+  while ((match = wordRegex.exec(text)) !== null) {
+    if (terms.has(stem(match[0].toLowerCase()))) {
+      result += escapeHtml(text.slice(lastIndex, match.index));
+      result += `<mark>${escapeHtml(match[0])}</mark>`;
+      lastIndex = match.index + match[0].length;
+    }
+  }
+
+  return result + escapeHtml(text.slice(lastIndex));
+}
+
+/**
+ * Pick the window of body text with the most matched words and highlight it
+ */
+function buildSnippet(text: string, terms: Set<string>, length: number): string {
+  if (!text) return '';
+  if (text.length <= length) return highlight(text, terms);
+
+  const positions: number[] = [];
+  const wordRegex = /[a-z0-9]+/gi;
+  let match: RegExpExecArray | null;
+
+  while ((match = wordRegex.exec(text)) !== null) {
+    if (terms.has(stem(match[0].toLowerCase()))) {
+      positions.push(match.index);
+    }
+  }
+
+  let bestStart = 0;
+  let bestCount = 0;
+  positions.forEach(position => {
+    const start = Math.max(0, position - Math.floor(length / 4));
+    const count = positions.filter(p => p >= start && p < start + length).length;
+    if (count > bestCount) {
+      bestCount = count;
+      bestStart = start;
+    }
+  });
+
+  // Snap the window to word boundaries
+  let start = bestStart;
+  if (start > 0) {
+    const nextSpace = text.indexOf(' ', start);
+    start = nextSpace >= 0 && nextSpace < start + 20 ? nextSpace + 1 : start;
+  }
+  let end = Math.min(text.length, start + length);
+  if (end < text.length) {
+    const lastSpace = text.lastIndexOf(' ', end);
+    end = lastSpace > start ? lastSpace : end;
+  }
+
+  const prefix = start > 0 ? '...' : '';
+  const suffix = end < text.length ? '...' : '';
+
+  return prefix + highlight(text.slice(start, end), terms) + suffix;
+}
+
+// Export singleton instance
+export const knowledgeBaseSearch = new KnowledgeBaseSearchIndex();
+
+// Export helpers and types for other modules
+export { tokenize, stem, editDistance };
+export type { SearchHit, SearchResult, SearchOptions };
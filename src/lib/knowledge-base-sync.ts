@@ -0,0 +1,433 @@
+// src/lib/knowledge-base-sync.ts - Imports Help Center articles from Zoho Desk
+// Articles are cleaned and stored in the persistent store, so the public knowledge base is served
+// from local data and never calls Desk at request time. Incremental runs stop at the newest
+// modifiedTime seen by the previous run; full runs also remove articles deleted in Desk.
+
+import { supportCategories } from '../config/routes';
+import { zoho } from './zoho-sdk';
+import type { ZohoDeskArticle, ZohoDeskArticleSummary, ZohoDeskKbCategory } from './zoho-sdk';
+import { createPersistentStore } from './persistent-store';
+import { knowledgeBaseStore } from './knowledge-base';
+import type { KnowledgeBaseArticle } from './knowledge-base';
+import { sanitizeArticleHtml, stripHtml, truncateText, generateProductSlug } from './html-utils';
+
+interface SyncedArticleRecord {
+  article: KnowledgeBaseArticle;
+  deskVersion: string | null;
+  deskModifiedTime: string;
+  syncedAt: string;
+}
+
+interface SyncResult {
+  mode: 'full' | 'incremental';
+  fetched: number;
+  created: number;
+  updated: number;
+  unchanged: number;
+  removed: number;
+  unmappedCategories: string[];
+  errors: Array<{ articleId: string; message: string }>;
+  startedAt: string;
+  completedAt: string;
+  durationMs: number;
+}
+
+interface SyncState {
+  version: number;
+  cursor: string | null;
+  articleCount: number;
+  lastRunAt: string | null;
+  lastSuccessAt: string | null;
+  lastFullSyncAt: string | null;
+  lastResult: SyncResult | null;
+  lastError: string | null;
+}
+
+interface CategoryInfo {
+  id: string;
+  name: string;
+  path: string[];
+}
+
+interface SyncConfig {
+  pageSize: number;
+  maxPages: number;
+  lockSeconds: number;
+  hydrateIntervalMs: number;
+  defaultCategoryId: string;
+}
+
+const INITIAL_STATE: SyncState = {
+  version: 0,
+  cursor: null,
+  articleCount: 0,
+  lastRunAt: null,
+  lastSuccessAt: null,
+  lastFullSyncAt: null,
+  lastResult: null,
+  lastError: null
+};
+
+/**
+ * Thrown when a sync is requested while another one holds the lock
+ */
+class SyncInProgressError extends Error {
+  status = 409;
+
+  constructor() {
+    super('A knowledge base sync is already running');
+    this.name = 'SyncInProgressError';
+  }
+}
+
+class KnowledgeBaseSync {
+  private store = createPersistentStore('kb-sync');
+  private loadedVersion: number | null = null;
+  private lastHydrateCheck = 0;
+  private hydrating: Promise<void> | null = null;
+
+  private readonly config: SyncConfig = {
+    pageSize: 50,
+    maxPages: 40,
+    lockSeconds: 15 * 60,
+    hydrateIntervalMs: 60 * 1000,
+    defaultCategoryId: supportCategories[0].id
+  };
+
+  /**
+   * Import new and changed articles from Desk. A full run re-checks every article and
+   * drops local copies of articles that no longer exist.
+   */
+  async run(options: { full?: boolean } = {}): Promise<SyncResult> {
+    if (!zoho.desk.isConfigured()) {
+      throw new Error('Zoho Desk is not configured (ZOHO_DESK_ORG_ID and Desk credentials are required)');
+    }
+
+    const acquired = await this.store.setIfAbsent('lock', new Date().toISOString(), { ttlSeconds: this.config.lockSeconds });
+    if (!acquired) {
+      throw new SyncInProgressError();
+    }
+
+    const startedAt = new Date();
+    const state = await this.getState();
+    const full = !!options.full || !state.cursor;
+
+    console.log(`🔄 Starting ${full ? 'full' : 'incremental'} knowledge base sync from Zoho Desk...`);
+
+    try {
+      const result = await this.sync(full, state, startedAt);
+      const changed = result.created + result.updated + result.removed > 0;
+      const articleCount = (await this.store.keys('article:')).length;
+
+      await this.store.set('state', {
+        ...state,
+        version: changed ? state.version + 1 : state.version,
+        cursor: result.fetched > 0 ? await this.newestModifiedTime() : state.cursor,
+        articleCount,
+        lastRunAt: result.startedAt,
+        lastSuccessAt: result.completedAt,
+        lastFullSyncAt: full ? result.completedAt : state.lastFullSyncAt,
+        lastResult: result,
+        lastError: null
+      } as SyncState);
+
+      console.log(`✅ Knowledge base sync complete: ${result.created} new, ${result.updated} updated, ${result.removed} removed, ${result.errors.length} errors`);
+
+      await this.hydrate({ force: true });
+      return result;
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Unknown error';
+      console.error('❌ Knowledge base sync failed:', error);
+
+      await this.store.set('state', {
+        ...state,
+        lastRunAt: startedAt.toISOString(),
+        lastError: message
+      } as SyncState);
+      throw error;
+    } finally {
+      await this.store.delete('lock');
+    }
+  }
+
+  /**
+   * Load synced articles into the in-memory store when a newer sync has been written.
+   * Cheap to call on every request: the stored version is checked at most once a minute.
+   */
+  async hydrate(options: { force?: boolean } = {}): Promise<void> {
+    if (!options.force && Date.now() - this.lastHydrateCheck < this.config.hydrateIntervalMs) {
+      return;
+    }
+
+    // Concurrent requests share one load
+    if (!this.hydrating) {
+      this.hydrating = this.loadSyncedArticles().finally(() => {
+        this.hydrating = null;
+      });
+    }
+
+    return this.hydrating;
+  }
+
+  /**
+   * Sync status for the admin endpoint
+   */
+  async getStatus() {
+    const [state, lock] = await Promise.all([
+      this.getState(),
+      this.store.get<string>('lock')
+    ]);
+
+    return {
+      configured: zoho.desk.isConfigured(),
+      running: !!lock,
+      runningSince: lock,
+      source: knowledgeBaseStore.getSource(),
+      ...state
+    };
+  }
+
+  private async sync(full: boolean, state: SyncState, startedAt: Date): Promise<SyncResult> {
+    const result: SyncResult = {
+      mode: full ? 'full' : 'incremental',
+      fetched: 0,
+      created: 0,
+      updated: 0,
+      unchanged: 0,
+      removed: 0,
+      unmappedCategories: [],
+      errors: [],
+      startedAt: startedAt.toISOString(),
+      completedAt: '',
+      durationMs: 0
+    };
+
+    const categories = flattenCategories(await zoho.desk.getKnowledgeBaseCategories());
+    const existing = new Map(
+      (await this.store.list<SyncedArticleRecord>('article:')).map(({ value }) => [value.article.id, value])
+    );
+    const seen = new Set<string>();
+    const unmapped = new Set<string>();
+    let reachedCursor = false;
+    let listedAll = false;
+
+    for (let page = 0; page < this.config.maxPages && !reachedCursor; page++) {
+      const summaries = await zoho.desk.listArticles({
+        from: page * this.config.pageSize + 1,
+        limit: this.config.pageSize
+      });
+
+      for (const summary of summaries) {
+        // Pages are sorted newest first, so everything after the cursor is already stored
+        if (!full && state.cursor && summary.modifiedTime <= state.cursor) {
+          reachedCursor = true;
+          break;
+        }
+
+        seen.add(summary.id);
+        result.fetched++;
+
+        try {
+          await this.syncArticle(summary, existing.get(summary.id), categories, unmapped, result);
+        } catch (error) {
+          console.error(`❌ Failed to sync article ${summary.id}:`, error);
+          result.errors.push({ articleId: summary.id, message: error instanceof Error ? error.message : 'Unknown error' });
+        }
+      }
+
+      if (summaries.length < this.config.pageSize) {
+        listedAll = true;
+        break;
+      }
+    }
+
+    // Only a complete listing can tell us what was deleted in Desk
+    if (full && listedAll && result.errors.length === 0) {
+      for (const id of Array.from(existing.keys())) {
+        if (!seen.has(id)) {
+          await this.store.delete(`article:${id}`);
+          result.removed++;
+        }
+      }
+    }
+
+    result.unmappedCategories = Array.from(unmapped);
+    result.completedAt = new Date().toISOString();
+    result.durationMs = Date.now() - startedAt.getTime();
+    return result;
+  }
+
+  private async syncArticle(
+    summary: ZohoDeskArticleSummary,
+    previous: SyncedArticleRecord | undefined,
+    categories: Map<string, CategoryInfo>,
+    unmapped: Set<string>,
+    result: SyncResult
+  ): Promise<void> {
+    // Unpublished or archived in Desk: stop serving it
+    if (summary.status !== 'Published') {
+      if (previous) {
+        await this.store.delete(`article:${summary.id}`);
+        result.removed++;
+      }
+      return;
+    }
+
+    const deskVersion = summary.latestVersion || null;
+    if (previous && previous.deskModifiedTime === summary.modifiedTime && previous.deskVersion === deskVersion) {
+      result.unchanged++;
+      return;
+    }
+
+    const detail = await zoho.desk.getArticle(summary.id);
+    const article = toKnowledgeBaseArticle(detail, categories, this.config.defaultCategoryId, unmapped);
+
+    await this.store.set(`article:${summary.id}`, {
+      article,
+      deskVersion,
+      deskModifiedTime: summary.modifiedTime,
+      syncedAt: new Date().toISOString()
+    } as SyncedArticleRecord);
+
+    if (previous) result.updated++;
+    else result.created++;
+  }
+
+  private async loadSyncedArticles(): Promise<void> {
+    try {
+      const state = await this.getState();
+      this.lastHydrateCheck = Date.now();
+
+      if (state.version === this.loadedVersion) return;
+
+      const records = await this.store.list<SyncedArticleRecord>('article:');
+      this.loadedVersion = state.version;
+
+      // Keep serving the built-in articles until the first sync has imported something
+      if (records.length === 0) return;
+
+      knowledgeBaseStore.replaceArticles(records.map(({ value }) => value.article), 'zoho-desk');
+      console.log(`📚 Loaded ${records.length} synced knowledge base articles (sync version ${state.version})`);
+    } catch (error) {
+      console.error('Failed to load synced knowledge base articles:', error);
+    }
+  }
+
+  private async newestModifiedTime(): Promise<string | null> {
+    const records = await this.store.list<SyncedArticleRecord>('article:');
+    return records.reduce<string | null>(
+      (latest, { value }) => (!latest || value.deskModifiedTime > latest ? value.deskModifiedTime : latest),
+      null
+    );
+  }
+
+  private async getState(): Promise<SyncState> {
+    return { ...INITIAL_STATE, ...((await this.store.get<SyncState>('state')) || {}) };
+  }
+}
+
+/**
+ * Category id -> name and path from the root, for every node in the Desk category trees
+ */
+function flattenCategories(trees: ZohoDeskKbCategory[]): Map<string, CategoryInfo> {
+  const categories = new Map<string, CategoryInfo>();
+
+  const visit = (node: ZohoDeskKbCategory, parentPath: string[]) => {
+    const path = [...parentPath, node.name];
+    categories.set(node.id, { id: node.id, name: node.name, path });
+    (node.child || []).forEach(child => visit(child, path));
+  };
+
+  trees.forEach(tree => visit(tree, []));
+  return categories;
+}
+
+/**
+ * Map a Desk category onto one of our support categories. ZOHO_DESK_KB_CATEGORY_MAP
+ * ({"<deskCategoryId>": "<supportCategoryId>"}) wins; otherwise the category path is matched by name.
+ */
+function resolveCategory(deskCategoryId: string, categories: Map<string, CategoryInfo>): string | null {
+  const explicit = parseCategoryMap()[deskCategoryId];
+  if (explicit && supportCategories.some(category => category.id === explicit)) {
+    return explicit;
+  }
+
+  const info = categories.get(deskCategoryId);
+  if (!info) return null;
+
+  // Most specific category first
+  for (const name of [...info.path].reverse()) {
+    const normalized = name.trim().toLowerCase();
+    const match = supportCategories.find(category =>
+      category.id === normalized ||
+      category.name.toLowerCase() === normalized ||
+      normalized.includes(category.id)
+    );
+    if (match) return match.id;
+  }
+
+  return null;
+}
+
+function parseCategoryMap(): Record<string, string> {
+  try {
+    return JSON.parse(process.env.ZOHO_DESK_KB_CATEGORY_MAP || '{}');
+  } catch (error) {
+    console.warn('⚠️ ZOHO_DESK_KB_CATEGORY_MAP is not valid JSON, ignoring it');
+    return {};
+  }
+}
+
+/**
+ * Convert a Desk article into the shape served by the knowledge base API
+ */
+function toKnowledgeBaseArticle(
+  detail: ZohoDeskArticle,
+  categories: Map<string, CategoryInfo>,
+  defaultCategoryId: string,
+  unmapped: Set<string>
+): KnowledgeBaseArticle {
+  const content = sanitizeArticleHtml(detail.answer || '');
+  const categoryId = resolveCategory(detail.categoryId, categories);
+  const deskCategory = categories.get(detail.categoryId);
+
+  if (!categoryId) {
+    unmapped.add(deskCategory?.name || detail.categoryId);
+  }
+
+  return {
+    id: String(detail.id),
+    slug: detail.permalink || generateProductSlug(stripHtml(detail.title)),
+    title: stripHtml(detail.title),
+    summary: truncateText(stripHtml(detail.summary || '') || stripHtml(content), 200),
+    content,
+    categoryId: categoryId || defaultCategoryId,
+    // The Desk category becomes the section within our category
+    sectionId: deskCategory ? `desk-${deskCategory.id}` : undefined,
+    sectionName: deskCategory?.name,
+    tags: (detail.tags || [])
+      .map(tag => (typeof tag === 'string' ? tag : tag.name))
+      .filter(Boolean),
+    status: 'PUBLISHED',
+    createdTime: detail.createdTime,
+    modifiedTime: detail.modifiedTime,
+    viewCount: Number(detail.viewCount) || 0,
+    helpfulCount: Number(detail.likeCount) || 0,
+    unhelpfulCount: Number(detail.dislikeCount) || 0,
+    attachments: (detail.attachments || [])
+      .map(attachment => ({
+        name: attachment.name,
+        url: attachment.href || attachment.viewUrl || attachment.downloadUrl || '',
+        size: Number(attachment.size) || undefined
+      }))
+      .filter(attachment => attachment.url)
+  };
+}
+
+// Export singleton instance
+export const knowledgeBaseSync = new KnowledgeBaseSync();
+
+export { SyncInProgressError };
+
+// Export types for other modules
+export type { SyncResult, SyncState, SyncedArticleRecord };
@@ -0,0 +1,321 @@
+// src/lib/knowledge-base.ts - Knowledge base article store
+// Backs the /api/knowledge-base/* routes used by useKnowledgeBase and the support components
+
+import { supportCategories } from '../config/routes';
+import { seedArticles } from './knowledge-base-articles';
+
+interface KnowledgeBaseAttachment {
+  name: string;
+  url: string;
+  size?: number;
+}
+
+interface KnowledgeBaseArticle {
+  id: string;
+  slug: string;
+  title: string;
+  summary: string;
+  content: string;
+  categoryId: string;
+  sectionId?: string;
+  sectionName?: string;
+  tags: string[];
+  status: 'PUBLISHED' | 'DRAFT' | 'REVIEW';
+  createdTime: string;
+  modifiedTime: string;
+  viewCount: number;
+  helpfulCount: number;
+  unhelpfulCount: number;
+  attachments: KnowledgeBaseAttachment[];
+}
+
+interface KnowledgeBaseSection {
+  id: string;
+  name: string;
+  articleCount: number;
+}
+
+interface KnowledgeBaseCategory {
+  id: string;
+  name: string;
+  description: string;
+  icon: string;
+  color: string;
+  href: string;
+  articleCount: number;
+  sections: KnowledgeBaseSection[];
+}
+
+type ArticleSource = 'seed' | 'zoho-desk';
+
+type ArticleSortField = 'modifiedTime' | 'createdTime' | 'viewCount' | 'helpfulCount' | 'title';
+
+interface ArticleQuery {
+  category?: string;
+  section?: string;
+  status?: string;
+  page?: number;
+  limit?: number;
+  sortBy?: ArticleSortField;
+  sortOrder?: 'asc' | 'desc';
+}
+
+interface Pagination {
+  page: number;
+  limit: number;
+  total: number;
+  totalPages: number;
+  hasMore: boolean;
+}
+
+interface PagedArticles {
+  data: KnowledgeBaseArticle[];
+  pagination: Pagination;
+}
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const SORT_FIELDS: ArticleSortField[] = ['modifiedTime', 'createdTime', 'viewCount', 'helpfulCount', 'title'];
+
+class KnowledgeBaseStore {
+  private articles = new Map<string, KnowledgeBaseArticle>();
+  private lastUpdated: string;
+  private version = 0;
+  private source: ArticleSource = 'seed';
+
+  constructor(initialArticles: KnowledgeBaseArticle[] = []) {
+    initialArticles.forEach(article => this.articles.set(article.id, { ...article }));
+    this.lastUpdated = this.latestModifiedTime();
+  }
+
+  /**
+   * List articles with category/section filtering, sorting and paging
+   */
+  getArticles(query: ArticleQuery = {}): PagedArticles {
+    const status = query.status || 'PUBLISHED';
+    let results = Array.from(this.articles.values()).filter(article => article.status === status);
+
+    if (query.category) {
+      results = results.filter(article => article.categoryId === query.category);
+    }
+
+    if (query.section) {
+      results = results.filter(article => article.sectionId === query.section);
+    }
+
+    results = sortArticles(results, query.sortBy, query.sortOrder);
+
+    return paginate(results, query.page, query.limit);
+  }
+
+  /**
+   * Look up a published article by id or slug
+   */
+  getArticle(idOrSlug: string): KnowledgeBaseArticle | null {
+    const byId = this.articles.get(idOrSlug);
+    if (byId) return byId.status === 'PUBLISHED' ? byId : null;
+
+    const bySlug = Array.from(this.articles.values()).find(article => article.slug === idOrSlug);
+    return bySlug && bySlug.status === 'PUBLISHED' ? bySlug : null;
+  }
+
+  /**
+   * Record an article view and return the updated article
+   */
+  recordView(id: string): KnowledgeBaseArticle | null {
+    const article = this.getArticle(id);
+    if (!article) return null;
+
+    article.viewCount++;
+    return article;
+  }
+
+  /**
+   * Every published article, unpaged (used for indexing and related-article lookups)
+   */
+  getAllPublished(): KnowledgeBaseArticle[] {
+    return Array.from(this.articles.values()).filter(article => article.status === 'PUBLISHED');
+  }
+
+  /**
+   * Categories from the support configuration with live article counts and sections
+   */
+  getCategories(): KnowledgeBaseCategory[] {
+    const published = this.getAllPublished();
+
+    return supportCategories.map(category => {
+      const categoryArticles = published.filter(article => article.categoryId === category.id);
+      const sections = new Map<string, KnowledgeBaseSection>();
+
+      categoryArticles.forEach(article => {
+        if (!article.sectionId) return;
+        const section = sections.get(article.sectionId) || {
+          id: article.sectionId,
+          name: article.sectionName || article.sectionId,
+          articleCount: 0
+        };
+        section.articleCount++;
+        sections.set(article.sectionId, section);
+      });
+
+      return {
+        ...category,
+        articleCount: categoryArticles.length,
+        sections: Array.from(sections.values())
+      };
+    });
+  }
+
+  /**
+   * Summary figures for the support dashboard
+   */
+  getStats() {
+    const published = this.getAllPublished();
+
+    return {
+      totalArticles: published.length,
+      totalCategories: supportCategories.length,
+      totalViews: published.reduce((sum, article) => sum + article.viewCount, 0),
+      lastUpdated: this.lastUpdated
+    };
+  }
+
+  /**
+   * Insert or replace an article
+   */
+  upsertArticle(article: KnowledgeBaseArticle): void {
+    this.articles.set(article.id, { ...article });
+    this.lastUpdated = this.latestModifiedTime();
+    this.version++;
+  }
+
+  /**
+   * Remove an article by id
+   */
+  removeArticle(id: string): boolean {
+    const removed = this.articles.delete(id);
+    if (removed) {
+      this.lastUpdated = this.latestModifiedTime();
+      this.version++;
+    }
+    return removed;
+  }
+
+  /**
+   * Swap in a complete article set, e.g. the articles imported from the Desk Help Center
+   */
+  replaceArticles(articles: KnowledgeBaseArticle[], source: ArticleSource): void {
+    this.articles = new Map(articles.map(article => [article.id, { ...article }]));
+    this.source = source;
+    this.lastUpdated = this.latestModifiedTime();
+    this.version++;
+  }
+
+  /**
+   * Where the current articles came from
+   */
+  getSource(): ArticleSource {
+    return this.source;
+  }
+
+  /**
+   * Changes whenever article content changes, so derived indexes know to rebuild
+   */
+  getVersion(): number {
+    return this.version;
+  }
+
+  /**
+   * Basic store health for the health endpoint
+   */
+  healthCheck() {
+    const published = this.getAllPublished();
+
+    return {
+      status: published.length > 0 ? 'healthy' : 'degraded',
+      articles: published.length,
+      categories: supportCategories.length,
+      source: this.source,
+      lastUpdated: this.lastUpdated,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  private latestModifiedTime(): string {
+    let latest = 0;
+    this.articles.forEach(article => {
+      latest = Math.max(latest, new Date(article.modifiedTime).getTime() || 0);
+    });
+    return new Date(latest || Date.now()).toISOString();
+  }
+}
+
+/**
+ * Sort articles the same way ArticleList does on the client
+ */
+function sortArticles(
+  articles: KnowledgeBaseArticle[],
+  sortBy: ArticleSortField = 'modifiedTime',
+  sortOrder: 'asc' | 'desc' = 'desc'
+): KnowledgeBaseArticle[] {
+  const field = SORT_FIELDS.includes(sortBy) ? sortBy : 'modifiedTime';
+  const direction = sortOrder === 'asc' ? 1 : -1;
+
+  return [...articles].sort((a, b) => {
+    let aValue: string | number;
+    let bValue: string | number;
+
+    if (field === 'title') {
+      aValue = a.title.toLowerCase();
+      bValue = b.title.toLowerCase();
+    } else if (field === 'modifiedTime' || field === 'createdTime') {
+      aValue = new Date(a[field]).getTime() || 0;
+      bValue = new Date(b[field]).getTime() || 0;
+    } else {
+      aValue = a[field];
+      bValue = b[field];
+    }
+
+    if (aValue === bValue) return 0;
+    return aValue > bValue ? direction : -direction;
+  });
+}
+
+/**
+ * Slice a result list into a page with pagination metadata
+ */
+function paginate<T>(items: T[], page = 1, limit = DEFAULT_PAGE_SIZE): { data: T[]; pagination: Pagination } {
+  const safeLimit = Math.min(Math.max(Math.floor(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const totalPages = Math.max(Math.ceil(items.length / safeLimit), 1);
+  const safePage = Math.min(Math.max(Math.floor(page) || 1, 1), totalPages);
+  const start = (safePage - 1) * safeLimit;
+
+  return {
+    data: items.slice(start, start + safeLimit),
+    pagination: {
+      page: safePage,
+      limit: safeLimit,
+      total: items.length,
+      totalPages,
+      hasMore: safePage < totalPages
+    }
+  };
+}
+
+// Export singleton instance
+export const knowledgeBaseStore = new KnowledgeBaseStore(seedArticles);
+
+export { paginate };
+
+// Export types for other modules
+export type {
+  ArticleSource,
+  KnowledgeBaseArticle,
+  KnowledgeBaseAttachment,
+  KnowledgeBaseCategory,
+  KnowledgeBaseSection,
+  ArticleQuery,
+  ArticleSortField,
+  PagedArticles,
+  Pagination
+};
@@ -0,0 +1,261 @@
+// src/lib/order-totals.ts - Tax and shipping rules for every cart, checkout page and checkout API
+// No server-only imports: the browser shows the same totals the API charges.
+
+type ShippingMethod = 'ground' | 'two_day' | 'overnight';
+
+// standard: taxable goods (hotspots, routers, accessories)
+// service: data plans and other services, taxed only where services are broadly taxable
+// exempt: never taxed (gift cards, extended warranties)
+type TaxClass = 'standard' | 'service' | 'exempt';
+
+// Data plans renew every month or year (Stripe Billing); everything else is charged once
+type BillingInterval = 'month' | 'year';
+
+interface ShippingMethodRule {
+  label: string;
+  baseCents: number;
+  // Weight covered by the base rate; every started pound above it adds perPoundCents
+  includedPounds: number;
+  perPoundCents: number;
+  freeOverCents: number | null;
+  businessDays: [number, number];
+}
+
+interface TotalsItem {
+  product_price?: number | string;
+  price?: number | string;
+  quantity?: number | string;
+  weight?: number | string | null;
+  tax_class?: string | null;
+  billing_interval?: string | null;
+}
+
+interface TotalsAddress {
+  state?: string;
+  zipCode?: string;
+  zip?: string;
+  country?: string;
+}
+
+interface TotalsOptions {
+  address?: TotalsAddress | null;
+  shippingMethod?: string | null;
+}
+
+interface OrderTotals {
+  subtotal: number;
+  taxableSubtotal: number;
+  tax: number;
+  taxRate: number;
+  // False until we have a US state to look the rate up with
+  taxCalculated: boolean;
+  shipping: number;
+  shippingMethod: ShippingMethod;
+  weight: number;
+  total: number;
+  amountCents: number;
+}
+
+interface ShippingOption {
+  id: ShippingMethod;
+  label: string;
+  cost: number;
+  businessDays: [number, number];
+}
+
+const DEFAULT_SHIPPING_METHOD: ShippingMethod = 'ground';
+
+// Used when a product has no weight in Zoho Inventory
+const DEFAULT_ITEM_WEIGHT_LBS = 1;
+
+const SHIPPING_METHODS: Record<ShippingMethod, ShippingMethodRule> = {
+  ground: { label: 'Ground', baseCents: 999, includedPounds: 2, perPoundCents: 100, freeOverCents: 10000, businessDays: [3, 5] },
+  two_day: { label: '2-Day', baseCents: 1999, includedPounds: 1, perPoundCents: 200, freeOverCents: null, businessDays: [2, 2] },
+  overnight: { label: 'Overnight', baseCents: 3999, includedPounds: 1, perPoundCents: 350, freeOverCents: null, businessDays: [1, 1] }
+};
+
+// State-level sales tax rates (including mandatory statewide local rates for UT and VA)
+const STATE_TAX_RATES: Record<string, number> = {
+  AL: 0.04, AK: 0, AZ: 0.056, AR: 0.065, CA: 0.0725, CO: 0.029, CT: 0.0635, DE: 0, DC: 0.06,
+  FL: 0.06, GA: 0.04, HI: 0.04, ID: 0.06, IL: 0.0625, IN: 0.07, IA: 0.06, KS: 0.065, KY: 0.06,
+  LA: 0.05, ME: 0.055, MD: 0.06, MA: 0.0625, MI: 0.06, MN: 0.06875, MS: 0.07, MO: 0.04225, MT: 0,
+  NE: 0.055, NV: 0.0685, NH: 0, NJ: 0.06625, NM: 0.04875, NY: 0.04, NC: 0.0475, ND: 0.05, OH: 0.0575,
+  OK: 0.045, OR: 0, PA: 0.06, RI: 0.07, SC: 0.06, SD: 0.042, TN: 0.07, TX: 0.0625, UT: 0.061,
+  VT: 0.06, VA: 0.053, WA: 0.065, WV: 0.06, WI: 0.05, WY: 0.04
+};
+
+// Combined state + local rates by ZIP (5-digit) or ZIP prefix (3-digit), checked before the state rate
+const ZIP_TAX_RATES: Record<string, number> = {
+  '100': 0.08875, '101': 0.08875, '102': 0.08875, '103': 0.08875, '104': 0.08875, // New York City
+  '303': 0.089, // Atlanta
+  '331': 0.07, // Miami
+  '606': 0.1025, // Chicago
+  '752': 0.0825, // Dallas
+  '770': 0.0825, // Houston
+  '802': 0.0881, // Denver
+  '850': 0.086, // Phoenix
+  '891': 0.08375, // Las Vegas
+  '900': 0.095, '901': 0.095, // Los Angeles
+  '941': 0.08625, // San Francisco
+  '981': 0.1035 // Seattle
+};
+
+// States that tax services (and so data plans) broadly
+const SERVICE_TAXABLE_STATES = ['HI', 'NM', 'SD', 'WV'];
+
+/**
+ * Normalize a shipping method from a request or form, falling back to ground
+ */
+function normalizeShippingMethod(value?: string | null): ShippingMethod {
+  return value && has(SHIPPING_METHODS, value) ? value as ShippingMethod : DEFAULT_SHIPPING_METHOD;
+}
+
+/**
+ * Normalize a product tax class, treating anything unknown as taxable
+ */
+function normalizeTaxClass(value?: string | null): TaxClass {
+  return value === 'service' || value === 'exempt' ? value : 'standard';
+}
+
+/**
+ * Normalize a catalog billing interval ("monthly", "Annual", ...); null for one-time products
+ */
+function normalizeBillingInterval(value?: string | null): BillingInterval | null {
+  const interval = String(value || '').trim().toLowerCase();
+  if (['month', 'monthly'].includes(interval)) return 'month';
+  if (['year', 'yearly', 'annual', 'annually'].includes(interval)) return 'year';
+  return null;
+}
+
+/**
+ * Sales tax rate for a shipping address, or null when it can't be determined yet
+ */
+function getTaxRate(address?: TotalsAddress | null): number | null {
+  const country = (address?.country || 'US').trim().toUpperCase();
+  // We only collect US sales tax
+  if (country !== 'US' && country !== 'USA' && country !== 'UNITED STATES') return 0;
+
+  const state = (address?.state || '').trim().toUpperCase();
+  if (!has(STATE_TAX_RATES, state)) return null;
+
+  // No sales tax in the state means no local sales tax either
+  if (STATE_TAX_RATES[state] === 0) return 0;
+
+  const zip = (address?.zipCode || address?.zip || '').trim().slice(0, 5);
+  if (zip.length === 5) {
+    if (has(ZIP_TAX_RATES, zip)) return ZIP_TAX_RATES[zip];
+    if (has(ZIP_TAX_RATES, zip.slice(0, 3))) return ZIP_TAX_RATES[zip.slice(0, 3)];
+  }
+
+  return STATE_TAX_RATES[state];
+}
+
+/**
+ * Sales tax rate for one tax class at an address (0 when the class isn't taxed there), or null
+ * when it can't be determined yet
+ */
+function getTaxRateForClass(taxClass: TaxClass, address?: TotalsAddress | null): number | null {
+  const state = (address?.state || '').trim().toUpperCase();
+  if (taxClass === 'exempt' || (taxClass === 'service' && !SERVICE_TAXABLE_STATES.includes(state))) return 0;
+  return getTaxRate(address);
+}
+
+/**
+ * Totals for a cart. All checkout endpoints and the Stripe amount must come from here.
+ */
+function calculateOrderTotals(items: TotalsItem[], options: TotalsOptions = {}): OrderTotals {
+  const shippingMethod = normalizeShippingMethod(options.shippingMethod);
+  const state = (options.address?.state || '').trim().toUpperCase();
+  const taxRate = getTaxRate(options.address);
+
+  let subtotalCents = 0;
+  let taxableCents = 0;
+  let weight = 0;
+
+  items.forEach(item => {
+    const priceCents = Math.round((parseFloat(String(item.product_price ?? item.price ?? 0)) || 0) * 100);
+    const quantity = Math.max(0, parseInt(String(item.quantity ?? 1), 10) || 0);
+    const lineCents = priceCents * quantity;
+
+    subtotalCents += lineCents;
+    weight += itemWeight(item) * quantity;
+
+    const taxClass = normalizeTaxClass(item.tax_class);
+    if (taxClass === 'standard' || (taxClass === 'service' && SERVICE_TAXABLE_STATES.includes(state))) {
+      taxableCents += lineCents;
+    }
+  });
+
+  // Round first so shipping options (computed from the returned weight) match
+  weight = Math.round(weight * 100) / 100;
+
+  // Shipping is not taxed
+  const taxCents = taxRate ? Math.round(taxableCents * taxRate) : 0;
+  const shippingCents = shippingCostCents(shippingMethod, subtotalCents, weight);
+  const totalCents = subtotalCents + taxCents + shippingCents;
+
+  return {
+    subtotal: subtotalCents / 100,
+    taxableSubtotal: taxableCents / 100,
+    tax: taxCents / 100,
+    taxRate: taxRate || 0,
+    taxCalculated: taxRate !== null,
+    shipping: shippingCents / 100,
+    shippingMethod,
+    weight,
+    total: totalCents / 100,
+    amountCents: totalCents
+  };
+}
+
+/**
+ * Every shipping method with its cost for this cart
+ */
+function getShippingOptions(items: TotalsItem[]): ShippingOption[] {
+  const { subtotal, weight } = calculateOrderTotals(items);
+  const subtotalCents = Math.round(subtotal * 100);
+
+  return (Object.keys(SHIPPING_METHODS) as ShippingMethod[]).map(id => ({
+    id,
+    label: SHIPPING_METHODS[id].label,
+    cost: shippingCostCents(id, subtotalCents, weight) / 100,
+    businessDays: SHIPPING_METHODS[id].businessDays
+  }));
+}
+
+function shippingCostCents(method: ShippingMethod, subtotalCents: number, weight: number): number {
+  // Nothing to ship (data plans, gift cards)
+  if (weight <= 0) return 0;
+
+  const rule = SHIPPING_METHODS[method];
+  if (rule.freeOverCents !== null && subtotalCents >= rule.freeOverCents) return 0;
+
+  const extraPounds = Math.max(0, Math.ceil(weight - rule.includedPounds));
+  return rule.baseCents + extraPounds * rule.perPoundCents;
+}
+
+function has(table: object, key: string): boolean {
+  return Object.prototype.hasOwnProperty.call(table, key);
+}
+
+function itemWeight(item: TotalsItem): number {
+  // Plans have nothing to ship
+  if (normalizeBillingInterval(item.billing_interval)) return 0;
+  if (item.weight === undefined || item.weight === null || item.weight === '') return DEFAULT_ITEM_WEIGHT_LBS;
+  const weight = parseFloat(String(item.weight));
+  return isNaN(weight) || weight < 0 ? DEFAULT_ITEM_WEIGHT_LBS : weight;
+}
+
+export {
+  SHIPPING_METHODS,
+  DEFAULT_SHIPPING_METHOD,
+  calculateOrderTotals,
+  getShippingOptions,
+  getTaxRate,
+  getTaxRateForClass,
+  normalizeShippingMethod,
+  normalizeTaxClass,
+  normalizeBillingInterval
+};
+
+export type { ShippingMethod, TaxClass, BillingInterval, TotalsItem, TotalsAddress, TotalsOptions, OrderTotals, ShippingOption };
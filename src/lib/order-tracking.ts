@@ -0,0 +1,353 @@
+// src/lib/order-tracking.ts - Customer order lookup for /order/[orderId]
+// An order is only shown with a signed token: one from the link in the confirmation email,
+// or one issued after the customer proves the order number and email address belong together.
+// Signed with ORDER_LINK_SECRET (HMAC-SHA256). Lookup attempts are rate limited in the persistent store.
+
+import crypto from 'crypto';
+import { zoho } from './zoho-sdk';
+import { createPersistentStore } from './persistent-store';
+
+type OrderStatus = 'pending' | 'processing' | 'shipped' | 'delivered' | 'cancelled';
+
+interface OrderLineView {
+  name: string;
+  sku: string | null;
+  quantity: number;
+  price: number;
+  total: number;
+}
+
+interface ShipmentView {
+  packageNumber: string | null;
+  status: 'not_shipped' | 'shipped' | 'delivered';
+  carrier: string | null;
+  trackingNumber: string | null;
+  trackingUrl: string | null;
+  shippedAt: string | null;
+  deliveredAt: string | null;
+}
+
+interface AddressView {
+  name: string;
+  address1: string;
+  address2: string;
+  city: string;
+  state: string;
+  zipCode: string;
+  country: string;
+}
+
+// What a customer may see about their order: no contact details beyond the addresses
+interface OrderView {
+  orderId: string;
+  orderNumber: string;
+  status: OrderStatus;
+  placedAt: string;
+  expectedShipmentDate: string | null;
+  deliveryMethod: string | null;
+  items: OrderLineView[];
+  subtotal: number;
+  tax: number;
+  shipping: number;
+  total: number;
+  currency: string;
+  shippingAddress: AddressView | null;
+  billingAddress: AddressView | null;
+  shipments: ShipmentView[];
+}
+
+// One row of an order list; built from the sales order summaries Zoho lists, which have no packages
+interface OrderSummary {
+  orderId: string;
+  orderNumber: string;
+  status: OrderStatus;
+  placedAt: string;
+  total: number;
+  currency: string;
+}
+
+type OrderLookupErrorCode = 'NOT_CONFIGURED' | 'INVALID_TOKEN' | 'EXPIRED' | 'NOT_FOUND' | 'RATE_LIMITED';
+
+interface OrderTrackingConfig {
+  linkTtlSeconds: number;
+  maxLookupsPerHour: number;
+  maxFailuresPerOrderPerHour: number;
+}
+
+// Carrier tracking pages, keyed by the lowercased carrier name Zoho stores on the package
+const TRACKING_URLS: Record<string, (trackingNumber: string) => string> = {
+  ups: number => `https://www.ups.com/track?loc=en_US&tracknum=${number}`,
+  fedex: number => `https://www.fedex.com/fedextrack/?trknbr=${number}`,
+  usps: number => `https://tools.usps.com/go/TrackConfirmAction?tLabels=${number}`,
+  dhl: number => `https://www.dhl.com/us-en/home/tracking.html?tracking-id=${number}`
+};
+
+/**
+ * Why an order lookup was refused; status is the HTTP status to respond with
+ */
+class OrderLookupError extends Error {
+  code: OrderLookupErrorCode;
+  status: number;
+  retryAfter: number | null;
+
+  constructor(message: string, code: OrderLookupErrorCode, status: number, retryAfter: number | null = null) {
+    super(message);
+    this.name = 'OrderLookupError';
+    this.code = code;
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+class OrderTracking {
+  private store = createPersistentStore('order-tracking');
+
+  private readonly config: OrderTrackingConfig = {
+    linkTtlSeconds: 180 * 24 * 60 * 60,
+    maxLookupsPerHour: 10,
+    maxFailuresPerOrderPerHour: 5
+  };
+
+  isConfigured(): boolean {
+    return !!process.env.ORDER_LINK_SECRET;
+  }
+
+  /**
+   * Signed token that lets its holder view one order
+   */
+  createToken(orderId: string, options: { ttlSeconds?: number } = {}): string {
+    const payload = base64url(JSON.stringify({
+      ord: String(orderId),
+      exp: Date.now() + (options.ttlSeconds ?? this.config.linkTtlSeconds) * 1000
+    }));
+
+    return `${payload}.${sign(payload)}`;
+  }
+
+  /**
+   * Absolute /order URL carrying a fresh token, for emails
+   */
+  buildUrl(orderId: string): string {
+    const baseUrl = process.env.NEXT_PUBLIC_BASE_URL || 'http://localhost:3000';
+    const query = new URLSearchParams({ token: this.createToken(orderId) });
+    return `${baseUrl}/order/${encodeURIComponent(orderId)}?${query.toString()}`;
+  }
+
+  /**
+   * Check signature, expiry and that the token is for this order
+   */
+  verify(token: unknown, orderId: unknown): void {
+    if (typeof token !== 'string' || !token.includes('.')) {
+      throw new OrderLookupError('Order link is missing or malformed', 'INVALID_TOKEN', 401);
+    }
+
+    const [payload, signature] = token.split('.');
+    const expected = sign(payload);
+
+    if (!signature || signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      throw new OrderLookupError('Order link is invalid', 'INVALID_TOKEN', 401);
+    }
+
+    let claims: any;
+    try {
+      claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch {
+      throw new OrderLookupError('Order link is malformed', 'INVALID_TOKEN', 401);
+    }
+
+    if (String(claims?.ord) !== String(orderId)) {
+      throw new OrderLookupError('Order link does not match this order', 'INVALID_TOKEN', 401);
+    }
+
+    if (typeof claims.exp !== 'number' || Date.now() > claims.exp) {
+      throw new OrderLookupError('Order link has expired. Look up your order with its number and email address.', 'EXPIRED', 410);
+    }
+  }
+
+  /**
+   * Find an order by number and the email it was placed with. A wrong email and an unknown
+   * number get the same answer, so the form can't be used to learn which orders exist.
+   * Failures are counted per order number and client, so guessing at someone's order from one
+   * address doesn't lock its customer out.
+   */
+  async lookup(orderNumber: string, email: string, clientId: string): Promise<{ orderId: string; token: string }> {
+    const normalizedNumber = orderNumber.trim().toUpperCase();
+    const normalizedEmail = email.trim().toLowerCase();
+
+    await this.enforceRateLimit(`ratelimit:client:${clientId}`, this.config.maxLookupsPerHour);
+
+    const failureKey = `ratelimit:order:${normalizedNumber}:${clientId}`;
+    await this.enforceRateLimit(failureKey, this.config.maxFailuresPerOrderPerHour, false);
+
+    const salesOrder = normalizedNumber ? await zoho.inventory.findSalesOrderByNumber(normalizedNumber) : null;
+
+    if (!salesOrder || !(await this.emailMatches(salesOrder, normalizedEmail))) {
+      await this.enforceRateLimit(failureKey, this.config.maxFailuresPerOrderPerHour);
+      console.warn(`⚠️ Order lookup failed for ${normalizedNumber}`);
+      throw new OrderLookupError('We couldn\'t find an order with that number and email address', 'NOT_FOUND', 404);
+    }
+
+    const orderId = String(salesOrder.salesorder_id);
+    return { orderId, token: this.createToken(orderId) };
+  }
+
+  /**
+   * The customer's view of a Zoho sales order
+   */
+  async getOrder(orderId: string): Promise<OrderView> {
+    const salesOrder = await zoho.inventory.getSalesOrder(orderId);
+    if (!salesOrder) {
+      throw new OrderLookupError('Order not found', 'NOT_FOUND', 404);
+    }
+
+    return toOrderView(salesOrder);
+  }
+
+  private async emailMatches(salesOrder: any, email: string): Promise<boolean> {
+    if (!email) return false;
+
+    const candidates: string[] = [salesOrder.email];
+    const contact = salesOrder.customer_id ? await zoho.inventory.getContact(salesOrder.customer_id) : null;
+
+    if (contact) {
+      candidates.push(contact.email);
+      (contact.contact_persons || []).forEach((person: any) => candidates.push(person.email));
+    }
+
+    return candidates.some(candidate => typeof candidate === 'string' && candidate.trim().toLowerCase() === email);
+  }
+
+  // Counts the attempt unless count is false, in which case it only checks the current window
+  private async enforceRateLimit(key: string, limit: number, count = true): Promise<void> {
+    const windowSeconds = 60 * 60;
+    const windowStart = Math.floor(Date.now() / (windowSeconds * 1000));
+    const windowKey = `${key}:${windowStart}`;
+    const attempts = count
+      ? await this.store.increment(windowKey, { ttlSeconds: windowSeconds })
+      : (await this.store.get<number>(windowKey)) || 0;
+
+    if (count ? attempts > limit : attempts >= limit) {
+      const retryAfter = Math.ceil(((windowStart + 1) * windowSeconds * 1000 - Date.now()) / 1000);
+      throw new OrderLookupError('Too many lookup attempts. Please try again later.', 'RATE_LIMITED', 429, retryAfter);
+    }
+  }
+}
+
+function toOrderView(salesOrder: any): OrderView {
+  const shipments: ShipmentView[] = (salesOrder.packages || []).map((pkg: any) => {
+    const status = pkg.status === 'delivered' ? 'delivered' : pkg.status === 'shipped' ? 'shipped' : 'not_shipped';
+    const carrier = pkg.carrier || null;
+    const trackingNumber = pkg.tracking_number || null;
+
+    return {
+      packageNumber: pkg.package_number || null,
+      status,
+      carrier,
+      trackingNumber,
+      trackingUrl: trackingUrl(carrier, trackingNumber),
+      shippedAt: pkg.shipment_date || null,
+      deliveredAt: pkg.delivery_date || null
+    };
+  });
+
+  // Checkout stores the sales tax the customer paid as an adjustment (see stripe/webhook)
+  const taxAdjustment = /tax/i.test(salesOrder.adjustment_description || '') ? toNumber(salesOrder.adjustment) : 0;
+
+  return {
+    orderId: String(salesOrder.salesorder_id),
+    orderNumber: salesOrder.salesorder_number,
+    status: orderStatus(salesOrder, shipments),
+    placedAt: salesOrder.date || salesOrder.created_time,
+    expectedShipmentDate: salesOrder.shipment_date || null,
+    deliveryMethod: salesOrder.delivery_method || null,
+    items: (salesOrder.line_items || []).map((item: any) => ({
+      name: item.name || item.description || 'Item',
+      sku: item.sku || null,
+      quantity: toNumber(item.quantity),
+      price: toNumber(item.rate),
+      total: toNumber(item.item_total ?? toNumber(item.rate) * toNumber(item.quantity))
+    })),
+    subtotal: toNumber(salesOrder.sub_total),
+    tax: toNumber(salesOrder.tax_total) + taxAdjustment,
+    shipping: toNumber(salesOrder.shipping_charge),
+    total: toNumber(salesOrder.total),
+    currency: salesOrder.currency_code || 'USD',
+    shippingAddress: toAddressView(salesOrder.shipping_address),
+    billingAddress: toAddressView(salesOrder.billing_address),
+    shipments
+  };
+}
+
+function toOrderSummary(salesOrder: any): OrderSummary {
+  return {
+    orderId: String(salesOrder.salesorder_id),
+    orderNumber: salesOrder.salesorder_number,
+    status: orderStatus(salesOrder, []),
+    placedAt: salesOrder.date || salesOrder.created_time,
+    total: toNumber(salesOrder.total),
+    currency: salesOrder.currency_code || 'USD'
+  };
+}
+
+function toAddressView(address: any): AddressView | null {
+  if (!address?.address) return null;
+
+  return {
+    name: address.attention || '',
+    address1: address.address || '',
+    address2: address.street2 || '',
+    city: address.city || '',
+    state: address.state || '',
+    zipCode: address.zip || '',
+    country: address.country || ''
+  };
+}
+
+function orderStatus(salesOrder: any, shipments: ShipmentView[]): OrderStatus {
+  const status = String(salesOrder.status || '').toLowerCase();
+  const shippedStatus = String(salesOrder.shipped_status || '').toLowerCase();
+
+  if (status === 'void' || status === 'cancelled') return 'cancelled';
+  if (shipments.length > 0 && shipments.every(shipment => shipment.status === 'delivered')) return 'delivered';
+  if (shipments.some(shipment => shipment.status !== 'not_shipped') ||
+      ['shipped', 'partially_shipped', 'fulfilled'].includes(shippedStatus)) return 'shipped';
+  if (status === 'draft' || status === 'pending_approval') return 'pending';
+  return 'processing';
+}
+
+function trackingUrl(carrier: string | null, trackingNumber: string | null): string | null {
+  if (!carrier || !trackingNumber) return null;
+
+  const key = Object.keys(TRACKING_URLS).find(name => carrier.toLowerCase().includes(name));
+  return key ? TRACKING_URLS[key](encodeURIComponent(trackingNumber)) : null;
+}
+
+function toNumber(value: unknown): number {
+  const number = parseFloat(String(value ?? 0));
+  return isNaN(number) ? 0 : number;
+}
+
+function getSecret(): string {
+  const secret = process.env.ORDER_LINK_SECRET;
+  if (!secret) {
+    throw new OrderLookupError('Order tracking is not configured', 'NOT_CONFIGURED', 500);
+  }
+  return secret;
+}
+
+function sign(payload: string): string {
+  return crypto.createHmac('sha256', getSecret()).update(payload).digest('base64url');
+}
+
+function base64url(value: string): string {
+  return Buffer.from(value, 'utf8').toString('base64url');
+}
+
+// Export singleton instance
+export const orderTracking = new OrderTracking();
+
+export { OrderLookupError, toOrderView, toOrderSummary };
+
+// Export types for other modules
+export type { OrderView, OrderSummary, OrderStatus, OrderLineView, ShipmentView, AddressView };
@@ -0,0 +1,318 @@
+// src/lib/payment-adjustments.ts - Refunds, disputes and failed payments reflected in Zoho
+// Stripe is the source of truth for money; this records what happened on the matching Zoho
+// sales order or invoice (credit notes, comments, voids, restocks) and tells the team.
+// Called from the Stripe webhook, which the ledger retries, so every Zoho write happens once per
+// Stripe object: completed steps are remembered in the persistent store.
+
+import { zoho } from './zoho-sdk';
+import { createPersistentStore } from './persistent-store';
+import { toOrderView } from './order-tracking';
+import { notifyTeam } from './team-notifications';
+
+// The Zoho record a Stripe payment belongs to: a checkout sales order or a payment-link invoice
+interface PaymentTarget {
+  paymentIntentId: string;
+  salesOrderId: string | null;
+  invoiceId: string | null;
+  // Order or invoice number, for comments and notifications
+  reference: string;
+  customerEmail: string | null;
+}
+
+interface RefundDetails {
+  id: string;
+  amount: number;
+  reason: string | null;
+  createdAt: string;
+}
+
+interface DisputeDetails {
+  id: string;
+  amount: number;
+  reason: string | null;
+  status: string;
+  evidenceDueBy: string | null;
+}
+
+interface RefundOutcome {
+  creditNotes: string[];
+  fullyRefunded: boolean;
+  // What happened to the stock of a fully refunded order
+  stock: 'released' | 'restocked' | 'unchanged';
+}
+
+// Steps are remembered for a year; Stripe won't redeliver events that old
+const STEP_TTL_SECONDS = 365 * 24 * 60 * 60;
+
+const store = createPersistentStore('payment-adjustments');
+
+class PaymentAdjustments {
+  /**
+   * Record each refund on the charge as a credit note. When the charge is fully refunded, an
+   * unshipped order is voided (releasing its committed stock) and a shipped one is restocked.
+   */
+  async recordRefunds(target: PaymentTarget, refunds: RefundDetails[], fullyRefunded: boolean): Promise<RefundOutcome> {
+    const context = await this.loadContext(target);
+    const creditNotes: string[] = [];
+
+    for (const refund of refunds) {
+      const creditNoteId = await this.once(`creditnote:${refund.id}`, async () => {
+        const creditNote = await this.createCreditNote(target, context, {
+          amount: refund.amount,
+          description: `Stripe refund ${refund.id}${refund.reason ? ` (${refund.reason.replace(/_/g, ' ')})` : ''}`,
+          referenceNumber: refund.id,
+          date: refund.createdAt
+        });
+        return String(creditNote.creditnote_id);
+      });
+      creditNotes.push(creditNoteId);
+
+      await this.once(`creditnote-refund:${refund.id}`, () => this.recordCreditNoteRefund(creditNoteId, refund));
+      await this.once(`comment:refund:${refund.id}`, () =>
+        this.comment(target, `Refunded $${refund.amount.toFixed(2)} via Stripe (${refund.id}), credit note ${creditNoteId}`));
+
+      await notifyTeam('payment_refunded', {
+        title: `Refund of $${refund.amount.toFixed(2)} for ${target.reference}`,
+        fields: {
+          'Order/Invoice': target.reference,
+          'Customer': target.customerEmail,
+          'Reason': refund.reason,
+          'Refund': refund.id,
+          'Payment': target.paymentIntentId,
+          'Full refund': fullyRefunded ? 'Yes' : 'No'
+        },
+        actionUrl: stripeDashboardUrl(target.paymentIntentId),
+        idempotencyKey: `refund:${refund.id}`
+      });
+    }
+
+    let stock: RefundOutcome['stock'] = 'unchanged';
+    if (fullyRefunded && target.salesOrderId && context.salesOrder) {
+      stock = await this.once(`stock:${target.salesOrderId}`, () => this.releaseStock(target, context.salesOrder));
+    }
+
+    return { creditNotes, fullyRefunded, stock };
+  }
+
+  /**
+   * A chargeback was opened: note it on the order and get someone to respond before the deadline
+   */
+  async recordDisputeOpened(target: PaymentTarget, dispute: DisputeDetails): Promise<void> {
+    await this.once(`comment:dispute-opened:${dispute.id}`, () =>
+      this.comment(target, `Chargeback ${dispute.id} opened for $${dispute.amount.toFixed(2)}` +
+        `${dispute.reason ? ` (${dispute.reason.replace(/_/g, ' ')})` : ''}. Do not ship until it is resolved.`));
+
+    await notifyTeam('dispute_created', {
+      title: `Chargeback opened for ${target.reference}`,
+      summary: 'Submit evidence in Stripe before the deadline, and hold the order if it has not shipped.',
+      level: 'danger',
+      fields: {
+        'Order/Invoice': target.reference,
+        'Customer': target.customerEmail,
+        'Amount': `$${dispute.amount.toFixed(2)}`,
+        'Reason': dispute.reason,
+        'Evidence due': dispute.evidenceDueBy,
+        'Dispute': dispute.id
+      },
+      actionUrl: `https://dashboard.stripe.com/disputes/${dispute.id}`,
+      idempotencyKey: `dispute-opened:${dispute.id}`
+    });
+  }
+
+  /**
+   * A chargeback was decided. A lost one is money returned to the customer, so it gets a credit note.
+   */
+  async recordDisputeClosed(target: PaymentTarget, dispute: DisputeDetails): Promise<{ creditNoteId: string | null }> {
+    const lost = dispute.status === 'lost';
+    let creditNoteId: string | null = null;
+
+    if (lost) {
+      const context = await this.loadContext(target);
+      creditNoteId = await this.once(`creditnote:${dispute.id}`, async () => {
+        const creditNote = await this.createCreditNote(target, context, {
+          amount: dispute.amount,
+          description: `Stripe chargeback ${dispute.id} lost`,
+          referenceNumber: dispute.id,
+          date: new Date().toISOString()
+        });
+        return String(creditNote.creditnote_id);
+      });
+    }
+
+    await this.once(`comment:dispute-closed:${dispute.id}`, () =>
+      this.comment(target, `Chargeback ${dispute.id} closed: ${dispute.status.replace(/_/g, ' ')}` +
+        `${creditNoteId ? `, credit note ${creditNoteId}` : ''}`));
+
+    await notifyTeam('dispute_closed', {
+      title: `Chargeback ${lost ? 'lost' : 'closed'} for ${target.reference}`,
+      level: lost ? 'danger' : 'info',
+      fields: {
+        'Order/Invoice': target.reference,
+        'Outcome': dispute.status.replace(/_/g, ' '),
+        'Amount': `$${dispute.amount.toFixed(2)}`,
+        'Credit note': creditNoteId,
+        'Dispute': dispute.id
+      },
+      actionUrl: `https://dashboard.stripe.com/disputes/${dispute.id}`,
+      idempotencyKey: `dispute-closed:${dispute.id}`
+    });
+
+    return { creditNoteId };
+  }
+
+  /**
+   * A payment attempt failed or the PaymentIntent was canceled. Checkout orders only exist after a
+   * successful payment, so there is usually nothing in Zoho yet; a canceled PaymentIntent that
+   * does have an order voids it.
+   */
+  async recordPaymentFailure(target: PaymentTarget, failure: { reason: string | null; canceled: boolean }): Promise<{ voided: boolean }> {
+    let voided = false;
+
+    if (failure.canceled && target.salesOrderId) {
+      voided = await this.once(`void:${target.salesOrderId}`, async () => {
+        await zoho.inventory.voidSalesOrder(target.salesOrderId as string);
+        console.log(`🚫 Voided sales order ${target.reference} for canceled payment ${target.paymentIntentId}`);
+        return true;
+      });
+    }
+
+    if (target.salesOrderId || target.invoiceId) {
+      const what = failure.canceled ? 'canceled' : 'failed';
+      await this.once(`comment:${what}:${target.paymentIntentId}:${failure.reason || ''}`, () =>
+        this.comment(target, `Stripe payment ${target.paymentIntentId} ${what}${failure.reason ? `: ${failure.reason}` : ''}`));
+    }
+
+    await notifyTeam(failure.canceled ? 'payment_canceled' : 'payment_failed', {
+      title: `Payment ${failure.canceled ? 'canceled' : 'failed'} for ${target.reference}`,
+      level: 'warning',
+      fields: {
+        'Order/Invoice': target.reference,
+        'Customer': target.customerEmail,
+        'Reason': failure.reason,
+        'Payment': target.paymentIntentId,
+        'Order voided': voided ? 'Yes' : null
+      },
+      actionUrl: stripeDashboardUrl(target.paymentIntentId),
+      idempotencyKey: `${failure.canceled ? 'canceled' : 'failed'}:${target.paymentIntentId}:${failure.reason || ''}`
+    });
+
+    return { voided };
+  }
+
+  // The sales order and/or invoice plus the customer a credit note is raised for
+  private async loadContext(target: PaymentTarget): Promise<{ salesOrder: any | null; invoice: any | null; customerId: string }> {
+    const salesOrder = target.salesOrderId ? await zoho.inventory.getSalesOrder(target.salesOrderId) : null;
+    const invoiceId = target.invoiceId || salesOrder?.invoices?.[0]?.invoice_id || null;
+    const invoice = invoiceId ? await zoho.inventory.getInvoice(invoiceId) : null;
+    const customerId = salesOrder?.customer_id || invoice?.customer_id;
+
+    if (!customerId) {
+      throw new Error(`No Zoho sales order or invoice found for ${target.reference} (${target.paymentIntentId})`);
+    }
+
+    return { salesOrder, invoice, customerId: String(customerId) };
+  }
+
+  private async createCreditNote(
+    target: PaymentTarget,
+    context: { invoice: any | null; customerId: string },
+    details: { amount: number; description: string; referenceNumber: string; date: string }
+  ): Promise<any> {
+    const creditNote = await zoho.inventory.createCreditNote({
+      customer_id: context.customerId,
+      date: details.date.split('T')[0],
+      reference_number: details.referenceNumber,
+      ...(context.invoice && { invoice_id: context.invoice.invoice_id }),
+      line_items: [{
+        name: 'Refund',
+        description: details.description,
+        rate: details.amount,
+        quantity: 1
+      }],
+      notes: `${details.description} for ${target.reference}. Payment Intent: ${target.paymentIntentId}`
+    });
+
+    if (!creditNote?.creditnote_id) {
+      throw new Error(`Credit note creation failed for ${details.referenceNumber}: no credit note returned`);
+    }
+
+    console.log(`🧾 Credit note ${creditNote.creditnote_number || creditNote.creditnote_id} created for ${target.reference}`);
+    return creditNote;
+  }
+
+  // Zoho needs the account the money left from; without one the credit note stays open for accounting
+  private async recordCreditNoteRefund(creditNoteId: string, refund: RefundDetails): Promise<boolean> {
+    const accountId = process.env.ZOHO_REFUND_ACCOUNT_ID;
+    if (!accountId) {
+      console.warn(`⚠️ ZOHO_REFUND_ACCOUNT_ID not set, credit note ${creditNoteId} left open`);
+      return false;
+    }
+
+    await zoho.inventory.refundCreditNote(creditNoteId, {
+      date: refund.createdAt.split('T')[0],
+      refund_mode: 'Stripe',
+      reference_number: refund.id,
+      amount: refund.amount,
+      from_account_id: accountId,
+      description: `Stripe refund ${refund.id}`
+    });
+    return true;
+  }
+
+  private async releaseStock(target: PaymentTarget, salesOrder: any): Promise<RefundOutcome['stock']> {
+    const status = toOrderView(salesOrder).status;
+
+    if (status === 'cancelled') return 'unchanged';
+
+    if (status === 'pending' || status === 'processing') {
+      await zoho.inventory.voidSalesOrder(String(salesOrder.salesorder_id));
+      console.log(`🚫 Voided unshipped sales order ${target.reference} after full refund`);
+      return 'released';
+    }
+
+    const lineItems = (salesOrder.line_items || [])
+      .filter((item: any) => item.item_id && Number(item.quantity) > 0)
+      .map((item: any) => ({ item_id: item.item_id, quantity_adjusted: Number(item.quantity) }));
+
+    if (lineItems.length === 0) return 'unchanged';
+
+    await zoho.inventory.createInventoryAdjustment({
+      date: new Date().toISOString().split('T')[0],
+      reason: 'Refunded order',
+      adjustment_type: 'quantity',
+      reference_number: salesOrder.salesorder_number,
+      description: `Restocked after full refund of ${target.reference} (${target.paymentIntentId})`,
+      line_items: lineItems
+    });
+    console.log(`📦 Restocked ${lineItems.length} item(s) from refunded order ${target.reference}`);
+    return 'restocked';
+  }
+
+  private async comment(target: PaymentTarget, description: string): Promise<void> {
+    if (target.salesOrderId) {
+      await zoho.inventory.addSalesOrderComment(target.salesOrderId, description);
+    } else if (target.invoiceId) {
+      await zoho.inventory.addInvoiceComment(target.invoiceId, description);
+    }
+  }
+
+  // Run a step unless it already completed, returning its (remembered) result
+  private async once<T>(key: string, step: () => Promise<T>): Promise<T> {
+    const done = await store.get(`done:${key}`);
+    if (done !== null && done !== undefined) return done as T;
+
+    const result = await step();
+    await store.set(`done:${key}`, result ?? true, { ttlSeconds: STEP_TTL_SECONDS });
+    return result;
+  }
+}
+
+function stripeDashboardUrl(paymentIntentId: string): string {
+  return `https://dashboard.stripe.com/payments/${paymentIntentId}`;
+}
+
+// Export singleton instance
+export const paymentAdjustments = new PaymentAdjustments();
+
+// Export types for other modules
+export type { PaymentTarget, RefundDetails, DisputeDetails, RefundOutcome };
@@ -0,0 +1,250 @@
+// src/lib/payment-links.ts - Signed, expiring, single-use links for /pay/[invoiceId]
+// The token only names the invoice and the customer; the amount always comes from the Zoho invoice.
+// Signed with PAYMENT_LINK_SECRET (HMAC-SHA256). Link usage is kept in the persistent store.
+
+import crypto from 'crypto';
+import { zoho } from './zoho-sdk';
+import { createPersistentStore } from './persistent-store';
+
+interface PaymentLink {
+  id: string;
+  invoiceId: string;
+  customerEmail: string;
+  expiresAt: number;
+}
+
+interface PayableInvoice {
+  invoiceId: string;
+  invoiceNumber: string;
+  customerName: string;
+  amount: number;
+  amountCents: number;
+  currency: string;
+}
+
+// Stripe objects created from a link, so a retry reuses them instead of starting a second payment
+interface PaymentLinkUsage {
+  invoiceId: string;
+  paymentIntentId?: string;
+  checkoutSessionId?: string;
+  paidAt?: string;
+}
+
+// Which endpoint started paying a link: /api/stripe/create-payment-intent or create-checkout-session
+type PaymentLinkMethod = 'payment_intent' | 'checkout_session';
+
+type PaymentLinkErrorCode = 'NOT_CONFIGURED' | 'INVALID_TOKEN' | 'EXPIRED' | 'ALREADY_USED' | 'ALREADY_STARTED' | 'INVOICE_NOT_FOUND' | 'INVOICE_NOT_PAYABLE';
+
+const DEFAULT_TTL_SECONDS = 72 * 60 * 60;
+
+// Keep usage records a day past expiry so a used link can't come back before it expires anyway
+const USAGE_GRACE_SECONDS = 24 * 60 * 60;
+
+const store = createPersistentStore('payment-links');
+
+/**
+ * Why a payment link was refused; status is the HTTP status to respond with
+ */
+class PaymentLinkError extends Error {
+  code: PaymentLinkErrorCode;
+  status: number;
+
+  constructor(message: string, code: PaymentLinkErrorCode, status: number) {
+    super(message);
+    this.name = 'PaymentLinkError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+class PaymentLinks {
+  /**
+   * Signed token for paying one invoice. Expires after ttlSeconds (default 72 hours).
+   */
+  createToken(invoiceId: string, customerEmail: string, options: { ttlSeconds?: number } = {}): { token: string; link: PaymentLink } {
+    const link: PaymentLink = {
+      id: crypto.randomBytes(16).toString('hex'),
+      invoiceId: String(invoiceId),
+      customerEmail: String(customerEmail || '').toLowerCase(),
+      expiresAt: Date.now() + (options.ttlSeconds ?? DEFAULT_TTL_SECONDS) * 1000
+    };
+
+    const payload = base64url(JSON.stringify({
+      jti: link.id,
+      inv: link.invoiceId,
+      email: link.customerEmail,
+      exp: link.expiresAt
+    }));
+
+    return { token: `${payload}.${sign(payload)}`, link };
+  }
+
+  /**
+   * Absolute /pay URL carrying the token. Extra params are display hints and redirect targets only.
+   */
+  buildUrl(invoiceId: string, token: string, params: Record<string, string | undefined> = {}): string {
+    const baseUrl = process.env.NEXT_PUBLIC_BASE_URL || 'http://localhost:3000';
+    const query = new URLSearchParams({ token });
+
+    Object.keys(params).forEach(key => {
+      const value = params[key];
+      if (value) query.set(key, value);
+    });
+
+    return `${baseUrl}/pay/${encodeURIComponent(invoiceId)}?${query.toString()}`;
+  }
+
+  /**
+   * Check signature, expiry and invoice, and that the link hasn't already paid
+   */
+  async verify(token: unknown, invoiceId: unknown): Promise<PaymentLink> {
+    if (typeof token !== 'string' || !token.includes('.')) {
+      throw new PaymentLinkError('Payment link is missing or malformed', 'INVALID_TOKEN', 401);
+    }
+
+    const [payload, signature] = token.split('.');
+    const expected = sign(payload);
+
+    if (!signature || signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      throw new PaymentLinkError('Payment link signature is invalid', 'INVALID_TOKEN', 401);
+    }
+
+    let claims: any;
+    try {
+      claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch {
+      throw new PaymentLinkError('Payment link is malformed', 'INVALID_TOKEN', 401);
+    }
+
+    if (!claims?.jti || String(claims.inv) !== String(invoiceId)) {
+      throw new PaymentLinkError('Payment link does not match this invoice', 'INVALID_TOKEN', 401);
+    }
+
+    if (typeof claims.exp !== 'number' || Date.now() > claims.exp) {
+      throw new PaymentLinkError('Payment link has expired. Please request a new one.', 'EXPIRED', 410);
+    }
+
+    const usage = await this.getUsage(claims.jti);
+    if (usage?.paidAt) {
+      throw new PaymentLinkError('This payment link has already been used', 'ALREADY_USED', 410);
+    }
+
+    return {
+      id: claims.jti,
+      invoiceId: String(claims.inv),
+      customerEmail: claims.email,
+      expiresAt: claims.exp
+    };
+  }
+
+  /**
+   * Amount due and display details from the Zoho invoice; refuses paid and void invoices
+   */
+  async getPayableInvoice(invoiceId: string): Promise<PayableInvoice> {
+    const invoice = await zoho.inventory.getInvoice(invoiceId);
+    if (!invoice) {
+      throw new PaymentLinkError('Invoice not found', 'INVOICE_NOT_FOUND', 404);
+    }
+
+    const status = String(invoice.status || '').toLowerCase();
+    const balance = parseFloat(String(invoice.balance ?? invoice.total));
+    const amountCents = isNaN(balance) ? 0 : Math.round(balance * 100);
+
+    if (status === 'paid' || status === 'void' || amountCents <= 0) {
+      throw new PaymentLinkError(
+        status === 'void' ? 'This invoice has been cancelled' : 'This invoice has already been paid',
+        'INVOICE_NOT_PAYABLE',
+        410
+      );
+    }
+
+    return {
+      invoiceId: String(invoice.invoice_id || invoiceId),
+      invoiceNumber: invoice.invoice_number || '',
+      customerName: invoice.customer_name || '',
+      amount: amountCents / 100,
+      amountCents,
+      currency: String(invoice.currency_code || 'USD').toUpperCase()
+    };
+  }
+
+  /**
+   * Reserve the link for one payment method before any Stripe object is created (SET NX).
+   * Retries through the same endpoint pass; the other endpoint is refused, so one link
+   * can't have a PaymentIntent and a Checkout Session open at the same time.
+   */
+  async claim(link: PaymentLink, method: PaymentLinkMethod): Promise<void> {
+    const key = `claim:${link.id}`;
+    const claimed = await store.setIfAbsent<PaymentLinkMethod>(key, method, {
+      ttlSeconds: usageTtlSeconds(link.expiresAt)
+    });
+
+    if (!claimed && await store.get<PaymentLinkMethod>(key) !== method) {
+      throw new PaymentLinkError(
+        'A payment has already been started from this link. Please finish it there or request a new link.',
+        'ALREADY_STARTED',
+        409
+      );
+    }
+  }
+
+  /**
+   * Stripe idempotency key for the payment a link starts. Concurrent requests for the same
+   * balance get the same Stripe object; replacing a stale one gets a fresh key.
+   */
+  idempotencyKey(link: PaymentLink, amountCents: number, replacesId?: string): string {
+    return [link.id, amountCents, replacesId].filter(Boolean).join(':');
+  }
+
+  async getUsage(linkId: string): Promise<PaymentLinkUsage | null> {
+    return store.get<PaymentLinkUsage>(`link:${linkId}`);
+  }
+
+  /**
+   * Remember the Stripe PaymentIntent or Checkout Session a link started
+   */
+  async recordUsage(link: PaymentLink, usage: Omit<PaymentLinkUsage, 'invoiceId'>): Promise<void> {
+    const existing = await this.getUsage(link.id);
+    await store.set<PaymentLinkUsage>(`link:${link.id}`, { ...existing, ...usage, invoiceId: link.invoiceId }, {
+      ttlSeconds: usageTtlSeconds(link.expiresAt)
+    });
+  }
+
+  /**
+   * Called once the payment succeeded; the link is refused from then on
+   */
+  async markPaid(linkId: string, invoiceId: string, expiresAt?: number): Promise<void> {
+    const existing = await this.getUsage(linkId);
+    await store.set<PaymentLinkUsage>(`link:${linkId}`, { ...existing, invoiceId, paidAt: new Date().toISOString() }, {
+      ttlSeconds: usageTtlSeconds(expiresAt ?? Date.now() + DEFAULT_TTL_SECONDS * 1000)
+    });
+    console.log(`🔒 Payment link ${linkId} used for invoice ${invoiceId}`);
+  }
+}
+
+function getSecret(): string {
+  const secret = process.env.PAYMENT_LINK_SECRET;
+  if (!secret) {
+    throw new PaymentLinkError('Payment links are not configured (PAYMENT_LINK_SECRET is missing)', 'NOT_CONFIGURED', 500);
+  }
+  return secret;
+}
+
+function sign(payload: string): string {
+  return crypto.createHmac('sha256', getSecret()).update(payload).digest('base64url');
+}
+
+function base64url(value: string): string {
+  return Buffer.from(value, 'utf8').toString('base64url');
+}
+
+function usageTtlSeconds(expiresAt: number): number {
+  return Math.max(60, Math.ceil((expiresAt - Date.now()) / 1000)) + USAGE_GRACE_SECONDS;
+}
+
+export const paymentLinks = new PaymentLinks();
+
+export { PaymentLinkError };
+
+export type { PaymentLink, PayableInvoice, PaymentLinkUsage, PaymentLinkMethod, PaymentLinkErrorCode };
@@ -0,0 +1,262 @@
+// src/lib/persistent-store.ts - Namespaced JSON key-value storage
+// Uses Redis when REDIS_URL is configured, and a JSON file under DATA_DIR (default .data/) otherwise.
+// The file backend is meant for local development; serverless deployments should set REDIS_URL.
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { getRedisClient } from './redis-client';
+
+interface StoredEntry {
+  value: unknown;
+  expiresAt: number | null;
+}
+
+interface SetOptions {
+  ttlSeconds?: number;
+}
+
+interface IncrementOptions extends SetOptions {
+  by?: number;
+}
+
+const DATA_DIR = process.env.DATA_DIR || path.join(process.cwd(), '.data');
+
+/**
+ * File backend: one JSON document per namespace, writes serialized per file
+ */
+class FileBackend {
+  private writeQueue: Promise<unknown> = Promise.resolve();
+  private readonly filePath: string;
+
+  constructor(namespace: string) {
+    this.filePath = path.join(DATA_DIR, `${namespace}.json`);
+  }
+
+  async get(key: string): Promise<unknown | null> {
+    const entries = await this.read();
+    const entry = entries[key];
+    if (!entry || isExpired(entry)) return null;
+    return entry.value;
+  }
+
+  async set(key: string, value: unknown, ttlSeconds?: number): Promise<void> {
+    await this.update(entries => {
+      entries[key] = {
+        value,
+        expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null
+      };
+    });
+  }
+
+  async delete(key: string): Promise<boolean> {
+    let existed = false;
+    await this.update(entries => {
+      existed = key in entries;
+      delete entries[key];
+    });
+    return existed;
+  }
+
+  async keys(prefix: string): Promise<string[]> {
+    const entries = await this.read();
+    return Object.keys(entries).filter(key => key.startsWith(prefix) && !isExpired(entries[key]));
+  }
+
+  async increment(key: string, by: number, ttlSeconds?: number): Promise<number> {
+    let next = 0;
+    await this.update(entries => {
+      const entry = entries[key];
+      const current = entry && !isExpired(entry) ? Number(entry.value) || 0 : 0;
+      next = current + by;
+      entries[key] = {
+        value: next,
+        // Like Redis INCR + EXPIRE NX: the window starts with the first increment
+        expiresAt: entry && !isExpired(entry) ? entry.expiresAt : (ttlSeconds ? Date.now() + ttlSeconds * 1000 : null)
+      };
+    });
+    return next;
+  }
+
+  async setIfAbsent(key: string, value: unknown, ttlSeconds?: number): Promise<boolean> {
+    let stored = false;
+    await this.update(entries => {
+      const entry = entries[key];
+      if (entry && !isExpired(entry)) return;
+      entries[key] = { value, expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null };
+      stored = true;
+    });
+    return stored;
+  }
+
+  private async read(): Promise<Record<string, StoredEntry>> {
+    try {
+      const raw = await fs.readFile(this.filePath, 'utf8');
+      return JSON.parse(raw);
+    } catch (error: any) {
+      if (error?.code !== 'ENOENT') {
+        console.error(`Persistent store read error (${this.filePath}):`, error);
+      }
+      return {};
+    }
+  }
+
+  private update(mutate: (entries: Record<string, StoredEntry>) => void): Promise<void> {
+    const run = async () => {
+      const entries = await this.read();
+      mutate(entries);
+
+      // Drop expired entries while we are rewriting the file anyway
+      Object.keys(entries).forEach(key => {
+        if (isExpired(entries[key])) delete entries[key];
+      });
+
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(entries, null, 2));
+      await fs.rename(tempPath, this.filePath);
+    };
+
+    const next = this.writeQueue.then(run, run);
+    this.writeQueue = next.catch(() => undefined);
+    return next;
+  }
+}
+
+class PersistentStore {
+  private readonly file: FileBackend;
+
+  constructor(private readonly namespace: string) {
+    this.file = new FileBackend(namespace);
+  }
+
+  async get<T>(key: string): Promise<T | null> {
+    const redis = await getRedisClient();
+    if (redis) {
+      try {
+        const raw = await redis.get(this.redisKey(key));
+        return raw ? JSON.parse(raw) as T : null;
+      } catch (error) {
+        console.error(`Redis read error (${this.namespace}):`, error);
+      }
+    }
+    return await this.file.get(key) as T | null;
+  }
+
+  async set<T>(key: string, value: T, options: SetOptions = {}): Promise<void> {
+    const redis = await getRedisClient();
+    if (redis) {
+      try {
+        const serialized = JSON.stringify(value);
+        if (options.ttlSeconds) {
+          await redis.set(this.redisKey(key), serialized, { EX: options.ttlSeconds });
+        } else {
+          await redis.set(this.redisKey(key), serialized);
+        }
+        return;
+      } catch (error) {
+        console.error(`Redis write error (${this.namespace}):`, error);
+      }
+    }
+    await this.file.set(key, value, options.ttlSeconds);
+  }
+
+  /**
+   * Store only if the key does not exist yet; returns false when it already did
+   */
+  async setIfAbsent<T>(key: string, value: T, options: SetOptions = {}): Promise<boolean> {
+    const redis = await getRedisClient();
+    if (redis) {
+      try {
+        const result = await redis.set(this.redisKey(key), JSON.stringify(value), {
+          NX: true,
+          ...(options.ttlSeconds ? { EX: options.ttlSeconds } : {})
+        });
+        return result === 'OK';
+      } catch (error) {
+        console.error(`Redis write error (${this.namespace}):`, error);
+      }
+    }
+    return this.file.setIfAbsent(key, value, options.ttlSeconds);
+  }
+
+  async delete(key: string): Promise<boolean> {
+    const redis = await getRedisClient();
+    if (redis) {
+      try {
+        return (await redis.del(this.redisKey(key))) > 0;
+      } catch (error) {
+        console.error(`Redis delete error (${this.namespace}):`, error);
+      }
+    }
+    return this.file.delete(key);
+  }
+
+  /**
+   * Atomically add to a counter (default +1), starting its TTL window on first use
+   */
+  async increment(key: string, options: IncrementOptions = {}): Promise<number> {
+    const by = options.by ?? 1;
+    const redis = await getRedisClient();
+    if (redis) {
+      try {
+        const redisKey = this.redisKey(key);
+        const value = await redis.incrBy(redisKey, by);
+        if (value === by && options.ttlSeconds) {
+          await redis.expire(redisKey, options.ttlSeconds);
+        }
+        return value;
+      } catch (error) {
+        console.error(`Redis increment error (${this.namespace}):`, error);
+      }
+    }
+    return this.file.increment(key, by, options.ttlSeconds);
+  }
+
+  /**
+   * Keys (without the namespace) that start with prefix
+   */
+  async keys(prefix = ''): Promise<string[]> {
+    const redis = await getRedisClient();
+    if (redis) {
+      try {
+        const keys: string[] = [];
+        const namespacePrefix = `${this.namespace}:`;
+        for await (const key of redis.scanIterator({ MATCH: `${this.redisKey(prefix)}*`, COUNT: 200 })) {
+          keys.push(key.slice(namespacePrefix.length));
+        }
+        return keys;
+      } catch (error) {
+        console.error(`Redis scan error (${this.namespace}):`, error);
+      }
+    }
+    return this.file.keys(prefix);
+  }
+
+  /**
+   * Values for every key that starts with prefix
+   */
+  async list<T>(prefix = ''): Promise<Array<{ key: string; value: T }>> {
+    const keys = await this.keys(prefix);
+    const entries: Array<{ key: string; value: T | null }> = await Promise.all(
+      keys.map(async key => ({ key, value: await this.get<T>(key) }))
+    );
+    return entries.filter((entry): entry is { key: string; value: T } => entry.value !== null);
+  }
+
+  private redisKey(key: string): string {
+    return `${this.namespace}:${key}`;
+  }
+}
+
+function isExpired(entry: StoredEntry): boolean {
+  return entry.expiresAt !== null && Date.now() > entry.expiresAt;
+}
+
+/**
+ * Create a store whose keys live under the given namespace
+ */
+export function createPersistentStore(namespace: string): PersistentStore {
+  return new PersistentStore(namespace);
+}
+
+export type { PersistentStore, SetOptions, IncrementOptions };
@@ -0,0 +1,146 @@
+// src/lib/rate-limit.ts - Sliding-window rate limits for the public API routes
+// Each policy allows `limit` requests per client in any `windowSeconds`. Requests are kept in a Redis
+// sorted set per policy and client (scored by time) and counted by a Lua script, so every instance sees
+// the same count. Without Redis each process counts in memory, which only limits per instance.
+
+import crypto from 'crypto';
+import { getRedisClient } from './redis-client';
+
+type RateLimitPolicyName = 'checkout' | 'coverage-lead' | 'geocode' | 'knowledge-base' | 'catalog' | 'orders' | 'staff-session' | 'account' | 'general';
+
+interface RateLimitPolicy {
+  limit: number;
+  windowSeconds: number;
+}
+
+interface RateLimitResult {
+  allowed: boolean;
+  limit: number;
+  remaining: number;
+  // Seconds until the oldest counted request leaves the window and frees a slot
+  resetSeconds: number;
+  windowSeconds: number;
+}
+
+const RATE_LIMIT_POLICIES: Record<RateLimitPolicyName, RateLimitPolicy> = {
+  // Pricing, reservations and PaymentIntents; a customer retrying a declined card stays well under this
+  checkout: { limit: 10, windowSeconds: 60 },
+  // Each lead creates Zoho CRM records and team notifications
+  'coverage-lead': { limit: 5, windowSeconds: 10 * 60 },
+  // Every lookup spends Mapbox geocoding quota
+  geocode: { limit: 30, windowSeconds: 60 },
+  'knowledge-base': { limit: 60, windowSeconds: 60 },
+  // Product pages load many images at once
+  catalog: { limit: 300, windowSeconds: 60 },
+  orders: { limit: 30, windowSeconds: 60 },
+  // Signing in with a staff API key; slows down key guessing
+  'staff-session': { limit: 20, windowSeconds: 15 * 60 },
+  // Customer sign-in, sign-up, email links and password changes; slows password guessing and email floods
+  account: { limit: 20, windowSeconds: 15 * 60 },
+  general: { limit: 60, windowSeconds: 60 }
+};
+
+const REDIS_PREFIX = 'ratelimit';
+// The in-memory fallback drops idle clients once it tracks this many keys
+const MEMORY_SWEEP_THRESHOLD = 10000;
+
+// Drop requests older than the window, then count this one if there is room.
+// KEYS: the client's sorted set. ARGV: now (ms), window (ms), limit, unique member.
+// Returns allowed (0/1), requests in the window, and ms until the oldest one expires.
+const HIT_SCRIPT = `
+local now = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now - window)
+local count = redis.call('ZCARD', KEYS[1])
+local allowed = 0
+if count < tonumber(ARGV[3]) then
+  redis.call('ZADD', KEYS[1], now, ARGV[4])
+  count = count + 1
+  allowed = 1
+end
+redis.call('PEXPIRE', KEYS[1], window)
+local oldest = redis.call('ZRANGE', KEYS[1], 0, 0, 'WITHSCORES')
+local reset = window
+if oldest[2] then
+  reset = tonumber(oldest[2]) + window - now
+end
+return {allowed, count, reset}
+`;
+
+class RateLimiter {
+  // Fallback request times per key when Redis is unavailable
+  private memory = new Map<string, number[]>();
+
+  /**
+   * Count a request from `clientId` against a policy; the request is only counted when allowed
+   */
+  async hit(policyName: RateLimitPolicyName, clientId: string): Promise<RateLimitResult> {
+    const policy = RATE_LIMIT_POLICIES[policyName];
+    const key = `${REDIS_PREFIX}:${policyName}:${hashClient(clientId)}`;
+    const now = Date.now();
+    const windowMs = policy.windowSeconds * 1000;
+
+    const [allowed, count, resetMs] = await this.countRequest(key, now, windowMs, policy.limit);
+
+    return {
+      allowed,
+      limit: policy.limit,
+      remaining: Math.max(0, policy.limit - count),
+      resetSeconds: Math.max(1, Math.ceil(resetMs / 1000)),
+      windowSeconds: policy.windowSeconds
+    };
+  }
+
+  private async countRequest(key: string, now: number, windowMs: number, limit: number): Promise<[boolean, number, number]> {
+    const redis = await getRedisClient();
+    if (redis) {
+      try {
+        const [allowed, count, resetMs] = await redis.eval(HIT_SCRIPT, {
+          keys: [key],
+          arguments: [String(now), String(windowMs), String(limit), `${now}:${crypto.randomUUID()}`]
+        }) as [number, number, number];
+
+        return [allowed === 1, count, resetMs];
+      } catch (error) {
+        console.error('Redis rate limit error, counting in memory:', error);
+      }
+    }
+
+    return this.countInMemory(key, now, windowMs, limit);
+  }
+
+  private countInMemory(key: string, now: number, windowMs: number, limit: number): [boolean, number, number] {
+    if (this.memory.size > MEMORY_SWEEP_THRESHOLD) this.sweep(now);
+
+    const times = (this.memory.get(key) || []).filter(time => time > now - windowMs);
+    const allowed = times.length < limit;
+    if (allowed) times.push(now);
+    this.memory.set(key, times);
+
+    return [allowed, times.length, times.length > 0 ? times[0] + windowMs - now : windowMs];
+  }
+
+  /**
+   * Forget clients with nothing left in the window. Policies differ in window length, so this keeps
+   * anything seen within the longest one.
+   */
+  private sweep(now: number): void {
+    const longest = Math.max(...Object.values(RATE_LIMIT_POLICIES).map(policy => policy.windowSeconds * 1000));
+    this.memory.forEach((times, key) => {
+      if (times.length === 0 || times[times.length - 1] <= now - longest) this.memory.delete(key);
+    });
+  }
+}
+
+/**
+ * Client ids are usually IP addresses; only a hash is stored
+ */
+function hashClient(clientId: string): string {
+  return crypto.createHash('sha256').update(clientId).digest('hex').substring(0, 24);
+}
+
+export const rateLimiter = new RateLimiter();
+
+export { RATE_LIMIT_POLICIES };
+
+export type { RateLimitPolicy, RateLimitPolicyName, RateLimitResult };
@@ -0,0 +1,215 @@
+// src/lib/receipts.ts - Branded PDF receipts and invoices for Zoho sales orders
+// Lines, totals and addresses come from the order view (lib/order-tracking); the card comes from the
+// Stripe PaymentIntent recorded on the sales order. Callers authorize access before rendering.
+
+import PDFDocument from 'pdfkit';
+import type { OrderView, AddressView } from './order-tracking';
+
+interface ReceiptPayment {
+  paymentIntentId: string;
+  // e.g. "Visa ending in 4242"; null when the charge has no card details
+  method: string | null;
+  amount: number;
+  paidAt: string;
+}
+
+interface ReceiptData {
+  order: OrderView;
+  payment: ReceiptPayment | null;
+  // A paid order gets a receipt; anything else is an invoice showing the amount due
+  paid: boolean;
+}
+
+// Logo palette from tailwind.config.js
+const BRAND = {
+  name: 'Travel Data WiFi',
+  primary: '#1e40af',
+  text: '#111827',
+  muted: '#6b7280',
+  rule: '#e5e7eb'
+};
+
+const PAGE_MARGIN = 50;
+// Space kept free at the bottom of the page for the footer
+const FOOTER_HEIGHT = 50;
+// Height of the subtotal/shipping/tax/total/paid block
+const TOTALS_HEIGHT = 110;
+const COLUMNS = { item: 50, qty: 330, price: 390, amount: 470, right: 545 };
+
+/**
+ * The Stripe PaymentIntent id for a sales order created by the checkout webhook:
+ * the reference number on newer orders, or the note on older ones
+ */
+function findPaymentIntentId(salesOrder: any): string | null {
+  if (/^pi_\w+$/.test(salesOrder?.reference_number || '')) return salesOrder.reference_number;
+
+  const match = String(salesOrder?.notes || '').match(/Payment Intent: (pi_\w+)/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Render a receipt (or invoice, when unpaid) as a PDF
+ */
+function renderReceiptPdf(receipt: ReceiptData): Promise<Buffer> {
+  const { order, payment, paid } = receipt;
+  const title = paid ? 'Receipt' : 'Invoice';
+
+  const doc = new PDFDocument({
+    size: 'LETTER',
+    margin: PAGE_MARGIN,
+    info: {
+      Title: `${title} ${order.orderNumber}`,
+      Author: BRAND.name
+    }
+  });
+
+  const chunks: Buffer[] = [];
+  const done = new Promise<Buffer>((resolve, reject) => {
+    doc.on('data', (chunk: Buffer) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const money = (amount: number) => new Intl.NumberFormat('en-US', { style: 'currency', currency: order.currency || 'USD' }).format(amount);
+
+  // Header band
+  doc.rect(0, 0, doc.page.width, 90).fill(BRAND.primary);
+  doc.fillColor('#ffffff').font('Helvetica-Bold').fontSize(22).text(BRAND.name, PAGE_MARGIN, 34);
+  doc.fontSize(18).text(title.toUpperCase(), PAGE_MARGIN, 36, { width: COLUMNS.right - PAGE_MARGIN, align: 'right' });
+
+  // Order and payment details
+  const details: Array<[string, string]> = [
+    ['Order number', order.orderNumber],
+    ['Order date', formatDate(order.placedAt)]
+  ];
+  if (payment) {
+    details.push(['Payment date', formatDate(payment.paidAt)]);
+    if (payment.method) details.push(['Payment method', payment.method]);
+    details.push(['Payment reference', payment.paymentIntentId]);
+  }
+
+  let y = 115;
+  details.forEach(([label, value]) => {
+    doc.font('Helvetica').fontSize(10).fillColor(BRAND.muted).text(label, PAGE_MARGIN, y);
+    doc.fillColor(BRAND.text).text(value, 170, y);
+    y += 16;
+  });
+
+  // Addresses
+  y += 14;
+  const billing = order.billingAddress || order.shippingAddress;
+  addressBlock(doc, 'Bill to', billing, PAGE_MARGIN, y);
+  const addressHeight = addressBlock(doc, 'Ship to', order.shippingAddress, 310, y);
+  y += Math.max(addressHeight, 40) + 20;
+
+  // Line items
+  const contentBottom = doc.page.height - PAGE_MARGIN - FOOTER_HEIGHT;
+  y = tableHeader(doc, y);
+  order.items.forEach(item => {
+    const nameHeight = doc.font('Helvetica').fontSize(10).heightOfString(item.name, { width: COLUMNS.qty - COLUMNS.item - 10 });
+    const rowHeight = Math.max(nameHeight, 12) + (item.sku ? 12 : 0) + 10;
+
+    if (y + rowHeight > contentBottom) {
+      doc.addPage();
+      y = tableHeader(doc, PAGE_MARGIN);
+    }
+
+    doc.fillColor(BRAND.text).text(item.name, COLUMNS.item, y, { width: COLUMNS.qty - COLUMNS.item - 10 });
+    if (item.sku) {
+      doc.fillColor(BRAND.muted).fontSize(8).text(`SKU ${item.sku}`, COLUMNS.item, y + nameHeight + 2);
+      doc.fontSize(10);
+    }
+    doc.fillColor(BRAND.text)
+      .text(String(item.quantity), COLUMNS.qty, y, { width: 50, align: 'right' })
+      .text(money(item.price), COLUMNS.price, y, { width: 70, align: 'right' })
+      .text(money(item.total), COLUMNS.amount, y, { width: COLUMNS.right - COLUMNS.amount, align: 'right' });
+
+    y += rowHeight;
+    doc.moveTo(PAGE_MARGIN, y - 5).lineTo(COLUMNS.right, y - 5).strokeColor(BRAND.rule).lineWidth(0.5).stroke();
+  });
+
+  // Totals
+  const totals: Array<[string, string]> = [
+    ['Subtotal', money(order.subtotal)],
+    [`Shipping${order.deliveryMethod ? ` (${order.deliveryMethod})` : ''}`, money(order.shipping)],
+    ['Tax', money(order.tax)]
+  ];
+
+  y += 10;
+  if (y + TOTALS_HEIGHT > contentBottom) {
+    doc.addPage();
+    y = PAGE_MARGIN;
+  }
+
+  totals.forEach(([label, value]) => {
+    doc.font('Helvetica').fontSize(10).fillColor(BRAND.muted).text(label, 330, y, { width: 130, align: 'right' });
+    doc.fillColor(BRAND.text).text(value, COLUMNS.amount, y, { width: COLUMNS.right - COLUMNS.amount, align: 'right' });
+    y += 16;
+  });
+
+  doc.moveTo(330, y).lineTo(COLUMNS.right, y).strokeColor(BRAND.text).lineWidth(1).stroke();
+  y += 8;
+  doc.font('Helvetica-Bold').fontSize(12).fillColor(BRAND.text)
+    .text('Total', 330, y, { width: 130, align: 'right' })
+    .text(money(order.total), COLUMNS.amount, y, { width: COLUMNS.right - COLUMNS.amount, align: 'right' });
+  y += 20;
+
+  doc.font('Helvetica').fontSize(10);
+  if (paid) {
+    doc.fillColor(BRAND.muted).text(payment ? `Paid ${money(payment.amount)}` : 'Paid in full', 330, y, { width: COLUMNS.right - 330, align: 'right' });
+  } else {
+    doc.fillColor(BRAND.primary).font('Helvetica-Bold').text(`Amount due ${money(order.total)}`, 330, y, { width: COLUMNS.right - 330, align: 'right' });
+  }
+
+  // Footer
+  const siteUrl = process.env.NEXT_PUBLIC_BASE_URL || 'https://traveldatawifi.com';
+  const supportEmail = process.env.SUPPORT_EMAIL || 'support@traveldatawifi.com';
+  const footerY = contentBottom + 20;
+  doc.moveTo(PAGE_MARGIN, footerY - 10).lineTo(COLUMNS.right, footerY - 10).strokeColor(BRAND.rule).lineWidth(0.5).stroke();
+  doc.font('Helvetica').fontSize(9).fillColor(BRAND.muted)
+    .text(`Thank you for your order. Questions? ${supportEmail}`, PAGE_MARGIN, footerY, { width: COLUMNS.right - PAGE_MARGIN, align: 'center', lineBreak: false })
+    .text(`${BRAND.name} · ${siteUrl.replace(/^https?:\/\//, '')}`, PAGE_MARGIN, footerY + 12, { width: COLUMNS.right - PAGE_MARGIN, align: 'center', lineBreak: false });
+
+  doc.end();
+  return done;
+}
+
+// Returns the block height
+function addressBlock(doc: PDFKit.PDFDocument, label: string, address: AddressView | null, x: number, y: number): number {
+  doc.font('Helvetica-Bold').fontSize(10).fillColor(BRAND.text).text(label, x, y);
+
+  const lines = address
+    ? [
+      address.name,
+      address.address1,
+      address.address2,
+      [address.city, [address.state, address.zipCode].filter(Boolean).join(' ')].filter(Boolean).join(', '),
+      address.country && address.country !== 'US' ? address.country : ''
+    ].filter(Boolean)
+    : ['Not provided'];
+
+  doc.font('Helvetica').fillColor(BRAND.text).text(lines.join('\n'), x, y + 14, { width: 230 });
+  return 14 + doc.heightOfString(lines.join('\n'), { width: 230 });
+}
+
+function tableHeader(doc: PDFKit.PDFDocument, y: number): number {
+  doc.font('Helvetica-Bold').fontSize(9).fillColor(BRAND.muted)
+    .text('ITEM', COLUMNS.item, y)
+    .text('QTY', COLUMNS.qty, y, { width: 50, align: 'right' })
+    .text('PRICE', COLUMNS.price, y, { width: 70, align: 'right' })
+    .text('AMOUNT', COLUMNS.amount, y, { width: COLUMNS.right - COLUMNS.amount, align: 'right' });
+
+  doc.moveTo(PAGE_MARGIN, y + 14).lineTo(COLUMNS.right, y + 14).strokeColor(BRAND.text).lineWidth(1).stroke();
+  doc.font('Helvetica').fontSize(10);
+  return y + 22;
+}
+
+function formatDate(date: string): string {
+  const parsed = new Date(date);
+  if (isNaN(parsed.getTime())) return date || '';
+  return parsed.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+}
+
+export { renderReceiptPdf, findPaymentIntentId };
+
+export type { ReceiptData, ReceiptPayment };
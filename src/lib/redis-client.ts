@@ -0,0 +1,62 @@
+// src/lib/redis-client.ts - Shared Redis connection for API routes and lib modules
+// Returns null when REDIS_URL is not set or Redis is unreachable, so callers can fall back
+
+import { createClient } from 'redis';
+
+type RedisClient = ReturnType<typeof createClient>;
+
+const RETRY_AFTER_FAILURE_MS = 30 * 1000;
+
+let client: RedisClient | null = null;
+let connecting: Promise<RedisClient | null> | null = null;
+let lastFailure = 0;
+
+/**
+ * Get a connected Redis client, or null if Redis is not available right now
+ */
+export async function getRedisClient(): Promise<RedisClient | null> {
+  if (!process.env.REDIS_URL) return null;
+
+  if (client?.isReady) return client;
+
+  // Don't hammer an unreachable server on every request
+  if (Date.now() - lastFailure < RETRY_AFTER_FAILURE_MS) return null;
+
+  if (!connecting) {
+    connecting = connect().finally(() => {
+      connecting = null;
+    });
+  }
+
+  return connecting;
+}
+
+async function connect(): Promise<RedisClient | null> {
+  try {
+    if (client) {
+      // Previous connection dropped and gave up reconnecting
+      await client.disconnect().catch(() => undefined);
+      client = null;
+    }
+
+    const redis = createClient({
+      url: process.env.REDIS_URL,
+      socket: {
+        connectTimeout: 5000,
+        reconnectStrategy: (retries: number) => (retries > 3 ? false : Math.min(retries * 200, 2000))
+      }
+    });
+
+    redis.on('error', err => console.error('Redis Client Error', err));
+
+    await redis.connect();
+    client = redis;
+    return redis;
+  } catch (error) {
+    lastFailure = Date.now();
+    console.error('Redis connection error:', error);
+    return null;
+  }
+}
+
+export type { RedisClient };
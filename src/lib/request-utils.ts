@@ -0,0 +1,42 @@
+// src/lib/request-utils.ts - Helpers for identifying API callers
+
+import crypto from 'crypto';
+import type { IncomingMessage } from 'http';
+
+/**
+ * Client IP, from the one header the deploy platform sets: CLIENT_IP_HEADER (default x-real-ip, which
+ * Vercel sets). Callers can send any forwarding header they like, so no other header is read. For
+ * x-forwarded-for the rightmost entry is used, the one appended by the proxy in front of the app.
+ * Without the header (local development, or CLIENT_IP_HEADER=none) it is the socket's address.
+ */
+export function getClientIp(req: IncomingMessage): string {
+  const headerName = (process.env.CLIENT_IP_HEADER || 'x-real-ip').trim().toLowerCase();
+  const header = headerName === 'none' ? undefined : req.headers[headerName];
+  const value = Array.isArray(header) ? header[header.length - 1] : header;
+  const ip = value?.split(',').pop()?.trim();
+
+  return ip || req.socket?.remoteAddress || 'unknown';
+}
+
+/**
+ * Stable, anonymous visitor id: a hash of IP and user agent, so raw addresses are never stored
+ */
+export function getVisitorId(req: IncomingMessage): string {
+  const userAgent = req.headers['user-agent'] || '';
+  return crypto
+    .createHash('sha256')
+    .update(`${getClientIp(req)}|${userAgent}`)
+    .digest('hex')
+    .substring(0, 24);
+}
+
+/**
+ * Anonymous id for the client IP alone, for limits a caller shouldn't escape by changing headers
+ */
+export function getClientKey(req: IncomingMessage): string {
+  return crypto
+    .createHash('sha256')
+    .update(getClientIp(req))
+    .digest('hex')
+    .substring(0, 24);
+}
@@ -0,0 +1,506 @@
+// src/lib/saved-carts.ts - Server-side carts shared across devices, and abandoned-cart recovery
+// The browser keeps a random cart token (only its SHA-256 hash is stored) and mirrors its cart here.
+// A cart learns its customer's email when they sign in or check out. Only a signed-in (verified) account
+// merges carts: its newest cart absorbs the cart open on its other devices, so the customer sees one cart
+// everywhere. An email typed at checkout is unverified and is only used for the recovery email.
+// Carts with an email and no order for CART_RECOVERY_HOURS get one recovery email per change, with a
+// link signed by CART_LINK_SECRET (HMAC-SHA256) that puts back exactly the items the email showed.
+
+import crypto from 'crypto';
+import { emailService, allDelivered } from './email';
+import { createPersistentStore } from './persistent-store';
+
+interface SavedCartItem {
+  product_id: string;
+  variant_id: string | null;
+  variant_name: string | null;
+  product_name: string;
+  product_price: number;
+  quantity: number;
+  product_images: string[];
+  weight: number | null;
+  tax_class?: string;
+  billing_interval: string | null;
+}
+
+type SavedCartStatus = 'active' | 'ordered' | 'merged';
+
+interface SavedCart {
+  cartId: string;
+  items: SavedCartItem[];
+  email: string | null;
+  accountId: string | null;
+  customerName: string | null;
+  status: SavedCartStatus;
+  // Cart that absorbed this one, when merged
+  mergedInto: string | null;
+  createdAt: string;
+  updatedAt: string;
+  orderedAt: string | null;
+  recoveryEmailSentAt: string | null;
+}
+
+// What the browser gets back from a sync
+interface CartSyncResult {
+  // Null while there is nothing worth storing (an empty cart of a signed-out visitor)
+  token: string | null;
+  items: SavedCartItem[];
+  // True when the server's items differ from the ones sent (another cart was merged in, or a restore)
+  changed: boolean;
+}
+
+// Where the recovery email goes; typed in at checkout, so not proof of anything
+interface CartContact {
+  email?: string | null;
+  customerName?: string | null;
+}
+
+// The customer of a verified account session
+interface CartOwner extends CartContact {
+  accountId: string;
+}
+
+// Items as they were when a recovery email was sent
+interface RecoverySnapshot {
+  cartId: string;
+  items: SavedCartItem[];
+  createdAt: string;
+}
+
+interface RecoveryRunResult {
+  checked: number;
+  sent: number;
+  skipped: number;
+  failed: number;
+  durationMs: number;
+}
+
+type CartRecoveryErrorCode = 'NOT_CONFIGURED' | 'INVALID_LINK' | 'EXPIRED';
+
+interface SavedCartsConfig {
+  cartTtlDays: number;
+  recoveryAfterHours: number;
+  // Carts idle longer than this are not emailed at all
+  recoveryMaxAgeDays: number;
+  linkTtlDays: number;
+  maxLines: number;
+  maxQuantity: number;
+}
+
+/**
+ * Why a recovery link was refused; status is the HTTP status to respond with
+ */
+class CartRecoveryError extends Error {
+  code: CartRecoveryErrorCode;
+  status: number;
+
+  constructor(message: string, code: CartRecoveryErrorCode, status: number) {
+    super(message);
+    this.name = 'CartRecoveryError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+class SavedCarts {
+  private store = createPersistentStore('carts');
+
+  private readonly config: SavedCartsConfig = {
+    cartTtlDays: 60,
+    recoveryAfterHours: parseFloat(process.env.CART_RECOVERY_HOURS || '24'),
+    recoveryMaxAgeDays: 7,
+    linkTtlDays: 14,
+    maxLines: 50,
+    maxQuantity: 99
+  };
+
+  /**
+   * Recovery emails need CART_LINK_SECRET to sign their links
+   */
+  isRecoveryConfigured(): boolean {
+    return !!process.env.CART_LINK_SECRET;
+  }
+
+  /**
+   * Store the browser's cart. Without a known token a new cart is started. With `merge`, used when a
+   * browser first loads, the browser's items are combined with what the server has instead of replacing
+   * it. An owner (signed-in customer) attaches the cart to their account and absorbs their other carts.
+   */
+  async sync(token: string | null, rawItems: unknown, options: { merge?: boolean; owner?: CartOwner | null } = {}): Promise<CartSyncResult> {
+    const items = this.sanitizeItems(rawItems);
+    const found = token ? await this.findByToken(token) : null;
+    if (!found && items.length === 0 && !options.owner) {
+      return { token: null, items, changed: false };
+    }
+
+    const cartToken = found ? token as string : crypto.randomBytes(32).toString('base64url');
+    const cart = found || await this.createCart(cartToken);
+    const previous = cart.items;
+
+    // After an order, another device loading its old copy shouldn't bring the ordered items back;
+    // only an actual change to the cart starts it again
+    if (!options.merge) cart.items = items;
+    else if (cart.status !== 'ordered') cart.items = mergeItems(cart.items, items);
+
+    // An ordered cart is in use again once something is added
+    if (cart.status !== 'active' && cart.items.length > 0) {
+      cart.status = 'active';
+      cart.mergedInto = null;
+    }
+
+    const ownerChanged = options.owner ? await this.attachOwner(cart, options.owner) : false;
+
+    // Page loads sync too; only real changes count as activity for abandoned-cart timing
+    if (!found || ownerChanged || !sameItems(previous, cart.items)) {
+      await this.save(cart);
+      await this.store.set(`token:${hashToken(cartToken)}`, cart.cartId, { ttlSeconds: this.cartTtlSeconds() });
+    }
+
+    return { token: cartToken, items: cart.items, changed: !sameItems(cart.items, items) };
+  }
+
+  /**
+   * Record where to send this cart's recovery email if checkout isn't finished; returns its id for the
+   * order to carry, or null. Nothing is merged: anyone can type any email at checkout.
+   */
+  async attachCheckout(token: unknown, contact: CartContact): Promise<string | null> {
+    if (typeof token !== 'string' || !token) return null;
+
+    const cart = await this.findByToken(token);
+    if (!cart) return null;
+
+    this.recordContact(cart, contact);
+    await this.save(cart);
+    return cart.cartId;
+  }
+
+  /**
+   * An order was created from the cart (by id from the checkout, else the signed-in customer's cart);
+   * empty it so it isn't counted as abandoned
+   */
+  async markOrdered(options: { cartId?: string | null; accountId?: string | null }): Promise<boolean> {
+    const cartId = options.cartId || (options.accountId ? await this.store.get<string>(`account:${options.accountId}`) : null);
+    const cart = cartId ? await this.store.get<SavedCart>(`cart:${cartId}`) : null;
+    if (!cart || cart.status === 'ordered') return false;
+
+    cart.status = 'ordered';
+    cart.items = [];
+    cart.orderedAt = new Date().toISOString();
+    await this.save(cart);
+    return true;
+  }
+
+  /**
+   * Put the items from a recovery email back into the cart they came from and give this browser a
+   * token for it. A link keeps working until it expires, so opening it twice is harmless.
+   */
+  async restore(link: unknown): Promise<CartSyncResult> {
+    const recoveryId = verifyLink(link);
+    const snapshot = await this.store.get<RecoverySnapshot>(`recovery:${recoveryId}`);
+    if (!snapshot) {
+      throw new CartRecoveryError('This cart link has expired', 'EXPIRED', 410);
+    }
+
+    const cart = await this.store.get<SavedCart>(`cart:${snapshot.cartId}`);
+    const token = crypto.randomBytes(32).toString('base64url');
+    const restored = cart || await this.createCart(token);
+
+    if (cart) {
+      await this.store.set(`token:${hashToken(token)}`, cart.cartId, { ttlSeconds: this.cartTtlSeconds() });
+    }
+
+    restored.items = snapshot.items;
+    restored.status = 'active';
+    restored.mergedInto = null;
+    await this.save(restored);
+
+    console.log(`🛒 Cart ${restored.cartId} restored from a recovery email`);
+    return { token, items: restored.items, changed: true };
+  }
+
+  /**
+   * Email every cart that has an email and items, no order, and no changes for CART_RECOVERY_HOURS.
+   * A cart gets one email until it changes again. Run from a scheduler.
+   */
+  async sendRecoveryEmails(): Promise<RecoveryRunResult> {
+    const startedAt = Date.now();
+    const result: RecoveryRunResult = { checked: 0, sent: 0, skipped: 0, failed: 0, durationMs: 0 };
+
+    if (!this.isRecoveryConfigured()) {
+      throw new CartRecoveryError('Cart recovery is not configured (CART_LINK_SECRET is missing)', 'NOT_CONFIGURED', 503);
+    }
+
+    const idleBefore = startedAt - this.config.recoveryAfterHours * 60 * 60 * 1000;
+    const tooOld = startedAt - this.config.recoveryMaxAgeDays * 24 * 60 * 60 * 1000;
+
+    for (const { value: cart } of await this.store.list<SavedCart>('cart:')) {
+      result.checked++;
+
+      const updatedAt = Date.parse(cart.updatedAt);
+      const due = cart.status === 'active' && cart.email && cart.items.length > 0 &&
+        updatedAt <= idleBefore && updatedAt > tooOld &&
+        (!cart.recoveryEmailSentAt || Date.parse(cart.recoveryEmailSentAt) < updatedAt);
+
+      if (!due) {
+        result.skipped++;
+        continue;
+      }
+
+      try {
+        const restoreUrl = await this.createRestoreUrl(cart);
+        const entries = await emailService.send('cart-recovery', {
+          customerName: cart.customerName,
+          items: cart.items.map(item => ({
+            name: item.variant_name ? `${item.product_name} (${item.variant_name})` : item.product_name,
+            quantity: item.quantity,
+            price: item.product_price
+          })),
+          subtotal: cart.items.reduce((total, item) => total + item.product_price * item.quantity, 0),
+          restoreUrl
+        }, {
+          to: cart.email as string,
+          // One email per state of the cart, even if two runs overlap
+          idempotencyKey: `cart-recovery:${cart.cartId}:${cart.updatedAt}`,
+          reference: `cart ${cart.cartId}`
+        });
+
+        if (!allDelivered(entries)) {
+          result.failed++;
+          continue;
+        }
+
+        // Saved without touching updatedAt, which is what the next run compares against
+        cart.recoveryEmailSentAt = new Date().toISOString();
+        await this.store.set(`cart:${cart.cartId}`, cart, { ttlSeconds: this.cartTtlSeconds() });
+        result.sent++;
+      } catch (error) {
+        console.error(`Cart recovery email failed for cart ${cart.cartId}:`, error);
+        result.failed++;
+      }
+    }
+
+    result.durationMs = Date.now() - startedAt;
+    await this.store.set('recovery-run:last', { ...result, finishedAt: new Date().toISOString() });
+    console.log(`📧 Cart recovery: ${result.sent} sent, ${result.failed} failed, ${result.checked} carts checked`);
+    return result;
+  }
+
+  async getLastRecoveryRun(): Promise<(RecoveryRunResult & { finishedAt: string }) | null> {
+    return this.store.get('recovery-run:last');
+  }
+
+  /**
+   * Attach the cart to a signed-in customer's account and fold in the cart open on their other devices.
+   * Only for verified account sessions, since it moves items out of that other cart. Returns whether
+   * anything changed.
+   */
+  private async attachOwner(cart: SavedCart, owner: CartOwner): Promise<boolean> {
+    let changed = this.recordContact(cart, owner);
+
+    const indexKey = `account:${owner.accountId}`;
+    const otherId = await this.store.get<string>(indexKey);
+    if (otherId !== cart.cartId) {
+      if (otherId) await this.absorb(cart, otherId);
+      await this.store.set(indexKey, cart.cartId, { ttlSeconds: this.cartTtlSeconds() });
+      changed = true;
+    }
+
+    if (owner.accountId !== cart.accountId) {
+      cart.accountId = owner.accountId;
+      changed = true;
+    }
+
+    return changed;
+  }
+
+  private recordContact(cart: SavedCart, contact: CartContact): boolean {
+    const email = normalizeEmail(contact.email);
+    let changed = false;
+
+    if (contact.customerName && contact.customerName !== cart.customerName) {
+      cart.customerName = contact.customerName;
+      changed = true;
+    }
+    if (email && email !== cart.email) {
+      cart.email = email;
+      cart.recoveryEmailSentAt = null;
+      changed = true;
+    }
+
+    return changed;
+  }
+
+  private async absorb(cart: SavedCart, otherId: string): Promise<void> {
+    const other = await this.store.get<SavedCart>(`cart:${otherId}`);
+    if (!other || other.status !== 'active') return;
+
+    cart.items = mergeItems(cart.items, other.items);
+    other.items = [];
+    other.status = 'merged';
+    other.mergedInto = cart.cartId;
+    await this.save(other);
+
+    console.log(`🛒 Cart ${otherId} merged into ${cart.cartId}`);
+  }
+
+  private async createRestoreUrl(cart: SavedCart): Promise<string> {
+    const recoveryId = crypto.randomBytes(12).toString('hex');
+    const ttlSeconds = this.config.linkTtlDays * 24 * 60 * 60;
+
+    await this.store.set<RecoverySnapshot>(`recovery:${recoveryId}`, {
+      cartId: cart.cartId,
+      items: cart.items,
+      createdAt: new Date().toISOString()
+    }, { ttlSeconds });
+
+    const payload = Buffer.from(JSON.stringify({ rid: recoveryId, exp: Date.now() + ttlSeconds * 1000 }), 'utf8').toString('base64url');
+    const baseUrl = process.env.NEXT_PUBLIC_BASE_URL || 'http://localhost:3000';
+    return `${baseUrl}/cart/restore?${new URLSearchParams({ link: `${payload}.${sign(payload)}` }).toString()}`;
+  }
+
+  private async createCart(token: string): Promise<SavedCart> {
+    const now = new Date().toISOString();
+    const cart: SavedCart = {
+      cartId: `crt_${crypto.randomBytes(12).toString('hex')}`,
+      items: [],
+      email: null,
+      accountId: null,
+      customerName: null,
+      status: 'active',
+      mergedInto: null,
+      createdAt: now,
+      updatedAt: now,
+      orderedAt: null,
+      recoveryEmailSentAt: null
+    };
+
+    await this.store.set(`token:${hashToken(token)}`, cart.cartId, { ttlSeconds: this.cartTtlSeconds() });
+    return cart;
+  }
+
+  /**
+   * Cart for a browser token; a cart merged elsewhere resolves to the one that absorbed it
+   */
+  private async findByToken(token: string): Promise<SavedCart | null> {
+    const cartId = await this.store.get<string>(`token:${hashToken(token)}`);
+    let cart = cartId ? await this.store.get<SavedCart>(`cart:${cartId}`) : null;
+
+    for (let hops = 0; cart?.status === 'merged' && cart.mergedInto && hops < 5; hops++) {
+      cart = await this.store.get<SavedCart>(`cart:${cart.mergedInto}`);
+    }
+    if (!cart) return null;
+
+    if (cart.cartId !== cartId) {
+      await this.store.set(`token:${hashToken(token)}`, cart.cartId, { ttlSeconds: this.cartTtlSeconds() });
+    }
+    return cart;
+  }
+
+  /**
+   * Keep only the fields the cart store uses, with sane quantities; the checkout re-prices everything
+   */
+  private sanitizeItems(rawItems: unknown): SavedCartItem[] {
+    if (!Array.isArray(rawItems)) return [];
+
+    return rawItems
+      .filter(item => item && typeof item.product_id === 'string' && item.product_id)
+      .slice(0, this.config.maxLines)
+      .map(item => ({
+        product_id: item.product_id,
+        variant_id: typeof item.variant_id === 'string' ? item.variant_id : null,
+        variant_name: typeof item.variant_name === 'string' ? item.variant_name.substring(0, 200) : null,
+        product_name: String(item.product_name || '').substring(0, 200),
+        product_price: Number(item.product_price) || 0,
+        quantity: Math.min(this.config.maxQuantity, Math.max(1, Math.floor(Number(item.quantity) || 1))),
+        product_images: Array.isArray(item.product_images) ? item.product_images.filter((image: unknown) => typeof image === 'string').slice(0, 5) : [],
+        weight: typeof item.weight === 'number' ? item.weight : null,
+        ...(typeof item.tax_class === 'string' ? { tax_class: item.tax_class } : {}),
+        billing_interval: typeof item.billing_interval === 'string' ? item.billing_interval : null
+      }));
+  }
+
+  private async save(cart: SavedCart): Promise<void> {
+    cart.updatedAt = new Date().toISOString();
+    await this.store.set(`cart:${cart.cartId}`, cart, { ttlSeconds: this.cartTtlSeconds() });
+  }
+
+  private cartTtlSeconds(): number {
+    return this.config.cartTtlDays * 24 * 60 * 60;
+  }
+}
+
+/**
+ * Combine two carts line by line (a variant is its own line). A line in both keeps the larger quantity:
+ * the same cart synced from two devices shouldn't double up.
+ */
+function mergeItems(base: SavedCartItem[], extra: SavedCartItem[]): SavedCartItem[] {
+  const merged = new Map<string, SavedCartItem>();
+  base.forEach(item => merged.set(lineKey(item), item));
+  extra.forEach(item => {
+    const existing = merged.get(lineKey(item));
+    merged.set(lineKey(item), existing && existing.quantity >= item.quantity ? existing : item);
+  });
+  return Array.from(merged.values());
+}
+
+function sameItems(a: SavedCartItem[], b: SavedCartItem[]): boolean {
+  return a.length === b.length && a.every((item, index) =>
+    lineKey(item) === lineKey(b[index]) && item.quantity === b[index].quantity
+  );
+}
+
+// Same key as cartLineKey in store/cart
+function lineKey(item: { product_id: string; variant_id?: string | null }): string {
+  return item.variant_id || item.product_id;
+}
+
+/**
+ * Recovery id from a signed link; throws if the signature or expiry is wrong
+ */
+function verifyLink(link: unknown): string {
+  if (typeof link !== 'string' || !link.includes('.')) {
+    throw new CartRecoveryError('Invalid cart link', 'INVALID_LINK', 400);
+  }
+
+  const [payload, signature] = link.split('.');
+  const expected = sign(payload);
+  if (!signature || signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    throw new CartRecoveryError('Invalid cart link', 'INVALID_LINK', 400);
+  }
+
+  let claims: { rid?: string; exp?: number };
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch {
+    throw new CartRecoveryError('Invalid cart link', 'INVALID_LINK', 400);
+  }
+
+  if (!claims.rid) throw new CartRecoveryError('Invalid cart link', 'INVALID_LINK', 400);
+  if (!claims.exp || claims.exp < Date.now()) {
+    throw new CartRecoveryError('This cart link has expired', 'EXPIRED', 410);
+  }
+  return claims.rid;
+}
+
+function sign(payload: string): string {
+  const secret = process.env.CART_LINK_SECRET;
+  if (!secret) {
+    throw new CartRecoveryError('Cart recovery is not configured', 'NOT_CONFIGURED', 503);
+  }
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+function hashToken(token: string): string {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function normalizeEmail(email: unknown): string {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+export const savedCarts = new SavedCarts();
+
+export { CartRecoveryError };
+
+export type { SavedCart, SavedCartItem, CartSyncResult, CartContact, CartOwner, RecoveryRunResult, CartRecoveryErrorCode };
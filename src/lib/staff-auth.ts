@@ -0,0 +1,185 @@
+// src/lib/staff-auth.ts - Staff credentials and roles for operational endpoints
+// Staff hold API keys from STAFF_API_KEYS ("name:role:key" entries, comma separated); ADMIN_API_KEY is
+// still accepted as an admin key named "admin". A key can be exchanged for a session token signed with
+// STAFF_SESSION_SECRET (HMAC-SHA256) so the key itself isn't sent on every request. Sessions carry a
+// fingerprint of the key they came from, so rotating or removing a key also ends its sessions.
+
+import crypto from 'crypto';
+
+type StaffRole = 'read-only' | 'support' | 'admin';
+
+interface StaffIdentity {
+  name: string;
+  role: StaffRole;
+  via: 'api_key' | 'session';
+}
+
+interface StaffKey {
+  name: string;
+  role: StaffRole;
+  key: string;
+}
+
+interface StaffSession {
+  token: string;
+  expiresAt: string;
+  staff: { name: string; role: StaffRole };
+}
+
+interface StaffAuthConfig {
+  sessionHours: number;
+}
+
+type StaffAuthErrorCode = 'NOT_CONFIGURED' | 'INVALID_CREDENTIALS';
+
+// Each role can do everything the roles before it can
+const STAFF_ROLES: StaffRole[] = ['read-only', 'support', 'admin'];
+
+/**
+ * Why staff authentication failed; status is the HTTP status to respond with
+ */
+class StaffAuthError extends Error {
+  code: StaffAuthErrorCode;
+  status: number;
+
+  constructor(message: string, code: StaffAuthErrorCode, status: number) {
+    super(message);
+    this.name = 'StaffAuthError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+class StaffAuth {
+  private readonly config: StaffAuthConfig = {
+    sessionHours: parseInt(process.env.STAFF_SESSION_HOURS || '12')
+  };
+
+  /**
+   * Whether any staff credential is configured at all
+   */
+  isConfigured(): boolean {
+    return staffKeys().length > 0;
+  }
+
+  /**
+   * Staff member for a bearer credential (session token or API key), or null if it is not valid
+   */
+  authenticate(credential: string): StaffIdentity | null {
+    if (!credential) return null;
+
+    if (credential.startsWith('stf_')) {
+      return this.verifySession(credential);
+    }
+
+    const match = staffKeys().find(staffKey => safeCompare(credential, staffKey.key));
+    return match ? { name: match.name, role: match.role, via: 'api_key' } : null;
+  }
+
+  /**
+   * Exchange an API key for a session token that expires after STAFF_SESSION_HOURS
+   */
+  createSession(apiKey: string): StaffSession {
+    const secret = process.env.STAFF_SESSION_SECRET;
+    if (!secret) {
+      throw new StaffAuthError('Staff sessions are not configured (STAFF_SESSION_SECRET is missing)', 'NOT_CONFIGURED', 503);
+    }
+
+    const staffKey = staffKeys().find(candidate => safeCompare(apiKey, candidate.key));
+    if (!staffKey) {
+      throw new StaffAuthError('Invalid staff API key', 'INVALID_CREDENTIALS', 401);
+    }
+
+    const expiresAt = Date.now() + this.config.sessionHours * 60 * 60 * 1000;
+    const payload = Buffer.from(JSON.stringify({
+      sub: staffKey.name,
+      kid: keyFingerprint(staffKey.key),
+      exp: expiresAt
+    }), 'utf8').toString('base64url');
+
+    return {
+      token: `stf_${payload}.${sign(payload, secret)}`,
+      expiresAt: new Date(expiresAt).toISOString(),
+      staff: { name: staffKey.name, role: staffKey.role }
+    };
+  }
+
+  hasRole(identity: StaffIdentity, role: StaffRole): boolean {
+    return STAFF_ROLES.indexOf(identity.role) >= STAFF_ROLES.indexOf(role);
+  }
+
+  private verifySession(token: string): StaffIdentity | null {
+    const secret = process.env.STAFF_SESSION_SECRET;
+    if (!secret) return null;
+
+    const [payload, signature] = token.substring(4).split('.');
+    if (!payload || !signature || !safeCompare(signature, sign(payload, secret))) return null;
+
+    let claims: { sub?: string; kid?: string; exp?: number };
+    try {
+      claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch {
+      return null;
+    }
+
+    if (!claims.exp || claims.exp < Date.now()) return null;
+
+    // The role always comes from the current key, so a demotion applies to open sessions too
+    const staffKey = staffKeys().find(candidate => candidate.name === claims.sub && keyFingerprint(candidate.key) === claims.kid);
+    return staffKey ? { name: staffKey.name, role: staffKey.role, via: 'session' } : null;
+  }
+}
+
+// Parsed keys, reused until the environment changes
+let parsedKeys: { source: string; keys: StaffKey[] } | null = null;
+
+/**
+ * Keys from STAFF_API_KEYS plus ADMIN_API_KEY; malformed entries are skipped with a warning
+ */
+function staffKeys(): StaffKey[] {
+  const source = `${process.env.STAFF_API_KEYS || ''}|${process.env.ADMIN_API_KEY || ''}`;
+  if (parsedKeys?.source === source) return parsedKeys.keys;
+
+  const keys: StaffKey[] = [];
+
+  String(process.env.STAFF_API_KEYS || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const [name, role, ...rest] = entry.split(':');
+    const key = rest.join(':');
+
+    if (!name || !key || !STAFF_ROLES.includes(role as StaffRole)) {
+      console.warn(`⚠️ Ignoring malformed STAFF_API_KEYS entry for "${name || '?'}" (expected name:role:key)`);
+      return;
+    }
+    keys.push({ name, role: role as StaffRole, key });
+  });
+
+  if (process.env.ADMIN_API_KEY) {
+    keys.push({ name: 'admin', role: 'admin', key: process.env.ADMIN_API_KEY });
+  }
+
+  parsedKeys = { source, keys };
+  return keys;
+}
+
+function keyFingerprint(key: string): string {
+  return crypto.createHash('sha256').update(key).digest('hex').substring(0, 16);
+}
+
+function sign(payload: string, secret: string): string {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+/**
+ * Constant-time string comparison
+ */
+function safeCompare(a: string, b: string): boolean {
+  const aHash = crypto.createHash('sha256').update(String(a)).digest();
+  const bHash = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(aHash, bHash);
+}
+
+export const staffAuth = new StaffAuth();
+
+export { StaffAuthError, STAFF_ROLES };
+
+export type { StaffRole, StaffIdentity, StaffSession, StaffAuthErrorCode };
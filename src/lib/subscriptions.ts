@@ -0,0 +1,680 @@
+// src/lib/subscriptions.ts - Monthly and annual data-plan subscriptions on Stripe Billing
+// Plans are Zoho Inventory items with a cf_billing_interval; syncPlans() mirrors them to Stripe
+// products and prices. Checkout creates one subscription whose first invoice also carries the
+// hardware, shipping and tax, so the customer pays once. Renewals, failed renewals and
+// cancellations arrive as webhooks and are mirrored into Zoho invoices and the dunning state:
+// active -> past_due (a renewal failed) -> suspended (retries exhausted, the line is switched off)
+// -> active again once paid, or canceled.
+
+import Stripe from 'stripe';
+import { zoho, type ZohoInventoryItem } from './zoho-sdk';
+import { createPersistentStore } from './persistent-store';
+import { catalogBillingInterval, catalogTaxClass, type PricedCartItem } from './cart-pricing';
+import { getTaxRateForClass, type BillingInterval, type OrderTotals, type TotalsAddress, type TaxClass } from './order-totals';
+import { emailService, allDelivered } from './email';
+import { notifyTeam } from './team-notifications';
+
+type SubscriptionStatus = 'incomplete' | 'active' | 'past_due' | 'suspended' | 'canceled';
+
+type SubscriptionErrorCode = 'NOT_CONFIGURED' | 'MIXED_INTERVALS' | 'PLAN_UNAVAILABLE' | 'AMOUNT_MISMATCH';
+
+interface DataPlan {
+  itemId: string;
+  name: string;
+  sku: string;
+  interval: BillingInterval;
+  price: number;
+  taxClass: TaxClass;
+  stripeProductId: string;
+  stripePriceId: string;
+  syncedAt: string;
+}
+
+interface SubscriptionPlanLine {
+  itemId: string;
+  name: string;
+  interval: BillingInterval;
+  price: number;
+  quantity: number;
+}
+
+interface SubscriptionRecord {
+  subscriptionId: string;
+  stripeCustomerId: string;
+  customerEmail: string;
+  customerName: string;
+  plans: SubscriptionPlanLine[];
+  status: SubscriptionStatus;
+  // The checkout sales order (hardware and first period) and its Zoho customer, once created
+  zohoOrderId: string | null;
+  zohoOrderNumber: string | null;
+  zohoCustomerId: string | null;
+  // Sales tax rate charged on renewals (0 where data plans aren't taxed)
+  renewalTaxRate: number;
+  failedAttempts: number;
+  pastDueSince: string | null;
+  suspendedAt: string | null;
+  canceledAt: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+interface CheckoutSubscriptionInput {
+  customer: { email: string; name: string; phone?: string };
+  items: PricedCartItem[];
+  orderTotals: OrderTotals;
+  address: TotalsAddress;
+  // Order data for the webhook, copied onto the first invoice's PaymentIntent
+  metadata: Record<string, string>;
+  requestId: string;
+}
+
+interface CheckoutSubscriptionResult {
+  subscriptionId: string;
+  paymentIntentId: string;
+  clientSecret: string;
+  plans: SubscriptionPlanLine[];
+}
+
+interface SubscriptionsConfig {
+  // Failed renewal attempts before the line is suspended (Stripe retries in between)
+  suspendAfterAttempts: number;
+}
+
+// Steps and records are kept for two years, past any annual renewal
+const RECORD_TTL_SECONDS = 2 * 365 * 24 * 60 * 60;
+
+/**
+ * Why a subscription checkout was refused; status is the HTTP status to respond with
+ */
+class SubscriptionError extends Error {
+  code: SubscriptionErrorCode;
+  status: number;
+
+  constructor(message: string, code: SubscriptionErrorCode, status: number) {
+    super(message);
+    this.name = 'SubscriptionError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+class Subscriptions {
+  private store = createPersistentStore('subscriptions');
+  private client: Stripe | null = null;
+
+  private readonly config: SubscriptionsConfig = {
+    suspendAfterAttempts: parseInt(process.env.SUBSCRIPTION_SUSPEND_AFTER_ATTEMPTS || '3')
+  };
+
+  /**
+   * Mirror every active plan item in Zoho Inventory to a Stripe product and price. A changed price
+   * becomes a new Stripe price for new subscriptions; existing subscribers keep theirs.
+   */
+  async syncPlans(): Promise<{ plans: DataPlan[]; retired: string[] }> {
+    const items = await zoho.inventory.getItems();
+    const planItems = items.filter(item => catalogBillingInterval(item) && item.status === 'active');
+
+    const plans: DataPlan[] = [];
+    for (const item of planItems) {
+      plans.push(await this.syncPlan(item));
+    }
+
+    // Plans that left the catalog stop being sold; their subscribers are unaffected
+    const retired: string[] = [];
+    const stored = await this.store.list<DataPlan>('plan:');
+    for (const { value: plan } of stored) {
+      if (plans.some(current => current.itemId === plan.itemId)) continue;
+
+      await this.stripe().products.update(plan.stripeProductId, { active: false });
+      await this.store.delete(`plan:${plan.itemId}`);
+      retired.push(plan.itemId);
+      console.log(`🗄️ Retired data plan ${plan.name} (${plan.itemId})`);
+    }
+
+    console.log(`✅ Synced ${plans.length} data plan(s) to Stripe`);
+    return { plans, retired };
+  }
+
+  async listPlans(): Promise<DataPlan[]> {
+    const stored = await this.store.list<DataPlan>('plan:');
+    return stored.map(entry => entry.value).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Create the subscription for a checkout. Hardware, shipping and all of the order's tax go on
+   * the first invoice as one-time items, so its amount is exactly the order total. They are added with
+   * the subscription rather than as pending invoice items on the customer, which other checkouts for
+   * the same email would share.
+   */
+  async createCheckoutSubscription(input: CheckoutSubscriptionInput): Promise<CheckoutSubscriptionResult> {
+    const planItems = input.items.filter(item => item.billing_interval);
+    const oneTimeItems = input.items.filter(item => !item.billing_interval);
+
+    const intervals = new Set(planItems.map(item => item.billing_interval));
+    if (intervals.size !== 1) {
+      throw new SubscriptionError('Monthly and annual plans must be checked out separately', 'MIXED_INTERVALS', 400);
+    }
+
+    const plans = await Promise.all(planItems.map(item => this.getPlan(item)));
+    const stripe = this.stripe();
+    const customer = await this.findOrCreateCustomer(input.customer);
+
+    const oneTimeCharges = [
+      ...oneTimeItems.map(item => ({
+        productId: `tdw_item_${item.item_id}`,
+        name: item.product_name,
+        unitAmount: Math.round(item.product_price * 100),
+        quantity: item.quantity,
+        metadata: { zoho_item_id: item.item_id }
+      })),
+      { productId: 'tdw_shipping', name: 'Shipping', unitAmount: Math.round(input.orderTotals.shipping * 100), quantity: 1, metadata: {} },
+      { productId: 'tdw_sales_tax', name: 'Sales tax', unitAmount: Math.round(input.orderTotals.tax * 100), quantity: 1, metadata: {} }
+    ].filter(charge => charge.unitAmount > 0);
+
+    const addInvoiceItems: Stripe.SubscriptionCreateParams.AddInvoiceItem[] = [];
+    for (const charge of oneTimeCharges) {
+      const product = await this.ensureProduct(charge.productId, charge.name, charge.metadata);
+      addInvoiceItems.push({
+        price_data: { currency: 'usd', product: product.id, unit_amount: charge.unitAmount },
+        quantity: charge.quantity
+      });
+    }
+
+    // Renewals are taxed at the rate for the plans' tax class at this address
+    const renewalTaxRate = getTaxRateForClass(plans[0].taxClass, input.address) || 0;
+    const lines: SubscriptionPlanLine[] = plans.map((plan, index) => ({
+      itemId: plan.itemId,
+      name: plan.name,
+      interval: plan.interval,
+      price: plan.price,
+      quantity: planItems[index].quantity
+    }));
+
+    const subscription = await stripe.subscriptions.create({
+      customer: customer.id,
+      items: plans.map((plan, index) => ({ price: plan.stripePriceId, quantity: planItems[index].quantity })),
+      add_invoice_items: addInvoiceItems,
+      payment_behavior: 'default_incomplete',
+      payment_settings: { save_default_payment_method: 'on_subscription' },
+      description: lines.map(line => line.name).join(', '),
+      metadata: {
+        customer_email: input.customer.email,
+        plan_item_ids: lines.map(line => line.itemId).join(','),
+        renewal_tax_rate: String(renewalTaxRate),
+        shipping_state: String(input.address.state || ''),
+        request_id: input.requestId
+      },
+      expand: ['latest_invoice.payment_intent']
+    }, { idempotencyKey: `checkout-subscription:${input.requestId}` });
+
+    const invoice = subscription.latest_invoice as Stripe.Invoice;
+    const paymentIntent = invoice.payment_intent as Stripe.PaymentIntent | null;
+
+    if (!paymentIntent?.client_secret || invoice.amount_due !== input.orderTotals.amountCents) {
+      await stripe.subscriptions.cancel(subscription.id);
+      console.error(`❌ First invoice ${invoice.id} is ${invoice.amount_due} cents, expected ${input.orderTotals.amountCents} [${input.requestId}]`);
+      throw new SubscriptionError('Could not prepare the subscription payment', 'AMOUNT_MISMATCH', 500);
+    }
+
+    // payment_intent.succeeded creates the Zoho order from this, as for one-time checkouts
+    await stripe.paymentIntents.update(paymentIntent.id, {
+      receipt_email: input.customer.email,
+      metadata: { ...input.metadata, subscription_id: subscription.id }
+    });
+
+    const now = new Date().toISOString();
+    await this.save({
+      subscriptionId: subscription.id,
+      stripeCustomerId: customer.id,
+      customerEmail: input.customer.email.trim().toLowerCase(),
+      customerName: input.customer.name,
+      plans: lines,
+      status: 'incomplete',
+      zohoOrderId: null,
+      zohoOrderNumber: null,
+      zohoCustomerId: null,
+      renewalTaxRate,
+      failedAttempts: 0,
+      pastDueSince: null,
+      suspendedAt: null,
+      canceledAt: null,
+      createdAt: now,
+      updatedAt: now
+    });
+
+    console.log(`🔁 Subscription ${subscription.id} created for ${input.customer.email} [${input.requestId}]`);
+    return { subscriptionId: subscription.id, paymentIntentId: paymentIntent.id, clientSecret: paymentIntent.client_secret, plans: lines };
+  }
+
+  /**
+   * Attach the Zoho order created from the first payment; renewals are invoiced to its customer
+   */
+  async linkOrder(subscriptionId: string, order: { orderId: string; orderNumber: string; customerId: string | null }): Promise<void> {
+    const record = await this.get(subscriptionId);
+    if (!record) {
+      console.warn(`⚠️ No record for subscription ${subscriptionId}, order ${order.orderNumber} not linked`);
+      return;
+    }
+
+    await this.save({
+      ...record,
+      zohoOrderId: order.orderId,
+      zohoOrderNumber: order.orderNumber,
+      zohoCustomerId: order.customerId || record.zohoCustomerId
+    });
+
+    await this.stripe().subscriptions.update(subscriptionId, {
+      metadata: { zoho_order_id: order.orderId, zoho_order_number: order.orderNumber }
+    });
+  }
+
+  /**
+   * invoice.paid: the first invoice activates the subscription (its order comes from
+   * payment_intent.succeeded); renewals become paid Zoho invoices and lift any suspension.
+   */
+  async handleInvoicePaid(invoice: Stripe.Invoice): Promise<Record<string, unknown>> {
+    const record = await this.recordForInvoice(invoice);
+    if (!record) return { status: 'ignored', reason: 'not_a_subscription' };
+
+    if (invoice.billing_reason === 'subscription_create') {
+      if (record.renewalTaxRate > 0) {
+        await this.once(`renewal-tax:${record.subscriptionId}`, () => this.applyRenewalTax(record));
+      }
+      await this.save({ ...record, status: 'active' });
+      return { status: 'subscription_activated', subscription_id: record.subscriptionId };
+    }
+
+    const zohoInvoice = await this.mirrorInvoice(record, invoice);
+    await this.once(`zoho-paid:${invoice.id}`, async () => {
+      await zoho.inventory.markInvoicePaid(zohoInvoice.invoiceId, {
+        date: new Date((invoice.status_transitions?.paid_at || Date.now() / 1000) * 1000).toISOString().split('T')[0],
+        amount: invoice.amount_paid / 100,
+        payment_mode: 'stripe',
+        reference_number: idOf(invoice.payment_intent) || invoice.id,
+        description: `Stripe subscription ${record.subscriptionId} renewal`
+      });
+      return true;
+    });
+
+    const wasDunning = record.status === 'past_due' || record.status === 'suspended';
+    await this.save({ ...record, status: 'active', failedAttempts: 0, pastDueSince: null, suspendedAt: null });
+
+    if (wasDunning) {
+      await notifyTeam('subscription_recovered', {
+        title: `${record.status === 'suspended' ? 'Reactivate' : 'Renewal recovered for'} ${describe(record)}`,
+        summary: record.status === 'suspended' ? 'The overdue renewal was paid. Switch the line back on.' : null,
+        fields: this.fields(record, { 'Zoho invoice': zohoInvoice.invoiceNumber }),
+        actionUrl: stripeUrl(record.subscriptionId),
+        idempotencyKey: `subscription-recovered:${invoice.id}`
+      });
+    }
+
+    console.log(`✅ Renewal ${invoice.id} paid for subscription ${record.subscriptionId}`);
+    return { status: 'renewal_paid', subscription_id: record.subscriptionId, zoho_invoice_id: zohoInvoice.invoiceId };
+  }
+
+  /**
+   * invoice.payment_failed: a failed renewal puts the line past due and is invoiced in Zoho as
+   * unpaid; once Stripe has retried suspendAfterAttempts times the line is suspended.
+   * A failed first payment is a declined checkout and has nothing to undo.
+   */
+  async handleInvoicePaymentFailed(invoice: Stripe.Invoice): Promise<Record<string, unknown>> {
+    const record = await this.recordForInvoice(invoice);
+    if (!record) return { status: 'ignored', reason: 'not_a_subscription' };
+    if (invoice.billing_reason === 'subscription_create') return { status: 'ignored', reason: 'checkout_payment' };
+
+    await this.mirrorInvoice(record, invoice);
+
+    const attempts = invoice.attempt_count || record.failedAttempts + 1;
+    const suspend = attempts >= this.config.suspendAfterAttempts;
+    const status: SubscriptionStatus = suspend || record.status === 'suspended' ? 'suspended' : 'past_due';
+    const now = new Date().toISOString();
+
+    const updated = await this.save({
+      ...record,
+      status,
+      failedAttempts: attempts,
+      pastDueSince: record.pastDueSince || now,
+      suspendedAt: status === 'suspended' ? record.suspendedAt || now : null
+    });
+
+    const results = await emailService.send('subscription-payment-failure', {
+      customerName: record.customerName,
+      planName: describePlans(record),
+      amount: invoice.amount_due / 100,
+      suspended: status === 'suspended',
+      updateUrl: invoice.hosted_invoice_url || null
+    }, {
+      to: record.customerEmail,
+      idempotencyKey: `subscription-payment-failure:${invoice.id}:${attempts}`,
+      reference: record.subscriptionId
+    });
+
+    if (!allDelivered(results)) {
+      throw new Error(`Could not send renewal failure email for subscription ${record.subscriptionId}`);
+    }
+
+    if (status === 'suspended' && record.status !== 'suspended') {
+      await notifyTeam('subscription_suspended', {
+        title: `Suspend ${describe(record)}`,
+        summary: `The renewal failed ${attempts} times. Suspend the line until it is paid.`,
+        level: 'danger',
+        fields: this.fields(updated, { 'Amount due': `$${(invoice.amount_due / 100).toFixed(2)}` }),
+        actionUrl: stripeUrl(record.subscriptionId),
+        idempotencyKey: `subscription-suspended:${invoice.id}`
+      });
+    } else if (record.status === 'active') {
+      await notifyTeam('subscription_past_due', {
+        title: `Renewal failed for ${describe(record)}`,
+        level: 'warning',
+        fields: this.fields(updated, { 'Amount due': `$${(invoice.amount_due / 100).toFixed(2)}` }),
+        actionUrl: stripeUrl(record.subscriptionId),
+        idempotencyKey: `subscription-past-due:${invoice.id}`
+      });
+    }
+
+    console.log(`⚠️ Renewal ${invoice.id} failed (attempt ${attempts}), subscription ${record.subscriptionId} is ${status}`);
+    return { status: `subscription_${status}`, subscription_id: record.subscriptionId, attempts };
+  }
+
+  /**
+   * customer.subscription.deleted: canceled by the customer, by us, or by Stripe after dunning
+   */
+  async handleSubscriptionDeleted(subscription: Stripe.Subscription): Promise<Record<string, unknown>> {
+    const record = await this.get(subscription.id);
+    if (!record) return { status: 'ignored', reason: 'unknown_subscription' };
+    if (record.status === 'canceled') return { status: 'already_canceled', subscription_id: record.subscriptionId };
+
+    const updated = await this.save({ ...record, status: 'canceled', canceledAt: new Date().toISOString() });
+
+    // Never paid: an abandoned checkout that Stripe expired
+    if (record.status === 'incomplete') {
+      return { status: 'subscription_expired', subscription_id: record.subscriptionId };
+    }
+
+    if (record.zohoOrderId) {
+      await this.once(`comment:canceled:${record.subscriptionId}`, async () => {
+        await zoho.inventory.addSalesOrderComment(record.zohoOrderId as string,
+          `Data plan subscription ${record.subscriptionId} canceled${subscription.cancellation_details?.reason ? ` (${subscription.cancellation_details.reason.replace(/_/g, ' ')})` : ''}`);
+        return true;
+      });
+    }
+
+    await notifyTeam('subscription_canceled', {
+      title: `Deactivate ${describe(record)}`,
+      summary: 'The subscription was canceled. Deactivate the line.',
+      level: 'warning',
+      fields: this.fields(updated, { 'Reason': subscription.cancellation_details?.reason?.replace(/_/g, ' ') || null }),
+      actionUrl: stripeUrl(record.subscriptionId),
+      idempotencyKey: `subscription-canceled:${record.subscriptionId}`
+    });
+
+    return { status: 'subscription_canceled', subscription_id: record.subscriptionId };
+  }
+
+  async get(subscriptionId: string): Promise<SubscriptionRecord | null> {
+    return (await this.store.get(`sub:${subscriptionId}`)) as SubscriptionRecord | null;
+  }
+
+  /**
+   * Subscriptions, newest first, optionally only those in one state (e.g. suspended lines)
+   */
+  async list(status?: SubscriptionStatus): Promise<SubscriptionRecord[]> {
+    const entries = await this.store.list<SubscriptionRecord>('sub:');
+    return entries
+      .map(entry => entry.value)
+      .filter(record => !status || record.status === status)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  private async syncPlan(item: ZohoInventoryItem): Promise<DataPlan> {
+    const stripe = this.stripe();
+    const interval = catalogBillingInterval(item) as BillingInterval;
+    const amount = Math.round((parseFloat(String(item.rate)) || 0) * 100);
+    const product = await this.ensureProduct(`tdw_plan_${item.item_id}`, item.name, { zoho_item_id: item.item_id, sku: item.sku || '' });
+
+    const lookupKey = `${product.id}_${interval}`;
+    const existing = await stripe.prices.list({ lookup_keys: [lookupKey], active: true, limit: 1 });
+    let price = existing.data[0];
+
+    if (!price || price.unit_amount !== amount || price.recurring?.interval !== interval) {
+      price = await stripe.prices.create({
+        product: product.id,
+        currency: 'usd',
+        unit_amount: amount,
+        recurring: { interval },
+        lookup_key: lookupKey,
+        transfer_lookup_key: true,
+        metadata: { zoho_item_id: item.item_id }
+      });
+
+      if (existing.data[0]) {
+        await stripe.prices.update(existing.data[0].id, { active: false });
+      }
+      console.log(`💲 New Stripe price ${price.id} for plan ${item.name}: $${(amount / 100).toFixed(2)}/${interval}`);
+    }
+
+    const plan: DataPlan = {
+      itemId: item.item_id,
+      name: item.name,
+      sku: item.sku || item.item_id,
+      interval,
+      price: amount / 100,
+      taxClass: catalogTaxClass(item),
+      stripeProductId: product.id,
+      stripePriceId: price.id,
+      syncedAt: new Date().toISOString()
+    };
+
+    await this.store.set(`plan:${plan.itemId}`, plan);
+    return plan;
+  }
+
+  /**
+   * The Stripe product with this id, created or renamed to match. Its name is what invoices show.
+   */
+  private async ensureProduct(productId: string, name: string, metadata: Record<string, string> = {}): Promise<Stripe.Product> {
+    const stripe = this.stripe();
+
+    try {
+      const product = await stripe.products.retrieve(productId);
+      if (product.name === name && product.active) return product;
+      return stripe.products.update(productId, { name, active: true });
+    } catch (error) {
+      if ((error as any)?.code !== 'resource_missing') throw error;
+      return stripe.products.create({ id: productId, name, metadata });
+    }
+  }
+
+  // The synced plan for a priced cart line, syncing it now if it's new or its price changed
+  private async getPlan(item: PricedCartItem): Promise<DataPlan> {
+    const stored = (await this.store.get(`plan:${item.item_id}`)) as DataPlan | null;
+    if (stored && stored.price === item.product_price && stored.interval === item.billing_interval) return stored;
+
+    const catalogItem = await zoho.inventory.getItem(item.item_id);
+    if (!catalogItem || !catalogBillingInterval(catalogItem)) {
+      throw new SubscriptionError(`${item.product_name} is not available as a subscription`, 'PLAN_UNAVAILABLE', 409);
+    }
+
+    return this.syncPlan(catalogItem);
+  }
+
+  private async findOrCreateCustomer(customer: CheckoutSubscriptionInput['customer']): Promise<Stripe.Customer> {
+    const stripe = this.stripe();
+    const email = customer.email.trim().toLowerCase();
+    const existing = await stripe.customers.list({ email, limit: 1 });
+
+    if (existing.data[0]) return existing.data[0];
+
+    return stripe.customers.create({
+      email,
+      name: customer.name,
+      ...(customer.phone && { phone: customer.phone })
+    });
+  }
+
+  // Renewals carry the plans' sales tax through a Stripe tax rate; the first invoice has its own tax line
+  private async applyRenewalTax(record: SubscriptionRecord): Promise<string> {
+    const stripe = this.stripe();
+    const subscription = await stripe.subscriptions.retrieve(record.subscriptionId);
+    const state = subscription.metadata?.shipping_state || '';
+    const percentage = Math.round(record.renewalTaxRate * 100000) / 1000;
+    const cacheKey = `taxrate:${state}:${percentage}`;
+
+    let taxRateId = (await this.store.get(cacheKey)) as string | null;
+    if (!taxRateId) {
+      const taxRate = await stripe.taxRates.create({
+        display_name: 'Sales tax',
+        percentage,
+        inclusive: false,
+        ...(state && { jurisdiction: state, state })
+      });
+      taxRateId = taxRate.id;
+      await this.store.set(cacheKey, taxRateId);
+    }
+
+    await stripe.subscriptions.update(record.subscriptionId, { default_tax_rates: [taxRateId] });
+    return taxRateId;
+  }
+
+  // A Zoho invoice for a renewal, created once per Stripe invoice; the PaymentIntent is tagged
+  // with it so refunds and disputes find it (lib/payment-adjustments)
+  private async mirrorInvoice(record: SubscriptionRecord, invoice: Stripe.Invoice): Promise<{ invoiceId: string; invoiceNumber: string }> {
+    const customerId = record.zohoCustomerId || await this.zohoCustomerId(record);
+    if (!customerId) {
+      throw new Error(`No Zoho customer linked to subscription ${record.subscriptionId} yet`);
+    }
+
+    const zohoInvoice = await this.once(`zoho-invoice:${invoice.id}`, async () => {
+      const tax = (invoice.tax || 0) / 100;
+      const created = await zoho.inventory.createInvoice({
+        customer_id: customerId,
+        date: new Date(invoice.created * 1000).toISOString().split('T')[0],
+        reference_number: invoice.number || invoice.id,
+        line_items: invoice.lines.data.map(line => {
+          const plan = record.plans.find(candidate => candidate.itemId === (line.price?.metadata?.zoho_item_id || ''));
+          return {
+            ...(plan && { item_id: plan.itemId }),
+            name: plan?.name || line.description || 'Data plan',
+            description: periodLabel(line.period),
+            rate: (line.price?.unit_amount ?? line.amount) / 100,
+            quantity: line.quantity || 1
+          };
+        }),
+        ...(tax > 0 && { adjustment: tax, adjustment_description: 'Sales tax' }),
+        notes: `Stripe subscription ${record.subscriptionId}, invoice ${invoice.id}`
+      });
+
+      if (!created?.invoice_id) {
+        throw new Error(`Zoho invoice creation failed for Stripe invoice ${invoice.id}`);
+      }
+
+      console.log(`🧾 Zoho invoice ${created.invoice_number} created for renewal ${invoice.id}`);
+      return { invoiceId: String(created.invoice_id), invoiceNumber: String(created.invoice_number) };
+    });
+
+    const paymentIntentId = idOf(invoice.payment_intent);
+    if (paymentIntentId) {
+      await this.once(`tag-payment:${paymentIntentId}`, async () => {
+        await this.stripe().paymentIntents.update(paymentIntentId, {
+          metadata: { invoice_id: zohoInvoice.invoiceId, invoice_number: zohoInvoice.invoiceNumber, subscription_id: record.subscriptionId }
+        });
+        return true;
+      });
+    }
+
+    return zohoInvoice;
+  }
+
+  private async zohoCustomerId(record: SubscriptionRecord): Promise<string | null> {
+    if (!record.zohoOrderId) return null;
+
+    const salesOrder = await zoho.inventory.getSalesOrder(record.zohoOrderId);
+    if (!salesOrder?.customer_id) return null;
+
+    await this.save({ ...record, zohoCustomerId: String(salesOrder.customer_id) });
+    return String(salesOrder.customer_id);
+  }
+
+  private async recordForInvoice(invoice: Stripe.Invoice): Promise<SubscriptionRecord | null> {
+    const subscriptionId = idOf(invoice.subscription);
+    return subscriptionId ? this.get(subscriptionId) : null;
+  }
+
+  private async save(record: SubscriptionRecord): Promise<SubscriptionRecord> {
+    const updated = { ...record, updatedAt: new Date().toISOString() };
+    await this.store.set(`sub:${record.subscriptionId}`, updated, { ttlSeconds: RECORD_TTL_SECONDS });
+    return updated;
+  }
+
+  // Run a webhook step unless it already completed, returning its (remembered) result
+  private async once<T>(key: string, step: () => Promise<T>): Promise<T> {
+    const done = await this.store.get(`done:${key}`);
+    if (done !== null && done !== undefined) return done as T;
+
+    const result = await step();
+    await this.store.set(`done:${key}`, result ?? true, { ttlSeconds: RECORD_TTL_SECONDS });
+    return result;
+  }
+
+  private fields(record: SubscriptionRecord, extra: Record<string, unknown> = {}): Record<string, unknown> {
+    return {
+      'Customer': `${record.customerName} <${record.customerEmail}>`,
+      'Plan': describePlans(record),
+      'Status': record.status.replace('_', ' '),
+      'Order': record.zohoOrderNumber,
+      'Failed attempts': record.failedAttempts || null,
+      'Subscription': record.subscriptionId,
+      ...extra
+    };
+  }
+
+  private stripe(): Stripe {
+    if (!this.client) {
+      if (!process.env.STRIPE_SECRET_KEY) {
+        throw new SubscriptionError('Stripe is not configured', 'NOT_CONFIGURED', 500);
+      }
+      this.client = new Stripe(process.env.STRIPE_SECRET_KEY);
+    }
+    return this.client;
+  }
+}
+
+function describePlans(record: SubscriptionRecord): string {
+  return record.plans.map(plan => `${plan.name}${plan.quantity > 1 ? ` × ${plan.quantity}` : ''}`).join(', ');
+}
+
+function describe(record: SubscriptionRecord): string {
+  return `${describePlans(record)} for ${record.customerEmail}`;
+}
+
+function periodLabel(period: { start: number; end: number } | undefined): string {
+  if (!period) return '';
+  const format = (seconds: number) => new Date(seconds * 1000).toISOString().split('T')[0];
+  return `Service period ${format(period.start)} to ${format(period.end)}`;
+}
+
+function stripeUrl(subscriptionId: string): string {
+  return `https://dashboard.stripe.com/subscriptions/${subscriptionId}`;
+}
+
+function idOf(value: string | { id: string } | null | undefined): string | null {
+  if (!value) return null;
+  return typeof value === 'string' ? value : value.id;
+}
+
+// Export singleton instance
+export const subscriptions = new Subscriptions();
+
+export { SubscriptionError };
+
+// Export types for other modules
+export type {
+  DataPlan,
+  SubscriptionRecord,
+  SubscriptionStatus,
+  SubscriptionPlanLine,
+  CheckoutSubscriptionInput,
+  CheckoutSubscriptionResult
+};
@@ -0,0 +1,361 @@
+// src/lib/support-tickets.ts - Support ticket submission for the ContactForm
+// Validates requests and hands them to a pluggable adapter: Zoho Desk in production,
+// a local file-backed adapter for development.
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { zoho } from './zoho-sdk';
+import { createPersistentStore } from './persistent-store';
+
+type TicketCategory = 'general' | 'technical' | 'billing' | 'feature' | 'bug' | 'other';
+type TicketPriority = 'low' | 'medium' | 'high' | 'urgent';
+
+interface TicketAttachment {
+  name: string;
+  type: string;
+  size: number;
+  data: Buffer;
+}
+
+interface TicketRequest {
+  name: string;
+  email: string;
+  subject: string;
+  category: TicketCategory;
+  priority: TicketPriority;
+  message: string;
+  attachments: TicketAttachment[];
+  metadata?: Record<string, string>;
+}
+
+interface TicketResult {
+  ticketNumber: string;
+  ticketId: string;
+  adapter: string;
+  url?: string;
+  attachmentsUploaded: number;
+  attachmentErrors: string[];
+}
+
+interface SupportTicketAdapter {
+  readonly name: string;
+  createTicket(request: TicketRequest): Promise<TicketResult>;
+}
+
+interface SupportTicketConfig {
+  maxTicketsPerHour: number;
+}
+
+interface ValidationResult {
+  valid: boolean;
+  errors: Record<string, string>;
+  value?: Omit<TicketRequest, 'attachments'>;
+}
+
+const TICKET_CATEGORIES: Record<TicketCategory, string> = {
+  general: 'General Inquiry',
+  technical: 'Technical Support',
+  billing: 'Billing & Account',
+  feature: 'Feature Request',
+  bug: 'Bug Report',
+  other: 'Other'
+};
+
+const TICKET_PRIORITIES: TicketPriority[] = ['low', 'medium', 'high', 'urgent'];
+
+const ATTACHMENT_LIMITS = {
+  maxFiles: 5,
+  maxFileSize: 10 * 1024 * 1024, // 10MB, matches ContactForm
+  maxTotalSize: 25 * 1024 * 1024,
+  allowedTypes: [
+    'image/jpeg',
+    'image/png',
+    'image/gif',
+    'image/webp',
+    'image/heic',
+    'application/pdf',
+    'text/plain',
+    'text/csv',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+  ],
+  allowedExtensions: ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.heic', '.pdf', '.txt', '.log', '.csv', '.doc', '.docx']
+};
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Thrown when a visitor opens tickets faster than the configured limit
+ */
+class TicketRateLimitError extends Error {
+  status = 429;
+  retryAfter: number;
+
+  constructor(retryAfter: number) {
+    super('Too many support requests. Please try again later.');
+    this.name = 'TicketRateLimitError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Validate and normalize the text fields of a contact form submission
+ */
+export function validateTicketRequest(input: Record<string, unknown>): ValidationResult {
+  const errors: Record<string, string> = {};
+  const field = (key: string) => (typeof input[key] === 'string' ? (input[key] as string).trim() : '');
+
+  const name = field('name');
+  const email = field('email').toLowerCase();
+  const subject = field('subject');
+  const message = field('message');
+  const category = (field('category') || 'general') as TicketCategory;
+  const priority = (field('priority') || 'medium') as TicketPriority;
+
+  if (!name) errors.name = 'Name is required';
+  else if (name.length > 100) errors.name = 'Name must be 100 characters or fewer';
+
+  if (!email) errors.email = 'Email is required';
+  else if (!EMAIL_REGEX.test(email) || email.length > 254) errors.email = 'Please enter a valid email address';
+
+  if (!subject) errors.subject = 'Subject is required';
+  else if (subject.length > 200) errors.subject = 'Subject must be 200 characters or fewer';
+
+  if (!message) errors.message = 'Message is required';
+  else if (message.length < 10) errors.message = 'Message must be at least 10 characters long';
+  else if (message.length > 10000) errors.message = 'Message must be 10,000 characters or fewer';
+
+  if (!(category in TICKET_CATEGORIES)) errors.category = 'Unknown category';
+  if (!TICKET_PRIORITIES.includes(priority)) errors.priority = 'Unknown priority';
+
+  if (Object.keys(errors).length > 0) {
+    return { valid: false, errors };
+  }
+
+  return {
+    valid: true,
+    errors,
+    value: { name, email, subject, message, category, priority }
+  };
+}
+
+/**
+ * Check attachment count, sizes and types. Returns an error message per rejected file.
+ */
+export function validateAttachments(attachments: Array<Omit<TicketAttachment, 'data'>>): string[] {
+  const errors: string[] = [];
+
+  if (attachments.length > ATTACHMENT_LIMITS.maxFiles) {
+    errors.push(`A maximum of ${ATTACHMENT_LIMITS.maxFiles} attachments is allowed`);
+  }
+
+  const totalSize = attachments.reduce((sum, file) => sum + file.size, 0);
+  if (totalSize > ATTACHMENT_LIMITS.maxTotalSize) {
+    errors.push('Attachments may not exceed 25MB in total');
+  }
+
+  attachments.forEach(file => {
+    const extension = path.extname(file.name).toLowerCase();
+
+    if (file.size > ATTACHMENT_LIMITS.maxFileSize) {
+      errors.push(`${file.name} is larger than 10MB`);
+    }
+    if (!ATTACHMENT_LIMITS.allowedTypes.includes(file.type) || !ATTACHMENT_LIMITS.allowedExtensions.includes(extension)) {
+      errors.push(`${file.name} is not an allowed file type`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Confirm the file content matches its declared type for formats with a known signature
+ */
+export function hasValidSignature(file: Pick<TicketAttachment, 'type' | 'data'>): boolean {
+  const head = file.data.subarray(0, 12);
+
+  switch (file.type) {
+    case 'application/pdf':
+      return head.subarray(0, 4).toString('latin1') === '%PDF';
+    case 'image/png':
+      return head.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]));
+    case 'image/jpeg':
+      return head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff;
+    case 'image/gif':
+      return head.subarray(0, 4).toString('latin1') === 'GIF8';
+    case 'image/webp':
+      return head.subarray(0, 4).toString('latin1') === 'RIFF' && head.subarray(8, 12).toString('latin1') === 'WEBP';
+    default:
+      return true;
+  }
+}
+
+/**
+ * Creates tickets in Zoho Desk and uploads attachments to them
+ */
+class ZohoDeskTicketAdapter implements SupportTicketAdapter {
+  readonly name = 'zoho-desk';
+
+  async createTicket(request: TicketRequest): Promise<TicketResult> {
+    const [firstName, ...rest] = request.name.split(' ');
+    const lastName = rest.join(' ') || firstName;
+
+    const ticket = await zoho.desk.createTicket({
+      subject: request.subject,
+      description: formatDescription(request),
+      contact: {
+        email: request.email,
+        firstName: rest.length > 0 ? firstName : undefined,
+        lastName
+      },
+      priority: request.priority === 'low' ? 'Low' : request.priority === 'medium' ? 'Medium' : 'High',
+      category: TICKET_CATEGORIES[request.category],
+      classification: request.category === 'bug' ? 'Problem' : request.category === 'feature' ? 'Feature' : 'Question'
+    });
+
+    // A failed upload should not lose the ticket; report it back instead
+    const attachmentErrors: string[] = [];
+    let attachmentsUploaded = 0;
+
+    for (const attachment of request.attachments) {
+      try {
+        await zoho.desk.uploadTicketAttachment(ticket.id, attachment);
+        attachmentsUploaded++;
+      } catch (error) {
+        console.error(`❌ Failed to attach ${attachment.name} to ticket #${ticket.ticketNumber}:`, error);
+        attachmentErrors.push(attachment.name);
+      }
+    }
+
+    return {
+      ticketNumber: ticket.ticketNumber,
+      ticketId: ticket.id,
+      adapter: this.name,
+      url: ticket.webUrl,
+      attachmentsUploaded,
+      attachmentErrors
+    };
+  }
+}
+
+/**
+ * Writes tickets and attachments to disk for local development
+ */
+class LocalFileTicketAdapter implements SupportTicketAdapter {
+  readonly name = 'local';
+  private counters = createPersistentStore('support-tickets');
+  private readonly directory = path.join(process.env.DATA_DIR || path.join(process.cwd(), '.data'), 'support-tickets');
+
+  async createTicket(request: TicketRequest): Promise<TicketResult> {
+    const sequence = await this.counters.increment('sequence');
+    const ticketNumber = `DEV-${String(sequence).padStart(5, '0')}`;
+    const ticketDirectory = path.join(this.directory, ticketNumber);
+
+    await fs.mkdir(ticketDirectory, { recursive: true });
+
+    const savedAttachments = [];
+    for (let index = 0; index < request.attachments.length; index++) {
+      const attachment = request.attachments[index];
+      const safeName = `${index + 1}-${attachment.name.replace(/[^a-zA-Z0-9._-]/g, '_')}`;
+      await fs.writeFile(path.join(ticketDirectory, safeName), attachment.data);
+      savedAttachments.push({ name: attachment.name, type: attachment.type, size: attachment.size, file: safeName });
+    }
+
+    const { attachments, ...fields } = request;
+    await fs.writeFile(
+      path.join(ticketDirectory, 'ticket.json'),
+      JSON.stringify({ ticketNumber, ...fields, attachments: savedAttachments, createdAt: new Date().toISOString() }, null, 2)
+    );
+
+    console.log(`📁 Stored local support ticket ${ticketNumber} in ${ticketDirectory}`);
+
+    return {
+      ticketNumber,
+      ticketId: ticketNumber,
+      adapter: this.name,
+      attachmentsUploaded: savedAttachments.length,
+      attachmentErrors: []
+    };
+  }
+}
+
+class SupportTickets {
+  private store = createPersistentStore('support-tickets');
+
+  private readonly config: SupportTicketConfig = {
+    maxTicketsPerHour: 5
+  };
+
+  /**
+   * Pick the adapter from SUPPORT_TICKET_ADAPTER, defaulting to Desk when it is configured
+   */
+  getAdapter(): SupportTicketAdapter {
+    const configured = process.env.SUPPORT_TICKET_ADAPTER;
+
+    if (configured === 'local') return new LocalFileTicketAdapter();
+    if (configured === 'zoho-desk') return new ZohoDeskTicketAdapter();
+
+    if (zoho.desk.isConfigured()) return new ZohoDeskTicketAdapter();
+
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('No support ticket adapter configured. Set the ZOHO_DESK_* variables or SUPPORT_TICKET_ADAPTER.');
+    }
+
+    return new LocalFileTicketAdapter();
+  }
+
+  /**
+   * Rate-limit the visitor, then create the ticket through the active adapter
+   */
+  async submit(request: TicketRequest, visitorId: string): Promise<TicketResult> {
+    await this.enforceRateLimit(visitorId);
+
+    const adapter = this.getAdapter();
+    const result = await adapter.createTicket(request);
+
+    console.log(`🎫 Support ticket ${result.ticketNumber} created via ${adapter.name} (${request.category}/${request.priority})`);
+    return result;
+  }
+
+  private async enforceRateLimit(visitorId: string): Promise<void> {
+    const windowSeconds = 60 * 60;
+    const windowStart = Math.floor(Date.now() / (windowSeconds * 1000));
+    const count = await this.store.increment(`ratelimit:${visitorId}:${windowStart}`, { ttlSeconds: windowSeconds });
+
+    if (count > this.config.maxTicketsPerHour) {
+      const retryAfter = Math.ceil(((windowStart + 1) * windowSeconds * 1000 - Date.now()) / 1000);
+      throw new TicketRateLimitError(retryAfter);
+    }
+  }
+}
+
+/**
+ * Ticket body as seen by the support agent
+ */
+function formatDescription(request: TicketRequest): string {
+  const lines = [
+    request.message,
+    '',
+    '---',
+    `Category: ${TICKET_CATEGORIES[request.category]}`,
+    `Priority requested: ${request.priority}`,
+    `Submitted via: traveldatawifi.com support form`
+  ];
+
+  Object.entries(request.metadata || {}).forEach(([key, value]) => {
+    lines.push(`${key}: ${value}`);
+  });
+
+  // Desk renders the description as HTML
+  return lines
+    .map(line => line.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;'))
+    .join('<br>');
+}
+
+// Export singleton instance
+export const supportTickets = new SupportTickets();
+
+export { TicketRateLimitError, TICKET_CATEGORIES, TICKET_PRIORITIES, ATTACHMENT_LIMITS };
+
+// Export types for other modules
+export type { SupportTicketAdapter, TicketRequest, TicketResult, TicketAttachment, TicketCategory, TicketPriority };
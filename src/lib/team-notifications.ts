@@ -0,0 +1,100 @@
+// src/lib/team-notifications.ts - Alerts for the team about events that need a person
+// Emailed to TEAM_NOTIFICATION_EMAIL (comma separated) and posted to SLACK_WEBHOOK_URL, whichever are set.
+// Best effort: a notification that can't be delivered is logged and never fails the caller.
+
+import { emailService } from './email';
+import { createPersistentStore } from './persistent-store';
+
+type TeamNotificationLevel = 'info' | 'warning' | 'danger';
+
+interface TeamNotification {
+  title: string;
+  summary?: string | null;
+  level?: TeamNotificationLevel;
+  fields?: Record<string, unknown>;
+  actionUrl?: string | null;
+  // Notifications with the same key are only sent once, so webhook retries don't repeat them
+  idempotencyKey?: string;
+}
+
+const SLACK_COLORS: Record<TeamNotificationLevel, string> = {
+  info: 'good',
+  warning: 'warning',
+  danger: 'danger'
+};
+
+const SENT_TTL_SECONDS = 90 * 24 * 60 * 60;
+
+const store = createPersistentStore('team-notifications');
+
+/**
+ * Tell the team about an event; eventType tags the log lines and the email log
+ */
+async function notifyTeam(eventType: string, notification: TeamNotification): Promise<void> {
+  const fields = Object.entries(notification.fields || {})
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([label, value]): [string, string] => [label, String(value)]);
+
+  const sentKey = notification.idempotencyKey ? `sent:${notification.idempotencyKey}` : null;
+  if (sentKey && await store.get(sentKey).catch(() => null)) {
+    console.log(`↩️ Team notification already sent (${notification.idempotencyKey})`);
+    return;
+  }
+
+  console.log(`📣 Team notification [${eventType}]: ${notification.title}`, Object.fromEntries(fields));
+
+  const recipients = (process.env.TEAM_NOTIFICATION_EMAIL || '')
+    .split(',')
+    .map(address => address.trim())
+    .filter(Boolean);
+
+  if (recipients.length > 0) {
+    try {
+      await emailService.send('team-notification', {
+        title: notification.title,
+        summary: notification.summary || null,
+        fields,
+        actionUrl: notification.actionUrl || null
+      }, {
+        to: recipients,
+        reference: eventType
+      });
+    } catch (error) {
+      console.error(`⚠️ Team notification email failed [${eventType}]:`, error);
+    }
+  }
+
+  if (process.env.SLACK_WEBHOOK_URL) {
+    try {
+      const response = await fetch(process.env.SLACK_WEBHOOK_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          text: notification.title,
+          attachments: [{
+            color: SLACK_COLORS[notification.level || 'info'],
+            text: notification.summary || undefined,
+            fields: fields.map(([title, value]) => ({ title, value, short: value.length <= 40 })),
+            ...(notification.actionUrl && { title: 'Open', title_link: notification.actionUrl })
+          }]
+        })
+      });
+
+      if (!response.ok) {
+        console.error(`⚠️ Slack notification failed [${eventType}]: HTTP ${response.status}`);
+      }
+    } catch (error) {
+      console.error(`⚠️ Slack notification failed [${eventType}]:`, error);
+    }
+  }
+
+  if (sentKey) {
+    await store.set(sentKey, new Date().toISOString(), { ttlSeconds: SENT_TTL_SECONDS }).catch(error => {
+      console.error('⚠️ Failed to record team notification:', error);
+    });
+  }
+}
+
+export { notifyTeam };
+
+export type { TeamNotification, TeamNotificationLevel };
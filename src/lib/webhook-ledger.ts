@@ -0,0 +1,271 @@
+// src/lib/webhook-ledger.ts - Durable record of every Stripe and Zoho webhook event
+// Events are stored by id before they are processed, so redeliveries are answered from the ledger
+// and a failed event is retried with backoff (or replayed by an admin) instead of being lost.
+
+import { createPersistentStore } from './persistent-store';
+
+type WebhookSource = 'stripe' | 'zoho';
+
+// failed events are retried until maxAttempts, then left as dead until someone replays them
+type WebhookEventStatus = 'processing' | 'processed' | 'failed' | 'dead';
+
+interface WebhookEventRecord {
+  id: string;
+  source: WebhookSource;
+  type: string;
+  payload: unknown;
+  status: WebhookEventStatus;
+  attempts: number;
+  lastError: string | null;
+  result: unknown;
+  receivedAt: string;
+  updatedAt: string;
+  processedAt: string | null;
+  nextAttemptAt: string | null;
+}
+
+type WebhookProcessor = (payload: any, record: WebhookEventRecord) => Promise<unknown>;
+
+// What happened to a delivery: processed or failed just now, or answered from the ledger
+type DeliveryOutcome = 'processed' | 'failed' | 'dead' | 'duplicate' | 'in_progress';
+
+interface DeliveryResult {
+  outcome: DeliveryOutcome;
+  record: WebhookEventRecord;
+}
+
+interface RetryResult {
+  attempted: number;
+  processed: number;
+  failed: number;
+  dead: number;
+  events: Array<{ source: WebhookSource; id: string; status: WebhookEventStatus }>;
+}
+
+interface LedgerConfig {
+  maxAttempts: number;
+  baseBackoffMs: number;
+  maxBackoffMs: number;
+  lockSeconds: number;
+  retentionSeconds: number;
+}
+
+/**
+ * Thrown by replay for unknown events or events that don't need replaying
+ */
+class WebhookReplayError extends Error {
+  status: number;
+
+  constructor(message: string, status: number) {
+    super(message);
+    this.name = 'WebhookReplayError';
+    this.status = status;
+  }
+}
+
+class WebhookLedger {
+  private store = createPersistentStore('webhook-ledger');
+
+  private readonly config: LedgerConfig = {
+    maxAttempts: 6,
+    baseBackoffMs: 60 * 1000,
+    maxBackoffMs: 6 * 60 * 60 * 1000,
+    lockSeconds: 5 * 60,
+    retentionSeconds: 30 * 24 * 60 * 60
+  };
+
+  /**
+   * Record an incoming event and process it unless the ledger already handled it
+   */
+  async receive(source: WebhookSource, id: string, type: string, payload: unknown, processor: WebhookProcessor): Promise<DeliveryResult> {
+    const existing = await this.get(source, id);
+
+    if (existing?.status === 'processed') {
+      console.log(`↩️ Duplicate ${source} webhook ${id} (${type}), already processed`);
+      return { outcome: 'duplicate', record: existing };
+    }
+
+    // Exhausted its retries; only an explicit replay runs it again
+    if (existing?.status === 'dead') {
+      return { outcome: 'dead', record: existing };
+    }
+
+    const record: WebhookEventRecord = existing || {
+      id,
+      source,
+      type,
+      payload,
+      status: 'failed',
+      attempts: 0,
+      lastError: null,
+      result: null,
+      receivedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      processedAt: null,
+      nextAttemptAt: null
+    };
+
+    return this.process(record, processor);
+  }
+
+  /**
+   * Run an event again now, whatever its retry schedule. Processed events are not replayed.
+   */
+  async replay(source: WebhookSource, id: string, processor: WebhookProcessor): Promise<DeliveryResult> {
+    const record = await this.get(source, id);
+
+    if (!record) {
+      throw new WebhookReplayError(`No ${source} webhook event ${id} in the ledger`, 404);
+    }
+
+    if (record.status === 'processed') {
+      throw new WebhookReplayError(`${source} webhook event ${id} was already processed`, 409);
+    }
+
+    console.log(`🔁 Replaying ${source} webhook ${id} (${record.type}) after ${record.attempts} attempt(s)`);
+    return this.process(record, processor);
+  }
+
+  /**
+   * Retry failed events whose backoff has passed, oldest first; meant to be called from a scheduler
+   */
+  async retryDue(processors: Record<WebhookSource, WebhookProcessor>): Promise<RetryResult> {
+    const now = Date.now();
+    // Events left in processing by a crashed instance are picked up once their lock has expired
+    const staleBefore = now - this.config.lockSeconds * 1000;
+    const due = (await this.list()).filter(record =>
+      (record.status === 'failed' && (!record.nextAttemptAt || Date.parse(record.nextAttemptAt) <= now)) ||
+      (record.status === 'processing' && Date.parse(record.updatedAt) < staleBefore)
+    ).reverse();
+
+    const result: RetryResult = { attempted: 0, processed: 0, failed: 0, dead: 0, events: [] };
+
+    // One at a time: each event may call Zoho several times
+    for (const record of due) {
+      const processor = processors[record.source];
+      if (!processor) continue;
+
+      const { outcome, record: updated } = await this.process(record, processor);
+      if (outcome === 'in_progress') continue;
+
+      result.attempted++;
+      if (updated.status === 'processed') result.processed++;
+      else if (updated.status === 'dead') result.dead++;
+      else result.failed++;
+      result.events.push({ source: updated.source, id: updated.id, status: updated.status });
+    }
+
+    if (result.attempted > 0) {
+      console.log(`🔁 Webhook retry run: ${result.processed} processed, ${result.failed} failed, ${result.dead} dead`);
+    }
+
+    return result;
+  }
+
+  async get(source: WebhookSource, id: string): Promise<WebhookEventRecord | null> {
+    return this.store.get<WebhookEventRecord>(eventKey(source, id));
+  }
+
+  /**
+   * Events in the ledger, newest first
+   */
+  async list(filter: { source?: WebhookSource; status?: WebhookEventStatus } = {}): Promise<WebhookEventRecord[]> {
+    const entries = await this.store.list<WebhookEventRecord>(filter.source ? `event:${filter.source}:` : 'event:');
+
+    return entries
+      .map(entry => entry.value)
+      .filter(record => !filter.status || record.status === filter.status)
+      .sort((a, b) => b.receivedAt.localeCompare(a.receivedAt));
+  }
+
+  private async process(record: WebhookEventRecord, processor: WebhookProcessor): Promise<DeliveryResult> {
+    const lockKey = `lock:${record.source}:${record.id}`;
+    const acquired = await this.store.setIfAbsent(lockKey, new Date().toISOString(), { ttlSeconds: this.config.lockSeconds });
+
+    if (!acquired) {
+      return { outcome: 'in_progress', record };
+    }
+
+    const attempt: WebhookEventRecord = {
+      ...record,
+      status: 'processing',
+      attempts: record.attempts + 1,
+      updatedAt: new Date().toISOString()
+    };
+
+    try {
+      // Stored before processing, so the event survives a crash mid-way
+      await this.save(attempt);
+
+      try {
+        const result = await processor(attempt.payload, attempt);
+        const processed: WebhookEventRecord = {
+          ...attempt,
+          status: 'processed',
+          result: result ?? null,
+          lastError: null,
+          processedAt: new Date().toISOString(),
+          updatedAt: new Date().toISOString(),
+          nextAttemptAt: null
+        };
+        await this.save(processed);
+
+        console.log(`✅ ${record.source} webhook ${record.id} (${record.type}) processed on attempt ${attempt.attempts}`);
+        return { outcome: 'processed', record: processed };
+
+      } catch (error) {
+        const message = error instanceof Error ? error.message : String(error);
+        const dead = attempt.attempts >= this.config.maxAttempts;
+        const failed: WebhookEventRecord = {
+          ...attempt,
+          status: dead ? 'dead' : 'failed',
+          lastError: message,
+          updatedAt: new Date().toISOString(),
+          nextAttemptAt: dead ? null : new Date(Date.now() + this.backoffMs(attempt.attempts)).toISOString()
+        };
+        await this.save(failed);
+
+        console.error(`❌ ${record.source} webhook ${record.id} (${record.type}) failed on attempt ${attempt.attempts}${dead ? ', giving up until replayed' : ''}:`, message);
+        return { outcome: dead ? 'dead' : 'failed', record: failed };
+      }
+    } finally {
+      await this.store.delete(lockKey);
+    }
+  }
+
+  private async save(record: WebhookEventRecord): Promise<void> {
+    await this.store.set(eventKey(record.source, record.id), record, { ttlSeconds: this.config.retentionSeconds });
+  }
+
+  private backoffMs(attempts: number): number {
+    return Math.min(this.config.maxBackoffMs, this.config.baseBackoffMs * Math.pow(2, attempts - 1));
+  }
+}
+
+/**
+ * HTTP status to answer the provider with. Failures get a 500 so the provider redelivers as well;
+ * an event that is still being processed gets a 409 so it is delivered again later.
+ */
+function deliveryHttpStatus(outcome: DeliveryOutcome): number {
+  if (outcome === 'failed') return 500;
+  if (outcome === 'in_progress') return 409;
+  return 200;
+}
+
+function eventKey(source: WebhookSource, id: string): string {
+  return `event:${source}:${id}`;
+}
+
+export const webhookLedger = new WebhookLedger();
+
+export { WebhookReplayError, deliveryHttpStatus };
+
+export type {
+  WebhookSource,
+  WebhookEventStatus,
+  WebhookEventRecord,
+  WebhookProcessor,
+  DeliveryOutcome,
+  DeliveryResult,
+  RetryResult
+};
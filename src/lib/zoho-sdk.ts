@@ -0,0 +1,1345 @@
+// src/lib/zoho-sdk.ts - Unified Zoho client
+// One request pipeline (tokens from tokenManager, retries with backoff, typed errors, request
+// tracing) behind a facade per product: zoho.commerce, zoho.storefront, zoho.inventory,
+// zoho.crm and zoho.desk. API routes should go through this module instead of calling fetch.
+
+import crypto from 'crypto';
+import { tokenManager } from './enhanced-token-manager';
+import type { ZohoService } from './enhanced-token-manager';
+
+type ZohoServiceName = 'commerce' | 'storefront' | 'inventory' | 'crm' | 'desk';
+type HttpMethod = 'GET' | 'POST' | 'PUT' | 'PATCH' | 'DELETE';
+
+interface ZohoRequestOptions {
+  method?: HttpMethod;
+  query?: Record<string, string | number | boolean | null | undefined>;
+  // Plain objects are sent as JSON; strings, FormData and URLSearchParams are sent as-is
+  body?: unknown;
+  headers?: Record<string, string>;
+  timeoutMs?: number;
+  // Extra attempts for timeouts, 429 and 5xx. Defaults to 2 for GET and 0 otherwise,
+  // since repeating a POST that reached Zoho can create duplicates.
+  retries?: number;
+  // Set to false for public Storefront calls that must not carry our OAuth token
+  auth?: boolean;
+  // Caller's request id, recorded on the trace so logs can be correlated
+  traceId?: string;
+}
+
+interface ZohoDownload {
+  data: Buffer;
+  contentType: string | null;
+  contentLength: number;
+  etag: string | null;
+}
+
+interface ServiceConfig {
+  label: string;
+  token: ZohoService;
+  baseURL: () => string;
+  headers?: (method: HttpMethod) => Record<string, string>;
+  query?: () => Record<string, string>;
+  requiredEnv?: string[];
+}
+
+interface RequestTrace {
+  id: string;
+  traceId?: string;
+  service: ZohoServiceName;
+  method: HttpMethod;
+  endpoint: string;
+  status: number | null;
+  attempts: number;
+  durationMs: number;
+  error?: string;
+  at: string;
+}
+
+interface ZohoErrorDetails {
+  service: ZohoServiceName;
+  endpoint: string;
+  httpStatus?: number | null;
+  code?: string | number | null;
+  response?: unknown;
+  requestId?: string;
+  retryable?: boolean;
+}
+
+/**
+ * Base class for every error raised by the Zoho client. httpStatus is Zoho's status, not ours,
+ * so it is deliberately not named `status` (the public error handler would echo it).
+ */
+class ZohoError extends Error {
+  service: ZohoServiceName;
+  endpoint: string;
+  httpStatus: number | null;
+  code: string | number | null;
+  response: unknown;
+  requestId?: string;
+  retryable: boolean;
+
+  constructor(message: string, details: ZohoErrorDetails) {
+    super(message);
+    this.name = 'ZohoError';
+    this.service = details.service;
+    this.endpoint = details.endpoint;
+    this.httpStatus = details.httpStatus ?? null;
+    this.code = details.code ?? null;
+    this.response = details.response;
+    this.requestId = details.requestId;
+    this.retryable = details.retryable ?? false;
+  }
+}
+
+/**
+ * Zoho rejected or returned an error for the request (HTTP error or non-zero JSON `code`)
+ */
+class ZohoApiError extends ZohoError {
+  constructor(message: string, details: ZohoErrorDetails) {
+    super(message, details);
+    this.name = 'ZohoApiError';
+  }
+}
+
+/**
+ * Token refresh failed or Zoho refused the token (401/403)
+ */
+class ZohoAuthError extends ZohoError {
+  constructor(message: string, details: ZohoErrorDetails) {
+    super(message, details);
+    this.name = 'ZohoAuthError';
+  }
+}
+
+/**
+ * Zoho answered 404 for the resource
+ */
+class ZohoNotFoundError extends ZohoError {
+  constructor(message: string, details: ZohoErrorDetails) {
+    super(message, details);
+    this.name = 'ZohoNotFoundError';
+  }
+}
+
+/**
+ * Zoho answered 429 after all retries
+ */
+class ZohoRateLimitError extends ZohoError {
+  retryAfter: number | null;
+
+  constructor(message: string, details: ZohoErrorDetails & { retryAfter?: number | null }) {
+    super(message, { ...details, retryable: true });
+    this.name = 'ZohoRateLimitError';
+    this.retryAfter = details.retryAfter ?? null;
+  }
+}
+
+/**
+ * The request did not complete before its timeout
+ */
+class ZohoTimeoutError extends ZohoError {
+  constructor(message: string, details: ZohoErrorDetails) {
+    super(message, { ...details, retryable: true });
+    this.name = 'ZohoTimeoutError';
+  }
+}
+
+/**
+ * A required setting (organization id, department id, ...) is missing
+ */
+class ZohoConfigError extends ZohoError {
+  constructor(message: string, details: ZohoErrorDetails) {
+    super(message, details);
+    this.name = 'ZohoConfigError';
+  }
+}
+
+const STORE_DOMAIN = () => process.env.ZOHO_STORE_DOMAIN || 'www.traveldatawifi.com';
+
+const SERVICES: Record<ZohoServiceName, ServiceConfig> = {
+  commerce: {
+    label: 'Commerce',
+    token: 'commerce',
+    baseURL: () => 'https://commerce.zoho.com/store/api/v1',
+    headers: (): Record<string, string> => (
+      process.env.ZOHO_STORE_ID ? { 'X-com-zoho-store-organizationid': process.env.ZOHO_STORE_ID } : {}
+    )
+  },
+  storefront: {
+    label: 'Storefront',
+    token: 'commerce',
+    baseURL: () => 'https://commerce.zoho.com/storefront/api/v1',
+    headers: (method): Record<string, string> => ({
+      'domain-name': STORE_DOMAIN(),
+      'Accept': 'application/json',
+      // Storefront write calls expect a CSRF header even from servers
+      ...(method !== 'GET' ? { 'X-ZCSRF-TOKEN': `csrfp=${crypto.randomBytes(12).toString('hex')}` } : {})
+    })
+  },
+  inventory: {
+    label: 'Inventory',
+    token: 'inventory',
+    baseURL: () => 'https://www.zohoapis.com/inventory/v1',
+    query: () => ({ organization_id: process.env.ZOHO_INVENTORY_ORGANIZATION_ID || '' }),
+    requiredEnv: ['ZOHO_INVENTORY_ORGANIZATION_ID']
+  },
+  crm: {
+    label: 'CRM',
+    token: 'crm',
+    baseURL: () => process.env.ZOHO_CRM_API_URL || 'https://www.zohoapis.com/crm/v3'
+  },
+  desk: {
+    label: 'Desk',
+    token: 'desk',
+    baseURL: () => process.env.ZOHO_DESK_API_URL || 'https://desk.zoho.com/api/v1',
+    headers: (): Record<string, string> => ({ orgId: process.env.ZOHO_DESK_ORG_ID || '' }),
+    requiredEnv: ['ZOHO_DESK_ORG_ID']
+  }
+};
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const MAX_TRACES = 100;
+
+class ZohoClient {
+  private traces: RequestTrace[] = [];
+
+  readonly commerce: CommerceAdminService;
+  readonly storefront: StorefrontService;
+  readonly inventory: InventoryService;
+  readonly crm: CrmService;
+  readonly desk: DeskService;
+
+  constructor() {
+    this.storefront = new StorefrontService(this);
+    this.commerce = new CommerceAdminService(this, this.storefront);
+    this.inventory = new InventoryService(this);
+    this.crm = new CrmService(this);
+    this.desk = new DeskService(this);
+  }
+
+  /**
+   * Access token for a service, from the shared token manager
+   */
+  async getAccessToken(service: ZohoServiceName): Promise<string> {
+    return tokenManager.getAccessToken(SERVICES[service].token);
+  }
+
+  /**
+   * Whether credentials and required settings are present for a service
+   */
+  isConfigured(service: ZohoServiceName): boolean {
+    const config = SERVICES[service];
+    return tokenManager.hasCredentials(config.token) &&
+      (config.requiredEnv || []).every(name => !!process.env[name]);
+  }
+
+  /**
+   * Make a JSON request. `endpoint` is a path under the service base URL or an absolute URL.
+   * Returns the parsed body, or null for empty (204) responses.
+   */
+  async request<T = any>(service: ZohoServiceName, endpoint: string, options: ZohoRequestOptions = {}): Promise<T> {
+    const response = await this.send(service, endpoint, options);
+    const text = response.body.toString('utf8');
+    if (!text) return null as T;
+
+    try {
+      return JSON.parse(text) as T;
+    } catch {
+      throw new ZohoApiError(`Invalid JSON from Zoho ${SERVICES[service].label}: ${text.substring(0, 200)}`, {
+        service,
+        endpoint,
+        httpStatus: response.status,
+        requestId: response.requestId
+      });
+    }
+  }
+
+  /**
+   * Fetch a binary resource (e.g. an item image) through the same auth/retry pipeline
+   */
+  async download(service: ZohoServiceName, endpoint: string, options: ZohoRequestOptions = {}): Promise<ZohoDownload> {
+    const response = await this.send(service, endpoint, { ...options, headers: { Accept: '*/*', ...options.headers } });
+
+    return {
+      data: response.body,
+      contentType: response.headers.get('content-type'),
+      contentLength: response.body.length,
+      etag: response.headers.get('etag')
+    };
+  }
+
+  /**
+   * Most recent requests, newest first (for diagnostics)
+   */
+  getRecentRequests(limit = 20): RequestTrace[] {
+    return this.traces.slice(-limit).reverse();
+  }
+
+  /**
+   * Token manager state plus request outcomes per service
+   */
+  getStatus() {
+    const byService: Record<string, { requests: number; failures: number; avgDurationMs: number }> = {};
+
+    this.traces.forEach(trace => {
+      const entry = byService[trace.service] || { requests: 0, failures: 0, avgDurationMs: 0 };
+      entry.avgDurationMs = Math.round((entry.avgDurationMs * entry.requests + trace.durationMs) / (entry.requests + 1));
+      entry.requests++;
+      if (trace.error) entry.failures++;
+      byService[trace.service] = entry;
+    });
+
+    return {
+      configured: Object.fromEntries(
+        (Object.keys(SERVICES) as ZohoServiceName[]).map(service => [service, this.isConfigured(service)])
+      ),
+      requests: byService,
+      tokens: tokenManager.getStatus()
+    };
+  }
+
+  private async send(service: ZohoServiceName, endpoint: string, options: ZohoRequestOptions) {
+    const config = SERVICES[service];
+    const method = options.method || 'GET';
+    const requestId = `zr_${crypto.randomBytes(6).toString('hex')}`;
+    const maxRetries = options.retries ?? (method === 'GET' ? 2 : 0);
+    const startTime = Date.now();
+    const path = endpoint.split('?')[0];
+    let attempts = 0;
+    let authRetried = false;
+
+    const missing = (config.requiredEnv || []).filter(name => !process.env[name]);
+    if (missing.length > 0) {
+      throw new ZohoConfigError(`${missing.join(', ')} is required for Zoho ${config.label} requests`, { service, endpoint: path });
+    }
+
+    const url = buildUrl(config, endpoint, options.query);
+    const { body, contentType } = encodeBody(options.body);
+
+    console.log(`📡 [zoho:${service}] ${method} ${path} (${requestId}${options.traceId ? ` / ${options.traceId}` : ''})`);
+
+    while (true) {
+      attempts++;
+      let token: string | null = null;
+
+      if (options.auth !== false) {
+        try {
+          token = await tokenManager.getAccessToken(config.token);
+        } catch (error) {
+          const failure = new ZohoAuthError(
+            `Could not get a Zoho ${config.label} access token: ${error instanceof Error ? error.message : 'Unknown error'}`,
+            { service, endpoint: path, requestId }
+          );
+          this.recordTrace({ requestId, options, service, method, path, status: null, attempts, startTime, error: failure });
+          throw failure;
+        }
+      }
+
+      let response: Response;
+      try {
+        response = await fetch(url, {
+          method,
+          body,
+          headers: {
+            ...(token ? { 'Authorization': `Zoho-oauthtoken ${token}` } : {}),
+            ...(contentType ? { 'Content-Type': contentType } : {}),
+            ...(config.headers ? config.headers(method) : {}),
+            ...options.headers
+          },
+          signal: AbortSignal.timeout(options.timeoutMs || DEFAULT_TIMEOUT_MS)
+        });
+      } catch (error) {
+        const timedOut = error instanceof Error && (error.name === 'TimeoutError' || error.name === 'AbortError');
+        const failure = timedOut
+          ? new ZohoTimeoutError(`Zoho ${config.label} request timed out after ${options.timeoutMs || DEFAULT_TIMEOUT_MS}ms`, { service, endpoint: path, requestId })
+          : new ZohoApiError(`Zoho ${config.label} request failed: ${error instanceof Error ? error.message : 'Network error'}`, { service, endpoint: path, requestId, retryable: true });
+
+        if (attempts <= maxRetries) {
+          await this.backoff(service, attempts, null, failure.message);
+          continue;
+        }
+        this.recordTrace({ requestId, options, service, method, path, status: null, attempts, startTime, error: failure });
+        throw failure;
+      }
+
+      const responseBody = Buffer.from(await response.arrayBuffer());
+
+      // Expired or revoked token: drop it and try once more with a fresh one
+      if (response.status === 401 && token && !authRetried) {
+        authRetried = true;
+        await tokenManager.clearCache(config.token, token);
+        console.warn(`🔑 [zoho:${service}] 401 from ${path}, refreshing token and retrying`);
+        continue;
+      }
+
+      const failure = this.toError(service, path, requestId, response, responseBody);
+
+      if (failure) {
+        if (failure.retryable && attempts <= maxRetries) {
+          await this.backoff(service, attempts, parseRetryAfter(response.headers.get('retry-after')), failure.message);
+          continue;
+        }
+        this.recordTrace({ requestId, options, service, method, path, status: response.status, attempts, startTime, error: failure });
+        throw failure;
+      }
+
+      this.recordTrace({ requestId, options, service, method, path, status: response.status, attempts, startTime });
+      console.log(`✅ [zoho:${service}] ${method} ${path} ${response.status} in ${Date.now() - startTime}ms`);
+
+      return { status: response.status, headers: response.headers, body: responseBody, requestId };
+    }
+  }
+
+  /**
+   * Map an HTTP response to a typed error, or null when the call succeeded. A 200 can still carry
+   * a failure: Inventory/Commerce use a non-zero numeric `code`, Storefront a non-"0" `status_code`.
+   */
+  private toError(service: ZohoServiceName, endpoint: string, requestId: string, response: Response, body: Buffer): ZohoError | null {
+    const label = SERVICES[service].label;
+    const isJson = (response.headers.get('content-type') || '').includes('json');
+    let parsed: any = null;
+
+    if (isJson || !response.ok) {
+      try {
+        parsed = body.length ? JSON.parse(body.toString('utf8')) : null;
+      } catch {
+        parsed = null;
+      }
+    }
+
+    const message = parsed?.message || parsed?.status_message || parsed?.developer_message || parsed?.errorCode ||
+      (!parsed && !response.ok ? body.toString('utf8').substring(0, 300) : '') || response.statusText;
+    const code = parsed?.code ?? parsed?.errorCode ?? parsed?.status_code ?? null;
+    const details = { service, endpoint, httpStatus: response.status, code, response: parsed, requestId };
+
+    if (response.status === 401 || response.status === 403) {
+      return new ZohoAuthError(`Zoho ${label} rejected the request (${response.status}): ${message}`, details);
+    }
+    if (response.status === 404) {
+      return new ZohoNotFoundError(`Zoho ${label} resource not found (404): ${endpoint}`, details);
+    }
+    if (response.status === 429) {
+      return new ZohoRateLimitError(`Zoho ${label} rate limit exceeded`, {
+        ...details,
+        retryAfter: parseRetryAfter(response.headers.get('retry-after'))
+      });
+    }
+    if (!response.ok) {
+      return new ZohoApiError(`Zoho ${label} API error ${response.status}: ${message}`, {
+        ...details,
+        retryable: response.status >= 500
+      });
+    }
+
+    if (parsed && typeof parsed.code === 'number' && parsed.code !== 0) {
+      return new ZohoApiError(`Zoho ${label} API error: ${message} (Code: ${parsed.code})`, details);
+    }
+    if (parsed && parsed.status_code && String(parsed.status_code) !== '0') {
+      return new ZohoApiError(`Zoho ${label} API error: ${message}`, details);
+    }
+
+    return null;
+  }
+
+  /**
+   * Exponential backoff with jitter, or the server's Retry-After when it sent one
+   */
+  private async backoff(service: ZohoServiceName, attempt: number, retryAfterSeconds: number | null, reason: string): Promise<void> {
+    const delay = retryAfterSeconds !== null
+      ? Math.min(retryAfterSeconds * 1000, 30000)
+      : Math.min(500 * Math.pow(2, attempt - 1), 8000) + Math.floor(Math.random() * 250);
+
+    console.warn(`⏳ [zoho:${service}] ${reason} - retrying in ${delay}ms (attempt ${attempt + 1})`);
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+
+  private recordTrace(entry: {
+    requestId: string;
+    options: ZohoRequestOptions;
+    service: ZohoServiceName;
+    method: HttpMethod;
+    path: string;
+    status: number | null;
+    attempts: number;
+    startTime: number;
+    error?: Error;
+  }): void {
+    const trace: RequestTrace = {
+      id: entry.requestId,
+      traceId: entry.options.traceId,
+      service: entry.service,
+      method: entry.method,
+      endpoint: entry.path,
+      status: entry.status,
+      attempts: entry.attempts,
+      durationMs: Date.now() - entry.startTime,
+      error: entry.error?.message,
+      at: new Date().toISOString()
+    };
+
+    if (entry.error) {
+      console.error(`❌ [zoho:${trace.service}] ${trace.method} ${trace.endpoint} failed after ${trace.attempts} attempt(s): ${trace.error}`);
+    }
+
+    this.traces.push(trace);
+    if (this.traces.length > MAX_TRACES) {
+      this.traces.splice(0, this.traces.length - MAX_TRACES);
+    }
+  }
+}
+
+/**
+ * Common base for the product facades
+ */
+abstract class ZohoServiceFacade {
+  protected abstract readonly service: ZohoServiceName;
+
+  constructor(protected client: ZohoClient) {}
+
+  /**
+   * Raw request against this service (for endpoints without a dedicated method)
+   */
+  request<T = any>(endpoint: string, options: ZohoRequestOptions = {}): Promise<T> {
+    return this.client.request<T>(this.service, endpoint, options);
+  }
+
+  isConfigured(): boolean {
+    return this.client.isConfigured(this.service);
+  }
+}
+
+/**
+ * Zoho Commerce Store (admin) API: products, categories and orders
+ */
+class CommerceAdminService extends ZohoServiceFacade {
+  protected readonly service = 'commerce' as const;
+  private imageCache = new Map<string, { images: string[]; timestamp: number }>();
+  private readonly imageCacheTTL = 24 * 60 * 60 * 1000; // 24 hours in ms
+
+  constructor(client: ZohoClient, private storefront: StorefrontService) {
+    super(client);
+  }
+
+  /**
+   * All store products, with images merged in from the Storefront API
+   */
+  async getProducts(): Promise<any[]> {
+    const storeProducts = await this.getStoreProducts();
+    const productsWithImages = await this.addImages(storeProducts);
+
+    console.log('✅ Successfully merged Store API + Storefront API data');
+    return productsWithImages;
+  }
+
+  /**
+   * Store products without images (one call; images cost one Storefront call per product)
+   */
+  async getStoreProducts(): Promise<any[]> {
+    console.log('🛍️ Getting products from Store API for basic data...');
+    const storeResponse = await this.request('/products');
+    const storeProducts: any[] = storeResponse?.products || [];
+    console.log(`✅ Retrieved ${storeProducts.length} products from Store API`);
+    return storeProducts;
+  }
+
+  /**
+   * Merge Storefront API images into store products, 5 at a time
+   */
+  async addImages(storeProducts: any[]): Promise<any[]> {
+    console.log(`🖼️ Getting images for ${storeProducts.length} product(s) from Storefront API...`);
+    const productsWithImages: any[] = [];
+    const concurrency = 5;
+
+    for (let i = 0; i < storeProducts.length; i += concurrency) {
+      const batch = storeProducts.slice(i, i + concurrency);
+      const batchResults = await Promise.all(batch.map(product => this.withImages(product)));
+      productsWithImages.push(...batchResults);
+    }
+
+    return productsWithImages;
+  }
+
+  /**
+   * Drop cached images so the next lookup asks the Storefront API again
+   */
+  forgetImages(productIds: string[]): void {
+    productIds.forEach(productId => this.imageCache.delete(productId));
+  }
+
+  /**
+   * One product, preferring the Storefront API for complete image data. Null when not found.
+   */
+  async getProduct(productId: string): Promise<any | null> {
+    try {
+      const storefrontProduct = await this.storefront.getProduct(productId);
+
+      if (storefrontProduct?.product_id) {
+        return normalizeProduct(storefrontProduct, extractStorefrontImages(storefrontProduct), 'storefront_api');
+      }
+    } catch (error) {
+      console.warn(`⚠️ Storefront API failed for product ${productId}: ${(error as Error).message}`);
+    }
+
+    try {
+      console.log(`📦 Getting product ${productId} from Store API as fallback...`);
+      const response = await this.request(`/products/${productId}`);
+      const product = response?.product || null;
+
+      return product ? normalizeProduct(product, extractImages(product), 'store_api_fallback') : null;
+    } catch (error) {
+      if (error instanceof ZohoNotFoundError) return null;
+      console.error(`❌ Failed to get product ${productId}: ${(error as Error).message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Store categories
+   */
+  async getCategories(): Promise<any[]> {
+    const response = await this.request('/categories');
+    return response?.categories || [];
+  }
+
+  /**
+   * Create a store order
+   */
+  async createOrder(orderData: any, options: Pick<ZohoRequestOptions, 'traceId'> = {}): Promise<any> {
+    const response = await this.request('/orders', { method: 'POST', body: orderData, ...options });
+    return response?.order || response?.data || response;
+  }
+
+  private async withImages(product: any): Promise<any> {
+    const cached = this.imageCache.get(product.product_id);
+    if (cached && Date.now() - cached.timestamp < this.imageCacheTTL) {
+      return normalizeProduct(product, cached.images, 'cache');
+    }
+
+    try {
+      const storefrontProduct = await this.storefront.getProduct(product.product_id);
+
+      if (storefrontProduct) {
+        const images = extractStorefrontImages(storefrontProduct);
+        if (images.length > 0) {
+          this.imageCache.set(product.product_id, { images, timestamp: Date.now() });
+          console.log(`✅ Found ${images.length} images for ${product.name} via Storefront API`);
+        }
+        return normalizeProduct(product, images, 'storefront_api');
+      }
+
+      const fallbackImages = extractImages(product);
+      this.imageCache.set(product.product_id, { images: fallbackImages, timestamp: Date.now() });
+      return normalizeProduct(product, fallbackImages, 'store_api_fallback');
+    } catch (error) {
+      console.warn(`⚠️ Storefront API failed for product ${product.product_id}: ${(error as Error).message}`);
+      const fallbackImages = extractImages(product);
+      this.imageCache.set(product.product_id, { images: fallbackImages, timestamp: Date.now() });
+      return normalizeProduct(product, fallbackImages, 'store_api_only');
+    }
+  }
+}
+
+/**
+ * Zoho Commerce Storefront API: product pages, cart and checkout
+ */
+class StorefrontService extends ZohoServiceFacade {
+  protected readonly service = 'storefront' as const;
+
+  /**
+   * Storefront product payload (includes variants, images and custom fields)
+   */
+  async getProduct(productId: string, options: ZohoRequestOptions = {}): Promise<any | null> {
+    const data = await this.request(`/products/${productId}`, { query: { format: 'json' }, ...options });
+    return data?.payload?.product || data?.product || data;
+  }
+}
+
+/**
+ * Zoho Inventory API: items, contacts, sales orders and invoices
+ */
+class InventoryService extends ZohoServiceFacade {
+  protected readonly service = 'inventory' as const;
+
+  /**
+   * All items (includes custom fields, which the Commerce API does not return)
+   */
+  async getItems(): Promise<ZohoInventoryItem[]> {
+    console.log('📦 Fetching products from Zoho Inventory API...');
+    const response = await this.request('/items');
+    const items: ZohoInventoryItem[] = response?.items || [];
+    console.log(`📊 Retrieved ${items.length} items from Inventory API`);
+    return items;
+  }
+
+  /**
+   * One page of items (up to 200), e.g. sorted by last_modified_time for incremental syncs
+   */
+  async listItems(options: ZohoItemListOptions = {}): Promise<{ items: ZohoInventoryItem[]; hasMore: boolean }> {
+    const response = await this.request('/items', {
+      query: {
+        page: options.page || 1,
+        per_page: options.perPage || 200,
+        ...(options.sortColumn && { sort_column: options.sortColumn }),
+        ...(options.sortOrder && { sort_order: options.sortOrder })
+      }
+    });
+
+    return {
+      items: response?.items || [],
+      hasMore: Boolean(response?.page_context?.has_more_page)
+    };
+  }
+
+  /**
+   * One item by id, or null when it does not exist
+   */
+  async getItem(itemId: string): Promise<ZohoInventoryItem | null> {
+    try {
+      const response = await this.request(`/items/${itemId}`);
+      return response?.item || null;
+    } catch (error) {
+      if (error instanceof ZohoNotFoundError) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * A composite item (bundle) with the items it is made of, or null when it does not exist
+   */
+  async getCompositeItem(compositeItemId: string): Promise<ZohoCompositeItem | null> {
+    try {
+      const response = await this.request(`/compositeitems/${compositeItemId}`);
+      return response?.composite_item || null;
+    } catch (error) {
+      if (error instanceof ZohoNotFoundError) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Items matching a SKU
+   */
+  async searchItemsBySku(sku: string): Promise<ZohoInventoryItem[]> {
+    const response = await this.request('/items', { query: { sku } });
+    return response?.items || [];
+  }
+
+  /**
+   * Stock levels for several items; failures are reported per item
+   */
+  async getStockLevels(itemIds: string[]): Promise<Record<string, any>> {
+    const stockLevels: Record<string, any> = {};
+
+    await Promise.allSettled(itemIds.map(async itemId => {
+      try {
+        const item = await this.getItem(itemId);
+        if (item) {
+          stockLevels[itemId] = {
+            stock_on_hand: item.stock_on_hand || 0,
+            available_stock: item.available_stock || 0,
+            reserved_stock: item.reserved_stock || 0
+          };
+        }
+      } catch (error) {
+        console.warn(`Failed to get stock for item ${itemId}:`, error);
+        stockLevels[itemId] = { error: 'Failed to fetch' };
+      }
+    }));
+
+    return stockLevels;
+  }
+
+  /**
+   * Item image bytes
+   */
+  getItemImage(itemId: string): Promise<ZohoDownload> {
+    return this.client.download(this.service, `/items/${itemId}/image`);
+  }
+
+  /**
+   * First contact whose email matches, or null
+   */
+  async findContactByEmail(email: string): Promise<any | null> {
+    const response = await this.request('/contacts', { query: { email } });
+    return response?.contacts?.[0] || null;
+  }
+
+  /**
+   * Every contact with this email; checkout creates a new contact per guest order
+   */
+  async listContactsByEmail(email: string): Promise<any[]> {
+    const response = await this.request('/contacts', { query: { email } });
+    return response?.contacts || [];
+  }
+
+  async getContact(contactId: string): Promise<any | null> {
+    try {
+      const response = await this.request(`/contacts/${contactId}`);
+      return response?.contact || null;
+    } catch (error) {
+      if (error instanceof ZohoNotFoundError) return null;
+      throw error;
+    }
+  }
+
+  async createContact(contactData: any, options: Pick<ZohoRequestOptions, 'traceId'> = {}): Promise<any> {
+    const response = await this.request('/contacts', { method: 'POST', body: contactData, ...options });
+    return response.contact;
+  }
+
+  async createSalesOrder(salesOrderData: any, options: Pick<ZohoRequestOptions, 'traceId'> = {}): Promise<any> {
+    const response = await this.request('/salesorders', { method: 'POST', body: salesOrderData, ...options });
+    return response.salesorder;
+  }
+
+  async getSalesOrder(salesOrderId: string): Promise<any | null> {
+    try {
+      const response = await this.request(`/salesorders/${salesOrderId}`);
+      return response?.salesorder || null;
+    } catch (error) {
+      if (error instanceof ZohoNotFoundError) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Sales order with exactly this number (the list endpoint only returns summaries), or null
+   */
+  async findSalesOrderByNumber(salesOrderNumber: string): Promise<any | null> {
+    const response = await this.request('/salesorders', { query: { search_text: salesOrderNumber } });
+    const match = (response?.salesorders || []).find((order: any) =>
+      String(order.salesorder_number).toLowerCase() === salesOrderNumber.toLowerCase()
+    );
+    return match ? this.getSalesOrder(match.salesorder_id) : null;
+  }
+
+  /**
+   * Sales order whose reference number is exactly this (checkout orders use the PaymentIntent id), or null
+   */
+  async findSalesOrderByReference(referenceNumber: string): Promise<any | null> {
+    const response = await this.request('/salesorders', { query: { search_text: referenceNumber } });
+    const match = (response?.salesorders || []).find((order: any) =>
+      String(order.reference_number || '') === referenceNumber
+    );
+    return match ? this.getSalesOrder(match.salesorder_id) : null;
+  }
+
+  /**
+   * Sales order summaries for one contact, newest first
+   */
+  async listSalesOrdersByCustomer(customerId: string): Promise<any[]> {
+    const response = await this.request('/salesorders', {
+      query: { customer_id: customerId, sort_column: 'date', sort_order: 'D', per_page: 200 }
+    });
+    return response?.salesorders || [];
+  }
+
+  async confirmSalesOrder(salesOrderId: string): Promise<any> {
+    return this.request(`/salesorders/${salesOrderId}/status/confirmed`, { method: 'POST' });
+  }
+
+  async voidSalesOrder(salesOrderId: string): Promise<any> {
+    return this.request(`/salesorders/${salesOrderId}/status/void`, { method: 'POST' });
+  }
+
+  async addSalesOrderComment(salesOrderId: string, description: string): Promise<any> {
+    return this.request(`/salesorders/${salesOrderId}/comments`, { method: 'POST', body: { description } });
+  }
+
+  async createCreditNote(creditNoteData: any, options: Pick<ZohoRequestOptions, 'traceId'> = {}): Promise<any> {
+    const response = await this.request('/creditnotes', { method: 'POST', body: creditNoteData, ...options });
+    return response.creditnote;
+  }
+
+  /**
+   * Record money paid back against a credit note (the refund itself happens in Stripe)
+   */
+  async refundCreditNote(creditNoteId: string, refundData: Record<string, unknown>): Promise<any> {
+    const response = await this.request(`/creditnotes/${creditNoteId}/refunds`, { method: 'POST', body: refundData });
+    return response.creditnote_refund;
+  }
+
+  /**
+   * Quantity adjustment, e.g. returned items back into stock
+   */
+  async createInventoryAdjustment(adjustmentData: any): Promise<any> {
+    const response = await this.request('/inventoryadjustments', { method: 'POST', body: adjustmentData });
+    return response.inventory_adjustment;
+  }
+
+  async createInvoice(invoiceData: any, options: Pick<ZohoRequestOptions, 'traceId'> = {}): Promise<any> {
+    const response = await this.request('/invoices', { method: 'POST', body: invoiceData, ...options });
+    return response.invoice;
+  }
+
+  async getInvoice(invoiceId: string): Promise<any | null> {
+    try {
+      const response = await this.request(`/invoices/${invoiceId}`);
+      return response?.invoice || null;
+    } catch (error) {
+      if (error instanceof ZohoNotFoundError) return null;
+      throw error;
+    }
+  }
+
+  async markInvoiceSent(invoiceId: string): Promise<any> {
+    return this.request(`/invoices/${invoiceId}/status/sent`, { method: 'POST' });
+  }
+
+  async markInvoicePaid(invoiceId: string, paymentData?: Record<string, unknown>): Promise<any> {
+    return this.request(`/invoices/${invoiceId}/status/paid`, { method: 'POST', body: paymentData });
+  }
+
+  /**
+   * Create a share link for an invoice (visibility, expiry and payment options are in shareData)
+   */
+  async shareInvoice(invoiceId: string, shareData: Record<string, unknown>): Promise<any> {
+    return this.request(`/invoices/${invoiceId}/share`, { method: 'POST', body: shareData });
+  }
+
+  async addInvoiceComment(invoiceId: string, description: string, options: Pick<ZohoRequestOptions, 'timeoutMs'> = {}): Promise<any> {
+    return this.request(`/invoices/${invoiceId}/comments`, { method: 'POST', body: { description }, ...options });
+  }
+
+  /**
+   * Connectivity check used by health endpoints
+   */
+  async healthCheck(): Promise<{ status: string; message: string; timestamp: string }> {
+    try {
+      await this.request('/items', { query: { per_page: 1 } });
+      return { status: 'healthy', message: 'Inventory API is accessible', timestamp: new Date().toISOString() };
+    } catch (error) {
+      return {
+        status: 'unhealthy',
+        message: error instanceof Error ? error.message : 'Unknown error',
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+}
+
+/**
+ * Zoho CRM API: leads
+ */
+class CrmService extends ZohoServiceFacade {
+  protected readonly service = 'crm' as const;
+
+  /**
+   * Leads with a matching email (CRM answers 204 when there are none)
+   */
+  async searchLeadsByEmail(email: string): Promise<any[]> {
+    const response = await this.request('/Leads/search', { query: { criteria: `(Email:equals:${email})` } });
+    return response?.data || [];
+  }
+
+  /**
+   * Create one lead; returns the CRM result entry ({ code, status, details: { id } })
+   */
+  async createLead(lead: Record<string, unknown>, options: { trigger?: string[] } = {}): Promise<any> {
+    const response = await this.request('/Leads', {
+      method: 'POST',
+      body: { data: [lead], ...(options.trigger ? { trigger: options.trigger } : {}) }
+    });
+    return assertCrmSuccess(response, 'create lead');
+  }
+
+  /**
+   * Update one lead (the record must include its id)
+   */
+  async updateLead(lead: Record<string, unknown> & { id: string }): Promise<any> {
+    const response = await this.request('/Leads', { method: 'PUT', body: { data: [lead] } });
+    return assertCrmSuccess(response, 'update lead');
+  }
+}
+
+/**
+ * Zoho Desk API: tickets and Help Center articles
+ */
+class DeskService extends ZohoServiceFacade {
+  protected readonly service = 'desk' as const;
+
+  /**
+   * Create a support ticket in the configured department
+   */
+  async createTicket(input: ZohoDeskTicketInput): Promise<ZohoDeskTicket> {
+    const departmentId = process.env.ZOHO_DESK_DEPARTMENT_ID;
+    if (!departmentId) {
+      throw new ZohoConfigError('ZOHO_DESK_DEPARTMENT_ID is required to create tickets', { service: this.service, endpoint: '/tickets' });
+    }
+
+    const ticket = await this.request('/tickets', {
+      method: 'POST',
+      body: {
+        departmentId,
+        channel: 'Web',
+        ...input,
+        email: input.contact.email
+      }
+    });
+
+    console.log(`✅ Created Desk ticket #${ticket.ticketNumber}`);
+
+    return {
+      id: ticket.id,
+      ticketNumber: ticket.ticketNumber,
+      subject: ticket.subject,
+      status: ticket.status,
+      webUrl: ticket.webUrl,
+      createdTime: ticket.createdTime
+    };
+  }
+
+  /**
+   * Attach a file to an existing ticket
+   */
+  async uploadTicketAttachment(ticketId: string, file: { name: string; type: string; data: Buffer }): Promise<any> {
+    const form = new FormData();
+    form.append('file', new Blob([new Uint8Array(file.data)], { type: file.type }), file.name);
+
+    return this.request(`/tickets/${ticketId}/attachments`, {
+      method: 'POST',
+      query: { isPublic: true },
+      body: form,
+      timeoutMs: 60000
+    });
+  }
+
+  /**
+   * Help Center root categories with their full category trees
+   */
+  async getKnowledgeBaseCategories(): Promise<ZohoDeskKbCategory[]> {
+    const roots = await this.request('/kbRootCategories');
+
+    return Promise.all(
+      (roots?.data || []).map((root: ZohoDeskKbCategory) =>
+        this.request(`/kbRootCategories/${root.id}/categoryTree`)
+      )
+    );
+  }
+
+  /**
+   * One page of Help Center articles, newest changes first. Summaries only; use getArticle for the body.
+   */
+  async listArticles(options: { from?: number; limit?: number } = {}): Promise<ZohoDeskArticleSummary[]> {
+    const response = await this.request('/articles', {
+      query: {
+        from: options.from || 1,
+        limit: Math.min(options.limit || 50, 50),
+        sortBy: '-modifiedTime'
+      }
+    });
+    return response?.data || [];
+  }
+
+  /**
+   * Full Help Center article including the HTML answer
+   */
+  async getArticle(articleId: string): Promise<ZohoDeskArticle> {
+    return this.request(`/articles/${articleId}`);
+  }
+}
+
+function buildUrl(config: ServiceConfig, endpoint: string, query?: ZohoRequestOptions['query']): string {
+  const url = new URL(/^https?:\/\//.test(endpoint) ? endpoint : `${config.baseURL()}${endpoint}`);
+
+  Object.entries({ ...(config.query ? config.query() : {}), ...(query || {}) }).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && !url.searchParams.has(key)) {
+      url.searchParams.set(key, String(value));
+    }
+  });
+
+  return url.toString();
+}
+
+function encodeBody(body: unknown): { body?: BodyInit; contentType?: string } {
+  if (body === undefined || body === null) return { contentType: 'application/json' };
+  if (typeof body === 'string') return { body, contentType: 'application/json' };
+  if (body instanceof URLSearchParams) return { body, contentType: 'application/x-www-form-urlencoded' };
+  // Let fetch set the multipart boundary
+  if (typeof FormData !== 'undefined' && body instanceof FormData) return { body };
+  return { body: JSON.stringify(body), contentType: 'application/json' };
+}
+
+function parseRetryAfter(value: string | null): number | null {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(seconds, 0);
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(Math.ceil((date - Date.now()) / 1000), 0);
+}
+
+/**
+ * CRM answers 2xx with per-record results; surface a failed record as an error
+ */
+function assertCrmSuccess(response: any, action: string): any {
+  const result = response?.data?.[0];
+  if (!result || result.status !== 'success') {
+    throw new ZohoApiError(`Zoho CRM could not ${action}: ${result?.message || 'Unknown error'}`, {
+      service: 'crm',
+      endpoint: '/Leads',
+      code: result?.code ?? null,
+      response
+    });
+  }
+  return result;
+}
+
+/**
+ * Store/Storefront product with the fields the storefront components read
+ */
+function normalizeProduct(product: any, images: string[], imageSource: string): any {
+  return {
+    ...product,
+    product_name: product.name || product.product_name,
+    product_price: product.min_rate || product.max_rate || product.product_price || 0,
+    product_images: images,
+    inventory_count: parseStock(product.overall_stock),
+    product_category: product.category_name || product.product_category || '',
+    seo_url: product.url || product.seo_url || product.product_id,
+    image_source: imageSource
+  };
+}
+
+/**
+ * Image URLs from a Storefront API product, including variant images and documents
+ */
+function extractStorefrontImages(product: any): string[] {
+  const imageSet = new Set<string>();
+
+  const addImages = (items: any[]) => {
+    items.forEach(item => {
+      if (typeof item === 'string') {
+        imageSet.add(`https://commerce.zoho.com${item}`);
+      } else if (item?.url) {
+        imageSet.add(`https://commerce.zoho.com${item.url}`);
+      }
+    });
+  };
+
+  const addDocumentImages = (docs: any[]) => {
+    docs.forEach(doc => {
+      if (doc?.file_name && isImageFile(doc.file_name) && doc.document_id) {
+        imageSet.add(`https://us.zohocommercecdn.com/product-images/${doc.file_name}/${doc.document_id}?storefront_domain=${STORE_DOMAIN()}`);
+      }
+    });
+  };
+
+  if (Array.isArray(product.images)) addImages(product.images);
+  if (Array.isArray(product.documents)) addDocumentImages(product.documents);
+
+  if (Array.isArray(product.variants)) {
+    product.variants.forEach((variant: any) => {
+      if (Array.isArray(variant.images)) addImages(variant.images);
+      if (Array.isArray(variant.documents)) addDocumentImages(variant.documents);
+    });
+  }
+
+  return Array.from(imageSet);
+}
+
+/**
+ * Image URLs from Store API product documents (fallback when Storefront is unavailable)
+ */
+function extractImages(product: any): string[] {
+  const images: string[] = [];
+
+  if (Array.isArray(product.documents)) {
+    product.documents.forEach((doc: any) => {
+      if (doc?.file_name && isImageFile(doc.file_name) && doc.document_id) {
+        images.push(`https://us.zohocommercecdn.com/product-images/${doc.file_name}/${doc.document_id}/400x400?storefront_domain=${STORE_DOMAIN()}`);
+      }
+    });
+  }
+
+  return images;
+}
+
+function isImageFile(filename: string): boolean {
+  return !!filename && /\.(jpg|jpeg|png|gif|webp|bmp|svg)$/i.test(filename);
+}
+
+/**
+ * Zoho stock values arrive as numbers, numeric strings or empty strings
+ */
+function parseStock(stockValue: any): number {
+  if (stockValue === null || stockValue === undefined || stockValue === '') return 0;
+  const parsed = typeof stockValue === 'string' ? parseFloat(stockValue) : Number(stockValue);
+  return isNaN(parsed) ? 0 : Math.max(0, parsed);
+}
+
+interface ZohoInventoryItem {
+  item_id: string;
+  name: string;
+  sku?: string;
+  description?: string;
+  rate: string | number;
+  status: string;
+  stock_on_hand?: string | number;
+  available_stock?: string | number;
+  available_for_sale_stock?: string | number;
+  reserved_stock?: string | number;
+  // 'inventory' items are stock-tracked; 'sales' and service items are not
+  item_type?: string;
+  product_type?: string;
+  // Composite items, which the storefront sells as bundles
+  is_combo_product?: boolean;
+  // Items in an item group are variants of one product, told apart by up to three attributes
+  group_id?: string;
+  group_name?: string;
+  attribute_name1?: string;
+  attribute_option_name1?: string;
+  attribute_name2?: string;
+  attribute_option_name2?: string;
+  attribute_name3?: string;
+  attribute_option_name3?: string;
+  is_taxable?: boolean;
+  weight?: string | number;
+  weight_unit?: string;
+  package_details?: {
+    weight?: string | number;
+    weight_unit?: string;
+  };
+  cf_display_in_app?: string | boolean;
+  cf_display_in_app_unformatted?: boolean;
+  cf_tax_class?: string;
+  cf_tax_class_unformatted?: string;
+  // "month" or "year" on data plan items, which are sold as subscriptions
+  cf_billing_interval?: string;
+  cf_billing_interval_unformatted?: string;
+  images?: Array<{
+    image_id: string;
+    image_name: string;
+    image_document_id: string;
+    attachment_order: number;
+  }>;
+  custom_fields?: Array<{
+    customfield_id: string;
+    value: string | boolean | number;
+    label?: string;
+    field_name?: string;
+    data_type?: string;
+  }>;
+  created_time?: string;
+  last_modified_time?: string;
+  vendor_id?: string;
+  vendor_name?: string;
+  locations?: Array<{
+    location_id: string;
+    location_name: string;
+    status: string;
+    location_stock_on_hand: string;
+    location_available_stock: string;
+  }>;
+}
+
+interface ZohoCompositeItem {
+  composite_item_id: string;
+  name: string;
+  sku?: string;
+  rate: string | number;
+  status: string;
+  mapped_items: Array<{
+    item_id: string;
+    name: string;
+    sku?: string;
+    quantity: string | number;
+    rate?: string | number;
+  }>;
+}
+
+interface ZohoItemListOptions {
+  page?: number;
+  perPage?: number;
+  sortColumn?: 'name' | 'sku' | 'rate' | 'created_time' | 'last_modified_time';
+  // A = ascending, D = descending
+  sortOrder?: 'A' | 'D';
+}
+
+interface ZohoDeskContact {
+  email: string;
+  firstName?: string;
+  lastName: string;
+  phone?: string;
+}
+
+interface ZohoDeskTicketInput {
+  subject: string;
+  description: string;
+  contact: ZohoDeskContact;
+  priority?: 'High' | 'Medium' | 'Low';
+  category?: string;
+  classification?: string;
+  channel?: string;
+  cf?: Record<string, string>;
+}
+
+interface ZohoDeskTicket {
+  id: string;
+  ticketNumber: string;
+  subject: string;
+  status: string;
+  webUrl?: string;
+  createdTime?: string;
+}
+
+interface ZohoDeskKbCategory {
+  id: string;
+  name: string;
+  parentCategoryId?: string | null;
+  child?: ZohoDeskKbCategory[];
+}
+
+interface ZohoDeskArticleSummary {
+  id: string;
+  title: string;
+  summary?: string;
+  permalink?: string;
+  status: string;
+  categoryId: string;
+  latestVersion?: string;
+  createdTime: string;
+  modifiedTime: string;
+  viewCount?: string | number;
+  likeCount?: string | number;
+  dislikeCount?: string | number;
+}
+
+interface ZohoDeskArticle extends ZohoDeskArticleSummary {
+  answer: string;
+  tags?: Array<string | { name: string }>;
+  attachments?: Array<{ name: string; size?: string | number; href?: string; viewUrl?: string; downloadUrl?: string }>;
+  webUrl?: string;
+}
+
+// Export singleton instance
+export const zoho = new ZohoClient();
+
+export {
+  ZohoError,
+  ZohoApiError,
+  ZohoAuthError,
+  ZohoNotFoundError,
+  ZohoRateLimitError,
+  ZohoTimeoutError,
+  ZohoConfigError,
+  extractStorefrontImages,
+  extractImages,
+  parseStock
+};
+
+// Export types for other modules
+export type {
+  ZohoServiceName,
+  ZohoRequestOptions,
+  ZohoDownload,
+  RequestTrace,
+  ZohoInventoryItem,
+  ZohoCompositeItem,
+  ZohoItemListOptions,
+  ZohoDeskContact,
+  ZohoDeskTicketInput,
+  ZohoDeskTicket,
+  ZohoDeskKbCategory,
+  ZohoDeskArticleSummary,
+  ZohoDeskArticle
+};
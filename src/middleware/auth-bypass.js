@@ -1,5 +1,11 @@
 // src/middleware/auth-bypass.js
-// Middleware to bypass authentication for public knowledge base endpoints
+// Middleware for public knowledge base endpoints, staff-only operational endpoints and customer accounts
+
+import { staffAuth } from '../lib/staff-auth';
+import { customerAccounts } from '../lib/customer-accounts';
+
+// HttpOnly cookie holding the customer's account session token (lib/customer-accounts)
+const ACCOUNT_COOKIE = 'tdw_account';
 
 /**
  * Authentication bypass middleware for knowledge base endpoints
@@ -87,19 +93,117 @@ export function withConditionalAuth(handler, options = {}) {
 }
 
 /**
- * Token validation function (implement based on your auth system)
+ * Staff member for a bearer token (session token or staff API key), or null
  */
 async function validateToken(token) {
   try {
-    // Implement your token validation logic here
-    // This is a placeholder that always returns null (no auth required for now)
-    return null;
+    return staffAuth.authenticate(token);
   } catch (error) {
     console.error('Token validation error:', error);
     return null;
   }
 }
 
+/**
+ * Staff-only endpoints (reports, sync, replays, refunds). Expects `Authorization: Bearer <token>` with a
+ * staff session token or API key (lib/staff-auth). `role` is the least role allowed, or a role per method:
+ *   export default withStaffAuth(handler, { GET: 'read-only', POST: 'support' });
+ */
+export function withStaffAuth(handler, role) {
+  return async function staffAuthHandler(req, res) {
+    if (!staffAuth.isConfigured()) {
+      return res.status(503).json({
+        error: 'Staff access not configured',
+        message: 'Set STAFF_API_KEYS or ADMIN_API_KEY to enable this endpoint'
+      });
+    }
+
+    const requiredRole = typeof role === 'string' ? role : role[req.method];
+    if (!requiredRole) {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const authHeader = req.headers.authorization || '';
+    const staff = authHeader.startsWith('Bearer ') ? staffAuth.authenticate(authHeader.substring(7)) : null;
+
+    if (!staff) {
+      console.warn(`🔒 Rejected staff request: ${req.method} ${req.url}`);
+      return res.status(401).json({
+        error: 'Authentication required',
+        message: 'Please provide a valid staff session token or API key'
+      });
+    }
+
+    if (!staffAuth.hasRole(staff, requiredRole)) {
+      console.warn(`🔒 ${staff.name} (${staff.role}) refused ${req.method} ${req.url}, needs ${requiredRole}`);
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `This action requires the ${requiredRole} role`
+      });
+    }
+
+    req.staff = staff;
+    return await handler(req, res);
+  };
+}
+
+/**
+ * Diagnostic routes that call live Zoho with our credentials: admins only, and not served at all in
+ * production unless ENABLE_DIAGNOSTIC_ROUTES=true
+ */
+export function withDiagnostics(handler) {
+  const protectedHandler = withStaffAuth(handler, 'admin');
+
+  return async function diagnosticsHandler(req, res) {
+    if (process.env.NODE_ENV === 'production' && process.env.ENABLE_DIAGNOSTIC_ROUTES !== 'true') {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    return await protectedHandler(req, res);
+  };
+}
+
+/**
+ * Customer account endpoints: sets req.account from the session cookie, or answers 401 when there is no
+ * valid session. With { optional: true } the handler also runs signed out, with req.account null.
+ */
+export function withCustomerSession(handler, options = {}) {
+  return async function customerSessionHandler(req, res) {
+    const token = req.cookies?.[ACCOUNT_COOKIE];
+    const account = token ? await customerAccounts.getSession(token) : null;
+
+    if (!account && token) clearAccountCookie(res);
+
+    if (!account && !options.optional) {
+      return res.status(401).json({
+        error: 'Sign in required',
+        code: 'SIGNED_OUT',
+        message: 'Please sign in to your account'
+      });
+    }
+
+    req.account = account;
+    req.accountSessionToken = account ? token : null;
+    return await handler(req, res);
+  };
+}
+
+/**
+ * Store a new account session in the cookie
+ */
+export function setAccountCookie(res, session) {
+  res.setHeader('Set-Cookie', accountCookie(session.token, customerAccounts.sessionMaxAgeSeconds()));
+}
+
+export function clearAccountCookie(res) {
+  res.setHeader('Set-Cookie', accountCookie('', 0));
+}
+
+function accountCookie(value, maxAge) {
+  const secure = process.env.NODE_ENV === 'production' ? '; Secure' : '';
+  return `${ACCOUNT_COOKIE}=${value}; Path=/; Max-Age=${maxAge}; HttpOnly; SameSite=Lax${secure}`;
+}
+
 /**
  * Error handler wrapper for public endpoints
  */
@@ -0,0 +1,47 @@
+// src/middleware/rate-limit.js
+// Rate limiting for public API routes (policies and counting live in lib/rate-limit)
+
+import { rateLimiter } from '../lib/rate-limit';
+import { getClientIp } from '../lib/request-utils';
+
+/**
+ * Limit a Next.js API handler by client IP under a named policy:
+ *   export default withRateLimit(handler, 'checkout');
+ * Every response carries RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset and RateLimit-Policy;
+ * requests over the limit get a 429 with Retry-After and never reach the handler.
+ */
+export function withRateLimit(handler, policy) {
+  return async function rateLimitedHandler(req, res) {
+    // CORS preflights aren't real requests
+    if (req.method === 'OPTIONS') {
+      return await handler(req, res);
+    }
+
+    let result;
+    try {
+      result = await rateLimiter.hit(policy, getClientIp(req));
+    } catch (error) {
+      // Fail open rather than take the route down with the limiter
+      console.error(`Rate limiter error on ${req.url}:`, error);
+      return await handler(req, res);
+    }
+
+    res.setHeader('RateLimit-Limit', String(result.limit));
+    res.setHeader('RateLimit-Remaining', String(result.remaining));
+    res.setHeader('RateLimit-Reset', String(result.resetSeconds));
+    res.setHeader('RateLimit-Policy', `${result.limit};w=${result.windowSeconds}`);
+
+    if (!result.allowed) {
+      console.warn(`🚦 Rate limited (${policy}): ${req.method} ${req.url}`);
+      res.setHeader('Retry-After', String(result.resetSeconds));
+      return res.status(429).json({
+        error: 'Rate limit exceeded',
+        code: 'RATE_LIMITED',
+        message: `Too many requests. Please try again in ${result.resetSeconds} seconds.`,
+        retryAfter: result.resetSeconds
+      });
+    }
+
+    return await handler(req, res);
+  };
+}
@@ -1,9 +1,12 @@
 // src/pages/_app.tsx
 import type { AppProps } from 'next/app'
 import { Analytics } from '@vercel/analytics/next'
+import { useCartSync } from '../hooks/useCartSync'
 import '../styles/globals.css'
 
 export default function App({ Component, pageProps }: AppProps) {
+  useCartSync()
+
   return (
     <>
       <Component {...pageProps} />
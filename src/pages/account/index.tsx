@@ -0,0 +1,316 @@
+// src/pages/account/index.tsx - Customer account: orders, saved shipping addresses and password
+import React, { useCallback, useEffect, useState } from 'react';
+import { useRouter } from 'next/router';
+import Head from 'next/head';
+import Layout from '../../components/Layout';
+import type { CustomerAccount, SavedAddress, AccountOrder } from '../../lib/customer-accounts';
+import { User, Package, MapPin, KeyRound, LogOut, Loader2, Trash2, Star, AlertCircle, CheckCircle } from 'lucide-react';
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-travel-blue';
+
+const EMPTY_ADDRESS = { label: '', address1: '', address2: '', city: '', state: '', zipCode: '', country: 'US' };
+
+const STATUS_LABELS: Record<AccountOrder['status'], string> = {
+  pending: 'Pending',
+  processing: 'Processing',
+  shipped: 'Shipped',
+  delivered: 'Delivered',
+  cancelled: 'Cancelled'
+};
+
+const AccountPage: React.FC = () => {
+  const router = useRouter();
+  const [account, setAccount] = useState<CustomerAccount | null>(null);
+  const [orders, setOrders] = useState<AccountOrder[] | null>(null);
+  const [ordersError, setOrdersError] = useState<string | null>(null);
+  const [newAddress, setNewAddress] = useState(EMPTY_ADDRESS);
+  const [showAddressForm, setShowAddressForm] = useState(false);
+  const [passwords, setPasswords] = useState({ currentPassword: '', newPassword: '' });
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState<{ type: 'error' | 'success'; text: string } | null>(null);
+
+  /**
+   * Call an account endpoint; a 401 means the session ended, so go back to sign-in
+   */
+  const callApi = useCallback(async (url: string, init: RequestInit = {}) => {
+    const response = await fetch(url, { ...init, headers: { 'Content-Type': 'application/json' } });
+    const result = await response.json().catch(() => ({}));
+
+    if (response.status === 401) {
+      router.replace('/account/login?next=/account');
+      return null;
+    }
+    if (!response.ok) throw new Error(result.error || 'Request failed');
+    return result;
+  }, [router]);
+
+  useEffect(() => {
+    fetch('/api/account')
+      .then(response => response.json())
+      .then(result => {
+        if (!result.account) {
+          router.replace('/account/login?next=/account');
+          return;
+        }
+        setAccount(result.account);
+      })
+      .catch(loadError => {
+        console.error('Loading account failed:', loadError);
+        setMessage({ type: 'error', text: 'Unable to load your account right now.' });
+      });
+  }, [router]);
+
+  useEffect(() => {
+    if (!account) return;
+
+    callApi('/api/account/orders')
+      .then(result => result && setOrders(result.orders))
+      .catch(loadError => setOrdersError(loadError.message));
+  }, [account?.accountId, callApi]); // only when the signed-in account changes
+
+  /**
+   * Run an account change and show its outcome; the response carries the updated addresses or account
+   */
+  const update = async (url: string, init: RequestInit, success: string) => {
+    setBusy(true);
+    setMessage(null);
+
+    try {
+      const result = await callApi(url, init);
+      if (!result) return false;
+
+      if (result.account) setAccount(result.account);
+      else if (result.addresses && account) setAccount({ ...account, addresses: result.addresses });
+      setMessage({ type: 'success', text: success });
+      return true;
+    } catch (updateError: any) {
+      setMessage({ type: 'error', text: updateError.message });
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAddAddress = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const saved = await update('/api/account/addresses', { method: 'POST', body: JSON.stringify(newAddress) }, 'Address saved');
+    if (saved) {
+      setNewAddress(EMPTY_ADDRESS);
+      setShowAddressForm(false);
+    }
+  };
+
+  const handlePasswordChange = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const changed = await update('/api/account/password', { method: 'POST', body: JSON.stringify(passwords) }, 'Password updated');
+    if (changed) setPasswords({ currentPassword: '', newPassword: '' });
+  };
+
+  const handleSignOut = async () => {
+    await fetch('/api/account/logout', { method: 'POST' }).catch(() => null);
+    router.push('/');
+  };
+
+  const formatAddress = (address: SavedAddress) =>
+    [address.address1, address.address2, `${address.city}, ${address.state} ${address.zipCode}`].filter(Boolean).join(', ');
+
+  if (!account) {
+    return (
+      <Layout title="Your Account - Travel Data WiFi">
+        <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+          {message ? <p className="text-red-600">{message.text}</p> : <Loader2 className="h-8 w-8 animate-spin text-travel-blue" />}
+        </div>
+      </Layout>
+    );
+  }
+
+  return (
+    <Layout title="Your Account - Travel Data WiFi">
+      <Head>
+        <meta name="robots" content="noindex" />
+      </Head>
+
+      <div className="min-h-screen bg-gray-50 py-12">
+        <div className="max-w-3xl mx-auto px-4 space-y-6">
+          <div className="flex items-center justify-between">
+            <div className="flex items-center space-x-3">
+              <User className="h-8 w-8 text-travel-blue" />
+              <div>
+                <h1 className="text-2xl font-bold text-gray-900">{account.firstName} {account.lastName}</h1>
+                <p className="text-sm text-gray-600">{account.email}</p>
+              </div>
+            </div>
+            <button onClick={handleSignOut} className="flex items-center space-x-1 text-sm text-gray-600 hover:text-gray-900">
+              <LogOut className="h-4 w-4" />
+              <span>Sign out</span>
+            </button>
+          </div>
+
+          {message && (
+            <div className={`flex items-start space-x-2 rounded-lg border p-3 text-sm ${
+              message.type === 'error' ? 'border-red-200 bg-red-50 text-red-700' : 'border-green-200 bg-green-50 text-green-700'
+            }`}>
+              {message.type === 'error' ? <AlertCircle className="h-4 w-4 mt-0.5 flex-shrink-0" /> : <CheckCircle className="h-4 w-4 mt-0.5 flex-shrink-0" />}
+              <span>{message.text}</span>
+            </div>
+          )}
+
+          {/* Orders */}
+          <section className="bg-white rounded-lg shadow p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+              <Package className="h-5 w-5 mr-2 text-travel-blue" />
+              Your orders
+            </h2>
+
+            {ordersError ? (
+              <p className="text-sm text-red-600">{ordersError}</p>
+            ) : !orders ? (
+              <Loader2 className="h-5 w-5 animate-spin text-gray-400" />
+            ) : orders.length === 0 ? (
+              <p className="text-sm text-gray-600">No orders yet. Orders placed with {account.email} will show up here.</p>
+            ) : (
+              <div className="divide-y divide-gray-100">
+                {orders.map(order => (
+                  <div key={order.orderId} className="py-3 flex items-center justify-between">
+                    <div>
+                      <p className="font-medium text-gray-900">{order.orderNumber}</p>
+                      <p className="text-sm text-gray-600">
+                        {new Date(order.placedAt).toLocaleDateString()} · {STATUS_LABELS[order.status]}
+                      </p>
+                    </div>
+                    <div className="text-right">
+                      <p className="font-medium text-gray-900">
+                        {order.total.toLocaleString('en-US', { style: 'currency', currency: order.currency })}
+                      </p>
+                      {order.token && (
+                        <a
+                          href={`/order/${encodeURIComponent(order.orderId)}?token=${encodeURIComponent(order.token)}`}
+                          className="text-sm text-travel-blue hover:underline"
+                        >
+                          View order
+                        </a>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </section>
+
+          {/* Saved addresses */}
+          <section className="bg-white rounded-lg shadow p-6">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+                <MapPin className="h-5 w-5 mr-2 text-travel-blue" />
+                Shipping addresses
+              </h2>
+              {!showAddressForm && (
+                <button onClick={() => setShowAddressForm(true)} className="text-sm text-travel-blue hover:underline">
+                  Add address
+                </button>
+              )}
+            </div>
+
+            {account.addresses.length === 0 && !showAddressForm && (
+              <p className="text-sm text-gray-600">Save an address to fill it in at checkout.</p>
+            )}
+
+            <div className="divide-y divide-gray-100">
+              {account.addresses.map(address => (
+                <div key={address.addressId} className="py-3 flex items-start justify-between">
+                  <div>
+                    <p className="font-medium text-gray-900">
+                      {address.label || 'Address'}
+                      {address.isDefault && <span className="ml-2 text-xs uppercase text-green-600">Default</span>}
+                    </p>
+                    <p className="text-sm text-gray-600">{formatAddress(address)}</p>
+                  </div>
+                  <div className="flex items-center space-x-3">
+                    {!address.isDefault && (
+                      <button
+                        onClick={() => update(`/api/account/addresses/${address.addressId}`, { method: 'PUT', body: JSON.stringify({ isDefault: true }) }, 'Default address updated')}
+                        disabled={busy}
+                        className="text-gray-400 hover:text-travel-blue"
+                        aria-label="Make default"
+                      >
+                        <Star className="h-4 w-4" />
+                      </button>
+                    )}
+                    <button
+                      onClick={() => update(`/api/account/addresses/${address.addressId}`, { method: 'DELETE' }, 'Address removed')}
+                      disabled={busy}
+                      className="text-gray-400 hover:text-red-600"
+                      aria-label="Remove address"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            {showAddressForm && (
+              <form onSubmit={handleAddAddress} className="mt-4 space-y-3">
+                <input type="text" value={newAddress.label} onChange={e => setNewAddress({ ...newAddress, label: e.target.value })} placeholder="Label, e.g. Home or RV (optional)" className={inputClass} />
+                <input type="text" required value={newAddress.address1} onChange={e => setNewAddress({ ...newAddress, address1: e.target.value })} placeholder="Street address" className={inputClass} />
+                <input type="text" value={newAddress.address2} onChange={e => setNewAddress({ ...newAddress, address2: e.target.value })} placeholder="Apartment, suite, etc. (optional)" className={inputClass} />
+                <div className="grid grid-cols-3 gap-3">
+                  <input type="text" required value={newAddress.city} onChange={e => setNewAddress({ ...newAddress, city: e.target.value })} placeholder="City" className={inputClass} />
+                  <input type="text" required value={newAddress.state} onChange={e => setNewAddress({ ...newAddress, state: e.target.value })} placeholder="State" className={inputClass} />
+                  <input type="text" required value={newAddress.zipCode} onChange={e => setNewAddress({ ...newAddress, zipCode: e.target.value })} placeholder="ZIP code" className={inputClass} />
+                </div>
+                <div className="flex justify-end space-x-3">
+                  <button type="button" onClick={() => setShowAddressForm(false)} className="px-4 py-2 text-sm text-gray-600 hover:text-gray-900">
+                    Cancel
+                  </button>
+                  <button type="submit" disabled={busy} className="px-4 py-2 text-sm bg-travel-blue text-white rounded-lg font-semibold hover:bg-blue-700 disabled:opacity-50">
+                    Save address
+                  </button>
+                </div>
+              </form>
+            )}
+          </section>
+
+          {/* Password */}
+          <section className="bg-white rounded-lg shadow p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+              <KeyRound className="h-5 w-5 mr-2 text-travel-blue" />
+              {account.hasPassword ? 'Change password' : 'Set a password'}
+            </h2>
+            {!account.hasPassword && (
+              <p className="text-sm text-gray-600 mb-3">You sign in with email links. Set a password to sign in without checking your email.</p>
+            )}
+            <form onSubmit={handlePasswordChange} className="space-y-3">
+              {account.hasPassword && (
+                <input
+                  type="password"
+                  required
+                  value={passwords.currentPassword}
+                  onChange={e => setPasswords({ ...passwords, currentPassword: e.target.value })}
+                  placeholder="Current password"
+                  autoComplete="current-password"
+                  className={inputClass}
+                />
+              )}
+              <input
+                type="password"
+                required
+                minLength={8}
+                value={passwords.newPassword}
+                onChange={e => setPasswords({ ...passwords, newPassword: e.target.value })}
+                placeholder="New password (at least 8 characters)"
+                autoComplete="new-password"
+                className={inputClass}
+              />
+              <button type="submit" disabled={busy} className="px-4 py-2 text-sm bg-travel-blue text-white rounded-lg font-semibold hover:bg-blue-700 disabled:opacity-50">
+                {account.hasPassword ? 'Change password' : 'Set password'}
+              </button>
+            </form>
+          </section>
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default AccountPage;
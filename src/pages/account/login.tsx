@@ -0,0 +1,247 @@
+// src/pages/account/login.tsx - Customer sign-in, email-link sign-in and sign-up
+// Links from account emails land here with ?token=, which is exchanged for a session before moving on
+// to ?next= (a path on this site) or the account page. A verification link first asks for the password
+// chosen at sign-up.
+import React, { useEffect, useState } from 'react';
+import { useRouter } from 'next/router';
+import Head from 'next/head';
+import Layout from '../../components/Layout';
+import { User, Mail, KeyRound, Loader2, CheckCircle, AlertCircle } from 'lucide-react';
+
+type Mode = 'password' | 'link' | 'register' | 'confirm';
+
+const inputClass = 'w-full border border-gray-300 rounded-lg px-4 py-3 focus:ring-2 focus:ring-travel-blue focus:border-transparent';
+
+// Only follow redirects to paths on this site
+function safeNext(next: unknown): string {
+  return typeof next === 'string' && next.startsWith('/') && !next.startsWith('//') ? next : '/account';
+}
+
+// A full page load rather than a client-side route change, so the cart sync in _app runs again with the
+// new session and picks up the account's cart from other devices
+function continueSignedIn(next: unknown): void {
+  window.location.assign(safeNext(next));
+}
+
+const AccountLoginPage: React.FC = () => {
+  const router = useRouter();
+  const [mode, setMode] = useState<Mode>('password');
+  const [form, setForm] = useState({ email: '', password: '', firstName: '', lastName: '' });
+  const [submitting, setSubmitting] = useState(false);
+  const [verifying, setVerifying] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [notice, setNotice] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!router.isReady || typeof router.query.token !== 'string') return;
+
+    const token = router.query.token;
+    setVerifying(true);
+
+    fetch('/api/account/verify', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token })
+    })
+      .then(async response => {
+        const result = await response.json().catch(() => ({}));
+        if (result.code === 'PASSWORD_REQUIRED') {
+          setMode('confirm');
+          return;
+        }
+        if (!response.ok) {
+          setError(result.error || 'This link could not be used.');
+          setMode('link');
+          return;
+        }
+        continueSignedIn(router.query.next);
+      })
+      .catch(verifyError => {
+        console.error('Account link failed:', verifyError);
+        setError('Unable to sign you in right now. Please try again.');
+      })
+      .finally(() => setVerifying(false));
+  }, [router.isReady, router.query.token, router]);
+
+  const switchMode = (next: Mode) => {
+    setMode(next);
+    setError(null);
+    setNotice(null);
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    setNotice(null);
+
+    const requests: Record<Mode, { url: string; body: Record<string, string> }> = {
+      password: { url: '/api/account/login', body: { email: form.email, password: form.password } },
+      link: { url: '/api/account/sign-in-link', body: { email: form.email } },
+      register: { url: '/api/account/register', body: form },
+      confirm: { url: '/api/account/verify', body: { token: String(router.query.token || ''), password: form.password } }
+    };
+
+    try {
+      const { url, body } = requests[mode];
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      const result = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        setError(result.error || 'Something went wrong. Please try again.');
+        return;
+      }
+
+      if (mode === 'password' || mode === 'confirm') {
+        continueSignedIn(router.query.next);
+        return;
+      }
+
+      setNotice(result.message);
+      setForm(current => ({ ...current, password: '' }));
+    } catch (submitError) {
+      console.error('Account request failed:', submitError);
+      setError('Unable to reach the server. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const headings: Record<Mode, { title: string; intro: string; submit: string }> = {
+    password: { title: 'Sign in', intro: 'See your orders and check out faster with saved addresses.', submit: 'Sign in' },
+    link: { title: 'Email me a sign-in link', intro: "We'll send a link that signs you in without a password.", submit: 'Send link' },
+    register: { title: 'Create an account', intro: 'Orders you placed as a guest with this email show up once you confirm it.', submit: 'Create account' },
+    confirm: { title: 'Confirm your email', intro: 'Enter the password you chose when you signed up.', submit: 'Confirm and sign in' }
+  };
+
+  return (
+    <Layout title="Your Account - Travel Data WiFi">
+      <Head>
+        <meta name="robots" content="noindex" />
+      </Head>
+
+      <div className="min-h-screen bg-gray-50 py-12">
+        <div className="max-w-md mx-auto px-4">
+          <div className="bg-white rounded-lg shadow-lg p-8">
+            {verifying ? (
+              <div className="text-center py-8">
+                <Loader2 className="h-8 w-8 animate-spin text-travel-blue mx-auto mb-4" />
+                <p className="text-gray-600">Signing you in...</p>
+              </div>
+            ) : (
+              <>
+                <div className="text-center mb-6">
+                  <User className="h-12 w-12 text-travel-blue mx-auto mb-4" />
+                  <h1 className="text-2xl font-bold text-gray-900 mb-2">{headings[mode].title}</h1>
+                  <p className="text-gray-600">{headings[mode].intro}</p>
+                </div>
+
+                {error && (
+                  <div className="mb-4 flex items-start space-x-2 rounded-lg border border-red-200 bg-red-50 p-3 text-sm text-red-700">
+                    <AlertCircle className="h-4 w-4 mt-0.5 flex-shrink-0" />
+                    <span>{error}</span>
+                  </div>
+                )}
+
+                {notice && (
+                  <div className="mb-4 flex items-start space-x-2 rounded-lg border border-green-200 bg-green-50 p-3 text-sm text-green-700">
+                    <CheckCircle className="h-4 w-4 mt-0.5 flex-shrink-0" />
+                    <span>{notice}</span>
+                  </div>
+                )}
+
+                <form onSubmit={handleSubmit} className="space-y-4">
+                  {mode === 'register' && (
+                    <div className="grid grid-cols-2 gap-3">
+                      <input
+                        type="text"
+                        required
+                        value={form.firstName}
+                        onChange={e => setForm({ ...form, firstName: e.target.value })}
+                        placeholder="First name"
+                        autoComplete="given-name"
+                        className={inputClass}
+                      />
+                      <input
+                        type="text"
+                        required
+                        value={form.lastName}
+                        onChange={e => setForm({ ...form, lastName: e.target.value })}
+                        placeholder="Last name"
+                        autoComplete="family-name"
+                        className={inputClass}
+                      />
+                    </div>
+                  )}
+
+                  {mode !== 'confirm' && (
+                    <input
+                      type="email"
+                      required
+                      value={form.email}
+                      onChange={e => setForm({ ...form, email: e.target.value })}
+                      placeholder="Email address"
+                      autoComplete="email"
+                      className={inputClass}
+                    />
+                  )}
+
+                  {mode !== 'link' && (
+                    <input
+                      type="password"
+                      required
+                      minLength={mode === 'register' ? 8 : undefined}
+                      value={form.password}
+                      onChange={e => setForm({ ...form, password: e.target.value })}
+                      placeholder={mode === 'register' ? 'Password (at least 8 characters)' : 'Password'}
+                      autoComplete={mode === 'register' ? 'new-password' : 'current-password'}
+                      className={inputClass}
+                    />
+                  )}
+
+                  <button
+                    type="submit"
+                    disabled={submitting}
+                    className="w-full flex items-center justify-center space-x-2 bg-travel-blue text-white py-3 rounded-lg font-semibold hover:bg-blue-700 transition-colors disabled:opacity-50"
+                  >
+                    {submitting && <Loader2 className="h-4 w-4 animate-spin" />}
+                    <span>{headings[mode].submit}</span>
+                  </button>
+                </form>
+
+                <div className="mt-6 space-y-2 text-center text-sm">
+                  {mode !== 'link' && (
+                    <button onClick={() => switchMode('link')} className="flex items-center justify-center space-x-1 w-full text-travel-blue hover:underline">
+                      <Mail className="h-4 w-4" />
+                      <span>Sign in with an email link instead</span>
+                    </button>
+                  )}
+                  {mode !== 'password' && mode !== 'confirm' && (
+                    <button onClick={() => switchMode('password')} className="flex items-center justify-center space-x-1 w-full text-travel-blue hover:underline">
+                      <KeyRound className="h-4 w-4" />
+                      <span>Sign in with your password</span>
+                    </button>
+                  )}
+                  {mode !== 'register' && mode !== 'confirm' && (
+                    <p className="text-gray-600">
+                      New here?{' '}
+                      <button onClick={() => switchMode('register')} className="text-travel-blue hover:underline">
+                        Create an account
+                      </button>
+                    </p>
+                  )}
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default AccountLoginPage;
@@ -0,0 +1,269 @@
+// src/pages/admin/diagnostics.tsx - Staff console for the Zoho and Stripe integration checks
+// Signs in with a staff API key (exchanged for a session token kept in sessionStorage) and runs the
+// checks registered in lib/diagnostics through /api/diagnostics, which requires the admin role.
+import React, { useCallback, useEffect, useState } from 'react';
+import Head from 'next/head';
+import Layout from '../../components/Layout';
+import { CheckCircle, AlertTriangle, XCircle, MinusCircle, Loader2, Play, LogOut, Stethoscope } from 'lucide-react';
+
+type CheckStatus = 'pass' | 'warn' | 'fail' | 'skip';
+
+interface CheckInfo {
+  id: string;
+  label: string;
+  group: string;
+}
+
+interface CheckResult extends CheckInfo {
+  status: CheckStatus;
+  message: string;
+  remediation?: string;
+  details?: Record<string, unknown>;
+  durationMs: number;
+}
+
+interface DiagnosticsReport {
+  status: Exclude<CheckStatus, 'skip'>;
+  summary: Record<CheckStatus, number>;
+  checks: CheckResult[];
+  startedAt: string;
+  durationMs: number;
+}
+
+const TOKEN_KEY = 'staff_token';
+
+const STATUS_STYLES: Record<CheckStatus, { icon: React.ElementType; className: string; label: string }> = {
+  pass: { icon: CheckCircle, className: 'text-green-600', label: 'Pass' },
+  warn: { icon: AlertTriangle, className: 'text-yellow-600', label: 'Warning' },
+  fail: { icon: XCircle, className: 'text-red-600', label: 'Fail' },
+  skip: { icon: MinusCircle, className: 'text-gray-400', label: 'Skipped' }
+};
+
+const DiagnosticsPage: React.FC = () => {
+  const [token, setToken] = useState<string | null>(null);
+  const [apiKey, setApiKey] = useState('');
+  const [checks, setChecks] = useState<CheckInfo[]>([]);
+  const [results, setResults] = useState<Record<string, CheckResult>>({});
+  const [report, setReport] = useState<DiagnosticsReport | null>(null);
+  const [running, setRunning] = useState<string[]>([]);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    setToken(sessionStorage.getItem(TOKEN_KEY));
+  }, []);
+
+  const signOut = useCallback((message: string | null = null) => {
+    sessionStorage.removeItem(TOKEN_KEY);
+    setToken(null);
+    setChecks([]);
+    setResults({});
+    setReport(null);
+    setError(message);
+  }, []);
+
+  /**
+   * Call /api/diagnostics; returns null (after showing why) when the request was refused
+   */
+  const callApi = useCallback(async (init: RequestInit = {}) => {
+    const response = await fetch('/api/diagnostics', {
+      ...init,
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` }
+    });
+    const result = await response.json().catch(() => ({}));
+
+    if (response.status === 401) {
+      signOut('Your session has expired. Please sign in again.');
+      return null;
+    }
+    if (response.status === 404) {
+      setError('Diagnostics are turned off in production. Set ENABLE_DIAGNOSTIC_ROUTES=true to use this console.');
+      return null;
+    }
+    if (!response.ok) {
+      setError(result.message || result.error || 'Diagnostics request failed');
+      return null;
+    }
+    return result;
+  }, [token, signOut]);
+
+  useEffect(() => {
+    if (!token) return;
+
+    callApi().then(result => {
+      if (result) setChecks(result.checks);
+    }).catch(loadError => {
+      console.error('Loading diagnostics failed:', loadError);
+      setError('Unable to load the list of checks');
+    });
+  }, [token, callApi]);
+
+  const handleSignIn = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError(null);
+
+    try {
+      const response = await fetch('/api/staff/session', {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${apiKey}` }
+      });
+      const result = await response.json().catch(() => ({}));
+
+      // Without STAFF_SESSION_SECRET there are no sessions; the key itself is then the credential
+      const credential = response.ok ? result.token : result.code === 'NOT_CONFIGURED' ? apiKey : null;
+      if (!credential) {
+        setError(result.error || 'Sign-in failed');
+        return;
+      }
+
+      sessionStorage.setItem(TOKEN_KEY, credential);
+      setToken(credential);
+      setApiKey('');
+    } catch (signInError) {
+      console.error('Staff sign-in failed:', signInError);
+      setError('Unable to sign in right now');
+    }
+  };
+
+  const runChecks = async (ids: string[]) => {
+    setRunning(ids);
+    setError(null);
+
+    try {
+      const result = await callApi({ method: 'POST', body: JSON.stringify({ checks: ids }) });
+      if (!result) return;
+
+      const ran: DiagnosticsReport = result.report;
+      setResults(previous => ({ ...previous, ...Object.fromEntries(ran.checks.map(check => [check.id, check])) }));
+      if (ids.length === checks.length) setReport(ran);
+    } catch (runError) {
+      console.error('Diagnostics run failed:', runError);
+      setError('Running the checks failed');
+    } finally {
+      setRunning([]);
+    }
+  };
+
+  return (
+    <Layout title="Diagnostics - Travel Data WiFi">
+      <Head>
+        <meta name="robots" content="noindex, nofollow" />
+      </Head>
+
+      <div className="min-h-screen bg-gray-50 py-12">
+        <div className="max-w-4xl mx-auto px-4">
+          <div className="flex items-center justify-between mb-8">
+            <div className="flex items-center space-x-3">
+              <Stethoscope className="h-8 w-8 text-travel-blue" />
+              <h1 className="text-2xl font-bold text-gray-900">Integration diagnostics</h1>
+            </div>
+            {token && (
+              <button
+                onClick={() => signOut()}
+                className="flex items-center space-x-1 text-sm text-gray-600 hover:text-gray-900"
+              >
+                <LogOut className="h-4 w-4" />
+                <span>Sign out</span>
+              </button>
+            )}
+          </div>
+
+          {error && (
+            <div className="mb-6 flex items-start space-x-2 rounded-lg border border-red-200 bg-red-50 p-4 text-sm text-red-700">
+              <XCircle className="h-4 w-4 mt-0.5 flex-shrink-0" />
+              <span>{error}</span>
+            </div>
+          )}
+
+          {!token ? (
+            <form onSubmit={handleSignIn} className="bg-white rounded-lg shadow-lg p-8 max-w-md mx-auto space-y-4">
+              <p className="text-gray-600">Sign in with a staff API key that has the admin role.</p>
+              <input
+                type="password"
+                required
+                value={apiKey}
+                onChange={e => setApiKey(e.target.value)}
+                placeholder="Staff API key"
+                autoComplete="off"
+                className="w-full border border-gray-300 rounded-lg px-4 py-3 focus:ring-2 focus:ring-travel-blue focus:border-transparent"
+              />
+              <button
+                type="submit"
+                className="w-full bg-travel-blue text-white py-3 rounded-lg font-semibold hover:bg-blue-700 transition-colors"
+              >
+                Sign in
+              </button>
+            </form>
+          ) : (
+            <>
+              <div className="flex items-center justify-between mb-4">
+                <p className="text-sm text-gray-600">
+                  {report
+                    ? `${report.summary.pass} passed, ${report.summary.warn} warning(s), ${report.summary.fail} failed, ${report.summary.skip} skipped in ${(report.durationMs / 1000).toFixed(1)}s`
+                    : `${checks.length} checks`}
+                </p>
+                <button
+                  onClick={() => runChecks(checks.map(check => check.id))}
+                  disabled={running.length > 0 || checks.length === 0}
+                  className="flex items-center space-x-2 bg-travel-blue text-white px-4 py-2 rounded-lg font-semibold hover:bg-blue-700 transition-colors disabled:opacity-50"
+                >
+                  {running.length > 0 ? <Loader2 className="h-4 w-4 animate-spin" /> : <Play className="h-4 w-4" />}
+                  <span>Run all checks</span>
+                </button>
+              </div>
+
+              <div className="bg-white rounded-lg shadow divide-y divide-gray-100">
+                {checks.map(check => {
+                  const result = results[check.id];
+                  const style = result ? STATUS_STYLES[result.status] : null;
+                  const StatusIcon = style?.icon;
+                  const isRunning = running.includes(check.id);
+
+                  return (
+                    <div key={check.id} className="p-4">
+                      <div className="flex items-start justify-between">
+                        <div className="flex items-start space-x-3">
+                          {isRunning ? (
+                            <Loader2 className="h-5 w-5 mt-0.5 animate-spin text-gray-400" />
+                          ) : StatusIcon ? (
+                            <StatusIcon className={`h-5 w-5 mt-0.5 ${style.className}`} aria-label={style.label} />
+                          ) : (
+                            <MinusCircle className="h-5 w-5 mt-0.5 text-gray-200" />
+                          )}
+                          <div>
+                            <p className="font-medium text-gray-900">
+                              {check.label}
+                              <span className="ml-2 text-xs uppercase text-gray-400">{check.group}</span>
+                            </p>
+                            {result && <p className="text-sm text-gray-700">{result.message}</p>}
+                            {result?.remediation && (
+                              <p className="mt-1 text-sm text-gray-500">Fix: {result.remediation}</p>
+                            )}
+                            {result?.details && (
+                              <details className="mt-2 text-xs text-gray-500">
+                                <summary className="cursor-pointer">Details ({result.durationMs} ms)</summary>
+                                <pre className="mt-1 overflow-x-auto rounded bg-gray-50 p-2">{JSON.stringify(result.details, null, 2)}</pre>
+                              </details>
+                            )}
+                          </div>
+                        </div>
+                        <button
+                          onClick={() => runChecks([check.id])}
+                          disabled={running.length > 0}
+                          className="text-sm text-travel-blue hover:underline disabled:opacity-50"
+                        >
+                          Run
+                        </button>
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default DiagnosticsPage;
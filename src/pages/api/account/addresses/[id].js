@@ -0,0 +1,32 @@
+// src/pages/api/account/addresses/[id].js - One saved shipping address
+// PUT replaces fields of the address (e.g. { isDefault: true } makes it the default); DELETE removes it.
+
+import { customerAccounts, AccountError } from '../../../../lib/customer-accounts';
+import { withCustomerSession } from '../../../../middleware/auth-bypass';
+import { withRateLimit } from '../../../../middleware/rate-limit';
+
+async function handler(req, res) {
+  const { id } = req.query;
+
+  try {
+    if (req.method === 'PUT') {
+      const account = await customerAccounts.saveAddress(req.account.accountId, req.body || {}, String(id));
+      return res.status(200).json({ success: true, addresses: account.addresses });
+    }
+
+    if (req.method === 'DELETE') {
+      const account = await customerAccounts.deleteAddress(req.account.accountId, String(id));
+      return res.status(200).json({ success: true, addresses: account.addresses });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    if (error instanceof AccountError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error(`Address ${id} update failed:`, error);
+    return res.status(500).json({ error: 'Unable to update the address right now' });
+  }
+}
+
+export default withRateLimit(withCustomerSession(handler), 'general');
@@ -0,0 +1,29 @@
+// src/pages/api/account/addresses/index.js - Saved shipping addresses
+// GET lists them; POST { label?, address1, address2?, city, state, zipCode, country?, isDefault? } adds one.
+
+import { customerAccounts, AccountError } from '../../../../lib/customer-accounts';
+import { withCustomerSession } from '../../../../middleware/auth-bypass';
+import { withRateLimit } from '../../../../middleware/rate-limit';
+
+async function handler(req, res) {
+  if (req.method === 'GET') {
+    return res.status(200).json({ success: true, addresses: req.account.addresses });
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const account = await customerAccounts.saveAddress(req.account.accountId, req.body || {});
+    return res.status(201).json({ success: true, addresses: account.addresses });
+  } catch (error) {
+    if (error instanceof AccountError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('Saving address failed:', error);
+    return res.status(500).json({ error: 'Unable to save the address right now' });
+  }
+}
+
+export default withRateLimit(withCustomerSession(handler), 'general');
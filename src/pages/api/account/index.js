@@ -0,0 +1,37 @@
+// src/pages/api/account/index.js - The signed-in customer's account
+// GET returns the account, or { account: null } when signed out (checkout asks this to pre-fill).
+// PATCH { firstName?, lastName?, phone? } updates the profile.
+
+import { customerAccounts, AccountError } from '../../../lib/customer-accounts';
+import { withCustomerSession } from '../../../middleware/auth-bypass';
+import { withRateLimit } from '../../../middleware/rate-limit';
+
+async function handler(req, res) {
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method === 'GET') {
+    return res.status(200).json({ success: true, account: req.account });
+  }
+
+  if (req.method !== 'PATCH') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!req.account) {
+    return res.status(401).json({ error: 'Sign in required', code: 'SIGNED_OUT' });
+  }
+
+  try {
+    const { firstName, lastName, phone } = req.body || {};
+    const account = await customerAccounts.updateProfile(req.account.accountId, { firstName, lastName, phone });
+    return res.status(200).json({ success: true, account });
+  } catch (error) {
+    if (error instanceof AccountError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('Account update failed:', error);
+    return res.status(500).json({ error: 'Unable to update your account right now' });
+  }
+}
+
+export default withRateLimit(withCustomerSession(handler, { optional: true }), 'general');
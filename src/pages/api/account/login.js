@@ -0,0 +1,28 @@
+// src/pages/api/account/login.js - Customer sign-in with email and password
+// POST { email, password } starts a session in the account cookie.
+
+import { customerAccounts, AccountError } from '../../../lib/customer-accounts';
+import { setAccountCookie } from '../../../middleware/auth-bypass';
+import { withRateLimit } from '../../../middleware/rate-limit';
+
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { email, password } = req.body || {};
+
+  try {
+    const account = await customerAccounts.authenticate(email, password);
+    setAccountCookie(res, await customerAccounts.createSession(account.accountId));
+    return res.status(200).json({ success: true, account });
+  } catch (error) {
+    if (error instanceof AccountError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('Account sign-in failed:', error);
+    return res.status(500).json({ error: 'Unable to sign you in right now' });
+  }
+}
+
+export default withRateLimit(handler, 'account');
@@ -0,0 +1,16 @@
+// src/pages/api/account/logout.js - End the customer's session
+
+import { customerAccounts } from '../../../lib/customer-accounts';
+import { clearAccountCookie, withCustomerSession } from '../../../middleware/auth-bypass';
+
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  await customerAccounts.endSession(req.accountSessionToken);
+  clearAccountCookie(res);
+  return res.status(200).json({ success: true });
+}
+
+export default withCustomerSession(handler, { optional: true });
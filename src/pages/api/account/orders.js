@@ -0,0 +1,28 @@
+// src/pages/api/account/orders.js - Orders placed with the signed-in customer's email
+// Lists the Zoho sales orders of every contact linked to the account, guest checkouts included. Each
+// order carries a token for its /order/[orderId] page.
+
+import { customerAccounts, AccountError } from '../../../lib/customer-accounts';
+import { withCustomerSession } from '../../../middleware/auth-bypass';
+import { withRateLimit } from '../../../middleware/rate-limit';
+
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    const orders = await customerAccounts.listOrders(req.account.accountId);
+    return res.status(200).json({ success: true, orders });
+  } catch (error) {
+    if (error instanceof AccountError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error(`Order list failed for account ${req.account.accountId}:`, error);
+    return res.status(502).json({ error: 'Unable to load your orders right now' });
+  }
+}
+
+export default withRateLimit(withCustomerSession(handler), 'orders');
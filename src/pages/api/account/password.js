@@ -0,0 +1,29 @@
+// src/pages/api/account/password.js - Set or change the account password
+// POST { currentPassword?, newPassword }. The current password is needed when one is set (accounts that
+// only used sign-in links have none). Other sessions are signed out; this one gets a fresh cookie.
+
+import { customerAccounts, AccountError } from '../../../lib/customer-accounts';
+import { setAccountCookie, withCustomerSession } from '../../../middleware/auth-bypass';
+import { withRateLimit } from '../../../middleware/rate-limit';
+
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { currentPassword = null, newPassword } = req.body || {};
+
+  try {
+    const account = await customerAccounts.changePassword(req.account.accountId, currentPassword, newPassword);
+    setAccountCookie(res, await customerAccounts.createSession(account.accountId));
+    return res.status(200).json({ success: true, account });
+  } catch (error) {
+    if (error instanceof AccountError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('Password change failed:', error);
+    return res.status(500).json({ error: 'Unable to change your password right now' });
+  }
+}
+
+export default withRateLimit(withCustomerSession(handler), 'account');
@@ -0,0 +1,31 @@
+// src/pages/api/account/register.js - Customer sign-up
+// POST { email, password, firstName, lastName, phone? } creates the account and emails a verification
+// link. There is no session until the link is used (see /api/account/verify).
+
+import { customerAccounts, AccountError } from '../../../lib/customer-accounts';
+import { withRateLimit } from '../../../middleware/rate-limit';
+
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { email, password, firstName, lastName, phone } = req.body || {};
+
+  try {
+    const account = await customerAccounts.register({ email, password, firstName, lastName, phone });
+    return res.status(201).json({
+      success: true,
+      account,
+      message: `We sent a confirmation link to ${account.email}. Open it to finish creating your account.`
+    });
+  } catch (error) {
+    if (error instanceof AccountError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('Account registration failed:', error);
+    return res.status(500).json({ error: 'Unable to create your account right now' });
+  }
+}
+
+export default withRateLimit(handler, 'account');
@@ -0,0 +1,31 @@
+// src/pages/api/account/sign-in-link.js - Passwordless sign-in
+// POST { email } emails a single-use sign-in link. The answer is the same whether or not the email has
+// an account, so this can't be used to find out who shops here.
+
+import { customerAccounts } from '../../../lib/customer-accounts';
+import { withRateLimit } from '../../../middleware/rate-limit';
+
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { email } = req.body || {};
+  if (typeof email !== 'string' || !email.trim()) {
+    return res.status(400).json({ error: 'Email is required', code: 'INVALID_INPUT' });
+  }
+
+  try {
+    await customerAccounts.requestSignInLink(email);
+  } catch (error) {
+    console.error('Sign-in link request failed:', error);
+    return res.status(500).json({ error: 'Unable to send a sign-in link right now' });
+  }
+
+  return res.status(200).json({
+    success: true,
+    message: 'If there is an account for that email, a sign-in link is on its way.'
+  });
+}
+
+export default withRateLimit(handler, 'account');
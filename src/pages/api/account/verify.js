@@ -0,0 +1,28 @@
+// src/pages/api/account/verify.js - Use a link from an account email
+// POST { token, password? } with the token from a verification or sign-in link starts a session in the
+// account cookie. Links work once and expire after 30 minutes. A verification link also needs the password
+// chosen at sign-up (PASSWORD_REQUIRED until it is sent).
+
+import { customerAccounts, AccountError } from '../../../lib/customer-accounts';
+import { setAccountCookie } from '../../../middleware/auth-bypass';
+import { withRateLimit } from '../../../middleware/rate-limit';
+
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const account = await customerAccounts.consumeLink(req.body?.token, req.body?.password);
+    setAccountCookie(res, await customerAccounts.createSession(account.accountId));
+    return res.status(200).json({ success: true, account });
+  } catch (error) {
+    if (error instanceof AccountError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('Account link failed:', error);
+    return res.status(500).json({ error: 'Unable to sign you in right now' });
+  }
+}
+
+export default withRateLimit(handler, 'account');
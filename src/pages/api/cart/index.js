@@ -0,0 +1,32 @@
+// src/pages/api/cart/index.js - Server-side copy of the browser's cart (lib/saved-carts)
+// PUT { token, items, merge? } stores the items and answers { token, items, changed }. The browser keeps
+// the token; when changed is true it should show the returned items. A signed-in customer's cart is
+// attached to their account and merged with their carts from other devices.
+
+import { savedCarts } from '../../../lib/saved-carts';
+import { withCustomerSession } from '../../../middleware/auth-bypass';
+import { withRateLimit } from '../../../middleware/rate-limit';
+
+async function handler(req, res) {
+  if (req.method !== 'PUT') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { token = null, items, merge = false } = req.body || {};
+  const owner = req.account && {
+    email: req.account.email,
+    accountId: req.account.accountId,
+    customerName: req.account.firstName
+  };
+
+  try {
+    const result = await savedCarts.sync(typeof token === 'string' ? token : null, items, { merge: merge === true, owner });
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    console.error('Cart sync failed:', error);
+    return res.status(500).json({ error: 'Unable to save the cart right now' });
+  }
+}
+
+export default withRateLimit(withCustomerSession(handler, { optional: true }), 'general');
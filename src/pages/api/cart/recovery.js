@@ -0,0 +1,34 @@
+// src/pages/api/cart/recovery.js - Abandoned-cart emails. POST from a scheduler (every hour or so) to
+// email carts idle for CART_RECOVERY_HOURS without an order; GET shows the last run.
+import { withStaffAuth } from '../../../middleware/auth-bypass';
+import { savedCarts, CartRecoveryError } from '../../../lib/saved-carts';
+
+async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      return res.status(200).json({
+        configured: savedCarts.isRecoveryConfigured(),
+        last_run: await savedCarts.getLastRecoveryRun()
+      });
+    }
+
+    if (req.method === 'POST') {
+      const result = await savedCarts.sendRecoveryEmails();
+      return res.status(200).json({ success: result.failed === 0, ...result });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    if (error instanceof CartRecoveryError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('❌ Cart recovery run failed:', error);
+    return res.status(500).json({
+      error: 'Cart recovery run failed',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+export default withStaffAuth(handler, { GET: 'read-only', POST: 'support' });
@@ -0,0 +1,25 @@
+// src/pages/api/cart/restore.js - Open a cart recovery link
+// POST { link } with the signed link from a recovery email answers { token, items }: exactly the items
+// the email showed, back in the cart they came from. The browser replaces its cart with them.
+
+import { savedCarts, CartRecoveryError } from '../../../lib/saved-carts';
+import { withRateLimit } from '../../../middleware/rate-limit';
+
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const result = await savedCarts.restore(req.body?.link);
+    return res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    if (error instanceof CartRecoveryError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('Cart restore failed:', error);
+    return res.status(500).json({ error: 'Unable to restore the cart right now' });
+  }
+}
+
+export default withRateLimit(handler, 'general');
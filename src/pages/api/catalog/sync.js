@@ -0,0 +1,39 @@
+// src/pages/api/catalog/sync.js
+// Products feed sync. POST from a scheduler every few minutes to pick up items changed in Zoho
+// Inventory (?full=true forces a full resync); GET shows the last run and the catalog version.
+import { withStaffAuth } from '../../../middleware/auth-bypass';
+import { catalogSync } from '../../../lib/catalog-sync';
+
+async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      const [state, feed] = await Promise.all([catalogSync.getState(), catalogSync.getFeed()]);
+      return res.status(200).json({
+        ...state,
+        version: feed?.version ?? null,
+        built_at: feed?.builtAt ?? null,
+        products: feed?.products.length ?? 0
+      });
+    }
+
+    if (req.method === 'POST') {
+      const full = req.query.full === 'true' || req.body?.full === true;
+      const result = await catalogSync.sync({ full });
+      return res.status(result.status === 'locked' ? 409 : 200).json({
+        success: result.status !== 'locked',
+        ...result
+      });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('❌ Catalog sync failed:', error);
+    return res.status(500).json({
+      error: 'Catalog sync failed',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+export default withStaffAuth(handler, { GET: 'read-only', POST: 'support' });
@@ -1,7 +1,8 @@
 // ===== src/pages/api/categories.js ===== (Create this new file)
-import { zohoAPI } from '../../lib/zoho-api.ts';
+import { zoho } from '../../lib/zoho-sdk';
+import { withRateLimit } from '../../middleware/rate-limit';
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   console.log('Categories API called:', req.method, req.url);
   
   if (req.method !== 'GET') {
@@ -11,8 +12,7 @@ export default async function handler(req, res) {
   try {
     console.log('Fetching categories from Zoho Commerce...');
     
-    const response = await zohoAPI.apiRequest('/categories');
-    const categories = response.categories || [];
+    const categories = await zoho.commerce.getCategories();
     
     console.log(`Successfully fetched ${categories.length} categories`);
     
@@ -62,4 +62,6 @@ export default async function handler(req, res) {
       timestamp: new Date().toISOString()
     });
   }
-}
\ No newline at end of file
+}
+
+export default withRateLimit(handler, 'catalog');
@@ -1,7 +1,10 @@
 // ===== src/pages/api/checkout.js =====
-import { zohoAPI } from '../../lib/zoho-api.ts';
+import { zoho } from '../../lib/zoho-sdk';
+import { calculateOrderTotals, SHIPPING_METHODS } from '../../lib/order-totals';
+import { cartPricing, cartChangedResponse, CatalogUnavailableError } from '../../lib/cart-pricing';
+import { withRateLimit } from '../../middleware/rate-limit';
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
@@ -13,7 +16,8 @@ export default async function handler(req, res) {
       customerInfo,
       shippingAddress,
       billingAddress,
-      cartItems,
+      cartItems: requestedItems,
+      shippingMethod,
       paymentMethod,
       orderNotes
     } = req.body;
@@ -22,7 +26,7 @@ export default async function handler(req, res) {
     const validationErrors = validateCheckoutData({
       customerInfo,
       shippingAddress,
-      cartItems
+      cartItems: requestedItems
     });
 
     if (validationErrors.length > 0) {
@@ -32,14 +36,16 @@ export default async function handler(req, res) {
       });
     }
 
+    // Re-price from the catalog and check stock; browser prices are never charged
+    const pricing = await cartPricing.priceCart(requestedItems);
+    if (pricing.changed) {
+      return res.status(409).json(cartChangedResponse(pricing));
+    }
+    const cartItems = pricing.items;
+
     // Calculate order totals
-    const subtotal = cartItems.reduce((sum, item) => 
-      sum + (item.product_price * item.quantity), 0
-    );
-    
-    const tax = calculateTax(subtotal, shippingAddress.state);
-    const shipping = calculateShipping(cartItems, shippingAddress);
-    const total = subtotal + tax + shipping;
+    const orderTotals = calculateOrderTotals(cartItems, { address: shippingAddress, shippingMethod });
+    const { subtotal, tax, shipping, total } = orderTotals;
 
     // Prepare order data for Zoho Commerce
     const zohoOrderData = {
@@ -58,6 +64,7 @@ export default async function handler(req, res) {
       subtotal: subtotal,
       tax_amount: tax,
       shipping_amount: shipping,
+      shipping_method: orderTotals.shippingMethod,
       
       shipping_address: {
         first_name: customerInfo.firstName,
@@ -109,7 +116,7 @@ export default async function handler(req, res) {
     console.log('Creating order in Zoho Commerce...');
     
     // Create order in Zoho Commerce
-    const zohoOrder = await zohoAPI.createOrder(zohoOrderData);
+    const zohoOrder = await zoho.commerce.createOrder(zohoOrderData);
     
     console.log('Order created successfully:', zohoOrder.order_id || zohoOrder.id);
 
@@ -157,7 +164,7 @@ export default async function handler(req, res) {
       total: total,
       paymentId: paymentResult.paymentId,
       message: 'Order placed successfully!',
-      estimatedDelivery: calculateEstimatedDelivery(shippingAddress),
+      estimatedDelivery: calculateEstimatedDelivery(orderTotals.shippingMethod),
       trackingInfo: {
         available: false,
         message: 'Tracking information will be available once your order ships'
@@ -171,6 +178,14 @@ export default async function handler(req, res) {
       requestBody: req.body
     });
     
+    if (error instanceof CatalogUnavailableError) {
+      return res.status(503).json({
+        error: 'Unable to verify prices right now',
+        details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
     res.status(500).json({
       error: 'Checkout processing failed',
       details: error.message,
@@ -218,37 +233,9 @@ function validateCheckoutData({ customerInfo, shippingAddress, cartItems }) {
   return errors;
 }
 
-// Tax calculation (simplified - in production, use a tax service)
-function calculateTax(subtotal, state) {
-  const taxRates = {
-    'CA': 0.0875, // California
-    'NY': 0.08,   // New York
-    'TX': 0.0625, // Texas
-    'FL': 0.06,   // Florida
-    'WA': 0.065,  // Washington
-    // Add more states as needed
-  };
-
-  const rate = taxRates[state] || 0.05; // Default 5% for other states
-  return Math.round(subtotal * rate * 100) / 100;
-}
-
-// Shipping calculation (simplified)
-function calculateShipping(cartItems, shippingAddress) {
-  const totalWeight = cartItems.reduce((weight, item) => weight + (item.quantity * 2), 0); // Assume 2 lbs per item
-  const baseShipping = 9.99;
-  const weightShipping = Math.max(0, (totalWeight - 5) * 2); // $2 per lb over 5 lbs
-  
-  // Free shipping over $100
-  const subtotal = cartItems.reduce((sum, item) => sum + (item.product_price * item.quantity), 0);
-  if (subtotal >= 100) return 0;
-  
-  return Math.round((baseShipping + weightShipping) * 100) / 100;
-}
-
-// Calculate estimated delivery
-function calculateEstimatedDelivery(shippingAddress) {
-  const businessDays = 3; // Standard shipping
+// Calculate estimated delivery (slowest end of the shipping method's range)
+function calculateEstimatedDelivery(shippingMethod) {
+  const businessDays = SHIPPING_METHODS[shippingMethod].businessDays[1];
   const deliveryDate = new Date();
   deliveryDate.setDate(deliveryDate.getDate() + businessDays);
   
@@ -299,4 +286,6 @@ async function sendOrderConfirmationEmail({ customerEmail, customerName, orderId
   // 4. Return success/failure result
   
   return Promise.resolve({ success: true });
-}
\ No newline at end of file
+}
+
+export default withRateLimit(handler, 'checkout');
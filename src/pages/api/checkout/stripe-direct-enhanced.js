@@ -12,9 +12,13 @@
  * This captures ALL checkout attempts, not just successful payments!
  */
 
+import { calculateOrderTotals } from '../../../lib/order-totals';
+import { cartPricing, cartChangedResponse, CatalogUnavailableError } from '../../../lib/cart-pricing';
+import { withRateLimit } from '../../../middleware/rate-limit';
+
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   const requestId = `stripe_checkout_${Date.now()}_${Math.random().toString(36).substring(7)}`;
   
   console.log(`\n=== ENHANCED STRIPE CHECKOUT [${requestId}] ===`);
@@ -28,6 +32,7 @@ export default async function handler(req, res) {
       customerInfo, 
       shippingAddress, 
       cartItems, 
+      shippingMethod,
       orderNotes,
       createAccount = false,
       customerPassword = null,
@@ -58,8 +63,15 @@ export default async function handler(req, res) {
       });
     }
 
+    // Re-price from the catalog and check stock; browser prices are never charged
+    const pricing = await cartPricing.priceCart(cartItems);
+    if (pricing.changed) {
+      return res.status(409).json(cartChangedResponse(pricing, requestId));
+    }
+    const pricedItems = pricing.items;
+
     // Calculate order totals
-    const orderTotals = calculateOrderTotals(cartItems);
+    const orderTotals = calculateOrderTotals(pricedItems, { address: shippingAddress, shippingMethod });
     console.log('Order totals:', orderTotals);
 
     // Process customer data (but don't create order yet)
@@ -74,11 +86,11 @@ export default async function handler(req, res) {
     // NEW: Create enhanced Payment Intent with complete metadata for lead tracking
     console.log('🔄 Sub-agent: Creating enhanced Payment Intent with lead data...');
     const paymentResult = await createEnhancedPaymentIntent({
-      amount: orderTotals.total,
+      amountCents: orderTotals.amountCents,
       currency: 'usd',
       customerInfo,
       shippingAddress,
-      cartItems,
+      cartItems: pricedItems,
       orderNotes,
       createAccount,
       customerPassword,
@@ -114,7 +126,9 @@ export default async function handler(req, res) {
         total: orderTotals.total,
         subtotal: orderTotals.subtotal,
         tax: orderTotals.tax,
-        shipping: orderTotals.shipping
+        taxRate: orderTotals.taxRate,
+        shipping: orderTotals.shipping,
+        shippingMethod: orderTotals.shippingMethod
       },
       
       // Customer details
@@ -148,6 +162,16 @@ export default async function handler(req, res) {
   } catch (error) {
     console.error('❌ Enhanced Stripe checkout failed:', error);
     
+    if (error instanceof CatalogUnavailableError) {
+      return res.status(503).json({
+        error: 'Unable to verify prices right now',
+        details: error.message,
+        type: 'CATALOG_UNAVAILABLE',
+        requestId,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
     return res.status(500).json({
       error: 'Enhanced checkout processing failed',
       details: error.message,
@@ -162,7 +186,7 @@ export default async function handler(req, res) {
  * SUB-AGENT: Create enhanced Payment Intent with complete lead tracking metadata
  */
 async function createEnhancedPaymentIntent({
-  amount,
+  amountCents,
   currency,
   customerInfo,
   shippingAddress,
@@ -204,17 +228,20 @@ async function createEnhancedPaymentIntent({
     // Order details
     subtotal: orderTotals.subtotal.toString(),
     tax: orderTotals.tax.toString(),
+    tax_rate: orderTotals.taxRate.toString(),
     shipping: orderTotals.shipping.toString(),
+    shipping_method: orderTotals.shippingMethod,
     total: orderTotals.total.toString(),
     currency: currency.toUpperCase(),
     
     // Cart items (for both lead and order creation)
     cart_items: JSON.stringify(cartItems.map(item => ({
-      product_id: item.productId,
-      product_name: item.productName,
-      product_price: item.price,
+      // The Zoho item sold, which is the variant for products with variants
+      product_id: item.item_id,
+      product_name: item.product_name,
+      product_price: item.product_price,
       quantity: item.quantity,
-      total: item.price * item.quantity
+      total: item.product_price * item.quantity
     }))),
     
     // Order metadata
@@ -251,7 +278,7 @@ async function createEnhancedPaymentIntent({
 
   // Create the Payment Intent with enhanced metadata
   const paymentIntent = await stripe.paymentIntents.create({
-    amount: Math.round(amount * 100), // Convert to cents
+    amount: amountCents,
     currency: currency,
     customer: customerId || undefined,
     description: `Order for ${customerInfo.firstName} ${customerInfo.lastName} - ${cartItems.length} items`,
@@ -327,31 +354,6 @@ async function validateCheckoutData({ customerInfo, shippingAddress, cartItems }
   return errors;
 }
 
-/**
- * SUB-AGENT: Calculate order totals
- */
-function calculateOrderTotals(cartItems) {
-  const subtotal = cartItems.reduce((sum, item) => {
-    return sum + (parseFloat(item.price) * parseInt(item.quantity));
-  }, 0);
-  
-  // Calculate tax (8% for example - adjust based on your business logic)
-  const taxRate = 0.08;
-  const tax = subtotal * taxRate;
-  
-  // Calculate shipping (free over $100, otherwise $15)
-  const shipping = subtotal >= 100 ? 0 : 15;
-  
-  const total = subtotal + tax + shipping;
-  
-  return {
-    subtotal: Math.round(subtotal * 100) / 100,
-    tax: Math.round(tax * 100) / 100,
-    shipping: Math.round(shipping * 100) / 100,
-    total: Math.round(total * 100) / 100
-  };
-}
-
 /**
  * SUB-AGENT: Process customer data
  */
@@ -407,4 +409,6 @@ async function processCustomerData({ customerInfo, createAccount, customerPasswo
       error: error.message
     };
   }
-}
\ No newline at end of file
+}
+
+export default withRateLimit(handler, 'checkout');
@@ -4,16 +4,27 @@
  * 
  * NEW FLOW:
  * 1. Validate customer data and cart
- * 2. Create Stripe Payment Intent (no Zoho order yet)
+ * 2. Reserve stock-tracked units, then create Stripe Payment Intent (no Zoho order yet)
  * 3. Customer completes payment on frontend
- * 4. AFTER payment success → Create order in Zoho via webhook/success handler
+ * 4. AFTER payment success → Create order in Zoho via webhook/success handler, which commits the reservation
  * 
  * This prevents creating abandoned orders in Zoho for failed payments!
  */
 
+import { zoho } from '../../../lib/zoho-sdk';
+import { calculateOrderTotals } from '../../../lib/order-totals';
+import { cartPricing, cartChangedResponse, CatalogUnavailableError } from '../../../lib/cart-pricing';
+import { cartToMetadata, CartMetadataError } from '../../../lib/cart-metadata';
+import { subscriptions, SubscriptionError } from '../../../lib/subscriptions';
+import { inventoryReservations, ReservationError } from '../../../lib/inventory-reservations';
+import { customerAccounts, AccountError } from '../../../lib/customer-accounts';
+import { savedCarts } from '../../../lib/saved-carts';
+import { withRateLimit } from '../../../middleware/rate-limit';
+import { withCustomerSession } from '../../../middleware/auth-bypass';
+
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   const requestId = `stripe_checkout_${Date.now()}_${Math.random().toString(36).substring(7)}`;
   
   console.log(`\n=== DIRECT STRIPE CHECKOUT [${requestId}] ===`);
@@ -27,9 +38,11 @@ export default async function handler(req, res) {
       customerInfo, 
       shippingAddress, 
       cartItems, 
+      shippingMethod,
       orderNotes,
       createAccount = false,
-      customerPassword = null 
+      customerPassword = null,
+      cartToken = null
     } = req.body;
 
     console.log('Processing direct Stripe checkout for:', customerInfo?.email);
@@ -51,40 +64,121 @@ export default async function handler(req, res) {
       });
     }
 
+    // Re-price from the catalog and check stock; browser prices are never charged
+    const pricing = await cartPricing.priceCart(cartItems);
+    if (pricing.changed) {
+      return res.status(409).json(cartChangedResponse(pricing, requestId));
+    }
+    const pricedItems = pricing.items;
+
+    // The webhook builds the order from the whole cart in the metadata; refuse carts that don't fit
+    // before anything is reserved or created
+    const cartMetadata = cartToMetadata(pricedItems);
+
     // Calculate order totals
-    const orderTotals = calculateOrderTotals(cartItems);
+    const orderTotals = calculateOrderTotals(pricedItems, { address: shippingAddress, shippingMethod });
     console.log('Order totals:', orderTotals);
 
     // NEW APPROACH: Only check if customer exists (don't create order yet)
     console.log('🔄 Sub-agent: Processing customer data...');
     const customerResult = await processCustomerData({
       customerInfo,
-      createAccount,
+      createAccount: createAccount && !req.account,
       customerPassword,
       requestId
     });
 
-    // Create Stripe Payment Intent with order data in metadata (no Zoho order yet)
-    console.log('🔄 Sub-agent: Creating Stripe Payment Intent...');
-    const paymentResult = await createStripePaymentIntent({
-      amount: orderTotals.total,
-      currency: 'usd',
-      customerEmail: customerInfo.email,
-      customerName: `${customerInfo.firstName} ${customerInfo.lastName}`,
-      orderData: {
-        // Store all order data in Stripe metadata for later Zoho creation
-        customerInfo,
-        shippingAddress,
-        cartItems,
-        orderNotes,
-        createAccount,
-        customerPassword,
-        customerId: customerResult.customerId,
-        accountCreated: customerResult.accountCreated,
-        orderTotals,
-        requestId
+    // Hold the units while the customer pays; another checkout may have taken them since pricing
+    let reservation;
+    try {
+      reservation = await inventoryReservations.reserve(
+        pricedItems
+          .filter(item => item.available_stock !== null)
+          .map(item => ({ itemId: item.item_id, quantity: item.quantity, stock: item.available_stock }))
+      );
+    } catch (error) {
+      if (!(error instanceof ReservationError)) throw error;
+
+      const repriced = await cartPricing.priceCart(cartItems);
+      return res.status(409).json(repriced.changed
+        ? cartChangedResponse(repriced, requestId)
+        : { error: error.message, code: error.code, productId: error.productId, available: error.available, requestId });
+    }
+
+    // The email entered here lets the abandoned-cart job follow up if payment never completes
+    let cartId = null;
+    try {
+      cartId = await savedCarts.attachCheckout(cartToken, {
+        email: customerInfo.email,
+        customerName: customerInfo.firstName
+      });
+    } catch (error) {
+      console.warn('⚠️ Saved cart not updated:', error.message);
+    }
+
+    const orderData = {
+      // Store all order data in Stripe metadata for later Zoho creation
+      customerInfo,
+      shippingAddress,
+      cartItems: pricedItems,
+      cartMetadata,
+      orderNotes,
+      createAccount,
+      customerPassword,
+      customerId: customerResult.customerId,
+      accountCreated: customerResult.accountCreated,
+      // The webhook links the order's Zoho contact to this account
+      accountId: req.account?.accountId || null,
+      // Marked ordered by the webhook so it gets no recovery email
+      cartId,
+      orderTotals,
+      reservationId: reservation?.reservationId || null,
+      requestId
+    };
+
+    // Data plans make this a subscription; its first invoice also charges the hardware
+    const hasPlans = pricedItems.some(item => item.billing_interval);
+    let paymentResult;
+    let subscription = null;
+
+    try {
+      if (hasPlans) {
+        console.log('🔄 Sub-agent: Creating Stripe subscription...');
+        const result = await subscriptions.createCheckoutSubscription({
+          customer: {
+            email: customerInfo.email,
+            name: `${customerInfo.firstName} ${customerInfo.lastName}`,
+            phone: customerInfo.phone || undefined
+          },
+          items: pricedItems,
+          orderTotals,
+          address: shippingAddress,
+          metadata: buildPaymentMetadata(customerInfo.email, `${customerInfo.firstName} ${customerInfo.lastName}`, orderData),
+          requestId
+        });
+
+        paymentResult = { clientSecret: result.clientSecret, paymentIntentId: result.paymentIntentId };
+        subscription = { subscriptionId: result.subscriptionId, plans: result.plans };
+      } else {
+        // Create Stripe Payment Intent with order data in metadata (no Zoho order yet)
+        console.log('🔄 Sub-agent: Creating Stripe Payment Intent...');
+        paymentResult = await createStripePaymentIntent({
+          amountCents: orderTotals.amountCents,
+          currency: 'usd',
+          customerEmail: customerInfo.email,
+          customerName: `${customerInfo.firstName} ${customerInfo.lastName}`,
+          orderData
+        });
       }
-    });
+    } catch (error) {
+      // Nothing will be paid, so nothing should stay held
+      if (reservation) await inventoryReservations.release(reservation.reservationId);
+      throw error;
+    }
+
+    if (reservation) {
+      await inventoryReservations.attach(reservation.reservationId, paymentResult.paymentIntentId);
+    }
 
     // Success response with client secret for frontend payment
     const response = {
@@ -106,7 +200,18 @@ export default async function handler(req, res) {
         total: orderTotals.total,
         subtotal: orderTotals.subtotal,
         tax: orderTotals.tax,
-        shipping: orderTotals.shipping
+        taxRate: orderTotals.taxRate,
+        shipping: orderTotals.shipping,
+        shippingMethod: orderTotals.shippingMethod
+      },
+      
+      // Plans that renew after this payment, when the cart had any
+      subscription,
+      
+      // How long the items stay held for this payment, when any are stock-tracked
+      reservation: reservation && {
+        reservationId: reservation.reservationId,
+        expiresAt: reservation.expiresAt
       },
       
       // Customer details
@@ -132,6 +237,34 @@ export default async function handler(req, res) {
   } catch (error) {
     console.error('❌ Direct Stripe checkout failed:', error);
     
+    if (error instanceof SubscriptionError) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code,
+        requestId,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (error instanceof CartMetadataError) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code,
+        requestId,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (error instanceof CatalogUnavailableError) {
+      return res.status(503).json({
+        error: 'Unable to verify prices right now',
+        details: error.message,
+        type: 'CATALOG_UNAVAILABLE',
+        requestId,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
     return res.status(500).json({
       error: 'Checkout processing failed',
       details: error.message,
@@ -176,27 +309,6 @@ async function validateCheckoutData({ customerInfo, shippingAddress, cartItems }
   return errors;
 }
 
-/**
- * SUB-AGENT: Calculate order totals
- */
-function calculateOrderTotals(cartItems) {
-  const subtotal = cartItems.reduce((sum, item) => {
-    const price = parseFloat(item.product_price || item.price || 0);
-    const quantity = parseInt(item.quantity || 1);
-    return sum + (price * quantity);
-  }, 0);
-  
-  const taxRate = 0.0875; // 8.75% tax rate
-  const tax = Math.round(subtotal * taxRate * 100) / 100;
-  
-  // Free shipping over $100
-  const shipping = subtotal >= 100 ? 0 : 9.99;
-  
-  const total = Math.round((subtotal + tax + shipping) * 100) / 100;
-  
-  return { subtotal, tax, shipping, total };
-}
-
 /**
  * SUB-AGENT: Process customer data (check existence, don't create order)
  */
@@ -213,20 +325,10 @@ async function processCustomerData({
   
   // Always check if customer exists first
   try {
-    const token = await getZohoAccessToken();
-    const searchUrl = `https://www.zohoapis.com/inventory/v1/contacts?organization_id=${process.env.ZOHO_INVENTORY_ORGANIZATION_ID}&email=${encodeURIComponent(customerInfo.email)}`;
-    
-    const response = await fetch(searchUrl, {
-      headers: {
-        'Authorization': `Zoho-oauthtoken ${token}`,
-        'Content-Type': 'application/json'
-      }
-    });
-    
-    const result = await response.json();
+    const existingContact = await zoho.inventory.findContactByEmail(customerInfo.email);
     
-    if (result.contacts && result.contacts.length > 0) {
-      customerId = result.contacts[0].contact_id;
+    if (existingContact) {
+      customerId = existingContact.contact_id;
       console.log('✅ Existing customer found:', customerId);
     }
     
@@ -234,7 +336,26 @@ async function processCustomerData({
     console.warn('⚠️ Customer lookup failed:', error.message);
   }
 
-  // If creating account and customer doesn't exist, create it
+  // The customer's sign-in account; it is confirmed by email before it can be used
+  if (createAccount && customerPassword) {
+    try {
+      await customerAccounts.register({
+        email: customerInfo.email,
+        password: customerPassword,
+        firstName: customerInfo.firstName,
+        lastName: customerInfo.lastName,
+        phone: customerInfo.phone
+      });
+      accountCreated = true;
+      console.log('✅ Customer account registered, verification email sent');
+    } catch (error) {
+      // EMAIL_TAKEN is the usual reason: they already have an account and can sign in with it
+      const reason = error instanceof AccountError ? error.code : 'error';
+      console.warn(`⚠️ Account not created (${reason}), continuing as guest:`, error.message);
+    }
+  }
+
+  // If creating account and customer doesn't exist, create the Zoho contact
   if (createAccount && customerPassword && !customerId) {
     try {
       // Create customer account in Zoho
@@ -258,25 +379,11 @@ async function processCustomerData({
         }]
       };
       
-      const token = await getZohoAccessToken();
-      const response = await fetch(
-        `https://www.zohoapis.com/inventory/v1/contacts?organization_id=${process.env.ZOHO_INVENTORY_ORGANIZATION_ID}`,
-        {
-          method: 'POST',
-          headers: {
-            'Authorization': `Zoho-oauthtoken ${token}`,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify(customerData)
-        }
-      );
-      
-      const result = await response.json();
+      const contact = await zoho.inventory.createContact(customerData, { traceId: requestId });
       
-      if (result.contact?.contact_id) {
-        customerId = result.contact.contact_id;
-        accountCreated = true;
-        console.log('✅ Customer account created:', customerId);
+      if (contact?.contact_id) {
+        customerId = contact.contact_id;
+        console.log('✅ Customer contact created:', customerId);
       } else {
         console.log('⚠️ Customer creation failed, will proceed as guest');
       }
@@ -293,7 +400,7 @@ async function processCustomerData({
  * SUB-AGENT: Create Stripe Payment Intent with order data in metadata
  */
 async function createStripePaymentIntent({
-  amount,
+  amountCents,
   currency,
   customerEmail,
   customerName,
@@ -302,51 +409,10 @@ async function createStripePaymentIntent({
   console.log('Sub-agent: Creating Stripe Payment Intent...');
   
   try {
-    // Convert amount to cents
-    const amountInCents = Math.round(amount * 100);
-    
-    // Store order data in metadata (Stripe limit: 500 chars per key, 50 keys)
-    // We'll store essential data and reconstruct cart items from a summary
-    const metadata = {
-      customer_email: customerEmail,
-      customer_name: customerName,
-      customer_id: orderData.customerId || '',
-      create_account: orderData.createAccount.toString(),
-      account_created: orderData.accountCreated.toString(),
-      
-      // Order totals
-      subtotal: orderData.orderTotals.subtotal.toString(),
-      tax: orderData.orderTotals.tax.toString(),
-      shipping: orderData.orderTotals.shipping.toString(),
-      total: orderData.orderTotals.total.toString(),
-      
-      // Address (truncated if needed to fit Stripe limits)
-      shipping_address1: orderData.shippingAddress.address1.substring(0, 499),
-      shipping_address2: (orderData.shippingAddress.address2 || '').substring(0, 499),
-      shipping_city: orderData.shippingAddress.city,
-      shipping_state: orderData.shippingAddress.state,
-      shipping_zip: orderData.shippingAddress.zipCode,
-      shipping_country: orderData.shippingAddress.country,
-      
-      // Cart items summary (we'll store full data in a more robust way for production)
-      item_count: orderData.cartItems.length.toString(),
-      
-      // Store cart items as JSON (compressed if needed)
-      cart_items: JSON.stringify(orderData.cartItems.map(item => ({
-        id: item.product_id,
-        name: item.product_name.substring(0, 50), // Truncate for metadata limits
-        price: item.product_price,
-        qty: item.quantity
-      }))).substring(0, 499), // Stripe metadata limit
-      
-      // Processing info
-      request_id: orderData.requestId,
-      integration: 'direct_stripe_checkout',
-      order_notes: (orderData.orderNotes || '').substring(0, 499)
-    };
+    const metadata = buildPaymentMetadata(customerEmail, customerName, orderData);
     
     const paymentIntent = await stripe.paymentIntents.create({
-      amount: amountInCents,
+      amount: amountCents,
       currency: currency,
       receipt_email: customerEmail,
       description: `Travel Data WiFi Order - ${customerEmail}`,
@@ -374,42 +440,45 @@ async function createStripePaymentIntent({
 }
 
 /**
- * Get Zoho access token (cached)
+ * Order data for the webhook to create the Zoho order from, stored as PaymentIntent metadata
+ * (Stripe limit: 500 chars per key, 50 keys). Subscription checkouts put it on the first invoice's PaymentIntent.
  */
-let cachedToken = null;
-let tokenExpiry = null;
-
-async function getZohoAccessToken() {
-  // Return cached token if valid
-  if (cachedToken && tokenExpiry && Date.now() < tokenExpiry) {
-    return cachedToken;
-  }
-  
-  try {
-    const response = await fetch('https://accounts.zoho.com/oauth/v2/token', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-      body: new URLSearchParams({
-        refresh_token: process.env.ZOHO_REFRESH_TOKEN,
-        client_id: process.env.ZOHO_CLIENT_ID,
-        client_secret: process.env.ZOHO_CLIENT_SECRET,
-        grant_type: 'refresh_token'
-      })
-    });
+function buildPaymentMetadata(customerEmail, customerName, orderData) {
+  return {
+    customer_email: customerEmail,
+    customer_name: customerName,
+    customer_id: orderData.customerId || '',
+    create_account: orderData.createAccount.toString(),
+    account_created: orderData.accountCreated.toString(),
+    account_id: orderData.accountId || '',
+    cart_id: orderData.cartId || '',
     
-    const data = await response.json();
+    // Order totals
+    subtotal: orderData.orderTotals.subtotal.toString(),
+    tax: orderData.orderTotals.tax.toString(),
+    tax_rate: orderData.orderTotals.taxRate.toString(),
+    shipping: orderData.orderTotals.shipping.toString(),
+    shipping_method: orderData.orderTotals.shippingMethod,
+    total: orderData.orderTotals.total.toString(),
     
-    if (!data.access_token) {
-      throw new Error('Failed to get Zoho access token');
-    }
+    // Address (truncated if needed to fit Stripe limits)
+    shipping_address1: orderData.shippingAddress.address1.substring(0, 499),
+    shipping_address2: (orderData.shippingAddress.address2 || '').substring(0, 499),
+    shipping_city: orderData.shippingAddress.city,
+    shipping_state: orderData.shippingAddress.state,
+    shipping_zip: orderData.shippingAddress.zipCode,
+    shipping_country: orderData.shippingAddress.country,
     
-    cachedToken = data.access_token;
-    tokenExpiry = Date.now() + (data.expires_in * 1000) - 60000; // 1 min buffer
+    // Cart items, split over as many keys as they need (lib/cart-metadata)
+    item_count: orderData.cartItems.length.toString(),
+    ...orderData.cartMetadata,
     
-    return cachedToken;
-    
-  } catch (error) {
-    console.error('❌ Zoho token error:', error);
-    throw new Error('Authentication failed');
-  }
-}
\ No newline at end of file
+    // Processing info
+    request_id: orderData.requestId,
+    reservation_id: orderData.reservationId || '',
+    integration: 'direct_stripe_checkout',
+    order_notes: (orderData.orderNotes || '').substring(0, 499)
+  };
+}
+
+export default withRateLimit(withCustomerSession(handler, { optional: true }), 'checkout');
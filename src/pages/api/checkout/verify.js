@@ -6,26 +6,54 @@
  * Now handles the new flow where orders are created AFTER payment.
  */
 
+import crypto from 'crypto';
+import { zoho } from '../../../lib/zoho-sdk';
+import { orderTracking, OrderLookupError } from '../../../lib/order-tracking';
+import { cartFromMetadata } from '../../../lib/cart-metadata';
+import { withRateLimit } from '../../../middleware/rate-limit';
+
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
   try {
-    const { payment_intent, order_id: requestOrderId, session_id } = req.body;
+    const { payment_intent, payment_intent_client_secret, order_id: requestOrderId, session_id, token } = req.body;
 
     console.log('Verifying checkout...', { payment_intent, requestOrderId, session_id });
 
     let orderData = null;
     let paymentData = null;
     let orderId = requestOrderId;
+    // Lets the page fetch the receipt and link to order tracking once the Zoho order exists
+    let orderToken = null;
+
+    // A bare order id is only looked up with a signed order token, so ids can't be enumerated
+    if (requestOrderId && !payment_intent) {
+      try {
+        orderTracking.verify(token, requestOrderId);
+        orderToken = token;
+      } catch (error) {
+        if (!(error instanceof OrderLookupError)) throw error;
+        return res.status(error.status).json({ error: error.message, code: error.code });
+      }
+    }
 
     // Verify Stripe payment first
     if (payment_intent) {
+      // The PaymentIntent id ends up in URLs and logs; only the browser that paid has its client secret
+      if (typeof payment_intent_client_secret !== 'string' || !payment_intent_client_secret) {
+        return res.status(400).json({ error: 'payment_intent_client_secret is required with payment_intent' });
+      }
+
       try {
-        const paymentIntent = await stripe.paymentIntents.retrieve(payment_intent);
+        const paymentIntent = await stripe.paymentIntents.retrieve(payment_intent, { expand: ['latest_charge'] });
+
+        if (!matchesClientSecret(payment_intent_client_secret, paymentIntent.client_secret)) {
+          return res.status(403).json({ error: 'Payment could not be verified' });
+        }
         
         if (paymentIntent.status !== 'succeeded') {
           return res.status(400).json({
@@ -40,28 +68,26 @@ export default async function handler(req, res) {
           currency: paymentIntent.currency.toUpperCase(),
           status: paymentIntent.status,
           paymentMethod: 'Credit Card',
-          last4: paymentIntent.charges?.data[0]?.payment_method_details?.card?.last4 || null
+          last4: paymentIntent.latest_charge?.payment_method_details?.card?.last4 || null
         };
 
         // NEW: Check if Zoho order was created by webhook
         const zohoOrderId = paymentIntent.metadata?.zoho_order_id;
         const zohoOrderNumber = paymentIntent.metadata?.zoho_order_number;
-        const webhookProcessed = paymentIntent.metadata?.webhook_processed;
 
-        if (zohoOrderId && zohoOrderNumber && webhookProcessed === 'true') {
+        if (zohoOrderId && zohoOrderNumber) {
           console.log('✅ Order created by webhook, fetching from Zoho...');
           orderId = zohoOrderId;
           
           try {
             orderData = await getZohoOrderDetails(zohoOrderId);
+            orderToken = orderTracking.isConfigured() ? orderTracking.createToken(zohoOrderId) : null;
           } catch (zohoError) {
             console.warn('⚠️ Could not fetch Zoho order, creating fallback data');
             orderData = createOrderDataFromPaymentIntent(paymentIntent);
           }
-        } else if (webhookProcessed === 'error') {
-          console.warn('⚠️ Webhook failed to create order, creating fallback data');
-          orderData = createOrderDataFromPaymentIntent(paymentIntent);
         } else {
+          // Failed webhook events are retried from the webhook ledger
           console.log('⏳ Webhook may still be processing, creating temporary order data');
           orderData = createOrderDataFromPaymentIntent(paymentIntent);
           
@@ -113,6 +139,7 @@ export default async function handler(req, res) {
       success: true,
       order: orderData,
       payment: paymentData,
+      order_token: orderToken,
       timestamp: new Date().toISOString()
     };
 
@@ -130,6 +157,14 @@ export default async function handler(req, res) {
   }
 }
 
+/**
+ * Constant-time comparison of the client secret the browser sent with the PaymentIntent's
+ */
+function matchesClientSecret(provided, actual) {
+  return typeof actual === 'string' && provided.length === actual.length &&
+    crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(actual));
+}
+
 /**
  * SUB-AGENT: Create order data from Payment Intent metadata
  */
@@ -139,8 +174,8 @@ function createOrderDataFromPaymentIntent(paymentIntent) {
   // Parse cart items from metadata
   let cartItems = [];
   try {
-    if (metadata.cart_items) {
-      const parsedItems = JSON.parse(metadata.cart_items);
+    const parsedItems = cartFromMetadata(metadata);
+    if (parsedItems) {
       cartItems = parsedItems.map(item => ({
         product_id: item.id,
         product_name: item.name,
@@ -171,6 +206,7 @@ function createOrderDataFromPaymentIntent(paymentIntent) {
     subtotal: parseFloat(metadata.subtotal || '0'),
     taxAmount: parseFloat(metadata.tax || '0'),
     shippingCost: parseFloat(metadata.shipping || '0'),
+    shippingMethod: metadata.shipping_method || null,
     currency: paymentIntent.currency.toUpperCase(),
     orderDate: new Date(paymentIntent.created * 1000).toISOString().split('T')[0],
     
@@ -226,25 +262,7 @@ async function getZohoOrderDetails(orderId) {
   console.log('Sub-agent: Fetching Zoho order details...', orderId);
 
   try {
-    const token = await getZohoAccessToken();
-    
-    // Try sales order first
-    const salesOrderUrl = `https://www.zohoapis.com/inventory/v1/salesorders/${orderId}?organization_id=${process.env.ZOHO_INVENTORY_ORGANIZATION_ID}`;
-    
-    const response = await fetch(salesOrderUrl, {
-      headers: {
-        'Authorization': `Zoho-oauthtoken ${token}`,
-        'Content-Type': 'application/json'
-      }
-    });
-
-    const result = await response.json();
-
-    if (!response.ok) {
-      throw new Error(`Zoho API error: ${result.message || 'Unknown error'}`);
-    }
-
-    const salesOrder = result.salesorder;
+    const salesOrder = await zoho.inventory.getSalesOrder(orderId);
     if (!salesOrder) {
       throw new Error('Sales order not found');
     }
@@ -256,8 +274,10 @@ async function getZohoOrderDetails(orderId) {
       status: salesOrder.status,
       total: parseFloat(salesOrder.total || 0),
       subtotal: parseFloat(salesOrder.sub_total || 0),
-      taxAmount: parseFloat(salesOrder.tax_total || 0),
+      // Our sales orders carry sales tax as an adjustment (see stripe/webhook.js)
+      taxAmount: parseFloat(salesOrder.tax_total || 0) || parseFloat(salesOrder.adjustment || 0),
       shippingCost: parseFloat(salesOrder.shipping_charge || 0),
+      shippingMethod: salesOrder.delivery_method || null,
       currency: salesOrder.currency_code || 'USD',
       orderDate: salesOrder.date,
       
@@ -364,43 +384,4 @@ function calculateEstimatedDelivery(shipmentDate = null) {
   });
 }
 
-/**
- * Get Zoho access token (cached)
- */
-let cachedToken = null;
-let tokenExpiry = null;
-
-async function getZohoAccessToken() {
-  // Return cached token if valid
-  if (cachedToken && tokenExpiry && Date.now() < tokenExpiry) {
-    return cachedToken;
-  }
-  
-  try {
-    const response = await fetch('https://accounts.zoho.com/oauth/v2/token', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-      body: new URLSearchParams({
-        refresh_token: process.env.ZOHO_REFRESH_TOKEN,
-        client_id: process.env.ZOHO_CLIENT_ID,
-        client_secret: process.env.ZOHO_CLIENT_SECRET,
-        grant_type: 'refresh_token'
-      })
-    });
-    
-    const data = await response.json();
-    
-    if (!data.access_token) {
-      throw new Error('Failed to get Zoho access token');
-    }
-    
-    cachedToken = data.access_token;
-    tokenExpiry = Date.now() + (data.expires_in * 1000) - 60000; // 1 min buffer
-    
-    return cachedToken;
-    
-  } catch (error) {
-    console.error('❌ Zoho token error:', error);
-    throw new Error('Authentication failed');
-  }
-}
\ No newline at end of file
+export default withRateLimit(handler, 'checkout');
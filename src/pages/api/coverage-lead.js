@@ -1,5 +1,8 @@
 // src/pages/api/coverage-lead.js
-export default async function handler(req, res) {
+import { zoho } from '../../lib/zoho-sdk';
+import { withRateLimit } from '../../middleware/rate-limit';
+
+async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
@@ -16,39 +19,34 @@ export default async function handler(req, res) {
   }
 
   try {
-    // Get Zoho CRM access token
-    const accessToken = await getZohoCRMAccessToken();
-    
     // Format lead data for Zoho CRM
-    const leadData = {
-      data: [{
-        Last_Name: name.split(' ').pop() || name,
-        First_Name: name.split(' ').slice(0, -1).join(' ') || name,
-        Email: email,
-        Phone: phone || null,
-        Company: 'Coverage Request', // Default company name
-        Lead_Source: 'Coverage Map',
-        Lead_Status: 'Coverage Analysis Requested',
-        
-        // Custom fields for coverage request
-        Street: address,
-        Coverage_Request_Type: primaryUse,
-        Current_Provider: currentProvider || 'Not specified',
-        Expected_Data_Usage: dataUsage,
-        
-        // Lead scoring and categorization
-        Rating: determineLeadRating(primaryUse, dataUsage),
-        Industry: mapPrimaryUseToIndustry(primaryUse),
-        
-        // Additional tracking
-        Description: `Coverage analysis requested for ${address}. Primary use: ${primaryUse}. Expected usage: ${dataUsage}. Current provider: ${currentProvider || 'None specified'}.`,
-        
-        // Campaign tracking
-        Lead_Campaign: 'Coverage Map 2025',
-        UTM_Source: 'coverage-page',
-        UTM_Medium: 'website',
-        UTM_Campaign: 'coverage-analysis'
-      }]
+    const lead = {
+      Last_Name: name.split(' ').pop() || name,
+      First_Name: name.split(' ').slice(0, -1).join(' ') || name,
+      Email: email,
+      Phone: phone || null,
+      Company: 'Coverage Request', // Default company name
+      Lead_Source: 'Coverage Map',
+      Lead_Status: 'Coverage Analysis Requested',
+      
+      // Custom fields for coverage request
+      Street: address,
+      Coverage_Request_Type: primaryUse,
+      Current_Provider: currentProvider || 'Not specified',
+      Expected_Data_Usage: dataUsage,
+      
+      // Lead scoring and categorization
+      Rating: determineLeadRating(primaryUse, dataUsage),
+      Industry: mapPrimaryUseToIndustry(primaryUse),
+      
+      // Additional tracking
+      Description: `Coverage analysis requested for ${address}. Primary use: ${primaryUse}. Expected usage: ${dataUsage}. Current provider: ${currentProvider || 'None specified'}.`,
+      
+      // Campaign tracking
+      Lead_Campaign: 'Coverage Map 2025',
+      UTM_Source: 'coverage-page',
+      UTM_Medium: 'website',
+      UTM_Campaign: 'coverage-analysis'
     };
 
     console.log('Submitting lead to Zoho CRM:', {
@@ -58,58 +56,34 @@ export default async function handler(req, res) {
       address: address.substring(0, 50) + '...'
     });
 
-    // Submit to Zoho CRM
-    const crmResponse = await fetch('https://www.zohoapis.com/crm/v3/Leads', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Zoho-oauthtoken ${accessToken}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(leadData)
-    });
-
-    const crmData = await crmResponse.json();
-    console.log('Zoho CRM Response:', {
-      status: crmResponse.status,
-      success: crmResponse.ok,
-      data: crmData
-    });
-
-    if (!crmResponse.ok) {
-      throw new Error(`Zoho CRM API error: ${crmData.message || 'Unknown error'}`);
-    }
+    // Submit to Zoho CRM (throws unless CRM reports the record as created)
+    const result = await zoho.crm.createLead(lead);
+    const leadId = result.details.id;
 
-    // Check if lead was created successfully
-    if (crmData.data && crmData.data[0] && crmData.data[0].status === 'success') {
-      const leadId = crmData.data[0].details.id;
-      
-      console.log('✅ Lead created successfully:', leadId);
+    console.log('✅ Lead created successfully:', leadId);
 
-      // Optional: Send internal notification
-      await sendInternalNotification({
-        leadId,
-        name,
-        email,
-        address,
-        primaryUse,
-        dataUsage
-      });
+    // Optional: Send internal notification
+    await sendInternalNotification({
+      leadId,
+      name,
+      email,
+      address,
+      primaryUse,
+      dataUsage
+    });
 
-      return res.status(200).json({
-        success: true,
-        message: 'Coverage request submitted successfully',
-        leadId,
-        estimatedResponseTime: '24 hours',
-        nextSteps: [
-          'Our team is analyzing coverage at your location',
-          'You will receive a call within 24 hours',
-          'Get personalized router and plan recommendations',
-          'Free consultation with no obligation'
-        ]
-      });
-    } else {
-      throw new Error('Lead creation failed - no success status returned');
-    }
+    return res.status(200).json({
+      success: true,
+      message: 'Coverage request submitted successfully',
+      leadId,
+      estimatedResponseTime: '24 hours',
+      nextSteps: [
+        'Our team is analyzing coverage at your location',
+        'You will receive a call within 24 hours',
+        'Get personalized router and plan recommendations',
+        'Free consultation with no obligation'
+      ]
+    });
 
   } catch (error) {
     console.error('❌ Coverage lead submission failed:', error);
@@ -127,68 +101,6 @@ export default async function handler(req, res) {
   }
 }
 
-/**
- * Get Zoho CRM access token with caching
- */
-let crmTokenCache = null;
-let crmTokenExpiry = 0;
-
-async function getZohoCRMAccessToken() {
-  // Check cache first
-  if (crmTokenCache && Date.now() < crmTokenExpiry) {
-    return crmTokenCache;
-  }
-
-  const requiredEnvVars = {
-    ZOHO_CRM_CLIENT_ID: process.env.ZOHO_CRM_CLIENT_ID,
-    ZOHO_CRM_CLIENT_SECRET: process.env.ZOHO_CRM_CLIENT_SECRET,
-    ZOHO_CRM_REFRESH_TOKEN: process.env.ZOHO_CRM_REFRESH_TOKEN
-  };
-
-  // Check for missing environment variables
-  const missingVars = Object.entries(requiredEnvVars)
-    .filter(([key, value]) => !value)
-    .map(([key]) => key);
-
-  if (missingVars.length > 0) {
-    throw new Error(`Missing Zoho CRM environment variables: ${missingVars.join(', ')}`);
-  }
-
-  try {
-    console.log('🔄 Refreshing Zoho CRM access token...');
-    
-    const response = await fetch('https://accounts.zoho.com/oauth/v2/token', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-      },
-      body: new URLSearchParams({
-        refresh_token: requiredEnvVars.ZOHO_CRM_REFRESH_TOKEN,
-        client_id: requiredEnvVars.ZOHO_CRM_CLIENT_ID,
-        client_secret: requiredEnvVars.ZOHO_CRM_CLIENT_SECRET,
-        grant_type: 'refresh_token',
-      }),
-    });
-
-    const data = await response.json();
-
-    if (!response.ok || !data.access_token) {
-      throw new Error(`Zoho CRM token refresh failed: ${data.error || 'Unknown error'}`);
-    }
-
-    // Cache token for 50 minutes (expires in 1 hour)
-    crmTokenCache = data.access_token;
-    crmTokenExpiry = Date.now() + (50 * 60 * 1000);
-
-    console.log('✅ Zoho CRM access token refreshed successfully');
-    return data.access_token;
-
-  } catch (error) {
-    console.error('❌ Zoho CRM token refresh failed:', error);
-    throw error;
-  }
-}
-
 /**
  * Determine lead rating based on use case and data usage
  */
@@ -252,4 +164,6 @@ async function sendInternalNotification(leadInfo) {
     console.error('Internal notification failed:', error);
     // Don't throw - this is non-critical
   }
-}
\ No newline at end of file
+}
+
+export default withRateLimit(handler, 'coverage-lead');
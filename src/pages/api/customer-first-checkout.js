@@ -1,7 +1,10 @@
 // ===== src/pages/api/customer-first-checkout.js ===== (CREATE THIS FILE)
-import { zohoAPI } from '../../lib/zoho-api';
+import { zoho } from '../../lib/zoho-sdk';
+import { calculateOrderTotals } from '../../lib/order-totals';
+import { cartPricing, cartChangedResponse, CatalogUnavailableError } from '../../lib/cart-pricing';
+import { withRateLimit } from '../../middleware/rate-limit';
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   const requestId = `cfc_${Date.now()}_${Math.random().toString(36).substring(7)}`;
   
   console.log(`\n=== CUSTOMER-FIRST CHECKOUT [${requestId}] ===`);
@@ -11,10 +14,21 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { customerInfo, shippingAddress, cartItems, orderNotes } = req.body;
+    const { customerInfo, shippingAddress, cartItems: requestedItems, shippingMethod, orderNotes } = req.body;
     
     console.log('Processing customer-first checkout for:', customerInfo?.email);
 
+    if (!requestedItems || requestedItems.length === 0) {
+      return res.status(400).json({ error: 'Cart is empty', requestId });
+    }
+
+    // Re-price from the catalog and check stock before anything is created in Zoho
+    const pricing = await cartPricing.priceCart(requestedItems);
+    if (pricing.changed) {
+      return res.status(409).json(cartChangedResponse(pricing, requestId));
+    }
+    const cartItems = pricing.items;
+
     // ===== STEP 1: CREATE OR FIND CUSTOMER =====
     console.log('Step 1: Creating/finding customer...');
     let customerId = null;
@@ -64,9 +78,10 @@ export default async function handler(req, res) {
         try {
           console.log(`Trying customer endpoint: ${endpoint}`);
           
-          const customerResponse = await zohoAPI.apiRequest(endpoint, {
+          const customerResponse = await zoho.commerce.request(endpoint, {
             method: 'POST',
-            body: JSON.stringify(customerPayload)
+            body: customerPayload,
+            traceId: requestId
           });
           
           console.log(`✅ Customer creation successful at ${endpoint}:`, customerResponse);
@@ -106,7 +121,7 @@ export default async function handler(req, res) {
           for (const searchEndpoint of searchEndpoints) {
             try {
               console.log(`Searching for customer at: ${searchEndpoint}`);
-              const searchResponse = await zohoAPI.apiRequest(searchEndpoint);
+              const searchResponse = await zoho.commerce.request(searchEndpoint, { retries: 0, traceId: requestId });
               
               const customers = searchResponse.customers || 
                                searchResponse.contacts || 
@@ -140,10 +155,7 @@ export default async function handler(req, res) {
 
     // ===== STEP 2: CALCULATE ORDER TOTALS =====
     console.log('Step 2: Calculating order totals...');
-    const subtotal = cartItems.reduce((sum, item) => sum + (item.product_price * item.quantity), 0);
-    const tax = Math.round(subtotal * 0.0875 * 100) / 100;
-    const shipping = subtotal >= 100 ? 0 : 9.99;
-    const total = subtotal + tax + shipping;
+    const { subtotal, tax, shipping, total } = calculateOrderTotals(cartItems, { address: shippingAddress, shippingMethod });
 
     console.log('Order totals:', { subtotal, tax, shipping, total });
 
@@ -199,7 +211,7 @@ export default async function handler(req, res) {
     console.log(`Creating order ${customerId ? 'WITH' : 'WITHOUT'} customer ID:`, JSON.stringify(orderData, null, 2));
 
     // Create order in Zoho
-    const zohoOrder = await zohoAPI.createOrder(orderData);
+    const zohoOrder = await zoho.commerce.createOrder(orderData, { traceId: requestId });
     
     console.log('✅ Order created successfully:', {
       orderId: zohoOrder.salesorder_id || zohoOrder.id,
@@ -277,6 +289,16 @@ export default async function handler(req, res) {
   } catch (error) {
     console.error('❌ Customer-first checkout failed:', error);
     
+    if (error instanceof CatalogUnavailableError) {
+      return res.status(503).json({
+        error: 'Unable to verify prices right now',
+        details: error.message,
+        type: 'CATALOG_UNAVAILABLE',
+        request_id: requestId,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
     // Enhanced error response with more context
     return res.status(500).json({
       error: 'Customer-first checkout processing failed',
@@ -303,4 +325,6 @@ export default async function handler(req, res) {
       ]
     });
   }
-}
\ No newline at end of file
+}
+
+export default withRateLimit(handler, 'checkout');
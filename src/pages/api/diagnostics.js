@@ -0,0 +1,28 @@
+// src/pages/api/diagnostics.js - Integration checks for the staff diagnostics console
+// GET lists the registered checks; POST { checks?: string[] } runs them (all when none are named).
+
+import { diagnostics } from '../../lib/diagnostics';
+import { withDiagnostics } from '../../middleware/auth-bypass';
+
+async function handler(req, res) {
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method === 'GET') {
+    return res.status(200).json({ success: true, checks: diagnostics.list() });
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { checks } = req.body || {};
+  if (checks !== undefined && (!Array.isArray(checks) || checks.some(id => typeof id !== 'string'))) {
+    return res.status(400).json({ error: 'checks must be an array of check ids' });
+  }
+
+  console.log(`🩺 ${req.staff.name} is running diagnostics: ${checks?.length ? checks.join(', ') : 'all checks'}`);
+  const report = await diagnostics.run(checks);
+  return res.status(200).json({ success: true, report });
+}
+
+export default withDiagnostics(handler);
@@ -1,5 +1,8 @@
 // src/pages/api/geocode-address.js
-export default async function handler(req, res) {
+
+import { withRateLimit } from '../../middleware/rate-limit';
+
+async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
@@ -142,4 +145,6 @@ export default async function handler(req, res) {
       error: 'Mapbox API unavailable'
     });
   }
-}
\ No newline at end of file
+}
+
+export default withRateLimit(handler, 'geocode');
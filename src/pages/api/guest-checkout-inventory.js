@@ -1,12 +1,15 @@
-// src/pages/api/guest-checkout-inventory.js - Updated to use centralized token manager
-// REMOVED: cachedAccessToken and tokenExpiry - now uses tokenManager.getAccessToken('inventory')
+// src/pages/api/guest-checkout-inventory.js - Guest checkout via Zoho Inventory (contact, sales order, invoice)
 
-import { tokenManager } from '../../lib/enhanced-token-manager';
+import { zoho } from '../../lib/zoho-sdk';
+import { calculateOrderTotals, SHIPPING_METHODS } from '../../lib/order-totals';
+import { cartPricing, cartChangedResponse, CatalogUnavailableError } from '../../lib/cart-pricing';
+import { paymentLinks } from '../../lib/payment-links';
+import { withRateLimit } from '../../middleware/rate-limit';
 
 // Request tracking for debugging
 let requestCounter = 0;
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   const requestId = `checkout_${Date.now()}_${++requestCounter}`;
   console.log(`\n🛒 === GUEST CHECKOUT START [${requestId}] ===`);
 
@@ -18,10 +21,10 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { cartItems, customerInfo, total } = req.body;
+    const { cartItems: requestedItems, customerInfo, shippingAddress, shippingMethod } = req.body;
 
     // Validate request data
-    if (!cartItems || !Array.isArray(cartItems) || cartItems.length === 0) {
+    if (!requestedItems || !Array.isArray(requestedItems) || requestedItems.length === 0) {
       return res.status(400).json({
         error: 'Invalid cart items',
         details: 'Cart items must be a non-empty array',
@@ -37,7 +40,28 @@ export default async function handler(req, res) {
       });
     }
 
-    if (!total || total <= 0) {
+    // Re-price from the catalog and check stock; browser prices are never charged
+    const pricing = await cartPricing.priceCart(requestedItems);
+    if (pricing.changed) {
+      return res.status(409).json(cartChangedResponse(pricing, requestId));
+    }
+    const cartItems = pricing.items;
+
+    // Invoices are paid once; data plans renew and need a card on file (checkout/stripe-direct)
+    if (cartItems.some(item => item.billing_interval)) {
+      return res.status(400).json({
+        error: 'Data plans must be paid by card',
+        details: 'Carts with a data plan subscription are checked out with card payment',
+        code: 'SUBSCRIPTION_REQUIRES_CARD',
+        request_id: requestId
+      });
+    }
+
+    // Totals are always computed here; a total sent by the browser is ignored
+    const orderTotals = calculateOrderTotals(cartItems, { address: shippingAddress, shippingMethod });
+    const total = orderTotals.total;
+
+    if (total <= 0) {
       return res.status(400).json({
         error: 'Invalid total amount',
         details: 'Total must be greater than 0',
@@ -48,7 +72,7 @@ export default async function handler(req, res) {
     console.log(`📋 Checkout Details [${requestId}]:`);
     console.log(`   Customer: ${customerInfo.firstName} ${customerInfo.lastName} (${customerInfo.email})`);
     console.log(`   Items: ${cartItems.length} products`);
-    console.log(`   Total: $${total}`);
+    console.log(`   Total: $${total} (subtotal $${orderTotals.subtotal}, tax $${orderTotals.tax}, ${orderTotals.shippingMethod} shipping $${orderTotals.shipping})`);
 
     let contactInfo = null;
     let salesOrderId = null;
@@ -72,7 +96,7 @@ export default async function handler(req, res) {
     // STEP 2: Create sales order
     try {
       console.log(`\n📦 Step 2: Creating sales order [${requestId}]...`);
-      salesOrderId = await createSalesOrder(contactInfo, cartItems, total, requestId);
+      salesOrderId = await createSalesOrder(contactInfo, cartItems, orderTotals, requestId);
       console.log(`✅ Sales order created: ${salesOrderId}`);
     } catch (salesOrderError) {
       console.error(`❌ Sales order creation failed [${requestId}]:`, salesOrderError);
@@ -106,7 +130,7 @@ export default async function handler(req, res) {
     // STEP 4: Generate payment URL
     try {
       console.log(`\n💳 Step 4: Generating payment URL [${requestId}]...`);
-      const paymentUrl = await generatePaymentUrl(invoiceId, `INV-${invoiceId}`, total, customerInfo, requestId);
+      const { paymentUrl, paymentToken } = generatePaymentUrl(invoiceId, `INV-${invoiceId}`, customerInfo, requestId);
       
       console.log(`\n🎉 === CHECKOUT SUCCESS [${requestId}] ===`);
       console.log(`   Contact: ${contactInfo.contact_id}`);
@@ -118,9 +142,12 @@ export default async function handler(req, res) {
         success: true,
         message: 'Checkout completed successfully',
         checkout_url: paymentUrl,
+        payment_token: paymentToken,
         invoice_id: invoiceId,
         sales_order_id: salesOrderId,
         contact_id: contactInfo.contact_id,
+        total_amount: total,
+        order_totals: orderTotals,
         request_id: requestId,
         timestamp: new Date().toISOString(),
         next_steps: {
@@ -148,6 +175,16 @@ export default async function handler(req, res) {
   } catch (unexpectedError) {
     console.error(`❌ Unexpected checkout error [${requestId}]:`, unexpectedError);
     
+    if (unexpectedError instanceof CatalogUnavailableError) {
+      return res.status(503).json({
+        error: 'Unable to verify prices right now',
+        details: unexpectedError.message,
+        type: 'CATALOG_UNAVAILABLE',
+        request_id: requestId,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
     return res.status(500).json({
       error: 'Unexpected checkout error',
       details: unexpectedError.message || 'An unexpected error occurred during checkout',
@@ -159,97 +196,17 @@ export default async function handler(req, res) {
   }
 }
 
-/**
- * CENTRALIZED: Get Zoho access token using token manager
- * REMOVED: Local cachedAccessToken and tokenExpiry variables
- */
-async function getZohoAccessToken() {
-  try {
-    // Use centralized token manager instead of local caching
-    return await tokenManager.getAccessToken('inventory');
-  } catch (error) {
-    console.error('❌ Failed to get access token from token manager:', error);
-    throw new Error(`Token manager error: ${error.message}`);
-  }
-}
-
-/**
- * Make authenticated API request to Zoho Inventory
- */
-async function makeInventoryApiRequest(url, method = 'GET', body = null) {
-  try {
-    const token = await getZohoAccessToken();
-    
-    const options = {
-      method,
-      headers: {
-        'Authorization': `Zoho-oauthtoken ${token}`,
-        'Content-Type': 'application/json'
-      },
-      // Add timeout to prevent hanging requests
-      signal: AbortSignal.timeout(30000) // 30 second timeout
-    };
-
-    if (body && (method === 'POST' || method === 'PUT')) {
-      options.body = JSON.stringify(body);
-    }
-
-    console.log(`📡 API Request: ${method} ${url}`);
-    
-    const response = await fetch(url, options);
-    const responseText = await response.text();
-
-    // Validate response
-    if (!responseText) {
-      throw new Error(`Empty response from Zoho API: ${response.status} ${response.statusText}`);
-    }
-
-    let responseData;
-    try {
-      responseData = JSON.parse(responseText);
-    } catch (parseError) {
-      throw new Error(`Invalid JSON response from Zoho API: ${parseError.message}. Response: ${responseText.substring(0, 200)}`);
-    }
-
-    // Handle API-level errors even with 200 status
-    if (responseData?.code !== undefined && responseData.code !== 0) {
-      throw new Error(`Inventory API error: ${response.status} - ${responseText}`);
-    }
-
-    if (!response.ok) {
-      throw new Error(`Inventory API error: ${response.status} - ${responseText}`);
-    }
-
-    console.log(`✅ API Response: ${response.status} OK`);
-    return responseData;
-
-  } catch (error) {
-    console.error(`❌ Inventory API request failed:`, {
-      url,
-      method,
-      error: error.message,
-      isTimeout: error.name === 'TimeoutError',
-      isRateLimit: error.message.includes('rate limit') || error.message.includes('too many requests')
-    });
-    throw error;
-  }
-}
-
 /**
  * Create or find contact in Zoho Inventory
  */
 async function createOrFindContact(customerInfo, requestId) {
-  const organizationId = process.env.ZOHO_INVENTORY_ORGANIZATION_ID;
-  
   try {
     // Try to find existing contact first
     console.log(`🔍 Searching for existing contact: ${customerInfo.email} [${requestId}]`);
     
-    const searchUrl = `https://www.zohoapis.com/inventory/v1/contacts?email=${encodeURIComponent(customerInfo.email)}&organization_id=${organizationId}`;
-    const searchResponse = await makeInventoryApiRequest(searchUrl);
+    const existingContact = await zoho.inventory.findContactByEmail(customerInfo.email);
     
-    if (searchResponse.contacts && searchResponse.contacts.length > 0) {
-      const existingContact = searchResponse.contacts[0];
+    if (existingContact) {
       console.log(`✅ Found existing contact: ${existingContact.contact_id} [${requestId}]`);
       
       return {
@@ -284,14 +241,12 @@ async function createOrFindContact(customerInfo, requestId) {
       }
     };
 
-    const createUrl = `https://www.zohoapis.com/inventory/v1/contacts?organization_id=${organizationId}`;
-    const createResponse = await makeInventoryApiRequest(createUrl, 'POST', contactData);
+    const newContact = await zoho.inventory.createContact(contactData, { traceId: requestId });
     
-    if (!createResponse.contact) {
+    if (!newContact) {
       throw new Error('No contact returned from creation API');
     }
 
-    const newContact = createResponse.contact;
     console.log(`✅ Created new contact: ${newContact.contact_id} [${requestId}]`);
     
     return {
@@ -322,7 +277,7 @@ async function mapCommerceItemsToInventory(cartItems, requestId) {
       
       // Create line item (simplified approach - use item data as provided)
       const lineItem = {
-        item_id: item.product_id || item.item_id,
+        item_id: item.item_id || item.product_id,
         name: item.product_name || item.name,
         description: item.product_description || item.description || '',
         rate: parseFloat(item.product_price || item.price || 0),
@@ -367,9 +322,7 @@ async function mapCommerceItemsToInventory(cartItems, requestId) {
 /**
  * Create sales order in Zoho Inventory
  */
-async function createSalesOrder(contactInfo, cartItems, total, requestId) {
-  const organizationId = process.env.ZOHO_INVENTORY_ORGANIZATION_ID;
-  
+async function createSalesOrder(contactInfo, cartItems, orderTotals, requestId) {
   try {
     const lineItems = await mapCommerceItemsToInventory(cartItems, requestId);
     
@@ -377,6 +330,10 @@ async function createSalesOrder(contactInfo, cartItems, total, requestId) {
       customer_id: contactInfo.contact_id,
       date: new Date().toISOString().split('T')[0],
       line_items: lineItems,
+      shipping_charge: orderTotals.shipping,
+      delivery_method: SHIPPING_METHODS[orderTotals.shippingMethod].label,
+      // Sales tax comes from order-totals, not from Zoho tax settings, so the invoice matches the payment
+      ...(orderTotals.tax > 0 && { adjustment: orderTotals.tax, adjustment_description: `Sales tax (${(orderTotals.taxRate * 100).toFixed(3)}%)` }),
       notes: `Guest checkout order - Request ID: ${requestId}`,
       terms: 'Payment due upon receipt',
       ...(contactInfo.billing_address_id && { billing_address_id: contactInfo.billing_address_id }),
@@ -385,14 +342,13 @@ async function createSalesOrder(contactInfo, cartItems, total, requestId) {
 
     console.log(`📦 Creating sales order with ${lineItems.length} line items [${requestId}]`);
     
-    const createUrl = `https://www.zohoapis.com/inventory/v1/salesorders?organization_id=${organizationId}`;
-    const response = await makeInventoryApiRequest(createUrl, 'POST', salesOrderData);
+    const salesOrder = await zoho.inventory.createSalesOrder(salesOrderData, { traceId: requestId });
     
-    if (!response.salesorder) {
+    if (!salesOrder) {
       throw new Error('No sales order returned from creation API');
     }
 
-    return response.salesorder.salesorder_id;
+    return salesOrder.salesorder_id;
     
   } catch (error) {
     console.error(`❌ Sales order creation failed [${requestId}]:`, error);
@@ -404,8 +360,6 @@ async function createSalesOrder(contactInfo, cartItems, total, requestId) {
  * Create invoice from sales order
  */
 async function createInvoiceFromSalesOrder(salesOrderId, requestId) {
-  const organizationId = process.env.ZOHO_INVENTORY_ORGANIZATION_ID;
-  
   try {
     const invoiceData = {
       salesorder_id: salesOrderId,
@@ -417,14 +371,13 @@ async function createInvoiceFromSalesOrder(salesOrderId, requestId) {
 
     console.log(`🧾 Creating invoice from sales order: ${salesOrderId} [${requestId}]`);
     
-    const createUrl = `https://www.zohoapis.com/inventory/v1/invoices?organization_id=${organizationId}`;
-    const response = await makeInventoryApiRequest(createUrl, 'POST', invoiceData);
+    const invoice = await zoho.inventory.createInvoice(invoiceData, { traceId: requestId });
     
-    if (!response.invoice) {
+    if (!invoice) {
       throw new Error('No invoice returned from creation API');
     }
 
-    return response.invoice.invoice_id;
+    return invoice.invoice_id;
     
   } catch (error) {
     console.error(`❌ Invoice creation failed [${requestId}]:`, error);
@@ -433,34 +386,20 @@ async function createInvoiceFromSalesOrder(salesOrderId, requestId) {
 }
 
 /**
- * Generate payment URL for the invoice
+ * Generate a signed payment URL for the invoice
+ * The page looks the amount up from the invoice, so the URL carries no amount or email
  */
-async function generatePaymentUrl(invoiceId, invoiceNumber, total, customerInfo, requestId) {
+function generatePaymentUrl(invoiceId, invoiceNumber, customerInfo, requestId) {
   console.log(`💳 Generating payment URL for invoice ${invoiceId} [${requestId}]...`);
   
-  // Create public payment URL that bypasses Zoho login requirements
-  const baseUrl = process.env.NEXT_PUBLIC_BASE_URL || 'http://localhost:3000';
-  const paymentUrl = `${baseUrl}/pay/${invoiceId}?` + new URLSearchParams({
-    amount: total.toString(),
-    currency: 'USD',
-    customer_email: customerInfo.email,
-    customer_name: `${customerInfo.firstName} ${customerInfo.lastName}`,
+  const { token, link } = paymentLinks.createToken(invoiceId, customerInfo.email);
+  const paymentUrl = paymentLinks.buildUrl(invoiceId, token, {
     invoice_number: invoiceNumber,
-    token: generateSecureToken(invoiceId, customerInfo.email, total),
     request_id: requestId
-  }).toString();
+  });
   
-  console.log(`✅ Generated payment URL [${requestId}]: ${paymentUrl}`);
-  return paymentUrl;
-}
-
-/**
- * Generate secure token for payment verification
- */
-function generateSecureToken(invoiceId, customerEmail, total) {
-  const timestamp = Date.now();
-  const payload = `${invoiceId}:${customerEmail}:${total}:${timestamp}`;
-  return Buffer.from(payload).toString('base64').replace(/[+=\/]/g, '');
+  console.log(`✅ Generated payment URL for invoice ${invoiceId}, expires ${new Date(link.expiresAt).toISOString()} [${requestId}]`);
+  return { paymentUrl, paymentToken: token };
 }
 
 /**
@@ -471,6 +410,9 @@ function handleCheckoutError(res, error, requestId, context = {}) {
                        error.message.includes('too many requests') ||
                        error.message.includes('Rate limited');
 
+  // Token and rate limit state stays in the logs, not the public response
+  console.error(`Zoho status [${requestId}]:`, zoho.getStatus());
+
   const errorResponse = {
     error: 'Checkout failed',
     message: isRateLimited ? 'Rate limit exceeded' : 'Zoho Inventory checkout failed',
@@ -500,8 +442,7 @@ function handleCheckoutError(res, error, requestId, context = {}) {
       sales_order_id: context.sales_order_id,
       invoice_id: context.invoice_id,
       cart_items_count: context.cart_items_count,
-      calculated_total: context.total,
-      token_manager_status: tokenManager.getStatus()
+      calculated_total: context.total
     },
     
     suggestion: getInventoryErrorSuggestion(error.message)
@@ -535,8 +476,6 @@ function getInventoryErrorSuggestion(errorMessage) {
     return 'Invoice creation failed - check sales order exists and is valid';
   } else if (errorMessage?.includes('authentication') || errorMessage?.includes('token')) {
     return 'Check Zoho OAuth credentials and refresh token';
-  } else if (errorMessage?.includes('Token manager error')) {
-    return 'Centralized token management error - check enhanced-token-manager configuration';
   } else {
     return 'Check Zoho Inventory API configuration and organization settings';
   }
@@ -547,21 +486,18 @@ function getInventoryErrorSuggestion(errorMessage) {
  */
 export async function healthCheck() {
   try {
-    const tokenStatus = tokenManager.getStatus();
+    const zohoStatus = zoho.getStatus();
     
     return {
       service: 'guest_checkout_inventory',
       status: 'healthy',
       timestamp: new Date().toISOString(),
-      token_manager: tokenStatus,
+      token_manager: zohoStatus.tokens,
+      zoho_requests: zohoStatus.requests,
       configuration: {
         organization_id_configured: !!process.env.ZOHO_INVENTORY_ORGANIZATION_ID,
         base_url_configured: !!process.env.NEXT_PUBLIC_BASE_URL,
-        oauth_credentials_configured: !!(
-          process.env.ZOHO_CLIENT_ID && 
-          process.env.ZOHO_CLIENT_SECRET && 
-          process.env.ZOHO_REFRESH_TOKEN
-        )
+        oauth_credentials_configured: zoho.isConfigured('inventory')
       }
     };
   } catch (error) {
@@ -572,4 +508,6 @@ export async function healthCheck() {
       timestamp: new Date().toISOString()
     };
   }
-}
\ No newline at end of file
+}
+
+export default withRateLimit(handler, 'checkout');
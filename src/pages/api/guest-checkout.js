@@ -5,7 +5,10 @@
  * The "Invalid input" was caused by missing mandatory custom fields!
  */
 
-export default async function handler(req, res) {
+import { zoho } from '../../lib/zoho-sdk';
+import { withRateLimit } from '../../middleware/rate-limit';
+
+async function handler(req, res) {
   const requestId = `guest_${Date.now()}_${Math.random().toString(36).substring(7)}`;
   
   console.log(`\n=== GUEST CHECKOUT (STOREFRONT API) [${requestId}] ===`);
@@ -43,22 +46,6 @@ export default async function handler(req, res) {
       });
     }
 
-    // ===== GET PRODUCT VARIANT IDs =====
-    
-    // Import Zoho API to get product variant information
-    let zohoAPI;
-    try {
-      const hybridModule = await import('../../lib/zoho-api-hybrid');
-      zohoAPI = hybridModule.hybridZohoAPI || hybridModule.zohoAPI;
-    } catch {
-      try {
-        const existingModule = await import('../../lib/zoho-api');
-        zohoAPI = existingModule.zohoAPI;
-      } catch (importError) {
-        console.error('Could not import Zoho API for product lookup');
-      }
-    }
-
     // ===== RESOLVE VARIANT IDs AND CUSTOM FIELDS =====
     
     const resolvedCartItems = [];
@@ -67,10 +54,10 @@ export default async function handler(req, res) {
       let variantId = item.variant_id || item.product_variant_id;
       
       // If we don't have a variant_id, try to get it from the product
-      if (!variantId && zohoAPI) {
+      if (!variantId) {
         try {
           console.log(`Looking up variants for product: ${item.product_id}`);
-          const product = await zohoAPI.getProduct(item.product_id);
+          const product = await zoho.commerce.getProduct(item.product_id);
           
           if (product && product.variants && product.variants.length > 0) {
             const variant = product.variants[0];
@@ -84,8 +71,6 @@ export default async function handler(req, res) {
           console.log(`⚠️ Product lookup failed for ${item.product_id}:`, productError.message);
           variantId = item.product_id;
         }
-      } else if (!variantId) {
-        variantId = item.product_id;
       }
 
       // GET CUSTOM FIELDS FROM STOREFRONT API
@@ -188,7 +173,7 @@ export default async function handler(req, res) {
 
         const cartResponse = await storefrontApiRequest('/cart?', {
           method: 'POST',
-          body: JSON.stringify(addToCartData)
+          body: addToCartData
         });
 
         // Get cart ID from first item (all subsequent items use the same cart)
@@ -229,7 +214,7 @@ export default async function handler(req, res) {
 
       await storefrontApiRequest(`/checkout/address?checkout_id=${checkoutId}`, {
         method: 'POST',
-        body: JSON.stringify(addressData)
+        body: addressData
       });
 
       console.log('✓ Address added to checkout');
@@ -255,7 +240,7 @@ export default async function handler(req, res) {
 
           await storefrontApiRequest(`/checkout/shipping-methods?checkout_id=${checkoutId}`, {
             method: 'POST',
-            body: JSON.stringify(shippingData)
+            body: shippingData
           });
 
           console.log('✓ Shipping method selected:', selectedShipping.name || selectedShipping.shipping_id);
@@ -386,51 +371,9 @@ export default async function handler(req, res) {
 
 // ===== HELPER FUNCTIONS =====
 
-async function storefrontApiRequest(endpoint, options = {}) {
-  const url = `https://commerce.zoho.com/storefront/api/v1${endpoint}`;
-  
-  const defaultHeaders = {
-    'Content-Type': 'application/json',
-    'domain-name': 'traveldatawifi.com', // Your custom domain
-    'Accept': 'application/json'
-  };
-
-  // Add CSRF token for POST requests
-  if (options.method === 'POST') {
-    defaultHeaders['X-ZCSRF-TOKEN'] = `csrfp=${Date.now()}-${Math.random().toString(36).substring(7)}`;
-  }
-
-  console.log(`Storefront API Request: ${options.method || 'GET'} ${url}`);
-
-  const response = await fetch(url, {
-    ...options,
-    headers: {
-      ...defaultHeaders,
-      ...options.headers
-    }
-  });
-
-  const responseText = await response.text();
-  console.log(`Storefront API Response (${response.status}):`, responseText.substring(0, 500) + (responseText.length > 500 ? '...' : ''));
-
-  if (!response.ok) {
-    throw new Error(`Storefront API error: ${response.status} - ${responseText || response.statusText}`);
-  }
-
-  try {
-    const jsonResponse = JSON.parse(responseText);
-    
-    if (jsonResponse.status_code && jsonResponse.status_code !== '0') {
-      throw new Error(`Storefront API error: ${jsonResponse.status_message || jsonResponse.developer_message || 'Unknown error'}`);
-    }
-    
-    return jsonResponse;
-  } catch (parseError) {
-    if (parseError.message.includes('Storefront API error:')) {
-      throw parseError;
-    }
-    throw new Error(`Invalid JSON response: ${responseText}`);
-  }
+// Guest carts are anonymous Storefront sessions, so these calls go without our OAuth token
+function storefrontApiRequest(endpoint, options = {}) {
+  return zoho.storefront.request(endpoint, { ...options, auth: false });
 }
 
 function getErrorSuggestion(errorMessage) {
@@ -445,4 +388,6 @@ function getErrorSuggestion(errorMessage) {
   } else {
     return 'Check Zoho Commerce Storefront API configuration and product setup';
   }
-}
\ No newline at end of file
+}
+
+export default withRateLimit(handler, 'checkout');
@@ -1,9 +1,18 @@
-// src/pages/api/images/[itemId].js - Proxy endpoint to serve Inventory API images
+// src/pages/api/images/[itemId].js - Product images, resized and cached by lib/image-service
+// GET ?index=<position in product_images>&size=thumbnail|card|gallery|zoom. Variants are WebP or AVIF
+// when the browser accepts them; without size the original is served.
+import { imageService, ImageNotFoundError } from '../../../lib/image-service';
+import { IMAGE_VARIANT_WIDTHS } from '../../../utils/product-images';
+import { withRateLimit } from '../../../middleware/rate-limit';
 
-export default async function handler(req, res) {
-  const { itemId } = req.query;
-  
-  if (req.method !== 'GET') {
+// Products have a handful of images; this keeps the cache keyspace bounded
+const MAX_INDEX = 20;
+
+async function handler(req, res) {
+  const { itemId, size } = req.query;
+  const index = parseInt(req.query.index || '0', 10);
+
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
@@ -11,60 +20,53 @@ export default async function handler(req, res) {
     return res.status(400).json({ error: 'Item ID is required' });
   }
 
+  if (size && !(size in IMAGE_VARIANT_WIDTHS)) {
+    return res.status(400).json({ error: `size must be one of ${Object.keys(IMAGE_VARIANT_WIDTHS).join(', ')}` });
+  }
+
+  if (isNaN(index) || index < 0 || index >= MAX_INDEX) {
+    return res.status(400).json({ error: 'Invalid image index' });
+  }
+
   try {
-    // Get access token
-    const tokenResponse = await fetch('https://accounts.zoho.com/oauth/v2/token', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-      },
-      body: new URLSearchParams({
-        refresh_token: process.env.ZOHO_REFRESH_TOKEN,
-        client_id: process.env.ZOHO_CLIENT_ID,
-        client_secret: process.env.ZOHO_CLIENT_SECRET,
-        grant_type: 'refresh_token',
-      }),
+    const image = await imageService.resolve(String(itemId), {
+      index,
+      variant: size,
+      accept: req.headers.accept
     });
 
-    if (!tokenResponse.ok) {
-      throw new Error('Failed to get access token');
+    res.setHeader('ETag', image.etag);
+    res.setHeader('Cache-Control', 'public, max-age=86400, stale-while-revalidate=604800');
+    // The format of a variant depends on the Accept header
+    if (size) res.setHeader('Vary', 'Accept');
+
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (ifNoneMatch && ifNoneMatch.split(',').map(tag => tag.trim().replace(/^W\//, '')).includes(image.etag)) {
+      return res.status(304).end();
     }
 
-    const tokenData = await tokenResponse.json();
+    const data = await image.load();
 
-    // Fetch image from Zoho Inventory API
-    const imageUrl = `https://www.zohoapis.com/inventory/v1/items/${itemId}/image?organization_id=${process.env.ZOHO_INVENTORY_ORGANIZATION_ID}`;
-    
-    const imageResponse = await fetch(imageUrl, {
-      headers: {
-        'Authorization': `Zoho-oauthtoken ${tokenData.access_token}`,
-      },
-    });
+    res.setHeader('Content-Type', image.contentType);
+    res.setHeader('Content-Length', data.length);
 
-    if (!imageResponse.ok) {
-      if (imageResponse.status === 404) {
-        return res.status(404).json({ error: 'Image not found' });
-      }
-      throw new Error(`Image fetch failed: ${imageResponse.status}`);
+    if (req.method === 'HEAD') {
+      return res.status(200).end();
     }
 
-    // Get the image content type
-    const contentType = imageResponse.headers.get('content-type') || 'image/jpeg';
-    
-    // Set appropriate headers for image caching
-    res.setHeader('Content-Type', contentType);
-    res.setHeader('Cache-Control', 'public, max-age=86400'); // Cache for 24 hours
-    res.setHeader('ETag', `"${itemId}"`);
-    
-    // Stream the image data to the response
-    const imageBuffer = await imageResponse.arrayBuffer();
-    res.send(Buffer.from(imageBuffer));
+    res.status(200).send(data);
 
   } catch (error) {
+    if (error instanceof ImageNotFoundError) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
     console.error('Image proxy error:', error);
-    res.status(500).json({ 
+    res.status(500).json({
       error: 'Failed to fetch image',
-      details: error.message 
+      details: error.message
     });
   }
-}
\ No newline at end of file
+}
+
+export default withRateLimit(handler, 'catalog');
@@ -0,0 +1,31 @@
+// src/pages/api/knowledge-base/articles/[id].js
+import { withKnowledgeBaseAccess } from '../../../../middleware/auth-bypass';
+import { knowledgeBaseStore } from '../../../../lib/knowledge-base';
+import { knowledgeBaseFeedback } from '../../../../lib/knowledge-base-feedback';
+import { knowledgeBaseSync } from '../../../../lib/knowledge-base-sync';
+import { withRateLimit } from '../../../../middleware/rate-limit';
+
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  await knowledgeBaseSync.hydrate();
+
+  const { id } = req.query;
+  const article = knowledgeBaseStore.recordView(String(id));
+
+  if (!article) {
+    return res.status(404).json({
+      error: 'Article not found',
+      message: `No published article with id "${id}"`
+    });
+  }
+
+  const [withCounts] = await knowledgeBaseFeedback.withCounts([article]);
+
+  // ArticleView reads the article fields directly from the response body
+  return res.status(200).json(withCounts);
+}
+
+export default withKnowledgeBaseAccess(withRateLimit(handler, 'knowledge-base'));
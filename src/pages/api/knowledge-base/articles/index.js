@@ -0,0 +1,49 @@
+// src/pages/api/knowledge-base/articles/index.js
+import { withKnowledgeBaseAccess } from '../../../../middleware/auth-bypass';
+import { knowledgeBaseStore } from '../../../../lib/knowledge-base';
+import { knowledgeBaseFeedback } from '../../../../lib/knowledge-base-feedback';
+import { knowledgeBaseSync } from '../../../../lib/knowledge-base-sync';
+import { withRateLimit } from '../../../../middleware/rate-limit';
+
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  await knowledgeBaseSync.hydrate();
+
+  const { category, section, page, limit, sortBy, sortOrder } = req.query;
+
+  const result = knowledgeBaseStore.getArticles({
+    category: category || undefined,
+    section: section || undefined,
+    page: parseInt(page, 10) || 1,
+    limit: parseInt(limit, 10) || undefined,
+    sortBy,
+    sortOrder
+  });
+
+  res.setHeader('Cache-Control', 'public, s-maxage=300, stale-while-revalidate=600');
+
+  const articles = await knowledgeBaseFeedback.withCounts(result.data.map(toArticleSummary));
+
+  return res.status(200).json({
+    data: articles,
+    pagination: result.pagination,
+    meta: {
+      category: category || null,
+      section: section || null,
+      timestamp: new Date().toISOString()
+    }
+  });
+}
+
+/**
+ * List responses leave out the article body to keep payloads small
+ */
+function toArticleSummary(article) {
+  const { content, ...summary } = article;
+  return summary;
+}
+
+export default withKnowledgeBaseAccess(withRateLimit(handler, 'knowledge-base'));
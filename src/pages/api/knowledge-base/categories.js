@@ -0,0 +1,27 @@
+// src/pages/api/knowledge-base/categories.js
+import { withKnowledgeBaseAccess } from '../../../middleware/auth-bypass';
+import { knowledgeBaseStore } from '../../../lib/knowledge-base';
+import { knowledgeBaseSync } from '../../../lib/knowledge-base-sync';
+import { withRateLimit } from '../../../middleware/rate-limit';
+
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  await knowledgeBaseSync.hydrate();
+
+  const categories = knowledgeBaseStore.getCategories();
+
+  res.setHeader('Cache-Control', 'public, s-maxage=900, stale-while-revalidate=1800');
+
+  return res.status(200).json({
+    data: categories,
+    meta: {
+      total: categories.length,
+      timestamp: new Date().toISOString()
+    }
+  });
+}
+
+export default withKnowledgeBaseAccess(withRateLimit(handler, 'knowledge-base'));
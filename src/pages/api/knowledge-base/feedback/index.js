@@ -0,0 +1,71 @@
+// src/pages/api/knowledge-base/feedback/index.js
+import { withKnowledgeBaseAccess } from '../../../../middleware/auth-bypass';
+import { knowledgeBaseStore } from '../../../../lib/knowledge-base';
+import { knowledgeBaseFeedback, FeedbackRateLimitError } from '../../../../lib/knowledge-base-feedback';
+import { getVisitorId } from '../../../../lib/request-utils';
+import { knowledgeBaseSync } from '../../../../lib/knowledge-base-sync';
+import { withRateLimit } from '../../../../middleware/rate-limit';
+
+const FEEDBACK_TYPES = ['helpful', 'unhelpful'];
+
+async function handler(req, res) {
+  await knowledgeBaseSync.hydrate();
+
+  if (req.method === 'GET') {
+    const { articleId } = req.query;
+    if (!articleId) {
+      return res.status(400).json({ error: 'Missing articleId' });
+    }
+    return res.status(200).json({ articleId, ...(await knowledgeBaseFeedback.getCounts(String(articleId))) });
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { articleId, type, comment } = req.body || {};
+
+  if (!articleId || !FEEDBACK_TYPES.includes(type)) {
+    return res.status(400).json({
+      error: 'Invalid feedback',
+      message: 'articleId and type ("helpful" or "unhelpful") are required'
+    });
+  }
+
+  if (comment !== undefined && typeof comment !== 'string') {
+    return res.status(400).json({ error: 'Invalid feedback', message: 'comment must be a string' });
+  }
+
+  if (!knowledgeBaseStore.getArticle(String(articleId))) {
+    return res.status(404).json({ error: 'Article not found' });
+  }
+
+  try {
+    const result = await knowledgeBaseFeedback.submit({
+      articleId: String(articleId),
+      type,
+      comment,
+      visitorId: getVisitorId(req)
+    });
+
+    return res.status(200).json({
+      success: true,
+      articleId,
+      helpfulCount: result.helpfulCount,
+      unhelpfulCount: result.unhelpfulCount,
+      voteChanged: result.voteChanged
+    });
+  } catch (error) {
+    if (error instanceof FeedbackRateLimitError) {
+      res.setHeader('Retry-After', String(error.retryAfter));
+      return res.status(429).json({
+        error: 'Rate limit exceeded',
+        message: error.message,
+        retryAfter: error.retryAfter
+      });
+    }
+    throw error;
+  }
+}
+
+export default withKnowledgeBaseAccess(withRateLimit(handler, 'knowledge-base'));
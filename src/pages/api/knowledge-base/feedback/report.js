@@ -0,0 +1,31 @@
+// src/pages/api/knowledge-base/feedback/report.js
+// Support-team report: least-helpful articles and searches that returned nothing
+import { withStaffAuth } from '../../../../middleware/auth-bypass';
+import { knowledgeBaseFeedback } from '../../../../lib/knowledge-base-feedback';
+import { knowledgeBaseSync } from '../../../../lib/knowledge-base-sync';
+
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  await knowledgeBaseSync.hydrate();
+
+  try {
+    const report = await knowledgeBaseFeedback.getReport({
+      limit: parseInt(req.query.limit, 10) || undefined,
+      minVotes: parseInt(req.query.minVotes, 10) || undefined
+    });
+
+    return res.status(200).json(report);
+  } catch (error) {
+    console.error('❌ Feedback report failed:', error);
+    return res.status(500).json({
+      error: 'Failed to build feedback report',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+export default withStaffAuth(handler, 'read-only');
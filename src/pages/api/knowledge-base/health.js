@@ -0,0 +1,19 @@
+// src/pages/api/knowledge-base/health.js
+import { withKnowledgeBaseAccess } from '../../../middleware/auth-bypass';
+import { knowledgeBaseStore } from '../../../lib/knowledge-base';
+import { knowledgeBaseSync } from '../../../lib/knowledge-base-sync';
+import { withRateLimit } from '../../../middleware/rate-limit';
+
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  await knowledgeBaseSync.hydrate();
+
+  const health = knowledgeBaseStore.healthCheck();
+
+  return res.status(health.status === 'healthy' ? 200 : 503).json(health);
+}
+
+export default withKnowledgeBaseAccess(withRateLimit(handler, 'knowledge-base'));
@@ -0,0 +1,65 @@
+// src/pages/api/knowledge-base/search.js
+import { withKnowledgeBaseAccess } from '../../../middleware/auth-bypass';
+import { knowledgeBaseSearch } from '../../../lib/knowledge-base-search';
+import { knowledgeBaseFeedback } from '../../../lib/knowledge-base-feedback';
+import { knowledgeBaseSync } from '../../../lib/knowledge-base-sync';
+import { withRateLimit } from '../../../middleware/rate-limit';
+
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  await knowledgeBaseSync.hydrate();
+
+  const query = String(req.query.q || '').trim();
+  const { category, page, limit } = req.query;
+
+  if (!query) {
+    return res.status(400).json({
+      error: 'Missing search query',
+      message: 'Provide a search term in the "q" parameter'
+    });
+  }
+
+  const startTime = Date.now();
+  const result = knowledgeBaseSearch.search(query, {
+    category: category || undefined,
+    page: parseInt(page, 10) || 1,
+    limit: parseInt(limit, 10) || 10
+  });
+
+  console.log(`🔎 Knowledge base search "${query}": ${result.pagination.total} results in ${Date.now() - startTime}ms`);
+
+  // Only count first-page searches so paging through results isn't counted twice
+  if (result.pagination.page === 1) {
+    try {
+      await knowledgeBaseFeedback.recordSearch(query, result.pagination.total);
+    } catch (error) {
+      console.error('Failed to record search query:', error);
+    }
+  }
+
+  const hits = await knowledgeBaseFeedback.withCounts(
+    result.hits.map(({ article, score, highlights }) => {
+      const { content, ...summary } = article;
+      return { ...summary, score, highlights };
+    })
+  );
+
+  return res.status(200).json({
+    data: hits,
+    pagination: result.pagination,
+    facets: result.facets,
+    meta: {
+      query: result.query,
+      didYouMean: result.didYouMean,
+      expandedTerms: result.expandedTerms,
+      category: category || null,
+      processing_time_ms: Date.now() - startTime,
+      timestamp: new Date().toISOString()
+    }
+  });
+}
+
+export default withKnowledgeBaseAccess(withRateLimit(handler, 'knowledge-base'));
@@ -0,0 +1,17 @@
+// src/pages/api/knowledge-base/stats.js
+import { withKnowledgeBaseAccess } from '../../../middleware/auth-bypass';
+import { knowledgeBaseStore } from '../../../lib/knowledge-base';
+import { knowledgeBaseSync } from '../../../lib/knowledge-base-sync';
+import { withRateLimit } from '../../../middleware/rate-limit';
+
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  await knowledgeBaseSync.hydrate();
+
+  return res.status(200).json(knowledgeBaseStore.getStats());
+}
+
+export default withKnowledgeBaseAccess(withRateLimit(handler, 'knowledge-base'));
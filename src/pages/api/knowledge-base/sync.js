@@ -0,0 +1,42 @@
+// src/pages/api/knowledge-base/sync.js
+// Imports Help Center articles from Zoho Desk. POST runs a sync (?full=true for a full run), GET shows status.
+import { withStaffAuth } from '../../../middleware/auth-bypass';
+import { knowledgeBaseSync, SyncInProgressError } from '../../../lib/knowledge-base-sync';
+
+async function handler(req, res) {
+  if (req.method === 'GET') {
+    return res.status(200).json(await knowledgeBaseSync.getStatus());
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const full = req.query.full === 'true' || req.body?.full === true;
+
+  try {
+    const result = await knowledgeBaseSync.run({ full });
+
+    return res.status(200).json({
+      success: result.errors.length === 0,
+      ...result
+    });
+  } catch (error) {
+    if (error instanceof SyncInProgressError) {
+      return res.status(409).json({
+        error: 'Sync already running',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    console.error('❌ Knowledge base sync request failed:', error);
+    return res.status(500).json({
+      error: 'Knowledge base sync failed',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+export default withStaffAuth(handler, { GET: 'read-only', POST: 'support' });
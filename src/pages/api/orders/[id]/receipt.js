@@ -0,0 +1,80 @@
+// src/pages/api/orders/[id]/receipt.js - PDF receipt for an order
+
+import { zoho } from '../../../../lib/zoho-sdk';
+import { orderTracking, OrderLookupError, toOrderView } from '../../../../lib/order-tracking';
+import { renderReceiptPdf, findPaymentIntentId } from '../../../../lib/receipts';
+import { withRateLimit } from '../../../../middleware/rate-limit';
+
+/**
+ * Branded PDF receipt (or invoice, while unpaid) for expense reports.
+ * Authorized like the order page: requires a signed token for this order.
+ */
+async function handler(req, res) {
+  const { id, token } = req.query;
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    orderTracking.verify(token, id);
+
+    const salesOrder = await zoho.inventory.getSalesOrder(id);
+    if (!salesOrder) {
+      throw new OrderLookupError('Order not found', 'NOT_FOUND', 404);
+    }
+
+    const order = toOrderView(salesOrder);
+    const payment = await getPayment(findPaymentIntentId(salesOrder));
+    const paid = !!payment || String(salesOrder.paid_status || '').toLowerCase() === 'paid';
+
+    const pdf = await renderReceiptPdf({ order, payment, paid });
+    const filename = `${paid ? 'receipt' : 'invoice'}-${order.orderNumber}.pdf`.replace(/[^a-zA-Z0-9._-]/g, '_');
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Length', pdf.length);
+    res.setHeader('Cache-Control', 'private, no-store');
+    return res.status(200).send(pdf);
+
+  } catch (error) {
+    if (error instanceof OrderLookupError) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    console.error(`❌ Receipt generation failed for order ${id}:`, error);
+    return res.status(500).json({
+      error: 'Failed to generate receipt',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+/**
+ * The succeeded Stripe payment behind an order, with the card brand and last4 for the receipt
+ */
+async function getPayment(paymentIntentId) {
+  if (!paymentIntentId || !process.env.STRIPE_SECRET_KEY) return null;
+
+  const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+  const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId, { expand: ['latest_charge'] });
+
+  if (paymentIntent.status !== 'succeeded') return null;
+
+  const charge = paymentIntent.latest_charge;
+  const card = charge?.payment_method_details?.card;
+  const brand = card?.brand ? card.brand.charAt(0).toUpperCase() + card.brand.slice(1) : 'Card';
+
+  return {
+    paymentIntentId: paymentIntent.id,
+    method: card?.last4 ? `${brand} ending in ${card.last4}` : null,
+    amount: paymentIntent.amount_received / 100,
+    paidAt: new Date((charge?.created || paymentIntent.created) * 1000).toISOString()
+  };
+}
+
+export default withRateLimit(handler, 'orders');
@@ -0,0 +1,54 @@
+// src/pages/api/orders/lookup.js - Find an order by number and email address
+
+import { orderTracking, OrderLookupError } from '../../../lib/order-tracking';
+import { getClientKey } from '../../../lib/request-utils';
+import { withRateLimit } from '../../../middleware/rate-limit';
+
+/**
+ * Exchange an order number and the email it was placed with for a token to view the order.
+ * Rate limited per client IP, and failures per order number for each client IP.
+ */
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { order_number, email } = req.body || {};
+
+  if (typeof order_number !== 'string' || typeof email !== 'string' || !order_number.trim() || !email.trim()) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      details: 'order_number and email are required'
+    });
+  }
+
+  try {
+    const { orderId, token } = await orderTracking.lookup(order_number, email, getClientKey(req));
+
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json({
+      success: true,
+      order_id: orderId,
+      token
+    });
+
+  } catch (error) {
+    if (error instanceof OrderLookupError) {
+      if (error.retryAfter) {
+        res.setHeader('Retry-After', String(error.retryAfter));
+      }
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('❌ Order lookup failed:', error);
+    return res.status(500).json({
+      error: 'Unable to look up orders right now',
+      details: error.message
+    });
+  }
+}
+
+export default withRateLimit(handler, 'orders');
@@ -0,0 +1,49 @@
+// src/pages/api/pay/[invoiceId].js - Invoice details for a signed payment link
+
+import { paymentLinks, PaymentLinkError } from '../../../lib/payment-links';
+import { withRateLimit } from '../../../middleware/rate-limit';
+
+/**
+ * Verify the payment link token and return what the payment page shows.
+ * The amount is the invoice balance in Zoho; the link itself carries no amount.
+ */
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { invoiceId, token } = req.query;
+
+  try {
+    const link = await paymentLinks.verify(token, invoiceId);
+    const invoice = await paymentLinks.getPayableInvoice(link.invoiceId);
+
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json({
+      success: true,
+      invoice_id: invoice.invoiceId,
+      invoice_number: invoice.invoiceNumber,
+      customer_name: invoice.customerName,
+      customer_email: link.customerEmail,
+      amount: invoice.amount,
+      currency: invoice.currency,
+      expires_at: new Date(link.expiresAt).toISOString()
+    });
+
+  } catch (error) {
+    if (error instanceof PaymentLinkError) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    console.error(`❌ Payment link lookup failed for invoice ${invoiceId}:`, error);
+    return res.status(500).json({
+      error: 'Unable to load this invoice right now',
+      details: error.message
+    });
+  }
+}
+
+export default withRateLimit(handler, 'checkout');
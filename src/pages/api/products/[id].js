@@ -1,7 +1,8 @@
 // ===== src/pages/api/products/[id].js =====
-import { zohoAPI } from '../../../lib/zoho-api.ts';
+import { zoho } from '../../../lib/zoho-sdk';
+import { withRateLimit } from '../../../middleware/rate-limit';
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   const { id } = req.query;
 
   if (req.method !== 'GET') {
@@ -9,7 +10,7 @@ export default async function handler(req, res) {
   }
 
   try {
-    const product = await zohoAPI.getProduct(id);
+    const product = await zoho.commerce.getProduct(id);
     if (!product) {
       return res.status(404).json({ error: 'Product not found' });
     }
@@ -18,4 +19,6 @@ export default async function handler(req, res) {
     console.error('API Error:', error);
     res.status(500).json({ error: 'Failed to fetch product' });
   }
-}
\ No newline at end of file
+}
+
+export default withRateLimit(handler, 'catalog');
@@ -0,0 +1,41 @@
+// src/pages/api/staff/session.js - Staff sign-in for operational endpoints
+// POST with `Authorization: Bearer <staff API key>` returns a session token to send instead of the key.
+// GET with either returns who the credential belongs to.
+
+import { staffAuth, StaffAuthError } from '../../../lib/staff-auth';
+import { withRateLimit } from '../../../middleware/rate-limit';
+
+async function handler(req, res) {
+  const authHeader = req.headers.authorization || '';
+  const credential = authHeader.startsWith('Bearer ') ? authHeader.substring(7) : '';
+
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method === 'GET') {
+    const staff = staffAuth.authenticate(credential);
+    if (!staff) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    return res.status(200).json({ success: true, staff });
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const session = staffAuth.createSession(credential);
+    console.log(`🔑 Staff session started for ${session.staff.name} (${session.staff.role})`);
+    return res.status(200).json({ success: true, ...session });
+  } catch (error) {
+    if (error instanceof StaffAuthError) {
+      if (error.code === 'INVALID_CREDENTIALS') {
+        console.warn('🔒 Rejected staff sign-in with an unknown API key');
+      }
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    throw error;
+  }
+}
+
+export default withRateLimit(handler, 'staff-session');
@@ -6,11 +6,9 @@
  * and creates or updates leads in Zoho CRM for marketing/sales follow-up
  */
 
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+import { zoho } from '../../../lib/zoho-sdk';
 
-// Cache for Zoho CRM access token
-let crmTokenCache = null;
-let crmTokenExpiry = 0;
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 
 /**
  * Helper function to get raw body for webhook signature verification
@@ -23,65 +21,6 @@ async function getRawBody(req) {
   return Buffer.concat(chunks);
 }
 
-/**
- * Get Zoho CRM access token with caching
- */
-async function getZohoCRMAccessToken() {
-  // Check cache first
-  if (crmTokenCache && Date.now() < crmTokenExpiry) {
-    return crmTokenCache;
-  }
-
-  const requiredEnvVars = {
-    ZOHO_CRM_CLIENT_ID: process.env.ZOHO_CRM_CLIENT_ID,
-    ZOHO_CRM_CLIENT_SECRET: process.env.ZOHO_CRM_CLIENT_SECRET,
-    ZOHO_CRM_REFRESH_TOKEN: process.env.ZOHO_CRM_REFRESH_TOKEN
-  };
-
-  // Check for missing environment variables
-  const missingVars = Object.entries(requiredEnvVars)
-    .filter(([key, value]) => !value)
-    .map(([key]) => key);
-
-  if (missingVars.length > 0) {
-    throw new Error(`Missing Zoho CRM environment variables: ${missingVars.join(', ')}`);
-  }
-
-  try {
-    console.log('🔄 Refreshing Zoho CRM access token...');
-    
-    const response = await fetch('https://accounts.zoho.com/oauth/v2/token', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-      },
-      body: new URLSearchParams({
-        refresh_token: requiredEnvVars.ZOHO_CRM_REFRESH_TOKEN,
-        client_id: requiredEnvVars.ZOHO_CRM_CLIENT_ID,
-        client_secret: requiredEnvVars.ZOHO_CRM_CLIENT_SECRET,
-        grant_type: 'refresh_token',
-      }),
-    });
-
-    const data = await response.json();
-
-    if (!response.ok || !data.access_token) {
-      throw new Error(`Zoho CRM token refresh failed: ${data.error || 'Unknown error'}`);
-    }
-
-    // Cache token for 50 minutes (expires in 1 hour)
-    crmTokenCache = data.access_token;
-    crmTokenExpiry = Date.now() + (50 * 60 * 1000);
-
-    console.log('✅ Zoho CRM access token refreshed successfully');
-    return data.access_token;
-
-  } catch (error) {
-    console.error('❌ Zoho CRM token refresh failed:', error);
-    throw error;
-  }
-}
-
 /**
  * Parse cart items from metadata
  */
@@ -365,38 +304,15 @@ async function sendCheckoutLeadNotification(leadData, leadId) {
 /**
  * Find existing lead by email address in Zoho CRM
  */
-async function findExistingLeadByEmail(email, accessToken) {
+async function findExistingLeadByEmail(email) {
   try {
     console.log('🔍 Searching for existing lead with email:', email);
     
-    // Search for leads with matching email
-    const searchResponse = await fetch(
-      `https://www.zohoapis.com/crm/v3/Leads/search?criteria=(Email:equals:${encodeURIComponent(email)})`,
-      {
-        method: 'GET',
-        headers: {
-          'Authorization': `Zoho-oauthtoken ${accessToken}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-
-    if (!searchResponse.ok) {
-      if (searchResponse.status === 204) {
-        // No leads found (204 No Content is normal response)
-        console.log('✅ No existing lead found for email:', email);
-        return null;
-      }
-      
-      const errorData = await searchResponse.text();
-      console.warn('⚠️ Lead search failed:', searchResponse.status, errorData);
-      return null; // Continue with creation if search fails
-    }
-
-    const searchResult = await searchResponse.json();
+    // Search for leads with matching email (CRM answers 204 when there are none)
+    const leads = await zoho.crm.searchLeadsByEmail(email);
     
-    if (searchResult.data && searchResult.data.length > 0) {
-      const existingLead = searchResult.data[0]; // Take the first match
+    if (leads.length > 0) {
+      const existingLead = leads[0]; // Take the first match
       console.log('✅ Found existing lead:', {
         id: existingLead.id,
         email: existingLead.Email,
@@ -420,7 +336,7 @@ async function findExistingLeadByEmail(email, accessToken) {
 /**
  * Update existing lead with new checkout data
  */
-async function updateExistingLead(existingLead, leadData, leadRating, industry, accessToken) {
+async function updateExistingLead(existingLead, leadData, leadRating, industry) {
   try {
     console.log('📝 Updating existing lead with new checkout data...');
     
@@ -431,44 +347,42 @@ async function updateExistingLead(existingLead, leadData, leadRating, industry,
     
     // Prepare update data - only update specific fields, preserve others
     const updateData = {
-      data: [{
-        id: existingLead.id,
-        
-        // Always update these checkout-specific fields
-        Checkout_Amount: Math.max(leadData.amount, existingAmount), // Keep highest amount
-        Payment_Intent_ID: leadData.paymentIntentId, // Always update to latest
-        Cart_Items_Count: leadData.cartItems?.length || 0,
-        Product_Interest: formatProductInterest(leadData.cartItems),
-        
-        // Update contact info if new data is more complete
-        Phone: leadData.phone || existingLead.Phone,
-        
-        // Update address if provided and not already set
-        Street: leadData.shippingAddress.address1 && !existingLead.Street ? 
-          `${leadData.shippingAddress.address1} ${leadData.shippingAddress.address2}`.trim() : 
-          existingLead.Street,
-        City: leadData.shippingAddress.city || existingLead.City,
-        State: leadData.shippingAddress.state || existingLead.State,
-        Zip_Code: leadData.shippingAddress.zipCode || existingLead.Zip_Code,
-        Country: leadData.shippingAddress.country || existingLead.Country,
-        
-        // Upgrade rating if this is a higher value interaction
-        Rating: shouldUpgrade ? leadRating : existingLead.Rating,
-        
-        // Update status to show recent activity
-        Lead_Status: determineUpdatedLeadStatus(existingLead.Lead_Status),
-        
-        // Update campaign data if provided
-        UTM_Source: leadData.source || existingLead.UTM_Source,
-        UTM_Medium: leadData.medium || existingLead.UTM_Medium,
-        UTM_Campaign: leadData.campaign || existingLead.UTM_Campaign,
-        
-        // Account creation intent
-        Account_Creation_Intent: leadData.createAccount ? 'Yes' : (existingLead.Account_Creation_Intent || 'No'),
-        
-        // Append to description with new checkout info
-        Description: appendToLeadDescription(existingLead.Description, leadData, isHigherValue)
-      }]
+      id: existingLead.id,
+      
+      // Always update these checkout-specific fields
+      Checkout_Amount: Math.max(leadData.amount, existingAmount), // Keep highest amount
+      Payment_Intent_ID: leadData.paymentIntentId, // Always update to latest
+      Cart_Items_Count: leadData.cartItems?.length || 0,
+      Product_Interest: formatProductInterest(leadData.cartItems),
+      
+      // Update contact info if new data is more complete
+      Phone: leadData.phone || existingLead.Phone,
+      
+      // Update address if provided and not already set
+      Street: leadData.shippingAddress.address1 && !existingLead.Street ? 
+        `${leadData.shippingAddress.address1} ${leadData.shippingAddress.address2}`.trim() : 
+        existingLead.Street,
+      City: leadData.shippingAddress.city || existingLead.City,
+      State: leadData.shippingAddress.state || existingLead.State,
+      Zip_Code: leadData.shippingAddress.zipCode || existingLead.Zip_Code,
+      Country: leadData.shippingAddress.country || existingLead.Country,
+      
+      // Upgrade rating if this is a higher value interaction
+      Rating: shouldUpgrade ? leadRating : existingLead.Rating,
+      
+      // Update status to show recent activity
+      Lead_Status: determineUpdatedLeadStatus(existingLead.Lead_Status),
+      
+      // Update campaign data if provided
+      UTM_Source: leadData.source || existingLead.UTM_Source,
+      UTM_Medium: leadData.medium || existingLead.UTM_Medium,
+      UTM_Campaign: leadData.campaign || existingLead.UTM_Campaign,
+      
+      // Account creation intent
+      Account_Creation_Intent: leadData.createAccount ? 'Yes' : (existingLead.Account_Creation_Intent || 'No'),
+      
+      // Append to description with new checkout info
+      Description: appendToLeadDescription(existingLead.Description, leadData, isHigherValue)
     };
 
     console.log('📤 Updating lead in Zoho CRM:', {
@@ -480,50 +394,26 @@ async function updateExistingLead(existingLead, leadData, leadRating, industry,
       shouldUpgrade
     });
 
-    // Update the lead
-    const updateResponse = await fetch('https://www.zohoapis.com/crm/v3/Leads', {
-      method: 'PUT',
-      headers: {
-        'Authorization': `Zoho-oauthtoken ${accessToken}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(updateData)
-    });
-
-    const updateResult = await updateResponse.json();
-    console.log('Zoho CRM Update Response:', {
-      status: updateResponse.status,
-      success: updateResponse.ok,
-      data: updateResult
-    });
+    // Update the lead (throws unless CRM reports the record as updated)
+    await zoho.crm.updateLead(updateData);
+    console.log('✅ Lead updated successfully:', existingLead.id);
 
-    if (!updateResponse.ok) {
-      throw new Error(`Zoho CRM lead update failed: ${updateResult.message || 'Unknown error'}`);
-    }
+    // Send notification about updated lead
+    await sendCheckoutLeadNotification({
+      ...leadData,
+      isUpdate: true,
+      previousAmount: existingAmount,
+      previousRating: existingLead.Rating
+    }, existingLead.id);
 
-    // Check if update was successful
-    if (updateResult.data && updateResult.data[0] && updateResult.data[0].status === 'success') {
-      console.log('✅ Lead updated successfully:', existingLead.id);
-
-      // Send notification about updated lead
-      await sendCheckoutLeadNotification({
-        ...leadData,
-        isUpdate: true,
-        previousAmount: existingAmount,
-        previousRating: existingLead.Rating
-      }, existingLead.id);
-
-      return {
-        leadId: existingLead.id,
-        status: 'updated',
-        rating: shouldUpgrade ? leadRating : existingLead.Rating,
-        amount: Math.max(leadData.amount, existingAmount),
-        isUpdate: true,
-        previousAmount: existingAmount
-      };
-    } else {
-      throw new Error('Lead update failed - no success status returned');
-    }
+    return {
+      leadId: existingLead.id,
+      status: 'updated',
+      rating: shouldUpgrade ? leadRating : existingLead.Rating,
+      amount: Math.max(leadData.amount, existingAmount),
+      isUpdate: true,
+      previousAmount: existingAmount
+    };
     
   } catch (error) {
     console.error('❌ Error updating existing lead:', error);
@@ -534,53 +424,51 @@ async function updateExistingLead(existingLead, leadData, leadRating, industry,
 /**
  * Create new lead in Zoho CRM
  */
-async function createNewLead(leadData, leadRating, industry, accessToken) {
+async function createNewLead(leadData, leadRating, industry) {
   // Format lead data for Zoho CRM
   const crmLeadData = {
-    data: [{
-      // Basic contact info
-      Last_Name: leadData.lastName || 'Checkout User',
-      First_Name: leadData.firstName || '',
-      Email: leadData.email,
-      Phone: leadData.phone || null,
-      Company: `${leadData.firstName} ${leadData.lastName}`.trim() || 'Checkout Customer',
-      
-      // Lead categorization
-      Lead_Source: leadData.leadSource,
-      Lead_Status: 'Checkout Started',
-      Rating: leadRating,
-      Industry: industry,
-      
-      // Address information
-      Street: `${leadData.shippingAddress.address1} ${leadData.shippingAddress.address2}`.trim(),
-      City: leadData.shippingAddress.city,
-      State: leadData.shippingAddress.state,
-      Zip_Code: leadData.shippingAddress.zipCode,
-      Country: leadData.shippingAddress.country,
-      
-      // Purchase intent data
-      Annual_Revenue: leadData.amount * 12, // Estimate annual value
-      No_of_Employees: determineCompanySizeFromCart(leadData.cartItems),
-      
-      // Custom fields for checkout data
-      Checkout_Amount: leadData.amount,
-      Payment_Intent_ID: leadData.paymentIntentId,
-      Cart_Items_Count: leadData.cartItems?.length || 0,
-      Product_Interest: formatProductInterest(leadData.cartItems),
-      
-      // Campaign tracking
-      Lead_Campaign: leadData.campaign,
-      UTM_Source: leadData.source,
-      UTM_Medium: leadData.medium,
-      UTM_Campaign: leadData.campaign,
-      
-      // Notes with detailed context
-      Description: formatLeadDescription(leadData),
-      
-      // Additional tracking
-      Account_Creation_Intent: leadData.createAccount ? 'Yes' : 'No',
-      Order_Notes: leadData.orderNotes || null
-    }]
+    // Basic contact info
+    Last_Name: leadData.lastName || 'Checkout User',
+    First_Name: leadData.firstName || '',
+    Email: leadData.email,
+    Phone: leadData.phone || null,
+    Company: `${leadData.firstName} ${leadData.lastName}`.trim() || 'Checkout Customer',
+    
+    // Lead categorization
+    Lead_Source: leadData.leadSource,
+    Lead_Status: 'Checkout Started',
+    Rating: leadRating,
+    Industry: industry,
+    
+    // Address information
+    Street: `${leadData.shippingAddress.address1} ${leadData.shippingAddress.address2}`.trim(),
+    City: leadData.shippingAddress.city,
+    State: leadData.shippingAddress.state,
+    Zip_Code: leadData.shippingAddress.zipCode,
+    Country: leadData.shippingAddress.country,
+    
+    // Purchase intent data
+    Annual_Revenue: leadData.amount * 12, // Estimate annual value
+    No_of_Employees: determineCompanySizeFromCart(leadData.cartItems),
+    
+    // Custom fields for checkout data
+    Checkout_Amount: leadData.amount,
+    Payment_Intent_ID: leadData.paymentIntentId,
+    Cart_Items_Count: leadData.cartItems?.length || 0,
+    Product_Interest: formatProductInterest(leadData.cartItems),
+    
+    // Campaign tracking
+    Lead_Campaign: leadData.campaign,
+    UTM_Source: leadData.source,
+    UTM_Medium: leadData.medium,
+    UTM_Campaign: leadData.campaign,
+    
+    // Notes with detailed context
+    Description: formatLeadDescription(leadData),
+    
+    // Additional tracking
+    Account_Creation_Intent: leadData.createAccount ? 'Yes' : 'No',
+    Order_Notes: leadData.orderNotes || null
   };
 
   console.log('📤 Creating new lead in Zoho CRM:', {
@@ -590,73 +478,46 @@ async function createNewLead(leadData, leadRating, industry, accessToken) {
     rating: leadRating
   });
 
-  // Submit to Zoho CRM
-  const crmResponse = await fetch('https://www.zohoapis.com/crm/v3/Leads', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Zoho-oauthtoken ${accessToken}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(crmLeadData)
-  });
+  // Submit to Zoho CRM (throws unless CRM reports the record as created)
+  const result = await zoho.crm.createLead(crmLeadData);
+  const leadId = result.details.id;
 
-  const crmResult = await crmResponse.json();
-  console.log('Zoho CRM Response:', {
-    status: crmResponse.status,
-    success: crmResponse.ok,
-    data: crmResult
-  });
+  console.log('✅ New lead created successfully:', leadId);
 
-  if (!crmResponse.ok) {
-    throw new Error(`Zoho CRM API error: ${crmResult.message || 'Unknown error'}`);
-  }
-
-  // Check if lead was created successfully
-  if (crmResult.data && crmResult.data[0] && crmResult.data[0].status === 'success') {
-    const leadId = crmResult.data[0].details.id;
-    
-    console.log('✅ New lead created successfully:', leadId);
+  // Send internal notification
+  await sendCheckoutLeadNotification({
+    ...leadData,
+    isUpdate: false
+  }, leadId);
 
-    // Send internal notification
-    await sendCheckoutLeadNotification({
-      ...leadData,
-      isUpdate: false
-    }, leadId);
-
-    return {
-      leadId,
-      status: 'created',
-      rating: leadRating,
-      amount: leadData.amount,
-      isUpdate: false
-    };
-  } else {
-    throw new Error('Lead creation failed - no success status returned');
-  }
+  return {
+    leadId,
+    status: 'created',
+    rating: leadRating,
+    amount: leadData.amount,
+    isUpdate: false
+  };
 }
 
 /**
  * Create or update lead in Zoho CRM with deduplication
  */
 async function createZohoCRMLead(leadData) {
-  // Get Zoho CRM access token
-  const accessToken = await getZohoCRMAccessToken();
-  
   // Determine lead priority based on cart value and items
   const leadRating = determineLeadRatingFromCart(leadData.amount, leadData.cartItems);
   const industry = determineIndustryFromProducts(leadData.cartItems);
   
   // Check if lead already exists by email
   console.log('🔍 Checking for existing lead with email:', leadData.email);
-  const existingLead = await findExistingLeadByEmail(leadData.email, accessToken);
+  const existingLead = await findExistingLeadByEmail(leadData.email);
   
   if (existingLead) {
     console.log('📝 Existing lead found, updating instead of creating new one');
     console.log('Existing Lead ID:', existingLead.id);
-    return await updateExistingLead(existingLead, leadData, leadRating, industry, accessToken);
+    return await updateExistingLead(existingLead, leadData, leadRating, industry);
   } else {
     console.log('🆕 No existing lead found, creating new lead');
-    return await createNewLead(leadData, leadRating, industry, accessToken);
+    return await createNewLead(leadData, leadRating, industry);
   }
 }
 
@@ -664,31 +525,11 @@ async function createZohoCRMLead(leadData) {
  * Update lead status in Zoho CRM
  */
 async function updateZohoCRMLeadStatus(leadId, status, notes) {
-  const accessToken = await getZohoCRMAccessToken();
-  
-  const updateData = {
-    data: [{
-      id: leadId,
-      Lead_Status: status,
-      Description: notes
-    }]
-  };
-
-  const response = await fetch('https://www.zohoapis.com/crm/v3/Leads', {
-    method: 'PUT',
-    headers: {
-      'Authorization': `Zoho-oauthtoken ${accessToken}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(updateData)
+  return zoho.crm.updateLead({
+    id: leadId,
+    Lead_Status: status,
+    Description: notes
   });
-
-  if (!response.ok) {
-    const error = await response.json();
-    throw new Error(`Failed to update lead status: ${error.message || 'Unknown error'}`);
-  }
-
-  return await response.json();
 }
 
 /**
@@ -1,13 +1,14 @@
-// src/pages/api/stripe/create-checkout-session.js - Updated to use centralized token manager
-// REMOVED: cachedToken and tokenExpiry - now uses tokenManager.getAccessToken('commerce')
+// src/pages/api/stripe/create-checkout-session.js - Stripe checkout session with Zoho fallbacks
 
-import { tokenManager } from '../../../lib/enhanced-token-manager';
+import { zoho } from '../../../lib/zoho-sdk';
+import { paymentLinks, PaymentLinkError } from '../../../lib/payment-links';
+import { withRateLimit } from '../../../middleware/rate-limit';
 
 /**
  * Create Stripe checkout session with Zoho integration
- * Uses centralized token management to prevent rate limiting issues
+ * Requires a signed payment link token; the amount is the invoice balance in Zoho, never the request's.
  */
-export default async function handler(req, res) {
+async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
@@ -16,16 +17,7 @@ export default async function handler(req, res) {
   console.log(`\n💳 === STRIPE CHECKOUT SESSION CREATION [${requestId}] ===`);
 
   try {
-    const {
-      invoice_id,
-      amount,
-      currency = 'USD',
-      customer_email,
-      customer_name,
-      success_url,
-      cancel_url,
-      mode = 'payment'
-    } = req.body;
+    const { invoice_id, token } = req.body;
 
     // Validate required fields
     if (!invoice_id) {
@@ -36,32 +28,37 @@ export default async function handler(req, res) {
       });
     }
 
-    if (!amount || amount <= 0) {
+    if (!token) {
       return res.status(400).json({
-        error: 'Invalid amount',
-        details: 'amount must be greater than 0',
+        error: 'Missing token',
+        details: 'A signed payment link token is required for checkout session',
         request_id: requestId
       });
     }
 
-    if (!customer_email) {
-      return res.status(400).json({
-        error: 'Missing customer_email',
-        details: 'customer_email is required for checkout session',
-        request_id: requestId
-      });
-    }
+    const link = await paymentLinks.verify(token, invoice_id);
+    const invoice = await paymentLinks.getPayableInvoice(link.invoiceId);
+
+    const amount = invoice.amount;
+    const currency = invoice.currency;
+    const customer_email = link.customerEmail;
+    const customer_name = invoice.customerName;
+
+    // Always a one-off payment back to this site; redirect targets never come from the request
+    const baseUrl = process.env.NEXT_PUBLIC_BASE_URL || 'http://localhost:3000';
+    const success_url = `${baseUrl}/payment/success?session_id={CHECKOUT_SESSION_ID}&invoice_id=${encodeURIComponent(invoice_id)}`;
+    const cancel_url = `${baseUrl}/payment/cancel?invoice_id=${encodeURIComponent(invoice_id)}`;
+    const payment = { invoice_id, token, amount, currency, customer_email, customer_name, success_url, cancel_url };
 
     console.log(`📋 Checkout Session Details [${requestId}]:`);
     console.log(`   Invoice ID: ${invoice_id}`);
     console.log(`   Amount: ${amount} ${currency}`);
     console.log(`   Customer: ${customer_name} (${customer_email})`);
-    console.log(`   Mode: ${mode}`);
 
     // Check if Stripe is configured
     if (!process.env.STRIPE_SECRET_KEY) {
       console.warn(`⚠️ Stripe not configured, falling back to Zoho payment [${requestId}]`);
-      return await createZohoCheckoutSession(req.body, requestId);
+      return res.status(200).json(await createZohoCheckoutSession(payment, requestId));
     }
 
     // Create Stripe checkout session
@@ -69,10 +66,37 @@ export default async function handler(req, res) {
       console.log(`🔄 Creating Stripe checkout session [${requestId}]...`);
       
       const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+
+      // One payment per link: refuse a link the payment intent endpoint already started
+      await paymentLinks.claim(link, 'checkout_session');
+
+      // Reopening the link returns the session it already started
+      const usage = await paymentLinks.getUsage(link.id);
+      let replaced = null;
+      if (usage?.checkoutSessionId) {
+        const existing = await stripe.checkout.sessions.retrieve(usage.checkoutSessionId);
+
+        if (existing.status === 'complete') {
+          await paymentLinks.markPaid(link.id, link.invoiceId, link.expiresAt);
+          throw new PaymentLinkError('This payment link has already been used', 'ALREADY_USED', 410);
+        }
+
+        if (existing.status === 'open' && existing.amount_total === invoice.amountCents) {
+          console.log(`♻️ Reusing checkout session ${existing.id} for payment link [${requestId}]`);
+          return res.status(200).json(checkoutSessionResponse(existing, payment, requestId));
+        }
+
+        // The balance changed: expire the old session so its amount can't still be paid
+        if (existing.status === 'open') {
+          await stripe.checkout.sessions.expire(existing.id);
+          console.log(`🚫 Expired stale checkout session ${existing.id} [${requestId}]`);
+        }
+        replaced = existing.id;
+      }
       
       const sessionData = {
         payment_method_types: ['card'],
-        mode: mode,
+        mode: 'payment',
         customer_email: customer_email,
         
         line_items: [{
@@ -83,31 +107,33 @@ export default async function handler(req, res) {
               description: customer_name ? `Payment for ${customer_name}` : 'Invoice Payment',
               metadata: {
                 invoice_id: invoice_id,
-                customer_email: customer_email,
-                request_id: requestId
+                customer_email: customer_email
               }
             },
-            unit_amount: Math.round(amount * 100), // Convert to cents
+            unit_amount: invoice.amountCents,
           },
           quantity: 1,
         }],
         
-        success_url: success_url || `${process.env.NEXT_PUBLIC_BASE_URL}/payment/success?session_id={CHECKOUT_SESSION_ID}&invoice_id=${invoice_id}`,
-        cancel_url: cancel_url || `${process.env.NEXT_PUBLIC_BASE_URL}/payment/cancel?invoice_id=${invoice_id}`,
+        success_url: success_url,
+        cancel_url: cancel_url,
         
         metadata: {
           invoice_id: invoice_id,
+          invoice_number: invoice.invoiceNumber,
           customer_email: customer_email,
-          request_id: requestId,
+          payment_link_id: link.id,
           integration: 'zoho_stripe'
         },
         
-        // Enhance with additional options
+        // The webhook marks the link used and the invoice paid from these
         payment_intent_data: {
           metadata: {
             invoice_id: invoice_id,
+            invoice_number: invoice.invoiceNumber,
             customer_email: customer_email,
-            request_id: requestId
+            payment_link_id: link.id,
+            payment_link_expires_at: String(link.expiresAt)
           }
         },
         
@@ -118,7 +144,11 @@ export default async function handler(req, res) {
         })
       };
 
-      const session = await stripe.checkout.sessions.create(sessionData);
+      // No request_id in the Stripe parameters: concurrent requests must send identical ones
+      const session = await stripe.checkout.sessions.create(sessionData, {
+        idempotencyKey: paymentLinks.idempotencyKey(link, invoice.amountCents, replaced)
+      });
+      await paymentLinks.recordUsage(link, { checkoutSessionId: session.id });
       
       console.log(`✅ Stripe checkout session created [${requestId}]: ${session.id}`);
 
@@ -130,85 +160,91 @@ export default async function handler(req, res) {
         // Don't fail the entire request if Zoho recording fails
       }
 
-      return res.status(200).json({
-        success: true,
-        checkout_url: session.url,
-        session_id: session.id,
-        invoice_id: invoice_id,
-        amount: amount,
-        currency: currency,
-        customer_email: customer_email,
-        expires_at: session.expires_at,
-        request_id: requestId,
-        timestamp: new Date().toISOString(),
-        payment_method: 'stripe',
-        next_steps: {
-          action: 'redirect_to_stripe',
-          url: session.url,
-          description: 'Customer should be redirected to Stripe checkout'
-        }
-      });
+      return res.status(200).json(checkoutSessionResponse(session, payment, requestId));
 
     } catch (stripeError) {
+      if (stripeError instanceof PaymentLinkError) throw stripeError;
+
+
       console.error(`❌ Stripe checkout session creation failed [${requestId}]:`, stripeError);
       
       // Check if this is a Stripe configuration issue
       if (stripeError.message.includes('Invalid API Key')) {
         console.log(`🔄 Stripe API key invalid, falling back to Zoho [${requestId}]`);
-        return await createZohoCheckoutSession(req.body, requestId);
+        return res.status(200).json(await createZohoCheckoutSession(payment, requestId));
       }
       
       // For other Stripe errors, try Zoho fallback
       console.log(`🔄 Stripe error occurred, attempting Zoho fallback [${requestId}]`);
-      return await createZohoCheckoutSession(req.body, requestId);
+      return res.status(200).json(await createZohoCheckoutSession(payment, requestId));
     }
 
   } catch (error) {
+    if (error instanceof PaymentLinkError) {
+      console.warn(`⚠️ Payment link refused (${error.code}) [${requestId}]:`, error.message);
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code,
+        request_id: requestId
+      });
+    }
+
     console.error(`❌ Unexpected error in checkout session creation [${requestId}]:`, error);
+    // Token and rate limit state stays in the logs, not the public response
+    console.error(`Zoho status [${requestId}]:`, zoho.getStatus());
     
     return res.status(500).json({
       error: 'Checkout session creation failed',
       details: error.message || 'An unexpected error occurred',
       type: 'UNEXPECTED_ERROR',
       request_id: requestId,
-      timestamp: new Date().toISOString(),
-      token_manager_status: tokenManager.getStatus()
+      timestamp: new Date().toISOString()
     });
   }
 }
 
+/**
+ * Response for a Stripe checkout session, new or reused
+ */
+function checkoutSessionResponse(session, payment, requestId) {
+  return {
+    success: true,
+    checkout_url: session.url,
+    session_id: session.id,
+    invoice_id: payment.invoice_id,
+    amount: payment.amount,
+    currency: payment.currency,
+    customer_email: payment.customer_email,
+    expires_at: session.expires_at,
+    request_id: requestId,
+    timestamp: new Date().toISOString(),
+    payment_method: 'stripe',
+    next_steps: {
+      action: 'redirect_to_stripe',
+      url: session.url,
+      description: 'Customer should be redirected to Stripe checkout'
+    }
+  };
+}
+
 /**
  * Fallback: Create Zoho-based checkout session when Stripe is unavailable
+ * paymentData has already been checked against the payment link and the invoice
  */
-async function createZohoCheckoutSession(requestData, requestId) {
+async function createZohoCheckoutSession(paymentData, requestId) {
   console.log(`🔄 Creating Zoho-based checkout session [${requestId}]...`);
   
   try {
     const {
       invoice_id,
+      token,
       amount,
       currency = 'USD',
       customer_email,
       customer_name,
       success_url,
       cancel_url
-    } = requestData;
-
-    // Get Zoho access token using centralized token manager
-    let token;
-    try {
-      console.log(`🔑 Getting Zoho access token via token manager [${requestId}]...`);
-      token = await getZohoAccessToken();
-      console.log(`✅ Zoho access token obtained [${requestId}]`);
-    } catch (tokenError) {
-      console.error(`❌ Zoho token acquisition failed [${requestId}]:`, tokenError);
-      throw new Error(`Zoho authentication failed: ${tokenError.message}`);
-    }
-
-    const organizationId = process.env.ZOHO_INVENTORY_ORGANIZATION_ID;
-    if (!organizationId) {
-      throw new Error('ZOHO_INVENTORY_ORGANIZATION_ID not configured');
-    }
+    } = paymentData;
 
     // Try to create Zoho invoice sharing link
     try {
@@ -230,22 +266,9 @@ async function createZohoCheckoutSession(requestData, requestId) {
 
       console.log(`📡 Creating Zoho invoice share link [${requestId}]...`);
 
-      const response = await fetch(
-        `https://www.zohoapis.com/inventory/v1/invoices/${invoice_id}/share?organization_id=${organizationId}`, 
-        {
-          method: 'POST',
-          headers: {
-            'Authorization': `Zoho-oauthtoken ${token}`,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify(shareInvoiceData),
-          signal: AbortSignal.timeout(30000) // 30 second timeout
-        }
-      );
-
-      const data = await response.json();
+      const data = await zoho.inventory.shareInvoice(invoice_id, shareInvoiceData);
 
-      if (response.ok && (data.share_url || data.invoice_url || data.public_url)) {
+      if (data.share_url || data.invoice_url || data.public_url) {
         const checkoutUrl = data.share_url || data.invoice_url || data.public_url;
         
         console.log(`✅ Zoho invoice sharing successful [${requestId}]: ${checkoutUrl}`);
@@ -275,18 +298,11 @@ async function createZohoCheckoutSession(requestData, requestId) {
       console.error(`❌ Zoho invoice sharing failed [${requestId}]:`, zohoShareError);
       
       // Final fallback - custom payment page
-      const baseUrl = process.env.NEXT_PUBLIC_BASE_URL || 'http://localhost:3000';
-      const fallbackUrl = `${baseUrl}/pay/${invoice_id}?` + new URLSearchParams({
-        amount: amount.toString(),
-        currency: currency,
-        customer_email: customer_email,
-        customer_name: customer_name || '',
-        token: generateSecureToken(invoice_id, customer_email, amount),
+      // Same signed link; the amount is looked up again when the page loads
+      const fallbackUrl = paymentLinks.buildUrl(invoice_id, token, {
         source: 'stripe_fallback',
-        request_id: requestId,
-        success_url: success_url || '',
-        cancel_url: cancel_url || ''
-      }).toString();
+        request_id: requestId
+      });
 
       console.log(`🔄 Using final fallback payment URL [${requestId}]: ${fallbackUrl}`);
 
@@ -323,37 +339,12 @@ async function recordStripeSessionInZoho(stripeSession, invoiceId, requestId) {
   try {
     console.log(`📝 Recording Stripe session in Zoho [${requestId}]...`);
     
-    const token = await getZohoAccessToken();
-    const organizationId = process.env.ZOHO_INVENTORY_ORGANIZATION_ID;
-    
-    if (!organizationId) {
-      throw new Error('ZOHO_INVENTORY_ORGANIZATION_ID not configured');
-    }
-
     // Add a note to the invoice about the Stripe session
-    const noteData = {
-      description: `Stripe checkout session created: ${stripeSession.id}\nAmount: ${stripeSession.amount_total / 100} ${stripeSession.currency.toUpperCase()}\nCustomer: ${stripeSession.customer_email}\nSession URL: ${stripeSession.url}\nRequest ID: ${requestId}`
-    };
+    const description = `Stripe checkout session created: ${stripeSession.id}\nAmount: ${stripeSession.amount_total / 100} ${stripeSession.currency.toUpperCase()}\nCustomer: ${stripeSession.customer_email}\nSession URL: ${stripeSession.url}\nRequest ID: ${requestId}`;
 
-    const response = await fetch(
-      `https://www.zohoapis.com/inventory/v1/invoices/${invoiceId}/comments?organization_id=${organizationId}`,
-      {
-        method: 'POST',
-        headers: {
-          'Authorization': `Zoho-oauthtoken ${token}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(noteData),
-        signal: AbortSignal.timeout(15000) // 15 second timeout for this optional operation
-      }
-    );
-
-    if (response.ok) {
-      console.log(`✅ Stripe session recorded in Zoho [${requestId}]`);
-    } else {
-      const errorText = await response.text();
-      console.warn(`⚠️ Failed to record in Zoho [${requestId}]: ${response.status} - ${errorText}`);
-    }
+    // 15 second timeout for this optional operation
+    await zoho.inventory.addInvoiceComment(invoiceId, description, { timeoutMs: 15000 });
+    console.log(`✅ Stripe session recorded in Zoho [${requestId}]`);
 
   } catch (error) {
     console.warn(`⚠️ Error recording Stripe session in Zoho [${requestId}]:`, error.message);
@@ -361,30 +352,6 @@ async function recordStripeSessionInZoho(stripeSession, invoiceId, requestId) {
   }
 }
 
-/**
- * CENTRALIZED: Get Zoho access token using token manager
- * REMOVED: Local cachedToken and tokenExpiry variables
- */
-async function getZohoAccessToken() {
-  try {
-    // Use centralized token manager instead of local caching
-    // Note: Using 'commerce' for Stripe integration, but could be 'inventory' depending on your setup
-    return await tokenManager.getAccessToken('commerce');
-  } catch (error) {
-    console.error('❌ Failed to get access token from token manager:', error);
-    throw new Error(`Token manager error: ${error.message}`);
-  }
-}
-
-/**
- * Generate secure token for custom payment pages
- */
-function generateSecureToken(invoiceId, customerEmail, amount) {
-  const timestamp = Date.now();
-  const payload = `${invoiceId}:${customerEmail}:${amount}:${timestamp}`;
-  return Buffer.from(payload).toString('base64').replace(/[+=\/]/g, '');
-}
-
 /**
  * Webhook handler for Stripe events (optional - create separate file)
  */
@@ -455,38 +422,14 @@ async function updateInvoiceStatusInZoho(invoiceId, status, requestId) {
   try {
     console.log(`📝 Updating invoice ${invoiceId} status to ${status} [${requestId}]...`);
     
-    const token = await getZohoAccessToken();
-    const organizationId = process.env.ZOHO_INVENTORY_ORGANIZATION_ID;
-    
-    if (!organizationId) {
-      throw new Error('ZOHO_INVENTORY_ORGANIZATION_ID not configured');
-    }
-
     // Mark invoice as paid
-    const response = await fetch(
-      `https://www.zohoapis.com/inventory/v1/invoices/${invoiceId}/status/paid?organization_id=${organizationId}`,
-      {
-        method: 'POST',
-        headers: {
-          'Authorization': `Zoho-oauthtoken ${token}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          date: new Date().toISOString().split('T')[0],
-          amount: null, // Let Zoho determine the amount
-          payment_mode: 'stripe',
-          description: `Payment processed via Stripe - Request ID: ${requestId}`
-        }),
-        signal: AbortSignal.timeout(30000)
-      }
-    );
-
-    if (response.ok) {
-      console.log(`✅ Invoice ${invoiceId} marked as paid in Zoho [${requestId}]`);
-    } else {
-      const errorText = await response.text();
-      throw new Error(`Failed to update invoice status: ${response.status} - ${errorText}`);
-    }
+    await zoho.inventory.markInvoicePaid(invoiceId, {
+      date: new Date().toISOString().split('T')[0],
+      amount: null, // Let Zoho determine the amount
+      payment_mode: 'stripe',
+      description: `Payment processed via Stripe - Request ID: ${requestId}`
+    });
+    console.log(`✅ Invoice ${invoiceId} marked as paid in Zoho [${requestId}]`);
 
   } catch (error) {
     console.error(`❌ Failed to update invoice status in Zoho [${requestId}]:`, error);
@@ -499,13 +442,13 @@ async function updateInvoiceStatusInZoho(invoiceId, status, requestId) {
  */
 export async function healthCheck() {
   try {
-    const tokenStatus = tokenManager.getStatus();
+    const zohoStatus = zoho.getStatus();
     
     return {
       service: 'stripe_checkout',
       status: 'healthy',
       timestamp: new Date().toISOString(),
-      token_manager: tokenStatus,
+      token_manager: zohoStatus.tokens,
       configuration: {
         stripe_configured: !!process.env.STRIPE_SECRET_KEY,
         stripe_publishable_key_configured: !!process.env.NEXT_PUBLIC_STRIPE_PUBLISHABLE_KEY,
@@ -532,21 +475,21 @@ export async function healthCheck() {
  * IMPLEMENTATION NOTES:
  * 
  * This updated solution:
- * 1. Uses centralized token management via tokenManager.getAccessToken('commerce')
- * 2. Removes local token caching (cachedToken, tokenExpiry)
- * 3. Provides multiple fallback methods:
+ * 1. Calls Zoho Inventory through the shared SDK (zoho.inventory)
+ * 2. Provides multiple fallback methods:
  *    - Primary: Stripe checkout session
  *    - Fallback 1: Zoho invoice sharing
  *    - Fallback 2: Custom payment page
- * 4. Includes webhook handling for payment completion
- * 5. Updates Zoho invoice status when payment is successful
- * 6. Comprehensive error handling and logging
- * 7. Timeout protection for all external API calls
+ * 3. Includes webhook handling for payment completion
+ * 4. Updates Zoho invoice status when payment is successful
+ * 5. Comprehensive error handling and logging
+ * 6. Timeout protection for all external API calls
  * 
  * Key improvements:
- * - No more duplicate token caching across files
- * - Rate limiting prevention through centralized token management
+ * - Token caching, retries and rate limit handling live in the Zoho SDK
  * - Graceful fallbacks when services are unavailable
  * - Better error reporting and debugging
  * - Optional Zoho integration for payment tracking
- */
\ No newline at end of file
+ */
+
+export default withRateLimit(handler, 'checkout');
@@ -1,28 +1,27 @@
 // src/pages/api/stripe/create-payment-intent.js
 
+import { paymentLinks, PaymentLinkError } from '../../../lib/payment-links';
+import { withRateLimit } from '../../../middleware/rate-limit';
+
 /**
  * Create Stripe Payment Intent for public payment page
- * This endpoint creates a payment intent for processing payments
+ * The payment link token is verified here and the amount is the invoice balance in Zoho;
+ * nothing about the amount or the customer is taken from the request.
  */
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
   try {
-    const {
-      amount,
-      currency = 'USD',
-      customer_email,
-      metadata = {}
-    } = req.body;
+    const { invoice_id, token } = req.body;
 
     // Validation
-    if (!amount || !customer_email) {
+    if (!invoice_id || !token) {
       return res.status(400).json({
         error: 'Missing required fields',
-        details: 'amount and customer_email are required'
+        details: 'invoice_id and token are required'
       });
     }
 
@@ -34,39 +33,95 @@ export default async function handler(req, res) {
       });
     }
 
+    const link = await paymentLinks.verify(token, invoice_id);
+    const invoice = await paymentLinks.getPayableInvoice(link.invoiceId);
+
     const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 
+    // One payment per link: refuse a link the checkout session endpoint already started
+    await paymentLinks.claim(link, 'payment_intent');
+
+    // A retry (declined card, page reload) reuses the PaymentIntent
+    const usage = await paymentLinks.getUsage(link.id);
+    let replaced = null;
+    if (usage?.paymentIntentId) {
+      const existing = await stripe.paymentIntents.retrieve(usage.paymentIntentId);
+
+      if (existing.status === 'succeeded') {
+        await paymentLinks.markPaid(link.id, link.invoiceId, link.expiresAt);
+        throw new PaymentLinkError('This payment link has already been used', 'ALREADY_USED', 410);
+      }
+
+      if (existing.status === 'processing') {
+        throw new PaymentLinkError('A payment for this link is still processing', 'ALREADY_STARTED', 409);
+      }
+
+      if (existing.status !== 'canceled' && existing.amount === invoice.amountCents) {
+        console.log('♻️ Reusing payment intent for payment link:', existing.id);
+        return res.status(200).json(paymentIntentResponse(existing, invoice));
+      }
+
+      // The balance changed: cancel the old amount so it can't be confirmed alongside the new one
+      if (existing.status !== 'canceled') {
+        await stripe.paymentIntents.cancel(existing.id);
+        console.log('🚫 Cancelled stale payment intent for payment link:', existing.id);
+      }
+      replaced = existing.id;
+    }
+
     // Create payment intent
     const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(parseFloat(amount) * 100), // Convert to cents
-      currency: currency.toLowerCase(),
+      amount: invoice.amountCents,
+      currency: invoice.currency.toLowerCase(),
       automatic_payment_methods: {
         enabled: true,
       },
-      receipt_email: customer_email,
+      receipt_email: link.customerEmail || undefined,
+      description: `Invoice ${invoice.invoiceNumber || invoice.invoiceId}`,
       metadata: {
-        ...metadata,
+        invoice_id: invoice.invoiceId,
+        invoice_number: invoice.invoiceNumber,
+        payment_link_id: link.id,
+        payment_link_expires_at: String(link.expiresAt),
         integration_type: 'travel_data_wifi'
       }
+    }, {
+      idempotencyKey: paymentLinks.idempotencyKey(link, invoice.amountCents, replaced)
     });
 
+    await paymentLinks.recordUsage(link, { paymentIntentId: paymentIntent.id });
+
     console.log('✅ Payment intent created:', paymentIntent.id);
 
-    return res.status(200).json({
-      success: true,
-      client_secret: paymentIntent.client_secret,
-      payment_intent_id: paymentIntent.id,
-      amount: amount,
-      currency: currency
-    });
+    return res.status(200).json(paymentIntentResponse(paymentIntent, invoice));
 
   } catch (error) {
+    if (error instanceof PaymentLinkError) {
+      console.warn(`⚠️ Payment link refused (${error.code}):`, error.message);
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+
     console.error('❌ Error creating payment intent:', error);
-    
+
     return res.status(500).json({
       error: 'Failed to create payment intent',
       details: error.message,
       timestamp: new Date().toISOString()
     });
   }
-}
\ No newline at end of file
+}
+
+function paymentIntentResponse(paymentIntent, invoice) {
+  return {
+    success: true,
+    client_secret: paymentIntent.client_secret,
+    payment_intent_id: paymentIntent.id,
+    amount: invoice.amount,
+    currency: invoice.currency
+  };
+}
+
+export default withRateLimit(handler, 'checkout');
@@ -0,0 +1,114 @@
+// src/pages/api/stripe/refunds.js
+// Admin-only: refund a payment in full or in part. POST { payment_intent_id | order_id, amount?, reason?, note? }
+// with amount in dollars (omit for the remaining balance). Only Stripe is touched here; the
+// charge.refunded webhook then records the credit note in Zoho and voids or restocks the order.
+import { withStaffAuth } from '../../../middleware/auth-bypass';
+import { zoho } from '../../../lib/zoho-sdk';
+import { findPaymentIntentId } from '../../../lib/receipts';
+
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+
+const REFUND_REASONS = ['requested_by_customer', 'duplicate', 'fraudulent'];
+
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { payment_intent_id: requestPaymentIntentId, order_id: orderId, amount, reason, note } = req.body || {};
+
+  if (!requestPaymentIntentId && !orderId) {
+    return res.status(400).json({ error: 'payment_intent_id or order_id is required' });
+  }
+
+  if (amount !== undefined && amount !== null && !(typeof amount === 'number' && amount > 0)) {
+    return res.status(400).json({ error: 'amount must be a positive number of dollars' });
+  }
+
+  if (reason && !REFUND_REASONS.includes(reason)) {
+    return res.status(400).json({ error: `reason must be one of ${REFUND_REASONS.join(', ')}` });
+  }
+
+  try {
+    let paymentIntentId = requestPaymentIntentId;
+
+    if (!paymentIntentId) {
+      const salesOrder = await zoho.inventory.getSalesOrder(orderId);
+      if (!salesOrder) {
+        return res.status(404).json({ error: 'Order not found' });
+      }
+
+      paymentIntentId = findPaymentIntentId(salesOrder);
+      if (!paymentIntentId) {
+        return res.status(422).json({ error: `Order ${salesOrder.salesorder_number} has no Stripe payment recorded` });
+      }
+    }
+
+    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId, { expand: ['latest_charge'] });
+    const charge = paymentIntent.latest_charge;
+
+    if (paymentIntent.status !== 'succeeded' || !charge) {
+      return res.status(409).json({ error: 'Payment has not succeeded, nothing to refund', status: paymentIntent.status });
+    }
+
+    const refundableCents = charge.amount - charge.amount_refunded;
+    const amountCents = amount ? Math.round(amount * 100) : refundableCents;
+
+    if (refundableCents <= 0) {
+      return res.status(409).json({ error: 'Payment is already fully refunded' });
+    }
+
+    if (amountCents > refundableCents) {
+      return res.status(422).json({
+        error: `Refund exceeds the refundable balance of $${(refundableCents / 100).toFixed(2)}`,
+        refundable: refundableCents / 100
+      });
+    }
+
+    // Lets a client retry the request without refunding twice
+    const idempotencyKey = req.headers['idempotency-key'];
+
+    const refund = await stripe.refunds.create({
+      payment_intent: paymentIntent.id,
+      amount: amountCents,
+      ...(reason && { reason }),
+      metadata: {
+        initiated_by: 'admin_api',
+        staff_member: req.staff.name,
+        ...(paymentIntent.metadata?.zoho_order_id && { zoho_order_id: paymentIntent.metadata.zoho_order_id }),
+        ...(paymentIntent.metadata?.invoice_id && { invoice_id: paymentIntent.metadata.invoice_id }),
+        ...(note && { note: String(note).slice(0, 500) })
+      }
+    }, idempotencyKey ? { idempotencyKey: String(idempotencyKey) } : undefined);
+
+    console.log(`💸 Refund ${refund.id} of $${(amountCents / 100).toFixed(2)} started for ${paymentIntent.id} by ${req.staff.name}`);
+
+    return res.status(200).json({
+      success: true,
+      refund: {
+        id: refund.id,
+        status: refund.status,
+        amount: refund.amount / 100,
+        currency: refund.currency.toUpperCase(),
+        payment_intent_id: paymentIntent.id,
+        fully_refunded: amountCents === refundableCents
+      },
+      refundable_remaining: (refundableCents - amountCents) / 100
+    });
+  } catch (error) {
+    console.error('❌ Refund failed:', error);
+
+    // Stripe's own refusals (e.g. a disputed charge) are the caller's to fix
+    if (error.type === 'StripeInvalidRequestError') {
+      return res.status(400).json({ error: 'Refund rejected by Stripe', details: error.message });
+    }
+
+    return res.status(500).json({
+      error: 'Refund failed',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+export default withStaffAuth(handler, 'admin');
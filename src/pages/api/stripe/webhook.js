@@ -4,6 +4,19 @@
  * FIXED: Proper contact creation with addresses, then sales order with address IDs
  */
 
+import { zoho } from '../../../lib/zoho-sdk';
+import { normalizeShippingMethod, SHIPPING_METHODS } from '../../../lib/order-totals';
+import { paymentLinks } from '../../../lib/payment-links';
+import { webhookLedger, deliveryHttpStatus } from '../../../lib/webhook-ledger';
+import { emailService, allDelivered } from '../../../lib/email';
+import { orderTracking } from '../../../lib/order-tracking';
+import { paymentAdjustments } from '../../../lib/payment-adjustments';
+import { subscriptions } from '../../../lib/subscriptions';
+import { inventoryReservations } from '../../../lib/inventory-reservations';
+import { customerAccounts } from '../../../lib/customer-accounts';
+import { savedCarts } from '../../../lib/saved-carts';
+import { cartFromMetadata, hasCartMetadata } from '../../../lib/cart-metadata';
+
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 
 // Helper function to get raw body - FIXED for Next.js
@@ -80,126 +93,403 @@ export default async function handler(req, res) {
     });
   }
 
-  // Handle the event
-  if (event.type === 'payment_intent.succeeded') {
-    const paymentIntent = event.data.object;
-    console.log(`\n=== PAYMENT SUCCEEDED WEBHOOK [${paymentIntent.id}] ===`);
-    
-    try {
-      // Check if order was already created
-      if (paymentIntent.metadata?.webhook_processed === 'true') {
-        console.log('⚠️ Order already processed, skipping');
-        return res.json({ received: true, status: 'already_processed' });
-      }
+  // The ledger answers redeliveries and keeps failed events for retry and replay
+  try {
+    const { outcome, record } = await webhookLedger.receive('stripe', event.id, event.type, event, processStripeEvent);
 
-      // Debug: Log all metadata
-      console.log('🔍 Payment Intent metadata:', JSON.stringify(paymentIntent.metadata, null, 2));
-
-      // Extract order data from metadata
-      const orderData = extractOrderDataFromMetadata(paymentIntent.metadata);
-      console.log('📋 Order data extracted from Payment Intent metadata');
-      console.log('🔍 Extracted order data:', JSON.stringify(orderData, null, 2));
-      
-      // Create order in Zoho now that payment is confirmed
-      const zohoOrder = await createZohoOrderAfterPayment(orderData, paymentIntent);
-      
-      // Update Payment Intent with order information
-      await stripe.paymentIntents.update(paymentIntent.id, {
-        metadata: {
-          ...paymentIntent.metadata,
-          zoho_order_id: zohoOrder.orderId,
-          zoho_order_number: zohoOrder.orderNumber,
-          order_created_at: new Date().toISOString(),
-          webhook_processed: 'true'
-        }
-      });
-      
-      console.log('✅ Post-payment order creation completed successfully');
-      console.log(`📦 Zoho Order: ${zohoOrder.orderNumber} (ID: ${zohoOrder.orderId})`);
-      
-      return res.json({ 
-        received: true, 
-        status: 'order_created',
-        order_id: zohoOrder.orderId,
-        order_number: zohoOrder.orderNumber
-      });
-      
-    } catch (error) {
-      console.error('❌ Post-payment order creation failed:', error);
-      console.error('Error stack:', error.stack);
-      
-      // Update Payment Intent with error info
-      try {
-        await stripe.paymentIntents.update(paymentIntent.id, {
-          metadata: {
-            ...paymentIntent.metadata,
-            order_creation_error: error.message.substring(0, 499),
-            webhook_processed: 'error',
-            error_timestamp: new Date().toISOString()
-          }
-        });
-      } catch (updateError) {
-        console.error('Failed to update Payment Intent with error:', updateError);
-      }
-      
-      // Return success to Stripe (payment was successful)
-      return res.json({ 
-        received: true, 
-        status: 'error',
-        error: error.message
+    return res.status(deliveryHttpStatus(outcome)).json({
+      received: true,
+      event_id: event.id,
+      event_type: event.type,
+      status: outcome,
+      attempts: record.attempts,
+      result: record.result,
+      ...(record.lastError && { error: record.lastError })
+    });
+  } catch (error) {
+    // Not even recorded; a 500 makes Stripe deliver it again
+    console.error(`❌ Could not record Stripe event ${event.id} in the webhook ledger:`, error);
+    return res.status(500).json({ error: 'Webhook could not be recorded', details: error.message });
+  }
+}
+
+/**
+ * Act on a verified Stripe event. Throws when the work should be retried.
+ * Also used by the webhook ledger's retry and replay endpoints.
+ */
+export async function processStripeEvent(event) {
+  switch (event.type) {
+    case 'payment_intent.succeeded':
+      return handlePaymentSucceeded(event.data.object);
+    case 'charge.refunded':
+      return handleChargeRefunded(event.data.object);
+    case 'charge.dispute.created':
+    case 'charge.dispute.closed':
+      return handleDispute(event.data.object, event.type === 'charge.dispute.closed');
+    case 'payment_intent.payment_failed':
+    case 'payment_intent.canceled':
+      return handlePaymentFailed(event.data.object, event.type === 'payment_intent.canceled');
+    case 'invoice.paid':
+      return subscriptions.handleInvoicePaid(event.data.object);
+    case 'invoice.payment_failed':
+      return subscriptions.handleInvoicePaymentFailed(event.data.object);
+    case 'customer.subscription.deleted':
+      return subscriptions.handleSubscriptionDeleted(event.data.object);
+    default:
+      console.log(`ℹ️ Unhandled event type: ${event.type}`);
+      return { status: 'ignored' };
+  }
+}
+
+async function handlePaymentSucceeded(paymentIntent) {
+  console.log(`\n=== PAYMENT SUCCEEDED WEBHOOK [${paymentIntent.id}] ===`);
+
+  // Invoice paid through a /pay link: the order already exists in Zoho
+  if (paymentIntent.metadata?.payment_link_id) {
+    return handlePaymentLinkPayment(paymentIntent);
+  }
+
+  // Subscription renewals carry no order; invoice.paid records them
+  if (paymentIntent.invoice && !hasCartMetadata(paymentIntent.metadata)) {
+    console.log(`ℹ️ ${paymentIntent.id} pays Stripe invoice ${paymentIntent.invoice}, handled by invoice.paid`);
+    return { status: 'ignored', reason: 'billing_invoice' };
+  }
+
+  // Only checkout PaymentIntents carry a cart; anything else has no order to create
+  if (!hasCartMetadata(paymentIntent.metadata)) {
+    console.log(`ℹ️ ${paymentIntent.id} has no cart in its metadata, no order to create`);
+    return { status: 'ignored', reason: 'no_cart' };
+  }
+
+  // A retry after a partial failure must not create a second order
+  const current = await stripe.paymentIntents.retrieve(paymentIntent.id);
+  if (current.metadata?.zoho_order_id) {
+    console.log(`⚠️ Order ${current.metadata.zoho_order_number} already created for ${paymentIntent.id}, skipping`);
+
+    if (current.metadata.reservation_id) {
+      await inventoryReservations.commit(current.metadata.reservation_id);
+    }
+
+    if (current.metadata.subscription_id) {
+      await linkSubscription(current.metadata.subscription_id, {
+        orderId: current.metadata.zoho_order_id,
+        orderNumber: current.metadata.zoho_order_number,
+        customerId: null
       });
     }
-  } else {
-    console.log(`ℹ️ Unhandled event type: ${event.type}`);
+
+    // The confirmation may be what failed last time; it is only sent once per order
+    await sendOrderConfirmation(extractOrderDataFromMetadata(current.metadata), {
+      orderId: current.metadata.zoho_order_id,
+      orderNumber: current.metadata.zoho_order_number
+    });
+
+    return {
+      status: 'already_created',
+      order_id: current.metadata.zoho_order_id,
+      order_number: current.metadata.zoho_order_number
+    };
+  }
+
+  // Debug: Log all metadata
+  console.log('🔍 Payment Intent metadata:', JSON.stringify(paymentIntent.metadata, null, 2));
+
+  // Extract order data from metadata
+  const orderData = extractOrderDataFromMetadata(paymentIntent.metadata);
+  console.log('📋 Order data extracted from Payment Intent metadata');
+  console.log('🔍 Extracted order data:', JSON.stringify(orderData, null, 2));
+  
+  // Create order in Zoho now that payment is confirmed, unless an earlier attempt already did
+  // and then failed before the order id reached the PaymentIntent's metadata
+  const zohoOrder = await findOrderForPayment(paymentIntent) || await createZohoOrderAfterPayment(orderData, paymentIntent);
+  
+  // Update Payment Intent with order information. The order exists either way, so a failure
+  // here must not fail the event (a retry finds the order by its reference number).
+  try {
+    await stripe.paymentIntents.update(paymentIntent.id, {
+      metadata: {
+        ...paymentIntent.metadata,
+        zoho_order_id: zohoOrder.orderId,
+        zoho_order_number: zohoOrder.orderNumber,
+        order_created_at: new Date().toISOString()
+      }
+    });
+  } catch (updateError) {
+    console.error('Failed to update Payment Intent with order information:', updateError);
+  }
+  
+  console.log('✅ Post-payment order creation completed successfully');
+  console.log(`📦 Zoho Order: ${zohoOrder.orderNumber} (ID: ${zohoOrder.orderId})`);
+
+  // Zoho's stock now counts the order, so the checkout's hold on the units can go
+  if (paymentIntent.metadata?.reservation_id) {
+    await inventoryReservations.commit(paymentIntent.metadata.reservation_id);
+  }
+
+  if (paymentIntent.metadata?.subscription_id) {
+    await linkSubscription(paymentIntent.metadata.subscription_id, zohoOrder);
+  }
+
+  await linkAccountOrder(orderData, zohoOrder);
+
+  await closeSavedCart(orderData);
+
+  await sendOrderConfirmation(orderData, zohoOrder);
+  
+  return {
+    status: 'order_created',
+    order_id: zohoOrder.orderId,
+    order_number: zohoOrder.orderNumber
+  };
+}
+
+/**
+ * The Zoho order a previous attempt created for this payment; its reference number is the PaymentIntent id
+ */
+async function findOrderForPayment(paymentIntent) {
+  const order = await zoho.inventory.findSalesOrderByReference(paymentIntent.id);
+  if (!order) return null;
+
+  console.log(`⚠️ Order ${order.salesorder_number} already created for ${paymentIntent.id}, not creating another`);
+  return { orderId: order.salesorder_id, orderNumber: order.salesorder_number, customerId: order.customer_id };
+}
+
+/**
+ * Renewals of a checkout's data plans are invoiced to the customer of its Zoho order
+ */
+async function linkSubscription(subscriptionId, zohoOrder) {
+  await subscriptions.linkOrder(subscriptionId, zohoOrder);
+  console.log(`🔁 Subscription ${subscriptionId} linked to order ${zohoOrder.orderNumber}`);
+}
+
+/**
+ * Show the order in the customer's account: the one they were signed in to, or the verified account with
+ * the order's email. The order exists either way, so a failure is only logged.
+ */
+async function linkAccountOrder(orderData, zohoOrder) {
+  try {
+    const linked = await customerAccounts.linkContact(zohoOrder.customerId, {
+      accountId: orderData.accountId,
+      email: orderData.customerInfo.email
+    });
+    if (linked) console.log(`🔗 Order ${zohoOrder.orderNumber} linked to the customer's account`);
+  } catch (error) {
+    console.error(`Failed to link order ${zohoOrder.orderNumber} to an account:`, error);
+  }
+}
+
+/**
+ * The saved cart became this order: empty it everywhere and stop its abandoned-cart email.
+ * Only logged on failure, like linkAccountOrder.
+ */
+async function closeSavedCart(orderData) {
+  try {
+    await savedCarts.markOrdered({ cartId: orderData.cartId, accountId: orderData.accountId });
+  } catch (error) {
+    console.error('Failed to close the saved cart:', error);
   }
+}
+
+/**
+ * Credit note for each refund on the charge; a full refund also voids or restocks the order.
+ * Refunds started from the admin refunds endpoint or the Stripe dashboard both arrive here.
+ */
+async function handleChargeRefunded(charge) {
+  console.log(`\n=== CHARGE REFUNDED WEBHOOK [${charge.id}] ===`);
 
-  // Return 200 to acknowledge receipt of the event
-  res.json({ received: true, event_type: event.type });
+  // Charge metadata is copied when the charge is made, before the order id is added
+  const paymentIntent = await stripe.paymentIntents.retrieve(charge.payment_intent);
+  const target = requirePaymentTarget(paymentIntent);
+
+  const refunds = await stripe.refunds.list({ charge: charge.id, limit: 100 });
+  const outcome = await paymentAdjustments.recordRefunds(
+    target,
+    refunds.data
+      .filter(refund => refund.status === 'succeeded')
+      .map(refund => ({
+        id: refund.id,
+        amount: refund.amount / 100,
+        reason: refund.reason || refund.metadata?.note || null,
+        createdAt: new Date(refund.created * 1000).toISOString()
+      })),
+    charge.refunded
+  );
+
+  return {
+    status: outcome.fullyRefunded ? 'refunded' : 'partially_refunded',
+    amount_refunded: charge.amount_refunded / 100,
+    credit_notes: outcome.creditNotes,
+    stock: outcome.stock
+  };
+}
+
+async function handleDispute(dispute, closed) {
+  console.log(`\n=== DISPUTE ${closed ? 'CLOSED' : 'CREATED'} WEBHOOK [${dispute.id}] ===`);
+
+  const paymentIntentId = dispute.payment_intent || (await stripe.charges.retrieve(dispute.charge)).payment_intent;
+  const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+  const target = requirePaymentTarget(paymentIntent);
+
+  const details = {
+    id: dispute.id,
+    amount: dispute.amount / 100,
+    reason: dispute.reason || null,
+    status: dispute.status,
+    evidenceDueBy: dispute.evidence_details?.due_by ? new Date(dispute.evidence_details.due_by * 1000).toISOString() : null
+  };
+
+  if (!closed) {
+    await paymentAdjustments.recordDisputeOpened(target, details);
+    return { status: 'dispute_recorded', dispute_id: dispute.id };
+  }
+
+  const { creditNoteId } = await paymentAdjustments.recordDisputeClosed(target, details);
+  return { status: `dispute_${dispute.status}`, dispute_id: dispute.id, credit_note: creditNoteId };
+}
+
+/**
+ * Failed or canceled payments only matter once there is something in Zoho: an invoice behind a
+ * payment link, or an order whose PaymentIntent was later canceled. Declines at checkout happen
+ * before any order exists and are left to the checkout page.
+ */
+async function handlePaymentFailed(paymentIntent, canceled) {
+  // A canceled checkout won't be paid; give its reserved units back. Declines can still be retried.
+  if (canceled && paymentIntent.metadata?.reservation_id) {
+    await inventoryReservations.release(paymentIntent.metadata.reservation_id);
+  }
+
+  // Stripe Billing invoices (checkout with a data plan, renewals) are handled by invoice.payment_failed
+  if (paymentIntent.invoice) {
+    return { status: 'ignored', reason: 'billing_invoice' };
+  }
+
+  const target = paymentTarget(paymentIntent);
+  const reason = canceled
+    ? (paymentIntent.cancellation_reason || 'canceled').replace(/_/g, ' ')
+    : paymentIntent.last_payment_error?.message || null;
+
+  if (!target.salesOrderId && !target.invoiceId) {
+    console.log(`ℹ️ Payment ${paymentIntent.id} ${canceled ? 'canceled' : 'failed'} before an order was created${reason ? `: ${reason}` : ''}`);
+    return { status: 'ignored', reason: 'no_zoho_record' };
+  }
+
+  const { voided } = await paymentAdjustments.recordPaymentFailure(target, { reason, canceled });
+  return { status: canceled ? 'payment_canceled' : 'payment_failed', reference: target.reference, voided };
+}
+
+// The Zoho order or invoice a PaymentIntent paid for: an invoice for payment links and subscription renewals
+function paymentTarget(paymentIntent) {
+  const metadata = paymentIntent.metadata || {};
+
+  if (metadata.invoice_id) {
+    return {
+      paymentIntentId: paymentIntent.id,
+      salesOrderId: null,
+      invoiceId: metadata.invoice_id,
+      reference: `invoice ${metadata.invoice_number || metadata.invoice_id}`,
+      customerEmail: paymentIntent.receipt_email || null
+    };
+  }
+
+  return {
+    paymentIntentId: paymentIntent.id,
+    salesOrderId: metadata.zoho_order_id || null,
+    invoiceId: null,
+    reference: metadata.zoho_order_number ? `order ${metadata.zoho_order_number}` : `payment ${paymentIntent.id}`,
+    customerEmail: metadata.customer_email || paymentIntent.receipt_email || null
+  };
+}
+
+// Throws while the order for a successful checkout payment hasn't been created yet, so the ledger retries later
+function requirePaymentTarget(paymentIntent) {
+  const target = paymentTarget(paymentIntent);
+
+  if (!target.salesOrderId && !target.invoiceId) {
+    throw new Error(`No Zoho order recorded for payment ${paymentIntent.id} yet`);
+  }
+
+  return target;
+}
+
+/**
+ * Close out a payment link: refuse the link from now on and mark the invoice paid
+ */
+async function handlePaymentLinkPayment(paymentIntent) {
+  const { payment_link_id: linkId, payment_link_expires_at: expiresAt, invoice_id: invoiceId } = paymentIntent.metadata;
+
+  await paymentLinks.markPaid(linkId, invoiceId, expiresAt ? Number(expiresAt) : undefined);
+
+  await zoho.inventory.markInvoicePaid(invoiceId, {
+    date: new Date().toISOString().split('T')[0],
+    amount: paymentIntent.amount_received / 100,
+    payment_mode: 'stripe',
+    reference_number: paymentIntent.id,
+    description: `Payment link ${linkId} paid via Stripe`
+  });
+  console.log(`✅ Invoice ${invoiceId} marked as paid in Zoho`);
+
+  // Sent once per PaymentIntent; a failed send throws so the ledger retries it
+  const results = await emailService.send('payment-confirmation', {
+    customerName: '',
+    reference: `invoice ${paymentIntent.metadata.invoice_number || invoiceId}`,
+    amount: paymentIntent.amount_received / 100,
+    paymentId: paymentIntent.id
+  }, {
+    to: paymentIntent.receipt_email,
+    idempotencyKey: `payment-confirmation:${paymentIntent.id}`,
+    reference: invoiceId
+  });
+
+  if (!allDelivered(results)) {
+    throw new Error(`Could not send payment confirmation for invoice ${invoiceId}`);
+  }
+
+  return { status: 'invoice_paid', invoice_id: invoiceId };
+}
+
+/**
+ * Email the customer their order confirmation. Sent once per Zoho order, so it is safe
+ * to call again when the event is retried; a failed send throws so the ledger retries it.
+ */
+async function sendOrderConfirmation(orderData, zohoOrder) {
+  const { customerInfo, cartItems, orderTotals, shippingAddress } = orderData;
+
+  const results = await emailService.send('order-confirmation', {
+    customerName: `${customerInfo.firstName} ${customerInfo.lastName}`.trim(),
+    orderNumber: zohoOrder.orderNumber,
+    items: cartItems.map(item => ({
+      name: item.product_name,
+      quantity: item.quantity,
+      price: item.product_price
+    })),
+    subtotal: orderTotals.subtotal,
+    tax: orderTotals.tax,
+    shipping: orderTotals.shipping,
+    total: orderTotals.total,
+    shippingMethod: SHIPPING_METHODS[orderTotals.shippingMethod]?.label || null,
+    shippingAddress,
+    orderUrl: orderTracking.isConfigured() ? orderTracking.buildUrl(zohoOrder.orderId) : null
+  }, {
+    to: customerInfo.email,
+    idempotencyKey: `order-confirmation:${zohoOrder.orderId}`,
+    reference: zohoOrder.orderNumber
+  });
+
+  if (!allDelivered(results)) {
+    throw new Error(`Could not send order confirmation for order ${zohoOrder.orderNumber}`);
+  }
 }
 
 function extractOrderDataFromMetadata(metadata) {
   console.log('🔍 Extracting order data from metadata keys:', Object.keys(metadata));
   
-  let cartItems = [];
-  try {
-    if (metadata.cart_items) {
-      console.log('🔍 Found cart_items in metadata:', metadata.cart_items);
-      const parsedItems = JSON.parse(metadata.cart_items);
-      cartItems = parsedItems.map(item => ({
-        product_id: item.id || item.product_id || 'unknown',
-        product_name: item.name || item.product_name || 'Unknown Product',
-        product_price: parseFloat(item.price || item.product_price || 0),
-        quantity: parseInt(item.qty || item.quantity || 1)
-      }));
-      console.log('✅ Parsed cart items:', cartItems);
-    } else {
-      console.log('⚠️ No cart_items found in metadata, creating fallback item');
-      // Create fallback item from available data
-      const itemCount = parseInt(metadata.item_count || '1');
-      const subtotal = parseFloat(metadata.subtotal || metadata.total || '0');
-      const price = itemCount > 0 ? subtotal / itemCount : subtotal;
-      
-      cartItems = [{
-        product_id: 'fallback-item',
-        product_name: 'Travel Data WiFi Product',
-        product_price: price,
-        quantity: itemCount
-      }];
-      console.log('✅ Created fallback cart items:', cartItems);
-    }
-  } catch (parseError) {
-    console.error('❌ Could not parse cart items from metadata:', parseError);
-    console.log('🔍 Metadata cart_items value:', metadata.cart_items);
-    
-    // Emergency fallback
-    cartItems = [{
-      product_id: 'emergency-fallback',
-      product_name: 'Travel Data WiFi Product',
-      product_price: parseFloat(metadata.total || '5.00'),
-      quantity: 1
-    }];
-    console.log('⚠️ Using emergency fallback cart items:', cartItems);
-  }
+  // Throws when the cart is incomplete, so the ledger keeps the event instead of ordering the wrong items
+  const cartItems = (cartFromMetadata(metadata) || []).map(item => ({
+    product_id: item.id || item.product_id || 'unknown',
+    product_name: item.name || item.product_name || 'Unknown Product',
+    product_price: parseFloat(item.price || item.product_price || 0),
+    quantity: parseInt(item.qty || item.quantity || 1)
+  }));
   
   // Extract customer info with better fallback handling
   const customerName = metadata.customer_name || 'Guest Customer';
@@ -226,10 +516,14 @@ function extractOrderDataFromMetadata(metadata) {
     orderTotals: {
       subtotal: parseFloat(metadata.subtotal || '0'),
       tax: parseFloat(metadata.tax || '0'),
+      taxRate: parseFloat(metadata.tax_rate || '0'),
       shipping: parseFloat(metadata.shipping || '0'),
+      shippingMethod: normalizeShippingMethod(metadata.shipping_method),
       total: parseFloat(metadata.total || '0')
     },
     customerId: metadata.customer_id || null,
+    accountId: metadata.account_id || null,
+    cartId: metadata.cart_id || null,
     orderNotes: metadata.order_notes || '',
     requestId: metadata.request_id || ''
   };
@@ -241,8 +535,6 @@ function extractOrderDataFromMetadata(metadata) {
 async function createZohoOrderAfterPayment(orderData, paymentIntent) {
   console.log('🔄 Creating Zoho order after payment confirmation...');
   
-  const token = await getZohoAccessToken();
-  
   // STEP 1: Create contact with addresses in one API call
   console.log('👤 Creating contact with addresses in Zoho...');
   
@@ -285,28 +577,15 @@ async function createZohoOrderAfterPayment(orderData, paymentIntent) {
   
   console.log('Creating contact with data:', JSON.stringify(contactData, null, 2));
   
-  const contactResponse = await fetch(
-    `https://www.zohoapis.com/inventory/v1/contacts?organization_id=${process.env.ZOHO_INVENTORY_ORGANIZATION_ID}`,
-    {
-      method: 'POST',
-      headers: {
-        'Authorization': `Zoho-oauthtoken ${token}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(contactData)
-    }
-  );
-  
-  const contactResult = await contactResponse.json();
-  console.log('Contact creation response:', JSON.stringify(contactResult, null, 2));
+  const contact = await zoho.inventory.createContact(contactData, { traceId: orderData.requestId });
   
-  if (!contactResult.contact?.contact_id) {
-    throw new Error(`Contact creation failed: ${contactResult.message || 'Unknown error'}`);
+  if (!contact?.contact_id) {
+    throw new Error('Contact creation failed: no contact returned');
   }
   
-  const customerId = contactResult.contact.contact_id;
-  const billingAddressId = contactResult.contact.billing_address?.address_id;
-  const shippingAddressId = contactResult.contact.shipping_address?.address_id;
+  const customerId = contact.contact_id;
+  const billingAddressId = contact.billing_address?.address_id;
+  const shippingAddressId = contact.shipping_address?.address_id;
   
   console.log('✅ Contact created successfully:', {
     customerId,
@@ -332,7 +611,16 @@ async function createZohoOrderAfterPayment(orderData, paymentIntent) {
     date: new Date().toISOString().split('T')[0],
     shipment_date: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
     line_items: lineItems,
+    shipping_charge: orderData.orderTotals.shipping,
+    delivery_method: SHIPPING_METHODS[orderData.orderTotals.shippingMethod].label,
+    // Charge the tax the customer paid rather than letting Zoho recalculate it
+    ...(orderData.orderTotals.tax > 0 && {
+      adjustment: orderData.orderTotals.tax,
+      adjustment_description: `Sales tax (${(orderData.orderTotals.taxRate * 100).toFixed(3)}%)`
+    }),
     notes: `Payment completed via Stripe. Payment Intent: ${paymentIntent.id}. Request ID: ${orderData.requestId}`,
+    // Receipts look up the card used through this
+    reference_number: paymentIntent.id,
     terms: 'Paid via Stripe',
     status: 'confirmed'  // Create confirmed sales order instead of draft
   };
@@ -360,77 +648,29 @@ async function createZohoOrderAfterPayment(orderData, paymentIntent) {
   console.log('📦 Creating sales order in Zoho...');
   console.log('📋 Sales order data:', JSON.stringify(salesOrderData, null, 2));
   
-  const response = await fetch(
-    `https://www.zohoapis.com/inventory/v1/salesorders?organization_id=${process.env.ZOHO_INVENTORY_ORGANIZATION_ID}`,
-    {
-      method: 'POST',
-      headers: {
-        'Authorization': `Zoho-oauthtoken ${token}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(salesOrderData)
-    }
-  );
-  
-  const result = await response.json();
-  console.log('Sales order creation response:', JSON.stringify(result, null, 2));
+  const salesOrder = await zoho.inventory.createSalesOrder(salesOrderData, { traceId: orderData.requestId });
   
-  if (!response.ok || !result.salesorder) {
-    console.error('❌ Zoho order creation failed. Full response:', result);
-    throw new Error(`Zoho order creation failed: ${result.message || JSON.stringify(result)}`);
+  if (!salesOrder) {
+    throw new Error('Zoho order creation failed: no sales order returned');
   }
   
-  const orderId = result.salesorder.salesorder_id;
-  const orderNumber = result.salesorder.salesorder_number;
+  const orderId = salesOrder.salesorder_id;
+  const orderNumber = salesOrder.salesorder_number;
   
   console.log('✅ Zoho order created after payment:', { orderId, orderNumber });
   
   // STEP 4: Confirm the sales order (changes status from draft to confirmed)
   console.log('📋 Confirming sales order...');
   
-  const confirmResponse = await fetch(
-    `https://www.zohoapis.com/inventory/v1/salesorders/${orderId}/status/confirmed?organization_id=${process.env.ZOHO_INVENTORY_ORGANIZATION_ID}`,
-    {
-      method: 'POST',
-      headers: {
-        'Authorization': `Zoho-oauthtoken ${token}`,
-        'Content-Type': 'application/json'
-      }
-    }
-  );
-  
-  const confirmResult = await confirmResponse.json();
-  console.log('Sales order confirmation response:', JSON.stringify(confirmResult, null, 2));
-  
-  if (!confirmResponse.ok) {
-    console.warn('⚠️ Sales order confirmation failed:', confirmResult.message);
-    // Don't throw error - order was created successfully, just not confirmed
-  } else {
+  try {
+    await zoho.inventory.confirmSalesOrder(orderId);
     console.log('✅ Sales order confirmed successfully');
+  } catch (error) {
+    // Don't throw error - order was created successfully, just not confirmed
+    console.warn('⚠️ Sales order confirmation failed:', error.message);
   }
   
-  return { orderId, orderNumber };
-}
-
-async function getZohoAccessToken() {
-  const response = await fetch('https://accounts.zoho.com/oauth/v2/token', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-    body: new URLSearchParams({
-      refresh_token: process.env.ZOHO_REFRESH_TOKEN,
-      client_id: process.env.ZOHO_CLIENT_ID,
-      client_secret: process.env.ZOHO_CLIENT_SECRET,
-      grant_type: 'refresh_token'
-    })
-  });
-  
-  const data = await response.json();
-  
-  if (!data.access_token) {
-    throw new Error('Failed to get Zoho access token');
-  }
-  
-  return data.access_token;
+  return { orderId, orderNumber, customerId };
 }
 
 // CRITICAL: Disable body parser for raw body handling
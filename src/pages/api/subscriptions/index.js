@@ -0,0 +1,37 @@
+// src/pages/api/subscriptions/index.js
+// Data plan subscriptions and their dunning state: GET ?status=active|past_due|suspended|canceled|incomplete&limit=50
+import { withStaffAuth } from '../../../middleware/auth-bypass';
+import { subscriptions } from '../../../lib/subscriptions';
+
+const STATUSES = ['incomplete', 'active', 'past_due', 'suspended', 'canceled'];
+
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { status } = req.query;
+
+  if (status && !STATUSES.includes(status)) {
+    return res.status(400).json({ error: 'Invalid status', details: `status must be one of ${STATUSES.join(', ')}` });
+  }
+
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    const records = await subscriptions.list(status);
+
+    return res.status(200).json({
+      total: records.length,
+      subscriptions: records.slice(0, limit)
+    });
+  } catch (error) {
+    console.error('❌ Subscription listing failed:', error);
+    return res.status(500).json({
+      error: 'Failed to list subscriptions',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+export default withStaffAuth(handler, 'read-only');
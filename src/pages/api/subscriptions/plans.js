@@ -0,0 +1,30 @@
+// src/pages/api/subscriptions/plans.js
+// Data plans sold as subscriptions. GET lists the plans synced to Stripe; POST syncs them from
+// Zoho Inventory (items with cf_billing_interval) - run it after changing a plan or its price.
+import { withStaffAuth } from '../../../middleware/auth-bypass';
+import { subscriptions } from '../../../lib/subscriptions';
+
+async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      const plans = await subscriptions.listPlans();
+      return res.status(200).json({ total: plans.length, plans });
+    }
+
+    if (req.method === 'POST') {
+      const { plans, retired } = await subscriptions.syncPlans();
+      return res.status(200).json({ success: true, synced: plans.length, plans, retired });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('❌ Data plan sync failed:', error);
+    return res.status(error.status || 500).json({
+      error: 'Data plan sync failed',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+export default withStaffAuth(handler, { GET: 'read-only', POST: 'admin' });
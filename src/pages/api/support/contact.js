@@ -0,0 +1,137 @@
+// src/pages/api/support/contact.js - Contact form submission, creates a support ticket
+import { promises as fs } from 'fs';
+import formidable from 'formidable';
+import { withKnowledgeBaseAccess } from '../../../middleware/auth-bypass';
+import {
+  supportTickets,
+  validateTicketRequest,
+  validateAttachments,
+  hasValidSignature,
+  TicketRateLimitError,
+  ATTACHMENT_LIMITS
+} from '../../../lib/support-tickets';
+import { getVisitorId } from '../../../lib/request-utils';
+import { withRateLimit } from '../../../middleware/rate-limit';
+
+// formidable reads the multipart body itself
+export const config = {
+  api: {
+    bodyParser: false
+  }
+};
+
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const form = formidable({
+    maxFiles: ATTACHMENT_LIMITS.maxFiles,
+    maxFileSize: ATTACHMENT_LIMITS.maxFileSize,
+    maxTotalFileSize: ATTACHMENT_LIMITS.maxTotalSize,
+    maxFields: 20,
+    maxFieldsSize: 64 * 1024
+  });
+
+  let fields;
+  let files;
+
+  try {
+    [fields, files] = await form.parse(req);
+  } catch (error) {
+    console.warn('⚠️ Rejected contact form upload:', error.message);
+    return res.status(error.httpCode === 413 ? 413 : 400).json({
+      error: 'Invalid upload',
+      message: error.httpCode === 413
+        ? 'Attachments are too large. Each file must be under 10MB and no more than 5 files are allowed.'
+        : 'The form could not be read. Please try again.',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const uploads = Object.entries(files)
+    .filter(([fieldName]) => /^attachment_\d+$/.test(fieldName))
+    .flatMap(([, fileList]) => fileList);
+
+  try {
+    // formidable returns every field as an array
+    const values = Object.fromEntries(
+      Object.entries(fields).map(([key, value]) => [key, Array.isArray(value) ? value[0] : value])
+    );
+
+    const validation = validateTicketRequest(values);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Please correct the highlighted fields',
+        fields: validation.errors,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const attachmentInfo = uploads.map(file => ({
+      name: file.originalFilename || 'attachment',
+      type: file.mimetype || 'application/octet-stream',
+      size: file.size
+    }));
+
+    const attachmentErrors = validateAttachments(attachmentInfo);
+    if (attachmentErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid attachments',
+        message: attachmentErrors.join('. '),
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const attachments = await Promise.all(
+      uploads.map(async (file, index) => ({
+        ...attachmentInfo[index],
+        data: await fs.readFile(file.filepath)
+      }))
+    );
+
+    const mismatched = attachments.filter(file => !hasValidSignature(file));
+    if (mismatched.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid attachments',
+        message: `${mismatched.map(file => file.name).join(', ')} does not match its file type`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const result = await supportTickets.submit({
+      ...validation.value,
+      attachments,
+      metadata: {
+        'User agent': String(req.headers['user-agent'] || 'unknown').substring(0, 200)
+      }
+    }, getVisitorId(req));
+
+    return res.status(201).json({
+      success: true,
+      ticketNumber: result.ticketNumber,
+      ticketId: result.ticketId,
+      attachmentsUploaded: result.attachmentsUploaded,
+      attachmentErrors: result.attachmentErrors,
+      message: result.attachmentErrors.length > 0
+        ? `Ticket #${result.ticketNumber} was created, but some attachments could not be uploaded.`
+        : `Ticket #${result.ticketNumber} was created. We'll get back to you within 24 hours.`,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof TicketRateLimitError) {
+      res.setHeader('Retry-After', String(error.retryAfter));
+      return res.status(429).json({
+        error: 'Rate limit exceeded',
+        message: error.message,
+        retryAfter: error.retryAfter
+      });
+    }
+    throw error;
+  } finally {
+    await Promise.all(uploads.map(file => fs.unlink(file.filepath).catch(() => {})));
+  }
+}
+
+export default withKnowledgeBaseAccess(withRateLimit(handler, 'general'));
@@ -5,7 +5,13 @@
  * FIXES: INVALID_METHOD error, billing_address character limit, proper error handling
  */
 
-export default async function handler(req, res) {
+import { zoho } from '../../lib/zoho-sdk';
+import { calculateOrderTotals } from '../../lib/order-totals';
+import { cartPricing, cartChangedResponse, CatalogUnavailableError } from '../../lib/cart-pricing';
+import { customerAccounts, AccountError } from '../../lib/customer-accounts';
+import { withRateLimit } from '../../middleware/rate-limit';
+
+async function handler(req, res) {
   const requestId = `unified_${Date.now()}_${Math.random().toString(36).substring(7)}`;
   
   console.log(`\n=== UNIFIED CHECKOUT (STOREFRONT API) [${requestId}] ===`);
@@ -18,7 +24,8 @@ export default async function handler(req, res) {
     const { 
       customerInfo, 
       shippingAddress, 
-      cartItems, 
+      cartItems: requestedItems, 
+      shippingMethod,
       orderNotes,
       checkoutType = 'guest', // 'guest' | 'create_account' | 'existing_customer'
       customerPassword = null,
@@ -28,7 +35,7 @@ export default async function handler(req, res) {
     console.log('Processing unified checkout:', {
       email: customerInfo?.email,
       type: checkoutType,
-      items: cartItems?.length || 0
+      items: requestedItems?.length || 0
     });
 
     // Validation
@@ -40,7 +47,7 @@ export default async function handler(req, res) {
     if (!shippingAddress?.city) validationErrors.push('City is required');
     if (!shippingAddress?.state) validationErrors.push('State is required');
     if (!shippingAddress?.zipCode) validationErrors.push('ZIP code is required');
-    if (!cartItems || cartItems.length === 0) validationErrors.push('Cart is empty');
+    if (!requestedItems || requestedItems.length === 0) validationErrors.push('Cart is empty');
 
     // Additional validation for account creation
     if (checkoutType === 'create_account' && !customerPassword) {
@@ -55,16 +62,16 @@ export default async function handler(req, res) {
       });
     }
 
+    // Re-price from the catalog and check stock; browser prices are never charged
+    const pricing = await cartPricing.priceCart(requestedItems);
+    if (pricing.changed) {
+      return res.status(409).json(cartChangedResponse(pricing, requestId));
+    }
+    const cartItems = pricing.items;
+
     // Calculate totals
-    const subtotal = cartItems.reduce((sum, item) => {
-      const price = item.product_price || item.price || 0;
-      const quantity = item.quantity || 1;
-      return sum + (price * quantity);
-    }, 0);
-    
-    const tax = Math.round(subtotal * 0.0875 * 100) / 100;
-    const shipping = subtotal >= 100 ? 0 : 9.99;
-    const total = subtotal + tax + shipping;
+    const orderTotals = calculateOrderTotals(cartItems, { address: shippingAddress, shippingMethod });
+    const { subtotal, tax, shipping, total } = orderTotals;
 
     console.log('Order totals calculated:', { subtotal, tax, shipping, total });
 
@@ -114,6 +121,23 @@ export default async function handler(req, res) {
       } catch (customerError) {
         console.log('⚠️ Customer creation failed, continuing as guest:', customerError.message);
       }
+
+      // Sign-in account for this site; the customer confirms it from the email we send
+      try {
+        await customerAccounts.register({
+          email: customerInfo.email,
+          password: customerPassword,
+          firstName: customerInfo.firstName,
+          lastName: customerInfo.lastName,
+          phone: customerInfo.phone
+        });
+        customerCreated = true;
+        console.log('✓ Customer sign-in account registered, verification email sent');
+      } catch (accountError) {
+        // EMAIL_TAKEN is the usual reason: they already have an account and can sign in with it
+        const reason = accountError instanceof AccountError ? accountError.code : 'error';
+        console.log(`⚠️ Sign-in account not created (${reason}), continuing:`, accountError.message);
+      }
       
     } else if (checkoutType === 'existing_customer' && existingCustomerId) {
       console.log('Step 2b: Using existing customer:', existingCustomerId);
@@ -257,6 +281,7 @@ export default async function handler(req, res) {
         subtotal,
         tax,
         shipping,
+        shipping_method: orderTotals.shippingMethod,
         total,
         items: cartItems.length,
         customer: `${customerInfo.firstName} ${customerInfo.lastName}`,
@@ -285,6 +310,16 @@ export default async function handler(req, res) {
   } catch (error) {
     console.error('❌ Unified checkout failed:', error);
     
+    if (error instanceof CatalogUnavailableError) {
+      return res.status(503).json({
+        error: 'Unable to verify prices right now',
+        details: error.message,
+        type: 'CATALOG_UNAVAILABLE',
+        request_id: requestId,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
     return res.status(500).json({
       error: 'Unified checkout processing failed',
       details: error.message || 'An unexpected error occurred',
@@ -299,52 +334,9 @@ export default async function handler(req, res) {
 
 // ===== HELPER FUNCTIONS (FIXED) =====
 
-async function storefrontApiRequest(endpoint, options = {}) {
-  const url = `https://commerce.zoho.com/storefront/api/v1${endpoint}`;
-  
-  const defaultHeaders = {
-    'Content-Type': 'application/json',
-    'domain-name': process.env.ZOHO_STORE_DOMAIN || 'traveldatawifi.zohostore.com',
-    'Accept': 'application/json'
-  };
-
-  // Add CSRF token for POST requests
-  if (options.method === 'POST') {
-    // Generate a basic CSRF token - you may need proper implementation
-    defaultHeaders['X-ZCSRF-TOKEN'] = `csrfp=${Date.now()}-${Math.random().toString(36).substring(7)}`;
-  }
-
-  console.log(`Storefront API Request: ${options.method || 'GET'} ${url}`);
-
-  const response = await fetch(url, {
-    ...options,
-    headers: {
-      ...defaultHeaders,
-      ...options.headers
-    }
-  });
-
-  const responseText = await response.text();
-  console.log(`Storefront API Response (${response.status}):`, responseText);
-
-  if (!response.ok) {
-    throw new Error(`Storefront API error: ${response.status} - ${responseText || response.statusText}`);
-  }
-
-  try {
-    const jsonResponse = JSON.parse(responseText);
-    
-    if (jsonResponse.status_code && jsonResponse.status_code !== '0') {
-      throw new Error(`Storefront API error: ${jsonResponse.status_message || 'Unknown error'}`);
-    }
-    
-    return jsonResponse;
-  } catch (parseError) {
-    if (parseError.message.includes('Storefront API error:')) {
-      throw parseError;
-    }
-    throw new Error(`Invalid JSON response: ${responseText}`);
-  }
+// Checkout sessions are anonymous Storefront sessions, so these calls go without our OAuth token
+function storefrontApiRequest(endpoint, options = {}) {
+  return zoho.storefront.request(endpoint, { ...options, auth: false });
 }
 
 async function createCustomerAccount({ customerInfo, shippingAddress, customerPassword }) {
@@ -419,4 +411,6 @@ function getErrorSuggestion(errorMessage) {
   } else {
     return 'Check Zoho Commerce configuration and try again';
   }
-}
\ No newline at end of file
+}
+
+export default withRateLimit(handler, 'checkout');
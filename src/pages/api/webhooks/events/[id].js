@@ -0,0 +1,59 @@
+// src/pages/api/webhooks/events/[id].js
+// One webhook ledger event. GET ?source=stripe|zoho shows it; POST replays a failed or dead event now.
+import { withStaffAuth } from '../../../../middleware/auth-bypass';
+import { webhookLedger, WebhookReplayError } from '../../../../lib/webhook-ledger';
+import { processStripeEvent } from '../../stripe/webhook';
+import { processZohoEvent } from '../../zoho-webhook';
+
+const PROCESSORS = {
+  stripe: processStripeEvent,
+  zoho: processZohoEvent
+};
+
+async function handler(req, res) {
+  const { id } = req.query;
+  const source = req.query.source || req.body?.source;
+
+  if (!PROCESSORS[source]) {
+    return res.status(400).json({ error: 'Invalid source', details: 'source must be stripe or zoho' });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const event = await webhookLedger.get(source, id);
+      if (!event) {
+        return res.status(404).json({ error: 'Event not found', event_id: id, source });
+      }
+      return res.status(200).json(event);
+    }
+
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const { outcome, record } = await webhookLedger.replay(source, id, PROCESSORS[source]);
+
+    if (outcome === 'in_progress') {
+      return res.status(409).json({ error: 'Event is being processed right now', event_id: id, source });
+    }
+
+    return res.status(200).json({
+      success: record.status === 'processed',
+      outcome,
+      event: record
+    });
+  } catch (error) {
+    if (error instanceof WebhookReplayError) {
+      return res.status(error.status).json({ error: error.message, event_id: id, source });
+    }
+
+    console.error(`❌ Webhook replay failed for ${source} event ${id}:`, error);
+    return res.status(500).json({
+      error: 'Webhook replay failed',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+export default withStaffAuth(handler, { GET: 'read-only', POST: 'support' });
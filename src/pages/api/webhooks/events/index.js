@@ -0,0 +1,43 @@
+// src/pages/api/webhooks/events/index.js
+// Webhook ledger listing: GET ?source=stripe|zoho&status=failed|dead|processed|processing&limit=50
+import { withStaffAuth } from '../../../../middleware/auth-bypass';
+import { webhookLedger } from '../../../../lib/webhook-ledger';
+
+const SOURCES = ['stripe', 'zoho'];
+const STATUSES = ['processing', 'processed', 'failed', 'dead'];
+
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { source, status } = req.query;
+
+  if (source && !SOURCES.includes(source)) {
+    return res.status(400).json({ error: 'Invalid source', details: `source must be one of ${SOURCES.join(', ')}` });
+  }
+
+  if (status && !STATUSES.includes(status)) {
+    return res.status(400).json({ error: 'Invalid status', details: `status must be one of ${STATUSES.join(', ')}` });
+  }
+
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    const events = await webhookLedger.list({ source, status });
+
+    return res.status(200).json({
+      total: events.length,
+      // Payloads can be large; fetch a single event to see one
+      events: events.slice(0, limit).map(({ payload, ...event }) => event)
+    });
+  } catch (error) {
+    console.error('❌ Webhook ledger listing failed:', error);
+    return res.status(500).json({
+      error: 'Failed to list webhook events',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+export default withStaffAuth(handler, 'read-only');
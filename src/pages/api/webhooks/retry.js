@@ -0,0 +1,33 @@
+// src/pages/api/webhooks/retry.js
+// Retries failed webhook events whose backoff has passed. POST from a scheduler (every few minutes).
+import { withStaffAuth } from '../../../middleware/auth-bypass';
+import { webhookLedger } from '../../../lib/webhook-ledger';
+import { processStripeEvent } from '../stripe/webhook';
+import { processZohoEvent } from '../zoho-webhook';
+
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const result = await webhookLedger.retryDue({
+      stripe: processStripeEvent,
+      zoho: processZohoEvent
+    });
+
+    return res.status(200).json({
+      success: result.failed === 0 && result.dead === 0,
+      ...result
+    });
+  } catch (error) {
+    console.error('❌ Webhook retry run failed:', error);
+    return res.status(500).json({
+      error: 'Webhook retry run failed',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+export default withStaffAuth(handler, 'support');
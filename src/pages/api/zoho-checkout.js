@@ -1,7 +1,10 @@
 // ===== src/pages/api/zoho-checkout.js ===== (SIMPLE WORKING VERSION)
-import { zohoAPI } from '../../lib/zoho-api.ts';
+import { zoho } from '../../lib/zoho-sdk';
+import { calculateOrderTotals } from '../../lib/order-totals';
+import { cartPricing, cartChangedResponse, CatalogUnavailableError } from '../../lib/cart-pricing';
+import { withRateLimit } from '../../middleware/rate-limit';
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   const requestId = `req_${Date.now()}_${Math.random().toString(36).substring(7)}`;
   
   console.log(`\n=== SIMPLE ZOHO CHECKOUT [${requestId}] ===`);
@@ -11,7 +14,7 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { customerInfo, shippingAddress, cartItems, orderNotes } = req.body;
+    const { customerInfo, shippingAddress, cartItems: requestedItems, shippingMethod, orderNotes } = req.body;
     
     console.log('Processing checkout for:', customerInfo?.email);
 
@@ -24,7 +27,7 @@ export default async function handler(req, res) {
       });
     }
 
-    if (!cartItems || cartItems.length === 0) {
+    if (!requestedItems || requestedItems.length === 0) {
       return res.status(400).json({
         error: 'Cart is empty',
         details: ['Please add items to your cart'],
@@ -32,11 +35,15 @@ export default async function handler(req, res) {
       });
     }
 
+    // Re-price from the catalog and check stock; browser prices are never charged
+    const pricing = await cartPricing.priceCart(requestedItems);
+    if (pricing.changed) {
+      return res.status(409).json(cartChangedResponse(pricing, requestId));
+    }
+    const cartItems = pricing.items;
+
     // Calculate totals
-    const subtotal = cartItems.reduce((sum, item) => sum + (item.product_price * item.quantity), 0);
-    const tax = Math.round(subtotal * 0.0875 * 100) / 100;
-    const shipping = subtotal >= 100 ? 0 : 9.99;
-    const total = subtotal + tax + shipping;
+    const { subtotal, tax, shipping, total } = calculateOrderTotals(cartItems, { address: shippingAddress, shippingMethod });
 
     console.log('Order totals:', { subtotal, tax, shipping, total });
 
@@ -74,7 +81,7 @@ export default async function handler(req, res) {
     console.log('Creating order with data (NO customer_id):', JSON.stringify(orderData, null, 2));
 
     // Create order in Zoho
-    const zohoOrder = await zohoAPI.createOrder(orderData);
+    const zohoOrder = await zoho.commerce.createOrder(orderData, { traceId: requestId });
     
     console.log('✅ Order created successfully:', {
       orderId: zohoOrder.salesorder_id || zohoOrder.id,
@@ -126,6 +133,16 @@ export default async function handler(req, res) {
   } catch (error) {
     console.error('❌ Checkout failed:', error);
     
+    if (error instanceof CatalogUnavailableError) {
+      return res.status(503).json({
+        error: 'Unable to verify prices right now',
+        details: error.message,
+        type: 'CATALOG_UNAVAILABLE',
+        request_id: requestId,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
     return res.status(500).json({
       error: 'Checkout processing failed',
       details: error.message || 'An unexpected error occurred',
@@ -134,4 +151,6 @@ export default async function handler(req, res) {
       timestamp: new Date().toISOString()
     });
   }
-}
\ No newline at end of file
+}
+
+export default withRateLimit(handler, 'checkout');
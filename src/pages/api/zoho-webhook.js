@@ -1,5 +1,10 @@
 // ===== src/pages/api/zoho-webhook.js =====
 import crypto from 'crypto';
+import { webhookLedger, deliveryHttpStatus } from '../../lib/webhook-ledger';
+import { emailService, allDelivered } from '../../lib/email';
+import { orderTracking } from '../../lib/order-tracking';
+import { notifyTeam } from '../../lib/team-notifications';
+import { catalogSync } from '../../lib/catalog-sync';
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -7,208 +12,328 @@ export default async function handler(req, res) {
   }
 
   try {
-    // Verify webhook signature (important for security)
-    const signature = req.headers['x-zoho-signature'] || req.headers['zoho-signature'];
-    const webhookSecret = process.env.ZOHO_WEBHOOK_SECRET;
-    
-    if (webhookSecret && signature) {
-      const computedSignature = crypto
-        .createHmac('sha256', webhookSecret)
-        .update(JSON.stringify(req.body))
-        .digest('hex');
-      
-      if (signature !== computedSignature) {
-        console.error('Invalid webhook signature');
-        return res.status(401).json({ error: 'Invalid signature' });
-      }
+    // The signature covers the bytes Zoho sent, so the body is read raw (see config below)
+    const rawBody = await getRawBody(req);
+
+    // Events are stored, processed and replayed, so with a secret configured every one must be signed
+    if (process.env.ZOHO_WEBHOOK_SECRET && !hasValidSignature(req.headers, rawBody)) {
+      console.error('Invalid or missing Zoho webhook signature');
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(rawBody.toString('utf8'));
+    } catch {
+      return res.status(400).json({ error: 'Invalid JSON body' });
+    }
+
+    const { event_type, data } = payload || {};
+
+    // Malformed payloads would only fail again on every retry
+    if (!event_type) {
+      return res.status(400).json({ error: 'Missing event_type' });
     }
 
-    const { event_type, data } = req.body;
+    const eventId = getZohoEventId(payload);
     
     console.log('Zoho webhook received:', {
+      event_id: eventId,
       event_type,
       order_id: data?.order?.order_id,
       status: data?.order?.status
     });
 
-    // Handle different webhook events
-    switch (event_type) {
-      case 'order.created':
-        await handleOrderCreated(data.order);
-        break;
-        
-      case 'order.paid':
-        await handleOrderPaid(data.order);
-        break;
-        
-      case 'order.shipped':
-        await handleOrderShipped(data.order);
-        break;
-        
-      case 'order.delivered':
-        await handleOrderDelivered(data.order);
-        break;
-        
-      case 'payment.succeeded':
-        await handlePaymentSucceeded(data.payment, data.order);
-        break;
-        
-      case 'payment.failed':
-        await handlePaymentFailed(data.payment, data.order);
-        break;
-        
-      default:
-        console.log(`Unhandled webhook event: ${event_type}`);
-    }
+    // The ledger answers redeliveries and keeps failed events for retry and replay
+    const { outcome, record } = await webhookLedger.receive('zoho', eventId, event_type, payload, processZohoEvent);
 
-    // Always return 200 to acknowledge receipt
-    return res.status(200).json({ 
-      success: true, 
+    return res.status(deliveryHttpStatus(outcome)).json({ 
+      success: outcome !== 'failed',
+      event_id: eventId,
       event_type,
-      processed_at: new Date().toISOString()
+      status: outcome,
+      attempts: record.attempts,
+      processed_at: record.processedAt,
+      ...(record.lastError && { error: record.lastError })
     });
 
   } catch (error) {
+    // Not even recorded; a 500 makes Zoho deliver it again
     console.error('Webhook processing error:', error);
     
-    // Return 200 even on error to prevent retries for invalid data
-    return res.status(200).json({ 
-      error: 'Webhook processing failed',
+    return res.status(500).json({ 
+      error: 'Webhook could not be recorded',
       details: error.message 
     });
   }
 }
 
+async function getRawBody(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * HMAC-SHA256 of the raw body with ZOHO_WEBHOOK_SECRET, compared in constant time
+ */
+function hasValidSignature(headers, rawBody) {
+  const signature = headers['x-zoho-signature'] || headers['zoho-signature'];
+  if (typeof signature !== 'string' || !signature) return false;
+
+  const expected = crypto
+    .createHmac('sha256', process.env.ZOHO_WEBHOOK_SECRET)
+    .update(rawBody)
+    .digest('hex');
+
+  return signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
+
+/**
+ * Act on a Zoho event. Throws when the work should be retried.
+ * Also used by the webhook ledger's retry and replay endpoints.
+ */
+export async function processZohoEvent(payload) {
+  const { event_type, data } = payload;
+
+  // Handle different webhook events
+  switch (event_type) {
+    case 'order.created':
+      await handleOrderCreated(data.order);
+      break;
+      
+    case 'order.paid':
+      await handleOrderPaid(data.order);
+      break;
+      
+    case 'order.shipped':
+      await handleOrderShipped(data.order);
+      break;
+      
+    case 'order.delivered':
+      await handleOrderDelivered(data.order);
+      break;
+      
+    case 'payment.succeeded':
+      await handlePaymentSucceeded(data.payment, data.order);
+      break;
+      
+    case 'payment.failed':
+      await handlePaymentFailed(data.payment, data.order);
+      break;
+
+    // Zoho Inventory item and stock webhooks keep the products feed current
+    case 'item.created':
+    case 'item.updated':
+    case 'item.deleted':
+    case 'item.stock_updated':
+    case 'inventory_adjustment.created':
+      return handleCatalogChange(event_type, data);
+      
+    default:
+      console.log(`Unhandled webhook event: ${event_type}`);
+      return { status: 'ignored' };
+  }
+
+  return { status: 'handled', order_id: data?.order?.order_id || null };
+}
+
+/**
+ * Zoho's event id when the payload has one, otherwise a hash of the payload
+ * (a redelivery carries the same body, so it maps to the same ledger entry)
+ */
+function getZohoEventId(body) {
+  const id = body.event_id || body.webhook_id || body.id;
+  if (id) return String(id);
+
+  return `sha256_${crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex')}`;
+}
+
 // Handle order created event
 async function handleOrderCreated(order) {
   console.log('Order created:', order.order_id);
   
-  try {
-    // Send confirmation email to customer
-    if (order.customer?.email) {
-      await sendOrderConfirmationEmail(order);
-    }
-    
-    // Log to your analytics/CRM
-    await logOrderEvent('created', order);
-    
-    // Notify admin/team
-    await notifyTeam('order_created', {
-      orderNumber: order.order_number,
-      customerEmail: order.customer?.email,
-      total: order.total_amount,
-      items: order.line_items?.length || 0
-    });
-    
-  } catch (error) {
-    console.error('Error handling order created:', error);
+  // Send confirmation email to customer
+  if (order.customer?.email) {
+    await sendOrderConfirmationEmail(order);
   }
+  
+  // Log to your analytics/CRM
+  await logOrderEvent('created', order);
+  
+  // Notify admin/team
+  await notifyTeam('order_created', {
+    title: `New order ${order.order_number}`,
+    fields: {
+      'Customer': order.customer?.email,
+      'Total': order.total_amount,
+      'Items': order.line_items?.length || 0
+    },
+    idempotencyKey: `order_created:${order.order_id}`
+  });
+}
+
+// Handle order paid event
+async function handleOrderPaid(order) {
+  console.log('Order paid:', order.order_id);
+  
+  await updateOrderStatus(order.order_id, 'paid');
+  await logOrderEvent('paid', order);
 }
 
 // Handle payment succeeded event
 async function handlePaymentSucceeded(payment, order) {
   console.log('Payment succeeded:', payment.payment_id, 'for order:', order.order_id);
   
-  try {
-    // Update internal records
-    await updateOrderStatus(order.order_id, 'paid');
-    
-    // Send payment confirmation
-    if (order.customer?.email) {
-      await sendPaymentConfirmationEmail(order, payment);
-    }
-    
-    // Trigger fulfillment process
-    await triggerFulfillment(order);
-    
-    // Update inventory
-    await updateInventory(order.line_items);
-    
-    // Log to analytics
-    await logOrderEvent('paid', order, { payment_id: payment.payment_id });
-    
-  } catch (error) {
-    console.error('Error handling payment succeeded:', error);
+  // Update internal records
+  await updateOrderStatus(order.order_id, 'paid');
+  
+  // Send payment confirmation
+  if (order.customer?.email) {
+    await sendPaymentConfirmationEmail(order, payment);
   }
+  
+  // Trigger fulfillment process
+  await triggerFulfillment(order);
+  
+  // Update inventory
+  await updateInventory(order.line_items);
+  
+  // Log to analytics
+  await logOrderEvent('paid', order, { payment_id: payment.payment_id });
 }
 
 // Handle order shipped event
 async function handleOrderShipped(order) {
   console.log('Order shipped:', order.order_id);
   
-  try {
-    // Send shipping notification
-    if (order.customer?.email) {
-      await sendShippingNotificationEmail(order);
-    }
-    
-    // Log shipping event
-    await logOrderEvent('shipped', order);
-    
-  } catch (error) {
-    console.error('Error handling order shipped:', error);
+  // Send shipping notification
+  if (order.customer?.email) {
+    await sendShippingNotificationEmail(order);
   }
+  
+  // Log shipping event
+  await logOrderEvent('shipped', order);
 }
 
 // Handle payment failed event
 async function handlePaymentFailed(payment, order) {
   console.log('Payment failed:', payment.payment_id, 'for order:', order.order_id);
   
-  try {
-    // Send payment failure notification
-    if (order.customer?.email) {
-      await sendPaymentFailureEmail(order, payment);
-    }
-    
-    // Log failure event
-    await logOrderEvent('payment_failed', order, { 
-      payment_id: payment.payment_id,
-      failure_reason: payment.failure_reason 
-    });
-    
-    // Notify team for manual follow-up
-    await notifyTeam('payment_failed', {
-      orderNumber: order.order_number,
-      customerEmail: order.customer?.email,
-      failureReason: payment.failure_reason
-    });
-    
-  } catch (error) {
-    console.error('Error handling payment failed:', error);
+  // Send payment failure notification
+  if (order.customer?.email) {
+    await sendPaymentFailureEmail(order, payment);
+  }
+  
+  // Log failure event
+  await logOrderEvent('payment_failed', order, { 
+    payment_id: payment.payment_id,
+    failure_reason: payment.failure_reason 
+  });
+  
+  // Notify team for manual follow-up
+  await notifyTeam('payment_failed', {
+    title: `Payment failed for order ${order.order_number}`,
+    level: 'warning',
+    fields: {
+      'Customer': order.customer?.email,
+      'Reason': payment.failure_reason
+    },
+    idempotencyKey: `payment_failed:${payment.payment_id}`
+  });
+}
+
+// Refresh the changed items in the products feed (a Zoho outage leaves them for the next sync)
+async function handleCatalogChange(eventType, data) {
+  const itemIds = [
+    data?.item?.item_id,
+    ...(data?.items || []).map(item => item.item_id),
+    ...(data?.inventory_adjustment?.line_items || []).map(item => item.item_id)
+  ].filter(Boolean);
+
+  if (itemIds.length === 0) {
+    console.warn(`${eventType} webhook carried no item ids`);
+    return { status: 'ignored' };
   }
+
+  const result = await catalogSync.invalidate(itemIds, eventType);
+  return { status: 'handled', catalog: result.status, item_ids: result.itemIds, catalog_version: result.version };
 }
 
-// Helper functions (implement based on your email service)
+// Customer emails. Keyed by order or payment, so a retried or redelivered event
+// doesn't email the customer twice; a failed send throws so the ledger retries it.
 async function sendOrderConfirmationEmail(order) {
-  // Implement with your email service (SendGrid, Mailgun, etc.)
-  console.log(`Sending order confirmation to ${order.customer.email}`);
-  
-  // Example with a hypothetical email service
-  // await emailService.send({
-  //   to: order.customer.email,
-  //   template: 'order-confirmation',
-  //   data: {
-  //     orderNumber: order.order_number,
-  //     customerName: `${order.customer.first_name} ${order.customer.last_name}`,
-  //     items: order.line_items,
-  //     total: order.total_amount
-  //   }
-  // });
+  await sendCustomerEmail('order-confirmation', order, {
+    customerName: customerName(order),
+    orderNumber: order.order_number,
+    items: (order.line_items || []).map(item => ({
+      name: item.name || item.product_name || 'Item',
+      quantity: Number(item.quantity) || 1,
+      price: Number(item.rate ?? item.price) || 0
+    })),
+    subtotal: Number(order.sub_total ?? order.subtotal) || 0,
+    tax: Number(order.tax_total ?? order.tax) || 0,
+    shipping: Number(order.shipping_charge) || 0,
+    total: Number(order.total_amount ?? order.total) || 0,
+    shippingMethod: order.delivery_method || null,
+    orderUrl: orderUrl(order)
+  }, `order-confirmation:${order.order_id}`);
 }
 
 async function sendPaymentConfirmationEmail(order, payment) {
-  console.log(`Sending payment confirmation to ${order.customer.email}`);
-  // Implement payment confirmation email
+  await sendCustomerEmail('payment-confirmation', order, {
+    customerName: customerName(order),
+    reference: `order ${order.order_number}`,
+    amount: Number(payment.amount ?? order.total_amount) || 0,
+    paymentId: payment.payment_id,
+    cardLast4: payment.card_last_four || null
+  }, `payment-confirmation:${payment.payment_id}`);
 }
 
 async function sendShippingNotificationEmail(order) {
-  console.log(`Sending shipping notification to ${order.customer.email}`);
-  // Implement shipping notification email
+  const shipment = order.shipment || order.shipments?.[0] || {};
+
+  await sendCustomerEmail('shipping-notification', order, {
+    customerName: customerName(order),
+    orderNumber: order.order_number,
+    carrier: shipment.carrier || order.carrier || null,
+    trackingNumber: shipment.tracking_number || order.tracking_number || null,
+    trackingUrl: shipment.tracking_url || order.tracking_url || null,
+    orderUrl: orderUrl(order)
+  }, `shipping-notification:${order.order_id}`);
 }
 
 async function sendPaymentFailureEmail(order, payment) {
-  console.log(`Sending payment failure notification to ${order.customer.email}`);
-  // Implement payment failure email
+  await sendCustomerEmail('payment-failure', order, {
+    customerName: customerName(order),
+    orderNumber: order.order_number,
+    reason: payment.failure_reason || null,
+    retryUrl: payment.retry_url || null
+  }, `payment-failure:${payment.payment_id}`);
+}
+
+async function sendCustomerEmail(template, order, data, idempotencyKey) {
+  const results = await emailService.send(template, data, {
+    to: order.customer.email,
+    idempotencyKey,
+    reference: order.order_number
+  });
+
+  if (!allDelivered(results)) {
+    throw new Error(`Could not send ${template} email for order ${order.order_number}`);
+  }
+}
+
+// Signed tracking page link; Zoho order ids are sales order ids
+function orderUrl(order) {
+  return orderTracking.isConfigured() && order.order_id ? orderTracking.buildUrl(order.order_id) : null;
+}
+
+function customerName(order) {
+  return [order.customer?.first_name, order.customer?.last_name].filter(Boolean).join(' ');
 }
 
 async function updateOrderStatus(orderId, status) {
@@ -237,58 +362,48 @@ async function logOrderEvent(eventType, order, additionalData = {}) {
   });
 }
 
-async function notifyTeam(eventType, data) {
-  // Notify your team via Slack, email, etc.
-  console.log('Team notification:', eventType, data);
-  
-  // Example: Send to Slack webhook
-  // await fetch(process.env.SLACK_WEBHOOK_URL, {
-  //   method: 'POST',
-  //   headers: { 'Content-Type': 'application/json' },
-  //   body: JSON.stringify({
-  //     text: `Order Event: ${eventType}`,
-  //     attachments: [{
-  //       color: eventType.includes('failed') ? 'danger' : 'good',
-  //       fields: Object.entries(data).map(([key, value]) => ({
-  //         title: key,
-  //         value: String(value),
-  //         short: true
-  //       }))
-  //     }]
-  //   })
-  // });
-}
-
 // Handle order delivered event
 async function handleOrderDelivered(order) {
   console.log('Order delivered:', order.order_id);
   
-  try {
-    // Send delivery confirmation
-    if (order.customer?.email) {
-      await sendDeliveryConfirmationEmail(order);
-    }
-    
-    // Request review/feedback
+  // Send delivery confirmation
+  if (order.customer?.email) {
+    await sendDeliveryConfirmationEmail(order);
+  }
+  
+  // Request review/feedback a day later. Best effort: a timer doesn't survive a restart.
+  if (order.customer?.email) {
     setTimeout(() => {
-      // Send review request after a delay
-      sendReviewRequestEmail(order);
+      sendReviewRequestEmail(order).catch(error => {
+        console.error(`Review request email failed for order ${order.order_number}:`, error);
+      });
     }, 24 * 60 * 60 * 1000); // 24 hours later
-    
-    // Log delivery event
-    await logOrderEvent('delivered', order);
-    
-  } catch (error) {
-    console.error('Error handling order delivered:', error);
   }
+  
+  // Log delivery event
+  await logOrderEvent('delivered', order);
 }
 
 async function sendDeliveryConfirmationEmail(order) {
-  console.log(`Sending delivery confirmation to ${order.customer.email}`);
-  // Implement delivery confirmation email
+  await sendCustomerEmail('delivery-confirmation', order, {
+    customerName: customerName(order),
+    orderNumber: order.order_number
+  }, `delivery-confirmation:${order.order_id}`);
 }
 
 async function sendReviewRequestEmail(order) {
-  console.log(`Sending review request to ${order.customer.email}`);
-  // Implement review request email
-}
\ No newline at end of file
+  const baseUrl = process.env.NEXT_PUBLIC_BASE_URL || 'https://traveldatawifi.com';
+
+  await sendCustomerEmail('review-request', order, {
+    customerName: customerName(order),
+    orderNumber: order.order_number,
+    reviewUrl: process.env.REVIEW_URL || `${baseUrl}/products`
+  }, `review-request:${order.order_id}`);
+}
+
+// Raw body for signature verification
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+}
@@ -1,13 +1,14 @@
-// src/pages/api/zoho/create-public-link.js - Updated to use centralized token manager
-// REMOVED: cachedAccessToken and tokenExpiryTime - now uses tokenManager.getAccessToken('inventory')
+// src/pages/api/zoho/create-public-link.js - Public invoice links via Zoho Inventory
 
-import { tokenManager } from '../../../lib/enhanced-token-manager';
+import { zoho, ZohoAuthError, ZohoRateLimitError } from '../../../lib/zoho-sdk';
+import { paymentLinks, PaymentLinkError } from '../../../lib/payment-links';
+import { withRateLimit } from '../../../middleware/rate-limit';
 
 /**
  * Create public shared invoice links using the correct Zoho Inventory API
- * Uses centralized token management to prevent rate limiting issues
+ * Only for holders of a signed payment link for the invoice, so invoices can't be shared by guessing ids
  */
-export default async function handler(req, res) {
+async function handler(req, res) {
   console.log('\n=== ZOHO INVENTORY PUBLIC LINK CREATION ===');
   
   if (req.method !== 'POST') {
@@ -18,7 +19,7 @@ export default async function handler(req, res) {
   console.log(`🔗 Creating public link [${requestId}]`);
 
   try {
-    const { invoice_id, customer_email, customer_name } = req.body;
+    const { invoice_id, token, customer_name } = req.body;
 
     // Validate input
     if (!invoice_id) {
@@ -29,14 +30,27 @@ export default async function handler(req, res) {
       });
     }
 
-    if (!customer_email) {
+    if (!token) {
       return res.status(400).json({
-        error: 'Missing customer_email',
-        details: 'customer_email is required for public link creation',
+        error: 'Missing token',
+        details: 'A signed payment link token is required for public link creation',
         request_id: requestId
       });
     }
 
+    let link;
+    try {
+      link = await paymentLinks.verify(token, invoice_id);
+    } catch (linkError) {
+      if (!(linkError instanceof PaymentLinkError)) throw linkError;
+      return res.status(linkError.status).json({
+        error: linkError.message,
+        code: linkError.code,
+        request_id: requestId
+      });
+    }
+    const customer_email = link.customerEmail;
+
     console.log(`📋 Request Details [${requestId}]:`);
     console.log(`   Invoice ID: ${invoice_id}`);
     console.log(`   Customer: ${customer_name} (${customer_email})`);
@@ -51,47 +65,12 @@ export default async function handler(req, res) {
       });
     }
 
-    // Get access token using centralized token manager
-    let token;
-    try {
-      console.log(`🔑 Getting access token via token manager [${requestId}]...`);
-      token = await getZohoAccessToken();
-      console.log(`✅ Access token obtained [${requestId}]`);
-    } catch (tokenError) {
-      console.error(`❌ Token acquisition failed [${requestId}]:`, tokenError);
-      return res.status(500).json({
-        error: 'Authentication failed',
-        details: 'Failed to obtain access token from token manager',
-        type: 'TOKEN_ERROR',
-        request_id: requestId,
-        suggestion: 'Check Zoho OAuth credentials and token manager configuration'
-      });
-    }
-
     // STEP 1: Mark invoice as "sent" (required for sharing)
     try {
       console.log(`📤 Step 1: Marking invoice as sent [${requestId}]...`);
       
-      const markSentResponse = await fetch(
-        `https://www.zohoapis.com/inventory/v1/invoices/${invoice_id}/status/sent?organization_id=${organizationId}`, 
-        {
-          method: 'POST',
-          headers: {
-            'Authorization': `Zoho-oauthtoken ${token}`,
-            'Content-Type': 'application/json'
-          },
-          // Add timeout to prevent hanging requests
-          signal: AbortSignal.timeout(30000) // 30 second timeout
-        }
-      );
-
-      if (markSentResponse.ok) {
-        console.log(`✅ Invoice marked as sent successfully [${requestId}]`);
-      } else {
-        const errorText = await markSentResponse.text();
-        console.log(`⚠️ Mark as sent response [${requestId}]: ${markSentResponse.status} - ${errorText}`);
-        // Continue anyway - invoice may already be marked as sent
-      }
+      await zoho.inventory.markInvoiceSent(invoice_id);
+      console.log(`✅ Invoice marked as sent successfully [${requestId}]`);
     } catch (markSentError) {
       console.log(`⚠️ Mark as sent failed [${requestId}] (continuing anyway):`, markSentError.message);
       // Continue - this step often fails if invoice is already sent
@@ -118,91 +97,65 @@ export default async function handler(req, res) {
 
       console.log(`📡 Making share API request [${requestId}]...`);
 
-      const shareResponse = await fetch(
-        `https://www.zohoapis.com/inventory/v1/invoices/${invoice_id}/share?organization_id=${organizationId}`, 
-        {
-          method: 'POST',
-          headers: {
-            'Authorization': `Zoho-oauthtoken ${token}`,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify(shareData),
-          signal: AbortSignal.timeout(30000) // 30 second timeout
-        }
-      );
-
-      console.log(`📊 Share API Response Status [${requestId}]: ${shareResponse.status}`);
+      const responseData = await zoho.inventory.shareInvoice(invoice_id, shareData);
+      console.log(`📋 Share Response Data [${requestId}]:`, JSON.stringify(responseData, null, 2));
 
-      if (shareResponse.ok) {
-        const responseData = await shareResponse.json();
-        console.log(`📋 Share Response Data [${requestId}]:`, JSON.stringify(responseData, null, 2));
+      // Check for various response formats that Zoho might return
+      const publicUrl = responseData.invoice_url ||
+        responseData.invoice?.invoice_url ||
+        responseData.share_url ||
+        responseData.public_url ||
+        responseData.invoice_share_url;
 
-        // Check for various response formats that Zoho might return
-        let publicUrl = null;
+      if (publicUrl) {
+        console.log(`✅ Public shared link created successfully [${requestId}]: ${publicUrl}`);
         
-        if (responseData.code === 0 && responseData.invoice_url) {
-          publicUrl = responseData.invoice_url;
-        } else if (responseData.invoice && responseData.invoice.invoice_url) {
-          publicUrl = responseData.invoice.invoice_url;
-        } else if (responseData.share_url) {
-          publicUrl = responseData.share_url;
-        } else if (responseData.public_url) {
-          publicUrl = responseData.public_url;
-        } else if (responseData.invoice_share_url) {
-          publicUrl = responseData.invoice_share_url;
-        }
-
-        if (publicUrl) {
-          console.log(`✅ Public shared link created successfully [${requestId}]: ${publicUrl}`);
-          
-          return res.status(200).json({
-            success: true,
-            public_url: publicUrl,
-            method: "zoho_inventory_share",
-            message: "Public invoice link created successfully - customers can pay without login",
-            invoice_id: invoice_id,
-            customer_email: customer_email,
-            expires_on: shareData.expiry_date,
-            request_id: requestId,
-            timestamp: new Date().toISOString(),
-            features: {
-              public_access: true,
-              no_login_required: true,
-              partial_payments_allowed: true,
-              expires_in_days: 30
-            }
-          });
-        } else {
-          console.warn(`⚠️ Share API succeeded but no URL found in response [${requestId}]`);
-          // Fall through to alternative methods
-        }
-      } else {
-        const errorText = await shareResponse.text();
-        console.log(`❌ Share API error [${requestId}]: ${shareResponse.status} - ${errorText}`);
-        
-        // Check for specific errors
-        if (shareResponse.status === 429) {
-          throw new Error('Rate limit exceeded while creating public link');
-        } else if (shareResponse.status === 401) {
-          throw new Error('Authentication failed while creating public link');
-        } else if (shareResponse.status === 404) {
-          throw new Error(`Invoice ${invoice_id} not found`);
-        }
-        
-        // Fall through to alternative methods for other errors
+        return res.status(200).json({
+          success: true,
+          public_url: publicUrl,
+          method: "zoho_inventory_share",
+          message: "Public invoice link created successfully - customers can pay without login",
+          invoice_id: invoice_id,
+          customer_email: customer_email,
+          expires_on: shareData.expiry_date,
+          request_id: requestId,
+          timestamp: new Date().toISOString(),
+          features: {
+            public_access: true,
+            no_login_required: true,
+            partial_payments_allowed: true,
+            expires_in_days: 30
+          }
+        });
       }
+
+      console.warn(`⚠️ Share API succeeded but no URL found in response [${requestId}]`);
+      // Fall through to alternative methods
     } catch (shareError) {
       console.error(`❌ Share API request failed [${requestId}]:`, shareError);
       
       // Don't fail immediately - try alternative methods
-      if (shareError.message.includes('rate limit') || shareError.message.includes('Rate limit')) {
+      if (shareError instanceof ZohoRateLimitError) {
+        const retryAfter = shareError.retryAfter || 60;
+        res.setHeader('Retry-After', String(retryAfter));
         return res.status(429).json({
           error: 'Rate limit exceeded',
           details: 'Too many requests to Zoho API. Please wait before retrying.',
           type: 'RATE_LIMIT_ERROR',
           request_id: requestId,
-          retry_after: 60,
-          suggestion: 'The system uses centralized token management to minimize rate limiting. Please wait 60 seconds before retrying.'
+          retry_after: retryAfter,
+          suggestion: `Please wait ${retryAfter} seconds before retrying.`
+        });
+      }
+
+      // No HTTP status means we never got a token, so the fallback link would not help either
+      if (shareError instanceof ZohoAuthError && shareError.httpStatus === null) {
+        return res.status(500).json({
+          error: 'Authentication failed',
+          details: 'Failed to obtain access token from token manager',
+          type: 'TOKEN_ERROR',
+          request_id: requestId,
+          suggestion: 'Check Zoho OAuth credentials and token manager configuration'
         });
       }
     }
@@ -211,14 +164,10 @@ export default async function handler(req, res) {
     console.log(`🔄 Step 3: Generating fallback payment URL [${requestId}]...`);
     
     try {
-      const baseUrl = process.env.NEXT_PUBLIC_BASE_URL || 'http://localhost:3000';
-      const fallbackUrl = `${baseUrl}/pay/${invoice_id}?` + new URLSearchParams({
-        customer_email: customer_email,
-        customer_name: customer_name || '',
-        token: generateSecureToken(invoice_id, customer_email),
+      const fallbackUrl = paymentLinks.buildUrl(invoice_id, token, {
         source: 'public_link_fallback',
         request_id: requestId
-      }).toString();
+      });
 
       console.log(`✅ Fallback payment URL generated [${requestId}]: ${fallbackUrl}`);
 
@@ -254,53 +203,31 @@ export default async function handler(req, res) {
 
   } catch (error) {
     console.error(`❌ Unexpected error in public link creation [${requestId}]:`, error);
+    // Token and rate limit state stays in the logs, not the public response
+    console.error(`Zoho status [${requestId}]:`, zoho.getStatus());
     
     return res.status(500).json({
       error: 'Unexpected error',
       details: error.message || 'An unexpected error occurred while creating public link',
       type: 'UNEXPECTED_ERROR',
       request_id: requestId,
-      timestamp: new Date().toISOString(),
-      token_manager_status: tokenManager.getStatus()
+      timestamp: new Date().toISOString()
     });
   }
 }
 
-/**
- * CENTRALIZED: Get Zoho access token using token manager
- * REMOVED: Local cachedAccessToken and tokenExpiryTime variables
- */
-async function getZohoAccessToken() {
-  try {
-    // Use centralized token manager instead of local caching
-    return await tokenManager.getAccessToken('inventory');
-  } catch (error) {
-    console.error('❌ Failed to get access token from token manager:', error);
-    throw new Error(`Token manager error: ${error.message}`);
-  }
-}
-
-/**
- * Generate a secure token for payment verification
- */
-function generateSecureToken(invoiceId, customerEmail) {
-  const timestamp = Date.now();
-  const payload = `${invoiceId}:${customerEmail}:${timestamp}`;
-  return Buffer.from(payload).toString('base64').replace(/[+=\/]/g, '');
-}
-
 /**
  * Health check for the public link service
  */
 export async function healthCheck() {
   try {
-    const tokenStatus = tokenManager.getStatus();
+    const zohoStatus = zoho.getStatus();
     
     return {
       service: 'create_public_link',
       status: 'healthy',
       timestamp: new Date().toISOString(),
-      token_manager: tokenStatus,
+      token_manager: zohoStatus.tokens,
       environment: {
         organization_id_configured: !!process.env.ZOHO_INVENTORY_ORGANIZATION_ID,
         base_url_configured: !!process.env.NEXT_PUBLIC_BASE_URL
@@ -320,14 +247,13 @@ export async function healthCheck() {
  * IMPLEMENTATION NOTES:
  * 
  * This updated solution:
- * 1. Uses centralized token management via tokenManager.getAccessToken('inventory')
- * 2. Removes local token caching (cachedAccessToken, tokenExpiryTime)
- * 3. Follows the correct Zoho Inventory workflow:
+ * 1. Calls Zoho Inventory through the shared SDK (zoho.inventory)
+ * 2. Follows the correct Zoho Inventory workflow:
  *    - Mark invoice as "sent" (required before sharing)
  *    - Use the share API with "public" visibility
  *    - Fall back to custom payment URLs if Zoho sharing fails
- * 4. Includes comprehensive error handling and rate limit management
- * 5. Provides detailed logging and debugging information
+ * 3. Includes comprehensive error handling and rate limit management
+ * 4. Provides detailed logging and debugging information
  * 
  * Expected successful response:
  * {
@@ -336,4 +262,6 @@ export async function healthCheck() {
  *   "method": "zoho_inventory_share",
  *   "message": "Public invoice link created successfully - customers can pay without login"
  * }
- */
\ No newline at end of file
+ */
+
+export default withRateLimit(handler, 'checkout');
@@ -0,0 +1,130 @@
+// src/pages/cart/restore.tsx - Landing page for cart recovery emails
+// Exchanges ?link= for the cart the email showed and puts exactly those items back in the browser's cart.
+import React, { useEffect, useState } from 'react';
+import { useRouter } from 'next/router';
+import Head from 'next/head';
+import Link from 'next/link';
+import Layout from '../../components/Layout';
+import { useCartStore } from '../../store/cart';
+import { ShoppingCart, Loader2, AlertCircle } from 'lucide-react';
+
+interface RestoredItem {
+  product_id: string;
+  variant_id: string | null;
+  variant_name: string | null;
+  product_name: string;
+  product_price: number;
+  quantity: number;
+}
+
+const CartRestorePage: React.FC = () => {
+  const router = useRouter();
+  const [items, setItems] = useState<RestoredItem[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!router.isReady) return;
+
+    const { link } = router.query;
+    if (typeof link !== 'string') {
+      setError('This cart link is incomplete. Please use the button in your email.');
+      setLoading(false);
+      return;
+    }
+
+    fetch('/api/cart/restore', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ link })
+    })
+      .then(async response => {
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          setError(result.error || 'This cart link could not be used.');
+          return;
+        }
+        useCartStore.getState().replaceItems(result.items, result.token);
+        setItems(result.items);
+      })
+      .catch(restoreError => {
+        console.error('Cart restore failed:', restoreError);
+        setError('Unable to restore your cart right now. Please try again.');
+      })
+      .finally(() => setLoading(false));
+  }, [router.isReady, router.query]);
+
+  const formatCurrency = (amount: number) => new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD'
+  }).format(amount);
+
+  const subtotal = items.reduce((sum, item) => sum + item.product_price * item.quantity, 0);
+
+  return (
+    <Layout title="Your Cart - Travel Data WiFi">
+      <Head>
+        <meta name="robots" content="noindex" />
+      </Head>
+
+      <div className="min-h-screen bg-gray-50 py-12">
+        <div className="max-w-lg mx-auto px-4">
+          <div className="bg-white rounded-lg shadow-lg p-8">
+            {loading ? (
+              <div className="text-center py-8">
+                <Loader2 className="h-8 w-8 animate-spin text-travel-blue mx-auto mb-4" />
+                <p className="text-gray-600">Restoring your cart...</p>
+              </div>
+            ) : error ? (
+              <div className="text-center py-4">
+                <AlertCircle className="h-12 w-12 text-red-500 mx-auto mb-4" />
+                <h1 className="text-2xl font-bold text-gray-900 mb-2">We couldn&apos;t restore your cart</h1>
+                <p className="text-gray-600 mb-6">{error}</p>
+                <Link href="/products" className="inline-block bg-travel-blue text-white px-6 py-3 rounded-lg font-semibold hover:bg-blue-700 transition-colors">
+                  Browse products
+                </Link>
+              </div>
+            ) : (
+              <>
+                <div className="text-center mb-6">
+                  <ShoppingCart className="h-12 w-12 text-travel-blue mx-auto mb-4" />
+                  <h1 className="text-2xl font-bold text-gray-900 mb-2">Your cart is back</h1>
+                  <p className="text-gray-600">Everything you left is ready to check out.</p>
+                </div>
+
+                <ul className="divide-y divide-gray-200 mb-6">
+                  {items.map(item => (
+                    <li key={item.variant_id || item.product_id} className="flex justify-between py-3 text-sm">
+                      <span className="text-gray-900">
+                        {item.product_name}
+                        {item.variant_name && <span className="text-gray-500"> ({item.variant_name})</span>}
+                        <span className="text-gray-500"> × {item.quantity}</span>
+                      </span>
+                      <span className="font-medium text-gray-900">{formatCurrency(item.product_price * item.quantity)}</span>
+                    </li>
+                  ))}
+                </ul>
+
+                <div className="flex justify-between font-semibold text-gray-900 mb-6">
+                  <span>Subtotal</span>
+                  <span>{formatCurrency(subtotal)}</span>
+                </div>
+
+                <div className="space-y-3">
+                  <Link href="/checkout-enhanced" className="block w-full text-center bg-travel-blue text-white py-3 rounded-lg font-semibold hover:bg-blue-700 transition-colors">
+                    Checkout
+                  </Link>
+                  <Link href="/products" className="block w-full text-center border border-gray-300 text-gray-700 py-3 rounded-lg font-semibold hover:bg-gray-50 transition-colors">
+                    Keep shopping
+                  </Link>
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default CartRestorePage;
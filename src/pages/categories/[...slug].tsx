@@ -42,6 +42,12 @@ const CategoryProductsPage: React.FC = () => {
   const { data: categoriesData, error: categoriesError, isLoading: categoriesLoading } = useSWR('/api/categories', fetcher);
 
   const handleAddToCart = (product: any) => {
+    // Products with variants are added from their page, once options are chosen
+    if (product.variants?.length) {
+      router.push(`/products/${product.seo_url || product.url || product.product_id}`);
+      return;
+    }
+
     addItem(product, 1);
     toast.success(`${getProductName(product)} added to cart!`);
   };
@@ -12,6 +12,7 @@
 
 import React, { useState, useEffect } from 'react';
 import { useRouter } from 'next/router';
+import Link from 'next/link';
 import { toast } from 'react-hot-toast';
 import {
   ArrowLeft,
@@ -27,16 +28,23 @@ import {
 } from 'lucide-react';
 
 import Layout from '../components/Layout';
-import { useCartStore } from '../store/cart';
+import { useCartStore, cartLineKey } from '../store/cart';
 import StripePaymentForm from '../components/StripePaymentForm';
+import ShippingMethodSelector from '../components/ShippingMethodSelector';
+import { calculateOrderTotals, DEFAULT_SHIPPING_METHOD, type ShippingMethod } from '../lib/order-totals';
 
 // TypeScript interfaces to match your cart store
 interface CartItem {
   product_id: string;
+  variant_id?: string | null;
+  variant_name?: string | null;
   product_name: string;
   product_price: number;
   quantity: number;
   product_images: string[];
+  weight?: number | null;
+  tax_class?: string;
+  billing_interval?: string | null;
 }
 
 interface CustomerInfo {
@@ -55,9 +63,29 @@ interface ShippingAddress {
   country: string;
 }
 
+interface SavedAddress extends ShippingAddress {
+  addressId: string;
+  label: string;
+  isDefault: boolean;
+}
+
+// The signed-in customer, from /api/account
+interface AccountInfo {
+  email: string;
+  firstName: string;
+  lastName: string;
+  phone: string;
+  addresses: SavedAddress[];
+}
+
+function toShippingAddress(address: SavedAddress): ShippingAddress {
+  const { address1, address2, city, state, zipCode, country } = address;
+  return { address1, address2, city, state, zipCode, country };
+}
+
 export default function EnhancedCheckoutPage() {
   const router = useRouter();
-  const { items, clearCart, isHydrated } = useCartStore();
+  const { items, cartToken, clearCart, reconcileItems, isHydrated } = useCartStore();
   
   // Checkout flow states
   const [currentStep, setCurrentStep] = useState<'details' | 'payment' | 'success'>('details');
@@ -91,6 +119,9 @@ export default function EnhancedCheckoutPage() {
     country: 'US'
   });
   
+  const [shippingMethod, setShippingMethod] = useState<ShippingMethod>(DEFAULT_SHIPPING_METHOD);
+  const [account, setAccount] = useState<AccountInfo | null>(null);
+  const [selectedAddressId, setSelectedAddressId] = useState('');
   const [createAccount, setCreateAccount] = useState(false);
   const [customerPassword, setCustomerPassword] = useState('');
   const [orderNotes, setOrderNotes] = useState('');
@@ -106,14 +137,46 @@ export default function EnhancedCheckoutPage() {
     }
   }, [items, router, isHydrated]);
 
-  // Calculate totals using cart store data structure
-  const subtotal = items?.reduce((sum, item) => {
-    return sum + (item.product_price * item.quantity);
-  }, 0) || 0;
-  
-  const tax = Math.round(subtotal * 0.0875 * 100) / 100; // 8.75% tax
-  const shipping = subtotal >= 100 ? 0 : 9.99;
-  const orderTotal = Math.round((subtotal + tax + shipping) * 100) / 100;
+  // Signed-in customers start with their details and default address filled in
+  useEffect(() => {
+    fetch('/api/account')
+      .then(response => response.ok ? response.json() : null)
+      .then(result => {
+        const signedIn: AccountInfo | null = result?.account || null;
+        if (!signedIn) return;
+
+        setAccount(signedIn);
+        setCustomerInfo(current => ({
+          firstName: current.firstName || signedIn.firstName,
+          lastName: current.lastName || signedIn.lastName,
+          email: current.email || signedIn.email,
+          phone: current.phone || signedIn.phone
+        }));
+
+        const defaultAddress = signedIn.addresses.find(address => address.isDefault);
+        if (defaultAddress) {
+          setSelectedAddressId(defaultAddress.addressId);
+          setShippingAddress(toShippingAddress(defaultAddress));
+        }
+      })
+      .catch(error => console.warn('Could not load account for checkout:', error));
+  }, []);
+
+  // Typing over a saved address makes it a new one
+  const updateShippingAddress = (changes: Partial<ShippingAddress>) => {
+    setShippingAddress({ ...shippingAddress, ...changes });
+    setSelectedAddressId('');
+  };
+
+  const handleSavedAddressChange = (addressId: string) => {
+    setSelectedAddressId(addressId);
+    const saved = account?.addresses.find(address => address.addressId === addressId);
+    if (saved) setShippingAddress(toShippingAddress(saved));
+  };
+
+  // Same calculation the checkout API charges
+  const { subtotal, tax, shipping, total: orderTotal, taxCalculated } =
+    calculateOrderTotals(items || [], { address: shippingAddress, shippingMethod });
 
   /**
    * Handle checkout details submission
@@ -147,19 +210,33 @@ export default function EnhancedCheckoutPage() {
           // Map cart items to match cart store structure
           cartItems: items.map((item: CartItem) => ({
             product_id: item.product_id,
+            variant_id: item.variant_id ?? null,
             product_name: item.product_name,
             product_price: item.product_price,
             quantity: item.quantity,
+            weight: item.weight,
+            tax_class: item.tax_class,
+            billing_interval: item.billing_interval,
             sku: item.product_id // Use product_id as SKU fallback
           })),
+          shippingMethod,
           orderNotes,
-          createAccount,
-          customerPassword: createAccount ? customerPassword : null
+          createAccount: createAccount && !account,
+          customerPassword: createAccount && !account ? customerPassword : null,
+          cartToken
         }),
       });
       
       const result = await response.json();
       
+      // Prices or stock changed since the cart was filled; show the customer before charging
+      if (response.status === 409 && result.code === 'CART_CHANGED') {
+        reconcileItems(result.cart);
+        setValidationErrors(result.changes.map((change: { message: string }) => change.message));
+        toast.error(result.message);
+        return;
+      }
+      
       if (!response.ok) {
         throw new Error(result.details || result.error || 'Checkout failed');
       }
@@ -168,7 +245,7 @@ export default function EnhancedCheckoutPage() {
       
       // Handle the new Stripe API response format
       if (result.customer.accountCreated) {
-        toast.success('Account created! Complete your payment below.');
+        toast.success('Account created! Confirm it from the email we sent, and complete your payment below.');
       } else if (result.customer.customerId) {
         toast.success('Welcome back! Complete your payment below.');
       } else {
@@ -199,7 +276,8 @@ export default function EnhancedCheckoutPage() {
     
     // Redirect to success page with payment details
     setTimeout(() => {
-      router.push(`/checkout/success?payment_intent=${paymentIntent.id}&order_id=${paymentData.order.orderId}`);
+      // Same parameter Stripe adds on redirects; the verify endpoint only trusts the PaymentIntent with it
+      router.push(`/checkout/success?payment_intent=${paymentIntent.id}&payment_intent_client_secret=${encodeURIComponent(paymentIntent.client_secret)}&order_id=${paymentData.order.orderId}`);
     }, 2000);
     
     setCurrentStep('success');
@@ -234,9 +312,9 @@ export default function EnhancedCheckoutPage() {
     if (!shippingAddress.zipCode.trim()) errors.push('ZIP code is required');
     
     // Account creation validation
-    if (createAccount) {
+    if (createAccount && !account) {
       if (!customerPassword.trim()) errors.push('Password is required for account creation');
-      if (customerPassword.length < 6) errors.push('Password must be at least 6 characters');
+      if (customerPassword.length < 8) errors.push('Password must be at least 8 characters');
     }
     
     // Terms validation
@@ -468,6 +546,26 @@ export default function EnhancedCheckoutPage() {
                       </h2>
                       
                       <div className="space-y-4">
+                        {account && account.addresses.length > 0 && (
+                          <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-2">
+                              Saved addresses
+                            </label>
+                            <select
+                              value={selectedAddressId}
+                              onChange={(e) => handleSavedAddressChange(e.target.value)}
+                              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            >
+                              <option value="">Enter a new address</option>
+                              {account.addresses.map(address => (
+                                <option key={address.addressId} value={address.addressId}>
+                                  {address.label ? `${address.label}: ` : ''}{address.address1}, {address.city}, {address.state}
+                                </option>
+                              ))}
+                            </select>
+                          </div>
+                        )}
+
                         <div>
                           <label className="block text-sm font-medium text-gray-700 mb-2">
                             Street Address *
@@ -475,7 +573,7 @@ export default function EnhancedCheckoutPage() {
                           <input
                             type="text"
                             value={shippingAddress.address1}
-                            onChange={(e) => setShippingAddress({...shippingAddress, address1: e.target.value})}
+                            onChange={(e) => updateShippingAddress({ address1: e.target.value })}
                             className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
                             required
                           />
@@ -488,7 +586,7 @@ export default function EnhancedCheckoutPage() {
                           <input
                             type="text"
                             value={shippingAddress.address2}
-                            onChange={(e) => setShippingAddress({...shippingAddress, address2: e.target.value})}
+                            onChange={(e) => updateShippingAddress({ address2: e.target.value })}
                             className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
                           />
                         </div>
@@ -501,7 +599,7 @@ export default function EnhancedCheckoutPage() {
                             <input
                               type="text"
                               value={shippingAddress.city}
-                              onChange={(e) => setShippingAddress({...shippingAddress, city: e.target.value})}
+                              onChange={(e) => updateShippingAddress({ city: e.target.value })}
                               className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
                               required
                             />
@@ -514,7 +612,7 @@ export default function EnhancedCheckoutPage() {
                             <input
                               type="text"
                               value={shippingAddress.state}
-                              onChange={(e) => setShippingAddress({...shippingAddress, state: e.target.value})}
+                              onChange={(e) => updateShippingAddress({ state: e.target.value })}
                               className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
                               required
                             />
@@ -527,7 +625,7 @@ export default function EnhancedCheckoutPage() {
                             <input
                               type="text"
                               value={shippingAddress.zipCode}
-                              onChange={(e) => setShippingAddress({...shippingAddress, zipCode: e.target.value})}
+                              onChange={(e) => updateShippingAddress({ zipCode: e.target.value })}
                               className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
                               required
                             />
@@ -536,6 +634,16 @@ export default function EnhancedCheckoutPage() {
                       </div>
                     </div>
 
+                    {/* Shipping Method */}
+                    <div className="bg-white rounded-lg shadow-md p-6">
+                      <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+                        <Package className="h-5 w-5 mr-2 text-blue-600" />
+                        Shipping Method
+                      </h2>
+                      
+                      <ShippingMethodSelector items={items || []} value={shippingMethod} onChange={setShippingMethod} />
+                    </div>
+
                     {/* Account Creation Option */}
                     <div className="bg-white rounded-lg shadow-md p-6">
                       <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
@@ -543,41 +651,56 @@ export default function EnhancedCheckoutPage() {
                         Account Options
                       </h2>
                       
-                      <div className="space-y-4">
-                        <label className="flex items-start space-x-3">
-                          <input
-                            type="checkbox"
-                            checked={createAccount}
-                            onChange={(e) => setCreateAccount(e.target.checked)}
-                            className="mt-1 h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
-                          />
-                          <div>
-                            <span className="text-sm font-medium text-gray-900">
-                              Create an account for faster future checkout
-                            </span>
-                            <p className="text-sm text-gray-600">
-                              Save your information for next time and track your orders
-                            </p>
-                          </div>
-                        </label>
-                        
-                        {createAccount && (
-                          <div>
-                            <label className="block text-sm font-medium text-gray-700 mb-2">
-                              Password *
-                            </label>
+                      {account ? (
+                        <p className="text-sm text-gray-600">
+                          Signed in as <span className="font-medium text-gray-900">{account.email}</span>.
+                          This order will appear in your <Link href="/account" className="text-blue-600 hover:underline">account</Link>.
+                        </p>
+                      ) : (
+                        <div className="space-y-4">
+                          <p className="text-sm text-gray-600">
+                            Already have an account?{' '}
+                            <Link href="/account/login?next=/checkout-enhanced" className="text-blue-600 hover:underline">Sign in</Link>
+                            {' '}to use your saved addresses.
+                          </p>
+                          <label className="flex items-start space-x-3">
                             <input
-                              type="password"
-                              value={customerPassword}
-                              onChange={(e) => setCustomerPassword(e.target.value)}
-                              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                              required={createAccount}
-                              minLength={6}
-                              placeholder="Minimum 6 characters"
+                              type="checkbox"
+                              checked={createAccount}
+                              onChange={(e) => setCreateAccount(e.target.checked)}
+                              className="mt-1 h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
                             />
-                          </div>
-                        )}
-                      </div>
+                            <div>
+                              <span className="text-sm font-medium text-gray-900">
+                                Create an account for faster future checkout
+                              </span>
+                              <p className="text-sm text-gray-600">
+                                Save your information for next time and track your orders
+                              </p>
+                            </div>
+                          </label>
+                        
+                          {createAccount && (
+                            <div>
+                              <label className="block text-sm font-medium text-gray-700 mb-2">
+                                Password *
+                              </label>
+                              <input
+                                type="password"
+                                value={customerPassword}
+                                onChange={(e) => setCustomerPassword(e.target.value)}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                required={createAccount}
+                                minLength={8}
+                                placeholder="Minimum 8 characters"
+                              />
+                              <p className="mt-1 text-xs text-gray-500">
+                                We&apos;ll email you a link to confirm your account.
+                              </p>
+                            </div>
+                          )}
+                        </div>
+                      )}
                     </div>
 
                     {/* Order Notes */}
@@ -638,6 +761,11 @@ export default function EnhancedCheckoutPage() {
               )}
 
               {/* STEP 2: Payment */}
+              {currentStep === 'payment' && paymentData?.reservation && (
+                <p className="mb-4 text-sm text-gray-600">
+                  Your items are reserved until {new Date(paymentData.reservation.expiresAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}.
+                </p>
+              )}
               {currentStep === 'payment' && paymentData && (
                 <StripePaymentForm
                   clientSecret={paymentData.payment.clientSecret}
@@ -678,7 +806,7 @@ export default function EnhancedCheckoutPage() {
               {/* Cart Items */}
               <div className="space-y-4 mb-6">
                 {items.map((item: CartItem) => (
-                  <div key={item.product_id} className="flex items-center space-x-4">
+                  <div key={cartLineKey(item)} className="flex items-center space-x-4">
                     <img
                       src={item.product_images?.[0] || '/images/placeholder.jpg'}
                       alt={item.product_name}
@@ -686,9 +814,13 @@ export default function EnhancedCheckoutPage() {
                     />
                     <div className="flex-1">
                       <h3 className="font-medium text-gray-900">{item.product_name}</h3>
+                      {item.variant_name && <p className="text-sm text-gray-600">{item.variant_name}</p>}
                       <p className="text-sm text-gray-600">Qty: {item.quantity}</p>
                       <p className="text-sm font-medium text-gray-900">
                         ${(item.product_price * item.quantity).toFixed(2)}
+                        {item.billing_interval && (
+                          <span className="text-xs font-normal text-gray-500"> first {item.billing_interval}, then renews every {item.billing_interval} until canceled</span>
+                        )}
                       </p>
                     </div>
                   </div>
@@ -709,7 +841,7 @@ export default function EnhancedCheckoutPage() {
                 </div>
                 <div className="flex justify-between text-sm">
                   <span className="text-gray-600">Tax</span>
-                  <span className="text-gray-900">${tax.toFixed(2)}</span>
+                  <span className="text-gray-900">{taxCalculated ? `$${tax.toFixed(2)}` : 'Enter state'}</span>
                 </div>
                 <div className="border-t pt-2 flex justify-between text-lg font-semibold">
                   <span className="text-gray-900">Total</span>
@@ -723,7 +855,7 @@ export default function EnhancedCheckoutPage() {
                   <Shield className="h-5 w-5 text-green-600 mt-0.5" />
                   <div className="text-sm text-green-800">
                     <div className="font-medium mb-1">Secure Direct Payment</div>
-                    <div>No redirects - complete your purchase safely on our website with Stripe's secure payment processing.</div>
+                    <div>No redirects - complete your purchase safely on our website with Stripe&apos;s secure payment processing.</div>
                   </div>
                 </div>
               </div>
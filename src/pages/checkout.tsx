@@ -3,7 +3,7 @@
 import { useState, useEffect } from 'react';
 import { useRouter } from 'next/router';
 import Layout from '../components/Layout';
-import { useCartStore } from '../store/cart';
+import { useCartStore, cartLineKey } from '../store/cart';
 import { 
   ShoppingCart, 
   MapPin, 
@@ -14,9 +14,12 @@ import {
   Loader2,
   ArrowLeft,
   Shield,
-  ExternalLink
+  ExternalLink,
+  Truck
 } from 'lucide-react';
 import toast from 'react-hot-toast';
+import ShippingMethodSelector from '../components/ShippingMethodSelector';
+import { calculateOrderTotals, DEFAULT_SHIPPING_METHOD, type ShippingMethod } from '../lib/order-totals';
 
 // TypeScript interfaces
 interface CustomerInfo {
@@ -37,11 +40,15 @@ interface ShippingAddress {
 
 interface CartItem {
   product_id: string;
+  variant_id?: string | null;
+  variant_name?: string | null;
   product_name: string;
   product_price: number;
   quantity: number;
   sku?: string;
   product_sku?: string;
+  weight?: number | null;
+  tax_class?: string;
 }
 
 interface CheckoutResult {
@@ -49,6 +56,7 @@ interface CheckoutResult {
   redirect_to_payment?: boolean;
   payment_url?: string;
   checkout_url?: string;
+  payment_token?: string;
   invoice_id?: string;
   invoice_number?: string;
   total_amount?: number;
@@ -59,7 +67,7 @@ interface CheckoutResult {
 
 const CheckoutPage = () => {
   const router = useRouter();
-  const { items, getTotalPrice, clearCart, isHydrated } = useCartStore();
+  const { items, clearCart, reconcileItems, isHydrated } = useCartStore();
   
   // Component state
   const [isLoading, setIsLoading] = useState<boolean>(true);
@@ -81,6 +89,7 @@ const CheckoutPage = () => {
     country: 'US'
   });
   
+  const [shippingMethod, setShippingMethod] = useState<ShippingMethod>(DEFAULT_SHIPPING_METHOD);
   const [orderNotes, setOrderNotes] = useState<string>('');
   const [agreeToTerms, setAgreeToTerms] = useState<boolean>(false);
   
@@ -95,11 +104,9 @@ const CheckoutPage = () => {
     }
   }, [isHydrated]);
 
-  // Calculate totals
-  const subtotal = items?.reduce((sum, item) => sum + (item.product_price * item.quantity), 0) || 0;
-  const shipping = subtotal >= 100 ? 0 : 9.99;
-  const tax = Math.round(subtotal * 0.0875 * 100) / 100;
-  const total = subtotal + shipping + tax;
+  // Same calculation the checkout API charges
+  const { subtotal, shipping, tax, total, taxCalculated } =
+    calculateOrderTotals(items || [], { address: shippingAddress, shippingMethod });
 
   // Helper function to validate URL
   const isValidUrl = (string: string): boolean => {
@@ -160,7 +167,7 @@ const CheckoutPage = () => {
     customerInfo: CustomerInfo, 
     shippingAddress: ShippingAddress, 
     cartItems: CartItem[]
-  ): Promise<{ redirected: boolean; paymentUrl?: string }> => {
+  ): Promise<{ redirected: boolean; paymentUrl?: string; cartChanged?: boolean }> => {
     try {
       console.log('🛒 Starting Zoho Inventory checkout...');
       console.log('📦 Cart items:', cartItems.length);
@@ -175,12 +182,25 @@ const CheckoutPage = () => {
           customerInfo,
           shippingAddress,
           cartItems,
+          shippingMethod,
           orderNotes: orderNotes || 'Guest checkout order'
         })
       });
 
       console.log('📡 API Response Status:', response.status);
 
+      // Prices or stock changed since the cart was filled; show the customer before charging
+      if (response.status === 409) {
+        const conflict = await response.json();
+        if (conflict.code === 'CART_CHANGED') {
+          reconcileItems(conflict.cart);
+          setValidationErrors(conflict.changes.map((change: { message: string }) => change.message));
+          toast.error(conflict.message);
+          return { redirected: false, cartChanged: true };
+        }
+        throw new Error(conflict.details || conflict.error || 'Checkout failed');
+      }
+
       if (!response.ok) {
         const errorText = await response.text();
         console.error('❌ API Error Response:', errorText);
@@ -234,10 +254,9 @@ const CheckoutPage = () => {
           toast.success(`Order created! Invoice: ${result.invoice_number || result.invoice_id}`);
           
           // Manual payment page redirect
+          // The invoice page loads the amount from the signed payment link
           const manualPaymentUrl = `/payment/invoice/${result.invoice_id}?${new URLSearchParams({
-            amount: result.total_amount?.toString() || '0',
-            currency: 'USD',
-            customer_email: customerInfo.email,
+            token: result.payment_token || '',
             invoice_number: result.invoice_number || '',
             request_id: result.request_id || ''
           }).toString()}`;
@@ -273,11 +292,15 @@ const CheckoutPage = () => {
   const prepareCartItems = (items: any[]): CartItem[] => {
     return items.map(item => ({
       product_id: item.product_id || item.id,
+      variant_id: item.variant_id ?? null,
+      variant_name: item.variant_name ?? null,
       product_name: item.product_name || item.name,
       product_price: item.product_price || item.price,
       quantity: item.quantity,
       sku: item.sku || item.product_sku || item.product_id,
-      product_sku: item.product_sku || item.sku || item.product_id
+      product_sku: item.product_sku || item.sku || item.product_id,
+      weight: item.weight,
+      tax_class: item.tax_class
     }));
   };
 
@@ -341,6 +364,10 @@ const CheckoutPage = () => {
       // Call the checkout handler
       const result = await handleZohoInventoryCheckout(customerInfo, shippingAddress, cartItems);
       
+      if (result.cartChanged) {
+        return;
+      }
+      
       if (!result.redirected) {
         // Handle success without redirect (shouldn't happen but just in case)
         console.log('Order created successfully:', result);
@@ -558,6 +585,15 @@ const CheckoutPage = () => {
                   </div>
                 </div>
 
+                {/* Shipping Method */}
+                <div className="border-t pt-6">
+                  <h3 className="text-lg font-medium text-gray-900 mb-4">
+                    <Truck className="h-5 w-5 inline mr-2" />
+                    Shipping Method
+                  </h3>
+                  <ShippingMethodSelector items={items || []} value={shippingMethod} onChange={setShippingMethod} />
+                </div>
+
                 {/* Order Notes */}
                 <div className="border-t pt-6">
                   <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -624,9 +660,10 @@ const CheckoutPage = () => {
               {/* Cart Items */}
               <div className="space-y-4 mb-6">
                 {items.map((item) => (
-                  <div key={item.product_id} className="flex items-center space-x-4">
+                  <div key={cartLineKey(item)} className="flex items-center space-x-4">
                     <div className="flex-1">
                       <h3 className="font-medium text-gray-900">{item.product_name}</h3>
+                      {item.variant_name && <p className="text-sm text-gray-600">{item.variant_name}</p>}
                       <p className="text-sm text-gray-600">Qty: {item.quantity}</p>
                     </div>
                     <div className="text-right">
@@ -648,7 +685,7 @@ const CheckoutPage = () => {
                 </div>
                 <div className="flex justify-between">
                   <span className="text-gray-600">Tax:</span>
-                  <span>${tax.toFixed(2)}</span>
+                  <span>{taxCalculated ? `$${tax.toFixed(2)}` : 'Enter state'}</span>
                 </div>
                 <div className="flex justify-between text-lg font-semibold border-t pt-2">
                   <span>Total:</span>
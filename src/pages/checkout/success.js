@@ -27,10 +27,11 @@ import Layout from '../../components/Layout';
 
 export default function CheckoutSuccessPage() {
   const router = useRouter();
-  const { payment_intent, order_id, session_id } = router.query;
+  const { payment_intent, payment_intent_client_secret, order_id, session_id, token } = router.query;
   
   const [orderDetails, setOrderDetails] = useState(null);
   const [paymentDetails, setPaymentDetails] = useState(null);
+  const [orderToken, setOrderToken] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
@@ -54,8 +55,10 @@ export default function CheckoutSuccessPage() {
         },
         body: JSON.stringify({
           payment_intent,
+          payment_intent_client_secret,
           order_id,
-          session_id
+          session_id,
+          token
         }),
       });
 
@@ -67,6 +70,7 @@ export default function CheckoutSuccessPage() {
 
       setOrderDetails(data.order);
       setPaymentDetails(data.payment);
+      setOrderToken(data.order_token || null);
       
     } catch (error) {
       console.error('Error fetching order details:', error);
@@ -95,7 +99,7 @@ export default function CheckoutSuccessPage() {
    */
   const handleDownloadReceipt = async () => {
     try {
-      const response = await fetch(`/api/orders/${orderDetails.orderId}/receipt`, {
+      const response = await fetch(`/api/orders/${encodeURIComponent(orderDetails.orderId)}/receipt?token=${encodeURIComponent(orderToken)}`, {
         method: 'GET',
       });
       
@@ -347,13 +351,20 @@ export default function CheckoutSuccessPage() {
                 <h2 className="text-lg font-semibold text-gray-900 mb-4">Quick Actions</h2>
                 
                 <div className="space-y-3">
-                  <button
-                    onClick={handleDownloadReceipt}
-                    className="w-full flex items-center justify-center space-x-2 bg-gray-100 text-gray-700 py-2 px-4 rounded-lg hover:bg-gray-200 transition-colors"
-                  >
-                    <Download className="h-4 w-4" />
-                    <span>Download Receipt</span>
-                  </button>
+                  {/* The receipt needs the Zoho order, which the webhook may still be creating */}
+                  {orderToken ? (
+                    <button
+                      onClick={handleDownloadReceipt}
+                      className="w-full flex items-center justify-center space-x-2 bg-gray-100 text-gray-700 py-2 px-4 rounded-lg hover:bg-gray-200 transition-colors"
+                    >
+                      <Download className="h-4 w-4" />
+                      <span>Download Receipt</span>
+                    </button>
+                  ) : (
+                    <p className="text-sm text-gray-500 text-center">
+                      Your receipt will be available from your confirmation email once your order is confirmed.
+                    </p>
+                  )}
                   
                   <button
                     onClick={() => router.push('/account/orders')}
@@ -375,7 +386,7 @@ export default function CheckoutSuccessPage() {
 
               {/* What's Next */}
               <div className="bg-blue-50 rounded-lg p-6">
-                <h2 className="text-lg font-semibold text-blue-900 mb-4">What's Next?</h2>
+                <h2 className="text-lg font-semibold text-blue-900 mb-4">What&apos;s Next?</h2>
                 
                 <div className="space-y-3 text-sm text-blue-800">
                   <div className="flex items-start space-x-3">
@@ -384,7 +395,7 @@ export default function CheckoutSuccessPage() {
                     </div>
                     <div>
                       <p className="font-medium">Order Processing</p>
-                      <p className="text-blue-700">We'll prepare your order for shipment within 1-2 business days.</p>
+                      <p className="text-blue-700">We&apos;ll prepare your order for shipment within 1-2 business days.</p>
                     </div>
                   </div>
                   
@@ -394,7 +405,7 @@ export default function CheckoutSuccessPage() {
                     </div>
                     <div>
                       <p className="font-medium">Shipping Notification</p>
-                      <p className="text-blue-700">You'll receive tracking information once your order ships.</p>
+                      <p className="text-blue-700">You&apos;ll receive tracking information once your order ships.</p>
                     </div>
                   </div>
                   
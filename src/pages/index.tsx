@@ -47,6 +47,7 @@ interface Product {
   short_description?: string;
   seo_url?: string;
   url?: string;
+  variants?: unknown[];
 }
 
 const EnhancedHomepage: React.FC = () => {
@@ -337,7 +338,7 @@ const EnhancedHomepage: React.FC = () => {
                   ))}
                 </div>
                 <blockquote className="text-xl text-gray-700 italic mb-6">
-                  "{testimonials[activeTestimonial].quote}"
+                  &quot;{testimonials[activeTestimonial].quote}&quot;
                 </blockquote>
                 <div className="flex items-center justify-center space-x-4">
                   <div className="w-12 h-12 bg-logo-teal rounded-full flex items-center justify-center">
@@ -397,7 +398,7 @@ const EnhancedHomepage: React.FC = () => {
               <div className="text-center bg-red-50 rounded-xl p-8 max-w-2xl border border-red-200">
                 <AlertCircle className="h-12 w-12 text-red-500 mx-auto mb-4" />
                 <h3 className="text-lg font-semibold text-red-900 mb-2">Unable to Load Products</h3>
-                <p className="text-red-700 mb-4">We're experiencing technical difficulties. Please try again.</p>
+                <p className="text-red-700 mb-4">We&apos;re experiencing technical difficulties. Please try again.</p>
                 <button 
                   onClick={fetchProducts}
                   className="bg-red-600 text-white px-6 py-3 rounded-lg hover:bg-red-700 transition-colors"
@@ -470,6 +471,12 @@ const EnhancedHomepage: React.FC = () => {
                         
                         <button
                           onClick={() => {
+                            // Products with variants are added from their page, once options are chosen
+                            if (product.variants?.length) {
+                              router.push(`/products/${getProductSlug(product)}`);
+                              return;
+                            }
+
                             addItem({
                               product_id: productId,
                               product_name: getProductName(product),
@@ -2,6 +2,8 @@
 import React, { useState, useEffect } from 'react';
 import { useRouter } from 'next/router';
 import Layout from '../../components/Layout';
+import OrderLookupForm from '../../components/OrderLookupForm';
+import type { OrderView } from '../../lib/order-tracking';
 import { 
   Package, 
   Truck, 
@@ -13,61 +15,64 @@ import {
   CreditCard,
   Calendar,
   AlertCircle,
+  XCircle,
+  Download,
   Loader2
 } from 'lucide-react';
 
 const OrderStatusPage: React.FC = () => {
   const router = useRouter();
-  const { orderId } = router.query;
-  const [orderData, setOrderData] = useState<any>(null);
-  const [loading, setLoading] = useState(false);
+  const { orderId, token } = router.query;
+  const [orderData, setOrderData] = useState<OrderView | null>(null);
+  const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
 
-  // Mock order data for demonstration
+  // The order is only shown with a signed token; without one the customer looks it up by number and email
   useEffect(() => {
-    if (orderId) {
-      // In production, fetch real order data from your API
-      setOrderData({
-        orderId: orderId,
-        orderNumber: `TDW-${orderId}`,
-        status: 'processing',
-        orderDate: new Date().toISOString(),
-        estimatedDelivery: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000).toLocaleDateString('en-US', {
-          weekday: 'long',
-          year: 'numeric',
-          month: 'long',
-          day: 'numeric'
-        }),
-        total: 299.99,
-        items: [
-          {
-            product_id: '1',
-            product_name: 'GL.iNet GL-X3000 5G Router',
-            quantity: 1,
-            price: 249.99,
-            product_images: ['/images/placeholder.jpg']
-          },
-          {
-            product_id: '2', 
-            product_name: 'Signal Booster Antenna',
-            quantity: 1,
-            price: 49.99,
-            product_images: ['/images/placeholder.jpg']
-          }
-        ],
-        shippingAddress: {
-          firstName: 'John',
-          lastName: 'Doe',
-          address1: '123 Main St',
-          city: 'Austin',
-          state: 'TX',
-          zipCode: '78701'
-        },
-        trackingNumber: 'TRK123456789',
-        shippingCarrier: 'UPS'
-      });
+    if (!router.isReady) return;
+
+    if (!orderId || !token) {
+      setError('Enter your order number and email address to view this order.');
+      setLoading(false);
+      return;
     }
-  }, [orderId]);
+
+    const fetchOrder = async () => {
+      setLoading(true);
+      setError(null);
+
+      try {
+        const response = await fetch(`/api/orders/${encodeURIComponent(String(orderId))}?token=${encodeURIComponent(String(token))}`);
+        const result = await response.json();
+
+        if (!response.ok) {
+          setError(result.error || 'We couldn\'t load this order.');
+          return;
+        }
+
+        setOrderData(result.order);
+      } catch (fetchError) {
+        console.error('Error fetching order:', fetchError);
+        setError('Unable to load your order right now. Please try again.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchOrder();
+  }, [router.isReady, orderId, token]);
+
+  const formatCurrency = (amount: number) => new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: orderData?.currency || 'USD'
+  }).format(amount);
+
+  const formatDate = (date: string) => new Date(date).toLocaleDateString('en-US', {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
 
   const getStatusInfo = (status: string) => {
     switch (status) {
@@ -99,6 +104,13 @@ const OrderStatusPage: React.FC = () => {
           title: 'Delivered',
           description: 'Your order has been delivered successfully.'
         };
+      case 'cancelled':
+        return {
+          icon: XCircle,
+          color: 'text-red-500 bg-red-50',
+          title: 'Cancelled',
+          description: 'This order has been cancelled. Contact us if you have any questions.'
+        };
       default:
         return {
           icon: AlertCircle,
@@ -128,26 +140,21 @@ const OrderStatusPage: React.FC = () => {
 
   if (error) {
     return (
-      <Layout title="Order Error - Travel Data WiFi">
-        <div className="min-h-screen bg-gray-50 flex items-center justify-center">
-          <div className="max-w-md mx-auto text-center">
+      <Layout title="Find Your Order - Travel Data WiFi">
+        <div className="min-h-screen bg-gray-50 flex items-center justify-center py-12">
+          <div className="max-w-md w-full mx-auto px-4">
             <div className="bg-white rounded-lg shadow-lg p-8">
-              <AlertCircle className="h-16 w-16 text-red-500 mx-auto mb-6" />
-              <h1 className="text-2xl font-bold text-gray-900 mb-4">Order Not Found</h1>
-              <p className="text-gray-600 mb-6">{error}</p>
+              <div className="text-center mb-6">
+                <Package className="h-16 w-16 text-travel-blue mx-auto mb-6" />
+                <h1 className="text-2xl font-bold text-gray-900 mb-4">Find Your Order</h1>
+                <p className="text-gray-600">{error}</p>
+              </div>
               
-              <div className="space-y-3">
-                <button
-                  onClick={() => router.push('/products')}
-                  className="w-full bg-travel-blue text-white py-3 px-4 rounded-lg font-medium hover:bg-blue-700 transition-colors"
-                >
-                  Continue Shopping
-                </button>
-                
-                <div className="flex items-center space-x-3 text-sm text-gray-600">
-                  <Phone className="h-4 w-4" />
-                  <span>Need help? Call 1-800-WIFI-RV</span>
-                </div>
+              <OrderLookupForm />
+
+              <div className="flex items-center justify-center space-x-3 text-sm text-gray-600 mt-6">
+                <Phone className="h-4 w-4" />
+                <span>Need help? Call 1-800-WIFI-RV</span>
               </div>
             </div>
           </div>
@@ -163,7 +170,7 @@ const OrderStatusPage: React.FC = () => {
           <div className="text-center">
             <AlertCircle className="h-16 w-16 text-gray-500 mx-auto mb-6" />
             <h1 className="text-2xl font-bold text-gray-900 mb-4">Order Not Found</h1>
-            <p className="text-gray-600 mb-8">We couldn't find an order with ID: {orderId}</p>
+            <p className="text-gray-600 mb-8">We couldn&apos;t find an order with ID: {orderId}</p>
             <button
               onClick={() => router.push('/products')}
               className="bg-travel-blue text-white py-3 px-6 rounded-lg font-medium hover:bg-blue-700 transition-colors"
@@ -194,12 +201,7 @@ const OrderStatusPage: React.FC = () => {
               <div>
                 <h1 className="text-3xl font-bold text-gray-900">Order {orderData.orderNumber}</h1>
                 <p className="text-gray-600 mt-2">
-                  Placed on {new Date(orderData.orderDate).toLocaleDateString('en-US', {
-                    weekday: 'long',
-                    year: 'numeric',
-                    month: 'long',
-                    day: 'numeric'
-                  })}
+                  Placed on {formatDate(orderData.placedAt)}
                 </p>
               </div>
               
@@ -229,10 +231,10 @@ const OrderStatusPage: React.FC = () => {
                       <div className="flex-1">
                         <h3 className="text-lg font-medium text-gray-900">{statusInfo.title}</h3>
                         <p className="text-gray-600 mt-1">{statusInfo.description}</p>
-                        {orderData.estimatedDelivery && orderData.status !== 'delivered' && (
+                        {orderData.expectedShipmentDate && (orderData.status === 'pending' || orderData.status === 'processing') && (
                           <p className="text-sm text-gray-500 mt-2">
                             <Calendar className="h-4 w-4 inline mr-1" />
-                            Estimated delivery: {orderData.estimatedDelivery}
+                            Expected to ship: {formatDate(orderData.expectedShipmentDate)}
                           </p>
                         )}
                       </div>
@@ -240,23 +242,39 @@ const OrderStatusPage: React.FC = () => {
                   )}
 
                   {/* Tracking Information */}
-                  {orderData.trackingNumber && (
-                    <div className="border-t pt-6">
+                  {orderData.shipments.filter(shipment => shipment.status !== 'not_shipped').map((shipment, index) => (
+                    <div key={shipment.packageNumber || index} className="border-t pt-6">
                       <div className="flex items-center justify-between">
                         <div>
-                          <h4 className="font-medium text-gray-900">Tracking Number</h4>
-                          <p className="text-travel-blue font-mono text-lg">{orderData.trackingNumber}</p>
-                          <p className="text-sm text-gray-600 mt-1">Carrier: {orderData.shippingCarrier}</p>
+                          <h4 className="font-medium text-gray-900">
+                            {shipment.status === 'delivered' ? 'Delivered' : 'Shipped'}
+                            {shipment.packageNumber && <span className="text-gray-500 font-normal"> &middot; Package {shipment.packageNumber}</span>}
+                          </h4>
+                          {shipment.trackingNumber && (
+                            <p className="text-travel-blue font-mono text-lg">{shipment.trackingNumber}</p>
+                          )}
+                          {shipment.carrier && (
+                            <p className="text-sm text-gray-600 mt-1">Carrier: {shipment.carrier}</p>
+                          )}
+                          {(shipment.deliveredAt || shipment.shippedAt) && (
+                            <p className="text-sm text-gray-600">
+                              {shipment.deliveredAt ? `Delivered ${formatDate(shipment.deliveredAt)}` : `Shipped ${formatDate(shipment.shippedAt as string)}`}
+                            </p>
+                          )}
                         </div>
-                        <button
-                          onClick={() => window.open(`https://www.ups.com/track?loc=en_US&tracknum=${orderData.trackingNumber}`, '_blank')}
-                          className="bg-travel-blue text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
-                        >
-                          Track Package
-                        </button>
+                        {shipment.trackingUrl && (
+                          <a
+                            href={shipment.trackingUrl}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="bg-travel-blue text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
+                          >
+                            Track Package
+                          </a>
+                        )}
                       </div>
                     </div>
-                  )}
+                  ))}
                 </div>
               </div>
 
@@ -265,28 +283,41 @@ const OrderStatusPage: React.FC = () => {
                 <h2 className="text-xl font-semibold text-gray-900 mb-6">Items Ordered</h2>
                 
                 <div className="space-y-6">
-                  {orderData.items?.map((item: any, index: number) => (
+                  {orderData.items.map((item, index) => (
                     <div key={index} className="flex items-start space-x-4 pb-6 border-b border-gray-200 last:border-b-0">
-                      <img 
-                        src={item.product_images?.[0] || '/images/placeholder.jpg'}
-                        alt={item.product_name}
-                        className="w-20 h-20 object-cover rounded-lg"
-                      />
+                      <div className="w-20 h-20 rounded-lg bg-gray-100 flex items-center justify-center flex-shrink-0">
+                        <Package className="h-8 w-8 text-gray-400" />
+                      </div>
                       <div className="flex-1">
-                        <h3 className="text-lg font-medium text-gray-900">{item.product_name}</h3>
+                        <h3 className="text-lg font-medium text-gray-900">{item.name}</h3>
+                        {item.sku && <p className="text-sm text-gray-500">SKU: {item.sku}</p>}
                         <p className="text-gray-600 mt-1">Quantity: {item.quantity}</p>
                         <p className="text-lg font-semibold text-travel-blue mt-2">
-                          ${(item.price * item.quantity).toFixed(2)}
+                          {formatCurrency(item.total)}
                         </p>
                       </div>
                     </div>
                   ))}
                 </div>
                 
-                <div className="border-t pt-6 mt-6">
-                  <div className="flex justify-between items-center">
+                <div className="border-t pt-6 mt-6 space-y-2">
+                  <div className="flex justify-between text-gray-600">
+                    <span>Subtotal</span>
+                    <span>{formatCurrency(orderData.subtotal)}</span>
+                  </div>
+                  <div className="flex justify-between text-gray-600">
+                    <span>Shipping{orderData.deliveryMethod ? ` (${orderData.deliveryMethod})` : ''}</span>
+                    <span>{formatCurrency(orderData.shipping)}</span>
+                  </div>
+                  {orderData.tax > 0 && (
+                    <div className="flex justify-between text-gray-600">
+                      <span>Tax</span>
+                      <span>{formatCurrency(orderData.tax)}</span>
+                    </div>
+                  )}
+                  <div className="flex justify-between items-center pt-2">
                     <span className="text-lg font-semibold text-gray-900">Order Total</span>
-                    <span className="text-2xl font-bold text-travel-blue">${orderData.total.toFixed(2)}</span>
+                    <span className="text-2xl font-bold text-travel-blue">{formatCurrency(orderData.total)}</span>
                   </div>
                 </div>
               </div>
@@ -300,9 +331,9 @@ const OrderStatusPage: React.FC = () => {
                   </h2>
                   
                   <div className="text-gray-700">
-                    <p className="font-medium">
-                      {orderData.shippingAddress.firstName} {orderData.shippingAddress.lastName}
-                    </p>
+                    {orderData.shippingAddress.name && (
+                      <p className="font-medium">{orderData.shippingAddress.name}</p>
+                    )}
                     <p>{orderData.shippingAddress.address1}</p>
                     {orderData.shippingAddress.address2 && (
                       <p>{orderData.shippingAddress.address2}</p>
@@ -310,6 +341,9 @@ const OrderStatusPage: React.FC = () => {
                     <p>
                       {orderData.shippingAddress.city}, {orderData.shippingAddress.state} {orderData.shippingAddress.zipCode}
                     </p>
+                    {orderData.shippingAddress.country && orderData.shippingAddress.country !== 'US' && (
+                      <p>{orderData.shippingAddress.country}</p>
+                    )}
                   </div>
                 </div>
               )}
@@ -329,12 +363,12 @@ const OrderStatusPage: React.FC = () => {
                   
                   <div className="flex justify-between">
                     <span className="text-gray-600">Order Total</span>
-                    <span className="font-semibold text-travel-blue">${orderData.total.toFixed(2)}</span>
+                    <span className="font-semibold text-travel-blue">{formatCurrency(orderData.total)}</span>
                   </div>
                   
                   <div className="flex justify-between">
                     <span className="text-gray-600">Status</span>
-                    <span className="font-medium capitalize">{orderData.status}</span>
+                    <span className="font-medium">{statusInfo?.title}</span>
                   </div>
                 </div>
               </div>
@@ -365,6 +399,14 @@ const OrderStatusPage: React.FC = () => {
 
               {/* Actions */}
               <div className="space-y-3">
+                <a
+                  href={`/api/orders/${encodeURIComponent(orderData.orderId)}/receipt?token=${encodeURIComponent(String(token))}`}
+                  className="w-full flex items-center justify-center space-x-2 bg-gray-100 text-gray-700 py-3 px-4 rounded-lg font-medium hover:bg-gray-200 transition-colors"
+                >
+                  <Download className="h-4 w-4" />
+                  <span>Download Receipt (PDF)</span>
+                </a>
+                
                 <button
                   onClick={() => window.location.href = '/products'}
                   className="w-full bg-travel-blue text-white py-3 px-4 rounded-lg font-medium hover:bg-blue-700 transition-colors"
@@ -0,0 +1,29 @@
+// src/pages/order/index.tsx - Order lookup by number and email
+import React from 'react';
+import Layout from '../../components/Layout';
+import OrderLookupForm from '../../components/OrderLookupForm';
+import { Package } from 'lucide-react';
+
+const OrderLookupPage: React.FC = () => {
+  return (
+    <Layout title="Track Your Order - Travel Data WiFi">
+      <div className="min-h-screen bg-gray-50 py-12">
+        <div className="max-w-md mx-auto px-4">
+          <div className="bg-white rounded-lg shadow-lg p-8">
+            <div className="text-center mb-6">
+              <Package className="h-12 w-12 text-travel-blue mx-auto mb-4" />
+              <h1 className="text-2xl font-bold text-gray-900 mb-2">Track Your Order</h1>
+              <p className="text-gray-600">
+                Enter the order number from your confirmation email and the email address you ordered with.
+              </p>
+            </div>
+
+            <OrderLookupForm />
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default OrderLookupPage;
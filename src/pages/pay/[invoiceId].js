@@ -22,34 +22,39 @@ export default function PublicPaymentPage() {
   const [error, setError] = useState(null);
 
   useEffect(() => {
-    if (invoiceId && Object.keys(queryParams).length > 0) {
-      // Verify the security token
-      const isValidToken = verifyPaymentToken(
-        invoiceId,
-        queryParams.customer_email,
-        queryParams.amount,
-        queryParams.token
-      );
+    if (!router.isReady || !invoiceId) return;
 
-      if (!isValidToken) {
-        setError('Invalid payment link. Please contact support.');
-        setLoading(false);
-        return;
-      }
-
-      setPaymentData({
-        invoice_id: invoiceId,
-        ...queryParams
-      });
+    if (!queryParams.token) {
+      setError('Invalid payment link. Please contact support.');
       setLoading(false);
+      return;
     }
-  }, [invoiceId, queryParams]);
 
-  const verifyPaymentToken = (invoiceId, email, amount, token) => {
-    // Verify token matches what we expect (implement client-side verification)
-    // For production, this should also be verified server-side
-    return token && token.length === 32; // Basic validation
-  };
+    // The server verifies the signed link and looks up the amount from the invoice
+    const loadInvoice = async () => {
+      try {
+        const response = await fetch(`/api/pay/${encodeURIComponent(invoiceId)}?token=${encodeURIComponent(queryParams.token)}`);
+        const invoice = await response.json();
+
+        if (!response.ok) {
+          setError(invoice.error || 'Invalid payment link. Please contact support.');
+          return;
+        }
+
+        setPaymentData({
+          ...invoice,
+          token: queryParams.token,
+          success_url: queryParams.success_url || '/checkout/success'
+        });
+      } catch (err) {
+        setError('Unable to load this payment. Please try again.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadInvoice();
+  }, [router.isReady, invoiceId, queryParams.token]);
 
   if (loading) {
     return <LoadingScreen />;
@@ -133,15 +138,20 @@ function PaymentForm({ paymentData }) {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
-          amount: Math.round(parseFloat(paymentData.amount) * 100), // Convert to cents
-          currency: 'usd',
           invoice_id: paymentData.invoice_id,
-          customer_email: paymentData.customer_email,
-          invoice_number: paymentData.invoice_number
+          token: paymentData.token
         })
       });
 
-      const { client_secret } = await response.json();
+      const intent = await response.json();
+
+      if (!response.ok) {
+        setError(intent.error || 'Payment failed. Please try again.');
+        setProcessing(false);
+        return;
+      }
+
+      const { client_secret } = intent;
 
       // Confirm payment
       const { error: stripeError } = await stripe.confirmCardPayment(client_secret, {
@@ -17,14 +17,32 @@ export default function EnhancedPaymentPage() {
   const [paymentMethod, setPaymentMethod] = useState('zoho_public');
 
   useEffect(() => {
-    if (invoiceId && Object.keys(queryParams).length > 0) {
-      setPaymentData({
-        invoice_id: invoiceId,
-        ...queryParams
-      });
-      setLoading(false);
-    }
-  }, [invoiceId, queryParams]);
+    if (!router.isReady || !invoiceId) return;
+
+    // Amount and customer come from the invoice behind the signed link, not from the URL
+    const loadInvoice = async () => {
+      try {
+        const response = await fetch(`/api/pay/${encodeURIComponent(invoiceId)}?token=${encodeURIComponent(queryParams.token || '')}`);
+        const invoice = await response.json();
+
+        if (!response.ok) {
+          setError(invoice.error || 'Invalid payment link. Please contact support.');
+          return;
+        }
+
+        setPaymentData({
+          ...queryParams,
+          ...invoice
+        });
+      } catch (err) {
+        setError('Unable to load this invoice. Please try again.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadInvoice();
+  }, [router.isReady, invoiceId, queryParams.token]);
 
   // Enhanced Stripe payment handler
   const handleStripePayment = async () => {
@@ -43,12 +61,7 @@ export default function EnhancedPaymentPage() {
         },
         body: JSON.stringify({
           invoice_id: paymentData.invoice_id,
-          amount: parseFloat(paymentData.amount),
-          currency: paymentData.currency || 'USD',
-          customer_email: paymentData.customer_email,
-          customer_name: paymentData.customer_name,
-          success_url: paymentData.success_url,
-          cancel_url: paymentData.cancel_url,
+          token: paymentData.token,
           metadata: {
             invoice_number: paymentData.invoice_number,
             request_id: paymentData.request_id,
@@ -91,7 +104,7 @@ export default function EnhancedPaymentPage() {
         },
         body: JSON.stringify({
           invoice_id: paymentData.invoice_id,
-          customer_email: paymentData.customer_email,
+          token: paymentData.token,
           customer_name: paymentData.customer_name
         })
       });
@@ -150,7 +163,7 @@ export default function EnhancedPaymentPage() {
         <div className="text-center max-w-md mx-auto p-6">
           <AlertCircle className="h-16 w-16 text-red-500 mx-auto mb-4" />
           <h1 className="text-2xl font-bold text-gray-900 mb-2">Payment Error</h1>
-          <p className="text-gray-600 mb-4">Invalid payment information. Please try again.</p>
+          <p className="text-gray-600 mb-4">{error || 'Invalid payment information. Please try again.'}</p>
           <button
             onClick={() => router.push('/')}
             className="bg-blue-600 text-white px-6 py-2 rounded-md hover:bg-blue-700"
@@ -17,6 +17,7 @@ export default function StripeCheckoutPage() {
     const data = {
       invoice_id: urlParams.get('invoice_id'),
       invoice_number: urlParams.get('invoice_number'),
+      token: urlParams.get('token'),
       contact_id: urlParams.get('contact_id'),
       amount: parseFloat(urlParams.get('amount')),
       currency: urlParams.get('currency') || 'USD',
@@ -50,12 +51,7 @@ export default function StripeCheckoutPage() {
         },
         body: JSON.stringify({
           invoice_id: invoiceData.invoice_id,
-          amount: invoiceData.amount,
-          currency: invoiceData.currency,
-          customer_email: invoiceData.customer_email,
-          customer_name: invoiceData.customer_name,
-          success_url: invoiceData.return_url,
-          cancel_url: invoiceData.cancel_url || window.location.href,
+          token: invoiceData.token,
           metadata: {
             invoice_number: invoiceData.invoice_number,
             contact_id: invoiceData.contact_id,
@@ -2,6 +2,7 @@
 
 import React, { useState } from 'react';
 import useSWR from 'swr';
+import { useRouter } from 'next/router';
 import Link from 'next/link';
 import Layout from '../components/Layout';
 import { useCartStore } from '../store/cart';
@@ -21,6 +22,7 @@ const getProductSlug = (product: any): string => {
 };
 
 const ProductsPage: React.FC = () => {
+  const router = useRouter();
   const { data, error, isLoading } = useSWR('/api/products', fetcher);
   const { addItem } = useCartStore();
   const [searchTerm, setSearchTerm] = useState('');
@@ -30,6 +32,12 @@ const ProductsPage: React.FC = () => {
     e.preventDefault();
     e.stopPropagation();
     
+    // Products with variants are added from their page, once options are chosen
+    if (product.variants?.length) {
+      router.push(`/products/${getProductSlug(product)}`);
+      return;
+    }
+    
     addItem({
       id: product.product_id,
       name: product.product_name || product.name,
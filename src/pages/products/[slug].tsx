@@ -7,6 +7,7 @@ import Layout from '../../components/Layout';
 import { useCartStore } from '../../store/cart';
 import { ArrowLeft, ShoppingCart, Loader2, AlertCircle, Package, Star, ChevronLeft, ChevronRight, ZoomIn } from 'lucide-react';
 import toast from 'react-hot-toast';
+import { productImageSrc } from '../../utils/product-images';
 
 const fetcher = (url: string) => fetch(url).then(res => {
   if (!res.ok) {
@@ -58,10 +59,25 @@ const parseProductDescription = (html: string): { text: string; features: string
   return { text: mainText, features };
 };
 
+// Units left after other customers' checkouts; null when the item isn't stock-tracked
+const availableToSell = (product: any): number | null => {
+  return typeof product.available_to_sell === 'number' ? product.available_to_sell : null;
+};
+
 // Helper function to check if product is available for purchase
 const isProductAvailable = (product: any): boolean => {
-  // Since inventory isn't tracked in Zoho, all active products should be purchasable
-  return product.status === 'active' && product.show_in_storefront !== false;
+  const available = availableToSell(product);
+  return product.status === 'active' && product.show_in_storefront !== false && (available === null || available > 0);
+};
+
+// Few enough left that the customer should know the count
+const LOW_STOCK_THRESHOLD = 10;
+
+// The variant whose attribute options match the selection, if there is one
+const findVariant = (product: any, selected: Record<string, string>): any | null => {
+  return (product?.variants || []).find((variant: any) =>
+    variant.attributes.every((attribute: { name: string; option: string }) => selected[attribute.name] === attribute.option)
+  ) || null;
 };
 
 // Enhanced image handling with carousel support
@@ -122,16 +138,21 @@ class ImageLoader {
 interface ImageItem {
   src: string;
   alt?: string;
+  // Resized variants from /api/images, for catalog products
+  thumbnail?: string;
+  zoom?: string;
 }
 
 interface CarouselProps {
   images: (string | { src: string })[];
   productName: string;
+  // Catalog product id; images are then served resized through /api/images
+  productId?: string;
   className?: string;
 }
 
 // Enhanced Image Carousel Component with all images support
-const ProductImageCarousel: React.FC<CarouselProps> = ({ images, productName, className = '' }) => {
+const ProductImageCarousel: React.FC<CarouselProps> = ({ images, productName, productId, className = '' }) => {
   const [currentIndex, setCurrentIndex] = useState(0);
   const [loadedImages, setLoadedImages] = useState<Set<number>>(new Set());
   const [failedImages, setFailedImages] = useState<Set<number>>(new Set());
@@ -145,11 +166,20 @@ const ProductImageCarousel: React.FC<CarouselProps> = ({ images, productName, cl
   const normalizedImages: ImageItem[] = useMemo(() => {
     if (!images || images.length === 0) return [];
     
-    return images.map((img, index) => ({
-      src: typeof img === 'string' ? img : img.src,
-      alt: `${productName} - Image ${index + 1}`
-    })).filter(img => img.src && img.src.trim() !== '');
-  }, [images, productName]);
+    return images.map((img, index) => {
+      const src = typeof img === 'string' ? img : img.src;
+      const alt = `${productName} - Image ${index + 1}`;
+
+      if (!productId || !src) return { src, alt };
+
+      return {
+        src: productImageSrc(productId, index, 'gallery'),
+        alt,
+        thumbnail: productImageSrc(productId, index, 'thumbnail'),
+        zoom: productImageSrc(productId, index, 'zoom')
+      };
+    }).filter(img => img.src && img.src.trim() !== '');
+  }, [images, productName, productId]);
 
   // Preload images with rate limiting
   useEffect(() => {
@@ -285,7 +315,7 @@ const ProductImageCarousel: React.FC<CarouselProps> = ({ images, productName, cl
             <FallbackSVG />
           ) : (
             <img
-              src={image.src}
+              src={isZoomed && image.zoom ? image.zoom : image.src}
               alt={image.alt}
               className={`w-full h-full object-cover transition-all duration-300 cursor-pointer ${
                 isLoaded ? 'opacity-100' : 'opacity-0'
@@ -335,7 +365,7 @@ const ProductImageCarousel: React.FC<CarouselProps> = ({ images, productName, cl
           <FallbackSVG />
         ) : (
           <img
-            src={currentImage.src}
+            src={isZoomed && currentImage.zoom ? currentImage.zoom : currentImage.src}
             alt={currentImage.alt}
             className={`w-full h-full object-cover transition-all duration-300 cursor-pointer ${
               isCurrentLoaded ? 'opacity-100' : 'opacity-0'
@@ -414,7 +444,7 @@ const ProductImageCarousel: React.FC<CarouselProps> = ({ images, productName, cl
                     </div>
                   ) : (
                     <img
-                      src={image.src}
+                      src={image.thumbnail || image.src}
                       alt={`Thumbnail ${index + 1}`}
                       className={`w-full h-full object-cover transition-opacity ${
                         isThumbnailLoaded ? 'opacity-100' : 'opacity-0'
@@ -463,18 +493,39 @@ const ProductPage: React.FC = () => {
     );
   }, [data, slug]);
 
+  // Attribute name -> option picked, for products with variants
+  const [selectedOptions, setSelectedOptions] = useState<Record<string, string>>({});
+
+  // Start from the first variant that can be bought
+  useEffect(() => {
+    if (!product?.variants?.length) return;
+    const initial = product.variants.find((variant: any) => variant.available_to_sell !== 0) || product.variants[0];
+    setSelectedOptions(Object.fromEntries(initial.attributes.map((attribute: any) => [attribute.name, attribute.option])));
+  }, [product?.product_id]);
+
+  const selectedVariant = findVariant(product, selectedOptions);
+  // What the customer is buying: the selected variant's price, stock and images over the product's
+  const offer = selectedVariant
+    ? { ...product, ...selectedVariant, product_name: product.product_name, product_images: selectedVariant.product_images?.length ? selectedVariant.product_images : product.product_images }
+    : product;
+
   const handleAddToCart = () => {
-    if (!product) return;
+    if (!product || (product.variants?.length && !selectedVariant)) return;
     
-    const price = typeof product.product_price === 'number' 
-      ? product.product_price 
-      : parseFloat(product.product_price || product.min_rate || 0);
+    const price = typeof offer.product_price === 'number' 
+      ? offer.product_price 
+      : parseFloat(offer.product_price || offer.min_rate || 0);
 
     addItem({
       product_id: product.product_id,
+      variant_id: selectedVariant?.variant_id ?? null,
+      variant_name: selectedVariant?.variant_name ?? null,
       product_name: product.product_name || product.name,
       product_price: price,
-      product_images: product.product_images || [],
+      product_images: offer.product_images || [],
+      weight: offer.weight,
+      tax_class: offer.tax_class,
+      billing_interval: offer.billing_interval,
       quantity: 1
     }, 1);
     
@@ -501,7 +552,7 @@ const ProductPage: React.FC = () => {
           <div className="text-center">
             <AlertCircle className="h-12 w-12 text-red-500 mx-auto mb-4" />
             <h1 className="text-2xl font-bold text-gray-900 mb-2">Error Loading Product</h1>
-            <p className="text-gray-600 mb-4">We couldn't load the product details. Please try again.</p>
+            <p className="text-gray-600 mb-4">We couldn&apos;t load the product details. Please try again.</p>
             <button 
               onClick={() => router.reload()}
               className="bg-travel-blue text-white px-6 py-2 rounded-lg hover:bg-blue-700 transition-colors"
@@ -521,7 +572,7 @@ const ProductPage: React.FC = () => {
           <div className="text-center">
             <Package className="h-12 w-12 text-gray-400 mx-auto mb-4" />
             <h1 className="text-2xl font-bold text-gray-900 mb-2">Product Not Found</h1>
-            <p className="text-gray-600 mb-4">The product you're looking for doesn't exist or may have been removed.</p>
+            <p className="text-gray-600 mb-4">The product you&apos;re looking for doesn&apos;t exist or may have been removed.</p>
             <Link 
               href="/products"
               className="bg-travel-blue text-white px-6 py-2 rounded-lg hover:bg-blue-700 transition-colors inline-block"
@@ -535,10 +586,19 @@ const ProductPage: React.FC = () => {
   }
 
   const parsedDescription = parseProductDescription(product.product_description || product.description || '');
-  const isAvailable = isProductAvailable(product);
-  const price = typeof product.product_price === 'number' 
-    ? product.product_price 
-    : parseFloat(product.product_price || product.min_rate || 0);
+  const hasVariants = Boolean(product.variants?.length);
+  // Variants with their own images are served under the variant's item id
+  const imageOwnerId = offer.product_images === product.product_images ? product.product_id : selectedVariant.variant_id;
+  const isAvailable = isProductAvailable(offer) && (!hasVariants || Boolean(selectedVariant));
+  const unitsAvailable = availableToSell(offer);
+  const price = typeof offer.product_price === 'number' 
+    ? offer.product_price 
+    : parseFloat(offer.product_price || offer.min_rate || 0);
+  // Bundle price against buying its items separately, when Zoho has a price for each
+  const bundleComponents: any[] = product.bundle_components || [];
+  const separatePrice = bundleComponents.length > 0 && bundleComponents.every(component => component.rate !== null)
+    ? bundleComponents.reduce((sum, component) => sum + component.rate * component.quantity, 0)
+    : null;
 
   // Schema markup for SEO
   const productSchema = {
@@ -587,8 +647,10 @@ const ProductPage: React.FC = () => {
           {/* Enhanced Product Images with Carousel */}
           <div className="space-y-4">
             <ProductImageCarousel 
-              images={product.product_images || []}
+              key={imageOwnerId}
+              images={offer.product_images || []}
               productName={product.product_name || product.name}
+              productId={imageOwnerId}
               className="w-full"
             />
           </div>
@@ -609,6 +671,9 @@ const ProductPage: React.FC = () => {
                 <span className="text-3xl font-bold text-travel-blue">
                   ${price.toFixed(2)}
                 </span>
+                {separatePrice !== null && separatePrice > price && (
+                  <span className="text-lg text-gray-500 line-through">${separatePrice.toFixed(2)}</span>
+                )}
                 <div className="flex items-center">
                   <div className="flex text-yellow-400">
                     {[...Array(5)].map((_, i) => (
@@ -622,7 +687,11 @@ const ProductPage: React.FC = () => {
               <div className="flex items-center space-x-2 mb-6">
                 <div className={`w-3 h-3 rounded-full ${isAvailable ? 'bg-green-500' : 'bg-red-500'}`}></div>
                 <span className={`text-sm font-medium ${isAvailable ? 'text-green-700' : 'text-red-700'}`}>
-                  {isAvailable ? 'In Stock - Ready to Ship' : 'Out of Stock'}
+                  {!isAvailable
+                    ? 'Out of Stock'
+                    : unitsAvailable !== null && unitsAvailable <= LOW_STOCK_THRESHOLD
+                      ? `Only ${unitsAvailable} left - Ready to Ship`
+                      : 'In Stock - Ready to Ship'}
                 </span>
               </div>
             </div>
@@ -650,6 +719,56 @@ const ProductPage: React.FC = () => {
               </div>
             )}
 
+            {/* Variant pickers */}
+            {hasVariants && product.variant_options.map((attribute: { name: string; options: string[] }) => (
+              <div key={attribute.name} className="space-y-2">
+                <h3 className="text-sm font-semibold text-gray-900">
+                  {attribute.name}: <span className="font-normal text-gray-600">{selectedOptions[attribute.name] || 'Choose one'}</span>
+                </h3>
+                <div className="flex flex-wrap gap-2">
+                  {attribute.options.map(option => {
+                    const variant = findVariant(product, { ...selectedOptions, [attribute.name]: option });
+                    const selected = selectedOptions[attribute.name] === option;
+                    const soldOut = !variant || variant.available_to_sell === 0;
+
+                    return (
+                      <button
+                        key={option}
+                        type="button"
+                        onClick={() => setSelectedOptions({ ...selectedOptions, [attribute.name]: option })}
+                        className={`px-4 py-2 rounded-lg border text-sm transition-colors ${
+                          selected
+                            ? 'border-travel-blue bg-travel-blue/10 text-travel-blue font-medium'
+                            : 'border-gray-300 text-gray-700 hover:border-travel-blue'
+                        } ${soldOut ? 'line-through text-gray-400' : ''}`}
+                      >
+                        {option}
+                      </button>
+                    );
+                  })}
+                </div>
+              </div>
+            ))}
+
+            {/* Bundle contents */}
+            {bundleComponents.length > 0 && (
+              <div className="space-y-2">
+                <h3 className="text-lg font-semibold text-gray-900">This bundle includes</h3>
+                <ul className="space-y-1 text-gray-600">
+                  {bundleComponents.map(component => (
+                    <li key={component.item_id}>
+                      {component.quantity > 1 ? `${component.quantity} × ` : ''}{component.name}
+                    </li>
+                  ))}
+                </ul>
+                {separatePrice !== null && separatePrice > price && (
+                  <p className="text-sm font-medium text-green-700">
+                    Save ${(separatePrice - price).toFixed(2)} compared to buying separately
+                  </p>
+                )}
+              </div>
+            )}
+
             {/* Add to Cart */}
             <div className="space-y-4">
               <button
@@ -662,7 +781,7 @@ const ProductPage: React.FC = () => {
                 }`}
               >
                 <ShoppingCart className="h-5 w-5" />
-                <span>{isAvailable ? 'Add to Cart' : 'Out of Stock'}</span>
+                <span>{isAvailable ? 'Add to Cart' : hasVariants && !selectedVariant ? 'Unavailable in this combination' : 'Out of Stock'}</span>
               </button>
               
               <p className="text-center text-sm text-gray-600">
@@ -674,10 +793,10 @@ const ProductPage: React.FC = () => {
             <div className="border-t pt-6">
               <h3 className="text-lg font-semibold text-gray-900 mb-4">Product Details</h3>
               <div className="space-y-2 text-sm">
-                {product.sku && (
+                {offer.sku && (
                   <div className="flex justify-between">
                     <span className="text-gray-600">SKU:</span>
-                    <span className="text-gray-900">{product.sku}</span>
+                    <span className="text-gray-900">{offer.sku}</span>
                   </div>
                 )}
                 {product.product_category && (
@@ -689,7 +808,7 @@ const ProductPage: React.FC = () => {
                 <div className="flex justify-between">
                   <span className="text-gray-600">Availability:</span>
                   <span className={isAvailable ? 'text-green-600' : 'text-red-600'}>
-                    {isAvailable ? 'In Stock' : 'Out of Stock'}
+                    {isAvailable ? (unitsAvailable !== null ? `${unitsAvailable} in stock` : 'In Stock') : 'Out of Stock'}
                   </span>
                 </div>
               </div>
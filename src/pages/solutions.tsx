@@ -1,6 +1,7 @@
 // src/pages/solutions.tsx
 import React, { useState, useEffect } from 'react';
 import Link from 'next/link';
+import { useRouter } from 'next/router';
 import Layout from '../components/Layout';
 import { useCartStore } from '../store/cart';
 import { 
@@ -34,6 +35,7 @@ interface Product {
   documents?: any[];
   product_category?: string;
   category_name?: string;
+  variants?: unknown[];
 }
 
 const SolutionsPage = () => {
@@ -41,6 +43,7 @@ const SolutionsPage = () => {
   const [loading, setLoading] = useState<boolean>(true);
   const [selectedSolution, setSelectedSolution] = useState<string>('rv-travel');
   const { addItem } = useCartStore();
+  const router = useRouter();
 
   useEffect(() => {
     fetchFeaturedProducts();
@@ -83,6 +86,12 @@ const SolutionsPage = () => {
   };
 
   const handleAddToCart = (product: Product) => {
+    // Products with variants are added from their page, once options are chosen
+    if (product.variants?.length) {
+      router.push(`/products/${product.seo_url || product.product_id}`);
+      return;
+    }
+
     addItem(product, 1);
     toast.success(`${getProductName(product)} added to cart!`);
   };
@@ -196,7 +205,7 @@ const SolutionsPage = () => {
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
           <div className="text-center mb-12">
             <h2 className="text-3xl lg:text-5xl font-bold text-gray-900 mb-4">
-              What's Your Connectivity Challenge?
+              What&apos;s Your Connectivity Challenge?
             </h2>
             <p className="text-xl text-gray-600 max-w-2xl mx-auto">
               Select your situation to see how Travel Data WiFi provides the perfect solution.
@@ -259,7 +268,7 @@ const SolutionsPage = () => {
                   </li>
                   <li className="flex items-start">
                     <CheckCircle className="h-5 w-5 text-green-500 mr-3 mt-0.5 flex-shrink-0" />
-                    <span>Unlimited data on T-Mobile's premium network</span>
+                    <span>Unlimited data on T-Mobile&apos;s premium network</span>
                   </li>
                   <li className="flex items-start">
                     <CheckCircle className="h-5 w-5 text-green-500 mr-3 mt-0.5 flex-shrink-0" />
@@ -291,7 +300,7 @@ const SolutionsPage = () => {
               Why Travel Data WiFi Works
             </h2>
             <p className="text-xl text-gray-600 max-w-2xl mx-auto">
-              We've solved the core problems that make mobile internet frustrating.
+              We&apos;ve solved the core problems that make mobile internet frustrating.
             </p>
           </div>
 
@@ -484,7 +493,7 @@ const SolutionsPage = () => {
                     <Star key={i} className="h-5 w-5 text-yellow-400 fill-current" />
                   ))}
                 </div>
-                <p className="text-gray-700 mb-4 italic">"{testimonial.quote}"</p>
+                <p className="text-gray-700 mb-4 italic">&quot;{testimonial.quote}&quot;</p>
                 <div>
                   <div className="font-semibold text-gray-900">{testimonial.author}</div>
                   <div className="text-sm text-gray-600">{testimonial.title}</div>
@@ -503,7 +512,7 @@ const SolutionsPage = () => {
           </h2>
           
           <p className="text-xl text-blue-100 mb-8 max-w-2xl mx-auto">
-            Join thousands of travelers who've discovered reliable internet anywhere.
+            Join thousands of travelers who&apos;ve discovered reliable internet anywhere.
           </p>
 
           <div className="flex flex-col sm:flex-row gap-4 justify-center">
@@ -4,19 +4,45 @@ import { persist } from 'zustand/middleware';
 
 interface CartItem {
   product_id: string;
+  // Zoho item of the chosen variant, for products with variants
+  variant_id?: string | null;
+  // e.g. "n41 / 10 ft"
+  variant_name?: string | null;
   product_name: string;
   product_price: number;
   quantity: number;
   product_images: string[];
+  // Used by lib/order-totals for shipping and tax
+  weight?: number | null;
+  tax_class?: string;
+  // 'month' or 'year' for data plans, which renew until canceled
+  billing_interval?: string | null;
+}
+
+// Line as re-priced by the checkout API (lib/cart-pricing)
+interface PricedItem {
+  product_id: string;
+  variant_id?: string | null;
+  variant_name?: string | null;
+  product_name: string;
+  product_price: number;
+  quantity: number;
+  weight?: number | null;
+  tax_class?: string;
+  billing_interval?: string | null;
 }
 
 interface CartStore {
   items: CartItem[];
+  // Token for the server-side copy of this cart (lib/saved-carts), set by the first sync
+  cartToken: string | null;
   isOpen: boolean;
   isHydrated: boolean;
   addItem: (product: any, quantity?: number) => void;
-  removeItem: (productId: string) => void;
-  updateQuantity: (productId: string, quantity: number) => void;
+  removeItem: (lineKey: string) => void;
+  updateQuantity: (lineKey: string, quantity: number) => void;
+  reconcileItems: (pricedItems: PricedItem[]) => void;
+  replaceItems: (items: CartItem[], cartToken?: string | null) => void;
   clearCart: () => void;
   openCart: () => void;
   closeCart: () => void;
@@ -25,10 +51,17 @@ interface CartStore {
   setHydrated: () => void;
 }
 
+/**
+ * Identifies a cart line: each variant of a product is its own line
+ */
+export const cartLineKey = (item: { product_id: string; variant_id?: string | null }): string =>
+  item.variant_id || item.product_id;
+
 export const useCartStore = create<CartStore>()(
   persist(
     (set, get) => ({
       items: [],
+      cartToken: null,
       isOpen: false,
       isHydrated: false,
       
@@ -36,12 +69,13 @@ export const useCartStore = create<CartStore>()(
       
       addItem: (product, quantity = 1) => {
         set((state) => {
-          const existingItem = state.items.find(item => item.product_id === product.product_id);
+          const key = cartLineKey(product);
+          const existingItem = state.items.find(item => cartLineKey(item) === key);
           
           if (existingItem) {
             return {
               items: state.items.map(item =>
-                item.product_id === product.product_id
+                cartLineKey(item) === key
                   ? { ...item, quantity: item.quantity + quantity }
                   : item
               )
@@ -51,36 +85,69 @@ export const useCartStore = create<CartStore>()(
           return {
             items: [...state.items, {
               product_id: product.product_id,
+              variant_id: product.variant_id ?? null,
+              variant_name: product.variant_name ?? null,
               product_name: product.product_name || product.name,
               product_price: product.product_price || product.price,
               quantity,
-              product_images: product.product_images || product.images || ['/images/placeholder.jpg']
+              product_images: product.product_images || product.images || ['/images/placeholder.jpg'],
+              weight: product.weight ?? null,
+              tax_class: product.tax_class,
+              billing_interval: product.billing_interval ?? null
             }]
           };
         });
       },
       
-      removeItem: (productId) => {
+      removeItem: (lineKey) => {
         set((state) => ({
-          items: state.items.filter(item => item.product_id !== productId)
+          items: state.items.filter(item => cartLineKey(item) !== lineKey)
         }));
       },
       
-      updateQuantity: (productId, quantity) => {
+      updateQuantity: (lineKey, quantity) => {
         if (quantity <= 0) {
-          get().removeItem(productId);
+          get().removeItem(lineKey);
           return;
         }
         
         set((state) => ({
           items: state.items.map(item =>
-            item.product_id === productId
+            cartLineKey(item) === lineKey
               ? { ...item, quantity }
               : item
           )
         }));
       },
       
+      // Replace prices, quantities and shipping data with what the server checked against
+      // the catalog; items the server dropped are removed
+      reconcileItems: (pricedItems) => {
+        set((state) => ({
+          items: state.items.flatMap(item => {
+            const priced = pricedItems.find(p => cartLineKey(p) === cartLineKey(item));
+            if (!priced) return [];
+
+            return [{
+              ...item,
+              variant_name: priced.variant_name ?? item.variant_name ?? null,
+              // A variant's Zoho item name repeats its options, which the cart shows separately
+              product_name: item.variant_id ? item.product_name : priced.product_name,
+              product_price: priced.product_price,
+              quantity: priced.quantity,
+              weight: priced.weight ?? null,
+              tax_class: priced.tax_class,
+              billing_interval: priced.billing_interval ?? null
+            }];
+          })
+        }));
+      },
+      
+      // The server's version of the cart: merged with another device's, or restored from an email
+      replaceItems: (items, cartToken) => {
+        set((state) => ({ items, cartToken: cartToken ?? state.cartToken }));
+      },
+      
       clearCart: () => set({ items: [] }),
       openCart: () => set({ isOpen: true }),
       closeCart: () => set({ isOpen: false }),
@@ -0,0 +1,49 @@
+// src/utils/api-client.js
+// Shared axios client for the support components and useKnowledgeBase
+
+import axios from 'axios';
+
+export const apiClient = axios.create({
+  baseURL: '/api',
+  timeout: 15000,
+  headers: {
+    'Content-Type': 'application/json'
+  }
+});
+
+/**
+ * Knowledge base and support endpoints (see supportRoutes.api in src/config/routes.ts)
+ */
+export const knowledgeBaseAPI = {
+  getArticles: (params = {}) =>
+    apiClient.get('/knowledge-base/articles', { params }),
+
+  getArticle: (articleId) =>
+    apiClient.get(`/knowledge-base/articles/${encodeURIComponent(articleId)}`),
+
+  searchArticles: (query, params = {}) =>
+    apiClient.get('/knowledge-base/search', { params: { q: query, ...params } }),
+
+  getCategories: () =>
+    apiClient.get('/knowledge-base/categories'),
+
+  getStats: () =>
+    apiClient.get('/knowledge-base/stats'),
+
+  getHealth: () =>
+    apiClient.get('/knowledge-base/health'),
+
+  submitFeedback: (articleId, feedback) =>
+    apiClient.post('/knowledge-base/feedback', { articleId, ...feedback }),
+
+  submitContactForm: (formData) =>
+    apiClient.post('/support/contact', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      timeout: 60000
+    }),
+
+  syncArticles: () =>
+    apiClient.post('/knowledge-base/sync')
+};
+
+export default apiClient;
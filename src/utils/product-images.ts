@@ -12,3 +12,22 @@ export const getProductImageUrl = (product: any): string => {
   }
   return PLACEHOLDER;
 };
+
+export type ImageVariant = 'thumbnail' | 'card' | 'gallery' | 'zoom';
+
+// Widths of the resized variants served by /api/images (lib/image-service)
+export const IMAGE_VARIANT_WIDTHS: Record<ImageVariant, number> = {
+  thumbnail: 160,
+  card: 480,
+  gallery: 1024,
+  zoom: 2048
+};
+
+/**
+ * Resized, cached copy of a catalog product image; index is its position in product_images
+ */
+export const productImageSrc = (productId: string, index = 0, size: ImageVariant = 'card'): string =>
+  `/api/images/${encodeURIComponent(productId)}?index=${index}&size=${size}`;
+
+export const productImageSrcSet = (productId: string, index: number, sizes: ImageVariant[]): string =>
+  sizes.map(size => `${productImageSrc(productId, index, size)} ${IMAGE_VARIANT_WIDTHS[size]}w`).join(', ');